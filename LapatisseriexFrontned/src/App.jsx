@@ -34,7 +34,9 @@ import RefundPolicy from './pages/RefundPolicy';
 import ShippingPolicy from './pages/ShippingPolicy';
 import TermsAndConditions from './pages/TermsAndConditions';
 import FAQ from './pages/FAQ';
+import EmailPreferences from './pages/EmailPreferences';
 import NotFoundPage from './pages/NotFoundPage';
+import CustomCakes from './pages/CustomCakes';
 
 // Error Boundary for Product Pages
 import ProductErrorBoundary from './components/common/ProductErrorBoundary';
@@ -62,6 +64,12 @@ import AdminNewsletter from './components/Admin/AdminNewsletter';
 import AdminNotifications from './components/Admin/AdminNotifications';
 import AdminFreeProductRewards from './components/Admin/AdminFreeProductRewards';
 import AdminDonations from './components/Admin/AdminDonations';
+import AdminCoupons from './components/Admin/AdminCoupons';
+import AdminReviews from './components/Admin/AdminReviews';
+import AdminKitchen from './components/Admin/AdminKitchen';
+import AdminRiderCash from './components/Admin/AdminRiderCash';
+import AdminAuditLog from './components/Admin/AdminAuditLog';
+import AdminEmailOutbox from './components/Admin/AdminEmailOutbox';
 
 // Contact Components
 import Contact from './pages/Contact';
@@ -95,6 +103,7 @@ import { SparkAnimationProvider } from './context/SparkAnimationContext/SparkAni
 import ReduxProvider from './redux/ReduxProvider';
 import AuthInitializer from './components/Auth/AuthInitializer';
 import WebSocketInitializer from './components/WebSocket/WebSocketInitializer';
+import { canAccessAdmin, getAdminHomePath } from './utils/adminPermissions';
 
 // Main Homepage that combines all sections
 const HomePage = () => {
@@ -116,13 +125,19 @@ const AdminRoute = ({ children }) => {
     return <div>Loading...</div>;
   }
   
-  if (!user || user.role !== 'admin') {
+  if (!canAccessAdmin(user)) {
     return <Navigate to="/" />;
   }
   
   return children;
 };
 
+// Staff land on the first admin area they have access to
+const AdminHomeRedirect = () => {
+  const { user } = useAuth();
+  return <Navigate to={getAdminHomePath(user)} replace />;
+};
+
 // Protected route for authenticated users
 const PrivateRoute = ({ children }) => {
   const { user, loading } = useAuth();
@@ -193,6 +208,9 @@ function App() {
                             <Route path="terms" element={<TermsAndConditions />} />
                             <Route path="phone-verification-test" element={<PhoneVerificationTest />} />
                             <Route path="faq" element={<FAQ />} />
+                            <Route path="email-preferences" element={<EmailPreferences />} />
+                            {/* Older emails linked here */}
+                            <Route path="unsubscribe" element={<EmailPreferences />} />
                             <Route path="our-services" element={<OurServices />} />
                             <Route path="cart" element={<Cart />} />
                             <Route path="checkout" element={
@@ -237,6 +255,11 @@ function App() {
                                 <OrderDetail />
                               </PrivateRoute>
                             } />
+                            <Route path="custom-cakes" element={
+                              <PrivateRoute>
+                                <CustomCakes />
+                              </PrivateRoute>
+                            } />
                           </Route>
                           {/* Admin Routes with custom AdminLayout */}
                           <Route path="/admin" element={
@@ -247,23 +270,29 @@ function App() {
                             </AdminRoute>
                           }>
                             <Route element={<AdminDashboardLayout />}>
-                              <Route index element={<Navigate to="dashboard" />} />
+                              <Route index element={<AdminHomeRedirect />} />
                               <Route path="dashboard" element={<AdminDashboard />} />
                               <Route path="notifications" element={<React.Suspense fallback={<div>Loading...</div>}><AdminNotifications /></React.Suspense>} />
                               <Route path="users" element={<AdminUsers />} />
                               <Route path="locations" element={<AdminLocations />} />
                               <Route path="orders" element={<React.Suspense fallback={<div>Loading...</div>}><AdminOrders /></React.Suspense>} />
+                              <Route path="kitchen" element={<React.Suspense fallback={<div>Loading...</div>}><AdminKitchen /></React.Suspense>} />
                               <Route path="order-tracking" element={<React.Suspense fallback={<div>Loading...</div>}><AdminOrderTracking /></React.Suspense>} />
+                              <Route path="rider-cash" element={<React.Suspense fallback={<div>Loading...</div>}><AdminRiderCash /></React.Suspense>} />
                               <Route path="payments" element={<React.Suspense fallback={<div>Loading...</div>}><AdminPayments /></React.Suspense>} />
                               <Route path="products" element={<React.Suspense fallback={<div>Loading...</div>}><AdminProducts /></React.Suspense>} />
                               <Route path="categories" element={<React.Suspense fallback={<div>Loading...</div>}><AdminCategories /></React.Suspense>} />
                               <Route path="categories/:categoryId/products" element={<React.Suspense fallback={<div>Loading...</div>}><AdminProducts /></React.Suspense>} />
               <Route path="inventory" element={<React.Suspense fallback={<div>Loading...</div>}><AdminInventory /></React.Suspense>} />
                               <Route path="time-settings" element={<React.Suspense fallback={<div>Loading...</div>}><AdminTimeSettings /></React.Suspense>} />
+                              <Route path="email-outbox" element={<React.Suspense fallback={<div>Loading...</div>}><AdminEmailOutbox /></React.Suspense>} />
                               <Route path="contacts" element={<React.Suspense fallback={<div>Loading...</div>}><ContactManagement /></React.Suspense>} />
                               <Route path="newsletter" element={<React.Suspense fallback={<div>Loading...</div>}><AdminNewsletter /></React.Suspense>} />
                               <Route path="rewards" element={<React.Suspense fallback={<div>Loading...</div>}><AdminFreeProductRewards /></React.Suspense>} />
                               <Route path="donations" element={<React.Suspense fallback={<div>Loading...</div>}><AdminDonations /></React.Suspense>} />
+                              <Route path="coupons" element={<React.Suspense fallback={<div>Loading...</div>}><AdminCoupons /></React.Suspense>} />
+                              <Route path="reviews" element={<React.Suspense fallback={<div>Loading...</div>}><AdminReviews /></React.Suspense>} />
+                              <Route path="audit-log" element={<React.Suspense fallback={<div>Loading...</div>}><AdminAuditLog /></React.Suspense>} />
                             </Route>
                           </Route>
                           {/* Catch-all route for any undefined paths */}
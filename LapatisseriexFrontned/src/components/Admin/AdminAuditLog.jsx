@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaHistory, FaExclamationTriangle, FaChevronDown, FaChevronRight } from 'react-icons/fa';
+import apiClient from '../../services/apiService';
+
+const MODEL_OPTIONS = ['Order', 'Product', 'Category', 'User', 'Coupon', 'Payment', 'Location', 'Hostel', 'TimeSettings', 'Newsletter'];
+
+const METHOD_STYLES = {
+  POST: 'bg-green-100 text-green-800',
+  PUT: 'bg-blue-100 text-blue-800',
+  PATCH: 'bg-amber-100 text-amber-800',
+  DELETE: 'bg-red-100 text-red-800'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AdminAuditLog = () => {
+  const [result, setResult] = useState({ logs: [], page: 1, pages: 1, total: 0 });
+  const [model, setModel] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchLogs = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/admin/audit-logs', {
+        params: {
+          page,
+          model: model || undefined,
+          from: from || undefined,
+          // Include the whole "to" day
+          to: to ? `${to}T23:59:59.999` : undefined
+        }
+      });
+      setResult(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+      setError('Failed to load the audit log. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, model, from, to]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div className="flex items-center">
+          <FaHistory className="text-2xl text-rose-600 mr-3" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Audit Log</h1>
+            <p className="text-sm text-gray-500">{result.total} admin change(s)</p>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={model}
+            onChange={updateFilter(setModel)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+          >
+            <option value="">All records</option>
+            {MODEL_OPTIONS.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={from}
+            onChange={updateFilter(setFrom)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={to}
+            onChange={updateFilter(setTo)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center rounded-md bg-red-50 p-4 text-red-700">
+          <FaExclamationTriangle className="mr-2" /> {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading audit log...</div>
+      ) : result.logs.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No admin changes match these filters.</div>
+      ) : (
+        <div className="space-y-2">
+          {result.logs.map(log => (
+            <div key={log._id} className="bg-white rounded-lg shadow-sm border border-gray-200">
+              <button
+                onClick={() => setExpanded(prev => ({ ...prev, [log._id]: !prev[log._id] }))}
+                className="w-full flex flex-col md:flex-row md:items-center gap-2 p-3 text-left text-sm"
+              >
+                <div className="flex items-center gap-2 md:w-48 flex-shrink-0">
+                  {expanded[log._id] ? <FaChevronDown className="text-gray-400" /> : <FaChevronRight className="text-gray-400" />}
+                  <span className="text-gray-500">{new Date(log.createdAt).toLocaleString('en-IN')}</span>
+                </div>
+                <div className="md:w-48 flex-shrink-0 truncate">
+                  <span className="font-medium text-gray-900">{log.actor?.name || log.actorName || 'Unknown'}</span>
+                  <span className="ml-1 text-xs text-gray-500">({log.actorRole})</span>
+                </div>
+                <div className="flex-1 min-w-0 flex items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded text-xs font-semibold ${METHOD_STYLES[log.method] || 'bg-gray-100 text-gray-800'}`}>
+                    {log.method}
+                  </span>
+                  <span className="truncate font-mono text-xs text-gray-700">{log.route}</span>
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0 text-xs">
+                  <span className={log.statusCode >= 400 ? 'text-red-600' : 'text-green-700'}>{log.statusCode}</span>
+                  <span className="text-gray-500">{log.changes.length} record(s)</span>
+                </div>
+              </button>
+
+              {expanded[log._id] && (
+                <div className="border-t border-gray-100 p-3 space-y-3">
+                  <p className="text-xs text-gray-500 font-mono break-all">{log.path}</p>
+                  {log.changes.length === 0 && (
+                    <p className="text-sm text-gray-500">No records were changed.</p>
+                  )}
+                  {log.changes.map((change, index) => (
+                    <div key={`${change.documentId}-${index}`}>
+                      <p className="text-sm font-medium text-gray-800 mb-1">
+                        {change.model} <span className="font-mono text-xs text-gray-500">{change.documentId}</span>
+                        <span className="ml-2 text-xs uppercase text-gray-500">{change.operation}</span>
+                      </p>
+                      <div className="overflow-x-auto">
+                        <table className="min-w-full text-xs">
+                          <thead className="bg-gray-50 text-gray-600">
+                            <tr>
+                              <th className="px-3 py-1 text-left font-medium">Field</th>
+                              <th className="px-3 py-1 text-left font-medium">Before</th>
+                              <th className="px-3 py-1 text-left font-medium">After</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {change.fields.map(field => (
+                              <tr key={field.path} className="border-t border-gray-100 align-top">
+                                <td className="px-3 py-1 font-mono text-gray-700">{field.path}</td>
+                                <td className="px-3 py-1 text-red-700 break-all max-w-xs">{formatValue(field.before)}</td>
+                                <td className="px-3 py-1 text-green-700 break-all max-w-xs">{formatValue(field.after)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {result.pages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-6 text-sm">
+          <button
+            onClick={() => setPage(prev => Math.max(1, prev - 1))}
+            disabled={page <= 1}
+            className="px-3 py-1.5 rounded-md border border-gray-200 bg-white hover:bg-rose-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {result.page} of {result.pages}</span>
+          <button
+            onClick={() => setPage(prev => Math.min(result.pages, prev + 1))}
+            disabled={page >= result.pages}
+            className="px-3 py-1.5 rounded-md border border-gray-200 bg-white hover:bg-rose-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAuditLog;
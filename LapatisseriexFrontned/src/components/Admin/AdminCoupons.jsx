@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import { FaTicketAlt, FaPlus, FaEdit, FaTrash, FaToggleOn, FaToggleOff, FaExclamationTriangle } from 'react-icons/fa';
+import apiClient from '../../services/apiService';
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  maxDiscount: '',
+  minCartValue: '',
+  usageLimit: '',
+  perUserLimit: 1,
+  validFrom: '',
+  validUntil: '',
+  applicableCategories: [],
+  applicableProducts: [],
+  firstOrderOnly: false,
+  isActive: true
+};
+
+const TYPE_LABELS = {
+  percentage: 'Percentage',
+  flat: 'Flat amount',
+  free_delivery: 'Free delivery'
+};
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const describeDiscount = (coupon) => {
+  if (coupon.type === 'free_delivery') return 'Free delivery';
+  if (coupon.type === 'percentage') {
+    return `${coupon.value}% off${coupon.maxDiscount ? ` (max ₹${coupon.maxDiscount})` : ''}`;
+  }
+  return `₹${coupon.value} off`;
+};
+
+const AdminCoupons = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchCoupons = async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/admin/coupons');
+      setCoupons(response.data.coupons || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching coupons:', err);
+      setError('Failed to load coupons. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Categories and products are only needed to scope coupons
+  const fetchScopeOptions = async () => {
+    try {
+      const [categoryResponse, productResponse] = await Promise.all([
+        apiClient.get('/categories'),
+        apiClient.get('/products', { params: { limit: 500, isActive: 'all' } })
+      ]);
+      setCategories(Array.isArray(categoryResponse.data) ? categoryResponse.data : []);
+      setProducts(productResponse.data?.products || []);
+    } catch (err) {
+      console.error('Error fetching coupon scope options:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchCoupons();
+    fetchScopeOptions();
+  }, []);
+
+  const openCreateModal = () => {
+    setEditingCoupon(null);
+    setFormData(EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const openEditModal = (coupon) => {
+    setEditingCoupon(coupon);
+    setFormData({
+      code: coupon.code,
+      description: coupon.description || '',
+      type: coupon.type,
+      value: coupon.value ?? '',
+      maxDiscount: coupon.maxDiscount ?? '',
+      minCartValue: coupon.minCartValue ?? '',
+      usageLimit: coupon.usageLimit ?? '',
+      perUserLimit: coupon.perUserLimit ?? 1,
+      validFrom: toDateInput(coupon.validFrom),
+      validUntil: toDateInput(coupon.validUntil),
+      applicableCategories: (coupon.applicableCategories || []).map(c => c._id || c),
+      applicableProducts: (coupon.applicableProducts || []).map(p => p._id || p),
+      firstOrderOnly: Boolean(coupon.firstOrderOnly),
+      isActive: coupon.isActive !== false
+    });
+    setShowModal(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleMultiSelectChange = (e) => {
+    const { name, selectedOptions } = e.target;
+    setFormData(prev => ({ ...prev, [name]: Array.from(selectedOptions, option => option.value) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = {
+        ...formData,
+        // End of day so the coupon stays valid through the chosen date
+        validUntil: formData.validUntil ? `${formData.validUntil}T23:59:59` : ''
+      };
+      if (editingCoupon) {
+        await apiClient.put(`/admin/coupons/${editingCoupon._id}`, payload);
+      } else {
+        await apiClient.post('/admin/coupons', payload);
+      }
+      setShowModal(false);
+      setError(null);
+      fetchCoupons();
+    } catch (err) {
+      console.error('Error saving coupon:', err);
+      setError(err.response?.data?.message || 'Failed to save coupon');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleCoupon = async (coupon) => {
+    try {
+      await apiClient.patch(`/admin/coupons/${coupon._id}/toggle`);
+      fetchCoupons();
+    } catch (err) {
+      console.error('Error toggling coupon:', err);
+      setError(err.response?.data?.message || 'Failed to update coupon status');
+    }
+  };
+
+  const deleteCoupon = async (coupon) => {
+    if (!window.confirm(`Delete coupon ${coupon.code}?`)) return;
+    try {
+      await apiClient.delete(`/admin/coupons/${coupon._id}`);
+      fetchCoupons();
+    } catch (err) {
+      console.error('Error deleting coupon:', err);
+      setError(err.response?.data?.message || 'Failed to delete coupon');
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div className="flex items-center">
+          <FaTicketAlt className="text-2xl text-rose-600 mr-3" />
+          <h1 className="text-2xl font-bold text-gray-800">Coupons</h1>
+        </div>
+        <button
+          onClick={openCreateModal}
+          className="flex items-center justify-center bg-rose-600 hover:bg-rose-700 text-white px-4 py-2 rounded-md"
+        >
+          <FaPlus className="mr-2" /> Add Coupon
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center rounded-md bg-red-50 p-4 text-red-700">
+          <FaExclamationTriangle className="mr-2" /> {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading coupons...</div>
+      ) : coupons.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No coupons yet. Create one to get started.</div>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-lg shadow">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rules</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Validity</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Used</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {coupons.map(coupon => (
+                <tr key={coupon._id} className={coupon.isActive ? '' : 'bg-gray-50 text-gray-400'}>
+                  <td className="px-4 py-3">
+                    <div className="font-semibold text-gray-900">{coupon.code}</div>
+                    {coupon.description && <div className="text-xs text-gray-500">{coupon.description}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{describeDiscount(coupon)}</td>
+                  <td className="px-4 py-3 text-xs text-gray-600 space-y-0.5">
+                    {coupon.minCartValue > 0 && <div>Min cart ₹{coupon.minCartValue}</div>}
+                    <div>{coupon.perUserLimit} per user</div>
+                    {coupon.firstOrderOnly && <div>First order only</div>}
+                    {coupon.applicableCategories?.length > 0 && (
+                      <div>Categories: {coupon.applicableCategories.map(c => c.name || c).join(', ')}</div>
+                    )}
+                    {coupon.applicableProducts?.length > 0 && (
+                      <div>Products: {coupon.applicableProducts.map(p => p.name || p).join(', ')}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-600">
+                    {coupon.validFrom ? new Date(coupon.validFrom).toLocaleDateString() : 'Now'}
+                    {' – '}
+                    {coupon.validUntil ? new Date(coupon.validUntil).toLocaleDateString() : 'No expiry'}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {coupon.usedCount}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}
+                  </td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">
+                    <button onClick={() => toggleCoupon(coupon)} className="mr-3 text-lg" title={coupon.isActive ? 'Deactivate' : 'Activate'}>
+                      {coupon.isActive ? <FaToggleOn className="text-green-600" /> : <FaToggleOff className="text-gray-400" />}
+                    </button>
+                    <button onClick={() => openEditModal(coupon)} className="mr-3 text-blue-600 hover:text-blue-800" title="Edit">
+                      <FaEdit />
+                    </button>
+                    <button onClick={() => deleteCoupon(coupon)} className="text-red-600 hover:text-red-800" title="Delete">
+                      <FaTrash />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+          <form onSubmit={handleSubmit} className="w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-lg bg-white p-6 shadow-xl">
+            <h2 className="mb-4 text-xl font-semibold text-gray-800">{editingCoupon ? 'Edit Coupon' : 'Add Coupon'}</h2>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <label className="block text-sm">
+                <span className="text-gray-700">Code</span>
+                <input name="code" value={formData.code} onChange={handleInputChange} required className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 uppercase" />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700">Type</span>
+                <select name="type" value={formData.type} onChange={handleInputChange} className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2">
+                  {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm sm:col-span-2">
+                <span className="text-gray-700">Description</span>
+                <input name="description" value={formData.description} onChange={handleInputChange} className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" />
+              </label>
+              {formData.type !== 'free_delivery' && (
+                <label className="block text-sm">
+                  <span className="text-gray-700">{formData.type === 'percentage' ? 'Percentage off' : 'Amount off (₹)'}</span>
+                  <input type="number" min="0" name="value" value={formData.value} onChange={handleInputChange} required className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" />
+                </label>
+              )}
+              {formData.type === 'percentage' && (
+                <label className="block text-sm">
+                  <span className="text-gray-700">Max discount (₹)</span>
+                  <input type="number" min="0" name="maxDiscount" value={formData.maxDiscount} onChange={handleInputChange} className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" />
+                </label>
+              )}
+              <label className="block text-sm">
+                <span className="text-gray-700">Minimum cart value (₹)</span>
+                <input type="number" min="0" name="minCartValue" value={formData.minCartValue} onChange={handleInputChange} className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700">Total uses (blank = unlimited)</span>
+                <input type="number" min="1" name="usageLimit" value={formData.usageLimit} onChange={handleInputChange} className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700">Uses per customer</span>
+                <input type="number" min="1" name="perUserLimit" value={formData.perUserLimit} onChange={handleInputChange} className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700">Valid from</span>
+                <input type="date" name="validFrom" value={formData.validFrom} onChange={handleInputChange} className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700">Valid until</span>
+                <input type="date" name="validUntil" value={formData.validUntil} onChange={handleInputChange} className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700">Limit to categories</span>
+                <select multiple name="applicableCategories" value={formData.applicableCategories} onChange={handleMultiSelectChange} className="mt-1 h-28 w-full rounded-md border border-gray-300 px-2 py-1">
+                  {categories.map(category => (
+                    <option key={category._id} value={category._id}>{category.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700">Limit to products</span>
+                <select multiple name="applicableProducts" value={formData.applicableProducts} onChange={handleMultiSelectChange} className="mt-1 h-28 w-full rounded-md border border-gray-300 px-2 py-1">
+                  {products.map(product => (
+                    <option key={product._id} value={product._id}>{product.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center text-sm">
+                <input type="checkbox" name="firstOrderOnly" checked={formData.firstOrderOnly} onChange={handleInputChange} className="mr-2" />
+                First order only
+              </label>
+              <label className="flex items-center text-sm">
+                <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleInputChange} className="mr-2" />
+                Active
+              </label>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">Leave categories and products empty to apply the coupon to the whole cart.</p>
+
+            <div className="mt-6 flex justify-end gap-3">
+              <button type="button" onClick={() => setShowModal(false)} className="rounded-md border border-gray-300 px-4 py-2 text-gray-700 hover:bg-gray-50">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="rounded-md bg-rose-600 px-4 py-2 text-white hover:bg-rose-700 disabled:opacity-50">
+                {saving ? 'Saving...' : editingCoupon ? 'Update Coupon' : 'Create Coupon'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminCoupons;
@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaBirthdayCake, FaSearch, FaSyncAlt, FaSpinner, FaCheck, FaTimes, FaLeaf } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import apiClient from '../../services/apiService';
+
+const STATUS_TABS = [
+  { value: 'all', label: 'All' },
+  { value: 'submitted', label: 'Needs quote' },
+  { value: 'quoted', label: 'Quoted' },
+  { value: 'accepted', label: 'Awaiting payment' },
+  { value: 'paid', label: 'Paid' },
+  { value: 'rejected', label: 'Declined' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const STATUS_BADGES = {
+  submitted: 'bg-amber-100 text-amber-800',
+  quoted: 'bg-purple-100 text-purple-800',
+  accepted: 'bg-blue-100 text-blue-800',
+  paid: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+};
+
+const OCCASION_LABELS = {
+  birthday: 'Birthday',
+  anniversary: 'Anniversary',
+  wedding: 'Wedding',
+  other: 'Other'
+};
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+  : '—');
+
+/**
+ * Custom cake requests: quote a price or decline. Paid requests become regular orders
+ * and show their order number here.
+ */
+const AdminCustomOrderRequests = ({ onOpenOrder }) => {
+  const [requests, setRequests] = useState([]);
+  const [stats, setStats] = useState({});
+  const [status, setStatus] = useState('submitted');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [quoteForms, setQuoteForms] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/custom-orders', { params: { status, search: search || undefined, limit: 50 } });
+      setRequests(response.data.customOrders || []);
+      setStats(response.data.stats || {});
+    } catch (err) {
+      console.error('Error fetching custom cake requests:', err);
+      toast.error('Failed to load custom cake requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, search]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const getQuoteForm = (request) => quoteForms[request._id] || {
+    amount: request.quote?.amount ?? '',
+    note: request.quote?.note || '',
+    validDays: 3
+  };
+
+  const updateQuoteForm = (request, field, value) => {
+    setQuoteForms(prev => ({ ...prev, [request._id]: { ...getQuoteForm(request), [field]: value } }));
+  };
+
+  const handleQuote = async (request) => {
+    const form = getQuoteForm(request);
+    if (!form.amount || Number(form.amount) < 1) {
+      toast.error('Enter a quote amount');
+      return;
+    }
+    try {
+      setSavingId(request._id);
+      await apiClient.put(`/custom-orders/${request._id}/quote`, {
+        amount: Number(form.amount),
+        note: form.note,
+        validDays: Number(form.validDays) || 3
+      });
+      toast.success(`Quote sent for #${request.requestNumber}`);
+      setQuoteForms(prev => {
+        const next = { ...prev };
+        delete next[request._id];
+        return next;
+      });
+      fetchRequests();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to send quote');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleReject = async (request) => {
+    const reason = window.prompt('Reason for declining (shown to the customer):', '');
+    if (reason === null) return;
+    try {
+      setSavingId(request._id);
+      await apiClient.put(`/custom-orders/${request._id}/reject`, { reason });
+      toast.success(`Declined #${request.requestNumber}`);
+      fetchRequests();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to decline request');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const totalCount = Object.values(stats).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          {STATUS_TABS.map(tab => {
+            const count = tab.value === 'all' ? totalCount : stats[tab.value] || 0;
+            return (
+              <button
+                key={tab.value}
+                onClick={() => setStatus(tab.value)}
+                className={`px-3 py-1.5 text-sm rounded-lg border transition ${
+                  status === tab.value
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-gray-200 text-gray-700 hover:bg-blue-50'
+                }`}
+              >
+                {tab.label} <span className="ml-1 text-xs opacity-75">{count}</span>
+              </button>
+            );
+          })}
+        </div>
+        <div className="flex gap-3">
+          <div className="relative flex-1">
+            <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by request, order, customer or flavour"
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            onClick={fetchRequests}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <FaSyncAlt className="mr-2" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <FaSpinner className="animate-spin text-2xl text-blue-600" />
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-12 text-center text-gray-500">
+          <FaBirthdayCake className="mx-auto mb-3 text-3xl text-gray-300" />
+          No custom cake requests here.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+          {requests.map(request => {
+            const form = getQuoteForm(request);
+            const canQuote = ['submitted', 'quoted', 'accepted'].includes(request.status);
+            return (
+              <div key={request._id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <FaBirthdayCake className="text-pink-600" />
+                      <span className="font-semibold text-gray-900">#{request.requestNumber}</span>
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_BADGES[request.status] || ''}`}>
+                        {request.status.toUpperCase()}
+                      </span>
+                    </div>
+                    <p className="mt-1 text-sm text-gray-600 truncate">
+                      {request.userDetails?.name} · {request.userDetails?.phone || request.userDetails?.email}
+                    </p>
+                  </div>
+                  <div className="text-right text-sm">
+                    <p className="font-semibold text-gray-900">{formatDate(request.requiredDate)}</p>
+                    <p className="text-xs text-gray-500">Needed on</p>
+                  </div>
+                </div>
+
+                <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+                  <div><span className="text-gray-500">Occasion: </span>{OCCASION_LABELS[request.occasion] || request.occasion}</div>
+                  <div><span className="text-gray-500">Weight: </span>{request.weightKg} kg</div>
+                  <div className="col-span-2">
+                    <span className="text-gray-500">Flavour: </span>{request.flavour}
+                    {request.isEggless && (
+                      <span className="ml-2 inline-flex items-center gap-1 px-1.5 py-0.5 text-xs rounded bg-green-100 text-green-700">
+                        <FaLeaf /> Eggless
+                      </span>
+                    )}
+                  </div>
+                  {request.messageOnCake && (
+                    <div className="col-span-2"><span className="text-gray-500">Message: </span>“{request.messageOnCake}”</div>
+                  )}
+                  {request.designNotes && (
+                    <div className="col-span-2 text-gray-700 whitespace-pre-line">{request.designNotes}</div>
+                  )}
+                  <div className="col-span-2">
+                    <span className="text-gray-500">Deliver to: </span>
+                    {request.hostelName ? `${request.hostelName}, ` : ''}{request.deliveryLocation}
+                  </div>
+                </div>
+
+                {request.referenceImages?.length > 0 && (
+                  <div className="mt-3 flex gap-2">
+                    {request.referenceImages.map(image => (
+                      <a key={image.url} href={image.url} target="_blank" rel="noopener noreferrer">
+                        <img src={image.url} alt="Reference" className="h-16 w-16 rounded border border-gray-200 object-cover" />
+                      </a>
+                    ))}
+                  </div>
+                )}
+
+                {request.status === 'paid' && (
+                  <div className="mt-3 flex items-center justify-between rounded-lg bg-green-50 px-3 py-2 text-sm text-green-800">
+                    <span>
+                      <FaCheck className="inline mr-1" />
+                      Paid ₹{request.quote?.amount} · Order #{request.orderNumber}
+                    </span>
+                    {onOpenOrder && request.orderNumber && (
+                      <button onClick={() => onOpenOrder(request.orderNumber)} className="font-medium underline">
+                        View order
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {request.status === 'rejected' && request.rejectionReason && (
+                  <p className="mt-3 text-sm text-red-700">Declined: {request.rejectionReason}</p>
+                )}
+
+                {canQuote && (
+                  <div className="mt-4 border-t border-gray-100 pt-3">
+                    {request.quote && (
+                      <p className="mb-2 text-xs text-gray-500">
+                        Current quote ₹{request.quote.amount}, valid until {formatDate(request.quote.validUntil)}
+                      </p>
+                    )}
+                    <div className="grid grid-cols-3 gap-2">
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.amount}
+                        onChange={(e) => updateQuoteForm(request, 'amount', e.target.value)}
+                        placeholder="Price ₹"
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.validDays}
+                        onChange={(e) => updateQuoteForm(request, 'validDays', e.target.value)}
+                        title="Days the quote stays valid"
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <span className="self-center text-xs text-gray-500">days valid</span>
+                      <input
+                        type="text"
+                        value={form.note}
+                        onChange={(e) => updateQuoteForm(request, 'note', e.target.value)}
+                        placeholder="Note for the customer (optional)"
+                        maxLength={500}
+                        className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                    </div>
+                    <div className="mt-2 flex gap-2">
+                      <button
+                        onClick={() => handleQuote(request)}
+                        disabled={savingId === request._id}
+                        className="flex-1 flex items-center justify-center px-3 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        {savingId === request._id ? <FaSpinner className="animate-spin" /> : request.quote ? 'Update quote' : 'Send quote'}
+                      </button>
+                      <button
+                        onClick={() => handleReject(request)}
+                        disabled={savingId === request._id}
+                        className="flex items-center px-3 py-2 border border-red-300 text-red-700 text-sm rounded-lg hover:bg-red-50 disabled:opacity-50"
+                      >
+                        <FaTimes className="mr-1" />
+                        Decline
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminCustomOrderRequests;
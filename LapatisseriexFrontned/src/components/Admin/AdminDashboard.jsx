@@ -4,9 +4,11 @@ import { Link, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../../hooks/useAuth';
 import InventoryWidget from './Dashboard/InventoryWidget';
+import CartRecoveryWidget from './Dashboard/CartRecoveryWidget';
 
 import { useLocation as useLocationContext } from '../../context/LocationContext/LocationContext';
 import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import { hasAdminPermission } from '../../utils/adminPermissions';
 
 const AdminDashboard = () => {
   const { user } = useAuth();
@@ -45,7 +47,7 @@ const AdminDashboard = () => {
         return;
       }
 
-      if (user.role !== 'admin') {
+      if (!hasAdminPermission(user, 'orders')) {
         setError("Unauthorized access");
         setLoading(false);
         return;
@@ -115,7 +117,7 @@ const AdminDashboard = () => {
 
     if (authReady && user && locations) {
       fetchDashboardData();
-    } else if (authReady && user && user.role !== 'admin') {
+    } else if (authReady && user && !hasAdminPermission(user, 'orders')) {
       setError("Unauthorized access");
       setLoading(false);
     }
@@ -268,6 +270,8 @@ const AdminDashboard = () => {
   <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 md:gap-6">
         {/* Inventory Widget */}
         <InventoryWidget />
+        {/* Abandoned cart reminders and conversions */}
+        <CartRecoveryWidget />
         <div className="bg-white rounded-lg shadow-md p-5 md:p-6 flex flex-col">
           <h2 className="text-lg font-bold text-black mb-4 flex items-center justify-between">
             <span>Recent Orders</span>
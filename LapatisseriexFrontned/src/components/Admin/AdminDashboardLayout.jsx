@@ -18,11 +18,18 @@ import {
   FaTruck,
   FaBell,
   FaGift,
-  FaGraduationCap
+  FaGraduationCap,
+  FaTicketAlt,
+  FaStar,
+  FaUtensils,
+  FaMoneyBillWave,
+  FaHistory,
+  FaPaperPlane
 } from 'react-icons/fa';
 import { MdPayment } from 'react-icons/md';
 
 import { useAuth } from '../../hooks/useAuth';
+import { hasAdminPermission } from '../../utils/adminPermissions';
 
 // Create Sidebar Context
 const SidebarContext = createContext();
@@ -51,6 +58,7 @@ const AdminDashboardLayout = () => {
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
   const location = useRouterLocation();
   const { logout, user } = useAuth();
+  const can = (permission) => hasAdminPermission(user, permission);
 
   useEffect(() => {
     const handleResize = () => {
@@ -171,157 +179,259 @@ const AdminDashboardLayout = () => {
 
           <nav className="flex-1 py-4 overflow-y-auto">
             <ul className="space-y-1">
-              <li>
-                <Link
-                  to="/admin/payments"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/payments' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <MdPayment className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Payments</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/dashboard"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/dashboard' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaTachometerAlt className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Dashboard</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/notifications"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/notifications' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaBell className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Notifications</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/users"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/users' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaUsers className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Users</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/orders"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/orders' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaShoppingCart className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Orders</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/order-tracking"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/order-tracking' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaTruck className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Order Tracking</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/products"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/products' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaList className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Products</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/categories"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/categories' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaList className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Categories</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/inventory"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/inventory' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaBox className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Inventory</span>
-                </Link>
-              </li>
+              {can('payments') && (
+                <li>
+                  <Link
+                    to="/admin/payments"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/payments' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <MdPayment className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Payments</span>
+                  </Link>
+                </li>
+              )}
+              {can('payments') && (
+                <li>
+                  <Link
+                    to="/admin/rider-cash"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/rider-cash' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaMoneyBillWave className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Rider Cash</span>
+                  </Link>
+                </li>
+              )}
+              {can('orders') && (
+                <li>
+                  <Link
+                    to="/admin/dashboard"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/dashboard' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaTachometerAlt className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Dashboard</span>
+                  </Link>
+                </li>
+              )}
+              {can('orders') && (
+                <li>
+                  <Link
+                    to="/admin/notifications"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/notifications' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaBell className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Notifications</span>
+                  </Link>
+                </li>
+              )}
+              {can('users') && (
+                <li>
+                  <Link
+                    to="/admin/users"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/users' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaUsers className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Users</span>
+                  </Link>
+                </li>
+              )}
+              {can('orders') && (
+                <li>
+                  <Link
+                    to="/admin/orders"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/orders' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaShoppingCart className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Orders</span>
+                  </Link>
+                </li>
+              )}
+              {can('orders') && (
+                <li>
+                  <Link
+                    to="/admin/kitchen"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/kitchen' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaUtensils className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Kitchen Board</span>
+                  </Link>
+                </li>
+              )}
+              {can('orders') && (
+                <li>
+                  <Link
+                    to="/admin/order-tracking"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/order-tracking' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaTruck className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Order Tracking</span>
+                  </Link>
+                </li>
+              )}
+              {can('catalog') && (
+                <li>
+                  <Link
+                    to="/admin/products"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/products' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaList className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Products</span>
+                  </Link>
+                </li>
+              )}
+              {can('catalog') && (
+                <li>
+                  <Link
+                    to="/admin/categories"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/categories' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaList className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Categories</span>
+                  </Link>
+                </li>
+              )}
+              {can('inventory') && (
+                <li>
+                  <Link
+                    to="/admin/inventory"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/inventory' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaBox className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Inventory</span>
+                  </Link>
+                </li>
+              )}
               {/* Banners removed: managed statically in codebase */}
-              <li>
-                <Link
-                  to="/admin/locations"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/locations' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaMapMarkerAlt className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Locations</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/time-settings"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/time-settings' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaClock className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Time Settings</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/contacts"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/contacts' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaEnvelope className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Contacts</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/newsletter"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/newsletter' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaEnvelope className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Newsletter</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/rewards"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/rewards' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaGift className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Free Product Rewards</span>
-                </Link>
-              </li>
-              <li>
-                <Link
-                  to="/admin/donations"
-                  onClick={closeSidebarIfOpen}
-                  className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/donations' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
-                >
-                  <FaGraduationCap className="mr-3 flex-shrink-0" />
-                  <span className={!isSidebarOpen ? 'hidden' : ''}>Donations</span>
-                </Link>
-              </li>
+              {can('settings') && (
+                <li>
+                  <Link
+                    to="/admin/locations"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/locations' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaMapMarkerAlt className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Locations</span>
+                  </Link>
+                </li>
+              )}
+              {can('settings') && (
+                <li>
+                  <Link
+                    to="/admin/time-settings"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/time-settings' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaClock className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Time Settings</span>
+                  </Link>
+                </li>
+              )}
+              {can('settings') && (
+                <li>
+                  <Link
+                    to="/admin/email-outbox"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/email-outbox' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaPaperPlane className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Email Outbox</span>
+                  </Link>
+                </li>
+              )}
+              {can('users') && (
+                <li>
+                  <Link
+                    to="/admin/contacts"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/contacts' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaEnvelope className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Contacts</span>
+                  </Link>
+                </li>
+              )}
+              {can('newsletter') && (
+                <li>
+                  <Link
+                    to="/admin/newsletter"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/newsletter' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaEnvelope className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Newsletter</span>
+                  </Link>
+                </li>
+              )}
+              {can('users') && (
+                <li>
+                  <Link
+                    to="/admin/rewards"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/rewards' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaGift className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Free Product Rewards</span>
+                  </Link>
+                </li>
+              )}
+              {can('payments') && (
+                <li>
+                  <Link
+                    to="/admin/donations"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/donations' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaGraduationCap className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Donations</span>
+                  </Link>
+                </li>
+              )}
+              {can('catalog') && (
+                <li>
+                  <Link
+                    to="/admin/coupons"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/coupons' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaTicketAlt className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Coupons</span>
+                  </Link>
+                </li>
+              )}
+              {can('catalog') && (
+                <li>
+                  <Link
+                    to="/admin/reviews"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/reviews' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaStar className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Reviews</span>
+                  </Link>
+                </li>
+              )}
+              {user?.role === 'admin' && (
+                <li>
+                  <Link
+                    to="/admin/audit-log"
+                    onClick={closeSidebarIfOpen}
+                    className={`flex items-center py-3 px-4 font-medium ${location.pathname === '/admin/audit-log' ? 'bg-rose-700 text-white' : 'hover:bg-rose-700'}`}
+                  >
+                    <FaHistory className="mr-3 flex-shrink-0" />
+                    <span className={!isSidebarOpen ? 'hidden' : ''}>Audit Log</span>
+                  </Link>
+                </li>
+              )}
             </ul>
           </nav>
 
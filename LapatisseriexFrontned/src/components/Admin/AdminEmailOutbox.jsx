@@ -0,0 +1,366 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaPaperPlane, FaRedo, FaBan, FaExclamationTriangle, FaChevronDown, FaChevronRight, FaPaperclip } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import apiClient from '../../services/apiService';
+
+const STATUS_TABS = [
+  { value: '', label: 'All' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'sending', label: 'Sending' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-800',
+  sending: 'bg-blue-100 text-blue-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('en-IN') : '—');
+
+const formatResponse = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+};
+
+// Everything in the email outbox: what was sent, what is waiting for a retry and why it failed
+const AdminEmailOutbox = () => {
+  const [result, setResult] = useState({ emails: [], page: 1, pages: 1, total: 0, counts: {}, kinds: [] });
+  const [status, setStatus] = useState('');
+  const [kind, setKind] = useState('');
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const [details, setDetails] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchEmails = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/admin/email-outbox', {
+        params: {
+          page,
+          status: status || undefined,
+          kind: kind || undefined,
+          search: query || undefined
+        }
+      });
+      setResult(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching email outbox:', err);
+      setError('Failed to load the email outbox. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, status, kind, query]);
+
+  useEffect(() => {
+    fetchEmails();
+  }, [fetchEmails]);
+
+  const loadDetail = async (id) => {
+    try {
+      const response = await apiClient.get(`/admin/email-outbox/${id}`);
+      setDetails(prev => ({ ...prev, [id]: response.data.email }));
+    } catch (err) {
+      console.error('Error fetching outbox email:', err);
+      toast.error(err.response?.data?.message || 'Failed to load the email');
+    }
+  };
+
+  const toggleExpanded = (id) => {
+    if (expandedId === id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(id);
+    if (!details[id]) loadDetail(id);
+  };
+
+  const runAction = async (email, action) => {
+    const prompt = action === 'resend'
+      ? `Send "${email.message?.subject || email.kind}" to ${email.recipient || 'the recipient'} again?`
+      : 'Cancel this email? It will not be sent.';
+    if (!window.confirm(prompt)) return;
+
+    try {
+      setBusyId(email._id);
+      const response = await apiClient.post(`/admin/email-outbox/${email._id}/${action}`);
+      if (action === 'resend' && !response.data.sent) {
+        toast.error(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      setDetails(prev => ({ ...prev, [email._id]: response.data.email }));
+      fetchEmails();
+    } catch (err) {
+      console.error(`Error running ${action} on outbox email:`, err);
+      toast.error(err.response?.data?.message || `Failed to ${action} the email`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery(search.trim());
+    setPage(1);
+  };
+
+  const renderDetail = (email) => {
+    const detail = details[email._id];
+    if (!detail) {
+      return <div className="border-t border-gray-100 p-4 text-sm text-gray-500">Loading email...</div>;
+    }
+
+    return (
+      <div className="border-t border-gray-100 p-4 space-y-4 text-sm">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <p className="text-xs text-gray-500">Idempotency key</p>
+            <p className="font-mono text-xs text-gray-800 break-all">{detail.idempotencyKey || '—'}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">Sent at</p>
+            <p className="text-gray-800">{formatDate(detail.sentAt)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">Provider message id</p>
+            <p className="font-mono text-xs text-gray-800 break-all">{detail.providerResponse?.messageId || '—'}</p>
+          </div>
+        </div>
+
+        {detail.cancelledAt && (
+          <p className="text-gray-600">
+            Cancelled {formatDate(detail.cancelledAt)}{detail.cancelledBy?.name && ` by ${detail.cancelledBy.name}`}
+          </p>
+        )}
+
+        {detail.providerResponse?.response && (
+          <div>
+            <p className="text-xs text-gray-500 mb-1">Provider response</p>
+            <pre className="bg-gray-50 rounded p-2 text-xs text-gray-700 whitespace-pre-wrap break-all">
+              {formatResponse(detail.providerResponse.response)}
+            </pre>
+          </div>
+        )}
+
+        {detail.attemptLog?.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="px-3 py-1 text-left font-medium">Attempt at</th>
+                  <th className="px-3 py-1 text-left font-medium">Via</th>
+                  <th className="px-3 py-1 text-left font-medium">Result</th>
+                  <th className="px-3 py-1 text-right font-medium">Took</th>
+                </tr>
+              </thead>
+              <tbody>
+                {detail.attemptLog.map((attempt, index) => (
+                  <tr key={`${attempt.at}-${index}`} className="border-t border-gray-100 align-top">
+                    <td className="px-3 py-1 text-gray-700">{formatDate(attempt.at)}</td>
+                    <td className="px-3 py-1 text-gray-700">{attempt.transport}</td>
+                    <td className={`px-3 py-1 break-all ${attempt.success ? 'text-green-700' : 'text-red-700'}`}>
+                      {attempt.success ? attempt.response || 'Sent' : attempt.error}
+                    </td>
+                    <td className="px-3 py-1 text-right text-gray-500">
+                      {attempt.durationMs != null ? `${attempt.durationMs} ms` : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {detail.message?.attachments?.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {detail.message.attachments.map((attachment, index) => (
+              <span key={`${attachment.filename}-${index}`} className="inline-flex items-center gap-1 px-2 py-1 rounded bg-gray-100 text-xs text-gray-700">
+                <FaPaperclip /> {attachment.filename || attachment.cid || 'attachment'}
+                {attachment.size != null && <span className="text-gray-500">({Math.ceil(attachment.size / 1024)} KB)</span>}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {detail.sensitive ? (
+          <p className="text-gray-500 italic">This email contains a one-time code, so its content is not shown.</p>
+        ) : detail.message?.html ? (
+          // Sandboxed so nothing in the email can run scripts in the admin panel
+          <iframe
+            title={`Email ${detail._id}`}
+            sandbox=""
+            srcDoc={detail.message.html}
+            className="w-full h-96 border border-gray-200 rounded bg-white"
+          />
+        ) : detail.delegate?.endpoint ? (
+          <div>
+            <p className="text-xs text-gray-500 mb-1">
+              Sent through the email API: <span className="font-mono">{detail.delegate.endpoint}</span>
+            </p>
+            <pre className="bg-gray-50 rounded p-2 text-xs text-gray-700 whitespace-pre-wrap break-all max-h-64 overflow-y-auto">
+              {formatResponse(detail.delegate.payload)}
+            </pre>
+          </div>
+        ) : detail.message?.text ? (
+          <pre className="bg-gray-50 rounded p-2 text-xs text-gray-700 whitespace-pre-wrap">{detail.message.text}</pre>
+        ) : null}
+      </div>
+    );
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div className="flex items-center">
+          <FaPaperPlane className="text-2xl text-rose-600 mr-3" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Email Outbox</h1>
+            <p className="text-sm text-gray-500">Failed emails are retried automatically with increasing gaps</p>
+          </div>
+        </div>
+        <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={kind}
+            onChange={(e) => { setKind(e.target.value); setPage(1); }}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+          >
+            <option value="">All emails</option>
+            {result.kinds.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Recipient, order or subject"
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+          />
+          <button type="submit" className="px-3 py-2 rounded-md bg-rose-600 text-white hover:bg-rose-700">Search</button>
+        </form>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => { setStatus(tab.value); setPage(1); }}
+            className={`px-3 py-1.5 text-sm rounded-md border ${
+              status === tab.value ? 'bg-rose-600 border-rose-600 text-white' : 'bg-white border-gray-200 text-gray-700 hover:bg-rose-50'
+            }`}
+          >
+            {tab.label}
+            {tab.value && result.counts[tab.value] ? ` (${result.counts[tab.value]})` : ''}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center rounded-md bg-red-50 p-4 text-red-700">
+          <FaExclamationTriangle className="mr-2" /> {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading email outbox...</div>
+      ) : result.emails.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No emails match these filters.</div>
+      ) : (
+        <div className="space-y-2">
+          {result.emails.map(email => {
+            const canResend = !email.sensitive && email.status !== 'sending';
+            const canCancel = email.status === 'pending' || email.status === 'failed';
+            return (
+              <div key={email._id} className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <div className="flex flex-col md:flex-row md:items-center gap-2 p-3 text-sm">
+                  <button
+                    onClick={() => toggleExpanded(email._id)}
+                    className="flex-1 min-w-0 flex flex-col md:flex-row md:items-center gap-2 text-left"
+                  >
+                    <div className="flex items-center gap-2 md:w-44 flex-shrink-0">
+                      {expandedId === email._id ? <FaChevronDown className="text-gray-400" /> : <FaChevronRight className="text-gray-400" />}
+                      <span className="text-gray-500">{formatDate(email.createdAt)}</span>
+                    </div>
+                    <span className={`px-2 py-0.5 rounded text-xs font-semibold w-fit ${STATUS_STYLES[email.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {email.status}
+                    </span>
+                    <div className="flex-1 min-w-0">
+                      <p className="truncate font-medium text-gray-900">
+                        {email.message?.subject || email.delegate?.endpoint || email.kind}
+                      </p>
+                      <p className="truncate text-xs text-gray-500">
+                        {email.kind} · {email.recipient || '—'}{email.orderNumber && ` · #${email.orderNumber}`}
+                      </p>
+                      {email.lastError && email.status !== 'sent' && (
+                        <p className="truncate text-xs text-red-600">{email.lastError}</p>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-500 md:text-right flex-shrink-0">
+                      <p>Attempts {email.attempts}/{email.maxAttempts}</p>
+                      {email.status === 'pending' && <p>Next: {formatDate(email.nextAttemptAt)}</p>}
+                    </div>
+                  </button>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    {canResend && (
+                      <button
+                        onClick={() => runAction(email, 'resend')}
+                        disabled={busyId === email._id}
+                        className="inline-flex items-center px-3 py-1.5 rounded-md border border-rose-200 text-rose-700 hover:bg-rose-50 disabled:opacity-50"
+                      >
+                        <FaRedo className="mr-2" /> {email.status === 'sent' ? 'Resend' : 'Send now'}
+                      </button>
+                    )}
+                    {canCancel && (
+                      <button
+                        onClick={() => runAction(email, 'cancel')}
+                        disabled={busyId === email._id}
+                        className="inline-flex items-center px-3 py-1.5 rounded-md border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        <FaBan className="mr-2" /> Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {expandedId === email._id && renderDetail(email)}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {result.pages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-6 text-sm">
+          <button
+            onClick={() => setPage(prev => Math.max(1, prev - 1))}
+            disabled={page <= 1}
+            className="px-3 py-1.5 rounded-md border border-gray-200 bg-white hover:bg-rose-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {result.page} of {result.pages}</span>
+          <button
+            onClick={() => setPage(prev => Math.min(result.pages, prev + 1))}
+            disabled={page >= result.pages}
+            className="px-3 py-1.5 rounded-md border border-gray-200 bg-white hover:bg-rose-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminEmailOutbox;
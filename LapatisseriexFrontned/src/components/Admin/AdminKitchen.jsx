@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { FaUtensils, FaCheck, FaSyncAlt, FaExclamationTriangle, FaBirthdayCake } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import apiClient from '../../services/apiService';
+import webSocketService from '../../services/websocketService';
+
+const WINDOW_OPTIONS = [4, 8, 12, 24, 48];
+
+const formatDueAt = (value) => {
+  if (!value) return 'ASAP';
+  return new Date(value).toLocaleString('en-IN', {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const AdminKitchen = () => {
+  const [board, setBoard] = useState({ rows: [], slots: [], totals: { orders: 0, items: 0 } });
+  const [hours, setHours] = useState(12);
+  const [slot, setSlot] = useState('');
+  // Slot choices come from the hour window so picking one slot keeps the others listed
+  const [windowSlots, setWindowSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingKey, setSavingKey] = useState(null);
+  const refreshTimeoutRef = useRef(null);
+
+  const fetchBoard = useCallback(async (silent = false) => {
+    try {
+      if (!silent) setLoading(true);
+      const response = await apiClient.get('/admin/kitchen', {
+        params: slot ? { slot } : { hours }
+      });
+      setBoard(response.data);
+      if (!slot) setWindowSlots(response.data.slots || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching kitchen board:', err);
+      setError('Failed to load the kitchen board. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [hours, slot]);
+
+  useEffect(() => {
+    fetchBoard();
+  }, [fetchBoard]);
+
+  useEffect(() => {
+    webSocketService.connect(null);
+
+    // New orders and status changes arrive in bursts; refresh once they settle
+    const scheduleRefresh = () => {
+      if (refreshTimeoutRef.current) clearTimeout(refreshTimeoutRef.current);
+      refreshTimeoutRef.current = setTimeout(() => {
+        refreshTimeoutRef.current = null;
+        fetchBoard(true);
+      }, 400);
+    };
+
+    const handleNewOrderPlaced = (payload = {}) => {
+      if (payload.orderNumber) toast.success(`New order #${payload.orderNumber} added to the board`);
+      scheduleRefresh();
+    };
+
+    webSocketService.onNewOrderPlaced(handleNewOrderPlaced);
+    webSocketService.onOrderStatusUpdated(scheduleRefresh);
+    webSocketService.onKitchenBoardUpdated(scheduleRefresh);
+
+    return () => {
+      webSocketService.offNewOrderPlaced(handleNewOrderPlaced);
+      webSocketService.offOrderStatusUpdated(scheduleRefresh);
+      webSocketService.offKitchenBoardUpdated(scheduleRefresh);
+      if (refreshTimeoutRef.current) {
+        clearTimeout(refreshTimeoutRef.current);
+        refreshTimeoutRef.current = null;
+      }
+    };
+  }, [fetchBoard]);
+
+  const markPrepared = async (row, orders = row.orders) => {
+    const items = orders.flatMap(order => order.itemIds.map(itemId => ({ orderId: order.orderId, itemId })));
+    const key = orders.length === 1 ? `${row.key}:${orders[0].orderId}` : row.key;
+    try {
+      setSavingKey(key);
+      const response = await apiClient.post('/admin/kitchen/prepared', { items });
+      toast.success(response.data.message);
+      fetchBoard(true);
+    } catch (err) {
+      console.error('Error marking batch prepared:', err);
+      toast.error(err.response?.data?.message || 'Failed to mark batch as prepared');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div className="flex items-center">
+          <FaUtensils className="text-2xl text-rose-600 mr-3" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Kitchen Board</h1>
+            <p className="text-sm text-gray-500">
+              {board.totals.items} item(s) to bake across {board.totals.orders} order(s)
+            </p>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={slot}
+            onChange={(e) => setSlot(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-rose-500"
+          >
+            <option value="">Next {hours} hours</option>
+            {windowSlots.map(entry => (
+              <option key={entry.key} value={entry.key}>
+                {entry.label} ({entry.orderCount})
+              </option>
+            ))}
+          </select>
+          {!slot && (
+            <select
+              value={hours}
+              onChange={(e) => setHours(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-rose-500"
+            >
+              {WINDOW_OPTIONS.map(option => (
+                <option key={option} value={option}>{option} hours</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={() => fetchBoard()}
+            className="inline-flex items-center px-3 py-2 text-sm rounded-md border border-gray-200 bg-white text-gray-700 hover:bg-rose-50"
+          >
+            <FaSyncAlt className="mr-2" /> Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center rounded-md bg-red-50 p-4 text-red-700">
+          <FaExclamationTriangle className="mr-2" /> {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading kitchen board...</div>
+      ) : board.rows.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">Nothing to bake in this window.</div>
+      ) : (
+        <div className="space-y-3">
+          {board.rows.map(row => (
+            <div key={row.key} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                <div className="flex gap-3 min-w-0">
+                  {row.image && (
+                    <img src={row.image} alt="" className="h-16 w-16 rounded object-cover flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="font-semibold text-gray-900">
+                      {row.customCake && <FaBirthdayCake className="inline mr-1 text-rose-500" />}
+                      {row.productName}
+                      {row.variantLabel && <span className="ml-2 text-sm font-normal text-gray-500">{row.variantLabel}</span>}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">Earliest due: {formatDueAt(row.dueAt)}</p>
+                    {row.customizations.length > 0 && (
+                      <ul className="mt-2 text-sm text-gray-700 space-y-0.5">
+                        {row.customizations.map(entry => (
+                          <li key={entry.summary}>
+                            <span className="font-medium">{entry.quantity}×</span> {entry.summary}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {row.customCake && (
+                      <div className="mt-2 text-sm text-gray-700 space-y-0.5">
+                        <p className="text-xs text-gray-500">Request {row.customCake.requestNumber}</p>
+                        {row.customCake.messageOnCake && <p>Message: “{row.customCake.messageOnCake}”</p>}
+                        {row.customCake.designNotes && <p>Design: {row.customCake.designNotes}</p>}
+                        {row.customCake.referenceImages.length > 0 && (
+                          <div className="flex gap-2 mt-1">
+                            {row.customCake.referenceImages.map(url => (
+                              <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                                <img src={url} alt="" className="h-10 w-10 rounded object-cover" />
+                              </a>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0">
+                  <span className="text-3xl font-bold text-rose-600">{row.quantity}</span>
+                  <button
+                    onClick={() => markPrepared(row)}
+                    disabled={savingKey === row.key}
+                    className="inline-flex items-center px-3 py-2 text-sm rounded-md bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <FaCheck className="mr-2" /> Batch prepared
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-3 border-t border-gray-100 pt-3 grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+                {row.orders.map(order => (
+                  <div key={order.orderId} className="flex items-center justify-between rounded-md bg-gray-50 px-3 py-2 text-sm">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-800">
+                        #{order.orderNumber} <span className="text-gray-500">× {order.quantity}</span>
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {order.deliverySlot?.label || 'ASAP'}{order.hostelName && ` · ${order.hostelName}`}
+                      </p>
+                      {order.notes && <p className="text-xs text-amber-700 truncate">Note: {order.notes}</p>}
+                    </div>
+                    <button
+                      onClick={() => markPrepared(row, [order])}
+                      disabled={savingKey === `${row.key}:${order.orderId}`}
+                      title="Mark this order's share as prepared"
+                      className="ml-2 p-2 rounded-md text-green-700 hover:bg-green-100 disabled:opacity-50"
+                    >
+                      <FaCheck />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminKitchen;
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { FaMapMarkerAlt, FaPlus, FaEdit, FaTrash, FaToggleOn, FaToggleOff, FaExclamationTriangle, FaBuilding, FaEye, FaChevronDown, FaChevronUp } from 'react-icons/fa';
+import { FaMapMarkerAlt, FaPlus, FaEdit, FaTrash, FaToggleOn, FaToggleOff, FaExclamationTriangle, FaBuilding, FaEye, FaChevronDown, FaChevronUp, FaDrawPolygon } from 'react-icons/fa';
+import DeliveryChargeRules from './DeliveryChargeRules';
+import LocationZoneModal from './LocationZoneModal';
 
 const AdminLocations = () => {
   const [locations, setLocations] = useState([]);
@@ -16,6 +18,8 @@ const AdminLocations = () => {
   const [editingHostel, setEditingHostel] = useState(null);
   const [selectedLocationForHostels, setSelectedLocationForHostels] = useState(null);
   const [expandedLocation, setExpandedLocation] = useState(null);
+  // Delivery zone editor
+  const [zoneLocation, setZoneLocation] = useState(null);
   // Auth state
   const [authUser, setAuthUser] = useState(null);
   const [authReady, setAuthReady] = useState(false);
@@ -25,6 +29,7 @@ const AdminLocations = () => {
     area: '',
     pincode: '',
     deliveryCharge: 49,
+    etaMinutes: 45,
     isActive: true
   });
   
@@ -369,6 +374,7 @@ const AdminLocations = () => {
       area: '',
       pincode: '',
       deliveryCharge: 49,
+      etaMinutes: 45,
       isActive: true
     });
   };
@@ -391,6 +397,7 @@ const AdminLocations = () => {
       area: location.area,
       pincode: location.pincode,
       deliveryCharge: location.deliveryCharge || 49, // Default to 49 if undefined
+      etaMinutes: location.etaMinutes || 45,
       isActive: location.isActive
     });
   };
@@ -567,6 +574,13 @@ const AdminLocations = () => {
                   >
                     <FaEdit />
                   </button>
+                  <button
+                    onClick={() => setZoneLocation(location)}
+                    className={location.serviceArea || location.center ? 'text-purple-600 hover:text-purple-900' : 'text-gray-400 hover:text-gray-700'}
+                    title="Edit delivery zone"
+                  >
+                    <FaDrawPolygon />
+                  </button>
                   <button
                     onClick={() => deleteLocation(location._id)}
                     className="text-red-600 hover:text-red-900"
@@ -764,6 +778,13 @@ const AdminLocations = () => {
                         >
                           <FaEdit />
                         </button>
+                        <button
+                          onClick={() => setZoneLocation(location)}
+                          className={location.serviceArea || location.center ? 'text-purple-600 hover:text-purple-900' : 'text-gray-400 hover:text-gray-700'}
+                          title="Edit delivery zone"
+                        >
+                          <FaDrawPolygon />
+                        </button>
                         <button
                           onClick={() => deleteLocation(location._id)}
                           className="text-red-600 hover:text-red-900"
@@ -842,6 +863,20 @@ const AdminLocations = () => {
           </tbody>
         </table>
       </div>
+
+      {/* Delivery charge rules on top of the flat per-location charge */}
+      {authUser && <DeliveryChargeRules locations={locations} hostels={hostels} />}
+
+      {zoneLocation && (
+        <LocationZoneModal
+          location={zoneLocation}
+          onClose={() => setZoneLocation(null)}
+          onSaved={() => {
+            setZoneLocation(null);
+            fetchLocations();
+          }}
+        />
+      )}
       
       {/* Add/Edit Location Modal */}
       {(showAddModal || editingLocation) && (
@@ -915,7 +950,25 @@ const AdminLocations = () => {
                     min="0"
                     step="1"
                   />
-                  <p className="text-xs text-gray-500 mt-1">Set to 0 for free delivery in this area</p>
+                  <p className="text-xs text-gray-500 mt-1">Set to 0 for free delivery in this area. Delivery rules below can adjust it at checkout.</p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-black mb-1">
+                    Delivery Time (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    name="etaMinutes"
+                    value={formData.etaMinutes}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-black focus:border-black font-medium"
+                    placeholder="e.g. 45"
+                    min="5"
+                    max="1440"
+                    step="5"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Shown to customers when they check delivery to this area.</p>
                 </div>
                 
                 <div className="flex items-center">
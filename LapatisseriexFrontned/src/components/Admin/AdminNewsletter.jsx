@@ -13,6 +13,7 @@ import {
   FaTimes,
   FaChartLine
 } from 'react-icons/fa';
+import AdminNewsletterCampaigns from './AdminNewsletterCampaigns';
 
 const AdminNewsletter = () => {
   const [subscribers, setSubscribers] = useState([]);
@@ -34,7 +35,7 @@ const AdminNewsletter = () => {
   // Modals
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
-  const [showSendModal, setShowSendModal] = useState(false);
+  const [showCampaignEditor, setShowCampaignEditor] = useState(false);
   const [selectedSubscriber, setSelectedSubscriber] = useState(null);
   
   // Form states
@@ -42,16 +43,7 @@ const AdminNewsletter = () => {
   const [editEmail, setEditEmail] = useState('');
   const [editStatus, setEditStatus] = useState('active');
   
-  // Newsletter form
-  const [newsletterSubject, setNewsletterSubject] = useState('');
-  const [newsletterTitle, setNewsletterTitle] = useState('');
-  const [newsletterBody, setNewsletterBody] = useState('');
-  const [newsletterCtaText, setNewsletterCtaText] = useState('');
-  const [newsletterCtaLink, setNewsletterCtaLink] = useState('');
-  const [sending, setSending] = useState(false);
-  
   const API_URL = import.meta.env.VITE_API_URL;
-  const VERCEL_URL = import.meta.env.VITE_VERCEL_API_URL;
   
   // Fetch subscribers (correct implementation)
   const fetchSubscribers = async () => {
@@ -122,46 +114,6 @@ const AdminNewsletter = () => {
     }
   };
   
-  // Send newsletter
-  const handleSendNewsletter = async (e) => {
-    e.preventDefault();
-    if (!window.confirm(`Send newsletter to all ${stats?.activeSubscribers || 0} active subscribers?`)) return;
-    
-    setSending(true);
-    try {
-      const { getAuth } = await import('firebase/auth');
-      const auth = getAuth();
-      const idToken = await auth.currentUser.getIdToken(true);
-      
-      const response = await axios.post(
-        `${VERCEL_URL}/newsletter/admin/send`,
-        {
-          subject: newsletterSubject,
-          title: newsletterTitle,
-          body: newsletterBody,
-          ctaText: newsletterCtaText,
-          ctaLink: newsletterCtaLink
-        },
-        { headers: { Authorization: `Bearer ${idToken}` } }
-      );
-      
-      setSuccess(`Newsletter sent to ${response.data.data.sent} subscribers!`);
-      setShowSendModal(false);
-      // Reset form
-      setNewsletterSubject('');
-      setNewsletterTitle('');
-      setNewsletterBody('');
-      setNewsletterCtaText('');
-      setNewsletterCtaLink('');
-      setTimeout(() => setSuccess(null), 5000);
-    } catch (err) {
-      setError(err.response?.data?.message || 'Failed to send newsletter');
-      setTimeout(() => setError(null), 5000);
-    } finally {
-      setSending(false);
-    }
-  };
-  
   // Add subscriber (Admin)
   const handleAddSubscriber = async (e) => {
     e.preventDefault();
@@ -284,13 +236,13 @@ const AdminNewsletter = () => {
             onClick={() => {
               // Auto-collapse sidebar on mobile to prevent modal collision
               window.dispatchEvent(new CustomEvent('adminForceSidebarClose'));
-              setShowSendModal(true);
+              setShowCampaignEditor(true);
             }}
             className="inline-flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 text-sm font-medium"
           >
             <FaPaperPlane />
-            <span className="hidden sm:inline">Send Newsletter</span>
-            <span className="sm:hidden">Send</span>
+            <span className="hidden sm:inline">New Campaign</span>
+            <span className="sm:hidden">Campaign</span>
           </button>
           <button
             onClick={() => {
@@ -353,6 +305,13 @@ const AdminNewsletter = () => {
         </div>
       )}
 
+      {/* Campaigns */}
+      <AdminNewsletterCampaigns
+        editorOpen={showCampaignEditor}
+        onEditorClose={() => setShowCampaignEditor(false)}
+        onSent={fetchSubscribers}
+      />
+
       {/* Mobile search + filter */}
       <div className="sm:hidden mb-4 flex items-center gap-2">
         <input
@@ -633,106 +592,6 @@ const AdminNewsletter = () => {
         </div>
       )}
       
-      {/* Send Newsletter Modal */}
-      {showSendModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[120] p-4 overflow-y-auto" data-modal="send-newsletter">
-          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 my-8">
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-bold text-gray-900">Send Newsletter</h3>
-              <button onClick={() => setShowSendModal(false)} className="text-gray-400 hover:text-gray-600">
-                <FaTimes />
-              </button>
-            </div>
-            <form onSubmit={handleSendNewsletter}>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">Subject *</label>
-                <input
-                  type="text"
-                  value={newsletterSubject}
-                  onChange={(e) => setNewsletterSubject(e.target.value)}
-                  required
-                  className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-300"
-                  placeholder="Newsletter Subject"
-                />
-              </div>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">Title (Optional)</label>
-                <input
-                  type="text"
-                  value={newsletterTitle}
-                  onChange={(e) => setNewsletterTitle(e.target.value)}
-                  className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-300"
-                  placeholder="E.g., SPECIAL ANNOUNCEMENT"
-                />
-              </div>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">Body (HTML Allowed) *</label>
-                <textarea
-                  value={newsletterBody}
-                  onChange={(e) => setNewsletterBody(e.target.value)}
-                  required
-                  rows="8"
-                  className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-300 font-mono"
-                  placeholder="<p>Your newsletter content here...</p>"
-                />
-              </div>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">CTA Button Text (Optional)</label>
-                  <input
-                    type="text"
-                    value={newsletterCtaText}
-                    onChange={(e) => setNewsletterCtaText(e.target.value)}
-                    className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-300"
-                    placeholder="SHOP NOW"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">CTA Link (Optional)</label>
-                  <input
-                    type="url"
-                    value={newsletterCtaLink}
-                    onChange={(e) => setNewsletterCtaLink(e.target.value)}
-                    className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-300"
-                    placeholder="https://..."
-                  />
-                </div>
-              </div>
-              <div className="bg-purple-50 border border-purple-200 rounded p-3 mb-4">
-                <p className="text-xs text-purple-800">
-                  📧 This will be sent to <strong>{stats?.activeSubscribers || 0}</strong> active subscribers
-                </p>
-              </div>
-              <div className="flex gap-2">
-                <button
-                  type="button"
-                  onClick={() => setShowSendModal(false)}
-                  disabled={sending}
-                  className="flex-1 px-4 py-2 border border-gray-300 rounded text-sm hover:bg-gray-50 disabled:opacity-50"
-                >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  disabled={sending}
-                  className="flex-1 px-4 py-2 bg-purple-600 text-white rounded text-sm hover:bg-purple-700 disabled:opacity-50 flex items-center justify-center gap-2"
-                >
-                  {sending ? (
-                    <>
-                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                      Sending...
-                    </>
-                  ) : (
-                    <>
-                      <FaPaperPlane /> Send Newsletter
-                    </>
-                  )}
-                </button>
-              </div>
-            </form>
-          </div>
-        </div>
-      )}
     </div>
   );
 };
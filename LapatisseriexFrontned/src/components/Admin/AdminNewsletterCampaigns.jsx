@@ -0,0 +1,664 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import {
+  FaBullhorn,
+  FaCalendarAlt,
+  FaChevronDown,
+  FaChevronUp,
+  FaEdit,
+  FaPaperPlane,
+  FaSyncAlt,
+  FaTimes,
+  FaTrash,
+  FaUsers
+} from 'react-icons/fa';
+
+const API_URL = import.meta.env.VITE_API_URL;
+
+const STATUS_TABS = ['', 'draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  scheduled: 'bg-blue-100 text-blue-800',
+  sending: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const SEGMENT_OPTIONS = [
+  { value: 'all', label: 'All active subscribers' },
+  { value: 'customers', label: 'Subscribers who have ordered' },
+  { value: 'location', label: 'Customers in a location / hostel' },
+  { value: 'lapsed', label: "Lapsed customers (haven't ordered recently)" },
+  { value: 'loyalty_eligible', label: 'Loyalty reward eligible' },
+  { value: 'source', label: 'Signed up from a source' }
+];
+
+const SOURCE_OPTIONS = ['footer', 'homepage', 'admin', 'checkout', 'other'];
+
+// Subscribers who switched a topic off in their email preferences are left out
+const CATEGORY_OPTIONS = [
+  { value: '', label: 'General newsletter' },
+  { value: 'newProducts', label: 'New products' },
+  { value: 'discounts', label: 'Discounts & offers' },
+  { value: 'rewards', label: 'Rewards' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  subjectA: '',
+  subjectB: '',
+  abTest: false,
+  title: '',
+  body: '',
+  ctaText: '',
+  ctaLink: '',
+  segmentType: 'all',
+  locationId: '',
+  hostelId: '',
+  lapsedDays: 45,
+  source: 'footer',
+  category: '',
+  sendMode: 'now',
+  scheduledAt: ''
+};
+
+const getAuthHeaders = async () => {
+  const { getAuth } = await import('firebase/auth');
+  const idToken = await getAuth().currentUser.getIdToken(true);
+  return { headers: { Authorization: `Bearer ${idToken}` } };
+};
+
+const percent = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : '—');
+
+// datetime-local wants "YYYY-MM-DDTHH:mm" in local time
+const toLocalInputValue = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  const offsetMs = d.getTimezoneOffset() * 60 * 1000;
+  return new Date(d.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+const describeSegment = (segment, locations) => {
+  if (!segment) return 'All active subscribers';
+  switch (segment.type) {
+    case 'customers':
+      return 'Subscribers who have ordered';
+    case 'location': {
+      const location = locations.find(l => l._id === segment.locationId);
+      return `Customers in ${location ? location.area : 'a location'}${segment.hostelId ? ' (one hostel)' : ''}`;
+    }
+    case 'lapsed':
+      return `No order in ${segment.lapsedDays} days`;
+    case 'loyalty_eligible':
+      return 'Loyalty reward eligible';
+    case 'source':
+      return `Signed up from ${segment.source}`;
+    default:
+      return 'All active subscribers';
+  }
+};
+
+const formFromCampaign = (campaign) => ({
+  ...EMPTY_FORM,
+  name: campaign.name,
+  subjectA: campaign.variants[0]?.subject || '',
+  subjectB: campaign.variants[1]?.subject || '',
+  abTest: campaign.variants.length > 1,
+  title: campaign.content?.title || '',
+  body: campaign.content?.body || '',
+  ctaText: campaign.content?.ctaText || '',
+  ctaLink: campaign.content?.ctaLink || '',
+  segmentType: campaign.segment?.type || 'all',
+  locationId: campaign.segment?.locationId || '',
+  hostelId: campaign.segment?.hostelId || '',
+  lapsedDays: campaign.segment?.lapsedDays || 45,
+  source: campaign.segment?.source || 'footer',
+  category: campaign.category || '',
+  sendMode: campaign.status === 'scheduled' ? 'later' : 'now',
+  scheduledAt: campaign.status === 'scheduled' ? toLocalInputValue(campaign.scheduledAt) : ''
+});
+
+const segmentFromForm = (form) => ({
+  type: form.segmentType,
+  locationId: form.locationId || null,
+  hostelId: form.hostelId || null,
+  lapsedDays: Number(form.lapsedDays) || 45,
+  source: form.source
+});
+
+/**
+ * Newsletter campaigns: list with delivery/open/click stats per subject line, and the editor
+ * for writing, targeting and scheduling a campaign.
+ */
+const AdminNewsletterCampaigns = ({ editorOpen, onEditorClose, onSent }) => {
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Editor
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [audienceCount, setAudienceCount] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [hostels, setHostels] = useState([]);
+
+  const showEditor = editorOpen || editingId !== null;
+
+  const fetchCampaigns = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams();
+      if (statusFilter) params.set('status', statusFilter);
+      const response = await axios.get(
+        `${API_URL}/newsletter/admin/campaigns?${params.toString()}`,
+        await getAuthHeaders()
+      );
+      setCampaigns(response.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load campaigns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCampaigns();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statusFilter]);
+
+  // Refresh while a campaign is going out so the numbers move
+  useEffect(() => {
+    if (!campaigns.some(c => c.status === 'sending')) return undefined;
+    const timer = setInterval(fetchCampaigns, 10000);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [campaigns]);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/locations`)
+      .then(response => setLocations(response.data || []))
+      .catch(() => setLocations([]));
+  }, []);
+
+  useEffect(() => {
+    if (!form.locationId) {
+      setHostels([]);
+      return;
+    }
+    axios.get(`${API_URL}/hostels/location/${form.locationId}`)
+      .then(response => setHostels(response.data || []))
+      .catch(() => setHostels([]));
+  }, [form.locationId]);
+
+  // Live audience size for the chosen segment
+  useEffect(() => {
+    if (!showEditor) return undefined;
+    if (form.segmentType === 'location' && !form.locationId) {
+      setAudienceCount(null);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.post(
+          `${API_URL}/newsletter/admin/campaigns/audience`,
+          { segment: segmentFromForm(form), category: form.category || null },
+          await getAuthHeaders()
+        );
+        setAudienceCount(response.data.data.count);
+      } catch {
+        setAudienceCount(null);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [showEditor, form.segmentType, form.locationId, form.hostelId, form.lapsedDays, form.source, form.category]);
+
+  const updateForm = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({
+      ...prev,
+      [field]: value,
+      ...(field === 'locationId' ? { hostelId: '' } : {})
+    }));
+  };
+
+  const closeEditor = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setAudienceCount(null);
+    onEditorClose?.();
+  };
+
+  const openEdit = (campaign) => {
+    window.dispatchEvent(new CustomEvent('adminForceSidebarClose'));
+    setForm(formFromCampaign(campaign));
+    setEditingId(campaign._id);
+  };
+
+  const buildPayload = () => ({
+    name: form.name,
+    subjects: form.abTest ? [form.subjectA, form.subjectB] : [form.subjectA],
+    title: form.title,
+    body: form.body,
+    ctaText: form.ctaText,
+    ctaLink: form.ctaLink,
+    segment: segmentFromForm(form),
+    category: form.category || null
+  });
+
+  const saveCampaign = async () => {
+    const auth = await getAuthHeaders();
+    const response = editingId
+      ? await axios.put(`${API_URL}/newsletter/admin/campaigns/${editingId}`, buildPayload(), auth)
+      : await axios.post(`${API_URL}/newsletter/admin/campaigns`, buildPayload(), auth);
+    return response.data.data;
+  };
+
+  const handleSaveDraft = async () => {
+    setSaving(true);
+    try {
+      await saveCampaign();
+      toast.success('Campaign saved');
+      closeEditor();
+      fetchCampaigns();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save campaign');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const later = form.sendMode === 'later';
+    if (later && !form.scheduledAt) {
+      toast.error('Pick when the campaign should go out');
+      return;
+    }
+    if (!later && !window.confirm(`Send this campaign to ${audienceCount ?? 'all matching'} subscribers now?`)) return;
+
+    setSaving(true);
+    try {
+      const campaign = await saveCampaign();
+      const response = await axios.post(
+        `${API_URL}/newsletter/admin/campaigns/${campaign._id}/schedule`,
+        later ? { scheduledAt: new Date(form.scheduledAt).toISOString() } : {},
+        await getAuthHeaders()
+      );
+      toast.success(response.data.message);
+      closeEditor();
+      fetchCampaigns();
+      onSent?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send campaign');
+      // The draft may have been created before scheduling failed
+      fetchCampaigns();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendNow = async (campaign) => {
+    if (!window.confirm(`Send "${campaign.name}" now?`)) return;
+    try {
+      const response = await axios.post(
+        `${API_URL}/newsletter/admin/campaigns/${campaign._id}/schedule`,
+        {},
+        await getAuthHeaders()
+      );
+      toast.success(response.data.message);
+      fetchCampaigns();
+      onSent?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send campaign');
+    }
+  };
+
+  const handleCancel = async (campaign) => {
+    if (!window.confirm(`Cancel "${campaign.name}"? It will not be sent.`)) return;
+    try {
+      await axios.post(`${API_URL}/newsletter/admin/campaigns/${campaign._id}/cancel`, {}, await getAuthHeaders());
+      toast.success('Campaign cancelled');
+      fetchCampaigns();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to cancel campaign');
+    }
+  };
+
+  const handleDelete = async (campaign) => {
+    if (!window.confirm(`Delete "${campaign.name}"?`)) return;
+    try {
+      await axios.delete(`${API_URL}/newsletter/admin/campaigns/${campaign._id}`, await getAuthHeaders());
+      toast.success('Campaign deleted');
+      fetchCampaigns();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete campaign');
+    }
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-300';
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <h2 className="text-lg font-semibold text-black flex items-center gap-2">
+          <FaBullhorn className="text-purple-600" /> Campaigns
+        </h2>
+        <div className="flex items-center gap-2 flex-wrap">
+          {STATUS_TABS.map(status => (
+            <button
+              key={status || 'all'}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${statusFilter === status ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {status || 'All'}
+            </button>
+          ))}
+          <button
+            onClick={fetchCampaigns}
+            className="inline-flex items-center justify-center px-3 py-1 rounded-md border border-gray-200 hover:bg-gray-50 text-xs"
+            title="Refresh"
+          >
+            <FaSyncAlt className="text-gray-700" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+        </div>
+      ) : campaigns.length === 0 ? (
+        <div className="bg-white border border-gray-100 rounded-lg shadow-sm p-6 text-center">
+          <FaBullhorn className="mx-auto text-gray-300 text-4xl mb-3" />
+          <p className="text-gray-600 text-sm">No campaigns yet</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {campaigns.map(campaign => {
+            const totals = campaign.stats?.totals || {};
+            const expanded = expandedId === campaign._id;
+            const editable = ['draft', 'scheduled'].includes(campaign.status);
+            return (
+              <div key={campaign._id} className="bg-white border border-gray-100 rounded-lg shadow-sm p-4">
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="font-medium text-gray-900 truncate">{campaign.name}</span>
+                      <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[campaign.status]}`}>
+                        {campaign.status}
+                      </span>
+                      {campaign.variants.length > 1 && (
+                        <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-purple-100 text-purple-800">A/B</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-600 mt-1 flex items-center gap-3 flex-wrap">
+                      <span className="flex items-center gap-1"><FaUsers /> {describeSegment(campaign.segment, locations)}</span>
+                      {campaign.status === 'scheduled' && campaign.scheduledAt && (
+                        <span className="flex items-center gap-1"><FaCalendarAlt /> {new Date(campaign.scheduledAt).toLocaleString()}</span>
+                      )}
+                      {campaign.completedAt && <span>Sent {new Date(campaign.completedAt).toLocaleString()}</span>}
+                    </div>
+                    {campaign.lastError && <p className="text-xs text-red-600 mt-1">{campaign.lastError}</p>}
+                  </div>
+
+                  <div className="flex items-center gap-4 text-center">
+                    <div><p className="text-lg font-bold text-gray-900">{totals.recipients ?? 0}</p><p className="text-[11px] text-gray-500">Recipients</p></div>
+                    <div><p className="text-lg font-bold text-green-600">{totals.sent ?? 0}</p><p className="text-[11px] text-gray-500">Delivered</p></div>
+                    <div><p className="text-lg font-bold text-purple-600">{percent(totals.opened, totals.sent)}</p><p className="text-[11px] text-gray-500">Opened</p></div>
+                    <div><p className="text-lg font-bold text-pink-600">{percent(totals.clicked, totals.sent)}</p><p className="text-[11px] text-gray-500">Clicked</p></div>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2 mt-3 flex-wrap">
+                  {campaign.status === 'draft' && (
+                    <button onClick={() => handleSendNow(campaign)} className="inline-flex items-center gap-1 px-3 py-1.5 bg-purple-600 text-white rounded text-xs font-medium hover:bg-purple-700">
+                      <FaPaperPlane /> Send now
+                    </button>
+                  )}
+                  {editable && (
+                    <button onClick={() => openEdit(campaign)} className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded text-xs hover:bg-gray-50">
+                      <FaEdit /> Edit
+                    </button>
+                  )}
+                  {editable && (
+                    <button onClick={() => handleCancel(campaign)} className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded text-xs hover:bg-gray-50">
+                      <FaTimes /> Cancel
+                    </button>
+                  )}
+                  {['draft', 'cancelled'].includes(campaign.status) && (
+                    <button onClick={() => handleDelete(campaign)} className="inline-flex items-center gap-1 px-3 py-1.5 border border-red-200 text-red-600 rounded text-xs hover:bg-red-50">
+                      <FaTrash /> Delete
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setExpandedId(expanded ? null : campaign._id)}
+                    className="ml-auto inline-flex items-center gap-1 px-3 py-1.5 text-xs text-gray-600 hover:text-gray-900"
+                  >
+                    {expanded ? <FaChevronUp /> : <FaChevronDown />} Details
+                  </button>
+                </div>
+
+                {expanded && (
+                  <div className="mt-3 overflow-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-xs">
+                      <thead className="bg-gray-50">
+                        <tr className="text-gray-500 uppercase tracking-wider">
+                          <th className="px-3 py-2 text-left">Subject</th>
+                          <th className="px-3 py-2 text-right">Recipients</th>
+                          <th className="px-3 py-2 text-right">Delivered</th>
+                          <th className="px-3 py-2 text-right">Pending</th>
+                          <th className="px-3 py-2 text-right">Failed</th>
+                          <th className="px-3 py-2 text-right">Opened</th>
+                          <th className="px-3 py-2 text-right">Clicked</th>
+                          <th className="px-3 py-2 text-right">Clicks</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {(campaign.stats?.variants || []).map(variant => (
+                          <tr key={variant.key}>
+                            <td className="px-3 py-2 text-gray-900">
+                              {campaign.variants.length > 1 && <span className="font-semibold mr-1">{variant.key}:</span>}
+                              {variant.subject}
+                            </td>
+                            <td className="px-3 py-2 text-right">{variant.recipients}</td>
+                            <td className="px-3 py-2 text-right">{variant.sent}</td>
+                            <td className="px-3 py-2 text-right">{variant.pending}</td>
+                            <td className="px-3 py-2 text-right">{variant.failed}</td>
+                            <td className="px-3 py-2 text-right">{variant.opened} ({percent(variant.opened, variant.sent)})</td>
+                            <td className="px-3 py-2 text-right">{variant.clicked} ({percent(variant.clicked, variant.sent)})</td>
+                            <td className="px-3 py-2 text-right">{variant.clicks}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Campaign editor */}
+      {showEditor && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[120] p-4 overflow-y-auto" data-modal="newsletter-campaign">
+          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 my-8">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold text-gray-900">{editingId ? 'Edit Campaign' : 'New Campaign'}</h3>
+              <button onClick={closeEditor} className="text-gray-400 hover:text-gray-600">
+                <FaTimes />
+              </button>
+            </div>
+            <form onSubmit={handleSend}>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Campaign Name (Optional)</label>
+                <input type="text" value={form.name} onChange={updateForm('name')} className={inputClass} placeholder="Defaults to the subject" />
+              </div>
+
+              <div className="mb-4">
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700">{form.abTest ? 'Subject A *' : 'Subject *'}</label>
+                  <label className="flex items-center gap-2 text-xs text-gray-600">
+                    <input type="checkbox" checked={form.abTest} onChange={updateForm('abTest')} />
+                    A/B test subject lines
+                  </label>
+                </div>
+                <input type="text" value={form.subjectA} onChange={updateForm('subjectA')} required className={inputClass} placeholder="Newsletter Subject" />
+                {form.abTest && (
+                  <>
+                    <label className="block text-sm font-medium text-gray-700 mt-3 mb-2">Subject B *</label>
+                    <input type="text" value={form.subjectB} onChange={updateForm('subjectB')} required className={inputClass} placeholder="Alternative subject" />
+                    <p className="text-xs text-gray-500 mt-1">Recipients are split evenly at random between the two subjects.</p>
+                  </>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Title (Optional)</label>
+                <input type="text" value={form.title} onChange={updateForm('title')} className={inputClass} placeholder="E.g., SPECIAL ANNOUNCEMENT" />
+              </div>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Body (HTML Allowed) *</label>
+                <textarea
+                  value={form.body}
+                  onChange={updateForm('body')}
+                  required
+                  rows="8"
+                  className={`${inputClass} font-mono`}
+                  placeholder="<p>Your newsletter content here...</p>"
+                />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">CTA Button Text (Optional)</label>
+                  <input type="text" value={form.ctaText} onChange={updateForm('ctaText')} className={inputClass} placeholder="SHOP NOW" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">CTA Link (Optional)</label>
+                  <input type="url" value={form.ctaLink} onChange={updateForm('ctaLink')} className={inputClass} placeholder="https://..." />
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Audience</label>
+                <select value={form.segmentType} onChange={updateForm('segmentType')} className={`${inputClass} bg-white`}>
+                  {SEGMENT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+
+                {form.segmentType === 'location' && (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+                    <select value={form.locationId} onChange={updateForm('locationId')} required className={`${inputClass} bg-white`}>
+                      <option value="">Select location</option>
+                      {locations.map(location => (
+                        <option key={location._id} value={location._id}>{location.area}, {location.city}</option>
+                      ))}
+                    </select>
+                    <select value={form.hostelId} onChange={updateForm('hostelId')} disabled={!form.locationId} className={`${inputClass} bg-white disabled:opacity-50`}>
+                      <option value="">All hostels</option>
+                      {hostels.map(hostel => (
+                        <option key={hostel._id} value={hostel._id}>{hostel.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {form.segmentType === 'lapsed' && (
+                  <div className="mt-3 flex items-center gap-2 text-sm text-gray-700">
+                    <span>No order in the last</span>
+                    <input type="number" min="1" value={form.lapsedDays} onChange={updateForm('lapsedDays')} className="w-20 border border-gray-300 rounded px-2 py-1 text-sm" />
+                    <span>days</span>
+                  </div>
+                )}
+                {form.segmentType === 'source' && (
+                  <select value={form.source} onChange={updateForm('source')} className={`${inputClass} bg-white mt-3 capitalize`}>
+                    {SOURCE_OPTIONS.map(source => (
+                      <option key={source} value={source}>{source}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Topic</label>
+                <select value={form.category} onChange={updateForm('category')} className={`${inputClass} bg-white`}>
+                  {CATEGORY_OPTIONS.map(option => (
+                    <option key={option.value || 'general'} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">When</label>
+                <div className="flex items-center gap-4 text-sm">
+                  <label className="flex items-center gap-2">
+                    <input type="radio" name="sendMode" value="now" checked={form.sendMode === 'now'} onChange={updateForm('sendMode')} />
+                    Send now
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input type="radio" name="sendMode" value="later" checked={form.sendMode === 'later'} onChange={updateForm('sendMode')} />
+                    Schedule
+                  </label>
+                </div>
+                {form.sendMode === 'later' && (
+                  <input
+                    type="datetime-local"
+                    value={form.scheduledAt}
+                    min={toLocalInputValue(new Date())}
+                    onChange={updateForm('scheduledAt')}
+                    required
+                    className={`${inputClass} mt-3`}
+                  />
+                )}
+              </div>
+
+              <div className="bg-purple-50 border border-purple-200 rounded p-3 mb-4">
+                <p className="text-xs text-purple-800">
+                  📧 This will reach <strong>{audienceCount ?? '…'}</strong> active subscribers. Opens and link clicks are tracked.
+                </p>
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={handleSaveDraft}
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded text-sm hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Save Draft
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 bg-purple-600 text-white rounded text-sm hover:bg-purple-700 disabled:opacity-50 flex items-center justify-center gap-2"
+                >
+                  {saving ? (
+                    <>
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                      Saving...
+                    </>
+                  ) : form.sendMode === 'later' ? (
+                    <>
+                      <FaCalendarAlt /> Schedule
+                    </>
+                  ) : (
+                    <>
+                      <FaPaperPlane /> Send Now
+                    </>
+                  )}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminNewsletterCampaigns;
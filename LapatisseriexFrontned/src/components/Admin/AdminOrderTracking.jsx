@@ -10,10 +10,13 @@ import {
   FaBoxOpen,
   FaChevronDown,
   FaChevronRight,
-  FaSync
+  FaSync,
+  FaMotorcycle,
+  FaFilePdf
 } from 'react-icons/fa';
 import { toast } from 'react-hot-toast';
 import { resolveOrderItemVariantLabel } from '../../utils/variantUtils';
+import { formatAddOns } from '../../utils/addOnUtils';
 import webSocketService from '../../services/websocketService';
 
 // CSS for line clamp
@@ -34,8 +37,33 @@ if (typeof document !== 'undefined' && !document.getElementById('admin-order-tra
   document.head.appendChild(styleSheet);
 }
 
+// Grouped orders are batched per delivery slot, then hostel ('asap' = no slot chosen)
+const getSlotKey = (hostelGroup) => hostelGroup?.deliverySlot?.startsAt || 'asap';
+const getGroupKey = (hostelGroup) => `${getSlotKey(hostelGroup)}|${hostelGroup?.hostel}`;
+const getSlotLabel = (hostelGroup) => hostelGroup?.deliverySlot?.label || 'As soon as possible';
+
+// Rider dropdown for a single order or a whole hostel batch; '' unassigns
+const RiderSelect = ({ riders, value, onChange, disabled }) => (
+  <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+    <FaMotorcycle className="text-rose-600" />
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      disabled={disabled}
+      className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-rose-500 disabled:opacity-50"
+    >
+      <option value="">Unassigned</option>
+      {riders.map(rider => (
+        <option key={rider._id} value={rider._id}>
+          {rider.name || rider.phone || rider.email} ({rider.activeOrders} active)
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
 // Individual Order Card Component
-const IndividualOrderCard = ({ order, onDispatchItem, dispatchLoading, dispatchSuccess }) => {
+const IndividualOrderCard = ({ order, onDispatchItem, dispatchLoading, dispatchSuccess, riders = [], onAssignRider, onDownloadPackingSlip }) => {
 
   // Calculate dispatch progress
   const totalItems = order.totalItems || 0;
@@ -62,6 +90,35 @@ const IndividualOrderCard = ({ order, onDispatchItem, dispatchLoading, dispatchS
             <p className="text-sm text-gray-600 break-words">
               {order.userDetails?.name || 'Customer'} • {order.hostelName}
             </p>
+            {order.gift && (
+              <p className="text-sm text-pink-700 break-words">
+                🎁 Gift for {order.gift.recipientName} • {order.gift.recipientPhone}
+              </p>
+            )}
+            {onDownloadPackingSlip && (
+              <button
+                type="button"
+                onClick={() => onDownloadPackingSlip(order)}
+                disabled={Boolean(dispatchLoading[`slip-${order._id}`])}
+                className="mt-1 inline-flex items-center gap-1 text-xs font-medium text-blue-700 hover:text-blue-900 disabled:opacity-50"
+              >
+                {dispatchLoading[`slip-${order._id}`] ? <FaSpinner className="animate-spin" /> : <FaFilePdf />}
+                Packing slip
+              </button>
+            )}
+            {onAssignRider && (
+              <div className="mt-2">
+                <RiderSelect
+                  riders={riders}
+                  value={order.deliveryAgent?._id}
+                  onChange={(agentId) => onAssignRider([order._id], agentId)}
+                  disabled={Boolean(order.deliveryAgent?.pickedUpAt) || Boolean(dispatchLoading[`assign-${order._id}`])}
+                />
+                {order.deliveryAgent?.pickedUpAt && (
+                  <p className="text-xs text-purple-700 mt-1">Picked up by {order.deliveryAgent.name}</p>
+                )}
+              </div>
+            )}
           </div>
           <div className="sm:text-right">
             <p className="text-lg font-bold text-gray-900">₹{order.amount}</p>
@@ -120,6 +177,9 @@ const IndividualOrderCard = ({ order, onDispatchItem, dispatchLoading, dispatchS
                     {variantLabel && (
                       <span className="whitespace-pre-wrap break-words">Variant: {variantLabel}</span>
                     )}
+                    {item.addOns?.length > 0 && (
+                      <span className="whitespace-pre-wrap break-words font-medium text-gray-800">Add-ons: {formatAddOns(item.addOns)}</span>
+                    )}
                     <span>Qty: {item.quantity}</span>
                     <span>Price: ₹{item.price}</span>
                   </div>
@@ -170,6 +230,9 @@ const IndividualOrderCard = ({ order, onDispatchItem, dispatchLoading, dispatchS
                     {variantLabel && (
                       <span className="whitespace-pre-wrap break-words">Variant: {variantLabel}</span>
                     )}
+                    {item.addOns?.length > 0 && (
+                      <span className="whitespace-pre-wrap break-words font-medium text-gray-800">Add-ons: {formatAddOns(item.addOns)}</span>
+                    )}
                     <span>Qty: {item.quantity}</span>
                     <span>Price: ₹{item.price}</span>
                     {item.dispatchedAt && (
@@ -206,6 +269,9 @@ const IndividualOrderCard = ({ order, onDispatchItem, dispatchLoading, dispatchS
                     {variantLabel && (
                       <span className="whitespace-pre-wrap break-words">Variant: {variantLabel}</span>
                     )}
+                    {item.addOns?.length > 0 && (
+                      <span className="whitespace-pre-wrap break-words font-medium text-gray-800">Add-ons: {formatAddOns(item.addOns)}</span>
+                    )}
                     <span>Qty: {item.quantity}</span>
                     <span>Price: ₹{item.price}</span>
                     {item.deliveredAt && (
@@ -274,11 +340,13 @@ const AdminOrderTracking = () => {
   const [customDispatchModal, setCustomDispatchModal] = useState({
     isOpen: false,
     hostel: '',
+    deliverySlot: 'asap',
     category: '',
     productName: '',
     maxCount: 0,
     customCount: 1
   });
+  const [deliveryAgents, setDeliveryAgents] = useState([]);
   const fetchOrderDataRef = useRef(() => {});
   const realtimeRefreshRef = useRef({ timeoutId: null });
   
@@ -381,6 +449,120 @@ const AdminOrderTracking = () => {
 
   fetchOrderDataRef.current = fetchOrderData;
 
+  // Riders for the assignment dropdowns (users with the delivery role)
+  const fetchDeliveryAgents = async () => {
+    try {
+      const token = localStorage.getItem('authToken');
+      if (!token) return;
+
+      const apiBaseUrl = import.meta.env.VITE_VERCEL_API_URL || import.meta.env.VITE_API_URL;
+      const response = await fetch(`${apiBaseUrl}/admin/delivery-agents`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const agents = await response.json();
+      setDeliveryAgents(Array.isArray(agents) ? agents : []);
+    } catch (error) {
+      console.error('Error fetching delivery agents:', error);
+    }
+  };
+
+  // Packing slips and manifests come back as PDF attachments
+  const downloadPdf = async (path, fallbackName, loadingKey) => {
+    try {
+      setDispatchLoading(prev => ({ ...prev, [loadingKey]: true }));
+
+      const token = localStorage.getItem('authToken');
+      if (!token) {
+        toast.error('Authentication required. Please log in.');
+        return;
+      }
+
+      const apiBaseUrl = import.meta.env.VITE_VERCEL_API_URL || import.meta.env.VITE_API_URL;
+      const response = await fetch(`${apiBaseUrl}${path}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', filename);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading PDF:', error);
+      toast.error(error.message || 'Failed to download PDF');
+    } finally {
+      setDispatchLoading(prev => ({ ...prev, [loadingKey]: false }));
+    }
+  };
+
+  const downloadPackingSlip = (order) => downloadPdf(
+    `/admin/orders/${order._id}/packing-slip`,
+    `PackingSlip-${order.orderNumber}.pdf`,
+    `slip-${order._id}`
+  );
+
+  const downloadManifest = (hostelGroup) => downloadPdf(
+    `/admin/orders/manifest?hostel=${encodeURIComponent(hostelGroup.hostel)}&slot=${encodeURIComponent(getSlotKey(hostelGroup))}`,
+    `Manifest-${hostelGroup.hostel}.pdf`,
+    `manifest-${getGroupKey(hostelGroup)}`
+  );
+
+  // Hand orders to a rider, or unassign them with agentId null
+  const assignRider = async (orderIds, agentId) => {
+    const assignKeys = orderIds.map(orderId => `assign-${orderId}`);
+    try {
+      setDispatchLoading(prev => ({ ...prev, ...Object.fromEntries(assignKeys.map(key => [key, true])) }));
+
+      const token = localStorage.getItem('authToken');
+      if (!token) {
+        toast.error('Authentication required. Please log in.');
+        return;
+      }
+
+      const apiBaseUrl = import.meta.env.VITE_VERCEL_API_URL || import.meta.env.VITE_API_URL;
+      const response = await fetch(`${apiBaseUrl}/admin/delivery/assign`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ orderIds, agentId })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      toast.success(result.message);
+      if (result.skipped?.length) {
+        toast.error(`${result.skipped.length} order(s) skipped: ${result.skipped[0].reason}`);
+      }
+      await Promise.all([fetchOrderData(false), fetchDeliveryAgents()]);
+    } catch (error) {
+      console.error('Error assigning rider:', error);
+      toast.error(error.message || 'Failed to assign rider');
+    } finally {
+      setDispatchLoading(prev => ({ ...prev, ...Object.fromEntries(assignKeys.map(key => [key, false])) }));
+    }
+  };
+
   // Refresh data function
   const handleRefresh = () => {
     console.log('Refresh button clicked - calling fetchOrderData with isRefresh=true');
@@ -485,6 +667,7 @@ const AdminOrderTracking = () => {
 
   useEffect(() => {
     fetchOrderData();
+    fetchDeliveryAgents();
   }, []);
 
   // Persist viewMode to localStorage
@@ -519,7 +702,7 @@ const AdminOrderTracking = () => {
   useEffect(() => {
     if (orderData.length > 0 && selectedHostel) {
       // Find the updated version of the selected hostel in the new data
-      const updatedHostel = orderData.find(hostel => hostel.hostel === selectedHostel.hostel);
+      const updatedHostel = orderData.find(hostel => getGroupKey(hostel) === getGroupKey(selectedHostel));
       if (updatedHostel) {
         setSelectedHostel(updatedHostel);
       } else {
@@ -546,8 +729,8 @@ const AdminOrderTracking = () => {
   };
   console.log();
   // Product Card Component
-  const ProductCard = ({ product, hostel, category }) => {
-    const dispatchKey = `${hostel}-${category}-${product.productName}`;
+  const ProductCard = ({ product, hostel, category, deliverySlot }) => {
+    const dispatchKey = `${deliverySlot}-${hostel}-${category}-${product.productName}`;
     const isDispatching = dispatchLoading[dispatchKey];
     const isSuccess = dispatchSuccess[dispatchKey];
 
@@ -592,6 +775,22 @@ const AdminOrderTracking = () => {
             <span>Qty: {product.totalQuantity || product.orderCount}</span>
           </div>
 
+          {/* Customised lines so the kitchen makes each one as ordered */}
+          {product.customizations?.length > 0 && (
+            <div className="mb-3 space-y-1">
+              {product.customizations.map(customization => (
+                <p
+                  key={`${customization.variantLabel}-${customization.summary}`}
+                  className="text-[11px] leading-snug text-amber-800 bg-amber-50 border border-amber-100 rounded px-1.5 py-1 break-words"
+                  title={`Orders: ${customization.orderNumbers.join(', ')}`}
+                >
+                  <span className="font-semibold">{customization.quantity}×</span>
+                  {customization.variantLabel ? ` ${customization.variantLabel} ·` : ''} {customization.summary}
+                </p>
+              ))}
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="flex gap-1">
             <button
@@ -608,7 +807,7 @@ const AdminOrderTracking = () => {
             </button>
             
             <button
-              onClick={() => openCustomDispatchModal(hostel, category, product.productName, product.orderCount)}
+              onClick={() => openCustomDispatchModal(hostel, category, product.productName, product.orderCount, deliverySlot)}
               disabled={isDispatching || isSuccess}
               className="px-2 py-1.5 bg-blue-600 text-white rounded text-xs hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center justify-center"
             >
@@ -643,6 +842,9 @@ const AdminOrderTracking = () => {
             </div>
             <div>
               <h3 className="text-lg font-bold">{hostelGroup.hostel}</h3>
+              <p className={`text-xs font-semibold ${isSelected ? 'text-white' : 'text-rose-700'}`}>
+                🕒 {getSlotLabel(hostelGroup)}
+              </p>
               <p className={`text-sm ${isSelected ? 'text-rose-100' : 'text-gray-600'}`}>
                 📍 {hostelGroup.deliveryLocation || 'Unknown Location'}
               </p>
@@ -682,6 +884,7 @@ const AdminOrderTracking = () => {
             </div>
             <div>
               <h2 className="text-2xl font-bold text-gray-900">{hostelGroup.hostel}</h2>
+              <p className="text-sm font-semibold text-rose-700">🕒 {getSlotLabel(hostelGroup)}</p>
               <p className="text-gray-600 flex items-center gap-1">
                 📍 {hostelGroup.deliveryLocation || 'Unknown Location'}
               </p>
@@ -690,6 +893,31 @@ const AdminOrderTracking = () => {
               </p>
             </div>
           </div>
+          {hostelGroup.orders?.length > 0 && (
+            <div className="mt-3 flex flex-wrap items-center gap-3">
+              <RiderSelect
+                riders={deliveryAgents}
+                // Shows the rider only when the whole batch is with one rider
+                value={hostelGroup.orders.every(order => order.deliveryAgent?._id === hostelGroup.orders[0].deliveryAgent?._id)
+                  ? hostelGroup.orders[0].deliveryAgent?._id
+                  : ''}
+                onChange={(agentId) => assignRider(hostelGroup.orders.map(order => order._id), agentId)}
+                disabled={hostelGroup.orders.some(order => dispatchLoading[`assign-${order._id}`])}
+              />
+              <span className="text-xs text-gray-500">
+                {hostelGroup.orders.filter(order => order.deliveryAgent).length}/{hostelGroup.orders.length} orders assigned
+              </span>
+              <button
+                type="button"
+                onClick={() => downloadManifest(hostelGroup)}
+                disabled={Boolean(dispatchLoading[`manifest-${getGroupKey(hostelGroup)}`])}
+                className="inline-flex items-center gap-2 px-3 py-1.5 text-sm font-medium border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {dispatchLoading[`manifest-${getGroupKey(hostelGroup)}`] ? <FaSpinner className="animate-spin" /> : <FaFilePdf className="text-red-600" />}
+                Dispatch manifest
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Categories */}
@@ -743,6 +971,7 @@ const AdminOrderTracking = () => {
                             product={product}
                             hostel={hostelGroup.hostel}
                             category={categoryGroup.category}
+                            deliverySlot={getSlotKey(hostelGroup)}
                           />
                         ))}
                       </div>
@@ -1007,8 +1236,8 @@ const AdminOrderTracking = () => {
   };
 
   // Dispatch all orders for a product (grouped view)
-  const dispatchAll = async (hostel, category, productName, count) => {
-    const dispatchKey = `${hostel}-${category}-${productName}`;
+  const dispatchAll = async (hostel, category, productName, count, deliverySlot = 'asap') => {
+    const dispatchKey = `${deliverySlot}-${hostel}-${category}-${productName}`;
     
     try {
       setDispatchLoading(prev => ({ ...prev, [dispatchKey]: true }));
@@ -1022,7 +1251,7 @@ const AdminOrderTracking = () => {
       // Optimistic update: immediately reduce the count in the UI
       setOrderData(prevData => {
         const updatedData = prevData.map(hostelGroup => {
-          if (hostelGroup.hostel === hostel) {
+          if (hostelGroup.hostel === hostel && getSlotKey(hostelGroup) === deliverySlot) {
             const updatedCategories = hostelGroup.categories.map(categoryGroup => {
               if (categoryGroup.category === category) {
                 const updatedProducts = categoryGroup.products.map(product => {
@@ -1059,7 +1288,7 @@ const AdminOrderTracking = () => {
 
             // Update selectedHostel if this is the currently selected hostel
             setSelectedHostel(prevSelected => {
-              if (prevSelected && prevSelected.hostel === hostel) {
+              if (prevSelected && getGroupKey(prevSelected) === getGroupKey(hostelGroup)) {
                 if (updatedCategories.length === 0) {
                   return null; // Clear selection if hostel becomes empty
                 }
@@ -1090,7 +1319,8 @@ const AdminOrderTracking = () => {
           hostel,
           category,
           productName,
-          count
+          count,
+          deliverySlot
         })
       });
 
@@ -1153,10 +1383,11 @@ const AdminOrderTracking = () => {
   };
 
   // Open custom dispatch modal
-  const openCustomDispatchModal = (hostel, category, productName, maxCount) => {
+  const openCustomDispatchModal = (hostel, category, productName, maxCount, deliverySlot = 'asap') => {
     setCustomDispatchModal({
       isOpen: true,
       hostel,
+      deliverySlot,
       category,
       productName,
       maxCount,
@@ -1169,6 +1400,7 @@ const AdminOrderTracking = () => {
     setCustomDispatchModal({
       isOpen: false,
       hostel: '',
+      deliverySlot: 'asap',
       category: '',
       productName: '',
       maxCount: 0,
@@ -1178,14 +1410,14 @@ const AdminOrderTracking = () => {
 
   // Handle custom dispatch
   const handleCustomDispatch = async () => {
-    const { hostel, category, productName, customCount } = customDispatchModal;
+    const { hostel, category, productName, customCount, deliverySlot } = customDispatchModal;
     
     if (customCount <= 0 || customCount > customDispatchModal.maxCount) {
       toast.error('Invalid count specified');
       return;
     }
 
-    await dispatchAll(hostel, category, productName, customCount);
+    await dispatchAll(hostel, category, productName, customCount, deliverySlot);
     closeCustomDispatchModal();
   };
 
@@ -1364,6 +1596,9 @@ const AdminOrderTracking = () => {
                                   onDispatchItem={dispatchIndividualItem}
                                   dispatchLoading={dispatchLoading}
                                   dispatchSuccess={dispatchSuccess}
+                                  riders={deliveryAgents}
+                                  onAssignRider={assignRider}
+                                  onDownloadPackingSlip={downloadPackingSlip}
                                 />
                               ))}
                             </div>
@@ -1420,6 +1655,9 @@ const AdminOrderTracking = () => {
                                   onDispatchItem={dispatchIndividualItem}
                                   dispatchLoading={dispatchLoading}
                                   dispatchSuccess={dispatchSuccess}
+                                  riders={deliveryAgents}
+                                  onAssignRider={assignRider}
+                                  onDownloadPackingSlip={downloadPackingSlip}
                                 />
                               ))}
                             </div>
@@ -1459,9 +1697,9 @@ const AdminOrderTracking = () => {
               <div className="space-y-3">
                 {filteredOrderData.map((hostelGroup) => (
                   <HostelButton
-                    key={hostelGroup.hostel}
+                    key={getGroupKey(hostelGroup)}
                     hostelGroup={hostelGroup}
-                    isSelected={selectedHostel?.hostel === hostelGroup.hostel}
+                    isSelected={Boolean(selectedHostel) && getGroupKey(selectedHostel) === getGroupKey(hostelGroup)}
                   />
                 ))}
               </div>
@@ -1510,6 +1748,9 @@ const AdminOrderTracking = () => {
                   <p className="text-sm text-gray-600 mb-2">
                     <strong>Hostel:</strong> {customDispatchModal.hostel}
                   </p>
+                  <p className="text-sm text-gray-600 mb-2">
+                    <strong>Slot:</strong> {customDispatchModal.deliverySlot === 'asap' ? 'As soon as possible' : new Date(customDispatchModal.deliverySlot).toLocaleString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                  </p>
                   <p className="text-sm text-gray-600 mb-2">
                     <strong>Category:</strong> {customDispatchModal.category}
                   </p>
@@ -13,7 +13,11 @@ import {
   FaBell,
   FaTimes,
   FaThList,
-  FaTable
+  FaTable,
+  FaMinus,
+  FaTrash,
+  FaBirthdayCake,
+  FaHistory
 } from 'react-icons/fa';
 import { 
   FiSearch, 
@@ -31,9 +35,11 @@ import { HiOutlineOfficeBuilding } from 'react-icons/hi';
 import { BsCashCoin } from 'react-icons/bs';
 import { toast } from 'react-hot-toast';
 import { resolveOrderItemVariantLabel } from '../../utils/variantUtils';
+import { formatAddOns } from '../../utils/addOnUtils';
 import io from 'socket.io-client';
 import { getWebSocketBaseUrl, getSocketOptions } from '../../utils/websocketUrl.js';
 import { useLocation } from 'react-router-dom';
+import AdminCustomOrderRequests from './AdminCustomOrderRequests';
 
 const AdminOrders = () => {
   const location = useLocation();
@@ -57,13 +63,18 @@ const AdminOrders = () => {
   const [showOrderModal, setShowOrderModal] = useState(false);
   const [deliveryLoading, setDeliveryLoading] = useState({});
   const [deliverySuccess, setDeliverySuccess] = useState({});
+  const [refundForm, setRefundForm] = useState({ amount: '', reason: '' });
+  const [refundLoading, setRefundLoading] = useState(false);
+  const [amendLoading, setAmendLoading] = useState(null);
+  const [statusLoading, setStatusLoading] = useState(null);
   const [showNewOrderBanner, setShowNewOrderBanner] = useState(false);
   const [newOrderCount, setNewOrderCount] = useState(0);
   const [showCancelBanner, setShowCancelBanner] = useState(false);
   const [cancelCount, setCancelCount] = useState(0);
   const [wsConnected, setWsConnected] = useState(false);
   const [wsSocketId, setWsSocketId] = useState('');
-  const [viewMode, setViewMode] = useState('table'); // 'table' or 'grouped'
+  const [viewMode, setViewMode] = useState('table'); // 'table', 'grouped' or 'custom'
+  const [newCustomRequestCount, setNewCustomRequestCount] = useState(0);
 
   const placeholderImage = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDIwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjRjNGNEY2Ii8+CjxwYXRoIGQ9Ik03NSA3NUgxMjVWMTI1SDc1Vjc1WiIgZmlsbD0iI0Q1RDlERCIvPgo8L3N2Zz4K';
 
@@ -138,6 +149,7 @@ const AdminOrders = () => {
       'cancelled': 'bg-red-100 text-red-800', // ✅ Added cancelled status
       'paid': 'bg-green-100 text-green-800',
       'failed': 'bg-red-100 text-red-800',
+      'partially_refunded': 'bg-orange-100 text-orange-800',
       'refunded': 'bg-gray-100 text-gray-800'
     };
     return colors[status] || 'bg-gray-100 text-gray-800';
@@ -416,6 +428,13 @@ const AdminOrders = () => {
         icon: '🎉'});
     });
 
+    socket.on('newCustomOrderRequest', (data) => {
+      setNewCustomRequestCount(prev => prev + 1);
+      toast.success(`New custom cake request #${data.requestNumber}`, {
+        duration: 4000,
+        icon: '🎂'});
+    });
+
   // Listen for order status updates
     socket.on('orderStatusUpdated', (data) => {
       console.log('%c📦 ORDER STATUS UPDATED!', 'color: blue; font-weight: bold; font-size: 16px; background: #e6f3ff; padding: 5px');
@@ -507,6 +526,7 @@ const AdminOrders = () => {
       clearInterval(heartbeatInterval);
       socket.offAny();
       socket.off('newOrderPlaced');
+      socket.off('newCustomOrderRequest');
       socket.off('orderStatusUpdated');
       socket.off('connect');
       socket.off('connect_error');
@@ -520,9 +540,125 @@ const AdminOrders = () => {
     };
   }, []);
 
+  // Refund a paid online order; leaving the amount empty refunds the remaining balance
+  const refundOrder = async (order) => {
+    const amountLabel = refundForm.amount ? formatCurrency(Number(refundForm.amount)) : 'the full remaining amount';
+    if (!window.confirm(`Refund ${amountLabel} for order #${order.orderNumber}?`)) return;
+
+    try {
+      setRefundLoading(true);
+      const token = localStorage.getItem('authToken');
+      const response = await fetch(`${import.meta.env.VITE_API_URL}/payments/orders/${order.orderNumber}/refund`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          amount: refundForm.amount === '' ? undefined : Number(refundForm.amount),
+          reason: refundForm.reason || undefined
+        })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      toast.success(result.message || 'Refund initiated');
+      setRefundForm({ amount: '', reason: '' });
+      await viewOrderDetails(order.orderNumber);
+      fetchOrders(currentPage);
+    } catch (error) {
+      console.error('Error issuing refund:', error);
+      toast.error(`Refund failed: ${error.message}`);
+    } finally {
+      setRefundLoading(false);
+    }
+  };
+
+  // Remove or reduce an undispatched line; the server restores stock and refunds / adjusts the amount
+  const amendOrderItem = async (order, item, newQuantity) => {
+    const action = newQuantity === 0 ? `Remove ${item.productName}` : `Reduce ${item.productName} to ${newQuantity}`;
+    const reason = window.prompt(`${action} on order #${order.orderNumber}?\nReason (shown to the customer):`, 'Item unavailable');
+    if (reason === null) return;
+
+    try {
+      setAmendLoading(item._id);
+      const token = localStorage.getItem('authToken');
+      const response = await fetch(`${import.meta.env.VITE_API_URL}/admin/orders/${order.orderNumber}/items`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          items: [{ itemId: item._id, quantity: newQuantity }],
+          reason: reason || undefined
+        })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      toast.success(result.message || 'Order updated');
+      await viewOrderDetails(order.orderNumber);
+      fetchOrders(currentPage);
+    } catch (error) {
+      console.error('Error amending order items:', error);
+      toast.error(`Update failed: ${error.message}`);
+    } finally {
+      setAmendLoading(null);
+    }
+  };
+
+  // Move an order through the kitchen stages: confirm → preparing → ready
+  const updateKitchenStatus = async (order, action) => {
+    try {
+      setStatusLoading(action);
+      const token = localStorage.getItem('authToken');
+      const response = await fetch(`${import.meta.env.VITE_API_URL}/admin/orders/${order._id}/${action}`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      const changes = { orderStatus: result.orderStatus, statusHistory: result.statusHistory };
+      setOrders(prev => prev.map(entry => (entry._id === order._id ? { ...entry, ...changes } : entry)));
+      setSelectedOrder(prev => (prev && prev._id === order._id ? { ...prev, ...changes } : prev));
+      toast.success(result.message || 'Order status updated');
+    } catch (error) {
+      console.error('Error updating order status:', error);
+      toast.error(`Status update failed: ${error.message}`);
+    } finally {
+      setStatusLoading(null);
+    }
+  };
+
   // Mark item(s) as delivered function
   const markAsDelivered = async (orderId, productName, categoryName, deliverAll = false) => {
     const deliveryKey = deliverAll ? `${orderId}-ALL_DISPATCHED` : `${orderId}-${productName}`;
+
+    // Handover needs the customer's PIN until it has been verified once for this order
+    const targetOrder = orders.find(order => order._id === orderId) || selectedOrder;
+    let proof = {};
+    if (!targetOrder?.deliveryPin?.verifiedAt) {
+      const pin = window.prompt('Enter the delivery PIN from the customer (leave empty to override without it)');
+      if (pin === null) return;
+      if (pin.trim()) {
+        proof = { pin: pin.trim() };
+      } else {
+        const reason = window.prompt('Reason for delivering without the PIN (recorded in the order history)');
+        if (!reason || !reason.trim()) return;
+        proof = { override: { reason: reason.trim() } };
+      }
+    }
     
     try {
       console.log('Marking as delivered:', { orderId, productName, categoryName, deliverAll });
@@ -545,12 +681,18 @@ const AdminOrders = () => {
           orderId,
           productName: deliverAll ? undefined : productName,
           categoryName: deliverAll ? undefined : categoryName,
-          deliverAll: deliverAll
+          deliverAll: deliverAll,
+          ...proof
         })
       });
       
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const errorBody = await response.json().catch(() => ({}));
+        if (errorBody.code === 'DELIVERY_PIN_REJECTED') {
+          const attemptsNote = errorBody.attemptsLeft !== undefined ? ` (${errorBody.attemptsLeft} attempt(s) left)` : '';
+          throw new Error(`${errorBody.message}${attemptsNote}`);
+        }
+        throw new Error(errorBody.message || `HTTP ${response.status}: ${response.statusText}`);
       }
       
       const result = await response.json();
@@ -566,7 +708,7 @@ const AdminOrders = () => {
         setOrders(prevOrders => 
           prevOrders.map(order => 
             order._id === orderId 
-              ? { ...order, orderStatus: result.order.orderStatus, cartItems: result.order.items }
+              ? { ...order, orderStatus: result.order.orderStatus, cartItems: result.order.items, deliveryPin: result.order.deliveryPin || order.deliveryPin }
               : order
           )
         );
@@ -577,7 +719,8 @@ const AdminOrders = () => {
           setSelectedOrder(prev => ({
             ...prev,
             orderStatus: result.order.orderStatus,
-            cartItems: result.order.items
+            cartItems: result.order.items,
+            deliveryPin: result.order.deliveryPin || prev.deliveryPin
           }));
         }
       }
@@ -707,6 +850,9 @@ const AdminOrders = () => {
                       {variantLabel && (
                         <p className="text-xs text-gray-600 truncate">{variantLabel}</p>
                       )}
+                      {item.addOns?.length > 0 && (
+                        <p className="text-xs text-amber-700 truncate" title={formatAddOns(item.addOns)}>+ {formatAddOns(item.addOns)}</p>
+                      )}
                       <div className="flex items-center justify-between mt-1">
                         <span className="text-xs text-gray-500">Qty: {item.quantity}</span>
                         <span className={`text-xs font-medium px-1.5 py-0.5 rounded ${
@@ -925,6 +1071,24 @@ const AdminOrders = () => {
               <FaThList className="mr-2" />
               Grouped
             </button>
+            <button
+              onClick={() => {
+                setViewMode('custom');
+                setNewCustomRequestCount(0);
+              }}
+              className={`flex items-center px-3 py-2 rounded-md transition-colors ${
+                viewMode === 'custom' 
+                  ? 'bg-white text-blue-600 shadow-sm' 
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+              title="Custom Cake Requests"
+            >
+              <FaBirthdayCake className="mr-2" />
+              Custom Cakes
+              {newCustomRequestCount > 0 && (
+                <span className="ml-2 px-1.5 py-0.5 text-xs rounded-full bg-pink-600 text-white">{newCustomRequestCount}</span>
+              )}
+            </button>
           </div>
           <button
             onClick={() => fetchOrders(currentPage, filters)}
@@ -940,7 +1104,13 @@ const AdminOrders = () => {
         </div>
       </div>
 
+      {/* Custom Cake Requests (quote → customer pays → regular order) */}
+      {viewMode === 'custom' && (
+        <AdminCustomOrderRequests onOpenOrder={viewOrderDetails} />
+      )}
+
       {/* Enhanced Filters */}
+      {viewMode !== 'custom' && (
       <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mb-6">
         {/* Quick Range Buttons */}
         <div className="flex flex-wrap items-center gap-2 mb-4">
@@ -988,6 +1158,7 @@ const AdminOrders = () => {
               <option value="pending">Pending</option>
               <option value="paid">Paid</option>
               <option value="failed">Failed</option>
+              <option value="partially_refunded">Partially Refunded</option>
               <option value="refunded">Refunded</option>
             </select>
             <select
@@ -1080,6 +1251,7 @@ const AdminOrders = () => {
           </div>
         </div>
       </div>
+      )}
 
       {/* Orders Table View (Desktop 2xl+) & Card Grid (Below 2xl) */}
       {viewMode === 'table' && (
@@ -1456,6 +1628,35 @@ const AdminOrders = () => {
                     }`}>
                       {selectedOrder.orderStatus?.toUpperCase()}
                     </span>
+                    {['placed', 'confirmed', 'preparing'].includes(selectedOrder.orderStatus) && (
+                      <div className="flex flex-wrap gap-2 mt-3">
+                        {selectedOrder.orderStatus === 'placed' && (
+                          <button
+                            onClick={() => updateKitchenStatus(selectedOrder, 'confirm')}
+                            disabled={!!statusLoading}
+                            className="px-2 py-1 text-xs font-medium bg-emerald-600 text-white rounded hover:bg-emerald-700 disabled:opacity-50"
+                          >
+                            {statusLoading === 'confirm' ? 'Saving...' : 'Confirm'}
+                          </button>
+                        )}
+                        {['placed', 'confirmed'].includes(selectedOrder.orderStatus) && (
+                          <button
+                            onClick={() => updateKitchenStatus(selectedOrder, 'preparing')}
+                            disabled={!!statusLoading}
+                            className="px-2 py-1 text-xs font-medium bg-yellow-500 text-white rounded hover:bg-yellow-600 disabled:opacity-50"
+                          >
+                            {statusLoading === 'preparing' ? 'Saving...' : 'Start Preparing'}
+                          </button>
+                        )}
+                        <button
+                          onClick={() => updateKitchenStatus(selectedOrder, 'ready')}
+                          disabled={!!statusLoading}
+                          className="px-2 py-1 text-xs font-medium bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                          {statusLoading === 'ready' ? 'Saving...' : 'Mark Ready'}
+                        </button>
+                      </div>
+                    )}
                   </div>
 
                   {/* Payment Status */}
@@ -1572,10 +1773,106 @@ const AdminOrders = () => {
                           <span className="text-lg font-bold text-gray-900">{formatCurrency(selectedOrder.amount)}</span>
                         </div>
                       </div>
+
+                      {/* Refund history */}
+                      {selectedOrder.refunds?.length > 0 && (
+                        <div className="pt-2 border-t border-gray-200 space-y-1">
+                          <span className="font-medium text-gray-700">Refunds:</span>
+                          {selectedOrder.refunds.map(refund => (
+                            <div key={refund.refundId} className="flex justify-between text-sm">
+                              <span className="text-gray-600 font-mono">{refund.refundId}</span>
+                              <span className={
+                                refund.status === 'processed' ? 'text-green-600' :
+                                refund.status === 'failed' ? 'text-red-600' :
+                                'text-yellow-600'
+                              }>
+                                {formatCurrency(refund.amount)} · {refund.status}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {/* Item amendments */}
+                      {selectedOrder.amendments?.length > 0 && (
+                        <div className="pt-2 border-t border-gray-200 space-y-1">
+                          <span className="font-medium text-gray-700">Item changes:</span>
+                          {selectedOrder.amendments.map((amendment, index) => (
+                            <div key={index} className="text-sm text-gray-600">
+                              <div>
+                                {amendment.lines?.map(line => (line.newQuantity === 0
+                                  ? `${line.productName} removed`
+                                  : `${line.productName} ${line.previousQuantity} → ${line.newQuantity}`)).join(', ')}
+                              </div>
+                              <div className="text-xs text-gray-500">
+                                {amendment.actorRole} · {amendment.reason || 'No reason'} · {formatCurrency(amendment.previousGrandTotal)} → {formatCurrency(amendment.newGrandTotal)}
+                                {amendment.adjustmentType === 'refund' && ` · refund ${formatCurrency(amendment.adjustmentAmount)}`}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {/* Issue refund */}
+                      {selectedOrder.paymentMethod === 'razorpay' && ['paid', 'partially_refunded'].includes(selectedOrder.paymentStatus) && (
+                        <div className="pt-2 border-t border-gray-200 space-y-2">
+                          <span className="font-medium text-gray-700">Issue refund:</span>
+                          <div className="flex gap-2">
+                            <input
+                              type="number"
+                              min="1"
+                              value={refundForm.amount}
+                              onChange={(e) => setRefundForm(prev => ({ ...prev, amount: e.target.value }))}
+                              placeholder="Amount (blank = full)"
+                              className="w-36 px-2 py-1 border rounded text-sm"
+                            />
+                            <input
+                              type="text"
+                              value={refundForm.reason}
+                              onChange={(e) => setRefundForm(prev => ({ ...prev, reason: e.target.value }))}
+                              placeholder="Reason"
+                              className="flex-1 px-2 py-1 border rounded text-sm"
+                            />
+                            <button
+                              onClick={() => refundOrder(selectedOrder)}
+                              disabled={refundLoading}
+                              className="px-3 py-1 bg-red-600 text-white rounded text-sm hover:bg-red-700 disabled:opacity-50 flex items-center gap-1"
+                            >
+                              {refundLoading && <FaSpinner className="animate-spin" />}
+                              Refund
+                            </button>
+                          </div>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
 
+                {/* Status History */}
+                {selectedOrder.statusHistory?.length > 0 && (
+                  <div className="bg-gray-50 rounded-lg p-6 mb-6">
+                    <h4 className="text-lg font-semibold text-gray-900 flex items-center mb-4">
+                      <FaHistory className="mr-2 text-gray-600" />
+                      Status History
+                    </h4>
+                    <ol className="space-y-2">
+                      {[...selectedOrder.statusHistory].reverse().map((entry, index) => (
+                        <li key={`${entry.status}-${entry.changedAt}-${index}`} className="flex flex-wrap items-baseline gap-x-3 text-sm">
+                          <span className="font-medium text-gray-900">{entry.status?.replace(/_/g, ' ').toUpperCase()}</span>
+                          <span className="text-gray-500">
+                            {new Date(entry.changedAt).toLocaleString('en-IN')}
+                          </span>
+                          <span className="text-gray-600">
+                            by {entry.actorName || entry.actorRole}
+                            {entry.source && entry.source !== 'system' ? ` · ${entry.source}` : ''}
+                          </span>
+                          {entry.note && <span className="w-full text-xs text-gray-500">{entry.note}</span>}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+
                 {/* Order Items */}
                 <div className="bg-gradient-to-br from-purple-50 to-pink-50 rounded-lg p-6 mb-6">
                   <div className="flex justify-between items-center mb-4">
@@ -1643,6 +1940,9 @@ const AdminOrders = () => {
                                    '📦 PENDING'}
                                 </span>
                                 <div className="font-semibold text-gray-900 truncate">{item.productName}</div>
+                                {item.customOrderId && (
+                                  <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-pink-100 text-pink-700">Custom cake</span>
+                                )}
                               </div>
                               
                               <div className="grid grid-cols-2 gap-4 text-sm">
@@ -1662,6 +1962,12 @@ const AdminOrders = () => {
                                 </div>
                               )}
 
+                              {item.addOns?.length > 0 && (
+                                <div className="text-sm text-gray-600 mt-1">
+                                  <span className="font-medium">Add-ons: </span>{formatAddOns(item.addOns)}
+                                </div>
+                              )}
+
                               {/* Timestamps */}
                               <div className="flex flex-wrap gap-4 mt-2 text-xs">
                                 {item.dispatchedAt && (
@@ -1720,6 +2026,31 @@ const AdminOrders = () => {
                                   )}
                                 </button>
                               )}
+
+                              {dispatchStatus === 'pending' && item._id && !item.isFreeProduct && !['cancelled', 'delivered'].includes(selectedOrder.orderStatus) && (
+                                <div className="flex gap-2">
+                                  {item.quantity > 1 && (
+                                    <button
+                                      onClick={() => amendOrderItem(selectedOrder, item, item.quantity - 1)}
+                                      disabled={amendLoading === item._id}
+                                      className="px-2 py-1 rounded-lg text-xs font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex items-center gap-1"
+                                      title="Reduce quantity by one"
+                                    >
+                                      <FaMinus />
+                                      <span>1</span>
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => amendOrderItem(selectedOrder, item, 0)}
+                                    disabled={amendLoading === item._id}
+                                    className="px-2 py-1 rounded-lg text-xs font-medium border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-50 flex items-center gap-1"
+                                    title="Remove this item and restore its stock"
+                                  >
+                                    {amendLoading === item._id ? <FaSpinner className="animate-spin" /> : <FaTrash />}
+                                    <span>Remove</span>
+                                  </button>
+                                </div>
+                              )}
                             </div>
                           </div>
                         </div>
@@ -1785,6 +2116,17 @@ const AdminOrders = () => {
                             })}
                           </span>
                         </div>
+                        {selectedOrder.deliverySlot && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Delivery Slot:</span>
+                            <span className="font-medium">
+                              {selectedOrder.deliverySlot.label}
+                              {selectedOrder.deliverySlot.isPreOrder && (
+                                <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-purple-100 text-purple-700">Pre-order</span>
+                              )}
+                            </span>
+                          </div>
+                        )}
                         {selectedOrder.estimatedDeliveryTime && (
                           <div className="flex justify-between">
                             <span className="text-gray-600">Estimated Delivery:</span>
@@ -1817,6 +2159,22 @@ const AdminOrders = () => {
                             <p className="text-gray-800 mt-1">{selectedOrder.notes}</p>
                           </div>
                         )}
+                        {selectedOrder.gift && (
+                          <div className="pt-2 border-t border-gray-200">
+                            <span className="text-gray-600">Gift for:</span>
+                            <p className="text-gray-800 mt-1">
+                              {selectedOrder.gift.recipientName} · {selectedOrder.gift.recipientPhone}
+                              {selectedOrder.gift.recipientEmail && ` · ${selectedOrder.gift.recipientEmail}`}
+                            </p>
+                            {selectedOrder.gift.message && (
+                              <p className="text-gray-800 mt-1 italic">"{selectedOrder.gift.message}"</p>
+                            )}
+                            <p className="text-xs text-gray-500 mt-1">
+                              {selectedOrder.gift.hidePrices ? 'Prices hidden on the packing slip' : 'Prices shown on the packing slip'}
+                              {selectedOrder.gift.recipientNotifiedAt && ' · Recipient emailed'}
+                            </p>
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
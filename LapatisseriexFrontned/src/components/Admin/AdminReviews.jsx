@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaStar, FaRegStar, FaCheck, FaTimes, FaTrash, FaSearch, FaExclamationTriangle } from 'react-icons/fa';
+import apiClient from '../../services/apiService';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Published' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'all', label: 'All' }
+];
+
+const STATUS_BADGES = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const Stars = ({ rating }) => (
+  <span className="inline-flex text-amber-500">
+    {[1, 2, 3, 4, 5].map(star => (star <= rating ? <FaStar key={star} /> : <FaRegStar key={star} />))}
+  </span>
+);
+
+const AdminReviews = () => {
+  const [reviews, setReviews] = useState([]);
+  const [stats, setStats] = useState({});
+  const [status, setStatus] = useState('pending');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/reviews', { params: { status, search: search || undefined, limit: 50 } });
+      setReviews(response.data.reviews || []);
+      setStats(response.data.stats || {});
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+      setError('Failed to load reviews. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, search]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const moderate = async (review, nextStatus) => {
+    let note;
+    if (nextStatus === 'rejected') {
+      note = window.prompt('Reason for rejecting (internal note):', '');
+      if (note === null) return;
+    }
+    try {
+      setSavingId(review._id);
+      await apiClient.put(`/reviews/${review._id}/moderate`, { status: nextStatus, note });
+      fetchReviews();
+    } catch (err) {
+      console.error('Error moderating review:', err);
+      setError(err.response?.data?.message || 'Failed to update review');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async (review) => {
+    if (!window.confirm('Delete this review permanently?')) return;
+    try {
+      setSavingId(review._id);
+      await apiClient.delete(`/reviews/${review._id}`);
+      fetchReviews();
+    } catch (err) {
+      console.error('Error deleting review:', err);
+      setError(err.response?.data?.message || 'Failed to delete review');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const totalCount = Object.values(stats).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div className="flex items-center">
+          <FaStar className="text-2xl text-rose-600 mr-3" />
+          <h1 className="text-2xl font-bold text-gray-800">Reviews</h1>
+        </div>
+        <div className="relative sm:w-80">
+          <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by customer, order or text"
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setStatus(tab.value)}
+            className={`px-3 py-1.5 text-sm rounded-md border ${
+              status === tab.value ? 'bg-rose-600 border-rose-600 text-white' : 'bg-white border-gray-200 text-gray-700 hover:bg-rose-50'
+            }`}
+          >
+            {tab.label}
+            <span className="ml-1 text-xs opacity-75">{tab.value === 'all' ? totalCount : stats[tab.value] || 0}</span>
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center rounded-md bg-red-50 p-4 text-red-700">
+          <FaExclamationTriangle className="mr-2" /> {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading reviews...</div>
+      ) : reviews.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No reviews here.</div>
+      ) : (
+        <div className="space-y-3">
+          {reviews.map(review => (
+            <div key={review._id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                <div className="flex gap-3 min-w-0">
+                  {review.productId?.images?.[0] && (
+                    <img src={review.productId.images[0]} alt="" className="h-14 w-14 rounded object-cover flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="font-semibold text-gray-900 truncate">
+                      {review.productId?.name || 'Deleted product'}
+                      {review.variantLabel && <span className="ml-2 text-sm font-normal text-gray-500">{review.variantLabel}</span>}
+                    </p>
+                    <div className="flex items-center gap-2 mt-1">
+                      <Stars rating={review.rating} />
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_BADGES[review.status] || ''}`}>
+                        {review.status.toUpperCase()}
+                      </span>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                      {review.userId?.name || review.userName} · {review.userId?.email} · Order #{review.orderNumber} · {new Date(review.createdAt).toLocaleDateString('en-IN')}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex gap-2 flex-shrink-0">
+                  {review.status !== 'approved' && (
+                    <button
+                      onClick={() => moderate(review, 'approved')}
+                      disabled={savingId === review._id}
+                      className="flex items-center px-3 py-1.5 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                    >
+                      <FaCheck className="mr-1" /> Publish
+                    </button>
+                  )}
+                  {review.status !== 'rejected' && (
+                    <button
+                      onClick={() => moderate(review, 'rejected')}
+                      disabled={savingId === review._id}
+                      className="flex items-center px-3 py-1.5 text-sm border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <FaTimes className="mr-1" /> Reject
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDelete(review)}
+                    disabled={savingId === review._id}
+                    className="px-3 py-1.5 text-sm text-gray-500 hover:text-red-700 disabled:opacity-50"
+                    title="Delete review"
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+              </div>
+
+              {review.title && <p className="mt-3 font-medium text-gray-900">{review.title}</p>}
+              {review.comment && <p className="mt-1 text-sm text-gray-700 whitespace-pre-line">{review.comment}</p>}
+
+              {review.photos?.length > 0 && (
+                <div className="mt-3 flex gap-2">
+                  {review.photos.map(photo => (
+                    <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                      <img src={photo.url} alt="Review" className="h-16 w-16 rounded border border-gray-200 object-cover" />
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              {review.moderationNote && (
+                <p className="mt-2 text-xs text-gray-500">Note: {review.moderationNote}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminReviews;
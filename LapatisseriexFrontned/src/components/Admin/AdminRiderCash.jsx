@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaMoneyBillWave, FaCheck, FaExclamationTriangle, FaChevronDown, FaChevronRight } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import apiClient from '../../services/apiService';
+
+const STATUS_TABS = [
+  { value: 'outstanding', label: 'Outstanding' },
+  { value: 'settled', label: 'Settled' },
+  { value: 'all', label: 'All' }
+];
+
+const formatAmount = (value) => `₹${Number(value || 0).toLocaleString('en-IN')}`;
+
+const AdminRiderCash = () => {
+  const [report, setReport] = useState({ riders: [], totals: { collected: 0, settled: 0, outstanding: 0 } });
+  const [status, setStatus] = useState('outstanding');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [expanded, setExpanded] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [settlingId, setSettlingId] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/admin/delivery/cash-report', {
+        params: {
+          status: status === 'all' ? undefined : status,
+          from: from || undefined,
+          // Include the whole "to" day
+          to: to ? `${to}T23:59:59.999` : undefined
+        }
+      });
+      setReport(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching cash report:', err);
+      setError('Failed to load rider cash report. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, from, to]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const settleRider = async (rider) => {
+    if (!window.confirm(`Confirm ${rider.agentName} handed in ${formatAmount(rider.outstanding)}?`)) return;
+    try {
+      setSettlingId(rider.agentId);
+      const orderIds = rider.orders.filter(order => !order.settledAt).map(order => order.orderId);
+      const response = await apiClient.post('/admin/delivery/settle', { agentId: rider.agentId, orderIds });
+      toast.success(response.data.message);
+      fetchReport();
+    } catch (err) {
+      console.error('Error settling rider cash:', err);
+      toast.error(err.response?.data?.message || 'Failed to settle cash');
+    } finally {
+      setSettlingId(null);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div className="flex items-center">
+          <FaMoneyBillWave className="text-2xl text-rose-600 mr-3" />
+          <h1 className="text-2xl font-bold text-gray-800">Rider Cash</h1>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <p className="text-xs text-gray-500">Collected</p>
+          <p className="text-xl font-bold text-gray-900">{formatAmount(report.totals.collected)}</p>
+        </div>
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <p className="text-xs text-gray-500">Handed in</p>
+          <p className="text-xl font-bold text-green-700">{formatAmount(report.totals.settled)}</p>
+        </div>
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <p className="text-xs text-gray-500">Outstanding</p>
+          <p className="text-xl font-bold text-amber-700">{formatAmount(report.totals.outstanding)}</p>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setStatus(tab.value)}
+            className={`px-3 py-1.5 text-sm rounded-md border ${
+              status === tab.value ? 'bg-rose-600 border-rose-600 text-white' : 'bg-white border-gray-200 text-gray-700 hover:bg-rose-50'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center rounded-md bg-red-50 p-4 text-red-700">
+          <FaExclamationTriangle className="mr-2" /> {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading rider cash...</div>
+      ) : report.riders.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No cash collections in this range.</div>
+      ) : (
+        <div className="space-y-3">
+          {report.riders.map(rider => (
+            <div key={rider.agentId} className="bg-white rounded-lg shadow-sm border border-gray-200">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4">
+                <button
+                  onClick={() => setExpanded(prev => ({ ...prev, [rider.agentId]: !prev[rider.agentId] }))}
+                  className="flex items-center gap-2 text-left"
+                >
+                  {expanded[rider.agentId] ? <FaChevronDown className="text-gray-400" /> : <FaChevronRight className="text-gray-400" />}
+                  <div>
+                    <p className="font-semibold text-gray-900">{rider.agentName}</p>
+                    <p className="text-xs text-gray-500">{rider.orderCount} COD order(s)</p>
+                  </div>
+                </button>
+                <div className="flex items-center gap-4 text-sm">
+                  <span>Collected <strong>{formatAmount(rider.collected)}</strong></span>
+                  <span className="text-amber-700">Outstanding <strong>{formatAmount(rider.outstanding)}</strong></span>
+                  {rider.outstanding > 0 && (
+                    <button
+                      onClick={() => settleRider(rider)}
+                      disabled={settlingId === rider.agentId}
+                      className="inline-flex items-center px-3 py-1.5 rounded-md bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                    >
+                      <FaCheck className="mr-2" /> Mark handed in
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {expanded[rider.agentId] && (
+                <div className="border-t border-gray-100 overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50 text-gray-600">
+                      <tr>
+                        <th className="px-4 py-2 text-left font-medium">Order</th>
+                        <th className="px-4 py-2 text-left font-medium">Hostel</th>
+                        <th className="px-4 py-2 text-right font-medium">Order total</th>
+                        <th className="px-4 py-2 text-right font-medium">Collected</th>
+                        <th className="px-4 py-2 text-left font-medium">Collected at</th>
+                        <th className="px-4 py-2 text-left font-medium">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rider.orders.map(order => (
+                        <tr key={order.orderId} className="border-t border-gray-100">
+                          <td className="px-4 py-2">#{order.orderNumber}</td>
+                          <td className="px-4 py-2">{order.hostelName || '-'}</td>
+                          <td className="px-4 py-2 text-right">{formatAmount(order.orderAmount)}</td>
+                          <td className={`px-4 py-2 text-right ${order.difference !== 0 ? 'text-red-600 font-semibold' : ''}`}>
+                            {formatAmount(order.amount)}
+                          </td>
+                          <td className="px-4 py-2">{new Date(order.collectedAt).toLocaleString('en-IN')}</td>
+                          <td className="px-4 py-2">
+                            {order.settledAt
+                              ? <span className="text-green-700">Handed in</span>
+                              : <span className="text-amber-700">With rider</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminRiderCash;
@@ -2,6 +2,16 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { Clock, Save, Plus, Trash2, Calendar, AlertCircle } from 'lucide-react';
 import webSocketService from '../../services/websocketService.js';
 
+const DEFAULT_SLOT_SETTINGS = {
+  isEnabled: true,
+  slotMinutes: 60,
+  defaultCapacity: 25,
+  leadTimeMinutes: 45,
+  preOrderDays: 3,
+  acceptPreOrdersWhenClosed: true,
+  capacityOverrides: []
+};
+
 const AdminTimeSettings = () => {
   const [user, setUser] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
@@ -19,7 +29,8 @@ const AdminTimeSettings = () => {
       isActive: true
     },
     timezone: 'Asia/Kolkata',
-    specialDays: []
+    specialDays: [],
+    deliverySlots: DEFAULT_SLOT_SETTINGS
   });
   
   const [loading, setLoading] = useState(true);
@@ -295,6 +306,25 @@ const AdminTimeSettings = () => {
     }
   };
 
+  const slotSettings = { ...DEFAULT_SLOT_SETTINGS, ...(settings.deliverySlots || {}) };
+
+  const handleSlotChange = (field, value) => {
+    setSettings(prev => ({
+      ...prev,
+      deliverySlots: {
+        ...DEFAULT_SLOT_SETTINGS,
+        ...(prev.deliverySlots || {}),
+        [field]: value
+      }
+    }));
+  };
+
+  const handleOverrideChange = (index, field, value) => {
+    handleSlotChange('capacityOverrides', slotSettings.capacityOverrides.map((override, i) => (
+      i === index ? { ...override, [field]: value } : override
+    )));
+  };
+
   const handleTimeChange = (day, type, field, value) => {
     setSettings(prev => ({
       ...prev,
@@ -627,6 +657,143 @@ const AdminTimeSettings = () => {
         )}
       </div>
 
+      {/* Delivery Slots & Pre-orders */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-1 flex items-center gap-2">
+          <Clock className="h-5 w-5" />
+          Delivery Slots & Pre-orders
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">Slots are cut from the opening hours above and skip pause windows and closed special days.</p>
+
+        <div className="space-y-3">
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              checked={slotSettings.isEnabled}
+              onChange={(e) => handleSlotChange('isEnabled', e.target.checked)}
+              className="w-4 h-4 text-pink-500 border-gray-300 rounded focus:ring-pink-500"
+            />
+            <span className="text-sm text-gray-700">Let customers choose a delivery slot</span>
+          </label>
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              checked={slotSettings.acceptPreOrdersWhenClosed}
+              disabled={!slotSettings.isEnabled}
+              onChange={(e) => handleSlotChange('acceptPreOrdersWhenClosed', e.target.checked)}
+              className="w-4 h-4 text-pink-500 border-gray-300 rounded focus:ring-pink-500"
+            />
+            <span className="text-sm text-gray-700">Accept pre-orders while the shop is closed</span>
+          </label>
+        </div>
+
+        {slotSettings.isEnabled && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Slot length (min)</label>
+                <select
+                  value={slotSettings.slotMinutes}
+                  onChange={(e) => handleSlotChange('slotMinutes', parseInt(e.target.value, 10))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+                >
+                  {[30, 60, 90, 120].map(minutes => (
+                    <option key={minutes} value={minutes}>{minutes}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Orders per slot</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={slotSettings.defaultCapacity}
+                  onChange={(e) => handleSlotChange('defaultCapacity', parseInt(e.target.value, 10) || 0)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Lead time (min)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={slotSettings.leadTimeMinutes}
+                  onChange={(e) => handleSlotChange('leadTimeMinutes', parseInt(e.target.value, 10) || 0)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Pre-order days</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="14"
+                  value={slotSettings.preOrderDays}
+                  onChange={(e) => handleSlotChange('preOrderDays', Math.min(14, parseInt(e.target.value, 10) || 0))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            <div className="mt-6">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-md font-medium text-gray-700">Capacity per slot</h3>
+                <button
+                  onClick={() => handleSlotChange('capacityOverrides', [
+                    ...slotSettings.capacityOverrides,
+                    { startTime: settings.weekday.startTime || '09:00', date: null, capacity: slotSettings.defaultCapacity }
+                  ])}
+                  className="px-3 py-1.5 text-sm bg-pink-50 text-pink-700 rounded-md hover:bg-pink-100 flex items-center gap-1"
+                >
+                  <Plus className="h-4 w-4" />
+                  Add override
+                </button>
+              </div>
+              {slotSettings.capacityOverrides.length === 0 ? (
+                <p className="text-sm text-gray-500">Every slot takes {slotSettings.defaultCapacity} orders.</p>
+              ) : (
+                <div className="space-y-2">
+                  {slotSettings.capacityOverrides.map((override, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2 p-3 bg-gray-50 rounded-lg">
+                      <input
+                        type="time"
+                        value={override.startTime || ''}
+                        onChange={(e) => handleOverrideChange(index, 'startTime', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                        title="Slot start time"
+                      />
+                      <input
+                        type="date"
+                        value={override.date ? new Date(override.date).toISOString().split('T')[0] : ''}
+                        onChange={(e) => handleOverrideChange(index, 'date', e.target.value || null)}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                        title="Leave empty to apply every day"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        value={override.capacity}
+                        onChange={(e) => handleOverrideChange(index, 'capacity', parseInt(e.target.value, 10) || 0)}
+                        className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                        title="Orders allowed in this slot"
+                      />
+                      <span className="text-xs text-gray-500">{override.date ? 'this date only' : 'every day'}</span>
+                      <button
+                        onClick={() => handleSlotChange('capacityOverrides', slotSettings.capacityOverrides.filter((_, i) => i !== index))}
+                        className="ml-auto text-red-600 hover:text-red-800 p-1"
+                        title="Remove override"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
       {/* Save Button */}
       <div className="flex justify-end">
         <button
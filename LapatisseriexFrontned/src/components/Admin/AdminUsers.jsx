@@ -6,6 +6,8 @@ import { getAuth, onAuthStateChanged } from 'firebase/auth';
 import { toast } from 'react-hot-toast';
 import io from 'socket.io-client';
 import { getWebSocketBaseUrl, getSocketOptions } from '../../utils/websocketUrl.js';
+import { useAuth } from '../../hooks/useAuth';
+import { ADMIN_PERMISSIONS, hasAdminPermission } from '../../utils/adminPermissions';
 
 const AdminUsers = () => {
   const [users, setUsers] = useState([]);
@@ -36,6 +38,10 @@ const AdminUsers = () => {
   const [newUserCount, setNewUserCount] = useState(0);
   const [wsConnected, setWsConnected] = useState(false);
   const [wsSocketId, setWsSocketId] = useState('');
+  // Role / permission editor in the user modal
+  const [accessDraft, setAccessDraft] = useState({ role: 'user', permissions: [] });
+  const [savingAccess, setSavingAccess] = useState(false);
+  const { user: currentUser } = useAuth();
 
   const { locations } = useLocationContext?.() || { locations: [] };
   
@@ -92,9 +98,40 @@ const AdminUsers = () => {
     }
   };
   
+  // Change a user's role (customer, rider, staff, admin) and staff permissions
+  const updateUserAccess = async (user, access) => {
+    try {
+      setSavingAccess(true);
+      const auth = getAuth();
+      const idToken = await auth.currentUser.getIdToken(true);
+      const response = await axios.put(`${API_URL}/admin/users/${user.uid}/access`, access, {
+        headers: { Authorization: `Bearer ${idToken}` }
+      });
+      const { role, permissions } = response.data.user;
+      setSelectedUser(prev => (prev && prev.uid === user.uid ? { ...prev, role, permissions } : prev));
+      setUsers(prev => prev.map(entry => (entry.uid === user.uid ? { ...entry, role, permissions } : entry)));
+      toast.success('Access updated');
+    } catch (error) {
+      console.error('Error updating user access:', error);
+      toast.error(error.response?.data?.message || 'Failed to update access');
+    } finally {
+      setSavingAccess(false);
+    }
+  };
+
+  const toggleDraftPermission = (permission) => {
+    setAccessDraft(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(entry => entry !== permission)
+        : [...prev.permissions, permission]
+    }));
+  };
+
   // View user details
   const viewUserDetails = async (user) => {
     setSelectedUser(user);
+    setAccessDraft({ role: user.role, permissions: user.permissions || [] });
     setShowUserModal(true);
     setLoadingDetails(true);
     setUserDetails(null);
@@ -780,6 +817,52 @@ const AdminUsers = () => {
                               {selectedUser.role}
                             </span>
                           </div>
+                          {selectedUser.uid !== currentUser?.uid && (selectedUser.role !== 'admin' || currentUser?.role === 'admin') && (
+                            <div className="border-t border-blue-100 pt-3 space-y-2">
+                              <div className="flex justify-between items-center">
+                                <span className="font-medium text-gray-700">Access:</span>
+                                <select
+                                  value={accessDraft.role}
+                                  onChange={(e) => setAccessDraft(prev => ({ ...prev, role: e.target.value }))}
+                                  className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-rose-500"
+                                >
+                                  <option value="user">Customer</option>
+                                  <option value="delivery">Delivery rider</option>
+                                  <option value="staff">Staff</option>
+                                  {currentUser?.role === 'admin' && <option value="admin">Admin (full access)</option>}
+                                </select>
+                              </div>
+                              {accessDraft.role === 'staff' && (
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+                                  {ADMIN_PERMISSIONS.map(permission => (
+                                    <label
+                                      key={permission.value}
+                                      title={permission.description}
+                                      className={`flex items-center gap-2 text-sm ${hasAdminPermission(currentUser, permission.value) ? 'text-gray-800' : 'text-gray-400'}`}
+                                    >
+                                      <input
+                                        type="checkbox"
+                                        checked={accessDraft.permissions.includes(permission.value)}
+                                        disabled={!hasAdminPermission(currentUser, permission.value)}
+                                        onChange={() => toggleDraftPermission(permission.value)}
+                                        className="rounded text-rose-600 focus:ring-rose-500"
+                                      />
+                                      {permission.label}
+                                    </label>
+                                  ))}
+                                </div>
+                              )}
+                              <div className="flex justify-end">
+                                <button
+                                  onClick={() => updateUserAccess(selectedUser, accessDraft)}
+                                  disabled={savingAccess}
+                                  className="px-3 py-1 text-xs rounded-md bg-rose-600 text-white hover:bg-rose-700 disabled:opacity-50"
+                                >
+                                  {savingAccess ? 'Saving...' : 'Save access'}
+                                </button>
+                              </div>
+                            </div>
+                          )}
                           <div className="flex justify-between">
                             <span className="font-medium text-gray-700">Joined:</span>
                             <span className="text-gray-900">{new Date(selectedUser.createdAt).toLocaleDateString()}</span>
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import {
+  FaShoppingBasket,
+  FaEnvelope,
+  FaCheck,
+  FaTicketAlt,
+  FaSync
+} from 'react-icons/fa';
+import apiService from '../../../services/apiService';
+
+const PERIOD_OPTIONS = [7, 30, 90];
+
+const formatCurrency = (value) => `₹${Number(value || 0).toLocaleString('en-IN')}`;
+
+/**
+ * Cart Recovery Widget - Abandoned cart reminders and the orders they brought back
+ */
+const CartRecoveryWidget = () => {
+  const [stats, setStats] = useState(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchStats = async (period = days) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.get('/admin/cart-recovery/stats', { params: { days: period } });
+      setStats(response.data?.data || null);
+    } catch (err) {
+      console.error('Error fetching cart recovery stats:', err);
+      setError('Failed to load cart recovery stats');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    // Add a small delay to ensure Firebase auth is ready
+    const timer = setTimeout(() => {
+      fetchStats(days);
+    }, 1000);
+
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [days]);
+
+  const header = (
+    <div className="flex items-center justify-between p-6 border-b border-gray-200">
+      <h3 className="text-lg font-medium text-gray-900">Abandoned Carts</h3>
+      <div className="flex items-center space-x-2">
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="text-sm border border-gray-300 rounded px-2 py-1"
+        >
+          {PERIOD_OPTIONS.map(option => (
+            <option key={option} value={option}>Last {option} days</option>
+          ))}
+        </select>
+        <button
+          onClick={() => fetchStats(days)}
+          className="p-2 text-gray-500 hover:text-gray-700 transition-colors"
+        >
+          <FaSync size={14} />
+        </button>
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border p-6">
+        <div className="animate-pulse">
+          <div className="h-6 bg-gray-200 rounded mb-4"></div>
+          <div className="space-y-3">
+            <div className="h-4 bg-gray-200 rounded"></div>
+            <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border">
+        {header}
+        <div className="text-center py-6">
+          <p className="text-red-600">{error}</p>
+          <button
+            onClick={() => fetchStats(days)}
+            className="mt-2 text-blue-600 hover:text-blue-800"
+          >
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border">
+      {header}
+
+      {stats && (
+        <div className="p-6">
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className="text-center">
+              <div className="flex items-center justify-center w-8 h-8 bg-blue-100 rounded-full mx-auto mb-2">
+                <FaEnvelope className="text-blue-600" size={14} />
+              </div>
+              <div className="text-2xl font-bold text-gray-900">{stats.reminded}</div>
+              <div className="text-xs text-gray-600">Reminded</div>
+            </div>
+
+            <div className="text-center">
+              <div className="flex items-center justify-center w-8 h-8 bg-green-100 rounded-full mx-auto mb-2">
+                <FaCheck className="text-green-600" size={14} />
+              </div>
+              <div className="text-2xl font-bold text-green-600">{stats.recovered}</div>
+              <div className="text-xs text-gray-600">Recovered</div>
+            </div>
+
+            <div className="text-center">
+              <div className="flex items-center justify-center w-8 h-8 bg-purple-100 rounded-full mx-auto mb-2">
+                <FaShoppingBasket className="text-purple-600" size={14} />
+              </div>
+              <div className="text-2xl font-bold text-purple-600">{stats.conversionRate}%</div>
+              <div className="text-xs text-gray-600">Conversion</div>
+            </div>
+
+            <div className="text-center">
+              <div className="flex items-center justify-center w-8 h-8 bg-yellow-100 rounded-full mx-auto mb-2">
+                <FaTicketAlt className="text-yellow-600" size={14} />
+              </div>
+              <div className="text-2xl font-bold text-yellow-600">
+                {stats.couponsUsed}/{stats.couponsIssued}
+              </div>
+              <div className="text-xs text-gray-600">Coupons Used</div>
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between text-sm mb-4">
+            <span className="text-gray-600">Recovered revenue</span>
+            <span className="font-medium text-gray-900">
+              {formatCurrency(stats.recoveredValue)}
+              <span className="text-gray-500 font-normal"> of {formatCurrency(stats.cartValue)} in reminded carts</span>
+            </span>
+          </div>
+
+          {stats.recent?.length > 0 ? (
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-3">Recent recoveries</h4>
+              <div className="space-y-2 max-h-32 overflow-y-auto">
+                {stats.recent.map(recovery => (
+                  <div key={recovery._id} className="flex items-center justify-between p-2 bg-green-50 rounded text-sm">
+                    <div className="min-w-0 flex-1">
+                      <div className="font-medium text-gray-900 truncate">#{recovery.orderNumber}</div>
+                      <div className="text-gray-600 text-xs truncate">
+                        {recovery.email || 'In-app reminder'}{recovery.couponUsed ? ' · used coupon' : ''}
+                      </div>
+                    </div>
+                    <div className="text-right ml-2 font-medium text-green-600">
+                      {formatCurrency(recovery.recoveredValue)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <p className="text-center text-sm text-gray-500 py-2">No recovered carts in this period yet</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CartRecoveryWidget;
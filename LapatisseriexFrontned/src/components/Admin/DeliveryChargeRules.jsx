@@ -0,0 +1,485 @@
+import React, { useState, useEffect } from 'react';
+import { FaTruck, FaPlus, FaEdit, FaTrash, FaToggleOn, FaToggleOff, FaExclamationTriangle } from 'react-icons/fa';
+import apiClient from '../../services/apiService';
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'free_above',
+  locationId: '',
+  hostelId: '',
+  amount: '',
+  minSubtotal: '',
+  minWeightKg: '',
+  startTime: '',
+  endTime: '',
+  pauseEdgeMinutes: '',
+  validFrom: '',
+  validUntil: '',
+  isActive: true
+};
+
+const TYPE_LABELS = {
+  free_above: 'Free delivery above',
+  time_surcharge: 'Time surcharge',
+  hostel_override: 'Hostel charge',
+  weight_tier: 'Weight tier',
+  promo: 'Delivery promo'
+};
+
+const TYPE_HELP = {
+  free_above: 'Waives delivery when the cart (after product discounts) reaches the minimum value.',
+  time_surcharge: 'Adds a charge for deliveries inside a time window (e.g. late night) or close to a daily kitchen break.',
+  hostel_override: "Replaces the location's delivery charge for one hostel.",
+  weight_tier: 'Adds a charge when the cart weighs at least this much. Only the heaviest matching tier applies.',
+  promo: 'Caps the delivery charge at a lower amount until the end date.'
+};
+
+// datetime-local wants local wall-clock time without a timezone
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'free_above':
+      return `Free from ₹${rule.minSubtotal}`;
+    case 'time_surcharge': {
+      const parts = [];
+      if (rule.startTime && rule.endTime) parts.push(`${rule.startTime}–${rule.endTime}`);
+      if (rule.pauseEdgeMinutes > 0) parts.push(`±${rule.pauseEdgeMinutes} min of breaks`);
+      return `+₹${rule.amount} (${parts.join(', ')})`;
+    }
+    case 'hostel_override':
+      return `₹${rule.amount} for ${rule.hostelId?.name || 'hostel'}`;
+    case 'weight_tier':
+      return `+₹${rule.amount} from ${rule.minWeightKg} kg`;
+    case 'promo':
+      return `₹${rule.amount} delivery${rule.minSubtotal ? ` on ₹${rule.minSubtotal}+` : ''}`;
+    default:
+      return '';
+  }
+};
+
+const describeValidity = (rule) => {
+  if (!rule.validFrom && !rule.validUntil) return 'Always';
+  const format = (value) => new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+  if (!rule.validFrom) return `Until ${format(rule.validUntil)}`;
+  if (!rule.validUntil) return `From ${format(rule.validFrom)}`;
+  return `${format(rule.validFrom)} – ${format(rule.validUntil)}`;
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-black focus:border-black font-medium';
+
+// Delivery charge rules layered on top of each location's flat charge; rendered inside AdminLocations
+const DeliveryChargeRules = ({ locations = [], hostels = [] }) => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/admin/delivery-rules');
+      setRules(response.data.rules || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching delivery rules:', err);
+      setError('Failed to load delivery rules. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const openCreateModal = () => {
+    setEditingRule(null);
+    setFormData(EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const openEditModal = (rule) => {
+    setEditingRule(rule);
+    setFormData({
+      name: rule.name,
+      type: rule.type,
+      locationId: rule.locationId?._id || rule.locationId || '',
+      hostelId: rule.hostelId?._id || rule.hostelId || '',
+      amount: rule.amount ?? '',
+      minSubtotal: rule.minSubtotal || '',
+      minWeightKg: rule.minWeightKg || '',
+      startTime: rule.startTime || '',
+      endTime: rule.endTime || '',
+      pauseEdgeMinutes: rule.pauseEdgeMinutes || '',
+      validFrom: toDateTimeInput(rule.validFrom),
+      validUntil: toDateTimeInput(rule.validUntil),
+      isActive: rule.isActive !== false
+    });
+    setShowModal(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = {
+        ...formData,
+        // Convert the admin's local wall-clock time to an instant
+        validFrom: formData.validFrom ? new Date(formData.validFrom).toISOString() : '',
+        validUntil: formData.validUntil ? new Date(formData.validUntil).toISOString() : '',
+        hostelId: formData.type === 'hostel_override' ? formData.hostelId : ''
+      };
+      if (editingRule) {
+        await apiClient.put(`/admin/delivery-rules/${editingRule._id}`, payload);
+      } else {
+        await apiClient.post('/admin/delivery-rules', payload);
+      }
+      setShowModal(false);
+      setError(null);
+      fetchRules();
+    } catch (err) {
+      console.error('Error saving delivery rule:', err);
+      setError(err.response?.data?.message || 'Failed to save delivery rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRuleStatus = async (ruleId) => {
+    try {
+      await apiClient.patch(`/admin/delivery-rules/${ruleId}/toggle`);
+      fetchRules();
+    } catch (err) {
+      console.error('Error toggling delivery rule:', err);
+      setError('Failed to update delivery rule status. Please try again.');
+    }
+  };
+
+  const deleteRule = async (ruleId) => {
+    if (!window.confirm('Are you sure you want to delete this delivery rule?')) {
+      return;
+    }
+    try {
+      await apiClient.delete(`/admin/delivery-rules/${ruleId}`);
+      fetchRules();
+    } catch (err) {
+      console.error('Error deleting delivery rule:', err);
+      setError('Failed to delete delivery rule. Please try again.');
+    }
+  };
+
+  const locationLabel = (rule) => {
+    if (!rule.locationId) return 'All locations';
+    return rule.locationId.area ? `${rule.locationId.area}, ${rule.locationId.city}` : 'Location';
+  };
+
+  // Hostel overrides pick from the selected location's hostels (or every hostel when the rule is global)
+  const hostelOptions = hostels.filter(hostel =>
+    !formData.locationId || (hostel.locationId?._id || hostel.locationId) === formData.locationId
+  );
+
+  const { type } = formData;
+  const usesAmount = type !== 'free_above';
+  const usesMinSubtotal = type === 'free_above' || type === 'promo';
+
+  return (
+    <div className="mt-10">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-black flex items-center">
+            <FaTruck className="mr-2" />
+            Delivery Charge Rules
+          </h2>
+          <p className="text-black font-light text-sm">
+            Applied at checkout on top of each location's delivery charge: hostel charge, then weight tier and time
+            surcharge, then promos, then free delivery.
+          </p>
+        </div>
+        <button
+          onClick={openCreateModal}
+          className="bg-black text-white px-4 py-2 rounded-md flex items-center hover:bg-gray-800 transition-colors font-medium self-start"
+        >
+          <FaPlus className="mr-2" />
+          Add Rule
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-400 p-4 mb-4">
+          <div className="flex items-start">
+            <FaExclamationTriangle className="text-red-400 mt-0.5 mr-2" />
+            <p className="text-red-800 font-medium">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-100">
+            <tr>
+              {['Rule', 'Type', 'Applies to', 'Effect', 'Valid', 'Status', 'Actions'].map(heading => (
+                <th key={heading} scope="col" className="px-4 py-3 text-left text-xs font-bold text-black uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan="7" className="px-4 py-4 text-center text-black font-light">Loading delivery rules...</td>
+              </tr>
+            ) : rules.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-4 py-4 text-center text-black font-light">
+                  No delivery rules yet. Every location charges its flat delivery charge.
+                </td>
+              </tr>
+            ) : (
+              rules.map(rule => (
+                <tr key={rule._id} className="text-sm">
+                  <td className="px-4 py-3 font-medium text-black">{rule.name}</td>
+                  <td className="px-4 py-3 text-black">{TYPE_LABELS[rule.type] || rule.type}</td>
+                  <td className="px-4 py-3 text-black">{locationLabel(rule)}</td>
+                  <td className="px-4 py-3 text-black whitespace-nowrap">{describeRule(rule)}</td>
+                  <td className="px-4 py-3 text-gray-600 text-xs">{describeValidity(rule)}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 text-xs rounded-full font-medium ${rule.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                      {rule.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex space-x-2">
+                      <button onClick={() => openEditModal(rule)} className="text-blue-600 hover:text-blue-900" title="Edit rule">
+                        <FaEdit />
+                      </button>
+                      <button onClick={() => deleteRule(rule._id)} className="text-red-600 hover:text-red-900" title="Delete rule">
+                        <FaTrash />
+                      </button>
+                      <button
+                        onClick={() => toggleRuleStatus(rule._id)}
+                        className={rule.isActive ? 'text-amber-500 hover:text-amber-700' : 'text-green-600 hover:text-green-800'}
+                        title={rule.isActive ? 'Deactivate rule' : 'Activate rule'}
+                      >
+                        {rule.isActive ? <FaToggleOff /> : <FaToggleOn />}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 font-sans p-4">
+          <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-bold text-black mb-4">
+              {editingRule ? 'Edit Delivery Rule' : 'Add Delivery Rule'}
+            </h3>
+
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-black mb-1">Name</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    className={inputClass}
+                    placeholder="e.g. Late night surcharge"
+                    required
+                    maxLength={80}
+                  />
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black mb-1">Type</label>
+                    <select name="type" value={type} onChange={handleInputChange} className={inputClass}>
+                      {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black mb-1">Location</label>
+                    <select name="locationId" value={formData.locationId} onChange={handleInputChange} className={inputClass}>
+                      <option value="">All locations</option>
+                      {locations.map(location => (
+                        <option key={location._id} value={location._id}>
+                          {location.area}, {location.city}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 -mt-2">{TYPE_HELP[type]}</p>
+
+                {type === 'hostel_override' && (
+                  <div>
+                    <label className="block text-sm font-medium text-black mb-1">Hostel</label>
+                    <select name="hostelId" value={formData.hostelId} onChange={handleInputChange} className={inputClass} required>
+                      <option value="">Select a hostel</option>
+                      {hostelOptions.map(hostel => (
+                        <option key={hostel._id} value={hostel._id}>{hostel.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {usesAmount && (
+                    <div>
+                      <label className="block text-sm font-medium text-black mb-1">
+                        {type === 'time_surcharge' || type === 'weight_tier' ? 'Extra charge (₹)' : 'Delivery charge (₹)'}
+                      </label>
+                      <input
+                        type="number"
+                        name="amount"
+                        value={formData.amount}
+                        onChange={handleInputChange}
+                        className={inputClass}
+                        min="0"
+                        step="1"
+                        required
+                      />
+                    </div>
+                  )}
+                  {usesMinSubtotal && (
+                    <div>
+                      <label className="block text-sm font-medium text-black mb-1">Minimum cart value (₹)</label>
+                      <input
+                        type="number"
+                        name="minSubtotal"
+                        value={formData.minSubtotal}
+                        onChange={handleInputChange}
+                        className={inputClass}
+                        min={type === 'free_above' ? '1' : '0'}
+                        step="1"
+                        required={type === 'free_above'}
+                      />
+                    </div>
+                  )}
+                  {type === 'weight_tier' && (
+                    <div>
+                      <label className="block text-sm font-medium text-black mb-1">Minimum cart weight (kg)</label>
+                      <input
+                        type="number"
+                        name="minWeightKg"
+                        value={formData.minWeightKg}
+                        onChange={handleInputChange}
+                        className={inputClass}
+                        min="0.01"
+                        step="0.01"
+                        required
+                      />
+                    </div>
+                  )}
+                </div>
+
+                {type === 'time_surcharge' && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-black mb-1">From</label>
+                      <input type="time" name="startTime" value={formData.startTime} onChange={handleInputChange} className={inputClass} />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-black mb-1">To</label>
+                      <input type="time" name="endTime" value={formData.endTime} onChange={handleInputChange} className={inputClass} />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-black mb-1">Break edge (min)</label>
+                      <input
+                        type="number"
+                        name="pauseEdgeMinutes"
+                        value={formData.pauseEdgeMinutes}
+                        onChange={handleInputChange}
+                        className={inputClass}
+                        min="0"
+                        max="180"
+                        step="5"
+                      />
+                    </div>
+                    <p className="sm:col-span-3 text-xs text-gray-500 -mt-2">
+                      Shop time; windows may run past midnight. Break edge matches deliveries within that many minutes of a
+                      daily pause window starting or ending.
+                    </p>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-black mb-1">Valid from (optional)</label>
+                    <input type="datetime-local" name="validFrom" value={formData.validFrom} onChange={handleInputChange} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-black mb-1">
+                      Valid until {type === 'promo' ? '' : '(optional)'}
+                    </label>
+                    <input
+                      type="datetime-local"
+                      name="validUntil"
+                      value={formData.validUntil}
+                      onChange={handleInputChange}
+                      className={inputClass}
+                      required={type === 'promo'}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    name="isActive"
+                    id="deliveryRuleIsActive"
+                    checked={formData.isActive}
+                    onChange={handleInputChange}
+                    className="h-4 w-4 text-black focus:ring-black border-gray-300 rounded"
+                  />
+                  <label htmlFor="deliveryRuleIsActive" className="ml-2 block text-sm text-black font-medium">
+                    Rule is active
+                  </label>
+                </div>
+              </div>
+
+              <div className="mt-6 flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-black hover:bg-gray-100 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-black text-white rounded-md hover:bg-gray-800 transition-colors font-medium disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : editingRule ? 'Update Rule' : 'Add Rule'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryChargeRules;
@@ -12,12 +12,33 @@ import {
   FaFilter,
   FaSearch,
   FaChartBar,
-  FaCog
+  FaCog,
+  FaHistory,
+  FaLock
 } from 'react-icons/fa';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useSidebar } from '../AdminDashboardLayout';
 import apiService from '../../../services/apiService';
+import StockActivityPanel from './StockActivityPanel';
+
+/**
+ * Units reserved by online checkouts that haven't been paid for yet
+ */
+const HeldStockBadge = ({ variant }) => {
+  if (!variant.heldStock) return null;
+  const releaseTime = variant.nextHoldExpiry
+    ? new Date(variant.nextHoldExpiry).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })
+    : null;
+  return (
+    <span
+      title={`${variant.holdCount} checkout(s) awaiting payment${releaseTime ? ` · next release at ${releaseTime}` : ''}`}
+      className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded bg-blue-100 text-blue-800"
+    >
+      <FaLock size={10} /> {variant.heldStock} on hold
+    </span>
+  );
+};
 
 /**
  * Admin Inventory Management Component
@@ -36,6 +57,7 @@ const AdminInventory = () => {
   const [stockUpdates, setStockUpdates] = useState({});
   const [showBulkUpdate, setShowBulkUpdate] = useState(false);
   const [lowStockThreshold, setLowStockThreshold] = useState(5);
+  const [historyProduct, setHistoryProduct] = useState(null);
 
   // Load inventory data
   const loadInventoryData = async () => {
@@ -75,7 +97,8 @@ const AdminInventory = () => {
     try {
       await apiService.put(`/stock/${productId}/variant/${variantIndex}`, { 
         stock: parseInt(newStock), 
-        isStockActive: isStockActive 
+        isStockActive: isStockActive,
+        source: 'inventory_table'
       });
 
       toast.success('Stock updated successfully');
@@ -469,6 +492,7 @@ const AdminInventory = () => {
                                     }`}>
                                       {variant.stock} {variant.isStockActive ? 'units' : '(disabled)'}
                                     </span>
+                                    <HeldStockBadge variant={variant} />
                                   </>
                                 )}
                               </div>
@@ -545,6 +569,12 @@ const AdminInventory = () => {
                       >
                         View Details
                       </Link>
+                      <button
+                        onClick={() => setHistoryProduct(product)}
+                        className="ml-4 inline-flex items-center gap-1 text-gray-600 hover:text-gray-900"
+                      >
+                        <FaHistory size={12} /> History
+                      </button>
                     </td>
                   </tr>
                 ))}
@@ -575,12 +605,21 @@ const AdminInventory = () => {
                           {product.category?.name || 'Uncategorized'}
                         </span>
                       </div>
-                      <Link
-                        to={`/admin/products?edit=${product._id}`}
-                        className="shrink-0 text-blue-600 hover:text-blue-800 text-sm"
-                      >
-                        View
-                      </Link>
+                      <div className="shrink-0 flex items-center gap-3 text-sm">
+                        <button
+                          onClick={() => setHistoryProduct(product)}
+                          className="text-gray-600 hover:text-gray-900"
+                          title="Stock history"
+                        >
+                          <FaHistory size={12} />
+                        </button>
+                        <Link
+                          to={`/admin/products?edit=${product._id}`}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          View
+                        </Link>
+                      </div>
                     </div>
 
                     <div className="mt-3 space-y-2">
@@ -598,14 +637,17 @@ const AdminInventory = () => {
                                 </div>
                               </div>
                               {!isEditing && (
-                                <span className={`px-2 py-1 text-xs font-medium rounded ${
-                                  variant.status === 'in_stock' ? 'bg-green-100 text-green-800' :
-                                  variant.status === 'low_stock' ? 'bg-yellow-100 text-yellow-800' :
-                                  variant.status === 'out_of_stock' ? 'bg-red-100 text-red-800' :
-                                  'bg-gray-100 text-gray-800'
-                                }`}>
-                                  {variant.stock} {variant.isStockActive ? 'units' : '(disabled)'}
-                                </span>
+                                <div className="flex flex-col items-end gap-1">
+                                  <span className={`px-2 py-1 text-xs font-medium rounded ${
+                                    variant.status === 'in_stock' ? 'bg-green-100 text-green-800' :
+                                    variant.status === 'low_stock' ? 'bg-yellow-100 text-yellow-800' :
+                                    variant.status === 'out_of_stock' ? 'bg-red-100 text-red-800' :
+                                    'bg-gray-100 text-gray-800'
+                                  }`}>
+                                    {variant.stock} {variant.isStockActive ? 'units' : '(disabled)'}
+                                  </span>
+                                  <HeldStockBadge variant={variant} />
+                                </div>
                               )}
                             </div>
                             <div className="mt-2 flex items-center justify-between gap-2">
@@ -758,6 +800,10 @@ const AdminInventory = () => {
           </div>
         )}
       </div>
+
+      {historyProduct && (
+        <StockActivityPanel product={historyProduct} onClose={() => setHistoryProduct(null)} />
+      )}
     </div>
   );
 };
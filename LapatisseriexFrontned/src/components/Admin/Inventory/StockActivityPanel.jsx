@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaHistory, FaTimes, FaSpinner } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import apiService from '../../../services/apiService';
+
+const REASON_LABELS = {
+  order_placed: 'Order placed',
+  order_cancelled: 'Order cancelled',
+  order_amended: 'Order item removed',
+  manual_update: 'Manual update',
+  bulk_update: 'Bulk update',
+  product_update: 'Product edited',
+  checkout_hold: 'Checkout hold',
+  hold_released: 'Hold released'
+};
+
+/**
+ * Stock ledger for one product, newest first
+ */
+const StockActivityPanel = ({ product, onClose }) => {
+  const [activities, setActivities] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [variantIndex, setVariantIndex] = useState('');
+  const [reason, setReason] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  const loadActivity = useCallback(async () => {
+    if (!product?._id) return;
+    try {
+      setLoading(true);
+      const params = { productId: product._id, page, limit: 20 };
+      if (variantIndex !== '') params.variantIndex = variantIndex;
+      if (reason) params.reason = reason;
+      const { data } = await apiService.get('/stock-validation/inventory/activity', { params });
+      setActivities(data.activities || []);
+      setPagination(data.pagination || { page: 1, pages: 1, total: 0 });
+    } catch (error) {
+      console.error('Error loading stock activity:', error);
+      toast.error('Failed to load stock history');
+    } finally {
+      setLoading(false);
+    }
+  }, [product?._id, page, variantIndex, reason]);
+
+  useEffect(() => {
+    loadActivity();
+  }, [loadActivity]);
+
+  if (!product) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <div className="flex items-center gap-2">
+            <FaHistory className="text-blue-500" />
+            <h3 className="text-lg font-medium text-gray-900">Stock history · {product.name}</h3>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-3 px-6 py-3 border-b bg-gray-50">
+          <select
+            value={variantIndex}
+            onChange={(e) => { setVariantIndex(e.target.value); setPage(1); }}
+            className="px-3 py-1 text-sm border border-gray-300 rounded"
+          >
+            <option value="">All variants</option>
+            {(product.variants || []).map((variant, index) => (
+              <option key={index} value={index}>
+                {variant.name || `${variant.quantity} ${variant.measuringUnit}`}
+              </option>
+            ))}
+          </select>
+          <select
+            value={reason}
+            onChange={(e) => { setReason(e.target.value); setPage(1); }}
+            className="px-3 py-1 text-sm border border-gray-300 rounded"
+          >
+            <option value="">All changes</option>
+            {Object.entries(REASON_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <span className="text-sm text-gray-500 self-center">{pagination.total} entries</span>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <FaSpinner className="animate-spin text-gray-400" />
+            </div>
+          ) : activities.length === 0 ? (
+            <p className="text-center text-sm text-gray-500 py-10">No stock changes recorded yet</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Variant</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Stock</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">By</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {activities.map((activity) => (
+                  <tr key={activity._id}>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                      {new Date(activity.createdAt).toLocaleString('en-IN', {
+                        month: 'short',
+                        day: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit'
+                      })}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{activity.variantLabel || `#${activity.variantIndex + 1}`}</td>
+                    <td className={`px-4 py-2 font-medium ${
+                      activity.quantityChange > 0 ? 'text-green-600' :
+                      activity.quantityChange < 0 ? 'text-red-600' :
+                      'text-gray-500'
+                    }`}>
+                      {activity.quantityChange > 0 ? `+${activity.quantityChange}` : activity.quantityChange}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                      {activity.stockBefore} → {activity.stockAfter}
+                      {activity.isStockActiveBefore !== activity.isStockActiveAfter && (
+                        <div className="text-xs text-gray-400">
+                          tracking {activity.isStockActiveAfter ? 'on' : 'off'}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {REASON_LABELS[activity.reason] || activity.reason}
+                      {activity.orderNumber && (
+                        <div className="text-xs text-gray-400">#{activity.orderNumber}</div>
+                      )}
+                      {activity.note && (
+                        <div className="text-xs text-gray-400">{activity.note}</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {activity.actor?.name || activity.actor?.email || activity.actorRole}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-between px-6 py-3 border-t">
+            <button
+              onClick={() => setPage(prev => Math.max(1, prev - 1))}
+              disabled={page <= 1}
+              className="px-3 py-1 text-sm border border-gray-300 rounded disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-500">Page {pagination.page} of {pagination.pages}</span>
+            <button
+              onClick={() => setPage(prev => Math.min(pagination.pages, prev + 1))}
+              disabled={page >= pagination.pages}
+              className="px-3 py-1 text-sm border border-gray-300 rounded disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockActivityPanel;
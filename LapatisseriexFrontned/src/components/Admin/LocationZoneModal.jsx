@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { FaCrosshairs } from 'react-icons/fa';
+import apiClient from '../../services/apiService';
+
+// GeoJSON stores [lng, lat]; admins read and type "lat, lng" as map apps show them
+const ringToText = (location) => {
+  const ring = location.serviceArea?.coordinates?.[0] || [];
+  // Drop the closing point; the server closes the ring again
+  return ring.slice(0, -1).map(([lng, lat]) => `${lat}, ${lng}`).join('\n');
+};
+
+// Accepts "lat, lng" lines or pasted GeoJSON (Polygon, Feature or FeatureCollection)
+const parsePolygonText = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    const geojson = JSON.parse(trimmed);
+    const geometry = geojson.type === 'FeatureCollection'
+      ? geojson.features?.[0]?.geometry
+      : geojson.type === 'Feature' ? geojson.geometry : geojson;
+    if (geometry?.type !== 'Polygon') {
+      throw new Error('Paste a single Polygon');
+    }
+    return geometry.coordinates[0].map(([lng, lat]) => [lat, lng]);
+  }
+  return trimmed.split('\n').filter(line => line.trim()).map(line => {
+    const [lat, lng] = line.split(',').map(part => Number(part.trim()));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw new Error(`Could not read "${line.trim()}" as "lat, lng"`);
+    }
+    return [lat, lng];
+  });
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-black focus:border-black font-medium';
+
+// Delivery zone editor for one location: a polygon or a radius around a centre point
+const LocationZoneModal = ({ location, onClose, onSaved }) => {
+  const initialMode = location.serviceArea ? 'polygon' : location.center ? 'radius' : 'none';
+  const [mode, setMode] = useState(initialMode);
+  const [center, setCenter] = useState({
+    lat: location.center?.coordinates?.[1] ?? '',
+    lng: location.center?.coordinates?.[0] ?? ''
+  });
+  const [radiusKm, setRadiusKm] = useState(location.radiusKm || 2);
+  const [polygonText, setPolygonText] = useState(ringToText(location));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const useCurrentPosition = () => {
+    if (!navigator.geolocation) {
+      setError('This browser cannot share its location');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setCenter({ lat: coords.latitude.toFixed(6), lng: coords.longitude.toFixed(6) }),
+      () => setError('Location permission was denied')
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    let payload = { mode };
+    try {
+      if (mode === 'radius') {
+        payload = { mode, center: { lat: Number(center.lat), lng: Number(center.lng) }, radiusKm: Number(radiusKm) };
+      } else if (mode === 'polygon') {
+        payload = { mode, polygon: parsePolygonText(polygonText) };
+      }
+    } catch (parseError) {
+      setError(parseError.message);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await apiClient.put(`/admin/locations/${location._id}/zone`, payload);
+      onSaved();
+    } catch (err) {
+      console.error('Error saving delivery zone:', err);
+      setError(err.response?.data?.message || 'Failed to save delivery zone');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 font-sans p-4">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-bold text-black mb-1">Delivery Zone</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {location.area}, {location.city} – {location.pincode}. Customers who share their location are matched against
+          this zone; pincode checks still use the location's pincode.
+        </p>
+
+        {error && <p className="mb-4 text-sm text-red-700 bg-red-50 border-l-4 border-red-400 p-3">{error}</p>}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex flex-wrap gap-4 text-sm">
+            {[
+              ['none', 'Pincode only'],
+              ['radius', 'Radius'],
+              ['polygon', 'Polygon']
+            ].map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2 font-medium text-black">
+                <input type="radio" name="mode" value={value} checked={mode === value} onChange={() => setMode(value)} />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {mode === 'radius' && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-black mb-1">Centre latitude</label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={center.lat}
+                    onChange={(e) => setCenter(prev => ({ ...prev, lat: e.target.value }))}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-black mb-1">Centre longitude</label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={center.lng}
+                    onChange={(e) => setCenter(prev => ({ ...prev, lng: e.target.value }))}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+              </div>
+              <button type="button" onClick={useCurrentPosition} className="text-sm text-blue-600 hover:text-blue-800 flex items-center">
+                <FaCrosshairs className="mr-1" /> Use my current position
+              </button>
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Radius (km)</label>
+                <input
+                  type="number"
+                  min="0.1"
+                  max="50"
+                  step="0.1"
+                  value={radiusKm}
+                  onChange={(e) => setRadiusKm(e.target.value)}
+                  className={inputClass}
+                  required
+                />
+              </div>
+            </div>
+          )}
+
+          {mode === 'polygon' && (
+            <div>
+              <label className="block text-sm font-medium text-black mb-1">Zone corners</label>
+              <textarea
+                value={polygonText}
+                onChange={(e) => setPolygonText(e.target.value)}
+                rows="8"
+                className={`${inputClass} font-mono text-xs`}
+                placeholder={'11.0250, 76.9510\n11.0310, 76.9620\n11.0200, 76.9700'}
+                required
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                One "latitude, longitude" per line in drawing order, or paste a GeoJSON polygon drawn in any map tool.
+              </p>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-black hover:bg-gray-100 transition-colors font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-black text-white rounded-md hover:bg-gray-800 transition-colors font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Zone'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LocationZoneModal;
@@ -0,0 +1,198 @@
+import React from 'react';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+
+const emptyOption = () => ({ name: '', price: 0, requiresText: false, maxTextLength: 40, isActive: true });
+
+const emptyGroup = () => ({
+  name: '',
+  description: '',
+  isRequired: false,
+  minSelect: 0,
+  maxSelect: 1,
+  isActive: true,
+  options: [emptyOption()]
+});
+
+// Add-on groups for a product: candles, message on the cake, eggless conversion, gift packing...
+const AddOnGroupsEditor = ({ groups = [], onChange }) => {
+  const updateGroup = (groupIndex, changes) => {
+    onChange(groups.map((group, idx) => (idx === groupIndex ? { ...group, ...changes } : group)));
+  };
+
+  const updateOption = (groupIndex, optionIndex, changes) => {
+    const group = groups[groupIndex];
+    updateGroup(groupIndex, {
+      options: group.options.map((option, idx) => (idx === optionIndex ? { ...option, ...changes } : option))
+    });
+  };
+
+  const removeGroup = (groupIndex) => {
+    onChange(groups.filter((_, idx) => idx !== groupIndex));
+  };
+
+  const removeOption = (groupIndex, optionIndex) => {
+    updateGroup(groupIndex, { options: groups[groupIndex].options.filter((_, idx) => idx !== optionIndex) });
+  };
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        Options customers can pick on the product page. Prices are added per unit on top of the selected variant.
+      </p>
+
+      {groups.map((group, groupIndex) => (
+        <div key={group._id || groupIndex} className="border border-gray-200 rounded-lg p-4 bg-white space-y-4">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-black">Group Name</label>
+              <input
+                type="text"
+                value={group.name}
+                onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+                placeholder="e.g. Message on the cake"
+                className="mt-1 w-full px-3 py-2 border rounded"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-black">Description</label>
+              <input
+                type="text"
+                value={group.description || ''}
+                onChange={(e) => updateGroup(groupIndex, { description: e.target.value })}
+                placeholder="Optional hint for customers"
+                className="mt-1 w-full px-3 py-2 border rounded"
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 text-sm text-black">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={!!group.isRequired}
+                onChange={(e) => updateGroup(groupIndex, {
+                  isRequired: e.target.checked,
+                  minSelect: e.target.checked ? Math.max(1, Number(group.minSelect) || 0) : group.minSelect
+                })}
+              />
+              Required
+            </label>
+            <label className="flex items-center gap-2">
+              Min picks
+              <input
+                type="number"
+                min="0"
+                value={group.minSelect}
+                onChange={(e) => updateGroup(groupIndex, { minSelect: e.target.value })}
+                className="w-16 px-2 py-1 border rounded"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Max picks
+              <input
+                type="number"
+                min="1"
+                value={group.maxSelect}
+                onChange={(e) => updateGroup(groupIndex, { maxSelect: e.target.value })}
+                className="w-16 px-2 py-1 border rounded"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={group.isActive !== false}
+                onChange={(e) => updateGroup(groupIndex, { isActive: e.target.checked })}
+              />
+              Active
+            </label>
+            <button
+              type="button"
+              onClick={() => removeGroup(groupIndex)}
+              className="ml-auto flex items-center gap-1 text-red-500 hover:text-red-700"
+            >
+              <FaTrash /> Remove group
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            {group.options.map((option, optionIndex) => (
+              <div key={option._id || optionIndex} className="flex flex-wrap items-center gap-2 bg-gray-50 rounded p-2 text-sm">
+                <input
+                  type="text"
+                  value={option.name}
+                  onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })}
+                  placeholder="Option name"
+                  className="px-2 py-1 border rounded w-44"
+                />
+                <label className="flex items-center gap-1">
+                  ₹
+                  <input
+                    type="number"
+                    min="0"
+                    value={option.price}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { price: e.target.value })}
+                    className="px-2 py-1 border rounded w-20"
+                  />
+                </label>
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={!!option.requiresText}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { requiresText: e.target.checked })}
+                  />
+                  Customer text
+                </label>
+                {option.requiresText && (
+                  <label className="flex items-center gap-1">
+                    Max chars
+                    <input
+                      type="number"
+                      min="1"
+                      max="200"
+                      value={option.maxTextLength}
+                      onChange={(e) => updateOption(groupIndex, optionIndex, { maxTextLength: e.target.value })}
+                      className="px-2 py-1 border rounded w-16"
+                    />
+                  </label>
+                )}
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={option.isActive !== false}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { isActive: e.target.checked })}
+                  />
+                  Active
+                </label>
+                <button
+                  type="button"
+                  onClick={() => removeOption(groupIndex, optionIndex)}
+                  className="ml-auto text-red-500 hover:text-red-700"
+                  aria-label="Remove option"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => updateGroup(groupIndex, { options: [...group.options, emptyOption()] })}
+              className="flex items-center gap-1 text-sm text-pink-600 hover:text-pink-700"
+            >
+              <FaPlus /> Add option
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange([...groups, emptyGroup()])}
+        className="flex items-center gap-2 px-3 py-1 bg-pink-500 text-white rounded hover:bg-pink-600"
+      >
+        <FaPlus /> Add group
+      </button>
+    </div>
+  );
+};
+
+export default AddOnGroupsEditor;
@@ -1,5 +1,5 @@
 ﻿import React, { useState, useEffect } from 'react';
-import { FaLeaf, FaEgg, FaCheckCircle, FaImage, FaVideo, FaMoneyBillAlt, FaCog, FaPen, FaBox } from 'react-icons/fa';
+import { FaLeaf, FaEgg, FaCheckCircle, FaImage, FaVideo, FaMoneyBillAlt, FaCog, FaPen, FaBox, FaGift } from 'react-icons/fa';
 import { GripVertical } from 'lucide-react';
 import { useProduct } from '../../../context/ProductContext/ProductContext';
 import { useCategory } from '../../../context/CategoryContext/CategoryContext';
@@ -7,6 +7,7 @@ import MediaUploader from '../../common/MediaUpload/MediaUploader';
 import MediaPreview from '../../common/MediaUpload/MediaPreview';
 import PricingCalculator from '../../common/PricingCalculator';
 import QuickStockUpdate from './QuickStockUpdate';
+import AddOnGroupsEditor from './AddOnGroupsEditor';
 import { calculatePricing } from '../../../utils/pricingUtils';
 import {
   DndContext,
@@ -172,7 +173,8 @@ const ProductForm = ({ product = null, onClose, preSelectedCategory = '' }) => {
     tags: [],
     cancelOffer: false,
     importantField: { name: '', value: '' },
-    extraFields: {}
+    extraFields: {},
+    addOnGroups: []
   });
 
   // Variants state
@@ -233,7 +235,8 @@ const ProductForm = ({ product = null, onClose, preSelectedCategory = '' }) => {
         badge: product.badge || '',
         tags: product.tags || [],
         cancelOffer: product.cancelOffer || false,
-        importantField: product.importantField || { name: '', value: '' }
+        importantField: product.importantField || { name: '', value: '' },
+        addOnGroups: product.addOnGroups || []
       });
 
       setExtraFieldsArray(extraFieldsArr);
@@ -515,6 +518,7 @@ const ProductForm = ({ product = null, onClose, preSelectedCategory = '' }) => {
             { key: 'basic', label: 'Basic Info', icon: <FaPen /> },
             { key: 'media', label: 'Media', icon: <FaImage /> },
             { key: 'pricing', label: 'Pricing & Stock', icon: <FaMoneyBillAlt /> },
+            { key: 'addons', label: 'Add-ons', icon: <FaGift /> },
             ...(isEditing ? [{ key: 'stock', label: 'Stock Management', icon: <FaBox /> }] : []),
             { key: 'details', label: 'Details', icon: <FaCog /> }
           ].map(tab => (
@@ -1186,6 +1190,14 @@ const ProductForm = ({ product = null, onClose, preSelectedCategory = '' }) => {
           </div>
         )}
 
+        {/* ADD-ONS TAB */}
+        {activeTab === 'addons' && (
+          <AddOnGroupsEditor
+            groups={formData.addOnGroups}
+            onChange={(addOnGroups) => setFormData(prev => ({ ...prev, addOnGroups }))}
+          />
+        )}
+
         {/* ADDITIONAL DETAILS TAB */}
         {activeTab === 'details' && (
           <>
@@ -39,7 +39,8 @@ const QuickStockUpdate = ({ productId, variants, onStockUpdate }) => {
       setLoading(true);
       const { data } = await apiService.put(`/stock/${productId}/variant/${variantIndex}`, {
         stock: parseInt(stockData.stock),
-        isStockActive: Boolean(stockData.isStockActive)
+        isStockActive: Boolean(stockData.isStockActive),
+        source: 'quick_stock_update'
       });
       toast.success('Stock updated successfully');
       // Call parent callback if provided
@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MapPin, Building, Home, Briefcase, Plus, Edit3, Trash2, Star } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../../hooks/useAuth';
+import AddressForm from './AddressForm';
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+  formatAddress
+} from '../../../services/addressService';
+
+const TYPE_ICONS = {
+  hostel: Building,
+  home: Home,
+  office: Briefcase,
+  other: MapPin
+};
+
+// Saved addresses on the profile page: add, edit, delete and choose the default
+const AddressBook = () => {
+  const { getCurrentUser } = useAuth();
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // null = list only, 'new' = adding, otherwise the address being edited
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadAddresses = useCallback(async () => {
+    try {
+      setError('');
+      setAddresses(await getAddresses());
+    } catch {
+      setError('Failed to load your addresses');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAddresses();
+  }, [loadAddresses]);
+
+  // The default address is also the account's delivery location, so refresh the user after changes
+  const applyChange = async (request, successMessage) => {
+    const updated = await request();
+    setAddresses(updated);
+    setEditing(null);
+    toast.success(successMessage);
+    if (getCurrentUser) getCurrentUser();
+  };
+
+  const handleSave = (form) => (
+    editing === 'new'
+      ? applyChange(() => addAddress(form), 'Address saved')
+      : applyChange(() => updateAddress(editing._id, form), 'Address updated')
+  );
+
+  const runAction = async (addressId, request, successMessage) => {
+    setBusyId(addressId);
+    try {
+      await applyChange(request, successMessage);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = (address) => {
+    if (!window.confirm(`Delete "${address.label}"?`)) return;
+    runAction(address._id, () => deleteAddress(address._id), 'Address deleted');
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-[#733857] mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</p>}
+
+      {editing ? (
+        <div className="border border-[#733857]/20 rounded-lg p-4 bg-white">
+          <h4 className="text-base font-medium text-[#733857] mb-3">
+            {editing === 'new' ? 'New address' : `Edit ${editing.label}`}
+          </h4>
+          <AddressForm
+            address={editing === 'new' ? { isDefault: addresses.length === 0 } : editing}
+            onSubmit={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setEditing('new')}
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium border-2 border-[#733857] text-[#733857] hover:bg-[#733857] hover:text-white transition-colors"
+        >
+          <Plus className="w-4 h-4" /> Add address
+        </button>
+      )}
+
+      {addresses.length === 0 && !editing && (
+        <p className="text-sm text-gray-500">You have no saved addresses yet.</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {addresses.map(address => {
+          const Icon = TYPE_ICONS[address.type] || MapPin;
+          const unavailable = address.location && address.location.isActive === false;
+          return (
+            <div
+              key={address._id}
+              className={`border rounded-lg p-4 bg-white ${address.isDefault ? 'border-[#733857]' : 'border-gray-200'}`}
+            >
+              <div className="flex items-start justify-between gap-2">
+                <div className="flex items-center gap-2 min-w-0">
+                  <Icon className="w-4 h-4 text-[#733857] flex-shrink-0" />
+                  <span className="font-medium text-gray-900 truncate">{address.label}</span>
+                  {address.isDefault && (
+                    <span className="text-[10px] uppercase tracking-wider px-2 py-0.5 rounded-full bg-[#733857] text-white">Default</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => setEditing(address)}
+                    disabled={busyId === address._id}
+                    className="text-gray-500 hover:text-[#733857]"
+                    title="Edit address"
+                  >
+                    <Edit3 className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(address)}
+                    disabled={busyId === address._id}
+                    className="text-gray-500 hover:text-red-600"
+                    title="Delete address"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              <p className="mt-2 text-sm text-gray-700">{formatAddress(address) || 'Location not set'}</p>
+              {address.location?.pincode && (
+                <p className="text-xs text-gray-500 mt-0.5">{address.location.pincode}</p>
+              )}
+              {address.recipientName && (
+                <p className="text-xs text-gray-500 mt-1">
+                  For {address.recipientName}{address.recipientPhone && ` · ${address.recipientPhone}`}
+                </p>
+              )}
+              {unavailable && (
+                <p className="text-xs text-red-600 mt-1">We no longer deliver to this location.</p>
+              )}
+              {!address.isDefault && (
+                <button
+                  type="button"
+                  onClick={() => runAction(address._id, () => setDefaultAddress(address._id), 'Default address updated')}
+                  disabled={busyId === address._id}
+                  className="mt-3 inline-flex items-center gap-1 text-xs font-medium text-[#733857] hover:underline"
+                >
+                  <Star className="w-3.5 h-3.5" /> Make default
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { useLocation } from '../../../context/LocationContext/LocationContext';
+import { useHostel } from '../../../context/HostelContext/HostelContext';
+import { ADDRESS_TYPES } from '../../../services/addressService';
+
+const inputClass = 'w-full px-3 py-2.5 text-sm border border-gray-300 rounded-lg bg-white text-gray-900 focus:ring-2 focus:ring-[#733857] focus:border-transparent';
+const labelClass = 'block text-xs sm:text-sm font-medium text-[#733857] mb-1.5';
+
+const toFormState = (address) => ({
+  label: address?.label || '',
+  type: address?.type || 'hostel',
+  location: address?.location?._id || address?.location || '',
+  hostel: address?.hostel?._id || address?.hostel || '',
+  roomNumber: address?.roomNumber || '',
+  addressLine: address?.addressLine || '',
+  landmark: address?.landmark || '',
+  recipientName: address?.recipientName || '',
+  recipientPhone: address?.recipientPhone || '',
+  isDefault: Boolean(address?.isDefault)
+});
+
+// Add/edit form for one saved address, shared by the profile address book and checkout
+const AddressForm = ({ address = null, onSubmit, onCancel, submitLabel = 'Save Address' }) => {
+  const { locations, loading: locationsLoading } = useLocation();
+  const { fetchHostelsByLocation } = useHostel();
+  const [form, setForm] = useState(() => toFormState(address));
+  const [hostelOptions, setHostelOptions] = useState([]);
+  const [hostelsLoading, setHostelsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!form.location) {
+      setHostelOptions([]);
+      return undefined;
+    }
+    setHostelsLoading(true);
+    fetchHostelsByLocation(form.location)
+      .then(list => {
+        if (!cancelled) setHostelOptions(Array.isArray(list) ? list : []);
+      })
+      .finally(() => {
+        if (!cancelled) setHostelsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [form.location]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+      // Hostels belong to a location, so a new location clears the hostel
+      ...(name === 'location' ? { hostel: '' } : {})
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!form.label.trim()) {
+      setError('Give this address a name, like "Hostel" or "Home"');
+      return;
+    }
+    if (!form.location) {
+      setError('Please select a delivery location');
+      return;
+    }
+    if (form.type === 'hostel' && !form.hostel) {
+      setError('Please select your hostel');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSubmit({ ...form, hostel: form.hostel || null });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save address. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {error && (
+        <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass}>Address name</label>
+          <input
+            type="text"
+            name="label"
+            value={form.label}
+            onChange={handleChange}
+            maxLength={40}
+            placeholder="e.g. Hostel, Home, Office"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Type</label>
+          <select name="type" value={form.type} onChange={handleChange} className={inputClass}>
+            {ADDRESS_TYPES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass}>Delivery location</label>
+          <select name="location" value={form.location} onChange={handleChange} className={inputClass}>
+            <option value="">Select a location</option>
+            {locationsLoading ? (
+              <option disabled>Loading locations...</option>
+            ) : (
+              locations.map(location => (
+                <option key={location._id} value={location._id}>
+                  {location.area}, {location.city} - {location.pincode}
+                </option>
+              ))
+            )}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Hostel{form.type !== 'hostel' && ' (optional)'}</label>
+          <select
+            name="hostel"
+            value={form.hostel}
+            onChange={handleChange}
+            disabled={!form.location}
+            className={`${inputClass} disabled:bg-gray-50`}
+          >
+            <option value="">{form.type === 'hostel' ? 'Select a hostel' : 'No hostel'}</option>
+            {hostelsLoading ? (
+              <option disabled>Loading hostels...</option>
+            ) : (
+              hostelOptions.map(hostel => (
+                <option key={hostel._id} value={hostel._id}>{hostel.name}</option>
+              ))
+            )}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass}>Room / flat number</label>
+          <input type="text" name="roomNumber" value={form.roomNumber} onChange={handleChange} maxLength={40} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Landmark</label>
+          <input type="text" name="landmark" value={form.landmark} onChange={handleChange} maxLength={120} placeholder="e.g. Gate 2" className={inputClass} />
+        </div>
+      </div>
+
+      {form.type !== 'hostel' && (
+        <div>
+          <label className={labelClass}>Street address</label>
+          <input type="text" name="addressLine" value={form.addressLine} onChange={handleChange} maxLength={200} className={inputClass} />
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass}>Recipient name (optional)</label>
+          <input type="text" name="recipientName" value={form.recipientName} onChange={handleChange} maxLength={80} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Recipient phone (optional)</label>
+          <input type="tel" name="recipientPhone" value={form.recipientPhone} onChange={handleChange} maxLength={20} className={inputClass} />
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          name="isDefault"
+          checked={form.isDefault}
+          onChange={handleChange}
+          className="h-4 w-4 rounded border-gray-300 text-[#733857] focus:ring-[#733857]"
+        />
+        Use as my default address
+      </label>
+
+      <div className="flex justify-end gap-3 pt-1">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="px-4 py-2 text-sm font-medium border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-[#733857] hover:bg-[#8d4466] disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AddressForm;
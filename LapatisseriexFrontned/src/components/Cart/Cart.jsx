@@ -9,13 +9,16 @@ import { useShopStatus } from '../../context/ShopStatusContext';
 import ShopClosureOverlay from '../common/ShopClosureOverlay';
 import AnimatedButton from '../common/AnimatedButton';
 import { toast } from 'react-toastify';
-import { calculatePricing, calculateCartTotals, formatCurrency } from '../../utils/pricingUtils';
+import { calculatePricing, calculateCartTotals, formatCurrency, getAddOnTotal } from '../../utils/pricingUtils';
+import { formatAddOns } from '../../utils/addOnUtils';
 import { formatVariantLabel } from '../../utils/variantUtils';
 import OfferBadge from '../common/OfferBadge';
 import { getOrderExperienceInfo } from '../../utils/orderExperience';
 import FreeProductBanner from './FreeProductBanner';
 import FreeProductModal from './FreeProductModal';
 import { removeFreeProductFromCart } from '../../services/freeProductService';
+import cartService from '../../services/cartService';
+import ServiceabilityCheck from '../common/ServiceabilityCheck';
 
 const deriveEggStatus = (productLike) => {
   if (!productLike) return null;
@@ -93,7 +96,7 @@ const Cart = () => {
     loading: locationsLoading,
     updateUserLocation,
     getCurrentLocationName,
-    hasValidDeliveryLocation
+    checkServiceability
   } = useLocation();
   
   const [stockError, setStockError] = useState('');
@@ -347,32 +350,31 @@ const Cart = () => {
   // Extract individual totals for easier use
   const { finalTotal: discountedCartTotal, originalTotal, totalSavings, averageDiscountPercentage } = cartTotals;
 
-  // Configuration constants - should ideally come from admin settings
-  const FREE_DELIVERY_THRESHOLD = 500; // Free delivery above ₹500
-  const DEFAULT_DELIVERY_CHARGE = 49; // Default delivery charge
-
-  // Calculate delivery charge based on user's location
-  const deliveryCharge = useMemo(() => {
-    // If cart total is above threshold, delivery is free regardless of location
-    if (discountedCartTotal >= FREE_DELIVERY_THRESHOLD) {
-      return 0;
-    }
-    
-    // Get user's selected location
-    const userLocationId = user?.location?._id || user?.location?.locationId || user?.locationId;
-    
-    // Try to get user location - first check if location object exists directly, then search in locations array
-    const userLocation = user?.location || 
-      (userLocationId && locations?.length > 0 && locations.find(loc => loc._id === userLocationId));
-    
-    if (userLocation) {
-      const charge = userLocation.deliveryCharge ?? DEFAULT_DELIVERY_CHARGE; // Use nullish coalescing to handle 0 values
-      return isNaN(charge) ? DEFAULT_DELIVERY_CHARGE : charge;
+  // Delivery charge quoted by the server from the shop's delivery rules (free delivery threshold, surcharges, offers)
+  const [deliveryQuote, setDeliveryQuote] = useState(null);
+  useEffect(() => {
+    if (!user || cartItems.length === 0) {
+      setDeliveryQuote(null);
+      return undefined;
     }
-    // Default delivery charge if no location selected
-    return DEFAULT_DELIVERY_CHARGE;
-  }, [discountedCartTotal, user, locations]);
-  
+    let cancelled = false;
+    // Give quantity changes a moment to reach the server cart
+    const timer = setTimeout(() => {
+      cartService.getDeliveryQuote().then(quote => {
+        if (!cancelled) setDeliveryQuote(quote);
+      });
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [user, cartItems.length, discountedCartTotal]);
+
+  const deliveryBreakdown = deliveryQuote?.deliveryBreakdown;
+  const freeDeliveryShortfall = deliveryBreakdown?.freeDeliveryThreshold
+    ? Math.max(0, deliveryBreakdown.freeDeliveryThreshold - discountedCartTotal)
+    : 0;
+
   // Grand total using discounted cart total only (without delivery charge)
   const grandTotal = useMemo(() => {
     return isNaN(discountedCartTotal) ? 0 : Math.max(0, discountedCartTotal);
@@ -465,11 +467,23 @@ const Cart = () => {
         toast.error('Please verify your phone number in your profile before proceeding to checkout.');
         return;
       }
+
+      // Make sure we still deliver to the saved location before taking the customer to payment
+      try {
+        const check = await checkServiceability({ locationId: user.location._id });
+        if (!check.serviceable) {
+          toast.error("We don't deliver to your saved location anymore. Please choose another delivery location in your profile.");
+          return;
+        }
+      } catch (serviceabilityError) {
+        // The order endpoint re-checks, so a failed lookup shouldn't block checkout
+        console.warn('Serviceability check failed:', serviceabilityError);
+      }
       
       // Check shop status before proceeding
       const currentStatus = await checkShopStatusNow();
       
-      if (!currentStatus.isOpen) {
+      if (!currentStatus.isOpen && !currentStatus.acceptsPreOrders) {
         // Shop is closed, the UI will show the overlay
         return;
       }
@@ -555,7 +569,7 @@ const Cart = () => {
   }
   
   return (
-    <ShopClosureOverlay overlayType="page" showWhenClosed={!isOpen}>
+    <ShopClosureOverlay overlayType="page" showWhenClosed={!isOpen} allowPreOrders>
       <div className="min-h-screen bg-white">
         <div className="w-full px-4 md:px-6 py-6 md:py-8">
           {/* Header */}
@@ -643,9 +657,11 @@ const Cart = () => {
                   if (!variant) return null;
 
                   const pricing = calculatePricing(variant);
+                  const addOnTotal = item.isFreeProduct ? 0 : getAddOnTotal(item);
+                  const addOnSummary = item.isFreeProduct ? '' : formatAddOns(item.addOns);
                   // Free products should have 0 price
-                  const unitFinalPrice = item.isFreeProduct ? 0 : (Number.isFinite(pricing.finalPrice) ? pricing.finalPrice : 0);
-                  const unitMrp = item.isFreeProduct ? 0 : (Number.isFinite(pricing.mrp) ? pricing.mrp : unitFinalPrice);
+                  const unitFinalPrice = item.isFreeProduct ? 0 : (Number.isFinite(pricing.finalPrice) ? pricing.finalPrice : 0) + addOnTotal;
+                  const unitMrp = item.isFreeProduct ? 0 : (Number.isFinite(pricing.mrp) ? pricing.mrp + addOnTotal : unitFinalPrice);
                   const discountPercentage = Number.isFinite(pricing.discountPercentage) ? pricing.discountPercentage : 0;
                   const hasDiscount = discountPercentage > 0;
                   const lineTotal = unitFinalPrice * Number(item.quantity || 0);
@@ -701,6 +717,11 @@ const Cart = () => {
                             <p className="text-xs text-gray-600 mt-1">
                               Variant: <span className="font-medium text-gray-800">{variantLabel || 'Default'}</span>
                             </p>
+                            {addOnSummary && (
+                              <p className="text-xs text-gray-600 mt-1">
+                                Add-ons: <span className="font-medium text-gray-800">{addOnSummary}</span>
+                              </p>
+                            )}
                             <p className="text-xs text-gray-600 mt-1">
                               Egg (or) Eggless: <span className="font-medium text-gray-800">{eggLabel}</span>
                             </p>
@@ -848,6 +869,11 @@ const Cart = () => {
                           <p className="text-sm text-gray-500">
                             {variantLabel || variant.size || variant.weight || 'Standard'}
                           </p>
+                          {addOnSummary && (
+                            <p className="text-xs text-gray-600 mt-1">
+                              Add-ons: <span className="font-medium text-gray-800">{addOnSummary}</span>
+                            </p>
+                          )}
                           <p className="text-xs text-gray-600 mt-1">
                             Egg (or) Eggless: <span className="font-medium text-gray-800">{eggLabel}</span>
                           </p>
@@ -1010,8 +1036,35 @@ const Cart = () => {
                     </span>
                   </div>
                 </div>
+
+                {deliveryQuote && (
+                  <div className="px-4 mt-2 text-sm text-gray-600 md:text-right">
+                    <div>
+                      Delivery:{' '}
+                      {deliveryQuote.deliveryCharge === 0 ? (
+                        <span className="font-semibold text-green-600">Free</span>
+                      ) : (
+                        <span className="font-medium text-black">{formatCurrency(deliveryQuote.deliveryCharge)}</span>
+                      )}
+                    </div>
+                    {deliveryBreakdown?.rules?.length > 0 && (
+                      <div className="text-xs text-gray-500">{deliveryBreakdown.summary}</div>
+                    )}
+                    {freeDeliveryShortfall > 0 && (
+                      <div className="text-xs font-medium text-rose-600">
+                        Add {formatCurrency(freeDeliveryShortfall)} more for free delivery
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
               
+              {!user?.location && (
+                <div className="px-4">
+                  <ServiceabilityCheck compact />
+                </div>
+              )}
+
               {/* Profile Completion Warning - Compact & Professional */}
               {!canProceedToCheckout() && (
                 <div className="px-4 mt-4 mb-3">
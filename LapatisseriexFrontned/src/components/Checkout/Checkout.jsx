@@ -2,8 +2,16 @@
 import { useNavigate, Link } from 'react-router-dom';
 
 import { useCart } from '../../hooks/useCart';
-import { useLocation } from '../../context/LocationContext/LocationContext';
-import { useHostel } from '../../context/HostelContext/HostelContext';
+import AddressForm from '../Auth/Profile/AddressForm';
+import GiftOptions from './GiftOptions';
+import { EMPTY_GIFT, getCheckoutGift, setCheckoutGift, validateGift } from '../../utils/giftOrder';
+import {
+  getAddresses,
+  addAddress,
+  formatAddress,
+  getCheckoutAddressId,
+  setCheckoutAddressId
+} from '../../services/addressService';
 import { calculatePricing, calculateCartTotals, formatCurrency } from '../../utils/pricingUtils';
 import { resolveOrderItemVariantLabel } from '../../utils/variantUtils';
 import OfferBadge from '../common/OfferBadge';
@@ -23,7 +31,7 @@ import {
   ShoppingBag,
   Package,
   Building,
-  Edit2,
+  Plus,
   Save,
   X} from 'lucide-react';
 
@@ -35,8 +43,6 @@ import { toast } from 'react-toastify';
 const Checkout = () => {
   const { user, getCurrentUser, updateUser } = useAuth();
   const { cartItems, cartTotal, cartCount, isEmpty } = useCart();
-  const { locations, loading: locationsLoading, updateUserLocation, getCurrentLocationName } = useLocation();
-  const { hostels, loading: hostelsLoading, fetchHostelsByLocation, clearHostels } = useHostel();
   const navigate = useNavigate();
 
   const orderExperience = useMemo(() => getOrderExperienceInfo(user), [user]);
@@ -48,27 +54,50 @@ const Checkout = () => {
   // Edit mode states
   const [isEditMode, setIsEditMode] = useState(false);
   const [editName, setEditName] = useState(user?.name || '');
-  const [editLocationId, setEditLocationId] = useState(user?.location?._id || '');
-  const [editHostelId, setEditHostelId] = useState(user?.hostel?._id || '');
   const [saving, setSaving] = useState(false);
 
+  // Address book: the order is delivered to the selected address
+  const [addresses, setAddresses] = useState([]);
+  const [addressesLoading, setAddressesLoading] = useState(true);
+  const [selectedAddressId, setSelectedAddressId] = useState(() => getCheckoutAddressId());
+  const [showAddressForm, setShowAddressForm] = useState(false);
+  const [gift, setGift] = useState(() => getCheckoutGift() || EMPTY_GIFT);
+
   // Update local state when user data changes
   useEffect(() => {
     if (user) {
       setEditName(user.name || '');
-      setEditLocationId(user.location?._id || '');
-      setEditHostelId(user.hostel?._id || '');
       setEmail(user.email || '');
     }
   }, [user]);
 
-  // Fetch hostels when location changes in edit mode
+  // Load saved addresses; keep the previous pick if it still exists, else start from the default
   useEffect(() => {
-    if (isEditMode && editLocationId) {
-      fetchHostelsByLocation(editLocationId);
-    }
+    if (!user) return;
+    let cancelled = false;
+    getAddresses()
+      .then(list => {
+        if (cancelled) return;
+        setAddresses(list);
+        setSelectedAddressId(prev => {
+          if (prev && list.some(address => address._id === prev)) return prev;
+          return (list.find(address => address.isDefault) || list[0])?._id || null;
+        });
+        setShowAddressForm(list.length === 0);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to load your saved addresses. Please refresh the page.');
+      })
+      .finally(() => {
+        if (!cancelled) setAddressesLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [editLocationId, isEditMode]);
+  }, [user?._id]);
+
+  const selectedAddress = addresses.find(address => address._id === selectedAddressId) || null;
 
   const getVariantDetails = (item) => {
     const prod = item?.productDetails || item?.product || item || {};
@@ -103,14 +132,6 @@ const Checkout = () => {
     };
   };
 
-  // Fetch hostels for current user location on mount (only once)
-  useEffect(() => {
-    if (user?.location?._id) {
-      fetchHostelsByLocation(user.location._id);
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [user?.location?._id]);
-
   // Redirect if cart is empty
   useEffect(() => {
     if (isEmpty) {
@@ -130,51 +151,21 @@ const Checkout = () => {
         return;
       }
 
-      if (!editLocationId) {
-        setError('Please select a delivery location');
-        setSaving(false);
-        return;
-      }
-
-      if (!editHostelId) {
-        setError('Please select a hostel');
-        setSaving(false);
-        return;
-      }
-
-      // Update user name, location, and hostel in one API call
       const authToken = localStorage.getItem('authToken');
-      const response = await axios.put(
+      await axios.put(
         `${import.meta.env.VITE_API_URL}/users/${user.uid}`,
-        { 
-          name: editName.trim(),
-          location: editLocationId,
-          hostel: editHostelId 
-        },
+        { name: editName.trim() },
         {
           headers: {
             'Authorization': `Bearer ${authToken}`}}
       );
 
-      // Get the full location and hostel objects
-      const selectedLocation = locations.find(loc => loc._id === editLocationId);
-      const selectedHostel = hostels.find(h => h._id === editHostelId);
-
       // Immediately update Redux store for instant UI update across all components
       if (updateUser) {
-        updateUser({
-          ...user,
-          name: editName.trim(),
-          location: selectedLocation || editLocationId,
-          hostel: selectedHostel || editHostelId
-        });
+        updateUser({ ...user, name: editName.trim() });
       }
 
-      // Also update location in LocationContext for immediate UI update
-      await updateUserLocation(editLocationId);
-
       // Refresh user data from server to ensure everything is in sync
-      // This will update Redux store with the server response
       await getCurrentUser();
 
       toast.success('Information updated successfully!');
@@ -188,11 +179,32 @@ const Checkout = () => {
     }
   };
 
+  // Save a new address from checkout and deliver there
+  const handleAddAddress = async (form) => {
+    const previousIds = new Set(addresses.map(address => address._id));
+    const updated = await addAddress(form);
+    const added = updated.find(address => !previousIds.has(address._id));
+    setAddresses(updated);
+    if (added) setSelectedAddressId(added._id);
+    setShowAddressForm(false);
+    setError('');
+    // A new default address also becomes the account's delivery location
+    if (form.isDefault) getCurrentUser();
+  };
+
+  // Addresses saved for someone else already carry their name and phone
+  const handleGiftChange = (next) => {
+    const prefill = next.enabled && !gift.enabled && !next.recipientName && selectedAddress?.recipientName;
+    setGift(prefill ? {
+      ...next,
+      recipientName: selectedAddress.recipientName,
+      recipientPhone: next.recipientPhone || selectedAddress.recipientPhone || ''
+    } : next);
+  };
+
   // Handle cancel edit
   const handleCancelEdit = () => {
     setEditName(user?.name || '');
-    setEditLocationId(user?.location?._id || '');
-    setEditHostelId(user?.hostel?._id || '');
     setIsEditMode(false);
     setError('');
   };
@@ -203,32 +215,32 @@ const Checkout = () => {
       return;
     }
     
-    // Debug logging
-    console.log('Validation check - User object:', user);
-    console.log('User location:', user?.location);
-    console.log('User hostel:', user?.hostel);
-    
-    // Validate location selection
-    if (!user?.location || !user.location._id) {
-      setError('Please select your delivery location from your profile before proceeding');
+    if (!selectedAddress) {
+      setError('Please choose or add a delivery address before proceeding');
+      return;
+    }
+
+    if (selectedAddress.location?.isActive === false) {
+      setError('We no longer deliver to this address. Please choose another one.');
       return;
     }
     
-    // Validate hostel selection - check for both existence and valid data
-    if (!user?.hostel || !user.hostel._id || !user.hostel.name) {
-      setError('Please select your hostel from your profile before proceeding to payment');
+    const giftError = validateGift(gift);
+    if (giftError) {
+      setError(giftError);
       return;
     }
     
     setError('');
-    // Navigate to payment page
+    // The payment page places the order for this address
+    setCheckoutAddressId(selectedAddress._id);
+    setCheckoutGift(gift);
     navigate('/payment');
   };
 
   const handleEmailChange = (e) => {
     setEmail(e.target.value);
   };
-  console.log(user);
   return (
     <div className="min-h-screen bg-gray-25" style={{ backgroundColor: '#fafafa' }}>
       <div className="max-w-7xl mx-auto px-4 py-8">
@@ -471,97 +483,86 @@ const Checkout = () => {
                     }`}
                   />
                 </div>
-                {/* Location + Hostel compact grid */}
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 sm:gap-4">
-                  {/* Location */}
-                  <div>
-                    <label className="block text-xs sm:text-sm font-medium text-[#733857] mb-1.5 sm:mb-2">
-                      Delivery Location
+                {/* Saved addresses */}
+                <div>
+                  <div className="flex items-center justify-between mb-1.5 sm:mb-2">
+                    <label className="block text-xs sm:text-sm font-medium text-[#733857]">
+                      Deliver to
                     </label>
-                    {isEditMode ? (
-                      <select
-                        value={editLocationId}
-                        onChange={(e) => setEditLocationId(e.target.value)}
-                        className="w-full px-3 py-2.5 sm:px-4 sm:py-3 text-sm border border-gray-300 rounded-lg bg-white text-gray-900 focus:ring-2 focus:ring-[#733857] focus:border-transparent"
-                      >
-                        <option value="">Select a location</option>
-                        {locationsLoading ? (
-                          <option disabled>Loading locations...</option>
-                        ) : (
-                          locations.map((location) => (
-                            <option key={location._id} value={location._id}>
-                              {location.area}, {location.city} - {location.pincode}
-                            </option>
-                          ))
-                        )}
-                      </select>
-                    ) : (
-                      <input
-                        type="text"
-                        value={(() => {
-                          const locationName = getCurrentLocationName();
-                          if (locationName === "Select Location" || locationName === "Location Loading...") {
-                            if (user?.location) {
-                              if (typeof user.location === 'object' && user.location.area) {
-                                return `${user.location.area}, ${user.location.city}`;
-                              } else if (typeof user.location === 'string' && locations.length > 0) {
-                                const loc = locations.find(l => l._id === user.location);
-                                return loc ? `${loc.area}, ${loc.city}` : 'Not set';
-                              }
-                            }
-                            return 'Not set';
-                          }
-                          return locationName;
-                        })()}
-                        readOnly
-                        className={`w-full px-3 py-2.5 sm:px-4 sm:py-3 text-sm border border-gray-300 rounded-lg bg-white text-gray-900 ${!user?.location ? 'border-red-300' : ''}`}
-                      />
-                    )}
-                    {!user?.location && !isEditMode && (
-                      <p className="text-xs sm:text-sm text-red-600 mt-1">
-                        Please set your delivery location before proceeding
-                      </p>
-                    )}
+                    <Link
+                      to="/profile"
+                      state={{ activeTab: 'addresses' }}
+                      className="text-xs text-[#733857] hover:text-[#8d4466] underline"
+                    >
+                      Manage addresses
+                    </Link>
                   </div>
 
-                  {/* Hostel */}
-                  <div>
-                    <label className="block text-xs sm:text-sm font-medium text-[#733857] mb-1.5 sm:mb-2">
-                      Hostel/Residence
-                    </label>
-                    {isEditMode ? (
-                      <select
-                        value={editHostelId}
-                        onChange={(e) => setEditHostelId(e.target.value)}
-                        className="w-full px-3 py-2.5 sm:px-4 sm:py-3 text-sm border border-gray-300 rounded-lg bg-white text-gray-900 focus:ring-2 focus:ring-[#733857] focus:border-transparent"
-                      >
-                        <option value="">Select a hostel</option>
-                        {hostelsLoading ? (
-                          <option disabled>Loading hostels...</option>
-                        ) : hostels.length === 0 ? (
-                          <option disabled>No hostels available for this location</option>
-                        ) : (
-                          hostels.map((hostel) => (
-                            <option key={hostel._id} value={hostel._id}>
-                              {hostel.name}
-                            </option>
-                          ))
-                        )}
-                      </select>
-                    ) : (
-                      <input
-                        type="text"
-                        value={user?.hostel?.name || 'Not set'}
-                        readOnly
-                        className={`w-full px-3 py-2.5 sm:px-4 sm:py-3 text-sm border border-gray-300 rounded-lg bg-white text-gray-900 ${!user?.hostel ? 'border-red-300' : ''}`}
-                      />
-                    )}
-                    {!user?.hostel && !isEditMode && (
-                      <p className="text-xs sm:text-sm text-red-600 mt-1">
-                        Please set your hostel before proceeding
-                      </p>
-                    )}
-                  </div>
+                  {addressesLoading ? (
+                    <p className="text-sm text-gray-500">Loading your addresses...</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {addresses.map((address) => {
+                        const unavailable = address.location?.isActive === false;
+                        return (
+                          <label
+                            key={address._id}
+                            className={`flex items-start gap-3 rounded-lg border px-3 py-2.5 sm:px-4 sm:py-3 cursor-pointer ${
+                              selectedAddressId === address._id ? 'border-[#733857] bg-[#f9f4f6]' : 'border-gray-300 bg-white'
+                            }`}
+                          >
+                            <input
+                              type="radio"
+                              name="deliveryAddress"
+                              value={address._id}
+                              checked={selectedAddressId === address._id}
+                              onChange={() => setSelectedAddressId(address._id)}
+                              className="mt-1 text-[#733857] focus:ring-[#733857]"
+                            />
+                            <div className="min-w-0 text-sm">
+                              <div className="flex items-center gap-2">
+                                {address.type === 'hostel' ? (
+                                  <Building size={14} className="text-[#733857]" />
+                                ) : (
+                                  <MapPin size={14} className="text-[#733857]" />
+                                )}
+                                <span className="font-medium text-gray-900">{address.label}</span>
+                                {address.isDefault && <span className="text-[10px] uppercase tracking-wider text-[#733857]">Default</span>}
+                              </div>
+                              <p className="text-gray-700 mt-0.5">{formatAddress(address)}</p>
+                              {address.location?.pincode && <p className="text-xs text-gray-500">{address.location.pincode}</p>}
+                              {unavailable && (
+                                <p className="text-xs text-red-600 mt-0.5">We no longer deliver to this location</p>
+                              )}
+                            </div>
+                          </label>
+                        );
+                      })}
+
+                      {showAddressForm ? (
+                        <div className="rounded-lg border border-[#733857]/20 p-3 sm:p-4">
+                          <AddressForm
+                            address={{ isDefault: addresses.length === 0 }}
+                            onSubmit={handleAddAddress}
+                            onCancel={addresses.length > 0 ? () => setShowAddressForm(false) : null}
+                            submitLabel="Deliver here"
+                          />
+                        </div>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => setShowAddressForm(true)}
+                          className="inline-flex items-center gap-1.5 text-sm font-medium text-[#733857] hover:text-[#8d4466]"
+                        >
+                          <Plus size={16} /> Add a new address
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                <div className="mt-3 sm:mt-4">
+                  <GiftOptions value={gift} onChange={handleGiftChange} />
                 </div>
 
                 {/* Common service coverage note */}
@@ -572,16 +573,6 @@ const Checkout = () => {
                   </p>
                 </div>
 
-                {/* Small helper: how to change location/hostel */}
-                {!isEditMode && (
-                  <div className="mt-2 flex items-start text-[12px] sm:text-xs text-[#5a2943]">
-                    <Edit2 size={14} className="mt-0.5 text-[#733857] flex-shrink-0" />
-                    <p className="ml-2 leading-snug">
-                      To change your delivery location or hostel, click the <span className="font-semibold">Edit</span> button above.
-                    </p>
-                  </div>
-                )}
-
                 {/* Edit Mode Buttons */}
                 {isEditMode && (
                   <div className="flex gap-3 sm:gap-4 pt-3 sm:pt-4 items-center justify-center">
@@ -0,0 +1,90 @@
+import React from 'react';
+import { Gift } from 'lucide-react';
+import { GIFT_MESSAGE_MAX_LENGTH } from '../../utils/giftOrder';
+
+const inputClass = 'w-full px-3 py-2.5 text-sm border border-gray-300 rounded-lg bg-white text-gray-900 focus:ring-2 focus:ring-[#733857] focus:border-transparent';
+const labelClass = 'block text-xs sm:text-sm font-medium text-[#733857] mb-1.5';
+
+// "Send as a gift" on the checkout page: who receives it, what the card says and whether the slip shows prices
+const GiftOptions = ({ value, onChange }) => {
+  const handleChange = (e) => {
+    const { name, value: fieldValue, type, checked } = e.target;
+    onChange({ ...value, [name]: type === 'checkbox' ? checked : fieldValue });
+  };
+
+  return (
+    <div className="rounded-lg border border-[#733857]/20 bg-white px-3 py-3 sm:px-4">
+      <label className="flex items-center gap-2 text-sm font-medium text-[#733857] cursor-pointer">
+        <input
+          type="checkbox"
+          name="enabled"
+          checked={value.enabled}
+          onChange={handleChange}
+          className="h-4 w-4 rounded border-gray-300 text-[#733857] focus:ring-[#733857]"
+        />
+        <Gift size={16} />
+        Send this order as a gift
+      </label>
+
+      {value.enabled && (
+        <div className="mt-3 space-y-3">
+          <p className="text-xs text-gray-600">
+            We'll deliver to the address above and call the recipient at the door. Gift orders are paid online and
+            delivered in the slot you pick on the next step.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className={labelClass}>Recipient name</label>
+              <input type="text" name="recipientName" value={value.recipientName} onChange={handleChange} maxLength={80} className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>Recipient phone</label>
+              <input type="tel" name="recipientPhone" value={value.recipientPhone} onChange={handleChange} maxLength={20} className={inputClass} />
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>Recipient email (optional)</label>
+            <input
+              type="email"
+              name="recipientEmail"
+              value={value.recipientEmail}
+              onChange={handleChange}
+              maxLength={120}
+              placeholder="We'll let them know when it's on the way"
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className={labelClass}>Gift message</label>
+            <textarea
+              name="message"
+              value={value.message}
+              onChange={handleChange}
+              maxLength={GIFT_MESSAGE_MAX_LENGTH}
+              rows={3}
+              placeholder="Printed on the card that goes with the order"
+              className={inputClass}
+            />
+            <p className="text-[11px] text-gray-500 text-right">{value.message.length}/{GIFT_MESSAGE_MAX_LENGTH}</p>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="hidePrices"
+              checked={value.hidePrices}
+              onChange={handleChange}
+              className="h-4 w-4 rounded border-gray-300 text-[#733857] focus:ring-[#733857]"
+            />
+            Hide prices on the packing slip
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GiftOptions;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { AlertCircle, X } from 'lucide-react';
+import { formatCurrency } from '../../utils/pricingUtils';
+
+const FIELD_LABELS = {
+  discountedTotal: 'Items total',
+  deliveryCharge: 'Delivery charge',
+  freeCashDiscount: 'Free cash applied',
+  grandTotal: 'Grand total',
+  amount: 'Amount payable'
+};
+
+// Shown when the server re-prices the checkout and the totals no longer match the cart
+const PriceChangeNotice = ({ isOpen, message, quote, diff, onAccept, onReviewCart, onClose }) => {
+  if (!isOpen) return null;
+
+  const fieldChanges = (diff?.fields || []).filter(change => change.field !== 'amount');
+  const itemChanges = diff?.items || [];
+  const payableTotal = quote?.orderSummary?.grandTotal ?? (quote?.amount || 0) / 100;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="w-full max-w-md rounded-2xl bg-white p-6 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <AlertCircle className="h-5 w-5 text-[#733857]" />
+            <h3 className="text-lg font-semibold text-[#412434]">Your total has changed</h3>
+          </div>
+          <button onClick={onClose} className="text-slate-400 transition hover:text-slate-600" aria-label="Close">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <p className="mt-2 text-sm text-slate-600">
+          {message || 'Prices in your cart have changed. Please review the updated total.'}
+        </p>
+
+        {itemChanges.length > 0 && (
+          <ul className="mt-4 divide-y divide-slate-100 rounded-xl border border-slate-200">
+            {itemChanges.map((item) => (
+              <li key={`${item.productId}-${item.variantIndex}`} className="flex items-center justify-between gap-3 px-4 py-3 text-sm">
+                <div className="min-w-0">
+                  <p className="truncate font-medium text-slate-900">{item.productName}</p>
+                  {item.variantLabel && <p className="text-xs text-slate-500">{item.variantLabel}</p>}
+                  {item.clientQuantity !== item.serverQuantity && (
+                    <p className="text-xs text-slate-500">Qty {item.clientQuantity} → {item.serverQuantity}</p>
+                  )}
+                </div>
+                <div className="text-right">
+                  <p className="text-xs text-slate-400 line-through">{formatCurrency(item.clientPrice)}</p>
+                  <p className="font-semibold text-[#733857]">{formatCurrency(item.serverPrice)}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {fieldChanges.length > 0 && (
+          <div className="mt-4 space-y-2 text-sm">
+            {fieldChanges.map((change) => (
+              <div key={change.field} className="flex items-center justify-between">
+                <span className="text-slate-600">{FIELD_LABELS[change.field] || change.field}</span>
+                <span>
+                  <span className="mr-2 text-xs text-slate-400 line-through">{formatCurrency(change.client)}</span>
+                  <span className="font-semibold text-slate-900">{formatCurrency(change.server)}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-6 flex flex-col gap-2 sm:flex-row">
+          <button
+            onClick={onReviewCart}
+            className="flex-1 border border-slate-200 px-4 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+          >
+            Review cart
+          </button>
+          <button
+            onClick={onAccept}
+            className="flex-1 bg-[#733857] px-4 py-2 text-sm font-semibold text-white transition hover:bg-[#5e2c46]"
+          >
+            Place order at {formatCurrency(payableTotal)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PriceChangeNotice;
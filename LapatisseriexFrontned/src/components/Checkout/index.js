@@ -1,4 +1,5 @@
 import Checkout from './Checkout';
+import PriceChangeNotice from './PriceChangeNotice';
 
-export { Checkout };
-export default Checkout;
\ No newline at end of file
+export { Checkout, PriceChangeNotice };
+export default Checkout;
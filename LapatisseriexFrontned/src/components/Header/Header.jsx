@@ -17,6 +17,7 @@ import './remove-focus.css';
 import UserMenu from './UserMenu/UserMenu';
 import NotificationBell from '../Notifications/NotificationBell';
 import AnnouncementBanner from './AnnouncementBanner';
+import { canAccessAdmin, getAdminHomePath } from '../../utils/adminPermissions';
 
 // Import icons
 import { 
@@ -930,10 +931,10 @@ const Header = ({ isAdminView = false }) => {
           <div className="hidden md:flex items-center space-x-4">
             {user && (
               <>
-                {/* Admin Dashboard Button - Show only for admins - Positioned first */}
-                {user.role === 'admin' && (
+                {/* Admin Dashboard Button - Show only for admins and staff - Positioned first */}
+                {canAccessAdmin(user) && (
                   <div className="bg-[#281c20]/50 backdrop-blur-sm rounded-lg border border-[#733857]/30">
-                    <Link to="/admin/dashboard" className="flex items-center px-4 py-3 text-white hover:text-[#A855F7] rounded-lg transition-all duration-300 relative group">
+                    <Link to={getAdminHomePath(user)} className="flex items-center px-4 py-3 text-white hover:text-[#A855F7] rounded-lg transition-all duration-300 relative group">
                       <Settings className="h-5 w-5 text-white group-hover:text-[#A855F7] transition-colors duration-300" />
                       <span className="ml-2 text-sm font-light">Dashboard</span>
                     </Link>
@@ -21,6 +21,22 @@ import notificationService from '../../services/notificationService';
 import webSocketService from '../../services/websocketService';
 import { useAuth } from '../../hooks/useAuth';
 
+const ORDER_NOTIFICATION_TYPES = [
+  'order_placed',
+  'order_confirmed',
+  'order_preparing',
+  'order_ready',
+  'order_dispatched',
+  'order_delivered',
+  'order_amended'
+];
+
+const KITCHEN_STAGE_LABELS = {
+  order_confirmed: 'Order Confirmed',
+  order_preparing: 'Being Prepared',
+  order_ready: 'Order Ready'
+};
+
 // Dynamic Time Component that updates every minute
 const DynamicTime = ({ dateString }) => {
   const [timeText, setTimeText] = useState('');
@@ -257,9 +273,18 @@ const NotificationSidePanel = ({ isOpen, onClose, onUnreadCountChange }) => {
       await markAsRead(notification._id);
     }
 
-    if (notification.type === 'order_placed' || notification.type === 'order_dispatched' || notification.type === 'order_delivered') {
+    if (ORDER_NOTIFICATION_TYPES.includes(notification.type)) {
       navigate(`/orders/${notification.orderNumber}`);
       onClose();
+    } else if (notification.type === 'custom_order_quoted' || notification.type === 'custom_order_rejected') {
+      navigate('/custom-cakes');
+      onClose();
+    } else if (notification.type === 'cart_reminder') {
+      navigate('/cart');
+      onClose();
+    } else if ((notification.type === 'back_in_stock' || notification.type === 'price_drop') && notification.data?.productId) {
+      navigate(`/product/${notification.data.productId}`);
+      onClose();
     }
   };
 
@@ -312,6 +337,9 @@ const NotificationSidePanel = ({ isOpen, onClose, onUnreadCountChange }) => {
     if (notification.type === 'order_cancelled') {
       return { text: 'Order Cancelled', price: null };
     }
+    if (KITCHEN_STAGE_LABELS[notification.type]) {
+      return { text: KITCHEN_STAGE_LABELS[notification.type], price: null };
+    }
     // For other types, fallback to short product name and small price
     const message = notification.message || notification.title || '';
     const cleanedMessage = cleanText(message);
@@ -320,7 +348,13 @@ const NotificationSidePanel = ({ isOpen, onClose, onUnreadCountChange }) => {
     if (productName.length > 18) productName = productName.slice(0, 15) + '...';
     const fallbacks = {
       'order_dispatched': 'Order Dispatched',
-      'order_delivered': 'Order Delivered'};
+      'order_delivered': 'Order Delivered',
+      'order_amended': 'Order Updated',
+      'custom_order_quoted': 'Custom Cake Quote',
+      'custom_order_rejected': 'Custom Cake Update',
+      'cart_reminder': 'Your Cart',
+      'back_in_stock': 'Back in Stock',
+      'price_drop': 'Price Drop'};
     return { text: productName || fallbacks[notification.type] || 'Order Update', price: extractPrice(notification, true) };
   };
   
@@ -672,7 +706,10 @@ const NotificationSidePanel = ({ isOpen, onClose, onUnreadCountChange }) => {
                                   {/* View Button */}
                                   {(notification.type === 'order_placed' || 
                                     notification.type === 'order_dispatched' || 
-                                    notification.type === 'order_delivered') && (
+                                    notification.type === 'order_delivered' ||
+                                    notification.type === 'cart_reminder' ||
+                                    notification.type === 'back_in_stock' ||
+                                    notification.type === 'price_drop') && (
                                     <button
                                       onClick={(e) => {
                                         e.stopPropagation();
@@ -1,7 +1,8 @@
 ﻿import React, { useMemo, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Package, Clock, Truck, CheckCircle, MapPin, CreditCard, Banknote, Calendar, X, BadgeCheck, ChefHat, Home } from 'lucide-react';
-import { calculatePricing } from '../../utils/pricingUtils';
+import { Package, Clock, Truck, CheckCircle, MapPin, CreditCard, Banknote, Calendar, X, BadgeCheck, ChefHat, Home, Minus, Trash2, KeyRound } from 'lucide-react';
+import { calculatePricing, getAddOnTotal } from '../../utils/pricingUtils';
+import { formatAddOns } from '../../utils/addOnUtils';
 import { resolveOrderItemVariantLabel } from '../../utils/variantUtils';
 import OfferBadge from '../common/OfferBadge';
 import { useAuth } from '../../hooks/useAuth';
@@ -11,13 +12,14 @@ import { toast } from 'react-toastify';
 import webSocketService from '../../services/websocketService';
 import './OrderCard.css';
 
-const OrderTrackingContent = ({ order }) => {
+const OrderTrackingContent = ({ order, onOrderUpdated }) => {
   const navigate = useNavigate();
   const { user } = useAuth();
   const orderExperience = useMemo(() => getOrderExperienceInfo(user), [user]);
   const [showCancelConfirm, setShowCancelConfirm] = useState(false);
   const [cancelReason, setCancelReason] = useState('');
   const [isCancelling, setIsCancelling] = useState(false);
+  const [amendingItemId, setAmendingItemId] = useState(null);
   const dialogRef = useRef(null);
   const formatAmount = (value) => {
     const parsed = Number(value);
@@ -28,8 +30,10 @@ const OrderTrackingContent = ({ order }) => {
 
     return order.cartItems.map((item) => {
       const pricing = item?.variant ? calculatePricing(item.variant) : null;
-      const parsedMrp = Number.isFinite(pricing?.mrp) ? pricing.mrp : Number(item?.originalPrice);
-      const parsedPrice = Number.isFinite(pricing?.finalPrice) ? pricing.finalPrice : Number(item?.price);
+      // Stored line prices already include add-ons; variant pricing does not
+      const addOnTotal = pricing ? getAddOnTotal(item) : 0;
+      const parsedMrp = Number.isFinite(pricing?.mrp) ? pricing.mrp + addOnTotal : Number(item?.originalPrice);
+      const parsedPrice = Number.isFinite(pricing?.finalPrice) ? pricing.finalPrice + addOnTotal : Number(item?.price);
       const unitMrp = Number.isFinite(parsedMrp) ? parsedMrp : Number.isFinite(parsedPrice) ? parsedPrice : 0;
       const unitFinalPrice = Number.isFinite(parsedPrice) ? parsedPrice : unitMrp;
       const quantity = Number.isFinite(Number(item?.quantity)) ? Number(item.quantity) : 0;
@@ -50,7 +54,8 @@ const OrderTrackingContent = ({ order }) => {
         originalLineTotal,
         discountPercentage,
         hasDiscount,
-        variantLabel: resolveOrderItemVariantLabel(item)
+        variantLabel: resolveOrderItemVariantLabel(item),
+        addOnSummary: formatAddOns(item.addOns)
       };
     });
   }, [order?.cartItems]);
@@ -105,6 +110,7 @@ const OrderTrackingContent = ({ order }) => {
       discountedTotal: resolvedDiscounted,
       discountTotal,
       deliveryCharge,
+      deliveryNote: rawSummary.deliveryBreakdown?.rules?.length > 0 ? rawSummary.deliveryBreakdown.summary : null,
       freeCashUsed,
       grandTotal};
   }, [order, cartItemsWithPricing]);
@@ -274,6 +280,43 @@ const OrderTrackingContent = ({ order }) => {
     }
   };
 
+  // Lines that have not been dispatched can be removed or reduced (stock is restored and the difference refunded)
+  const canAmendItems = !['out_for_delivery', 'delivered', 'cancelled'].includes(order.orderStatus);
+  const paidLineCount = (order.cartItems || []).filter(item => !item.isFreeProduct).length;
+
+  const handleAmendItem = async (item, newQuantity) => {
+    const confirmMessage = newQuantity === 0
+      ? `Remove ${item.productName} from this order?`
+      : `Reduce ${item.productName} to ${newQuantity}?`;
+    if (!window.confirm(confirmMessage)) return;
+
+    setAmendingItemId(item._id);
+    try {
+      const token = localStorage.getItem('authToken');
+      const response = await longTimeoutAxiosInstance.patch(
+        `${import.meta.env.VITE_API_URL}/payments/orders/${order.orderNumber}/items`,
+        { items: [{ itemId: item._id, quantity: newQuantity }] },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+
+      toast.success(response.data?.message || 'Order updated', {
+        position: "top-center",
+        autoClose: 4000});
+      onOrderUpdated?.();
+    } catch (error) {
+      console.error('Error updating order items:', error);
+      toast.error(error.response?.data?.message || 'Failed to update this item. Please try again.', {
+        position: "top-center",
+        autoClose: 5000});
+    } finally {
+      setAmendingItemId(null);
+    }
+  };
+
   const StatusTimeline = ({ order }) => {
     const orderStatus = order?.orderStatus || 'placed';
     const baseSequence = ['placed', 'out_for_delivery', 'delivered'];
@@ -894,11 +937,44 @@ const OrderTrackingContent = ({ order }) => {
                       </>
                     )}
                   </p>
+                  {item.addOnSummary && (
+                    <p className="text-xs mt-1" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>
+                      + {item.addOnSummary}
+                    </p>
+                  )}
                   {item.dispatchedAt && (
                     <p className="text-xs mt-1" style={{ color: 'rgba(26, 26, 26, 0.4)' }}>
                       Dispatched: {formatDate(item.dispatchedAt)} at {formatTime(item.dispatchedAt)}
                     </p>
                   )}
+                  {canAmendItems && item._id && item.dispatchStatus === 'pending' && !item.isFreeProduct && (
+                    <div className="flex items-center gap-3 mt-2">
+                      {item.quantity > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => handleAmendItem(item, item.quantity - 1)}
+                          disabled={amendingItemId === item._id}
+                          className="inline-flex items-center text-xs font-medium transition-opacity duration-200 hover:opacity-70 disabled:opacity-40"
+                          style={{ color: '#733857' }}
+                        >
+                          <Minus className="w-3 h-3 mr-1" />
+                          Reduce to {item.quantity - 1}
+                        </button>
+                      )}
+                      {paidLineCount > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => handleAmendItem(item, 0)}
+                          disabled={amendingItemId === item._id}
+                          className="inline-flex items-center text-xs font-medium transition-opacity duration-200 hover:opacity-70 disabled:opacity-40"
+                          style={{ color: '#dc2626' }}
+                        >
+                          <Trash2 className="w-3 h-3 mr-1" />
+                          Remove item
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 {/* Price */}
@@ -949,10 +1025,17 @@ const OrderTrackingContent = ({ order }) => {
                 <span style={{ color: '#10b981' }}>-₹{formatAmount(summary.discountTotal)}</span>
               </div>
             )}
-            {summary.deliveryCharge > 0 && (
+            {(summary.deliveryCharge > 0 || summary.deliveryNote) && (
               <div className="flex justify-between text-sm">
-                <span style={{ color: 'rgba(26, 26, 26, 0.6)' }}>Delivery Charge</span>
-                <span style={{ color: '#1a1a1a' }}>₹{formatAmount(summary.deliveryCharge)}</span>
+                <div className="flex flex-col">
+                  <span style={{ color: 'rgba(26, 26, 26, 0.6)' }}>Delivery Charge</span>
+                  {summary.deliveryNote && (
+                    <span className="text-xs" style={{ color: 'rgba(26, 26, 26, 0.45)' }}>{summary.deliveryNote}</span>
+                  )}
+                </div>
+                <span style={{ color: '#1a1a1a' }}>
+                  {summary.deliveryCharge > 0 ? `₹${formatAmount(summary.deliveryCharge)}` : 'Free'}
+                </span>
               </div>
             )}
             {summary.freeCashUsed > 0 && (
@@ -966,6 +1049,23 @@ const OrderTrackingContent = ({ order }) => {
               <span style={{ color: '#733857' }}>₹{formatAmount(summary.grandTotal)}</span>
             </div>
           </div>
+          {Array.isArray(order.amendments) && order.amendments.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-gray-100 space-y-2">
+              <p className="text-sm font-medium" style={{ color: '#1a1a1a' }}>Changes to this order</p>
+              {order.amendments.map((amendment, index) => (
+                <div key={index} className="text-xs" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>
+                  {amendment.lines?.map(line => (line.newQuantity === 0
+                    ? `${line.productName} removed`
+                    : `${line.productName} ${line.previousQuantity} → ${line.newQuantity}`)).join(', ')}
+                  {amendment.adjustmentAmount > 0 && (
+                    <span style={{ color: '#10b981' }}>
+                      {' '}• {amendment.adjustmentType === 'refund' ? 'Refund' : 'Reduced by'} ₹{formatAmount(amendment.adjustmentAmount)}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
 
@@ -1003,7 +1103,35 @@ const OrderTrackingContent = ({ order }) => {
                 </p>
               </div>
             </div>
-            {order.estimatedDeliveryTime && (
+            {order.deliveryPin?.code && !order.deliveryPin.verifiedAt && order.orderStatus !== 'cancelled' && (
+              <div className="flex items-start pt-3 border-t border-gray-100">
+                <KeyRound className="w-5 h-5 mt-0.5 mr-3 flex-shrink-0" style={{ color: '#733857' }} />
+                <div>
+                  <p className="text-sm font-medium mb-1" style={{ color: '#1a1a1a' }}>
+                    Delivery PIN
+                  </p>
+                  <p className="text-2xl font-bold tracking-[0.4em]" style={{ color: '#733857', fontFamily: 'monospace' }}>
+                    {order.deliveryPin.code}
+                  </p>
+                  <p className="text-xs mt-1" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>
+                    Share this PIN with the delivery person only when you receive your order.
+                  </p>
+                </div>
+              </div>
+            )}
+            {order.deliverySlot ? (
+              <div className="flex items-start pt-3 border-t border-gray-100">
+                <Clock className="w-5 h-5 mt-0.5 mr-3 flex-shrink-0" style={{ color: '#733857' }} />
+                <div>
+                  <p className="text-sm font-medium mb-1" style={{ color: '#1a1a1a' }}>
+                    Delivery Slot{order.deliverySlot.isPreOrder ? ' · Pre-order' : ''}
+                  </p>
+                  <p className="text-sm" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>
+                    {order.deliverySlot.label || `${formatDate(order.deliverySlot.startsAt)} at ${formatTime(order.deliverySlot.startsAt)}`}
+                  </p>
+                </div>
+              </div>
+            ) : order.estimatedDeliveryTime && (
               <div className="flex items-start pt-3 border-t border-gray-100">
                 <Clock className="w-5 h-5 mt-0.5 mr-3 flex-shrink-0" style={{ color: '#733857' }} />
                 <div>
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, CalendarDays, Loader2 } from 'lucide-react';
+import api from '../../services/apiService';
+
+/**
+ * Lets the customer pick "as soon as possible" (shop open only) or a delivery slot
+ * for today or a later day. `value` is the slot id, or null for as soon as possible.
+ */
+const DeliverySlotPicker = ({ value, onChange, allowAsap = true, refreshKey = 0, hint }) => {
+  const [days, setDays] = useState([]);
+  const [isEnabled, setIsEnabled] = useState(true);
+  const [activeDate, setActiveDate] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadSlots = async () => {
+      try {
+        setLoading(true);
+        const { data } = await api.get('/time-settings/delivery-slots');
+        if (cancelled) return;
+        setIsEnabled(data.isEnabled !== false);
+        setDays(data.days || []);
+        setActiveDate(prev => (data.days || []).some(day => day.date === prev) ? prev : data.days?.[0]?.date || null);
+      } catch (error) {
+        console.error('Failed to load delivery slots:', error);
+        if (!cancelled) setDays([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadSlots();
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  // Drop a selection that is no longer offered (fully booked or passed)
+  useEffect(() => {
+    if (!value || loading) return;
+    const stillOffered = days.some(day => day.slots.some(slot => slot.id === value && slot.isAvailable));
+    if (!stillOffered) onChange(null);
+  }, [days, value, loading, onChange]);
+
+  if (!isEnabled) return null;
+
+  const activeDay = days.find(day => day.date === activeDate);
+
+  return (
+    <div className="rounded-3xl border border-[#733857]/20 bg-white p-5 sm:p-6 shadow-sm">
+      <div className="flex items-center gap-2">
+        <Clock className="h-4 w-4 text-[#733857]" />
+        <h2 className="text-lg font-semibold uppercase tracking-[0.15em] text-[#1a1a1a]">Delivery time</h2>
+      </div>
+      <p className="mt-1 text-xs uppercase tracking-[0.18em] text-[rgba(26,26,26,0.55)]">
+        {hint || (allowAsap ? 'Now or schedule for later' : "We're closed now — pick a slot to pre-order")}
+      </p>
+
+      {allowAsap && (
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          className={`mt-4 w-full rounded-2xl border px-4 py-3 text-left text-sm transition-all ${
+            !value
+              ? 'border-[#733857] bg-[#f8f0f4] ring-2 ring-[#733857]/40'
+              : 'border-slate-200 hover:border-[#733857]/50'
+          }`}
+        >
+          <span className="font-semibold text-[#412434]">As soon as possible</span>
+          <span className="ml-2 text-slate-500">~45 min</span>
+        </button>
+      )}
+
+      {loading ? (
+        <div className="mt-4 flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-[#733857]" />
+        </div>
+      ) : days.length === 0 ? (
+        <p className="mt-4 text-sm text-slate-500">No delivery slots are open for booking right now.</p>
+      ) : (
+        <>
+          <div className="mt-4 flex gap-2 overflow-x-auto pb-1">
+            {days.map(day => (
+              <button
+                key={day.date}
+                type="button"
+                onClick={() => setActiveDate(day.date)}
+                className={`flex shrink-0 items-center gap-1 rounded-full border px-3 py-1.5 text-xs font-medium ${
+                  day.date === activeDate
+                    ? 'border-[#733857] bg-[#733857] text-white'
+                    : 'border-slate-200 text-slate-600 hover:border-[#733857]/50'
+                }`}
+              >
+                <CalendarDays className="h-3 w-3" />
+                {day.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="mt-3 grid grid-cols-2 gap-2 sm:grid-cols-3">
+            {(activeDay?.slots || []).map(slot => (
+              <button
+                key={slot.id}
+                type="button"
+                disabled={!slot.isAvailable}
+                onClick={() => onChange(slot.id)}
+                className={`rounded-xl border px-3 py-2 text-sm transition-all disabled:cursor-not-allowed disabled:opacity-40 ${
+                  value === slot.id
+                    ? 'border-[#733857] bg-[#f8f0f4] ring-2 ring-[#733857]/40 text-[#412434]'
+                    : 'border-slate-200 text-slate-700 hover:border-[#733857]/50'
+                }`}
+              >
+                <span className="block font-semibold">{slot.startTime} – {slot.endTime}</span>
+                <span className="block text-[11px] text-slate-500">
+                  {!slot.isAvailable ? 'Fully booked' : slot.remaining <= 5 ? `${slot.remaining} left` : 'Available'}
+                </span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DeliverySlotPicker;
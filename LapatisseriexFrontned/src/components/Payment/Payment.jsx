@@ -8,14 +8,20 @@ import { useShopStatus } from '../../context/ShopStatusContext';
 import ShopClosureOverlay from '../common/ShopClosureOverlay';
 import OfferBadge from '../common/OfferBadge';
 import ServiceAssuranceBanner from './ServiceAssuranceBanner';
+import DeliverySlotPicker from './DeliverySlotPicker';
+import { PriceChangeNotice } from '../Checkout';
 import { WebsiteLiveTimerCompact } from '../WebsiteLiveTimer';
 import FlipButton from '../common/FlipButton';
 import StyleButton from '../common/StyleButton';
 import HoverButton from '../common/HoverButton';
-import { calculateCartTotals, calculatePricing, formatCurrency } from '../../utils/pricingUtils';
+import { calculateCartTotals, calculatePricing, formatCurrency, getAddOnTotal } from '../../utils/pricingUtils';
+import { formatAddOns } from '../../utils/addOnUtils';
 import { resolveOrderItemVariantLabel } from '../../utils/variantUtils';
 import { getOrderExperienceInfo } from '../../utils/orderExperience';
 import api, { createOrderWithEmail, verifyPaymentWithEmail } from '../../services/apiService';
+import cartService from '../../services/cartService';
+import { getAddresses, getCheckoutAddressId, formatAddress } from '../../services/addressService';
+import { getCheckoutGift, setCheckoutGift } from '../../utils/giftOrder';
 
 const AUTO_REDIRECT_STORAGE_KEY = 'lapatisserie_payment_redirect';
 const AUTO_REDIRECT_DELAY_MS = 20000;
@@ -145,7 +151,32 @@ const Payment = () => {
     return isNaN(finalTotal) ? 0 : finalTotal;
   }, [cartTotalsData]);
 
+  // Address picked on the checkout page, else the default one; the account's location covers older accounts
+  const [deliveryAddress, setDeliveryAddress] = useState(null);
+  useEffect(() => {
+    if (!user) return undefined;
+    let cancelled = false;
+    getAddresses()
+      .then(list => {
+        if (cancelled) return;
+        const pickedId = getCheckoutAddressId();
+        setDeliveryAddress(list.find(address => address._id === pickedId) || list.find(address => address.isDefault) || list[0] || null);
+      })
+      .catch(() => {
+        // The server falls back to the default address when none is sent
+      });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?._id]);
+
+  // Server quote with the delivery rules applied; the location's flat charge covers the moment before it loads
+  const [deliveryQuote, setDeliveryQuote] = useState(null);
   const deliveryCharge = useMemo(() => {
+    if (Number.isFinite(deliveryQuote?.deliveryCharge)) {
+      return deliveryQuote.deliveryCharge;
+    }
     const userLocationId = user?.location?._id || user?.location?.locationId || user?.locationId;
     const userLocation = user?.location ||
       (userLocationId && locations?.length > 0 && locations.find(loc => loc._id === userLocationId));
@@ -155,7 +186,7 @@ const Payment = () => {
       return isNaN(charge) ? 49 : charge;
     }
     return 49;
-  }, [user, locations]);
+  }, [deliveryQuote, user, locations]);
 
   const totalFreeCashAvailable = useMemo(() => {
     const result = cartItems.reduce((total, item) => {
@@ -180,13 +211,63 @@ const Payment = () => {
   }, [cartItems]);
   
   const appliedFreeCash = useFreeCash ? totalFreeCashAvailable : 0;
-  
+
+  // Coupon validated by the server against the saved cart
+  const [couponInput, setCouponInput] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponError, setCouponError] = useState('');
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+  const appliedCouponRef = useRef(null);
+  appliedCouponRef.current = appliedCoupon;
+  const couponDiscount = appliedCoupon?.discount || 0;
+
   const grandTotal = useMemo(() => {
-    const total = discountedCartTotal + deliveryCharge - appliedFreeCash + donationAmount;
+    const total = discountedCartTotal + deliveryCharge - appliedFreeCash - couponDiscount + donationAmount;
     return isNaN(total) ? 0 : Math.max(0, total);
-  }, [discountedCartTotal, deliveryCharge, appliedFreeCash, donationAmount]);
+  }, [discountedCartTotal, deliveryCharge, appliedFreeCash, couponDiscount, donationAmount]);
+
+  const handleApplyCoupon = async (code = couponInput) => {
+    const trimmed = String(code || '').trim();
+    if (!trimmed) {
+      setCouponError('Please enter a coupon code');
+      return;
+    }
+    setIsApplyingCoupon(true);
+    setCouponError('');
+    try {
+      const result = await cartService.applyCoupon(trimmed, { useFreeCash });
+      setAppliedCoupon(result.coupon);
+      setCouponInput(result.coupon.code);
+    } catch (error) {
+      setAppliedCoupon(null);
+      setCouponError(error.message);
+    } finally {
+      setIsApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponError('');
+    setCouponInput('');
+  };
+
+  // Cart or free cash changed: re-check the applied coupon so the discount stays accurate
+  useEffect(() => {
+    const current = appliedCouponRef.current;
+    if (!current?.code) return;
+    cartService.applyCoupon(current.code, { useFreeCash })
+      .then(result => setAppliedCoupon(result.coupon))
+      .catch(error => {
+        setAppliedCoupon(null);
+        setCouponError(error.message);
+      });
+  }, [discountedCartTotal, useFreeCash]);
 
   const resolvedLocation = useMemo(() => {
+    if (deliveryAddress?.location) {
+      return deliveryAddress.location;
+    }
     if (user?.location) {
       return user.location;
     }
@@ -194,9 +275,12 @@ const Payment = () => {
       return locations.find((loc) => loc._id === user.locationId) || null;
     }
     return null;
-  }, [user, locations]);
+  }, [deliveryAddress, user, locations]);
 
   const locationName = useMemo(() => {
+    if (deliveryAddress) {
+      return formatAddress(deliveryAddress);
+    }
     if (resolvedLocation?.fullAddress) {
       return resolvedLocation.fullAddress;
     }
@@ -207,7 +291,7 @@ const Payment = () => {
       return getCurrentLocationName();
     }
     return '';
-  }, [resolvedLocation, getCurrentLocationName]);
+  }, [deliveryAddress, resolvedLocation, getCurrentLocationName]);
 
   const deliveryPincode = resolvedLocation?.pincode || user?.pincode || user?.postalCode || '';
   const deliveryCity = resolvedLocation?.city || user?.city || '';
@@ -215,7 +299,7 @@ const Payment = () => {
   const canShowDeliveryCard = Boolean(user || locationName);
   const isServiceable = typeof hasValidDeliveryLocation === 'function' ? hasValidDeliveryLocation() : true;
   const customerName = user?.name || user?.displayName || user?.firstName || '';
-  const hostelName = user?.hostel?.name || '';
+  const hostelName = deliveryAddress ? deliveryAddress.hostel?.name || '' : user?.hostel?.name || '';
 
   const getVariantInfo = (item) => {
     const prod = item?.productDetails || item?.product || item || {};
@@ -243,6 +327,8 @@ const Payment = () => {
     };
   };
 
+  // Gift orders are paid online and delivered in a booked slot (details come from the checkout page)
+  const [checkoutGift] = useState(() => getCheckoutGift());
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('razorpay');
   const isRazorpaySelected = selectedPaymentMethod === 'razorpay';
   const isCodSelected = selectedPaymentMethod === 'cod';
@@ -257,6 +343,22 @@ const Payment = () => {
   const [codCountdown, setCodCountdown] = useState(null);
   const codCountdownTimerRef = useRef(null);
   const successPageRef = useRef(null);
+  const [priceReview, setPriceReview] = useState(null); // Server re-quote awaiting confirmation
+  const [deliverySlotId, setDeliverySlotId] = useState(null); // null = as soon as possible
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const acceptedQuoteRef = useRef(null);
+
+  // Late-night and kitchen-break surcharges depend on when the order arrives, so re-quote per slot
+  useEffect(() => {
+    if (!user || cartItems.length === 0) return undefined;
+    let cancelled = false;
+    cartService.getDeliveryQuote({ deliverySlotId, addressId: deliveryAddress?._id }).then(quote => {
+      if (!cancelled && quote) setDeliveryQuote(quote);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user, deliverySlotId, deliveryAddress?._id, cartItems.length, discountedCartTotal]);
 
   useEffect(() => {
     if (!isOrderComplete) {
@@ -476,6 +578,13 @@ const Payment = () => {
     });
   };
 
+  // The server re-prices every order and answers 409 when our totals drift from its quote
+  const isPriceMismatch = (error) => error?.response?.status === 409 && error?.response?.data?.code === 'PRICE_MISMATCH';
+  // Slot filled up, passed, or the shop closed while the customer was on this page
+  const isSlotError = (error) => ['SLOT_FULL', 'INVALID_SLOT', 'SLOT_REQUIRED'].includes(error?.response?.data?.code);
+  // Stock is reserved when the order is created, so the last units can go to another checkout first
+  const isOutOfStock = (error) => error?.response?.status === 409 && error?.response?.data?.code === 'OUT_OF_STOCK';
+
   const createOrder = async (amount, paymentMethod = 'razorpay') => {
     try {
   // Log which API base will be used for order creation (Render API)
@@ -510,9 +619,10 @@ const Payment = () => {
           const pricing = pricingSource ? calculatePricing(pricingSource) : { finalPrice: Number(item.price) || 0, mrp: Number(item.originalPrice) || Number(item.price) || 0 };
           const variantSnapshot = pricingSource ? { ...pricingSource } : null;
 
-          // Free products should have 0 price
-          const finalPrice = item.isFreeProduct ? 0 : pricing.finalPrice;
-          const finalOriginalPrice = item.isFreeProduct ? 0 : pricing.mrp;
+          // Free products should have 0 price; add-ons are charged per unit on top of the variant
+          const addOnTotal = item.isFreeProduct ? 0 : getAddOnTotal(item);
+          const finalPrice = item.isFreeProduct ? 0 : pricing.finalPrice + addOnTotal;
+          const finalOriginalPrice = item.isFreeProduct ? 0 : pricing.mrp + addOnTotal;
 
           return {
             productId: item.productId || item._id,
@@ -523,6 +633,7 @@ const Payment = () => {
             variantIndex,
             variantLabel: variantLabel || '',
             variant: variantSnapshot,
+            addOns: item.isFreeProduct ? [] : (item.addOns || []),
             isFreeProduct: item.isFreeProduct || false
           };
         }),
@@ -530,12 +641,14 @@ const Payment = () => {
           name: user?.name || user?.displayName,
           email: user?.email,
           phone: user?.phone,
-          city: user?.location?.city || user?.city,
-          pincode: user?.location?.pincode || user?.pincode,
+          city: resolvedLocation?.city || user?.city,
+          pincode: resolvedLocation?.pincode || user?.pincode,
           country: user?.country || 'India'
         },
-        deliveryLocation: user?.location?.fullAddress || getCurrentLocationName(),
-        hostelName: user?.hostel?.name || null,
+        // The server snapshots the saved address by id; the strings are display fallbacks
+        addressId: deliveryAddress?._id || null,
+        deliveryLocation: locationName || getCurrentLocationName(),
+        hostelName: hostelName || null,
         donationDetails: donationAmount > 0 ? {
           donationAmount: donationAmount,
           initiativeName: 'கற்பிப்போம் பயிலகம் - Education Initiative',
@@ -546,10 +659,30 @@ const Payment = () => {
           discountedTotal: discountedCartTotal,
           deliveryCharge: deliveryCharge,
           freeCashDiscount: appliedFreeCash,
+          couponDiscount: couponDiscount,
           grandTotal: grandTotal
-        }
+        },
+        couponCode: appliedCoupon?.code || null,
+        deliverySlotId: deliverySlotId || null,
+        gift: checkoutGift ? {
+          recipientName: checkoutGift.recipientName,
+          recipientPhone: checkoutGift.recipientPhone,
+          recipientEmail: checkoutGift.recipientEmail || null,
+          message: checkoutGift.message || null,
+          hidePrices: checkoutGift.hidePrices
+        } : null
       };
 
+      // Customer accepted the server's updated quote: resubmit exactly those lines and totals
+      const acceptedQuote = acceptedQuoteRef.current;
+      if (acceptedQuote) {
+        orderData.amount = acceptedQuote.amount;
+        orderData.cartItems = acceptedQuote.items;
+        orderData.orderSummary = acceptedQuote.orderSummary;
+        orderData.couponCode = acceptedQuote.couponCode || null;
+        acceptedQuoteRef.current = null;
+      }
+
   // Route order creation to primary API (Render)
   const data = await createOrderWithEmail(orderData);
 
@@ -574,7 +707,10 @@ const Payment = () => {
 
   const handleRazorpayPayment = async () => {
     const currentStatus = await checkShopStatusNow();
-    if (!currentStatus.isOpen) {
+    if (!currentStatus.isOpen && !(currentStatus.acceptsPreOrders && deliverySlotId)) {
+      if (currentStatus.acceptsPreOrders) {
+        alert("We're closed right now. Please choose a delivery slot to pre-order.");
+      }
       return;
     }
     if (!user) {
@@ -626,6 +762,7 @@ const Payment = () => {
               setIsOrderComplete(true);
               setOrderNumber(verifyData.orderNumber);
               try {
+                setCheckoutGift(null);
                 await clearCart();
                 console.log('🧹 Cart cleared after successful payment');
                 clearDonationData();
@@ -705,14 +842,26 @@ const Payment = () => {
     } catch (error) {
       console.error('Payment error:', error);
       setCompletedPaymentMethod(null);
-      alert('Failed to initiate payment. Please try again.');
+      if (isPriceMismatch(error)) {
+        setPriceReview({ ...error.response.data, paymentMethod: 'razorpay' });
+      } else if (isSlotError(error)) {
+        alert(error.response.data.message);
+        setSlotRefreshKey(prev => prev + 1);
+      } else if (isOutOfStock(error)) {
+        alert(error.response.data.message);
+      } else {
+        alert('Failed to initiate payment. Please try again.');
+      }
       setIsProcessing(false);
     }
   };
 
   const handleCODOrder = async () => {
     const currentStatus = await checkShopStatusNow();
-    if (!currentStatus.isOpen) {
+    if (!currentStatus.isOpen && !(currentStatus.acceptsPreOrders && deliverySlotId)) {
+      if (currentStatus.acceptsPreOrders) {
+        alert("We're closed right now. Please choose a delivery slot to pre-order.");
+      }
       return;
     }
     if (!user) {
@@ -777,6 +926,14 @@ const Payment = () => {
       setOrderNumber('');
       setCompletedPaymentMethod(null);
       
+      if (isPriceMismatch(error)) {
+        setPriceReview({ ...error.response.data, paymentMethod: 'cod' });
+        return;
+      }
+      if (isSlotError(error)) {
+        setSlotRefreshKey(prev => prev + 1);
+      }
+
       // More informative error message
       const errorMessage = error.response?.data?.message || 'Failed to place order. Please try again.';
       alert(errorMessage);
@@ -822,6 +979,33 @@ const Payment = () => {
     setProcessingOrderId(null);
   };
 
+  const handleAcceptPriceChange = async () => {
+    if (!priceReview?.quote) return;
+    acceptedQuoteRef.current = priceReview.quote;
+    const paymentMethod = priceReview.paymentMethod;
+    if (priceReview.diff?.coupon) {
+      setAppliedCoupon(null);
+      setCouponError(priceReview.diff.coupon.message);
+    }
+    setPriceReview(null);
+
+    if (paymentMethod === 'razorpay') {
+      await handleRazorpayPayment();
+    } else {
+      await handleCODOrder();
+    }
+  };
+
+  const handleReviewCartAfterPriceChange = async () => {
+    setPriceReview(null);
+    try {
+      await refreshCart();
+    } catch (refreshError) {
+      console.error('❌ Failed to refresh cart:', refreshError);
+    }
+    navigate('/cart');
+  };
+
 if (isOrderComplete) {
     const isCodSuccess = completedPaymentMethod === 'cod';
     const isOnlineSuccess = completedPaymentMethod === 'razorpay';
@@ -1006,12 +1190,14 @@ if (isOrderComplete) {
 
   // Enhanced button disabled state with rapid click prevention
   const isPlaceOrderDisabled = isProcessing || !hasAcceptedTerms || cartItems.length === 0 || 
+    (!isOpen && !deliverySlotId) ||
+    (checkoutGift && !deliverySlotId) ||
     (lastOrderAttempt && (Date.now() - lastOrderAttempt) < 2000);
 
   // --- Main Payment Page (Redesigned Split-Screen Layout) ---
   return (
     <div className="-mt-2 sm:-mt-3 md:-mt-4" style={{  }}>
-      <ShopClosureOverlay overlayType="page" showWhenClosed={!isOpen}>
+      <ShopClosureOverlay overlayType="page" showWhenClosed={!isOpen} allowPreOrders>
   <div className="min-h-screen bg-[#f8f5f6] pb-12 overflow-x-hidden">
 
         {/* --- Website Live Timer at the very top --- */}
@@ -1068,10 +1254,13 @@ if (isOrderComplete) {
                     const displayLabel = variantLabel || fallbackLabel || 'Standard';
                     const pricing = variant ? calculatePricing(variant) : null;
                     
+                    const addOnTotal = item.isFreeProduct ? 0 : getAddOnTotal(item);
+                    const addOnSummary = item.isFreeProduct ? '' : formatAddOns(item.addOns);
+
                     // Free products should have 0 price
-                    const rawUnitPrice = item.isFreeProduct ? 0 : (pricing ? pricing.finalPrice : Number(item?.price) || 0);
+                    const rawUnitPrice = item.isFreeProduct ? 0 : (pricing ? pricing.finalPrice + addOnTotal : Number(item?.price) || 0);
                     const safeUnitPrice = Number.isFinite(rawUnitPrice) ? rawUnitPrice : 0;
-                    const mrpValue = item.isFreeProduct ? 0 : (pricing ? pricing.mrp : rawUnitPrice);
+                    const mrpValue = item.isFreeProduct ? 0 : (pricing ? pricing.mrp + addOnTotal : rawUnitPrice);
                     const safeMrp = Number.isFinite(mrpValue) ? mrpValue : safeUnitPrice;
                     const discountPercentage = Number.isFinite(pricing?.discountPercentage) ? pricing.discountPercentage : 0;
                     const hasDiscount = discountPercentage > 0 && !item.isFreeProduct;
@@ -1103,6 +1292,9 @@ if (isOrderComplete) {
                             )}
                           </div>
                           <p className="text-xs text-slate-500">{displayLabel}</p>
+                          {addOnSummary && (
+                            <p className="text-xs text-slate-500">+ {addOnSummary}</p>
+                          )}
                           {hasDiscount && (
                             <OfferBadge label={`${discountPercentage}% OFF`} className="text-[10px]" />
                           )}
@@ -1272,8 +1464,58 @@ if (isOrderComplete) {
                   )}
 
                   <div className="flex justify-between">
-                    <span>Delivery</span>
-                    <span className="font-medium text-slate-900">{formatCurrency(deliveryCharge)}</span>
+                    <div className="flex flex-col">
+                      <span>Delivery</span>
+                      {deliveryQuote?.deliveryBreakdown?.rules?.length > 0 && (
+                        <span className="text-xs text-slate-500">{deliveryQuote.deliveryBreakdown.summary}</span>
+                      )}
+                    </div>
+                    <span className="font-medium text-slate-900">
+                      {deliveryCharge === 0 ? 'Free' : formatCurrency(deliveryCharge)}
+                    </span>
+                  </div>
+
+                  {/* Coupon */}
+                  <div className="pt-1">
+                    {appliedCoupon ? (
+                      <div className="flex items-center justify-between">
+                        <div className="flex flex-col">
+                          <span>Coupon <span className="font-semibold text-[#733857]">{appliedCoupon.code}</span></span>
+                          {appliedCoupon.description && (
+                            <span className="text-xs text-slate-500">{appliedCoupon.description}</span>
+                          )}
+                          <button
+                            type="button"
+                            onClick={handleRemoveCoupon}
+                            className="self-start text-xs font-medium text-slate-500 underline transition hover:text-[#733857]"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                        <span className="font-medium text-green-700">-{formatCurrency(couponDiscount)}</span>
+                      </div>
+                    ) : (
+                      <div>
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={couponInput}
+                            onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                            placeholder="Coupon code"
+                            className="min-w-0 flex-1 border border-slate-200 px-3 py-2 text-sm uppercase tracking-wide focus:border-[#733857] focus:outline-none"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => handleApplyCoupon()}
+                            disabled={isApplyingCoupon || !couponInput.trim()}
+                            className="border border-[#733857] px-4 py-2 text-xs font-semibold uppercase tracking-[0.18em] text-[#733857] transition hover:bg-[#733857] hover:text-white disabled:cursor-not-allowed disabled:opacity-50"
+                          >
+                            {isApplyingCoupon ? 'Applying…' : 'Apply'}
+                          </button>
+                        </div>
+                        {couponError && <p className="mt-1 text-xs text-red-600">{couponError}</p>}
+                      </div>
+                    )}
                   </div>
 
                   {/* Show donation as a line item when selected */}
@@ -1484,8 +1726,11 @@ if (isOrderComplete) {
                     {/* Recipient Name */}
                     <div className="flex items-start justify-between border-b border-[#733857]/15 pb-4">
                       <div className="flex-1">
-                        <p className="text-xs font-medium uppercase tracking-wider text-slate-500">Recipient</p>
-                        <p className="mt-1 text-sm font-semibold text-slate-900">{customerName || 'Guest User'}</p>
+                        <p className="text-xs font-medium uppercase tracking-wider text-slate-500">{checkoutGift ? 'Gift for' : 'Recipient'}</p>
+                        <p className="mt-1 text-sm font-semibold text-slate-900">{checkoutGift?.recipientName || customerName || 'Guest User'}</p>
+                        {checkoutGift?.message && (
+                          <p className="mt-1 text-xs italic text-slate-600">"{checkoutGift.message}"</p>
+                        )}
                       </div>
                     </div>
 
@@ -1493,7 +1738,7 @@ if (isOrderComplete) {
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
                         <p className="text-xs font-medium uppercase tracking-wider text-slate-500">Contact</p>
-                        <p className="mt-1 text-sm font-semibold text-slate-900">{contactNumber || 'No contact number'}</p>
+                        <p className="mt-1 text-sm font-semibold text-slate-900">{checkoutGift?.recipientPhone || contactNumber || 'No contact number'}</p>
                       </div>
                     </div>
                   </div>
@@ -1504,6 +1749,15 @@ if (isOrderComplete) {
             )}
             {/* --- End Delivery Card --- */}
 
+            {/* --- Delivery Slot / Pre-order --- */}
+            <DeliverySlotPicker
+              value={deliverySlotId}
+              onChange={setDeliverySlotId}
+              allowAsap={isOpen && !checkoutGift}
+              refreshKey={slotRefreshKey}
+              hint={checkoutGift ? 'Pick when the gift should arrive' : undefined}
+            />
+
             {/* --- Free Cash Information Section --- */}
           
 
@@ -1551,7 +1805,9 @@ if (isOrderComplete) {
                   <button
                     type="button"
                     onClick={() => setSelectedPaymentMethod('cod')}
-                    className={`group flex items-center justify-between rounded-2xl border px-4 py-4 sm:px-5 sm:py-5 transition-all ${
+                    disabled={Boolean(checkoutGift)}
+                    title={checkoutGift ? 'Gift orders are paid online' : undefined}
+                    className={`group flex items-center justify-between rounded-2xl border px-4 py-4 sm:px-5 sm:py-5 transition-all disabled:cursor-not-allowed disabled:opacity-50 ${
                       isCodSelected
                         ? 'border-[#412434] bg-[#f3edf0] ring-2 ring-[#412434]/30'
                         : 'border-slate-200 hover:border-[#412434]/50 bg-white'
@@ -1617,6 +1873,7 @@ if (isOrderComplete) {
                     if (isProcessing) return isCodSelected ? 'Placing order…' : 'Processing…';
                     if (lastOrderAttempt && (Date.now() - lastOrderAttempt) < 2000) return 'Please wait…';
                     if (!hasAcceptedTerms) return 'Accept terms to continue';
+                    if ((!isOpen || checkoutGift) && !deliverySlotId) return 'Choose a delivery slot';
                     return placeOrderLabel;
                   })()}
                 </StyleButton>
@@ -1657,6 +1914,16 @@ if (isOrderComplete) {
         </div>
       </ShopClosureOverlay>
 
+      <PriceChangeNotice
+        isOpen={Boolean(priceReview)}
+        message={priceReview?.message}
+        quote={priceReview?.quote}
+        diff={priceReview?.diff}
+        onAccept={handleAcceptPriceChange}
+        onReviewCart={handleReviewCartAfterPriceChange}
+        onClose={() => setPriceReview(null)}
+      />
+
       {/* Donation Information Modal */}
       {showDonationThanks && (
         <motion.div
@@ -0,0 +1,113 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+
+/**
+ * Add-on picker for the product page.
+ * Single-choice groups behave like radios, the rest like checkboxes up to maxSelect.
+ */
+const AddOnSelector = ({ groups = [], value = [], onChange, compact = false }) => {
+  if (groups.length === 0) return null;
+
+  const isPicked = (group, option) => value.some(pick => pick.groupId === group._id && pick.optionId === option._id);
+
+  const toggleOption = (group, option) => {
+    const maxSelect = group.maxSelect || 1;
+    const groupPicks = value.filter(pick => pick.groupId === group._id);
+
+    if (isPicked(group, option)) {
+      onChange(value.filter(pick => !(pick.groupId === group._id && pick.optionId === option._id)));
+      return;
+    }
+
+    const pick = {
+      groupId: group._id,
+      optionId: option._id,
+      optionName: option.name,
+      price: option.price || 0,
+      text: ''
+    };
+
+    if (maxSelect === 1) {
+      // Swap the previous pick out of a single-choice group
+      onChange([...value.filter(entry => entry.groupId !== group._id), pick]);
+    } else if (groupPicks.length < maxSelect) {
+      onChange([...value, pick]);
+    }
+  };
+
+  const updateText = (group, option, text) => {
+    onChange(value.map(pick => (
+      pick.groupId === group._id && pick.optionId === option._id ? { ...pick, text } : pick
+    )));
+  };
+
+  return (
+    <div className={compact ? 'mt-4 pt-4 border-t border-gray-100 space-y-4' : 'space-y-5'}>
+      {groups.map(group => {
+        const maxSelect = group.maxSelect || 1;
+        const required = group.isRequired || group.minSelect > 0;
+
+        return (
+          <div key={group._id}>
+            <div className="flex items-baseline justify-between mb-2">
+              <label className="block text-sm font-light tracking-wide uppercase" style={{ color: '#1a1a1a', letterSpacing: '0.05em' }}>
+                {group.name}
+              </label>
+              <span className="text-xs" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>
+                {required ? 'Required' : 'Optional'}
+                {maxSelect > 1 ? ` · up to ${maxSelect}` : ''}
+              </span>
+            </div>
+            {group.description && (
+              <p className="text-xs mb-2" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>{group.description}</p>
+            )}
+            <div className="space-y-2">
+              {group.options.map(option => {
+                const picked = isPicked(group, option);
+                const pick = value.find(entry => entry.groupId === group._id && entry.optionId === option._id);
+
+                return (
+                  <div key={option._id}>
+                    <button
+                      type="button"
+                      onClick={() => toggleOption(group, option)}
+                      className={`w-full flex items-center justify-between px-3 py-2 border text-left transition-colors ${
+                        picked ? 'border-[#733857] bg-[#733857]/5' : 'border-gray-100 hover:border-gray-200 bg-white'
+                      }`}
+                    >
+                      <span className="flex items-center gap-2">
+                        <span
+                          className={`w-4 h-4 flex items-center justify-center border ${maxSelect === 1 ? 'rounded-full' : 'rounded-sm'} ${
+                            picked ? 'border-[#733857] bg-[#733857] text-white' : 'border-gray-300'
+                          }`}
+                        >
+                          {picked && <Check className="w-3 h-3" />}
+                        </span>
+                        <span className="text-sm font-light" style={{ color: '#1a1a1a' }}>{option.name}</span>
+                      </span>
+                      <span className="text-xs" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>
+                        {option.price > 0 ? `+₹${option.price}` : 'Free'}
+                      </span>
+                    </button>
+                    {picked && option.requiresText && (
+                      <input
+                        type="text"
+                        value={pick?.text || ''}
+                        maxLength={option.maxTextLength || 40}
+                        onChange={(e) => updateText(group, option, e.target.value)}
+                        placeholder={`Enter ${option.name.toLowerCase()}`}
+                        className="mt-1 w-full px-3 py-2 text-sm border border-gray-200 focus:outline-none focus:border-[#733857]"
+                      />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AddOnSelector;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell, BellOff, TrendingDown } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../hooks/useAuth';
+import api from '../../services/apiService';
+
+/**
+ * "Notify me when available" (sold-out variants) and "Notify me on price drop" toggles
+ * for the selected variant on the product page.
+ */
+const ProductAlertButtons = ({ product, variantIndex = 0, soldOut = false, compact = false }) => {
+  const { user, toggleAuthPanel, changeAuthType } = useAuth();
+  const [alerts, setAlerts] = useState([]);
+  const [busyType, setBusyType] = useState(null);
+
+  const productId = product?._id;
+
+  const fetchAlerts = useCallback(async () => {
+    if (!productId || !user) {
+      setAlerts([]);
+      return;
+    }
+    try {
+      const response = await api.get('/users/me/product-alerts', { params: { productId } });
+      setAlerts(response.data.alerts || []);
+    } catch (err) {
+      console.error('Error fetching product alerts:', err);
+    }
+  }, [productId, user]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const findAlert = (type) => alerts.find(alert =>
+    alert.type === type && alert.variantIndex === variantIndex && alert.status === 'active'
+  );
+
+  const handleToggle = async (type) => {
+    if (!user) {
+      changeAuthType('login');
+      toggleAuthPanel();
+      return;
+    }
+
+    const existing = findAlert(type);
+    setBusyType(type);
+    try {
+      if (existing) {
+        await api.delete(`/users/me/product-alerts/${existing._id}`);
+        setAlerts(prev => prev.filter(alert => alert._id !== existing._id));
+        toast.info('Alert removed', { position: 'top-center', autoClose: 2000 });
+      } else {
+        const response = await api.post('/users/me/product-alerts', { productId, variantIndex, type });
+        const created = response.data.alert;
+        setAlerts(prev => [...prev.filter(alert => alert._id !== created._id), created]);
+        toast.success(response.data.message, { position: 'top-center', autoClose: 2000 });
+      }
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not update the alert');
+    } finally {
+      setBusyType(null);
+    }
+  };
+
+  if (!productId || product.isActive === false) return null;
+
+  const renderButton = (type, Icon, label, activeLabel) => {
+    const active = Boolean(findAlert(type));
+    const ActiveIcon = type === 'back_in_stock' ? BellOff : Icon;
+    return (
+      <button
+        type="button"
+        onClick={() => handleToggle(type)}
+        disabled={busyType === type}
+        className={`flex items-center justify-center gap-2 rounded-md border transition-colors disabled:opacity-50 ${
+          compact ? 'px-3 py-2 text-xs' : 'px-4 py-2.5 text-sm'
+        } ${active ? 'bg-[#733857] text-white border-[#733857]' : 'bg-white hover:bg-gray-50 border-gray-200'}`}
+        style={{ letterSpacing: '0.05em', color: active ? undefined : '#733857' }}
+      >
+        {active ? <ActiveIcon className="w-4 h-4" /> : <Icon className="w-4 h-4" />}
+        <span>{active ? activeLabel : label}</span>
+      </button>
+    );
+  };
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${compact ? 'mt-3' : 'mt-4'}`}>
+      {soldOut && renderButton('back_in_stock', Bell, 'Notify me when available', "We'll notify you")}
+      {renderButton('price_drop', TrendingDown, 'Notify me on price drop', 'Watching price')}
+    </div>
+  );
+};
+
+export default ProductAlertButtons;
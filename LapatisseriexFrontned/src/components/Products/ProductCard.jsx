@@ -28,7 +28,10 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
   const [jellyAnimationKey, setJellyAnimationKey] = useState(0);
   const [animationDirection, setAnimationDirection] = useState('none'); // 'up', 'down', 'none'
 
-  const { isOpen: isShopOpen, getClosureMessage, checkShopStatusNow } = useShopStatus();
+  const { isOpen: isShopOpen, acceptsPreOrders, getClosureMessage, checkShopStatusNow } = useShopStatus();
+  // While closed, items can still be ordered for a later delivery slot
+  const isPreOrderOnly = !isShopOpen && acceptsPreOrders;
+  const canOrder = isShopOpen || acceptsPreOrders;
   const { addToCart, getItemQuantity, updateQuantity, cartItems, refreshCart } = useCart();
 
   const { user, toggleAuthPanel, changeAuthType } = useAuth();
@@ -138,30 +141,6 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
     shouldShowQuantity: currentQuantity > 0
   }), [currentQuantity]);
 
-  // Generate consistent random rating for each product based on product ID
-  const getProductRating = (productId) => {
-    if (!productId) return { rating: 4.5, percentage: 85 };
-    
-    // Simple hash function to generate consistent "random" numbers from product ID
-    let hash = 0;
-    for (let i = 0; i < productId.length; i++) {
-      const char = productId.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    
-    // Use hash to generate rating between 4.0-5.0 and percentage between 80-100
-    const rating = (4.0 + (Math.abs(hash) % 100) / 100).toFixed(1);
-    const percentage = 80 + (Math.abs(hash * 7) % 21); // 80-100%
-    
-    return { 
-      rating: parseFloat(rating), 
-      percentage: Math.floor(percentage) 
-    };
-  };
-
-  const productRating = getProductRating(currentProduct._id);
-
   const handleVideoPlay = useCallback(() => {
     setVideoHasEnded(false);
   }, []);
@@ -170,19 +149,11 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
     setVideoHasEnded(true);
   }, []);
 
-  // Deterministic rating count like "3.9K" for display purposes (consistent per product)
-  const getRatingCount = (productId) => {
-    if (!productId) return '3.9K';
-    let hash = 0;
-    for (let i = 0; i < productId.length; i++) {
-      hash = ((hash << 5) - hash) + productId.charCodeAt(i);
-      hash |= 0; // 32-bit
-    }
-    const base = Math.abs(hash % 9000) + 1000; // 1,000 - 9,999
-    const k = (base / 1000).toFixed(1);
-    return `${k.replace(/\.0$/, '')}K`;
-  };
-  const ratingCountDisplay = getRatingCount(currentProduct._id);
+  // Rating from approved reviews; hidden until the product has one
+  const ratingCount = currentProduct.rating?.count || 0;
+  const ratingCountDisplay = ratingCount >= 1000
+    ? `${(ratingCount / 1000).toFixed(1).replace(/\.0$/, '')}K`
+    : String(ratingCount);
 
   // Auto-slide functionality for multiple images - very slow and smooth
   useEffect(() => {
@@ -226,12 +197,19 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
     return activeVariant;
   }, [currentProduct.variants]);
 
+  // Products with required add-ons (e.g. message on the cake) must be customised on the product page
+  const needsCustomization = useMemo(() => (
+    Array.isArray(currentProduct.addOnGroups) && currentProduct.addOnGroups.some(group =>
+      group.isActive !== false && (group.isRequired || group.minSelect > 0)
+    )
+  ), [currentProduct.addOnGroups]);
+
   const tracks = !!variant?.isStockActive;
   const isActive = currentProduct.isActive !== false; // Default to true if undefined
   // If stock tracking is disabled, treat stock as unlimited
   const totalStock = tracks ? (variant.stock || 0) : Number.POSITIVE_INFINITY;
   // Use global shop status; if not tracking stock, skip stock-based unavailability
-  const isProductAvailable = isActive && isShopOpen && (tracks ? totalStock > 0 : true);
+  const isProductAvailable = isActive && canOrder && (tracks ? totalStock > 0 : true);
   const isOutOfStockTracked = tracks && totalStock === 0;
 
   // Use centralized pricing calculation for consistency
@@ -303,10 +281,14 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
       
       // Check shop status in real-time before adding to cart
       const currentStatus = await checkShopStatusNow();
-      if (!currentStatus.isOpen) {
+      if (!currentStatus.isOpen && !currentStatus.acceptsPreOrders) {
         // Shop is now closed, UI will update automatically
         return;
       }
+      if (needsCustomization) {
+        navigate(`/product/${currentProduct._id}`);
+        return;
+      }
       // Find the correct variant index
       const variantIndex = currentProduct.variants?.findIndex(v => v === variant) || 0;
       // Debug: log variant tracking behavior
@@ -341,6 +323,8 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
     const goCart = () => { try { navigate('/cart'); } catch { window.location.href = '/cart'; } };
     if (currentQuantity > 0) {
       goCart();
+    } else if (needsCustomization) {
+      navigate(`/product/${currentProduct._id}`);
     } else {
       try {
         const variantIndex = currentProduct.variants?.findIndex(v => v === variant) || 0;
@@ -373,11 +357,16 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
       // Check shop status in real-time before buy now
       const currentStatus = await checkShopStatusNow();
       
-      if (!currentStatus.isOpen) {
+      if (!currentStatus.isOpen && !currentStatus.acceptsPreOrders) {
         // Shop is now closed, UI will update automatically
         return;
       }
       
+      if (currentQuantity === 0 && needsCustomization) {
+        navigate(`/product/${currentProduct._id}`);
+        return;
+      }
+
       if (currentQuantity === 0) {
         const variantIndex = currentProduct.variants?.findIndex(v => v === variant) || 0;
         console.log('[BuyNow] product=', currentProduct._id, 'variantIndex=', variantIndex, 'tracks=', tracks, 'stock=', totalStock);
@@ -477,7 +466,7 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
           : compact
           ? 'flex flex-col rounded-lg max-w-sm mx-auto'
           : 'flex flex-row rounded-lg'
-      } ${!isShopOpen || isOutOfStockTracked ? 'grayscale opacity-80' : ''} ${className}`}
+      } ${!canOrder || isOutOfStockTracked ? 'grayscale opacity-80' : ''} ${className}`}
     >
       {/* Product Image */}
         <div
@@ -542,17 +531,23 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
        
 
             {/* Shop Closed / Unavailable Overlay */}
-            {(!isShopOpen || isOutOfStockTracked) && (
+            {(!canOrder || isOutOfStockTracked) && (
               <div className="absolute inset-0 bg-black bg-opacity-60 flex items-center justify-center z-10">
                 <div className="text-white text-center">
-                  <div className="text-sm font-bold mb-1">{!isShopOpen ? 'CURRENTLY CLOSED' : 'CURRENTLY UNAVAILABLE'}</div>
-                  {!isShopOpen && getClosureMessage() && (
+                  <div className="text-sm font-bold mb-1">{!canOrder ? 'CURRENTLY CLOSED' : 'CURRENTLY UNAVAILABLE'}</div>
+                  {!canOrder && getClosureMessage() && (
                     <div className="text-xs opacity-90">{getClosureMessage()}</div>
                   )}
                 </div>
               </div>
             )}
 
+            {isPreOrderOnly && !isOutOfStockTracked && (
+              <div className="absolute bottom-2 right-2 z-10 rounded bg-[#733857] px-2 py-0.5 text-[10px] font-bold uppercase tracking-wider text-white">
+                Pre-order
+              </div>
+            )}
+
 
 
           {/* Discount Badge on Image */}
@@ -720,12 +715,14 @@ const ProductCard = React.memo(({ product, className = '', compact = false, feat
           <div className="flex items-center justify-between mb-2 gap-1 flex-wrap">
             {/* Rating chip */}
             <div className="min-w-0">
+              {ratingCount > 0 && (
               <div className="inline-flex items-center gap-2 bg-white border border-[#733857]/30 rounded-full px-2 py-0.5 shadow-sm">
                 <span className="inline-flex items-center justify-center w-4 h-4 rounded-full bg-green-600 text-white text-[9px] leading-none">★</span>
-                <span className="text-xs font-light bg-gradient-to-r from-[#733857] via-[#8d4466] to-[#412434] bg-clip-text text-transparent">{productRating.rating}</span>
+                <span className="text-xs font-light bg-gradient-to-r from-[#733857] via-[#8d4466] to-[#412434] bg-clip-text text-transparent">{currentProduct.rating.average.toFixed(1)}</span>
                 <span className="text-xs bg-gradient-to-r from-[#733857] via-[#8d4466] to-[#412434] bg-clip-text text-transparent">|</span>
                 <span className="text-xs bg-gradient-to-r from-[#733857] via-[#8d4466] to-[#412434] bg-clip-text text-transparent">{ratingCountDisplay}</span>
               </div>
+              )}
             </div>
 
             {/* Customer experience badge */}
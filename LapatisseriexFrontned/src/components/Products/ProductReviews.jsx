@@ -0,0 +1,423 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Star, Camera, X, Loader2, BadgeCheck } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../hooks/useAuth';
+import { formatVariantLabel } from '../../utils/variantUtils';
+import api from '../../services/apiService';
+
+const MAX_REVIEW_PHOTOS = 4;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const PAGE_SIZE = 5;
+
+const SORT_OPTIONS = [
+  { value: 'recent', label: 'Most recent' },
+  { value: 'highest', label: 'Highest rated' },
+  { value: 'lowest', label: 'Lowest rated' },
+  { value: 'photos', label: 'With photos' }
+];
+
+const EMPTY_FORM = { variantIndex: null, rating: 0, title: '', comment: '' };
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+export const StarRating = ({ value = 0, size = 16, onChange }) => (
+  <div className="inline-flex items-center gap-0.5">
+    {[1, 2, 3, 4, 5].map(star => {
+      const filled = star <= Math.round(value);
+      const icon = (
+        <Star
+          style={{ width: size, height: size }}
+          className={filled ? 'fill-[#f59e0b] text-[#f59e0b]' : 'text-gray-300'}
+        />
+      );
+      return onChange ? (
+        <button key={star} type="button" onClick={() => onChange(star)} aria-label={`${star} star${star > 1 ? 's' : ''}`}>
+          {icon}
+        </button>
+      ) : (
+        <span key={star}>{icon}</span>
+      );
+    })}
+  </div>
+);
+
+/**
+ * Approved reviews for a product, filterable by variant, plus the write-a-review form
+ * for customers with a delivered order containing it.
+ */
+const ProductReviews = ({ product }) => {
+  const { user, toggleAuthPanel, changeAuthType } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [variantFilter, setVariantFilter] = useState('');
+  const [sort, setSort] = useState('recent');
+  const [loading, setLoading] = useState(true);
+  const [eligibility, setEligibility] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [photos, setPhotos] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+
+  const productId = product?._id;
+
+  const fetchReviews = useCallback(async (page = 1) => {
+    if (!productId) return;
+    try {
+      setLoading(true);
+      const response = await api.get(`/products/${productId}/reviews`, {
+        params: { page, limit: PAGE_SIZE, sort, variantIndex: variantFilter }
+      });
+      setReviews(prev => (page === 1 ? response.data.reviews : [...prev, ...response.data.reviews]));
+      setSummary(response.data.summary);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, sort, variantFilter]);
+
+  const fetchEligibility = useCallback(async () => {
+    if (!productId || !user) {
+      setEligibility([]);
+      return;
+    }
+    try {
+      const response = await api.get(`/reviews/eligibility/${productId}`);
+      setEligibility(response.data.variants || []);
+    } catch (err) {
+      console.error('Error checking review eligibility:', err);
+    }
+  }, [productId, user]);
+
+  useEffect(() => {
+    fetchReviews(1);
+  }, [fetchReviews]);
+
+  useEffect(() => {
+    fetchEligibility();
+  }, [fetchEligibility]);
+
+  const reviewableVariants = eligibility.filter(variant => !variant.review);
+  const pendingReviews = eligibility.filter(variant => variant.review?.status === 'pending');
+
+  const getVariantLabel = (variantIndex) => (
+    formatVariantLabel(product?.variants?.[variantIndex]) || `Option ${variantIndex + 1}`
+  );
+
+  const openForm = () => {
+    setForm({ ...EMPTY_FORM, variantIndex: reviewableVariants[0]?.variantIndex ?? 0 });
+    setPhotos([]);
+    setShowForm(true);
+  };
+
+  const handlePhotoSelect = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (photos.length + files.length > MAX_REVIEW_PHOTOS) {
+      toast.error(`You can add up to ${MAX_REVIEW_PHOTOS} photos`);
+      return;
+    }
+    if (files.some(file => file.size > MAX_IMAGE_BYTES)) {
+      toast.error('Each photo must be smaller than 5MB');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      for (const file of files) {
+        const data = await readAsDataUrl(file);
+        const response = await api.post('/upload/review', { file: data });
+        setPhotos(prev => [...prev, { url: response.data.url, public_id: response.data.public_id }]);
+      }
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Photo upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!form.rating) {
+      toast.error('Please choose a star rating');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const response = await api.post('/reviews', {
+        productId,
+        variantIndex: form.variantIndex,
+        rating: form.rating,
+        title: form.title,
+        comment: form.comment,
+        photos
+      });
+      toast.success(response.data.message || 'Thanks for your review!');
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      setPhotos([]);
+      fetchEligibility();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to submit review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLogin = () => {
+    changeAuthType('login');
+    toggleAuthPanel();
+  };
+
+  if (!productId) return null;
+
+  const ratedVariants = (summary?.variantRatings || []).filter(variant => variant.count > 0);
+  const totalCount = summary?.count || 0;
+
+  return (
+    <section className="max-w-7xl mx-auto px-4 md:px-6 mt-8 md:mt-16 pb-24 md:pb-8">
+      <div className="text-center mb-6 border-b border-gray-100 pb-4">
+        <h2 className="text-xl md:text-2xl font-light tracking-wide mb-1" style={{ color: '#1a1a1a', letterSpacing: '0.02em' }}>
+          Ratings & Reviews
+        </h2>
+        <p className="text-sm tracking-wide" style={{ color: 'rgba(26, 26, 26, 0.5)', letterSpacing: '0.05em' }}>
+          From customers who received this {product.category?.name?.toLowerCase() || 'product'}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {/* Summary */}
+        <div className="space-y-4">
+          <div className="flex items-center gap-4">
+            <span className="text-4xl font-light" style={{ color: '#1a1a1a' }}>
+              {totalCount > 0 ? summary.average.toFixed(1) : '–'}
+            </span>
+            <div>
+              <StarRating value={summary?.average || 0} size={18} />
+              <p className="text-sm" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>
+                {totalCount > 0 ? `${totalCount} verified review${totalCount > 1 ? 's' : ''}` : 'No reviews yet'}
+              </p>
+            </div>
+          </div>
+
+          {totalCount > 0 && (
+            <div className="space-y-1">
+              {[5, 4, 3, 2, 1].map(stars => {
+                const count = summary.distribution?.[stars] || 0;
+                return (
+                  <div key={stars} className="flex items-center gap-2 text-xs" style={{ color: 'rgba(26, 26, 26, 0.7)' }}>
+                    <span className="w-3">{stars}</span>
+                    <Star className="w-3 h-3 fill-[#f59e0b] text-[#f59e0b]" />
+                    <div className="flex-1 h-1.5 rounded-full bg-gray-100 overflow-hidden">
+                      <div className="h-full bg-[#f59e0b]" style={{ width: `${(count / totalCount) * 100}%` }} />
+                    </div>
+                    <span className="w-6 text-right">{count}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {ratedVariants.length > 1 && (
+            <div className="space-y-1 text-sm" style={{ color: 'rgba(26, 26, 26, 0.7)' }}>
+              {ratedVariants.map(variant => (
+                <div key={variant.variantIndex} className="flex items-center justify-between">
+                  <span>{getVariantLabel(variant.variantIndex)}</span>
+                  <span>★ {variant.average.toFixed(1)} ({variant.count})</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Write a review */}
+          {!user ? (
+            <button onClick={handleLogin} className="text-sm underline" style={{ color: '#733857' }}>
+              Log in to review a product you've received
+            </button>
+          ) : reviewableVariants.length > 0 && !showForm ? (
+            <button
+              onClick={openForm}
+              className="w-full py-2 border rounded-md text-sm tracking-wide hover:bg-gray-50"
+              style={{ borderColor: '#733857', color: '#733857' }}
+            >
+              Write a review
+            </button>
+          ) : null}
+
+          {pendingReviews.length > 0 && (
+            <p className="text-xs" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>
+              Your review for {pendingReviews.map(variant => variant.variantLabel || getVariantLabel(variant.variantIndex)).join(', ')} is awaiting approval.
+            </p>
+          )}
+
+          {showForm && (
+            <form onSubmit={handleSubmit} className="space-y-3 border border-gray-100 rounded-lg p-4">
+              {reviewableVariants.length > 1 && (
+                <select
+                  value={form.variantIndex ?? ''}
+                  onChange={(e) => setForm(prev => ({ ...prev, variantIndex: Number(e.target.value) }))}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-md text-sm"
+                >
+                  {reviewableVariants.map(variant => (
+                    <option key={variant.variantIndex} value={variant.variantIndex}>
+                      {variant.variantLabel || getVariantLabel(variant.variantIndex)}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <StarRating value={form.rating} size={24} onChange={(rating) => setForm(prev => ({ ...prev, rating }))} />
+              <input
+                type="text"
+                value={form.title}
+                onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+                placeholder="Headline (optional)"
+                maxLength={100}
+                className="w-full px-3 py-2 border border-gray-200 rounded-md text-sm"
+              />
+              <textarea
+                value={form.comment}
+                onChange={(e) => setForm(prev => ({ ...prev, comment: e.target.value }))}
+                placeholder="How did it taste? How was the delivery?"
+                maxLength={1000}
+                rows={4}
+                className="w-full px-3 py-2 border border-gray-200 rounded-md text-sm"
+              />
+              <div className="flex flex-wrap gap-2">
+                {photos.map(photo => (
+                  <div key={photo.public_id} className="relative">
+                    <img src={photo.url} alt="Review" className="h-16 w-16 rounded object-cover border border-gray-200" />
+                    <button
+                      type="button"
+                      onClick={() => setPhotos(prev => prev.filter(item => item.public_id !== photo.public_id))}
+                      className="absolute -top-1.5 -right-1.5 rounded-full bg-white border border-gray-200 p-0.5"
+                      aria-label="Remove photo"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+                {photos.length < MAX_REVIEW_PHOTOS && (
+                  <label className="h-16 w-16 flex items-center justify-center rounded border border-dashed border-gray-300 cursor-pointer text-gray-400 hover:bg-gray-50">
+                    {uploading ? <Loader2 className="w-5 h-5 animate-spin" /> : <Camera className="w-5 h-5" />}
+                    <input type="file" accept="image/*" multiple className="hidden" onChange={handlePhotoSelect} disabled={uploading} />
+                  </label>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={submitting || uploading}
+                  className="flex-1 py-2 rounded-md text-sm text-white disabled:opacity-50"
+                  style={{ backgroundColor: '#733857' }}
+                >
+                  {submitting ? 'Submitting...' : 'Submit review'}
+                </button>
+                <button type="button" onClick={() => setShowForm(false)} className="px-4 py-2 rounded-md text-sm border border-gray-200">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+
+        {/* Review list */}
+        <div className="md:col-span-2">
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {(product.variants?.length || 0) > 1 && (
+              <select
+                value={variantFilter}
+                onChange={(e) => setVariantFilter(e.target.value)}
+                className="px-3 py-1.5 border border-gray-200 rounded-md text-sm"
+              >
+                <option value="">All options</option>
+                {product.variants.map((variant, index) => (
+                  <option key={index} value={index}>{getVariantLabel(index)}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              className="px-3 py-1.5 border border-gray-200 rounded-md text-sm"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {reviews.length === 0 && !loading ? (
+            <p className="text-sm py-8 text-center" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>
+              No reviews to show yet.
+            </p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {reviews.map(review => (
+                <article key={review._id} className="py-4">
+                  <div className="flex items-center gap-2">
+                    <StarRating value={review.rating} size={14} />
+                    {review.title && <span className="text-sm font-medium" style={{ color: '#1a1a1a' }}>{review.title}</span>}
+                  </div>
+                  {review.comment && (
+                    <p className="mt-2 text-sm leading-relaxed whitespace-pre-line" style={{ color: 'rgba(26, 26, 26, 0.8)' }}>
+                      {review.comment}
+                    </p>
+                  )}
+                  {review.photos?.length > 0 && (
+                    <div className="mt-2 flex gap-2">
+                      {review.photos.map(photo => (
+                        <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                          <img src={photo.url} alt="Customer photo" className="h-16 w-16 rounded object-cover border border-gray-200" />
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                  <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>
+                    <span>{review.userName}</span>
+                    <span className="inline-flex items-center gap-1 text-[#10b981]">
+                      <BadgeCheck className="w-3.5 h-3.5" />
+                      Verified purchase
+                    </span>
+                    {review.variantLabel && <span>{review.variantLabel}</span>}
+                    <span>{formatDate(review.createdAt)}</span>
+                  </div>
+                </article>
+              ))}
+            </div>
+          )}
+
+          {loading && (
+            <div className="flex justify-center py-4">
+              <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+            </div>
+          )}
+
+          {!loading && pagination.page < pagination.pages && (
+            <button
+              onClick={() => fetchReviews(pagination.page + 1)}
+              className="mt-2 w-full py-2 text-sm border border-gray-200 rounded-md hover:bg-gray-50"
+            >
+              Show more reviews
+            </button>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ProductReviews;
@@ -72,6 +72,11 @@ export const SEO = ({
  * Product Schema Generator
  */
 export const generateProductSchema = (product) => {
+  const variantPrices = (product.variants || []).map(variant => variant.price).filter(price => price > 0);
+  const inStock = product.variants?.length
+    ? product.variants.some(variant => !variant.isStockActive || variant.stock > 0)
+    : product.stockQuantity > 0;
+
   return {
     "@context": "https://schema.org",
     "@type": "Product",
@@ -86,16 +91,19 @@ export const generateProductSchema = (product) => {
       "@type": "Offer",
       "url": `https://lapatisserie.shop/product/${product._id}`,
       "priceCurrency": "INR",
-      "price": product.price,
-      "availability": product.stockQuantity > 0 
+      "price": product.price ?? (variantPrices.length ? Math.min(...variantPrices) : undefined),
+      "availability": inStock
         ? "https://schema.org/InStock" 
         : "https://schema.org/OutOfStock",
       "priceValidUntil": new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
     },
-    "aggregateRating": product.rating ? {
+    // Only approved reviews count towards product.rating; omit the block until there is one
+    "aggregateRating": product.rating?.count > 0 ? {
       "@type": "AggregateRating",
-      "ratingValue": product.rating,
-      "reviewCount": product.reviewCount || 1
+      "ratingValue": product.rating.average,
+      "reviewCount": product.rating.count,
+      "bestRating": 5,
+      "worstRating": 1
     } : undefined
   };
 };
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { MapPin, LocateFixed, Truck, Clock } from 'lucide-react';
+import { useLocation } from '../../context/LocationContext/LocationContext';
+import { useAuth } from '../../hooks/useAuth';
+
+const ACCENT = '#733857';
+
+// Pincode / current-location delivery check shown on the product and cart pages
+const ServiceabilityCheck = ({ compact = false }) => {
+  const { user } = useAuth();
+  const { serviceability, checkServiceability, updateUserLocation } = useLocation();
+  const [pincode, setPincode] = useState(serviceability?.query?.pincode || '');
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  const runCheck = async (params) => {
+    setChecking(true);
+    setError('');
+    try {
+      await checkServiceability(params);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not check delivery right now. Please try again.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(pincode.trim())) {
+      setError('Enter a 6-digit pincode');
+      return;
+    }
+    runCheck({ pincode: pincode.trim() });
+  };
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Your browser cannot share its location. Enter a pincode instead.');
+      return;
+    }
+    setChecking(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => runCheck({ lat: coords.latitude, lng: coords.longitude }),
+      () => {
+        setChecking(false);
+        setError('Location permission was denied. Enter a pincode instead.');
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  };
+
+  const result = serviceability;
+  const savedLocationId = user?.location?._id || user?.location;
+  const canSaveLocation = Boolean(user) && result?.serviceable && result.location?._id !== savedLocationId;
+
+  return (
+    <div className={`${compact ? 'mt-3' : 'mt-4 pt-4 border-t border-gray-100'}`}>
+      <h3 className="text-sm font-light tracking-wide uppercase mb-2 flex items-center gap-1.5" style={{ color: '#1a1a1a', letterSpacing: '0.05em' }}>
+        <MapPin className="w-4 h-4" style={{ color: ACCENT }} />
+        Check delivery
+      </h3>
+
+      <form onSubmit={handleSubmit} className="flex items-center gap-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          maxLength={6}
+          value={pincode}
+          onChange={(e) => setPincode(e.target.value.replace(/\D/g, ''))}
+          placeholder="Enter pincode"
+          className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-200 rounded-md focus:outline-none focus:border-[#733857]"
+          aria-label="Delivery pincode"
+        />
+        <button
+          type="submit"
+          disabled={checking}
+          className="px-3 py-2 text-sm text-white rounded-md disabled:opacity-50"
+          style={{ backgroundColor: ACCENT }}
+        >
+          {checking ? 'Checking...' : 'Check'}
+        </button>
+        <button
+          type="button"
+          onClick={handleUseMyLocation}
+          disabled={checking}
+          className="p-2 rounded-md border border-gray-200 disabled:opacity-50"
+          title="Use my current location"
+          aria-label="Use my current location"
+        >
+          <LocateFixed className="w-4 h-4" style={{ color: ACCENT }} />
+        </button>
+      </form>
+
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+
+      {!error && result && (
+        result.serviceable ? (
+          <div className="mt-2 text-xs space-y-1" style={{ color: 'rgba(26, 26, 26, 0.7)' }}>
+            <p className="font-medium" style={{ color: '#1a1a1a' }}>
+              Delivers to {result.location.area}, {result.location.city}
+              {result.alternatives?.length > 0 && ` (+${result.alternatives.length} more area${result.alternatives.length > 1 ? 's' : ''})`}
+            </p>
+            <p className="flex items-center gap-1.5">
+              <Truck className="w-3.5 h-3.5" />
+              {result.deliveryCharge === 0 ? 'Free delivery' : `₹${result.deliveryCharge} delivery`}
+              {result.deliveryBreakdown?.freeDeliveryThreshold && ` · free above ₹${result.deliveryBreakdown.freeDeliveryThreshold}`}
+            </p>
+            <p className="flex items-center gap-1.5">
+              <Clock className="w-3.5 h-3.5" />
+              {result.eta.shopOpen
+                ? `Arrives in about ${result.eta.minutes} min`
+                : `We're closed now · opens ${result.eta.nextOpening}`}
+            </p>
+            {result.hostels?.length > 0 && (
+              <p>Hostels: {result.hostels.map(hostel => hostel.name).join(', ')}</p>
+            )}
+            {canSaveLocation && (
+              <button
+                type="button"
+                onClick={() => updateUserLocation(result.location._id)}
+                className="underline font-medium"
+                style={{ color: ACCENT }}
+              >
+                Deliver here instead
+              </button>
+            )}
+          </div>
+        ) : (
+          <p className="mt-2 text-xs text-red-600">{result.message}</p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ServiceabilityCheck;
@@ -6,12 +6,13 @@ const ShopClosureOverlay = ({
   children, 
   showWhenClosed = true, 
   className = '', 
-  overlayType = 'section' // 'section', 'button', 'page'
+  overlayType = 'section', // 'section', 'button', 'page'
+  allowPreOrders = false // keep children usable while closed if pre-orders are accepted
 }) => {
-  const { isOpen, nextOpeningTime, timezone, formatNextOpening } = useShopStatus();
+  const { isOpen, acceptsPreOrders, nextOpeningTime, timezone, formatNextOpening } = useShopStatus();
   const formattedOpen = formatNextOpening?.(nextOpeningTime, timezone) || null;
 
-  if (isOpen) {
+  if (isOpen || (allowPreOrders && acceptsPreOrders)) {
     return children;
   }
 
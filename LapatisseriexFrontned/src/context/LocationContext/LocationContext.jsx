@@ -15,6 +15,7 @@ export const LocationProvider = ({ children }) => {
   const API_URL = import.meta.env.VITE_API_URL;
 
   const LOC_CACHE_KEY = 'lp_locations_cache_v1';
+  const SERVICEABILITY_KEY = 'lp_serviceability_v1';
   const LOC_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
   const readCachedLocations = () => {
@@ -36,6 +37,31 @@ export const LocationProvider = ({ children }) => {
     } catch {}
   };
 
+  // Last pincode/GPS serviceability check, shared by the product and cart pages
+  const [serviceability, setServiceability] = useState(() => {
+    try {
+      const raw = localStorage.getItem(SERVICEABILITY_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  });
+
+  // Ask the server whether we deliver to a pincode, a lat/lng point or a saved location id
+  const checkServiceability = async ({ pincode, lat, lng, locationId } = {}) => {
+    const params = locationId ? { locationId } : pincode ? { pincode } : { lat, lng };
+    const response = await axios.get(`${API_URL}/locations/serviceability`, { params });
+    // Re-checks of a saved location don't replace what the customer typed in
+    if (!locationId) {
+      const result = { ...response.data, query: params, checkedAt: Date.now() };
+      setServiceability(result);
+      try {
+        localStorage.setItem(SERVICEABILITY_KEY, JSON.stringify(result));
+      } catch { /* storage full or disabled; the in-memory result still works */ }
+    }
+    return response.data;
+  };
+
   // Fetch all active delivery locations
   const fetchLocations = async () => {
     try {
@@ -210,7 +236,9 @@ export const LocationProvider = ({ children }) => {
     updateUserLocation,
     populateUserLocation,
     getCurrentLocationName,
-    hasValidDeliveryLocation
+    hasValidDeliveryLocation,
+    serviceability,
+    checkServiceability
   };
 
   return (
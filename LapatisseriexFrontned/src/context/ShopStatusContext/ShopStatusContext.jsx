@@ -23,6 +23,7 @@ export const ShopStatusProvider = ({ children }) => {
     currentTime: null,
     timezone: 'Asia/Kolkata',
     operatingHours: null,
+    acceptsPreOrders: false,
     loading: true
   });
   
@@ -88,6 +89,7 @@ export const ShopStatusProvider = ({ children }) => {
           currentTime: s.currentTime || null,
           timezone: s.timezone || 'Asia/Kolkata',
           operatingHours: s.operatingHours || null,
+          acceptsPreOrders: Boolean(s.acceptsPreOrders),
           loading: false
         };
         
@@ -135,6 +137,7 @@ export const ShopStatusProvider = ({ children }) => {
         currentTime: status.currentTime || null,
         timezone: status.timezone || 'Asia/Kolkata',
         operatingHours: status.operatingHours || null,
+        acceptsPreOrders: Boolean(status.acceptsPreOrders),
         loading: false
       };
       setShopStatus(newStatus);
@@ -217,6 +220,7 @@ export const ShopStatusProvider = ({ children }) => {
           closingTime: s.closingTime || null,
           currentTime: s.currentTime || null,
           timezone: s.timezone || 'Asia/Kolkata',
+          acceptsPreOrders: Boolean(s.acceptsPreOrders),
           loading: false
         };
         
@@ -340,7 +340,7 @@ export const useCart = () => {
   }, [lastRemovedByServer, dispatch]);
 
   // Cart operations with optimistic updates
-  const addToCart = useCallback(async (product, quantity = 1, variantIndex) => {
+  const addToCart = useCallback(async (product, quantity = 1, variantIndex, addOns) => {
     try {
       if (!product || !product._id) {
         throw new Error('Invalid product data');
@@ -401,8 +401,8 @@ export const useCart = () => {
 
       if (user) {
         // For authenticated users: optimistic update + API call
-        dispatch(addToCartOptimistic({ product: enrichedProduct, quantity, variantIndex: normalizedVariantIndex }));
-        const result = await dispatch(addToCartAction({ product: enrichedProduct, quantity, variantIndex: normalizedVariantIndex })).unwrap();
+        dispatch(addToCartOptimistic({ product: enrichedProduct, quantity, variantIndex: normalizedVariantIndex, addOns }));
+        const result = await dispatch(addToCartAction({ product: enrichedProduct, quantity, variantIndex: normalizedVariantIndex, addOns })).unwrap();
         console.log('✅ Item added to cart successfully');
         return result;
       } else {
@@ -423,6 +423,9 @@ export const useCart = () => {
             ...localCart[existingItemIndex].productDetails,
             ...productDetails
           };
+          if (addOns !== undefined) {
+            localCart[existingItemIndex].addOns = addOns;
+          }
         } else {
           localCart.push({
             id: `local_${Date.now()}`,
@@ -434,7 +437,8 @@ export const useCart = () => {
             image: enrichedProduct.images?.[0] || enrichedProduct.image,
             quantity,
             addedAt: new Date().toISOString(),
-            productDetails
+            productDetails,
+            addOns: addOns || []
           });
         }
         
@@ -154,12 +154,12 @@ export const useStock = () => {
     }
   };
 
-  // Get stock activity/history
-  const getStockActivity = async (productId = null, limit = 50) => {
+  // Get stock activity/history (filters: variantIndex, reason, orderNumber, from, to, page)
+  const getStockActivity = async (productId = null, limit = 50, filters = {}) => {
     try {
       setLoading(true);
       setError(null);
-      const params = { limit };
+      const params = { ...filters, limit };
       if (productId) params.productId = productId;
       const { data } = await apiService.get('/stock-validation/inventory/activity', { params });
       return data;
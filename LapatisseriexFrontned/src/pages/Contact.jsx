@@ -1,4 +1,5 @@
 ﻿import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { FiMail, FiUser, FiMessageSquare, FiSend, FiCheck, FiPhone } from 'react-icons/fi';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../hooks/useAuth';
@@ -119,7 +120,13 @@ const Contact = () => {
             <div>
               <h2 className="text-2xl font-light mb-6" style={{ color: '#281c20' }}>Get In Touch</h2>
               <p className="text-base text-gray-700 leading-relaxed mb-6">
-                Have questions about our products or services? Want to place a custom order? We're here to help!
+                Have questions about our products or services? We're here to help!
+              </p>
+              <p className="text-base text-gray-700 leading-relaxed">
+                Planning a birthday or anniversary cake?{' '}
+                <Link to="/custom-cakes" className="underline hover:opacity-70 transition-opacity" style={{ color: '#733857' }}>
+                  Request a custom cake quote
+                </Link>
               </p>
             </div>
 
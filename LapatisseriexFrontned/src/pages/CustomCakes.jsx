@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Cake, ImagePlus, X, Loader2, CalendarDays, CheckCircle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../hooks/useAuth';
+import { useLocation } from '../context/LocationContext/LocationContext';
+import api from '../services/apiService';
+
+const MAX_REFERENCE_IMAGES = 3;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const OCCASIONS = [
+  { value: 'birthday', label: 'Birthday' },
+  { value: 'anniversary', label: 'Anniversary' },
+  { value: 'wedding', label: 'Wedding' },
+  { value: 'other', label: 'Other' }
+];
+
+const STATUS_STYLES = {
+  submitted: { label: 'Awaiting quote', className: 'bg-amber-50 text-amber-700 border-amber-200' },
+  quoted: { label: 'Quote ready', className: 'bg-[#f8f0f4] text-[#733857] border-[#733857]/30' },
+  accepted: { label: 'Awaiting payment', className: 'bg-blue-50 text-blue-700 border-blue-200' },
+  paid: { label: 'Confirmed', className: 'bg-green-50 text-green-700 border-green-200' },
+  rejected: { label: 'Declined', className: 'bg-red-50 text-red-700 border-red-200' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600 border-gray-200' }
+};
+
+const EMPTY_FORM = {
+  occasion: 'birthday',
+  flavour: '',
+  weightKg: '1',
+  isEggless: false,
+  messageOnCake: '',
+  designNotes: '',
+  requiredDate: ''
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const loadRazorpayScript = () => new Promise((resolve) => {
+  if (window.Razorpay) {
+    resolve(true);
+    return;
+  }
+  const script = document.createElement('script');
+  script.src = 'https://checkout.razorpay.com/v1/checkout.js';
+  script.onload = () => resolve(true);
+  script.onerror = () => resolve(false);
+  document.body.appendChild(script);
+});
+
+const CustomCakes = () => {
+  const { user } = useAuth();
+  const { getCurrentLocationName } = useLocation();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [images, setImages] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [earliestDate, setEarliestDate] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [payingId, setPayingId] = useState(null);
+
+  const deliveryLocation = user?.location?.fullAddress || getCurrentLocationName();
+  const hasLocation = Boolean(deliveryLocation) && deliveryLocation !== 'Select Location';
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const { data } = await api.get('/custom-orders/my');
+      setRequests(data.customOrders || []);
+      setEarliestDate(data.earliestRequiredDate || '');
+    } catch (error) {
+      console.error('Failed to load custom cake requests:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleImageSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (images.length + files.length > MAX_REFERENCE_IMAGES) {
+      toast.error(`You can attach up to ${MAX_REFERENCE_IMAGES} reference images`);
+      return;
+    }
+    if (files.some(file => !file.type.startsWith('image/') || file.size > MAX_IMAGE_BYTES)) {
+      toast.error('Reference images must be pictures under 5 MB');
+      return;
+    }
+    const dataUrls = await Promise.all(files.map(readAsDataUrl));
+    setImages(prev => [...prev, ...dataUrls]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.flavour.trim() || !form.requiredDate) {
+      toast.error('Please fill in the flavour and the date you need the cake');
+      return;
+    }
+    if (!hasLocation) {
+      toast.error('Please set your delivery location in your profile first');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const { data } = await api.post('/custom-orders', {
+        ...form,
+        weightKg: Number(form.weightKg),
+        referenceImages: images,
+        deliveryLocation,
+        hostelName: user?.hostel?.name || null
+      });
+      toast.success(data.message || "Request sent! We'll send you a quote shortly.");
+      setForm(EMPTY_FORM);
+      setImages([]);
+      fetchRequests();
+    } catch (error) {
+      toast.error(error?.response?.data?.message || 'Failed to send your request. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm('Cancel this custom cake request?')) return;
+    try {
+      await api.put(`/custom-orders/${request._id}/cancel`);
+      toast.success('Request cancelled');
+      fetchRequests();
+    } catch (error) {
+      toast.error(error?.response?.data?.message || 'Failed to cancel the request');
+    }
+  };
+
+  const handleAcceptAndPay = async (request) => {
+    setPayingId(request._id);
+    try {
+      const isScriptLoaded = await loadRazorpayScript();
+      if (!isScriptLoaded) {
+        toast.error('Failed to load payment gateway. Please try again.');
+        setPayingId(null);
+        return;
+      }
+
+      const { data: paymentOrder } = await api.post(`/payments/custom-order/${request._id}`);
+      const razorpay = new window.Razorpay({
+        key: import.meta.env.VITE_RAZORPAY_KEY_ID || paymentOrder.key,
+        amount: paymentOrder.amount,
+        currency: paymentOrder.currency,
+        name: 'La Patisserie',
+        description: `Custom cake #${request.requestNumber}`,
+        image: '/images/logo.png',
+        order_id: paymentOrder.orderId,
+        handler: async (response) => {
+          try {
+            const { data } = await api.post('/payments/verify', {
+              razorpay_order_id: response.razorpay_order_id,
+              razorpay_payment_id: response.razorpay_payment_id,
+              razorpay_signature: response.razorpay_signature
+            });
+            if (data.success) {
+              toast.success(`Your custom cake is confirmed! Order #${data.orderNumber}`);
+            } else {
+              toast.error('Payment verification failed. Please contact support with your request number.');
+            }
+          } catch (error) {
+            console.error('Custom cake payment verification failed:', error);
+            toast.error('Payment verification failed. Please contact support if amount was debited.');
+          } finally {
+            setPayingId(null);
+            fetchRequests();
+          }
+        },
+        prefill: {
+          name: user?.name || '',
+          email: user?.email || '',
+          contact: user?.phone || ''
+        },
+        theme: { color: '#733857' },
+        modal: {
+          confirm_close: true,
+          ondismiss: async () => {
+            setPayingId(null);
+            try {
+              await api.post('/payments/cancel-order', { razorpay_order_id: paymentOrder.orderId });
+            } catch (error) {
+              console.warn('Failed to cancel custom cake payment:', error);
+            }
+          }
+        }
+      });
+      razorpay.open();
+    } catch (error) {
+      toast.error(error?.response?.data?.message || 'Failed to start payment. Please try again.');
+      setPayingId(null);
+      fetchRequests();
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-white py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="text-center mb-12 pb-8 border-b border-gray-200">
+          <h1 className="text-4xl sm:text-5xl font-light tracking-wide mb-4" style={{ color: '#281c20' }}>
+            Custom Cakes
+          </h1>
+          <p className="text-base text-gray-600 tracking-wide">
+            Tell us about your celebration and we'll send you a quote
+          </p>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-10">
+          {/* Request form */}
+          <div className="bg-gray-50 p-6 sm:p-8 border border-gray-200">
+            <h2 className="text-2xl font-light mb-6" style={{ color: '#281c20' }}>Request a quote</h2>
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-gray-700">Occasion</label>
+                  <select
+                    name="occasion"
+                    value={form.occasion}
+                    onChange={handleChange}
+                    className="w-full px-3 py-3 border border-gray-300 bg-white focus:outline-none focus:border-gray-400 text-gray-700"
+                  >
+                    {OCCASIONS.map(occasion => (
+                      <option key={occasion.value} value={occasion.value}>{occasion.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-gray-700">Weight (kg) *</label>
+                  <input
+                    type="number"
+                    name="weightKg"
+                    min="0.5"
+                    max="10"
+                    step="0.5"
+                    value={form.weightKg}
+                    onChange={handleChange}
+                    className="w-full px-3 py-3 border border-gray-300 focus:outline-none focus:border-gray-400 text-gray-700"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-700">Flavour *</label>
+                <input
+                  type="text"
+                  name="flavour"
+                  value={form.flavour}
+                  onChange={handleChange}
+                  maxLength={100}
+                  placeholder="e.g. Belgian chocolate with raspberry"
+                  className="w-full px-4 py-3 border border-gray-300 focus:outline-none focus:border-gray-400 text-gray-700"
+                />
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" name="isEggless" checked={form.isEggless} onChange={handleChange} />
+                Eggless
+              </label>
+
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-700">Message on cake</label>
+                <input
+                  type="text"
+                  name="messageOnCake"
+                  value={form.messageOnCake}
+                  onChange={handleChange}
+                  maxLength={60}
+                  placeholder="Happy Birthday Anu!"
+                  className="w-full px-4 py-3 border border-gray-300 focus:outline-none focus:border-gray-400 text-gray-700"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-700">Design notes</label>
+                <textarea
+                  name="designNotes"
+                  value={form.designNotes}
+                  onChange={handleChange}
+                  rows="3"
+                  maxLength={1000}
+                  placeholder="Colours, theme, toppers, tiers..."
+                  className="w-full px-4 py-3 border border-gray-300 focus:outline-none focus:border-gray-400 resize-none text-gray-700"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-700">
+                  Reference images <span className="text-gray-400">(up to {MAX_REFERENCE_IMAGES})</span>
+                </label>
+                <div className="flex flex-wrap gap-3">
+                  {images.map((image, index) => (
+                    <div key={index} className="relative h-20 w-20 border border-gray-200">
+                      <img src={image} alt={`Reference ${index + 1}`} className="h-full w-full object-cover" />
+                      <button
+                        type="button"
+                        onClick={() => setImages(prev => prev.filter((_, i) => i !== index))}
+                        className="absolute -right-2 -top-2 rounded-full bg-white p-0.5 shadow"
+                        aria-label="Remove image"
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                    </div>
+                  ))}
+                  {images.length < MAX_REFERENCE_IMAGES && (
+                    <label className="flex h-20 w-20 cursor-pointer items-center justify-center border border-dashed border-gray-300 text-gray-400 hover:border-[#733857] hover:text-[#733857]">
+                      <ImagePlus className="h-6 w-6" />
+                      <input type="file" accept="image/*" multiple className="hidden" onChange={handleImageSelect} />
+                    </label>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2 text-gray-700">Needed on *</label>
+                <input
+                  type="date"
+                  name="requiredDate"
+                  value={form.requiredDate}
+                  min={earliestDate || undefined}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 border border-gray-300 focus:outline-none focus:border-gray-400 text-gray-700"
+                />
+              </div>
+
+              <p className="text-xs text-gray-500">
+                Delivering to: {hasLocation ? deliveryLocation : <Link to="/profile" className="underline text-[#733857]">set your delivery location</Link>}
+              </p>
+
+              <button
+                type="submit"
+                disabled={submitting}
+                className="w-full px-8 py-4 text-sm tracking-wider transition-all hover:opacity-80 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+                style={{ backgroundColor: '#281c20', color: 'white' }}
+              >
+                {submitting ? <Loader2 className="h-4 w-4 animate-spin" /> : 'REQUEST QUOTE'}
+              </button>
+            </form>
+          </div>
+
+          {/* Existing requests */}
+          <div>
+            <h2 className="text-2xl font-light mb-6" style={{ color: '#281c20' }}>Your requests</h2>
+            {loading ? (
+              <div className="flex justify-center py-10">
+                <Loader2 className="h-6 w-6 animate-spin text-[#733857]" />
+              </div>
+            ) : requests.length === 0 ? (
+              <div className="border border-gray-200 p-8 text-center text-gray-500">
+                <Cake className="mx-auto mb-3 h-8 w-8 text-[#733857]" />
+                No custom cake requests yet.
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {requests.map(request => {
+                  const status = STATUS_STYLES[request.status] || STATUS_STYLES.submitted;
+                  const quoteValid = request.quote && new Date(request.quote.validUntil) > new Date();
+                  const canPay = ['quoted', 'accepted'].includes(request.status) && quoteValid;
+                  return (
+                    <div key={request._id} className="border border-gray-200 p-5">
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <p className="font-medium text-[#281c20]">
+                            {request.weightKg} kg {request.flavour}{request.isEggless ? ' · Eggless' : ''}
+                          </p>
+                          <p className="mt-1 flex items-center gap-1 text-xs text-gray-500">
+                            <CalendarDays className="h-3 w-3" />
+                            {formatDate(request.requiredDate)} · #{request.requestNumber}
+                          </p>
+                        </div>
+                        <span className={`shrink-0 rounded-full border px-2.5 py-0.5 text-xs font-medium ${status.className}`}>
+                          {status.label}
+                        </span>
+                      </div>
+
+                      {request.messageOnCake && (
+                        <p className="mt-3 text-sm text-gray-600">“{request.messageOnCake}”</p>
+                      )}
+
+                      {request.quote && ['quoted', 'accepted'].includes(request.status) && (
+                        <div className="mt-4 bg-[#f8f0f4] p-4">
+                          <p className="text-lg font-semibold text-[#733857]">₹{request.quote.amount}</p>
+                          {request.quote.note && <p className="mt-1 text-sm text-gray-600">{request.quote.note}</p>}
+                          <p className="mt-1 text-xs text-gray-500">
+                            {quoteValid ? `Valid until ${formatDate(request.quote.validUntil)}` : 'This quote has expired. Contact us for a new one.'}
+                          </p>
+                        </div>
+                      )}
+
+                      {request.status === 'rejected' && request.rejectionReason && (
+                        <p className="mt-3 text-sm text-red-600">{request.rejectionReason}</p>
+                      )}
+
+                      {request.status === 'paid' && request.orderNumber && (
+                        <Link
+                          to={`/orders/${request.orderNumber}`}
+                          className="mt-3 inline-flex items-center gap-1 text-sm font-medium text-green-700 hover:underline"
+                        >
+                          <CheckCircle className="h-4 w-4" /> Track order #{request.orderNumber}
+                        </Link>
+                      )}
+
+                      {['submitted', 'quoted', 'accepted'].includes(request.status) && (
+                        <div className="mt-4 flex gap-3">
+                          {canPay && (
+                            <button
+                              type="button"
+                              onClick={() => handleAcceptAndPay(request)}
+                              disabled={payingId === request._id}
+                              className="flex-1 px-4 py-2.5 text-xs tracking-wider text-white transition-all hover:opacity-80 disabled:opacity-50"
+                              style={{ backgroundColor: '#733857' }}
+                            >
+                              {payingId === request._id ? 'OPENING PAYMENT...' : `ACCEPT & PAY ₹${request.quote.amount}`}
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => handleCancel(request)}
+                            disabled={payingId === request._id}
+                            className="px-4 py-2.5 text-xs tracking-wider border border-gray-300 text-gray-600 hover:border-gray-400 disabled:opacity-50"
+                          >
+                            CANCEL
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomCakes;
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FiMail, FiCheck } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+
+const API_URL = import.meta.env.VITE_API_URL;
+
+const CATEGORY_OPTIONS = [
+  { key: 'newProducts', label: 'New products', description: 'New desserts and collections as soon as they launch' },
+  { key: 'discounts', label: 'Discounts & offers', description: 'Price drops and special offers' },
+  { key: 'orderUpdates', label: 'Order updates', description: 'Status changes and refunds for your orders. Dispatch emails with your delivery PIN are always sent.' },
+  { key: 'rewards', label: 'Rewards', description: 'Loyalty rewards and free product news' },
+  { key: 'cartReminders', label: 'Cart reminders', description: 'A nudge when you leave desserts in your cart' },
+  { key: 'productAlerts', label: 'Stock & price alerts', description: 'Back-in-stock and price-drop alerts for items you asked us to watch' }
+];
+
+const LIST_LABELS = {
+  newsletter: 'our newsletter',
+  newProducts: 'new product emails',
+  discounts: 'discount emails',
+  orderUpdates: 'order update emails',
+  rewards: 'reward emails',
+  cartReminders: 'cart reminder emails',
+  productAlerts: 'stock and price alert emails'
+};
+
+// Opened from the link at the bottom of our emails; the signed token identifies the address
+const EmailPreferences = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const unsubscribeList = searchParams.get('unsubscribe');
+
+  const [preferences, setPreferences] = useState(null);
+  const [unsubscribedFrom, setUnsubscribedFrom] = useState(null);
+  const [loading, setLoading] = useState(Boolean(token));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+
+    const load = async () => {
+      try {
+        // Links in the email footer unsubscribe straight away; the rest of the page is for fine-tuning
+        const response = unsubscribeList
+          ? await fetch(`${API_URL}/newsletter/unsubscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token, list: unsubscribeList })
+          })
+          : await fetch(`${API_URL}/newsletter/preferences?token=${encodeURIComponent(token)}`);
+        const result = await response.json();
+
+        if (result.success) {
+          setPreferences(result.data);
+          if (unsubscribeList) setUnsubscribedFrom(unsubscribeList);
+        } else {
+          setError(result.message || 'This link is not valid.');
+        }
+      } catch (err) {
+        console.error('Error loading email preferences:', err);
+        setError('Could not load your email preferences. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [token, unsubscribeList]);
+
+  const toggleCategory = (key) => {
+    setPreferences(prev => ({
+      ...prev,
+      categories: { ...prev.categories, [key]: !prev.categories[key] }
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_URL}/newsletter/preferences`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          token,
+          newsletter: preferences.newsletter,
+          categories: preferences.categories
+        })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setPreferences(result.data);
+        toast.success(result.message || 'Preferences saved');
+      } else {
+        toast.error(result.message || 'Failed to save your preferences');
+      }
+    } catch (err) {
+      console.error('Error saving email preferences:', err);
+      toast.error('Failed to save your preferences. Please check your connection and try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderMessage = (title, message) => (
+    <div className="min-h-screen bg-white flex items-center justify-center px-4 py-12">
+      <div className="text-center max-w-md">
+        <div className="w-16 h-16 flex items-center justify-center mx-auto mb-6 border-2" style={{ borderColor: '#733857' }}>
+          <FiMail className="text-3xl" style={{ color: '#733857' }} />
+        </div>
+        <h2 className="text-3xl font-light mb-4" style={{ color: '#281c20' }}>{title}</h2>
+        <p className="text-gray-700 mb-8 leading-relaxed">{message}</p>
+        <Link
+          to="/"
+          className="inline-block px-10 py-4 text-sm tracking-wider transition-all hover:opacity-80"
+          style={{ backgroundColor: '#281c20', color: 'white' }}
+        >
+          BACK TO HOME
+        </Link>
+      </div>
+    </div>
+  );
+
+  if (!token) {
+    return renderMessage(
+      'Link not recognised',
+      'Please use the "Unsubscribe" or "Manage preferences" link at the bottom of one of our recent emails.'
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-white flex items-center justify-center">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2" style={{ borderColor: '#733857' }}></div>
+      </div>
+    );
+  }
+
+  if (error || !preferences) {
+    return renderMessage('Link not valid', error || 'This link is not valid.');
+  }
+
+  return (
+    <div className="min-h-screen bg-white py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-2xl mx-auto">
+        <div className="text-center mb-10 pb-8 border-b border-gray-200">
+          <h1 className="text-4xl sm:text-5xl font-light tracking-wide mb-4" style={{ color: '#281c20' }}>
+            Email Preferences
+          </h1>
+          <p className="text-base text-gray-600 tracking-wide">
+            Choose what we send to <strong>{preferences.email}</strong>
+          </p>
+        </div>
+
+        {unsubscribedFrom && (
+          <div className="mb-8 p-4 border flex items-start gap-3" style={{ borderColor: '#733857' }}>
+            <FiCheck className="mt-1 flex-shrink-0" style={{ color: '#733857' }} />
+            <p className="text-sm text-gray-700">
+              You've been unsubscribed from {LIST_LABELS[unsubscribedFrom] || 'these emails'}. You can change your mind below.
+            </p>
+          </div>
+        )}
+
+        <form onSubmit={handleSave} className="space-y-4">
+          <label className="flex items-start gap-4 p-4 border border-gray-200 cursor-pointer hover:bg-gray-50">
+            <input
+              type="checkbox"
+              checked={preferences.newsletter}
+              onChange={() => setPreferences(prev => ({ ...prev, newsletter: !prev.newsletter }))}
+              className="mt-1"
+            />
+            <span>
+              <span className="block font-medium" style={{ color: '#281c20' }}>Newsletter</span>
+              <span className="block text-sm text-gray-600">Announcements, stories and seasonal specials</span>
+            </span>
+          </label>
+
+          {CATEGORY_OPTIONS.map(option => (
+            <label key={option.key} className="flex items-start gap-4 p-4 border border-gray-200 cursor-pointer hover:bg-gray-50">
+              <input
+                type="checkbox"
+                checked={preferences.categories[option.key]}
+                onChange={() => toggleCategory(option.key)}
+                className="mt-1"
+              />
+              <span>
+                <span className="block font-medium" style={{ color: '#281c20' }}>{option.label}</span>
+                <span className="block text-sm text-gray-600">{option.description}</span>
+              </span>
+            </label>
+          ))}
+
+          <p className="text-xs text-gray-500">
+            Account emails such as sign-in codes and password resets are always sent.
+          </p>
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="w-full px-10 py-4 text-sm tracking-wider transition-all hover:opacity-80 disabled:opacity-50"
+            style={{ backgroundColor: '#281c20', color: 'white' }}
+          >
+            {saving ? 'SAVING...' : 'SAVE PREFERENCES'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EmailPreferences;
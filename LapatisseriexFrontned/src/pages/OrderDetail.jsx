@@ -170,7 +170,7 @@ const OrderDetail = () => {
         </div>
         
         {/* Order Tracking Content */}
-        <OrderTrackingContent order={order} />
+        <OrderTrackingContent order={order} onOrderUpdated={fetchOrderDetail} />
       </div>
 
       <style>{`
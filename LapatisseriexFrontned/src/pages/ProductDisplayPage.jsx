@@ -17,8 +17,14 @@ import ProductImageModal from '../components/common/ProductImageModal';
 import ProductDisplaySkeleton from '../components/common/ProductDisplaySkeleton';
 import OfferBadge from '../components/common/OfferBadge';
 import BlobButton from '../components/common/BlobButton';
+import ProductReviews from '../components/Products/ProductReviews';
+import AddOnSelector from '../components/Products/AddOnSelector';
+import ProductAlertButtons from '../components/Products/ProductAlertButtons';
+import ServiceabilityCheck from '../components/common/ServiceabilityCheck';
+import { SchemaMarkup, generateProductSchema } from '../components/SEO/SEO';
 import ScrollManager from '../utils/scrollManager';
-import { calculatePricing } from '../utils/pricingUtils';
+import { calculatePricing, getAddOnTotal } from '../utils/pricingUtils';
+import { getActiveAddOnGroups, validateAddOnSelection, formatAddOns } from '../utils/addOnUtils';
 import { formatVariantLabel } from '../utils/variantUtils';
 import { getOrderExperienceInfo } from '../utils/orderExperience';
 
@@ -79,6 +85,7 @@ const ProductDisplayPageNew = () => {
   const [selectedVariant, setSelectedVariant] = useState(null);
   const [selectedVariantIndex, setSelectedVariantIndex] = useState(0);
   const [quantity, setQuantity] = useState(1);
+  const [selectedAddOns, setSelectedAddOns] = useState([]);
   const [isHoveringImage, setIsHoveringImage] = useState(false);
   const [recentlyViewed, setRecentlyViewed] = useState([]);
   const [isImageModalOpen, setIsImageModalOpen] = useState(false);
@@ -122,6 +129,7 @@ const ProductDisplayPageNew = () => {
       setSelectedVariant(product.variants[0]);
       setSelectedVariantIndex(0);
     }
+    setSelectedAddOns([]);
   }, [product]);
   
   // Keep selectedVariant state in sync
@@ -261,34 +269,31 @@ const ProductDisplayPageNew = () => {
     return getItemQuantity(product._id);
   }, [product?._id, getItemQuantity, cartItems]);
 
-  // Generate rating
-  const getProductRating = (productId) => {
-    if (!productId) return { rating: 4.5, percentage: 85 };
-    let hash = 0;
-    for (let i = 0; i < productId.length; i++) {
-      const char = productId.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  const addOnGroups = useMemo(() => getActiveAddOnGroups(product), [product]);
+  const addOnTotal = getAddOnTotal({ addOns: selectedAddOns });
+  const cartLineAddOns = useMemo(() => {
+    const line = cartItems?.find(item => item.productId === product?._id);
+    return formatAddOns(line?.addOns);
+  }, [cartItems, product?._id]);
+
+  // Picks sent with add to cart; the server re-validates and re-prices them
+  const getAddOnPicks = () => {
+    if (addOnGroups.length === 0) return undefined;
+    const problem = validateAddOnSelection(addOnGroups, selectedAddOns);
+    if (problem) {
+      toast.error(problem);
+      return null;
     }
-    const rating = (4.0 + (Math.abs(hash) % 100) / 100).toFixed(1);
-    const percentage = 80 + (Math.abs(hash * 7) % 21);
-    return { rating: parseFloat(rating), percentage: Math.floor(percentage) };
+    return selectedAddOns.map(({ groupId, optionId, optionName, text }) => ({ groupId, optionId, optionName, text }));
   };
 
-  const productRating = product ? getProductRating(product._id) : { rating: 4.5, percentage: 85 };
+  // Rating from approved reviews; the chip stays hidden until there is at least one
+  const ratingCount = product?.rating?.count || 0;
+  const ratingCountDisplay = ratingCount >= 1000
+    ? `${(ratingCount / 1000).toFixed(1).replace(/\.0$/, '')}K`
+    : String(ratingCount);
 
-  const getRatingCount = (productId) => {
-    if (!productId) return '3.9K';
-    let hash = 0;
-    for (let i = 0; i < productId.length; i++) {
-      hash = ((hash << 5) - hash) + productId.charCodeAt(i);
-      hash |= 0;
-    }
-    const base = Math.abs(hash % 9000) + 1000;
-    const k = (base / 1000).toFixed(1);
-    return `${k.replace(/\.0$/, '')}K`;
-  };
-  const ratingCountDisplay = product ? getRatingCount(product._id) : '3.9K';
+  const productSchema = useMemo(() => (product ? generateProductSchema(product) : null), [product]);
 
   // Fetch Recently Viewed
   useEffect(() => {
@@ -368,9 +373,11 @@ const ProductDisplayPageNew = () => {
       if (typeof changeAuthType === 'function') changeAuthType('login');
       return;
     }
+    const addOnPicks = getAddOnPicks();
+    if (addOnPicks === null) return;
     setIsAddingToCart(true);
     try {
-      await addToCart(product, 1, selectedVariantIndex);
+      await addToCart(product, 1, selectedVariantIndex, addOnPicks);
     } catch (error) {
       console.error('Error adding to cart:', error);
       try { const { toast } = await import('react-toastify'); toast.error(typeof error?.error === 'string' ? error.error : error?.message || 'Failed to add to cart'); } catch {}
@@ -396,9 +403,11 @@ const ProductDisplayPageNew = () => {
     if (currentQuantity > 0) {
       goCart();
     } else {
+      const addOnPicks = getAddOnPicks();
+      if (addOnPicks === null) return;
       try {
         // Wait for addToCart operation to complete before navigating
-        await addToCart(product, 1, selectedVariantIndex);
+        await addToCart(product, 1, selectedVariantIndex, addOnPicks);
         console.log('✅ Product added successfully, navigating to cart');
         goCart();
       } catch (error) {
@@ -471,6 +480,21 @@ const ProductDisplayPageNew = () => {
   const tracks = !!selectedVariant?.isStockActive;
   const totalStock = tracks ? (selectedVariant?.stock || 0) : Number.POSITIVE_INFINITY;
 
+  // Once the product is in the cart its customisation is fixed; show what was picked instead
+  const renderAddOns = (compact) => {
+    if (addOnGroups.length === 0) return null;
+    if (currentCartQuantity > 0) {
+      return cartLineAddOns ? (
+        <div className={compact ? 'mt-4 pt-4 border-t border-gray-100' : ''}>
+          <p className="text-xs" style={{ color: 'rgba(26, 26, 26, 0.6)' }}>
+            <span className="uppercase tracking-wide">In your cart:</span> {cartLineAddOns}
+          </p>
+        </div>
+      ) : null;
+    }
+    return <AddOnSelector groups={addOnGroups} value={selectedAddOns} onChange={setSelectedAddOns} compact={compact} />;
+  };
+
   const selectedMedia = mediaItems[selectedMediaIndex] || null;
   const fallbackMediaSrc = Array.isArray(product?.images) && product.images.length > 0
     ? product.images[0]
@@ -664,12 +688,12 @@ const ProductDisplayPageNew = () => {
                   </h3>
                   <div className="flex items-center flex-wrap gap-2 mt-1">
                     <span className="text-base font-light" style={{ color: '#1a1a1a' }}>
-                      ₹{Math.round(pricingDetails.finalPrice)}
+                      ₹{Math.round(pricingDetails.finalPrice + addOnTotal)}
                     </span>
                     {pricingDetails.discountPercentage > 0 && (
                       <>
                         <span className="text-xs line-through" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>
-                          ₹{pricingDetails.mrp}
+                          ₹{pricingDetails.mrp + addOnTotal}
                         </span>
                         <OfferBadge label={`${pricingDetails.discountPercentage}% OFF`} className="text-[9px]" style={{ padding: '0px 4px' }} />
                       </>
@@ -899,26 +923,28 @@ const ProductDisplayPageNew = () => {
             {/* Price Row */}
             <div className="flex items-center gap-2 mb-2">
               <span className="text-2xl font-light" style={{ color: '#1a1a1a' }}>
-                ₹{Math.round(pricingDetails.finalPrice)}
+                ₹{Math.round(pricingDetails.finalPrice + addOnTotal)}
               </span>
               {pricingDetails.discountPercentage > 0 && (
                 <>
                   <span className="text-base line-through" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>
-                    ₹{pricingDetails.mrp}
+                    ₹{pricingDetails.mrp + addOnTotal}
                   </span>
                   <OfferBadge label={`${pricingDetails.discountPercentage}% OFF`} className="text-sm" />
                 </>
               )}
             </div>
             {/* Rating chip */}
+            {ratingCount > 0 && (
             <div className="mb-3">
               <div className="inline-flex items-center gap-2 bg-gray-50 border border-gray-100 rounded-full px-2.5 py-1">
                 <span className="inline-flex items-center justify-center w-5 h-5 rounded-full bg-[#10b981] text-white text-[10px] leading-none">★</span>
-                <span className="text-sm font-light" style={{ color: '#1a1a1a' }}>{productRating.rating}</span>
+                <span className="text-sm font-light" style={{ color: '#1a1a1a' }}>{product.rating.average.toFixed(1)}</span>
                 <span className="text-sm" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>|</span>
                 <span className="text-sm" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>{ratingCountDisplay}</span>
               </div>
             </div>
+            )}
 
             {/* Returning customer badge */}
             <div className="mb-3">
@@ -949,6 +975,12 @@ const ProductDisplayPageNew = () => {
               )}
             </div>
 
+            {renderAddOns(true)}
+
+            <ProductAlertButtons product={product} variantIndex={selectedVariantIndex} soldOut={tracks && totalStock === 0} compact />
+
+            <ServiceabilityCheck />
+
             {/* Product Description - Mobile */}
             {product.description && (
               <div className="mt-4 pt-4 border-t border-gray-100">
@@ -1171,10 +1203,10 @@ const ProductDisplayPageNew = () => {
               <div className="flex-1 min-w-0">
                 <h3 className="text-xs font-light tracking-wide truncate leading-tight" style={{ color: '#1a1a1a', letterSpacing: '0.02em' }}>{product.name}</h3>
                 <div className="flex items-center flex-wrap gap-1 mt-0.5">
-                  <span className="text-sm font-light" style={{ color: '#1a1a1a' }}>₹{Math.round(pricingDetails.finalPrice)}</span>
+                  <span className="text-sm font-light" style={{ color: '#1a1a1a' }}>₹{Math.round(pricingDetails.finalPrice + addOnTotal)}</span>
                   {pricingDetails.discountPercentage > 0 && (
                     <>
-                      <span className="text-[11px]" style={{ color: 'rgba(26, 26, 26, 0.5)', textDecorationLine: 'line-through', textDecorationStyle: 'solid', textDecorationColor: 'rgba(26, 26, 26, 0.5)', textDecorationThickness: '1.5px' }}>₹{pricingDetails.mrp}</span>
+                      <span className="text-[11px]" style={{ color: 'rgba(26, 26, 26, 0.5)', textDecorationLine: 'line-through', textDecorationStyle: 'solid', textDecorationColor: 'rgba(26, 26, 26, 0.5)', textDecorationThickness: '1.5px' }}>₹{pricingDetails.mrp + addOnTotal}</span>
                       <OfferBadge label={`${pricingDetails.discountPercentage}% OFF`} className="text-[9px] leading-none" style={{ padding: '0px 4px' }} />
                     </>
                   )}
@@ -1481,12 +1513,12 @@ const ProductDisplayPageNew = () => {
                 {/* Price Row */}
                 <div className="flex items-center gap-3 mb-2">
                   <span className="text-3xl font-light" style={{ color: '#1a1a1a' }}>
-                    ₹{Math.round(pricingDetails.finalPrice)}
+                    ₹{Math.round(pricingDetails.finalPrice + addOnTotal)}
                   </span>
                   {pricingDetails.discountPercentage > 0 && (
                     <>
                       <span className="text-lg line-through" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>
-                        ₹{pricingDetails.mrp}
+                        ₹{pricingDetails.mrp + addOnTotal}
                       </span>
                       <OfferBadge label={`${pricingDetails.discountPercentage}% OFF`} className="text-sm md:text-base" />
                     </>
@@ -1499,14 +1531,16 @@ const ProductDisplayPageNew = () => {
                 )}
 
                 {/* Rating chip */}
+                {ratingCount > 0 && (
                 <div className="mb-4">
                   <div className="inline-flex items-center gap-2 bg-gray-50 border border-gray-100 rounded-full px-3 py-1">
                     <span className="inline-flex items-center justify-center w-5 h-5 rounded-full bg-[#10b981] text-white text-sm">★</span>
-                    <span className="text-sm font-light" style={{ color: '#1a1a1a' }}>{productRating.rating}</span>
+                    <span className="text-sm font-light" style={{ color: '#1a1a1a' }}>{product.rating.average.toFixed(1)}</span>
                     <span className="text-sm" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>|</span>
                     <span className="text-sm" style={{ color: 'rgba(26, 26, 26, 0.5)' }}>{ratingCountDisplay}</span>
                   </div>
                 </div>
+                )}
 
                 {/* Returning customer badge */}
                 <div className="mb-4">
@@ -1537,6 +1571,10 @@ const ProductDisplayPageNew = () => {
                   )}
                 </div>
 
+                <ProductAlertButtons product={product} variantIndex={selectedVariantIndex} soldOut={tracks && totalStock === 0} />
+
+                <ServiceabilityCheck />
+
                 {/* Product Description - Desktop */}
                 {product.description && (
                   <div className="mt-6 pt-6 border-t border-gray-100">
@@ -1606,6 +1644,8 @@ const ProductDisplayPageNew = () => {
                   </div>
                 )}
 
+                {renderAddOns(false)}
+
                 {/* Action Buttons */}
                 <div className="flex items-stretch gap-3">
                   <div className="flex-1">
@@ -1709,6 +1749,10 @@ const ProductDisplayPageNew = () => {
         </div>
       </div>
 
+      {/* Reviews */}
+      <ProductReviews product={product} />
+      {productSchema && <SchemaMarkup schema={productSchema} />}
+
       {/* Image Modal */}
       {isImageModalOpen && modalImages.length > 0 && (
         <ProductImageModal
@@ -4,6 +4,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import { useAuth } from '../hooks/useAuth';
 import { useCart } from '../hooks/useCart';
 import Profile from '../components/Auth/Profile/Profile';
+import AddressBook from '../components/Auth/Profile/AddressBook';
 import './ProfileStyles.css';
 import { useFavorites } from '../context/FavoritesContext/FavoritesContext';
 import { useRecentlyViewed } from '../context/RecentlyViewedContext/RecentlyViewedContext';
@@ -36,6 +37,7 @@ import {
 import ProductCard from '../components/Products/ProductCard';
 import OrderCard from '../components/Orders/OrderCard';
 import { Toaster, toast } from 'react-hot-toast';
+import { canAccessAdmin, getAdminHomePath } from '../utils/adminPermissions';
 
 const ProfilePage = () => {
   const { user, loading, logout } = useAuth();
@@ -388,10 +390,11 @@ const ProfilePage = () => {
     );
   }
 
-  const isAdmin = user?.role === 'admin';
+  const isAdmin = canAccessAdmin(user);
 
   const tabs = [
     { id: 'profile', label: 'My Profile', icon: User },
+    { id: 'addresses', label: 'Saved Addresses', icon: MapPin },
     { id: 'recently-viewed', label: 'Recently Viewed', icon: Eye },
     { id: 'favorites', label: 'Favorites', icon: Heart },
     ...(donationStats?.donationCount > 0 ? [{ id: 'donations', label: 'My Contributions', icon: GraduationCap }] : []),
@@ -1303,6 +1306,14 @@ const ProfilePage = () => {
           </div>
         );
 
+      case 'addresses':
+        return (
+          <div className="space-y-4 md:space-y-6">
+            <h3 className="text-2xl font-medium text-black border-b border-gray-200 pb-2">Saved Addresses</h3>
+            <AddressBook />
+          </div>
+        );
+
       case 'favorites':
         return (
           <div className="space-y-4 md:space-y-6">
@@ -2221,7 +2232,7 @@ const ProfilePage = () => {
                 {isAdmin && (
                   <div className="mb-6">
                     <Link
-                      to="/admin/dashboard"
+                      to={getAdminHomePath(user)}
                       className="w-full flex items-center justify-between px-4 py-3 bg-black text-white shadow-sm hover:shadow-md transition-all duration-300"
                       style={{  }}
                     >
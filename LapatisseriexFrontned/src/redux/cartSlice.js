@@ -17,7 +17,7 @@ export const fetchCart = createAsyncThunk(
 
 export const addToCart = createAsyncThunk(
   'cart/addToCart',
-  async ({ product, quantity = 1, variantIndex }, { rejectWithValue, getState }) => {
+  async ({ product, quantity = 1, variantIndex, addOns }, { rejectWithValue }) => {
     try {
       // Optimistic update data
       const optimisticItem = {
@@ -36,7 +36,7 @@ export const addToCart = createAsyncThunk(
       };
 
       // Return optimistic data immediately
-      const response = await cartService.addToCart(product._id, quantity, variantIndex);
+      const response = await cartService.addToCart(product._id, quantity, variantIndex, addOns);
 
       // Backend returns the full cart (items array), not a single item. Derive the added/updated item.
       const derivedItem = response?.item
@@ -163,7 +163,7 @@ const cartSlice = createSlice({
   reducers: {
     // Optimistic updates for immediate UI feedback
     addToCartOptimistic: (state, action) => {
-      const { product, quantity = 1, variantIndex } = action.payload;
+      const { product, quantity = 1, variantIndex, addOns } = action.payload;
       const existingItemIndex = state.items.findIndex(item => item.productId === product._id);
       const optimisticPrice = (Number.isInteger(variantIndex) && product.variants?.[variantIndex]?.price)
         ? product.variants[variantIndex].price
@@ -173,6 +173,9 @@ const cartSlice = createSlice({
         // Update existing item
         state.items[existingItemIndex].quantity += quantity;
         state.items[existingItemIndex].isOptimistic = true;
+        if (addOns !== undefined) {
+          state.items[existingItemIndex].addOns = addOns;
+        }
       } else {
         // Add new item
         const optimisticItem = {
@@ -184,6 +187,7 @@ const cartSlice = createSlice({
           quantity,
           addedAt: new Date().toISOString(),
           productDetails: { ...product, variantIndex },
+          addOns: addOns || [],
           isOptimistic: true
         };
         state.items.push(optimisticItem);
@@ -337,7 +341,8 @@ const cartSlice = createSlice({
             addedAt: item.addedAt,
             productDetails: item.productDetails,
             expiresAt: item.expiresAt,
-            isFreeProduct: item.isFreeProduct || false  // Preserve free product flag
+            isFreeProduct: item.isFreeProduct || false,  // Preserve free product flag
+            addOns: item.addOns || []
           };
         });
         
@@ -409,7 +414,8 @@ const cartSlice = createSlice({
             quantity: srvItem.quantity,
             addedAt: srvItem.addedAt,
             productDetails: srvItem.productDetails,
-            isFreeProduct: srvItem.isFreeProduct || false
+            isFreeProduct: srvItem.isFreeProduct || false,
+            addOns: srvItem.addOns || []
           }));
           state.cartTotal = cartTotal;
           state.cartCount = cartCount;
@@ -430,7 +436,8 @@ const cartSlice = createSlice({
             quantity: item.quantity,
             addedAt: item.addedAt,
             productDetails: item.productDetails,
-            isFreeProduct: item.isFreeProduct || false
+            isFreeProduct: item.isFreeProduct || false,
+            addOns: item.addOns || []
           };
 
           if (existingIndex >= 0) {
@@ -586,7 +593,8 @@ const cartSlice = createSlice({
           quantity: item.quantity,
           addedAt: item.addedAt,
           productDetails: item.productDetails,
-          isFreeProduct: item.isFreeProduct || false
+          isFreeProduct: item.isFreeProduct || false,
+          addOns: item.addOns || []
         }));
         
         state.cartTotal = cartTotal;
@@ -0,0 +1,103 @@
+import api from './apiService';
+
+export const ADDRESS_TYPES = [
+  { value: 'hostel', label: 'Hostel' },
+  { value: 'home', label: 'Home' },
+  { value: 'office', label: 'Office' },
+  { value: 'other', label: 'Other' }
+];
+
+// Address picked on the checkout page, read again by the payment page
+const CHECKOUT_ADDRESS_KEY = 'lp_checkout_address_id';
+
+/**
+ * Get the current user's saved addresses
+ * @returns {Promise<Array>} Addresses with location and hostel populated
+ */
+export const getAddresses = async () => {
+  try {
+    const response = await api.get('/users/me/addresses');
+    return response.data.addresses || [];
+  } catch (error) {
+    console.error('Error fetching addresses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save a new address
+ * @param {Object} address - label, type, location, hostel, roomNumber, addressLine, landmark, recipientName, recipientPhone, isDefault
+ * @returns {Promise<Array>} The updated address book
+ */
+export const addAddress = async (address) => {
+  const response = await api.post('/users/me/addresses', address);
+  return response.data.addresses || [];
+};
+
+/**
+ * Update a saved address
+ * @param {string} addressId - Address ID
+ * @param {Object} address - Fields to change
+ * @returns {Promise<Array>} The updated address book
+ */
+export const updateAddress = async (addressId, address) => {
+  const response = await api.put(`/users/me/addresses/${addressId}`, address);
+  return response.data.addresses || [];
+};
+
+/**
+ * Delete a saved address
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Array>} The updated address book
+ */
+export const deleteAddress = async (addressId) => {
+  const response = await api.delete(`/users/me/addresses/${addressId}`);
+  return response.data.addresses || [];
+};
+
+/**
+ * Make a saved address the default
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Array>} The updated address book
+ */
+export const setDefaultAddress = async (addressId) => {
+  const response = await api.patch(`/users/me/addresses/${addressId}/default`);
+  return response.data.addresses || [];
+};
+
+/**
+ * One-line summary of an address, e.g. "Room 214, Sri Ram Hostel, Peelamedu, Coimbatore"
+ * @param {Object} address - Saved address with location and hostel populated
+ * @returns {string}
+ */
+export const formatAddress = (address) => {
+  if (!address) return '';
+  return [
+    address.roomNumber ? `Room ${address.roomNumber}` : null,
+    address.hostel?.name,
+    address.addressLine,
+    address.landmark ? `Near ${address.landmark}` : null,
+    address.location?.area,
+    address.location?.city
+  ].filter(Boolean).join(', ');
+};
+
+export const getCheckoutAddressId = () => {
+  try {
+    return sessionStorage.getItem(CHECKOUT_ADDRESS_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const setCheckoutAddressId = (addressId) => {
+  try {
+    if (addressId) {
+      sessionStorage.setItem(CHECKOUT_ADDRESS_KEY, addressId);
+    } else {
+      sessionStorage.removeItem(CHECKOUT_ADDRESS_KEY);
+    }
+  } catch {
+    // Private mode without storage: the payment page falls back to the default address
+  }
+};
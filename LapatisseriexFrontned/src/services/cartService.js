@@ -72,13 +72,14 @@ class CartService {
   }
 
   // Add item to cart
-  async addToCart(productId, quantity = 1, variantIndex) {
+  async addToCart(productId, quantity = 1, variantIndex, addOns) {
     try {
       console.log(`🛒 Adding to cart: ${productId} (qty: ${quantity}, variant: ${variantIndex})`);
       const response = await api.post('/newcart', {
         productId,
         quantity,
-        variantIndex
+        variantIndex,
+        addOns
       });
       console.log('✅ Item added to cart:', response.data);
       return response.data;
@@ -158,6 +159,31 @@ class CartService {
       return 0;
     }
   }
+
+  // Validate a coupon against the server cart; resolves with { coupon, orderSummary }
+  async applyCoupon(code, { useFreeCash = false, donationAmount = 0 } = {}) {
+    try {
+      const response = await api.post('/newcart/apply-coupon', { code, useFreeCash, donationAmount });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error applying coupon:', error);
+      throw new Error(error.response?.data?.message || 'Failed to apply coupon');
+    }
+  }
+
+  // Delivery charge for the server cart with delivery rules applied; resolves with null when it can't be quoted
+  async getDeliveryQuote({ deliverySlotId = null, addressId = null } = {}) {
+    try {
+      const params = {};
+      if (deliverySlotId) params.deliverySlotId = deliverySlotId;
+      if (addressId) params.addressId = addressId;
+      const response = await api.get('/newcart/delivery-quote', { params });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching delivery quote:', error);
+      return null;
+    }
+  }
 }
 
 export default new CartService();
\ No newline at end of file
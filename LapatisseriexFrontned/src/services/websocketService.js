@@ -169,6 +169,18 @@ class WebSocketService {
     }
   }
 
+  onKitchenBoardUpdated(callback) {
+    if (this.socket) {
+      this.socket.on('kitchenBoardUpdated', callback);
+    }
+  }
+
+  offKitchenBoardUpdated(callback) {
+    if (this.socket) {
+      this.socket.off('kitchenBoardUpdated', callback);
+    }
+  }
+
   onPaymentUpdated(callback) {
     if (this.socket) {
       this.socket.on('paymentUpdated', callback);
@@ -0,0 +1,57 @@
+/**
+ * Helpers for product add-on groups (candles, message on the cake, gift packing...)
+ * The backend re-validates every pick; these only drive the product page UI.
+ */
+
+/**
+ * Active groups with their active options
+ * @param {Object} product - Product with addOnGroups
+ * @returns {Array} Groups that can be shown to customers
+ */
+export const getActiveAddOnGroups = (product) => (Array.isArray(product?.addOnGroups) ? product.addOnGroups : [])
+  .filter(group => group.isActive !== false)
+  .map(group => ({
+    ...group,
+    options: (group.options || []).filter(option => option.isActive !== false)
+  }))
+  .filter(group => group.options.length > 0);
+
+/**
+ * Check the customer's picks against min/max rules and required message text
+ * @param {Array} groups - Result of getActiveAddOnGroups
+ * @param {Array<{groupId, optionId, text}>} selections - Current picks
+ * @returns {string|null} First problem to show, or null when the selection is valid
+ */
+export const validateAddOnSelection = (groups, selections = []) => {
+  for (const group of groups) {
+    const picks = selections.filter(pick => pick.groupId === group._id);
+    const minSelect = Math.max(group.isRequired ? 1 : 0, group.minSelect || 0);
+    const maxSelect = group.maxSelect || 1;
+
+    if (picks.length < minSelect) {
+      return minSelect > 1
+        ? `Choose at least ${minSelect} options for ${group.name}`
+        : `Please choose an option for ${group.name}`;
+    }
+    if (picks.length > maxSelect) {
+      return `Choose at most ${maxSelect} options for ${group.name}`;
+    }
+
+    for (const pick of picks) {
+      const option = group.options.find(entry => entry._id === pick.optionId);
+      if (option?.requiresText && !String(pick.text || '').trim()) {
+        return `Please enter the text for ${option.name}`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * One-line description of the picked add-ons, e.g. "Candles, Message: Happy Birthday"
+ * @param {Array} addOns - Add-on snapshots from a cart item or order line
+ * @returns {string}
+ */
+export const formatAddOns = (addOns) => (Array.isArray(addOns) ? addOns : [])
+  .map(addOn => (addOn.text ? `${addOn.optionName}: ${addOn.text}` : addOn.optionName))
+  .join(', ');
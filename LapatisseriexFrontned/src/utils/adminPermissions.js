@@ -0,0 +1,24 @@
+// Admin panel areas; mirrors ADMIN_PERMISSIONS in the backend user model
+export const ADMIN_PERMISSIONS = [
+  { value: 'orders', label: 'Orders', description: 'Orders, kitchen, dispatch and riders', home: '/admin/dashboard' },
+  { value: 'catalog', label: 'Catalog', description: 'Products, categories, coupons and reviews', home: '/admin/products' },
+  { value: 'inventory', label: 'Inventory', description: 'Stock levels and adjustments', home: '/admin/inventory' },
+  { value: 'payments', label: 'Payments', description: 'Payments, refunds, rider cash and donations', home: '/admin/payments' },
+  { value: 'users', label: 'Users', description: 'Customers, staff access, contacts and rewards', home: '/admin/users' },
+  { value: 'newsletter', label: 'Newsletter', description: 'Subscribers and campaigns', home: '/admin/newsletter' },
+  { value: 'settings', label: 'Settings', description: 'Locations, hostels, shop hours and the email outbox', home: '/admin/time-settings' }
+];
+
+export const hasAdminPermission = (user, permission) => {
+  if (user?.role === 'admin') return true;
+  return user?.role === 'staff' && Array.isArray(user.permissions) && user.permissions.includes(permission);
+};
+
+export const canAccessAdmin = (user) =>
+  user?.role === 'admin' || (user?.role === 'staff' && Array.isArray(user.permissions) && user.permissions.length > 0);
+
+// First admin page the user can open
+export const getAdminHomePath = (user) => {
+  const area = ADMIN_PERMISSIONS.find(permission => hasAdminPermission(user, permission.value));
+  return area ? area.home : '/';
+};
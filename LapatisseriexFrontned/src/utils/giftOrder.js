@@ -0,0 +1,51 @@
+// Gift details entered on the checkout page, read again by the payment page
+const CHECKOUT_GIFT_KEY = 'lp_checkout_gift';
+
+export const GIFT_MESSAGE_MAX_LENGTH = 300;
+
+export const EMPTY_GIFT = {
+  enabled: false,
+  recipientName: '',
+  recipientPhone: '',
+  recipientEmail: '',
+  message: '',
+  hidePrices: true
+};
+
+/**
+ * Same checks the server makes, so the customer sees them before leaving checkout
+ * @param {Object} gift
+ * @returns {string|null} Error message, or null when the gift details are fine
+ */
+export const validateGift = (gift) => {
+  if (!gift?.enabled) return null;
+  if (!gift.recipientName.trim()) return "Please add the recipient's name";
+  const digits = gift.recipientPhone.replace(/\D/g, '');
+  if (digits.length < 10 || digits.length > 13) return 'Please add a valid phone number for the recipient';
+  if (gift.recipientEmail.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(gift.recipientEmail.trim())) {
+    return "The recipient's email address doesn't look right";
+  }
+  if (gift.message.length > GIFT_MESSAGE_MAX_LENGTH) return `Gift messages can be up to ${GIFT_MESSAGE_MAX_LENGTH} characters`;
+  return null;
+};
+
+export const getCheckoutGift = () => {
+  try {
+    const stored = sessionStorage.getItem(CHECKOUT_GIFT_KEY);
+    return stored ? { ...EMPTY_GIFT, ...JSON.parse(stored) } : null;
+  } catch {
+    return null;
+  }
+};
+
+export const setCheckoutGift = (gift) => {
+  try {
+    if (gift?.enabled) {
+      sessionStorage.setItem(CHECKOUT_GIFT_KEY, JSON.stringify(gift));
+    } else {
+      sessionStorage.removeItem(CHECKOUT_GIFT_KEY);
+    }
+  } catch {
+    // Private mode without storage: the order goes out as a regular one
+  }
+};
@@ -178,8 +178,9 @@ export const calculateCartTotals = (cartItems) => {
       
       // Use centralized pricing calculation
       const pricing = calculatePricing(variant);
-      const itemFinalTotal = pricing.finalPrice * normalizedItem.quantity;
-      const itemOriginalTotal = pricing.mrp * normalizedItem.quantity;
+      const addOnTotal = getAddOnTotal(normalizedItem);
+      const itemFinalTotal = (pricing.finalPrice + addOnTotal) * normalizedItem.quantity;
+      const itemOriginalTotal = (pricing.mrp + addOnTotal) * normalizedItem.quantity;
       const itemDiscountAmount = pricing.discountAmount * normalizedItem.quantity;
       
       // Ensure calculations are valid numbers
@@ -220,6 +221,16 @@ export const calculateCartTotals = (cartItems) => {
   }
 };
 
+/**
+ * Per-unit price of the add-ons picked for a cart item (candles, message, gift packing...)
+ * @param {Object} item - Cart item or order line with an addOns array
+ * @returns {number} Sum of add-on prices for one unit
+ */
+export const getAddOnTotal = (item) => {
+  const addOns = Array.isArray(item?.addOns) ? item.addOns : [];
+  return addOns.reduce((sum, addOn) => sum + (parseFloat(addOn?.price) || 0), 0);
+};
+
 /**
  * Consistent currency formatting utility
  * @param {number} amount - Amount to format
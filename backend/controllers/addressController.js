@@ -0,0 +1,48 @@
+import asyncHandler from 'express-async-handler';
+import {
+  listAddresses,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  setDefaultAddress
+} from '../services/addressService.js';
+
+// @desc    Get the current user's saved addresses
+// @route   GET /api/users/me/addresses
+// @access  Private
+export const getAddresses = asyncHandler(async (req, res) => {
+  const addresses = await listAddresses(req.user._id);
+  res.status(200).json({ success: true, addresses });
+});
+
+// @desc    Save a new address
+// @route   POST /api/users/me/addresses
+// @access  Private
+export const createAddress = asyncHandler(async (req, res) => {
+  const addresses = await addAddress(req.user._id, req.body);
+  res.status(201).json({ success: true, addresses });
+});
+
+// @desc    Update a saved address
+// @route   PUT /api/users/me/addresses/:addressId
+// @access  Private
+export const editAddress = asyncHandler(async (req, res) => {
+  const addresses = await updateAddress(req.user._id, req.params.addressId, req.body);
+  res.status(200).json({ success: true, addresses });
+});
+
+// @desc    Delete a saved address
+// @route   DELETE /api/users/me/addresses/:addressId
+// @access  Private
+export const deleteAddress = asyncHandler(async (req, res) => {
+  const addresses = await removeAddress(req.user._id, req.params.addressId);
+  res.status(200).json({ success: true, addresses });
+});
+
+// @desc    Make a saved address the default
+// @route   PATCH /api/users/me/addresses/:addressId/default
+// @access  Private
+export const makeDefaultAddress = asyncHandler(async (req, res) => {
+  const addresses = await setDefaultAddress(req.user._id, req.params.addressId);
+  res.status(200).json({ success: true, addresses });
+});
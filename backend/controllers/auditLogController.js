@@ -0,0 +1,55 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import AuditLog from '../models/auditLogModel.js';
+
+// @desc    Search the admin audit log
+// @route   GET /api/admin/audit-logs
+// @access  Admin
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 25, actor, model, documentId, permission, method, from, to } = req.query;
+
+  const filter = {};
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) {
+      res.status(400);
+      throw new Error('Invalid actor id');
+    }
+    filter.actor = actor;
+  }
+  if (model) filter['changes.model'] = model;
+  if (documentId) {
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      res.status(400);
+      throw new Error('Invalid document id');
+    }
+    filter['changes.documentId'] = new mongoose.Types.ObjectId(documentId);
+  }
+  if (permission) filter.permission = permission;
+  if (method) filter.method = String(method).toUpperCase();
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.max(1, Math.min(100, parseInt(limit, 10) || 25));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    logs,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum) || 1,
+    total
+  });
+});
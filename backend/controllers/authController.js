@@ -2,6 +2,7 @@ import asyncHandler from 'express-async-handler';
 import firebaseAdmin from '../config/firebase.js';
 import User from '../models/userModel.js';
 import Order from '../models/orderModel.js';
+import { getInitialRole } from '../utils/adminUtils.js';
 import { 
   generateOTP, 
   generateOTPExpiry,
@@ -145,11 +146,7 @@ export const verifyToken = asyncHandler(async (req, res) => {
       console.log(`No existing user found for ${email}, creating new user`);
       isNewUser = true;
       
-      // Determine role based on email (you can customize this logic)
-      let role = 'user';
-      if (email === 'admin@lapatisserie.com') { // Replace with your admin email
-        role = 'admin';
-      }
+      const role = getInitialRole(email, email_verified);
       
       try {
         // Create user with location if provided (no phone field to avoid conflicts)
@@ -379,6 +376,7 @@ export const verifyToken = asyncHandler(async (req, res) => {
         email: user.email,
         name: user.name,
         role: user.role,
+        permissions: user.getPermissions(),
         dob: formattedDob, // Use formatted date
         gender: user.gender || '',
         phone: user.phone || '',
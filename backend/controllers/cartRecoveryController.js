@@ -0,0 +1,11 @@
+import asyncHandler from 'express-async-handler';
+import { getCartRecoveryStats as getCartRecoveryStatsService } from '../services/cartRecoveryService.js';
+
+// @desc    Abandoned cart reminders and the orders they brought back
+// @route   GET /api/admin/cart-recovery/stats?days=
+// @access  Admin
+export const getCartRecoveryStats = asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  const stats = await getCartRecoveryStatsService({ days });
+  res.status(200).json({ success: true, data: stats });
+});
@@ -0,0 +1,173 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Coupon from '../models/couponModel.js';
+import Order from '../models/orderModel.js';
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'minCartValue',
+  'usageLimit',
+  'perUserLimit',
+  'validFrom',
+  'validUntil',
+  'applicableCategories',
+  'applicableProducts',
+  'firstOrderOnly',
+  'isActive'
+];
+
+// Pick known fields and turn empty strings from the admin form into nulls
+const pickCouponFields = (body = {}) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field] === '' ? null : body[field];
+  }
+  if (data.applicableCategories === null) data.applicableCategories = [];
+  if (data.applicableProducts === null) data.applicableProducts = [];
+  return data;
+};
+
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons?status=&search=&personal=
+// @access  Admin
+export const getCoupons = asyncHandler(async (req, res) => {
+  const { status, search } = req.query;
+  const filter = {};
+
+  if (status === 'active') filter.isActive = true;
+  if (status === 'inactive') filter.isActive = false;
+  // Personal coupons are generated automatically; list them only when asked
+  if (req.query.personal !== 'true') filter.assignedUser = null;
+  if (search) {
+    const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.code = { $regex: escaped, $options: 'i' };
+  }
+
+  const coupons = await Coupon.find(filter)
+    .populate('applicableCategories', 'name')
+    .populate('applicableProducts', 'name')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ success: true, coupons });
+});
+
+// @desc    Get a coupon with its redemptions
+// @route   GET /api/admin/coupons/:id
+// @access  Admin
+export const getCouponById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid coupon id');
+  }
+
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('applicableCategories', 'name')
+    .populate('applicableProducts', 'name');
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  const redemptions = await Order.find({ 'couponRedemption.couponId': coupon._id })
+    .select('orderNumber userId userDetails.name userDetails.email orderStatus couponRedemption orderSummary.grandTotal createdAt')
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .lean();
+
+  res.status(200).json({ success: true, coupon, redemptions });
+});
+
+// @desc    Create a coupon
+// @route   POST /api/admin/coupons
+// @access  Admin
+export const createCoupon = asyncHandler(async (req, res) => {
+  const data = pickCouponFields(req.body);
+
+  if (!data.code || !data.type) {
+    res.status(400);
+    throw new Error('Please provide a coupon code and type');
+  }
+
+  const exists = await Coupon.findOne({ code: String(data.code).trim().toUpperCase() });
+  if (exists) {
+    res.status(400);
+    throw new Error('A coupon with this code already exists');
+  }
+
+  const coupon = await Coupon.create({ ...data, createdBy: req.user?._id || null });
+
+  res.status(201).json({ success: true, coupon });
+});
+
+// @desc    Update a coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Admin
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  const data = pickCouponFields(req.body);
+  if (data.code && String(data.code).trim().toUpperCase() !== coupon.code) {
+    const exists = await Coupon.findOne({ code: String(data.code).trim().toUpperCase() });
+    if (exists) {
+      res.status(400);
+      throw new Error('A coupon with this code already exists');
+    }
+  }
+
+  // usedCount is maintained by redemptions only
+  coupon.set(data);
+  await coupon.save();
+
+  res.status(200).json({ success: true, coupon });
+});
+
+// @desc    Toggle coupon status (active/inactive)
+// @route   PATCH /api/admin/coupons/:id/toggle
+// @access  Admin
+export const toggleCouponStatus = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  coupon.isActive = !coupon.isActive;
+  await coupon.save();
+
+  res.status(200).json({ success: true, id: coupon._id, isActive: coupon.isActive });
+});
+
+// @desc    Delete a coupon
+// @route   DELETE /api/admin/coupons/:id
+// @access  Admin
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  // Keep redeemed coupons for the audit trail; deactivate instead
+  const redeemed = await Order.countDocuments({ 'couponRedemption.couponId': coupon._id });
+  if (redeemed > 0) {
+    res.status(400);
+    throw new Error('This coupon has been redeemed and cannot be deleted. Deactivate it instead.');
+  }
+
+  await Coupon.findByIdAndDelete(req.params.id);
+
+  res.status(200).json({ success: true, message: 'Coupon deleted successfully' });
+});
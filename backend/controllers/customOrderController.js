@@ -0,0 +1,321 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import CustomOrder from '../models/customOrderModel.js';
+import TimeSettings from '../models/timeSettingsModel.js';
+import { uploadToCloudinary } from '../utils/cloudinary.js';
+import { createNotification } from './notificationController.js';
+import {
+  parseRequiredDate,
+  getEarliestRequiredDate,
+  getCustomOrderLeadDays,
+  getDefaultQuoteValidDays
+} from '../services/customOrderService.js';
+
+const MAX_REFERENCE_IMAGES = 3;
+const OCCASIONS = ['birthday', 'anniversary', 'wedding', 'other'];
+
+const findCustomOrder = async (id, res) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(404);
+    throw new Error('Custom order request not found');
+  }
+  const customOrder = await CustomOrder.findById(id);
+  if (!customOrder) {
+    res.status(404);
+    throw new Error('Custom order request not found');
+  }
+  return customOrder;
+};
+
+const notifyCustomer = (customOrder, type, title, message) => {
+  setImmediate(async () => {
+    try {
+      await createNotification(customOrder.userId, customOrder.requestNumber, type, title, message, {
+        customOrderId: customOrder._id,
+        amount: customOrder.quote?.amount ?? null
+      });
+    } catch (notificationError) {
+      console.error('⚠️ Failed to create custom order notification (non-critical):', notificationError);
+    }
+  });
+};
+
+// @desc    Request a custom cake
+// @route   POST /api/custom-orders
+// @access  Private
+export const submitCustomOrder = asyncHandler(async (req, res) => {
+  const {
+    occasion = 'birthday',
+    flavour,
+    weightKg,
+    isEggless = false,
+    messageOnCake,
+    designNotes,
+    requiredDate,
+    referenceImages = [],
+    deliveryLocation,
+    hostelName,
+    phone
+  } = req.body;
+
+  if (!flavour || !weightKg || !requiredDate || !deliveryLocation) {
+    res.status(400);
+    throw new Error('Flavour, weight, required date and delivery location are required');
+  }
+
+  if (!OCCASIONS.includes(occasion)) {
+    res.status(400);
+    throw new Error('Invalid occasion');
+  }
+
+  const weight = Number(weightKg);
+  if (!Number.isFinite(weight) || weight < 0.5 || weight > 10) {
+    res.status(400);
+    throw new Error('Weight must be between 0.5 kg and 10 kg');
+  }
+
+  const timeSettings = await TimeSettings.getCurrentSettings();
+  const tz = timeSettings.timezone;
+  const cakeDate = parseRequiredDate(requiredDate, tz);
+  if (!cakeDate) {
+    res.status(400);
+    throw new Error('Invalid required date');
+  }
+  const earliest = getEarliestRequiredDate(tz);
+  if (requiredDate < earliest) {
+    res.status(400);
+    throw new Error(`Custom cakes need at least ${getCustomOrderLeadDays()} days' notice. The earliest date is ${earliest}.`);
+  }
+
+  if (!Array.isArray(referenceImages) || referenceImages.length > MAX_REFERENCE_IMAGES) {
+    res.status(400);
+    throw new Error(`You can attach up to ${MAX_REFERENCE_IMAGES} reference images`);
+  }
+  if (referenceImages.some(file => typeof file !== 'string' || !file.startsWith('data:image/'))) {
+    res.status(400);
+    throw new Error('Invalid file format. Expected base64 image data.');
+  }
+
+  let uploadedImages = [];
+  try {
+    uploadedImages = await Promise.all(referenceImages.map(file => uploadToCloudinary(file, {
+      folder: 'la_patisserie/custom_orders',
+      resource_type: 'image',
+      allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp']
+    })));
+  } catch (error) {
+    console.error('❌ Reference image upload failed:', error);
+    res.status(400);
+    throw new Error(`Upload failed: ${error.message}`);
+  }
+
+  const customOrder = await CustomOrder.create({
+    requestNumber: `CAKE${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    userId: req.user._id,
+    occasion,
+    flavour: String(flavour).trim(),
+    weightKg: weight,
+    isEggless: Boolean(isEggless),
+    messageOnCake,
+    designNotes,
+    referenceImages: uploadedImages.map(image => ({ url: image.url, public_id: image.public_id })),
+    requiredDate: cakeDate,
+    userDetails: {
+      name: req.user.name,
+      email: req.user.email,
+      phone: phone || req.user.phone
+    },
+    deliveryLocation: String(deliveryLocation).trim(),
+    hostelName
+  });
+
+  console.log(`🎂 New custom cake request ${customOrder.requestNumber} from ${req.user.email}`);
+
+  if (global.io) {
+    global.io.emit('newCustomOrderRequest', {
+      requestNumber: customOrder.requestNumber,
+      occasion: customOrder.occasion,
+      requiredDate: customOrder.requiredDate
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Thanks! We'll send you a quote shortly.",
+    customOrder
+  });
+});
+
+// @desc    Get the logged-in user's custom cake requests
+// @route   GET /api/custom-orders/my
+// @access  Private
+export const getMyCustomOrders = asyncHandler(async (req, res) => {
+  const customOrders = await CustomOrder.find({ userId: req.user._id }).sort({ createdAt: -1 });
+  const timeSettings = await TimeSettings.getCurrentSettings();
+
+  res.status(200).json({
+    success: true,
+    customOrders,
+    earliestRequiredDate: getEarliestRequiredDate(timeSettings.timezone)
+  });
+});
+
+// @desc    Get a custom cake request
+// @route   GET /api/custom-orders/:id
+// @access  Private (owner or admin)
+export const getCustomOrder = asyncHandler(async (req, res) => {
+  const customOrder = await findCustomOrder(req.params.id, res);
+
+  if (!req.user.hasPermission('orders') && customOrder.userId.toString() !== req.user._id.toString()) {
+    res.status(404);
+    throw new Error('Custom order request not found');
+  }
+
+  res.status(200).json({ success: true, customOrder });
+});
+
+// @desc    Withdraw a custom cake request before it is paid
+// @route   PUT /api/custom-orders/:id/cancel
+// @access  Private
+export const cancelCustomOrder = asyncHandler(async (req, res) => {
+  const customOrder = await findCustomOrder(req.params.id, res);
+
+  if (customOrder.userId.toString() !== req.user._id.toString()) {
+    res.status(404);
+    throw new Error('Custom order request not found');
+  }
+  if (!['submitted', 'quoted', 'accepted'].includes(customOrder.status)) {
+    res.status(400);
+    throw new Error(`A ${customOrder.status} request cannot be cancelled`);
+  }
+
+  customOrder.status = 'cancelled';
+  await customOrder.save();
+
+  res.status(200).json({ success: true, message: 'Request cancelled', customOrder });
+});
+
+// @desc    Get all custom cake requests
+// @route   GET /api/custom-orders
+// @access  Admin
+export const getCustomOrders = asyncHandler(async (req, res) => {
+  const { status, search, page = 1, limit = 20 } = req.query;
+  const filter = {};
+
+  if (status && status !== 'all') {
+    filter.status = status;
+  }
+  if (search) {
+    const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const searchRegex = new RegExp(escaped, 'i');
+    filter.$or = [
+      { requestNumber: searchRegex },
+      { orderNumber: searchRegex },
+      { flavour: searchRegex },
+      { 'userDetails.name': searchRegex },
+      { 'userDetails.email': searchRegex },
+      { 'userDetails.phone': searchRegex }
+    ];
+  }
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [customOrders, total, counts] = await Promise.all([
+    CustomOrder.find(filter)
+      .sort({ requiredDate: 1, createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('quote.quotedBy', 'name email'),
+    CustomOrder.countDocuments(filter),
+    CustomOrder.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  res.status(200).json({
+    success: true,
+    customOrders,
+    stats: counts.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {}),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  });
+});
+
+// @desc    Quote a price for a custom cake request
+// @route   PUT /api/custom-orders/:id/quote
+// @access  Admin
+export const quoteCustomOrder = asyncHandler(async (req, res) => {
+  const { amount, note, validDays = getDefaultQuoteValidDays() } = req.body;
+  const customOrder = await findCustomOrder(req.params.id, res);
+
+  if (!['submitted', 'quoted', 'accepted'].includes(customOrder.status)) {
+    res.status(400);
+    throw new Error(`A ${customOrder.status} request cannot be quoted`);
+  }
+
+  const price = Math.round(Number(amount) * 100) / 100;
+  if (!Number.isFinite(price) || price < 1) {
+    res.status(400);
+    throw new Error('Quote amount must be at least ₹1');
+  }
+
+  const days = Math.max(1, parseInt(validDays, 10) || getDefaultQuoteValidDays());
+  // A quote never outlives the cake date
+  const validUntil = new Date(Math.min(Date.now() + days * 24 * 60 * 60 * 1000, customOrder.requiredDate.getTime()));
+  if (validUntil <= new Date()) {
+    res.status(400);
+    throw new Error('The required date for this cake has already passed');
+  }
+
+  customOrder.quote = {
+    amount: price,
+    note,
+    quotedBy: req.user._id,
+    quotedAt: new Date(),
+    validUntil
+  };
+  // Re-quoting an accepted request makes the customer pay the new price
+  customOrder.status = 'quoted';
+  customOrder.gatewayOrderId = null;
+  await customOrder.save();
+
+  console.log(`💬 Quoted ₹${price} for custom cake ${customOrder.requestNumber}`);
+
+  notifyCustomer(
+    customOrder,
+    'custom_order_quoted',
+    'Your Custom Cake Quote',
+    `Your custom cake request **#${customOrder.requestNumber}** has been quoted at ₹${price}. Accept and pay to confirm it.`
+  );
+
+  res.status(200).json({ success: true, message: 'Quote sent', customOrder });
+});
+
+// @desc    Decline a custom cake request
+// @route   PUT /api/custom-orders/:id/reject
+// @access  Admin
+export const rejectCustomOrder = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const customOrder = await findCustomOrder(req.params.id, res);
+
+  if (!['submitted', 'quoted', 'accepted'].includes(customOrder.status)) {
+    res.status(400);
+    throw new Error(`A ${customOrder.status} request cannot be declined`);
+  }
+
+  customOrder.status = 'rejected';
+  customOrder.rejectionReason = reason;
+  await customOrder.save();
+
+  notifyCustomer(
+    customOrder,
+    'custom_order_rejected',
+    'Custom Cake Request Update',
+    `Sorry, we can't take custom cake request **#${customOrder.requestNumber}**${reason ? `: ${reason}` : '.'}`
+  );
+
+  res.status(200).json({ success: true, message: 'Request declined', customOrder });
+});
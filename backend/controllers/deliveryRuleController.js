@@ -0,0 +1,132 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import DeliveryRule from '../models/deliveryRuleModel.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'type',
+  'locationId',
+  'hostelId',
+  'amount',
+  'minSubtotal',
+  'minWeightKg',
+  'startTime',
+  'endTime',
+  'pauseEdgeMinutes',
+  'validFrom',
+  'validUntil',
+  'isActive'
+];
+
+// Pick known fields and turn empty strings from the admin form into nulls
+const pickRuleFields = (body = {}) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field] === '' ? null : body[field];
+  }
+  return data;
+};
+
+const findRule = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid delivery rule id');
+  }
+  const rule = await DeliveryRule.findById(req.params.id);
+  if (!rule) {
+    res.status(404);
+    throw new Error('Delivery rule not found');
+  }
+  return rule;
+};
+
+// Schema validation failures are the admin's input, not a server error
+const saveRule = async (rule, res) => {
+  try {
+    await rule.save();
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      res.status(400);
+      error.statusCode = 400;
+    }
+    throw error;
+  }
+};
+
+// @desc    Get all delivery charge rules
+// @route   GET /api/admin/delivery-rules
+// @access  Admin
+export const getDeliveryRules = asyncHandler(async (req, res) => {
+  const { locationId } = req.query;
+  const filter = {};
+  // 'all' lists the rules that apply to every location
+  if (locationId === 'all') {
+    filter.locationId = null;
+  } else if (locationId) {
+    if (!mongoose.Types.ObjectId.isValid(locationId)) {
+      res.status(400);
+      throw new Error('Invalid location id');
+    }
+    filter.locationId = locationId;
+  }
+
+  const rules = await DeliveryRule.find(filter)
+    .populate('locationId', 'area city pincode')
+    .populate('hostelId', 'name')
+    .sort({ type: 1, createdAt: -1 });
+
+  res.status(200).json({ success: true, rules });
+});
+
+// @desc    Create a delivery charge rule
+// @route   POST /api/admin/delivery-rules
+// @access  Admin
+export const createDeliveryRule = asyncHandler(async (req, res) => {
+  const data = pickRuleFields(req.body);
+
+  if (!data.name || !data.type) {
+    res.status(400);
+    throw new Error('Please provide a rule name and type');
+  }
+
+  const rule = new DeliveryRule({ ...data, createdBy: req.user?._id || null });
+  await saveRule(rule, res);
+
+  res.status(201).json({ success: true, rule });
+});
+
+// @desc    Update a delivery charge rule
+// @route   PUT /api/admin/delivery-rules/:id
+// @access  Admin
+export const updateDeliveryRule = asyncHandler(async (req, res) => {
+  const rule = await findRule(req, res);
+
+  rule.set(pickRuleFields(req.body));
+  await saveRule(rule, res);
+
+  res.status(200).json({ success: true, rule });
+});
+
+// @desc    Toggle delivery rule status (active/inactive)
+// @route   PATCH /api/admin/delivery-rules/:id/toggle
+// @access  Admin
+export const toggleDeliveryRuleStatus = asyncHandler(async (req, res) => {
+  const rule = await findRule(req, res);
+
+  rule.isActive = !rule.isActive;
+  await rule.save();
+
+  res.status(200).json({ success: true, id: rule._id, isActive: rule.isActive });
+});
+
+// @desc    Delete a delivery charge rule
+// @route   DELETE /api/admin/delivery-rules/:id
+// @access  Admin
+export const deleteDeliveryRule = asyncHandler(async (req, res) => {
+  const rule = await findRule(req, res);
+
+  await rule.deleteOne();
+
+  res.status(200).json({ success: true, message: 'Delivery rule deleted successfully' });
+});
@@ -98,6 +98,66 @@ export const sendStatusUpdate = async (req, res) => {
   }
 };
 
+export const sendRefundUpdate = async (req, res) => {
+  try {
+    const { orderDetails, refund, userEmail } = req.body || {};
+    if (!orderDetails || !refund || !userEmail) {
+      return res.status(400).json({ success: false, message: 'orderDetails, refund and userEmail are required' });
+    }
+
+    const transporter = createTransporter();
+    const orderNumber = orderDetails?.orderNumber || `ORDER-${Date.now()}`;
+    const statusLabel = refund.status === 'failed' ? 'Refund Update' : 'Refund Processed';
+    const amount = Number(refund.amount || 0).toFixed(2);
+    const trackUrl = buildTrackUrl(orderNumber);
+    const html = minimalStatusUpdateHtml(orderNumber, `${statusLabel} (₹${amount})`, trackUrl);
+    const text = `${statusLabel}\nOrder #${orderNumber}\nAmount: ₹${amount}\nRefund ID: ${refund.refundId || '-'}\nTrack your order: ${trackUrl}`;
+
+    const info = await transporter.sendMail({
+      from: { name: 'La Patisserie', address: process.env.EMAIL_USER },
+      to: userEmail,
+      subject: `Order #${orderNumber} - ${statusLabel}`,
+      html,
+      text,
+    });
+
+    return res.status(200).json({ success: true, messageId: info.messageId, orderNumber, refundId: refund.refundId });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+export const sendGiftUpdate = async (req, res) => {
+  try {
+    const { orderDetails, gift, recipientEmail } = req.body || {};
+    if (!orderDetails || !gift || !recipientEmail) {
+      return res.status(400).json({ success: false, message: 'orderDetails, gift and recipientEmail are required' });
+    }
+
+    const transporter = createTransporter();
+    const orderNumber = orderDetails?.orderNumber || `ORDER-${Date.now()}`;
+    const senderName = gift.senderName || 'Someone special';
+    const lines = [
+      `Hi ${gift.recipientName || 'there'}, ${senderName} has sent you a gift from La Patisserie. It is out for delivery now.`,
+      gift.message ? `Message: ${gift.message}` : null,
+      gift.deliveryAddress ? `Delivering to: ${gift.deliveryAddress}` : null,
+      gift.deliveryWindow ? `Expected: ${gift.deliveryWindow}` : null,
+      gift.deliveryPin ? `Your delivery PIN: ${gift.deliveryPin} (share it with the delivery person only when you receive your gift)` : null
+    ].filter(Boolean);
+
+    const info = await transporter.sendMail({
+      from: { name: 'La Patisserie', address: process.env.EMAIL_USER },
+      to: recipientEmail,
+      subject: `${senderName} sent you a gift from La Patisserie`,
+      text: lines.join('\n'),
+    });
+
+    return res.status(200).json({ success: true, messageId: info.messageId, orderNumber });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 export const sendPasswordReset = async (req, res) => {
   try {
     const { userEmail, otp } = req.body || {};
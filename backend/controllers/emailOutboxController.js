@@ -0,0 +1,135 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import EmailOutbox, { EMAIL_OUTBOX_STATUSES } from '../models/emailOutboxModel.js';
+import { resendEmail, cancelEmail } from '../services/emailOutboxService.js';
+
+// Bodies, payloads and attachment bytes are left out of the list; the detail view loads them
+const LIST_EXCLUDED_FIELDS = '-message.html -message.text -message.attachments.content -delegate.payload -attemptLog';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const assertValidId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid email id');
+  }
+};
+
+// Attachment bytes become a size; one-time codes lose their content altogether
+const toDetail = (entry) => {
+  const detail = entry.toObject ? entry.toObject() : { ...entry };
+  if (detail.message?.attachments) {
+    detail.message.attachments = detail.message.attachments.map(({ content, ...attachment }) => ({
+      ...attachment,
+      // Stored bytes come back as a BSON Binary, whose length is a method
+      size: content ? (typeof content.length === 'function' ? content.length() : content.length) : null
+    }));
+  }
+  if (detail.sensitive) {
+    if (detail.message) {
+      detail.message.html = null;
+      detail.message.text = null;
+    }
+    if (detail.delegate) detail.delegate.payload = null;
+  }
+  return detail;
+};
+
+// Service errors carry a statusCode; anything else is a server error
+const sendServiceError = (res, error) => {
+  if (!error.statusCode) throw error;
+  res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+};
+
+// @desc    List emails in the outbox
+// @route   GET /api/admin/email-outbox?status=&kind=&search=&page=
+// @access  Admin
+export const getOutboxEmails = asyncHandler(async (req, res) => {
+  const { status, kind, search, page = 1, limit = 25 } = req.query;
+
+  const filter = {};
+  if (status) {
+    if (!EMAIL_OUTBOX_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error('Invalid status');
+    }
+    filter.status = status;
+  }
+  if (kind) filter.kind = kind;
+  if (search && String(search).trim()) {
+    const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+    filter.$or = [{ recipient: pattern }, { orderNumber: pattern }, { 'message.subject': pattern }];
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.max(1, Math.min(100, parseInt(limit, 10) || 25));
+
+  const [emails, total, statusCounts, kinds] = await Promise.all([
+    EmailOutbox.find(filter)
+      .select(LIST_EXCLUDED_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    EmailOutbox.countDocuments(filter),
+    EmailOutbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    EmailOutbox.distinct('kind')
+  ]);
+
+  res.status(200).json({
+    success: true,
+    emails,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum) || 1,
+    total,
+    counts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+    kinds: kinds.sort()
+  });
+});
+
+// @desc    Get one outbox email with its content and attempt history
+// @route   GET /api/admin/email-outbox/:id
+// @access  Admin
+export const getOutboxEmail = asyncHandler(async (req, res) => {
+  assertValidId(req, res);
+  const entry = await EmailOutbox.findById(req.params.id).populate('cancelledBy', 'name email');
+  if (!entry) {
+    res.status(404);
+    throw new Error('Email not found');
+  }
+  res.status(200).json({ success: true, email: toDetail(entry) });
+});
+
+// @desc    Send an outbox email again
+// @route   POST /api/admin/email-outbox/:id/resend
+// @access  Admin
+export const resendOutboxEmail = asyncHandler(async (req, res) => {
+  assertValidId(req, res);
+  try {
+    const result = await resendEmail(req.params.id);
+    const entry = await EmailOutbox.findById(req.params.id);
+    res.status(200).json({
+      success: true,
+      sent: result.success,
+      message: result.success
+        ? 'Email sent'
+        : `Sending failed: ${result.error}.${result.queued ? ' It will be retried.' : ''}`,
+      email: toDetail(entry)
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    Cancel a pending or failed outbox email
+// @route   POST /api/admin/email-outbox/:id/cancel
+// @access  Admin
+export const cancelOutboxEmail = asyncHandler(async (req, res) => {
+  assertValidId(req, res);
+  try {
+    const entry = await cancelEmail(req.params.id, req.user?._id || null);
+    res.status(200).json({ success: true, message: 'Email cancelled', email: toDetail(entry) });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
@@ -1,5 +1,6 @@
 import asyncHandler from 'express-async-handler';
 import Location from '../models/locationModel.js';
+import { checkServiceability, buildServiceZone } from '../services/serviceabilityService.js';
 
 // @desc    Get all active delivery locations
 // @route   GET /api/locations
@@ -9,6 +10,21 @@ export const getLocations = asyncHandler(async (req, res) => {
   res.status(200).json(locations);
 });
 
+// @desc    Check whether we deliver to a pincode or map point
+// @route   GET /api/locations/serviceability?pincode=|lat=&lng=|locationId=
+// @access  Public
+export const getServiceability = asyncHandler(async (req, res) => {
+  const { pincode, lat, lng, locationId, subtotal } = req.query;
+
+  try {
+    const result = await checkServiceability({ pincode, lat, lng, locationId, subtotal });
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+  }
+});
+
 // @desc    Get all locations (including inactive)
 // @route   GET /api/admin/locations
 // @access  Admin
@@ -21,7 +37,7 @@ export const getAllLocations = asyncHandler(async (req, res) => {
 // @route   POST /api/admin/locations
 // @access  Admin
 export const createLocation = asyncHandler(async (req, res) => {
-  const { city, area, pincode, deliveryCharge } = req.body;
+  const { city, area, pincode, deliveryCharge, etaMinutes } = req.body;
   
   if (!city || !area || !pincode) {
     res.status(400);
@@ -33,6 +49,7 @@ export const createLocation = asyncHandler(async (req, res) => {
     area,
     pincode,
     deliveryCharge: deliveryCharge || 49, // Default to 49 if not provided
+    ...(etaMinutes ? { etaMinutes } : {})
   });
   
   res.status(201).json(location);
@@ -58,6 +75,41 @@ export const updateLocation = asyncHandler(async (req, res) => {
   res.status(200).json(updatedLocation);
 });
 
+// @desc    Set a location's delivery zone (polygon or radius) used by the serviceability check
+// @route   PUT /api/admin/locations/:id/zone
+// @access  Admin
+export const updateLocationZone = asyncHandler(async (req, res) => {
+  const location = await Location.findById(req.params.id);
+
+  if (!location) {
+    res.status(404);
+    throw new Error('Location not found');
+  }
+
+  let zone;
+  try {
+    zone = buildServiceZone(req.body);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, code: error.code, message: error.message });
+  }
+
+  location.serviceArea = zone.serviceArea;
+  location.center = zone.center;
+  location.radiusKm = zone.radiusKm;
+
+  try {
+    await location.save();
+  } catch (error) {
+    // MongoDB rejects self-intersecting or otherwise malformed polygons when indexing them
+    if (error.code === 16755 || error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, code: 'INVALID_ZONE', message: 'This zone shape is not valid. Make sure its edges do not cross.' });
+    }
+    throw error;
+  }
+
+  res.status(200).json(location);
+});
+
 // @desc    Toggle location status (active/inactive)
 // @route   PATCH /api/admin/locations/:id/toggle
 // @access  Admin
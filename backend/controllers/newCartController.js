@@ -1,6 +1,21 @@
 import NewCart from '../models/newCartModel.js';
 import Product from '../models/productModel.js';
 import { formatVariantLabel } from '../utils/variantUtils.js';
+import { quoteOrder } from '../services/orderPricingService.js';
+import { resolveAddOns } from '../services/addOnService.js';
+import { resolveDeliverySlot } from '../services/deliverySlotService.js';
+import { resolveDeliveryAddress } from '../services/addressService.js';
+import TimeSettings from '../models/timeSettingsModel.js';
+
+// Saved cart lines in the shape quoteOrder expects from checkout
+const toQuoteCartItems = (cart) => cart.items.map(item => ({
+  productId: item.productId,
+  quantity: item.quantity,
+  variantIndex: Number.isInteger(item.productDetails?.variantIndex) ? item.productDetails.variantIndex : 0,
+  isFreeProduct: item.isFreeProduct || false,
+  addOns: item.addOns || [],
+  price: item.productDetails?.price
+}));
 
 // Helper: find cart by UID with fallbacks to legacy keys and migrate to UID
 async function findCartByUserWithMigration(user) {
@@ -247,9 +262,12 @@ export const getNewCart = async (req, res) => {
           const obj = item.toObject();
           const added = new Date(obj.addedAt);
           const expiresAt = new Date(added.getTime() + expiryWindowMs);
+          // Re-price add-ons from the catalogue and drop any the admin has since removed
+          const { addOns } = resolveAddOns(product, obj.addOns, { strict: false });
           refreshedItems.push({
             ...obj,
             productDetails: updatedProductDetails,
+            addOns,
             expiresAt,
             isFreeProduct: obj.isFreeProduct || false  // Explicitly preserve free product flag
           });
@@ -320,7 +338,7 @@ export const getNewCart = async (req, res) => {
 export const addToNewCart = async (req, res) => {
   try {
     const userId = req.user.uid;
-    const { productId, quantity = 1, variantIndex } = req.body;
+    const { productId, quantity = 1, variantIndex, addOns } = req.body;
 
   // Purge expired first for up-to-date state
   await purgeExpiredForUserId(userId, getExpiryCutoff(req));
@@ -366,6 +384,16 @@ export const addToNewCart = async (req, res) => {
       return res.status(400).json({ error: 'Product price is not valid' });
     }
 
+    // Validate customization picks; quantity-only updates from the cart keep the existing ones
+    let resolvedAddOns;
+    if (addOns !== undefined) {
+      try {
+        resolvedAddOns = resolveAddOns(product, addOns).addOns;
+      } catch (addOnError) {
+        return res.status(addOnError.statusCode || 400).json({ error: addOnError.message, code: addOnError.code });
+      }
+    }
+
     // Check stock availability only if tracking stock
     const variantTracks = Boolean(variant?.isStockActive);
     if (variantTracks) {
@@ -423,6 +451,16 @@ export const addToNewCart = async (req, res) => {
 
         // Check if item already exists in cart to validate max stock for tracked variants
         const existingItem = cart.items.find(item => item.productId.toString() === productId.toString());
+
+        // A new line without picks must still satisfy required groups (e.g. quick add from a product card)
+        if (!existingItem && resolvedAddOns === undefined) {
+          try {
+            resolvedAddOns = resolveAddOns(product, []).addOns;
+          } catch (addOnError) {
+            return res.status(addOnError.statusCode || 400).json({ error: addOnError.message, code: addOnError.code });
+          }
+        }
+
         if (existingItem && variantTracks) {
           const newTotalQuantity = existingItem.quantity + quantity;
           console.log(`🧮 Existing item in cart. prevQty=${existingItem.quantity}, req=${quantity}, newTotal=${newTotalQuantity}, stock=${productStock}`);
@@ -440,7 +478,7 @@ export const addToNewCart = async (req, res) => {
           console.log('⏭️ Variant does not track stock - no validation needed');
         }
 
-  await cart.addOrUpdateItem(productId, quantity, productDetails);
+  await cart.addOrUpdateItem(productId, quantity, productDetails, { addOns: resolvedAddOns });
 
         const updatedCartData = {
           _id: cart._id,
@@ -747,4 +785,104 @@ export const getNewCartCount = async (req, res) => {
     console.error('❌ Error getting cart count:', error);
     res.status(500).json({ error: 'Failed to get cart count' });
   }
-};
\ No newline at end of file
+};
+// @desc    Validate a coupon against the user's cart and return the re-priced summary
+// @route   POST /api/newcart/apply-coupon
+// @access  Private
+export const applyCouponToCart = async (req, res) => {
+  try {
+    const { code, useFreeCash = false, donationAmount = 0 } = req.body || {};
+    const userId = req.user.uid;
+
+    if (!code || !String(code).trim()) {
+      return res.status(400).json({ success: false, code: 'COUPON_REQUIRED', message: 'Please enter a coupon code' });
+    }
+
+    await purgeExpiredForUserId(userId, getExpiryCutoff(req));
+    let cart = await NewCart.findOne({ userId });
+    if (!cart) {
+      cart = await findCartByUserWithMigration(req.user);
+    }
+    if (!cart || !cart.items || cart.items.length === 0) {
+      return res.status(400).json({ success: false, code: 'CART_EMPTY', message: 'Your cart is empty' });
+    }
+
+    const quote = await quoteOrder({
+      cartItems: toQuoteCartItems(cart),
+      user: req.user,
+      couponCode: code,
+      useFreeCash: Boolean(useFreeCash),
+      donationDetails: { donationAmount }
+    });
+
+    if (quote.couponError) {
+      console.log(`🎟️ Coupon ${code} rejected for user ${userId}: ${quote.couponError.code}`);
+      return res.status(400).json({ success: false, ...quote.couponError });
+    }
+
+    console.log(`🎟️ Coupon ${quote.coupon.code} applied for user ${userId}: -₹${quote.coupon.discount}`);
+    res.json({
+      success: true,
+      coupon: quote.coupon,
+      orderSummary: quote.orderSummary,
+      unavailableItems: quote.unavailableItems
+    });
+  } catch (error) {
+    console.error('❌ Error applying coupon:', error);
+    res.status(500).json({ success: false, message: 'Failed to apply coupon' });
+  }
+};
+
+// Delivery charge for the saved cart with the delivery rules applied, so cart and checkout show the server's figure
+export const getCartDeliveryQuote = async (req, res) => {
+  try {
+    const { deliverySlotId, addressId } = req.query;
+    const userId = req.user.uid;
+
+    let cart = await NewCart.findOne({ userId });
+    if (!cart) {
+      cart = await findCartByUserWithMigration(req.user);
+    }
+    if (!cart || !cart.items || cart.items.length === 0) {
+      return res.json({ success: true, deliveryCharge: 0, deliveryBreakdown: null });
+    }
+
+    const timeSettings = await TimeSettings.getCurrentSettings();
+    let deliveryAt = new Date();
+    if (deliverySlotId) {
+      try {
+        deliveryAt = (await resolveDeliverySlot(deliverySlotId, { settings: timeSettings })).startsAt;
+      } catch (slotError) {
+        // Checkout rejects the slot itself; quote for "as soon as possible" meanwhile
+        console.warn(`🚚 Ignoring slot ${deliverySlotId} in delivery quote: ${slotError.message}`);
+      }
+    }
+
+    let deliveryAddress = null;
+    try {
+      deliveryAddress = await resolveDeliveryAddress(req.user, addressId || null);
+    } catch (addressError) {
+      // A deleted address is reported when the order is placed; quote the default meanwhile
+      console.warn(`🚚 Ignoring address ${addressId} in delivery quote: ${addressError.message}`);
+      deliveryAddress = await resolveDeliveryAddress(req.user);
+    }
+
+    const quote = await quoteOrder({
+      cartItems: toQuoteCartItems(cart),
+      user: req.user,
+      useFreeCash: false,
+      deliveryAt,
+      timeSettings,
+      deliveryAddress
+    });
+
+    res.json({
+      success: true,
+      deliveryCharge: quote.orderSummary.deliveryCharge,
+      deliveryBreakdown: quote.orderSummary.deliveryBreakdown
+    });
+  } catch (error) {
+    console.error('❌ Error quoting delivery charge:', error);
+    res.status(500).json({ success: false, message: 'Failed to calculate delivery charge' });
+  }
+};
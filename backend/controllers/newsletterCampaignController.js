@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import NewsletterCampaign, { CAMPAIGN_STATUSES } from '../models/newsletterCampaignModel.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+  TRACKING_PIXEL,
+  assertEditable,
+  cancelCampaign as cancelCampaignService,
+  getCampaignStats,
+  normalizeCampaignInput,
+  normalizeCategory,
+  normalizeSegment,
+  recordClick,
+  recordOpen,
+  resolveAudience,
+  scheduleCampaign as scheduleCampaignService
+} from '../services/newsletterCampaignService.js';
+
+const FALLBACK_REDIRECT = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const sendServiceError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, code: 'CAMPAIGN_INVALID', message: error.message });
+  }
+  if (!error.statusCode) throw error;
+  res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+};
+
+const findCampaign = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid campaign id' });
+    return null;
+  }
+  const campaign = await NewsletterCampaign.findById(req.params.id);
+  if (!campaign) {
+    res.status(404).json({ success: false, message: 'Campaign not found' });
+    return null;
+  }
+  return campaign;
+};
+
+const withStats = async (campaign) => ({
+  ...(campaign.toObject ? campaign.toObject() : campaign),
+  stats: await getCampaignStats(campaign)
+});
+
+// @desc    List newsletter campaigns with their stats
+// @route   GET /api/newsletter/admin/campaigns?status=&page=&limit=
+// @access  Admin
+const getCampaigns = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const filter = {};
+  if (status && CAMPAIGN_STATUSES.includes(status)) {
+    filter.status = status;
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  const [campaigns, total] = await Promise.all([
+    NewsletterCampaign.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    NewsletterCampaign.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: await Promise.all(campaigns.map(withStats)),
+    pagination: {
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / pageSize)
+    }
+  });
+});
+
+// @desc    Get a newsletter campaign with its stats
+// @route   GET /api/newsletter/admin/campaigns/:id
+// @access  Admin
+const getCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req, res);
+  if (!campaign) return;
+
+  res.status(200).json({ success: true, data: await withStats(campaign) });
+});
+
+// @desc    Count the subscribers an audience segment would reach
+// @route   POST /api/newsletter/admin/campaigns/audience
+// @access  Admin
+const previewAudience = asyncHandler(async (req, res) => {
+  try {
+    const segment = normalizeSegment(req.body?.segment);
+    const audience = await resolveAudience(segment, normalizeCategory(req.body?.category, segment));
+    res.status(200).json({ success: true, data: { count: audience.length } });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    Create a draft campaign
+// @route   POST /api/newsletter/admin/campaigns
+// @access  Admin
+const createCampaign = asyncHandler(async (req, res) => {
+  try {
+    const campaign = await NewsletterCampaign.create({
+      ...normalizeCampaignInput(req.body),
+      createdBy: req.user?._id || null
+    });
+    res.status(201).json({ success: true, message: 'Campaign saved as draft', data: await withStats(campaign) });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    Update a draft or scheduled campaign
+// @route   PUT /api/newsletter/admin/campaigns/:id
+// @access  Admin
+const updateCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req, res);
+  if (!campaign) return;
+
+  try {
+    assertEditable(campaign);
+    campaign.set(normalizeCampaignInput(req.body));
+    await campaign.save();
+    res.status(200).json({ success: true, message: 'Campaign updated', data: await withStats(campaign) });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    Delete a draft campaign
+// @route   DELETE /api/newsletter/admin/campaigns/:id
+// @access  Admin
+const deleteCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req, res);
+  if (!campaign) return;
+
+  // Sent campaigns keep their stats; cancel a scheduled one instead of deleting it
+  if (!['draft', 'cancelled'].includes(campaign.status)) {
+    return res.status(409).json({
+      success: false,
+      code: 'CAMPAIGN_LOCKED',
+      message: 'Only draft or cancelled campaigns can be deleted'
+    });
+  }
+
+  await campaign.deleteOne();
+  res.status(200).json({ success: true, message: 'Campaign deleted' });
+});
+
+// @desc    Send a campaign now, or schedule it when scheduledAt is given
+// @route   POST /api/newsletter/admin/campaigns/:id/schedule
+// @access  Admin
+const scheduleCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req, res);
+  if (!campaign) return;
+
+  try {
+    const scheduledAt = req.body?.scheduledAt || null;
+    const saved = await scheduleCampaignService(campaign, scheduledAt);
+    res.status(200).json({
+      success: true,
+      message: scheduledAt ? `Campaign scheduled for ${saved.scheduledAt.toISOString()}` : 'Campaign is being sent',
+      data: await withStats(saved)
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    Cancel a draft or scheduled campaign
+// @route   POST /api/newsletter/admin/campaigns/:id/cancel
+// @access  Admin
+const cancelCampaign = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid campaign id' });
+  }
+
+  try {
+    const campaign = await cancelCampaignService(req.params.id);
+    res.status(200).json({ success: true, message: 'Campaign cancelled', data: await withStats(campaign) });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    Open-tracking pixel
+// @route   GET /api/newsletter/track/open/:token
+// @access  Public
+const trackOpen = asyncHandler(async (req, res) => {
+  try {
+    await recordOpen(req.params.token);
+  } catch (error) {
+    // The image must load whatever happens
+    console.error('Newsletter open tracking failed:', error?.message || error);
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  res.status(200).end(TRACKING_PIXEL);
+});
+
+// @desc    Click-tracking redirect
+// @route   GET /api/newsletter/track/click/:token/:index
+// @access  Public
+const trackClick = asyncHandler(async (req, res) => {
+  let destination = null;
+  try {
+    destination = await recordClick(req.params.token, req.params.index);
+  } catch (error) {
+    console.error('Newsletter click tracking failed:', error?.message || error);
+  }
+
+  res.redirect(302, destination || FALLBACK_REDIRECT);
+});
+
+export {
+  getCampaigns,
+  getCampaign,
+  previewAudience,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  trackOpen,
+  trackClick
+};
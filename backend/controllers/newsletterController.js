@@ -1,5 +1,15 @@
 import Newsletter from '../models/newsletterModel.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+  getPreferencesByToken,
+  unsubscribeByToken,
+  updatePreferencesByToken
+} from '../services/emailPreferenceService.js';
+
+const sendServiceError = (res, error) => {
+  if (!error.statusCode) throw error;
+  res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+};
 
 // @desc    Subscribe to newsletter
 // @route   POST /api/newsletter/subscribe
@@ -47,41 +57,70 @@ const subscribe = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Unsubscribe from newsletter
+// @desc    Unsubscribe from newsletter (or one email category) with the signed link from an email
 // @route   POST /api/newsletter/unsubscribe
 // @access  Public
 const unsubscribe = asyncHandler(async (req, res) => {
-  const { email } = req.body;
+  const { token, list = 'newsletter' } = req.body;
 
-  if (!email) {
-    return res.status(400).json({ 
-      success: false, 
-      message: 'Email is required' 
+  // A bare email address is not accepted: anyone could unsubscribe anyone
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Use the unsubscribe link from one of our emails'
     });
   }
 
-  const subscriber = await Newsletter.findOne({ email: email.toLowerCase() });
-
-  if (!subscriber) {
-    return res.status(404).json({
-      success: false,
-      message: 'Email not found in our subscriber list.'
+  try {
+    const preferences = await unsubscribeByToken(token, list);
+    res.status(200).json({
+      success: true,
+      message: list === 'newsletter'
+        ? 'You have been successfully unsubscribed from our newsletter.'
+        : 'You will no longer receive these emails.',
+      data: preferences
     });
+  } catch (error) {
+    sendServiceError(res, error);
   }
+});
 
-  if (subscriber.status === 'unsubscribed') {
-    return res.status(400).json({
-      success: false,
-      message: 'This email is already unsubscribed.'
-    });
+// @desc    One-click unsubscribe from the List-Unsubscribe header (RFC 8058)
+// @route   POST /api/newsletter/unsubscribe/one-click?token=&list=
+// @access  Public
+const oneClickUnsubscribe = asyncHandler(async (req, res) => {
+  try {
+    await unsubscribeByToken(req.query.token, req.query.list || 'newsletter');
+    res.status(200).json({ success: true, message: 'Unsubscribed' });
+  } catch (error) {
+    sendServiceError(res, error);
   }
+});
 
-  await subscriber.unsubscribe();
+// @desc    Get email preferences for the holder of a signed link
+// @route   GET /api/newsletter/preferences?token=
+// @access  Public
+const getEmailPreferences = asyncHandler(async (req, res) => {
+  try {
+    const preferences = await getPreferencesByToken(req.query.token);
+    res.status(200).json({ success: true, data: preferences });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
 
-  res.status(200).json({
-    success: true,
-    message: 'You have been successfully unsubscribed from our newsletter.'
-  });
+// @desc    Update email preferences for the holder of a signed link
+// @route   PUT /api/newsletter/preferences
+// @access  Public
+const updateEmailPreferences = asyncHandler(async (req, res) => {
+  const { token, newsletter, categories } = req.body;
+
+  try {
+    const preferences = await updatePreferencesByToken(token, { newsletter, categories });
+    res.status(200).json({ success: true, message: 'Your email preferences have been saved.', data: preferences });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
 });
 
 // @desc    Get all subscribers (Admin)
@@ -272,6 +311,9 @@ const getNewsletterStatusByEmail = asyncHandler(async (req, res) => {
 export {
   subscribe,
   unsubscribe,
+  oneClickUnsubscribe,
+  getEmailPreferences,
+  updateEmailPreferences,
   getAllSubscribers,
   addSubscriberManually,
   updateSubscriber,
@@ -136,8 +136,8 @@ export const deleteNotification = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 export const getAdminNotifications = asyncHandler(async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin()) {
+    // Check the user can see order activity
+    if (!req.user.hasPermission('orders')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Admin only.'
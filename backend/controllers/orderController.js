@@ -1,8 +1,10 @@
+import mongoose from 'mongoose';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import Order from '../models/orderModel.js';
 import Product from '../models/productModel.js';
 import DeliveryLocationMapping from '../models/deliveryLocationMappingModel.js';
 import Payment from '../models/paymentModel.js';
+import CustomOrder from '../models/customOrderModel.js';
 import User from '../models/userModel.js';
 import { createNotification } from './notificationController.js';
 import { resolveVariantInfoForItem } from '../utils/variantUtils.js';
@@ -12,7 +14,37 @@ import {
   sendAdminOrderStatusNotification
 } from '../utils/orderEmailService.js';
 import { getLogoData } from '../utils/logoUtils.js';
+import { generateDispatchManifestPdf, generatePackingSlipPdf } from '../utils/dispatchPdf.js';
 import { emitPaymentUpdate } from '../utils/socketEvents.js';
+import { reverseCouponRedemption } from '../services/couponService.js';
+import { releaseDeliverySlot } from '../services/deliverySlotService.js';
+import { issueRefund } from '../services/refundService.js';
+import { amendOrderItems } from '../services/orderAmendmentService.js';
+import { adjustVariantStock } from '../services/stockService.js';
+import { formatAddOnSummary } from '../services/addOnService.js';
+import { notifyGiftRecipient } from '../services/giftOrderService.js';
+import {
+  assertCanHandleOrder,
+  assignDeliveryAgent,
+  buildCashReconciliation,
+  buildDeliveryProof,
+  ensureDeliveryPin,
+  overrideDeliveryPin,
+  recordCodCollection,
+  verifyDeliveryPin
+} from '../services/deliveryService.js';
+import {
+  buildProductionBoard,
+  buildWindowFilter,
+  clampWindowHours,
+  markLinesPrepared
+} from '../services/kitchenService.js';
+import {
+  KITCHEN_STATUSES,
+  applyStatusTransition,
+  buildStatusEntry,
+  canTransition
+} from '../services/orderStatusService.js';
 
 const resolveUserIdString = (userRef) => {
   if (!userRef) {
@@ -102,6 +134,8 @@ const normalizeOrderForEmail = async (orderDoc) => {
   return plainOrder;
 };
 
+const CUSTOMER_ONLY_STATUS_EMAILS = ['confirmed', 'preparing', 'ready', 'out_for_delivery'];
+
 const sendStatusEmails = async (orderDoc, previousStatus, newStatus) => {
   try {
     if (!orderDoc || !newStatus || newStatus === previousStatus) {
@@ -127,8 +161,17 @@ const sendStatusEmails = async (orderDoc, previousStatus, newStatus) => {
       }
     }
 
-    // Don't send admin email for "out_for_delivery" status - only notify the customer
-    if (newStatus !== 'out_for_delivery') {
+    // Gift recipients hear from us once, when the order leaves with the delivery PIN
+    if (newStatus === 'out_for_delivery' && normalizedOrder.gift?.recipientEmail) {
+      try {
+        await notifyGiftRecipient(normalizedOrder);
+      } catch (giftEmailError) {
+        console.error('Failed to send gift recipient email:', giftEmailError.message);
+      }
+    }
+
+    // Kitchen stages and dispatch are set by admins themselves - only notify the customer
+    if (!CUSTOMER_ONLY_STATUS_EMAILS.includes(newStatus)) {
       let adminEmails = [];
       try {
         adminEmails = await getActiveAdminEmails();
@@ -144,164 +187,308 @@ const sendStatusEmails = async (orderDoc, previousStatus, newStatus) => {
         }
       }
     } else {
-      console.log(`Skipping admin email notification for order #${normalizedOrder.orderNumber} - Status: out_for_delivery (customer-only notification)`);
+      console.log(`Skipping admin email notification for order #${normalizedOrder.orderNumber} - Status: ${newStatus} (customer-only notification)`);
     }
   } catch (error) {
     console.error('Status email workflow failed:', error.message);
   }
 };
 
-// @desc    Get grouped pending orders for order tracking
-// @route   GET /api/admin/orders/grouped
-// @access  Private/Admin
-export const getGroupedPendingOrders = asyncHandler(async (req, res) => {
-  try {
-    // Get orders with 'placed', 'confirmed', and 'out_for_delivery' status (ready for dispatch or partially dispatched)
-    const orders = await Order.find({
-      orderStatus: { $in: ['placed', 'confirmed', 'out_for_delivery'] }
-    })
-    .populate({
-      path: 'cartItems.productId',
-      select: 'name variants images category',
-      populate: {
-        path: 'category',
-        model: 'Category'
-      }
-    })
-    .populate({
-      path: 'hostelId',
-      populate: {
-        path: 'locationId',
-        model: 'Location'
-      }
-    })
-    .lean();
+// Email, in-app notification and socket events for a status change made outside the dispatch flows
+const broadcastStatusChange = (order, previousStatus, { type, title, message, data = {} }) => {
+  sendStatusEmails(order, previousStatus, order.orderStatus)
+    .catch(err => console.error(`❌ Status email failed for order #${order.orderNumber}:`, err.message));
+
+  if (global.io) {
+    const userSocketId = getConnectedUserSocketId(order.userId);
+    if (userSocketId) {
+      global.io.to(userSocketId).emit('orderStatusUpdate', {
+        orderNumber: order.orderNumber,
+        status: order.orderStatus,
+        previousStatus,
+        message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Admin screens (order tracking, kitchen) refresh from this
+    global.io.emit('orderStatusUpdated', {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      status: order.orderStatus,
+      previousStatus,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  createNotification(
+    resolveUserIdString(order.userId),
+    order.orderNumber,
+    type,
+    title,
+    message,
+    {
+      orderNumber: order.orderNumber,
+      status: order.orderStatus,
+      hostelName: order.hostelName,
+      deliveryLocation: order.deliveryLocation,
+      ...data
+    }
+  ).catch(err => console.error('Failed to create status notification:', err.message));
+};
+
+const KITCHEN_STAGE_UPDATES = {
+  confirmed: {
+    type: 'order_confirmed',
+    title: '**Order Confirmed!** ✅',
+    message: (order) => `Your order **#${order.orderNumber}** has been confirmed by our kitchen.`
+  },
+  preparing: {
+    type: 'order_preparing',
+    title: '**Baking in Progress!** 👩‍🍳',
+    message: (order) => `Our bakers have started preparing your order **#${order.orderNumber}**.`
+  },
+  ready: {
+    type: 'order_ready',
+    title: '**Order Ready!** 🎂',
+    message: (order) => `Your order **#${order.orderNumber}** is ready and will be dispatched soon.`
+  }
+};
+
+// Per-order line for dispatch and rider screens
+const summarizeDeliveryOrder = (order) => ({
+  _id: order._id,
+  orderNumber: order.orderNumber,
+  orderStatus: order.orderStatus,
+  customerName: order.userDetails?.name || '',
+  customerPhone: order.userDetails?.phone || '',
+  paymentMethod: order.paymentMethod,
+  paymentStatus: order.paymentStatus,
+  amount: order.amount,
+  // Cash the rider still has to take at the door
+  codDue: order.paymentMethod === 'cod' && !order.codCollection ? order.amount : 0,
+  deliveryAgent: order.deliveryAssignment ? {
+    _id: order.deliveryAssignment.agent,
+    name: order.deliveryAssignment.agentName,
+    pickedUpAt: order.deliveryAssignment.pickedUpAt
+  } : null,
+  roomNumber: order.deliveryAddress?.roomNumber || '',
+  itemCount: (order.cartItems || []).reduce((sum, item) => sum + (item.quantity || 0), 0),
+  // Riders call the recipient, not the buyer, at the door of a gift order
+  gift: order.gift ? {
+    recipientName: order.gift.recipientName,
+    recipientPhone: order.gift.recipientPhone
+  } : null,
+  notes: order.notes || ''
+});
+
+// 'asap' matches orders without a slot; a slot start ISO string matches that batch
+const deliverySlotFilter = (slot) => {
+  if (slot === 'asap') return { deliverySlot: null };
+  const slotStart = slot ? new Date(slot) : null;
+  return slotStart && !Number.isNaN(slotStart.getTime()) ? { 'deliverySlot.startsAt': slotStart } : {};
+};
+
+// Orders still to go out, grouped by delivery slot and hostel. Riders (riderId) see only their own orders
+// and keep dispatched items on the list until they are delivered.
+const buildDeliveryGroups = async ({ slot, riderId = null } = {}) => {
+  const riderView = Boolean(riderId);
+  // Orders still with the kitchen plus partially dispatched ones
+  const query = {
+    orderStatus: { $in: [...KITCHEN_STATUSES, 'out_for_delivery'] }
+  };
+
+  // Optional ?slot=asap or ?slot=<slot start ISO> to dispatch one batch at a time
+  Object.assign(query, deliverySlotFilter(slot));
+
+  if (riderView) {
+    query['deliveryAssignment.agent'] = riderId;
+  }
+
+  const orders = await Order.find(query)
+  .populate({
+    path: 'cartItems.productId',
+    select: 'name variants images category',
+    populate: {
+      path: 'category',
+      model: 'Category'
+    }
+  })
+  .populate({
+    path: 'hostelId',
+    populate: {
+      path: 'locationId',
+      model: 'Location'
+    }
+  })
+  .lean();
+  
+  if (orders.length === 0) {
+    return [];
+  }
+  
+  // Manually group the orders by delivery slot, then hostel, so each slot dispatches as one batch
+  const hostelGroups = {};
+  
+  orders.forEach(order => {
+    // Get hostel information from populated data or fallback to stored strings
+    const hostelName = order.hostelId?.name || order.hostelName || 'Unknown Hostel';
+    const hostelLocation = order.hostelId?.locationId ? 
+      `${order.hostelId.locationId.area}, ${order.hostelId.locationId.city} - ${order.hostelId.locationId.pincode}` :
+      order.deliveryLocation || 'Unknown Location';
+    const slotKey = order.deliverySlot?.startsAt ? new Date(order.deliverySlot.startsAt).toISOString() : 'asap';
+    const groupKey = `${slotKey}|${hostelName}`;
     
-    if (orders.length === 0) {
-      return res.status(200).json([]);
+    // Initialize hostel group if not exists
+    if (!hostelGroups[groupKey]) {
+      hostelGroups[groupKey] = {
+        deliverySlot: order.deliverySlot?.startsAt ? {
+          startsAt: order.deliverySlot.startsAt,
+          endsAt: order.deliverySlot.endsAt,
+          label: order.deliverySlot.label
+        } : null,
+        hostel: hostelName,
+        hostelId: order.hostelId?._id || null,
+        locationInfo: order.hostelId?.locationId || null,
+        deliveryLocations: [], // Store all delivery locations
+        categories: {},
+        orders: [],
+        totalOrders: 0
+      };
     }
+
+    hostelGroups[groupKey].orders.push(summarizeDeliveryOrder(order));
     
-    // Manually group the orders
-    const hostelGroups = {};
+    // Add delivery location to the list if not already present
+    // Use the constructed hostel location if available, otherwise use the stored delivery location
+    const location = hostelLocation || order.deliveryLocation?.trim();
+    if (location && location !== '' && !hostelGroups[groupKey].deliveryLocations.includes(location)) {
+      hostelGroups[groupKey].deliveryLocations.push(location);
+    }
     
-    orders.forEach(order => {
-      // Get hostel information from populated data or fallback to stored strings
-      const hostelName = order.hostelId?.name || order.hostelName || 'Unknown Hostel';
-      const hostelLocation = order.hostelId?.locationId ? 
-        `${order.hostelId.locationId.area}, ${order.hostelId.locationId.city} - ${order.hostelId.locationId.pincode}` :
-        order.deliveryLocation || 'Unknown Location';
+    // Process each cart item - only count pending items
+    order.cartItems.forEach(item => {
+      // Skip items that are already dispatched (riders still carry those) or delivered
+      if ((!riderView && item.dispatchStatus === 'dispatched') || item.dispatchStatus === 'delivered') {
+        return;
+      }
+
+      let categoryName = 'Unknown Category';
+      
+      // Try to get category name from populated data
+      if (item.productId && item.productId.category && item.productId.category.name) {
+        categoryName = item.productId.category.name;
+      }
       
-      // Initialize hostel group if not exists
-      if (!hostelGroups[hostelName]) {
-        hostelGroups[hostelName] = {
-          hostel: hostelName,
-          hostelId: order.hostelId?._id || null,
-          locationInfo: order.hostelId?.locationId || null,
-          deliveryLocations: [], // Store all delivery locations
-          categories: {},
+      const productName = item.productName;
+      
+      // Initialize category if not exists
+      if (!hostelGroups[groupKey].categories[categoryName]) {
+        hostelGroups[groupKey].categories[categoryName] = {
+          category: categoryName,
+          products: {},
           totalOrders: 0
         };
       }
       
-      // Add delivery location to the list if not already present
-      // Use the constructed hostel location if available, otherwise use the stored delivery location
-      const location = hostelLocation || order.deliveryLocation?.trim();
-      if (location && location !== '' && !hostelGroups[hostelName].deliveryLocations.includes(location)) {
-        hostelGroups[hostelName].deliveryLocations.push(location);
+      // Initialize product if not exists
+      if (!hostelGroups[groupKey].categories[categoryName].products[productName]) {
+        hostelGroups[groupKey].categories[categoryName].products[productName] = {
+          productName: productName,
+          productId: item.productId ? item.productId._id : item.productId,
+          productImage: item.productId && item.productId.images && item.productId.images.length > 0 
+            ? item.productId.images[0] 
+            : null,
+          orderCount: 0,
+          totalQuantity: 0,
+          orderIds: [],
+          customizations: []
+        };
       }
       
-      // Process each cart item - only count pending items
-      order.cartItems.forEach(item => {
-        // Skip items that are already dispatched or delivered
-        if (item.dispatchStatus === 'dispatched' || item.dispatchStatus === 'delivered') {
-          return;
-        }
-
-        let categoryName = 'Unknown Category';
-        
-        // Try to get category name from populated data
-        if (item.productId && item.productId.category && item.productId.category.name) {
-          categoryName = item.productId.category.name;
-        }
-        
-        const productName = item.productName;
-        
-        // Initialize category if not exists
-        if (!hostelGroups[hostelName].categories[categoryName]) {
-          hostelGroups[hostelName].categories[categoryName] = {
-            category: categoryName,
-            products: {},
-            totalOrders: 0
-          };
-        }
-        
-        // Initialize product if not exists
-        if (!hostelGroups[hostelName].categories[categoryName].products[productName]) {
-          hostelGroups[hostelName].categories[categoryName].products[productName] = {
-            productName: productName,
-            productId: item.productId ? item.productId._id : item.productId,
-            productImage: item.productId && item.productId.images && item.productId.images.length > 0 
-              ? item.productId.images[0] 
-              : null,
-            orderCount: 0,
-            totalQuantity: 0,
-            orderIds: []
-          };
+      // Add to counts - only pending items
+      const productGroup = hostelGroups[groupKey].categories[categoryName].products[productName];
+      productGroup.orderCount += 1;
+      productGroup.totalQuantity += item.quantity;
+      productGroup.orderIds.push(order._id);
+
+      // Lines with add-ons are listed separately so the kitchen makes each one as ordered
+      if (item.addOns?.length) {
+        const summary = formatAddOnSummary(item.addOns);
+        const variantLabel = item.variantLabel || '';
+        let customization = productGroup.customizations.find(entry => entry.summary === summary && entry.variantLabel === variantLabel);
+        if (!customization) {
+          customization = { variantLabel, summary, quantity: 0, orderNumbers: [] };
+          productGroup.customizations.push(customization);
         }
-        
-        // Add to counts - only pending items
-        hostelGroups[hostelName].categories[categoryName].products[productName].orderCount += 1;
-        hostelGroups[hostelName].categories[categoryName].products[productName].totalQuantity += item.quantity;
-        hostelGroups[hostelName].categories[categoryName].products[productName].orderIds.push(order._id);
-        
-        hostelGroups[hostelName].categories[categoryName].totalOrders += 1;
-        hostelGroups[hostelName].totalOrders += 1;
-      });
+        customization.quantity += item.quantity;
+        customization.orderNumbers.push(order.orderNumber);
+      }
+      
+      hostelGroups[groupKey].categories[categoryName].totalOrders += 1;
+      hostelGroups[groupKey].totalOrders += 1;
+    });
+  });
+  
+  // Convert to array format expected by frontend, filtering out empty categories
+  const result = Object.values(hostelGroups)
+    .map(hostelGroup => ({
+      deliverySlot: hostelGroup.deliverySlot,
+      hostel: hostelGroup.hostel,
+      hostelId: hostelGroup.hostelId,
+      locationInfo: hostelGroup.locationInfo,
+      deliveryLocation: hostelGroup.deliveryLocations.length > 0 
+        ? hostelGroup.deliveryLocations[0]
+        : 'Unknown Location',
+      totalOrders: hostelGroup.totalOrders,
+      orders: hostelGroup.orders,
+      categories: Object.values(hostelGroup.categories)
+        .filter(categoryGroup => categoryGroup.totalOrders > 0)
+        .map(categoryGroup => ({
+          category: categoryGroup.category,
+          totalOrders: categoryGroup.totalOrders,
+          products: Object.values(categoryGroup.products).filter(product => product.orderCount > 0)
+        }))
+    }))
+    .filter(hostelGroup => hostelGroup.totalOrders > 0 && hostelGroup.categories.length > 0)
+    // "As soon as possible" first, then slots in time order
+    .sort((a, b) => {
+      const aStart = a.deliverySlot ? new Date(a.deliverySlot.startsAt).getTime() : 0;
+      const bStart = b.deliverySlot ? new Date(b.deliverySlot.startsAt).getTime() : 0;
+      return aStart - bStart;
     });
+
+  // Try to enhance with delivery location mapping data
+  try {
+    const mappings = await DeliveryLocationMapping.find({ isActive: true }).lean();
+    const mappingByHostel = {};
     
-    // Convert to array format expected by frontend, filtering out empty categories
-    const result = Object.values(hostelGroups)
-      .map(hostelGroup => ({
-        hostel: hostelGroup.hostel,
-        hostelId: hostelGroup.hostelId,
-        locationInfo: hostelGroup.locationInfo,
-        deliveryLocation: hostelGroup.deliveryLocations.length > 0 
-          ? hostelGroup.deliveryLocations[0]
-          : 'Unknown Location',
-        totalOrders: hostelGroup.totalOrders,
-        categories: Object.values(hostelGroup.categories)
-          .filter(categoryGroup => categoryGroup.totalOrders > 0)
-          .map(categoryGroup => ({
-            category: categoryGroup.category,
-            totalOrders: categoryGroup.totalOrders,
-            products: Object.values(categoryGroup.products).filter(product => product.orderCount > 0)
-          }))
-      }))
-      .filter(hostelGroup => hostelGroup.totalOrders > 0 && hostelGroup.categories.length > 0);
+    mappings.forEach(mapping => {
+      if (mapping.hostelName && mapping.deliveryLocation) {
+        mappingByHostel[mapping.hostelName] = mapping.deliveryLocation;
+      }
+    });
 
-    // Try to enhance with delivery location mapping data
-    try {
-      const mappings = await DeliveryLocationMapping.find({ isActive: true }).lean();
-      const mappingByHostel = {};
-      
-      mappings.forEach(mapping => {
-        if (mapping.hostelName && mapping.deliveryLocation) {
-          mappingByHostel[mapping.hostelName] = mapping.deliveryLocation;
-        }
-      });
+    // Update delivery locations with mapping data
+    result.forEach(hostelGroup => {
+      if (mappingByHostel[hostelGroup.hostel]) {
+        hostelGroup.deliveryLocation = mappingByHostel[hostelGroup.hostel];
+      }
+    });
+  } catch (mappingError) {
+    console.log('Could not fetch delivery location mappings:', mappingError.message);
+  }
+  
+  return result;
+};
 
-      // Update delivery locations with mapping data
-      result.forEach(hostelGroup => {
-        if (mappingByHostel[hostelGroup.hostel]) {
-          hostelGroup.deliveryLocation = mappingByHostel[hostelGroup.hostel];
-        }
-      });
-    } catch (mappingError) {
-      console.log('Could not fetch delivery location mappings:', mappingError.message);
-    }
-    
+const listGroupedOrders = ({ riderView = false } = {}) => asyncHandler(async (req, res) => {
+  try {
+    const result = await buildDeliveryGroups({
+      slot: req.query.slot,
+      riderId: riderView ? req.user._id : null
+    });
     res.status(200).json(result);
-    
   } catch (error) {
     console.error('Error in getGroupedPendingOrders:', error);
     res.status(500).json({ 
@@ -311,14 +498,112 @@ export const getGroupedPendingOrders = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Get grouped pending orders for order tracking
+// @route   GET /api/admin/orders/grouped
+// @access  Private/Admin
+export const getGroupedPendingOrders = listGroupedOrders();
+
+// @desc    Orders assigned to the signed-in rider, grouped by slot and hostel
+// @route   GET /api/delivery/orders
+// @access  Private/Delivery
+export const getRiderOrders = listGroupedOrders({ riderView: true });
+
+const sendPdf = (res, { filename, buffer }) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.status(200).send(buffer);
+};
+
+// @desc    Dispatch manifest PDF for one hostel batch of the grouped pending orders
+// @route   GET /api/admin/orders/manifest?hostel=<hostel name>&slot=asap|<slot start ISO>
+// @access  Private/Admin
+export const downloadDispatchManifest = asyncHandler(async (req, res) => {
+  const { hostel, slot } = req.query;
+
+  if (!hostel) {
+    return res.status(400).json({
+      message: 'hostel is required'
+    });
+  }
+
+  try {
+    const groups = await buildDeliveryGroups({ slot });
+    // Without a slot, every batch for the hostel goes on one manifest
+    const matching = groups.filter(group => group.hostel === hostel);
+    if (matching.length === 0) {
+      return res.status(404).json({
+        message: `No orders waiting for dispatch to ${hostel}`
+      });
+    }
+
+    const group = matching.length === 1 ? matching[0] : {
+      ...matching[0],
+      deliverySlot: null,
+      orders: matching.flatMap(entry => entry.orders)
+    };
+
+    sendPdf(res, await generateDispatchManifestPdf(group));
+  } catch (error) {
+    console.error('Error generating dispatch manifest:', error);
+    res.status(500).json({
+      message: 'Failed to generate dispatch manifest',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Packing slip PDF for one order
+// @route   GET /api/admin/orders/:orderId/packing-slip
+// @access  Private/Admin
+export const downloadPackingSlip = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  if (!mongoose.isValidObjectId(orderId)) {
+    return res.status(400).json({
+      message: 'Invalid order ID'
+    });
+  }
+
+  try {
+    let order = await Order.findById(orderId).select('+deliveryPin.code');
+
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found'
+      });
+    }
+
+    // Slips are printed while packing, so the PIN may be issued here rather than at dispatch.
+    // If a dispatch issued one meanwhile, print that one instead.
+    if (ensureDeliveryPin(order)) {
+      const issued = await Order.updateOne(
+        { _id: order._id, 'deliveryPin.generatedAt': null },
+        { $set: { deliveryPin: order.toObject().deliveryPin } }
+      );
+      if (!issued.modifiedCount) {
+        order = await Order.findById(orderId).select('+deliveryPin.code');
+      }
+    }
+
+    sendPdf(res, await generatePackingSlipPdf(order.toObject()));
+  } catch (error) {
+    console.error('Error generating packing slip:', error);
+    res.status(500).json({
+      message: 'Failed to generate packing slip',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get individual pending orders for detailed dispatch management
 // @route   GET /api/admin/orders/individual
 // @access  Private/Admin
 export const getIndividualPendingOrders = asyncHandler(async (req, res) => {
   try {
-    // Get orders with 'placed' and 'confirmed' status that have pending items
+    // Orders still with the kitchen or partially dispatched that have pending items
     const orders = await Order.find({
-      orderStatus: { $in: ['placed', 'confirmed', 'out_for_delivery'] },
+      orderStatus: { $in: [...KITCHEN_STATUSES, 'out_for_delivery'] },
       'cartItems.dispatchStatus': { $in: ['pending', null, undefined] }
     })
     .populate({
@@ -413,11 +698,14 @@ export const getIndividualPendingOrders = asyncHandler(async (req, res) => {
         hostelId: order.hostelId?._id || null,
         hostelInfo: order.hostelId || null,
         locationInfo: order.hostelId?.locationId || null,
+        deliveryAddress: order.deliveryAddress || null,
+        gift: order.gift || null,
         orderStatus: order.orderStatus,
         paymentStatus: order.paymentStatus,
         amount: order.amount,
         createdAt: order.createdAt,
         estimatedDeliveryTime: order.estimatedDeliveryTime,
+        deliveryAgent: summarizeDeliveryOrder(order).deliveryAgent,
         pendingItems: pendingItems,
         dispatchedItems_list: dispatchedItems,
         deliveredItems_list: deliveredItems,
@@ -442,7 +730,7 @@ export const getIndividualPendingOrders = asyncHandler(async (req, res) => {
 // @route   POST /api/admin/dispatch
 // @access  Private/Admin
 export const dispatchOrders = asyncHandler(async (req, res) => {
-  const { hostel, category, productName, count } = req.body;
+  const { hostel, category, productName, count, deliverySlot } = req.body;
 
   // Validate required fields
   if (!hostel || !category || !productName || !count) {
@@ -458,12 +746,13 @@ export const dispatchOrders = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Find orders that match the criteria and are ready for dispatch ('placed' or 'confirmed' status)
+    // Find orders that match the criteria and are still with the kitchen
     const pendingOrders = await Order.find({
       hostelName: hostel,
-      orderStatus: { $in: ['placed', 'confirmed'] },
-      'cartItems.productName': productName
-    }).populate({
+      orderStatus: { $in: KITCHEN_STATUSES },
+      'cartItems.productName': productName,
+      ...deliverySlotFilter(deliverySlot)
+    }).select('+deliveryPin.code').populate({
       path: 'cartItems.productId',
       populate: {
         path: 'category',
@@ -522,6 +811,19 @@ export const dispatchOrders = asyncHandler(async (req, res) => {
         return plainItem;
       });
 
+      // First dispatch gives the order its delivery PIN. If a packing slip or another dispatch
+      // issued one meanwhile, keep that one and email it instead.
+      if (ensureDeliveryPin(order)) {
+        const issued = await Order.updateOne(
+          { _id: order._id, 'deliveryPin.generatedAt': null },
+          { $set: { deliveryPin: order.toObject().deliveryPin } }
+        );
+        if (!issued.modifiedCount) {
+          const stored = await Order.findById(order._id).select('+deliveryPin.code deliveryPin').lean();
+          order.set('deliveryPin', stored?.deliveryPin || null);
+        }
+      }
+
       // Update order asynchronously to avoid blocking WebSocket notification
       Order.findByIdAndUpdate(order._id, {
         cartItems: updatedCartItems,
@@ -529,9 +831,12 @@ export const dispatchOrders = asyncHandler(async (req, res) => {
       }).then(async (updatedOrder) => {
         if (updatedOrder) {
           const calculatedStatus = updatedOrder.calculateOrderStatus();
-          if (calculatedStatus !== updatedOrder.orderStatus) {
+          if (calculatedStatus !== updatedOrder.orderStatus && canTransition(updatedOrder.orderStatus, calculatedStatus)) {
             await Order.findByIdAndUpdate(order._id, {
-              orderStatus: calculatedStatus
+              orderStatus: calculatedStatus,
+              $push: {
+                statusHistory: buildStatusEntry(updatedOrder.orderStatus, calculatedStatus, { actor: req.user, source: 'dispatch' })
+              }
             }).catch(err => console.error('Failed to update order status:', err.message));
           }
         }
@@ -542,6 +847,8 @@ export const dispatchOrders = asyncHandler(async (req, res) => {
 
       if (finalOrderDoc) {
         finalOrderDoc.cartItems = updatedCartItems;
+        // The dispatch email carries the PIN, which the refetch does not select
+        finalOrderDoc.set('deliveryPin', order.toObject().deliveryPin);
         // Send emails asynchronously (non-blocking) via Vercel
         sendStatusEmails(finalOrderDoc, previousStatus, finalOrderDoc.orderStatus)
           .then(() => console.log(`✅ Bulk dispatch email sent for order #${finalOrderDoc.orderNumber}`))
@@ -657,6 +964,7 @@ export const dispatchIndividualItem = asyncHandler(async (req, res) => {
   try {
     // Find the specific order
     const order = await Order.findById(orderId)
+      .select('+deliveryPin.code')
       .populate({
         path: 'cartItems.productId',
         populate: {
@@ -678,7 +986,7 @@ export const dispatchIndividualItem = asyncHandler(async (req, res) => {
    
 
     // Check if order is in a dispatchable state
-    if (!['placed', 'confirmed', 'out_for_delivery'].includes(order.orderStatus)) {
+    if (![...KITCHEN_STATUSES, 'out_for_delivery'].includes(order.orderStatus)) {
       return res.status(400).json({
         message: 'Order is not in a dispatchable state'
       });
@@ -705,6 +1013,7 @@ export const dispatchIndividualItem = asyncHandler(async (req, res) => {
     // Update the specific item's dispatch status
     order.cartItems[itemIndex].dispatchStatus = 'dispatched';
     order.cartItems[itemIndex].dispatchedAt = new Date();
+    ensureDeliveryPin(order);
 
     // Calculate new order status
     const dispatchedItems = order.cartItems.filter(item => item.dispatchStatus === 'dispatched').length;
@@ -718,7 +1027,7 @@ export const dispatchIndividualItem = asyncHandler(async (req, res) => {
       newOrderStatus = 'out_for_delivery';
     }
 
-    order.orderStatus = newOrderStatus;
+    applyStatusTransition(order, newOrderStatus, { actor: req.user, source: 'dispatch' });
     order.updatedAt = new Date();
 
     // Save order asynchronously to avoid blocking WebSocket notification
@@ -809,8 +1118,8 @@ export const dispatchIndividualItem = asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error('Error in dispatchIndividualItem:', error);
-    res.status(500).json({
-      message: 'Failed to dispatch item',
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Failed to dispatch item',
       error: error.message
     });
   }
@@ -818,9 +1127,13 @@ export const dispatchIndividualItem = asyncHandler(async (req, res) => {
 
 // @desc    Mark individual item or all dispatched items as delivered
 // @route   POST /api/admin/deliver-item
-// @access  Private/Admin
+// @route   POST /api/delivery/orders/:orderId/deliver (riders deliver everything dispatched)
+// @access  Private/Admin, Private/Delivery
 export const markAsDelivered = asyncHandler(async (req, res) => {
-  const { orderId, productName, categoryName, deliverAll } = req.body;
+  const isRider = req.user?.role === 'delivery';
+  const orderId = req.params.orderId || req.body.orderId;
+  const { productName, categoryName, pin, override, photo, cashCollected } = req.body;
+  const deliverAll = isRider && !productName ? 'ALL_DISPATCHED' : req.body.deliverAll;
 
   // Validate required fields
   if (!orderId) {
@@ -832,6 +1145,7 @@ export const markAsDelivered = asyncHandler(async (req, res) => {
   try {
     // Find the specific order
     const order = await Order.findById(orderId)
+      .select('+deliveryPin.code')
       .populate({
         path: 'cartItems.productId',
         populate: {
@@ -848,12 +1162,32 @@ export const markAsDelivered = asyncHandler(async (req, res) => {
     }
 
     // Check if order is in a deliverable state
-    if (!['out_for_delivery', 'confirmed', 'placed'].includes(order.orderStatus)) {
+    if (![...KITCHEN_STATUSES, 'out_for_delivery'].includes(order.orderStatus)) {
       return res.status(400).json({
         message: 'Order is not in a deliverable state'
       });
     }
 
+    assertCanHandleOrder(order, req.user);
+
+    // Handover needs the customer's PIN; admins can override with a recorded reason
+    let overrideReason = null;
+    if (override) {
+      overrideReason = overrideDeliveryPin(order, req.user, override.reason);
+    } else {
+      const pinCheck = verifyDeliveryPin(order, pin, req.user);
+      if (!pinCheck.verified) {
+        // Keep the failed attempt count
+        await order.save();
+        return res.status(pinCheck.statusCode).json({
+          message: pinCheck.message,
+          code: 'DELIVERY_PIN_REJECTED',
+          attemptsLeft: pinCheck.attemptsLeft,
+          lockedUntil: pinCheck.lockedUntil
+        });
+      }
+    }
+
     let updatedItems = [];
 
     if (deliverAll === 'ALL_DISPATCHED') {
@@ -924,20 +1258,54 @@ export const markAsDelivered = asyncHandler(async (req, res) => {
       order.paymentMethod === 'cod' &&
       order.paymentStatus !== 'paid';
 
+    // Riders account for the cash in hand before a COD order can close
+    if (isRider && shouldFinalizeCodPayment && !order.codCollection) {
+      if (cashCollected === undefined || cashCollected === null || cashCollected === '') {
+        return res.status(400).json({
+          message: `Record the cash collected (₹${order.amount}) before completing this COD delivery`
+        });
+      }
+      recordCodCollection(order, req.user, Number(cashCollected));
+    }
+
+    if (!order.deliveryProof || photo) {
+      order.deliveryProof = await buildDeliveryProof({
+        method: overrideReason ? 'override' : 'pin',
+        photo,
+        user: req.user
+      });
+    }
+
     if (shouldFinalizeCodPayment) {
       order.paymentStatus = 'paid';
     }
 
-  order.orderStatus = newOrderStatus;
+    // Items were dispatched, so an order still showing a kitchen stage passes through out_for_delivery first
+    if (KITCHEN_STATUSES.includes(order.orderStatus) && newOrderStatus !== order.orderStatus) {
+      applyStatusTransition(order, 'out_for_delivery', { actor: req.user, source: 'delivery' });
+    }
+    applyStatusTransition(order, newOrderStatus, {
+      actor: req.user,
+      source: overrideReason ? 'delivery_pin_override' : 'delivery',
+      note: overrideReason ? `Delivered without PIN: ${overrideReason}` : undefined
+    });
     order.updatedAt = new Date();
 
-    // Save order asynchronously to avoid blocking WebSocket notification
-    order.save().catch(err => console.error('Failed to save delivery status:', err.message));
+    // The save carries the PIN check, proof and COD cash record, so nothing goes out until it is stored
+    try {
+      await order.save();
+    } catch (saveError) {
+      console.error('Failed to save delivery status:', saveError.message);
+      return res.status(500).json({
+        message: 'Failed to record the delivery. Please try again.',
+        error: saveError.message
+      });
+    }
 
-  // Send status emails asynchronously (non-blocking) via Vercel
-  sendStatusEmails(order, previousStatus, newOrderStatus)
-    .then(() => console.log(`✅ Delivery email sent for order #${order.orderNumber}`))
-    .catch(err => console.error(`❌ Delivery email failed for order #${order.orderNumber}:`, err.message));
+    // Send status emails asynchronously (non-blocking) via Vercel
+    sendStatusEmails(order, previousStatus, newOrderStatus)
+      .then(() => console.log(`✅ Delivery email sent for order #${order.orderNumber}`))
+      .catch(err => console.error(`❌ Delivery email failed for order #${order.orderNumber}:`, err.message));
 
     if (shouldFinalizeCodPayment) {
       try {
@@ -1058,6 +1426,10 @@ export const markAsDelivered = asyncHandler(async (req, res) => {
         orderNumber: order.orderNumber,
         orderStatus: newOrderStatus,
         paymentStatus: order.paymentStatus,
+        deliveryPin: {
+          verifiedAt: order.deliveryPin?.verifiedAt || null,
+          override: order.deliveryPin?.override || null
+        },
         items: order.cartItems.map(item => {
           const serializedItem = {
             ...item.toObject(),
@@ -1083,73 +1455,634 @@ export const markAsDelivered = asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error('Error in markAsDelivered:', error);
-    res.status(500).json({
-      message: 'Failed to mark item(s) as delivered',
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Failed to mark item(s) as delivered',
       error: error.message
     });
   }
 });
 
-// @desc    Get order statistics for dashboard
-// @route   GET /api/admin/orders/stats
-// @access  Private/Admin
-export const getOrderStats = asyncHandler(async (req, res) => {
+const updateKitchenStatus = (targetStatus) => asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { note } = req.body || {};
+
   try {
-    const stats = await Order.aggregate([
-      {
-        $group: {
-          _id: '$orderStatus',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    // Accepts the order _id or its order number
+    const order = await Order.findOne(mongoose.isValidObjectId(orderId) ? { _id: orderId } : { orderNumber: orderId })
+      .populate('userId', '_id name email phone');
 
-    const formattedStats = {
-      total: 0,
-      placed: 0,
-      confirmed: 0,
-      preparing: 0,
-      ready: 0,
-      out_for_delivery: 0,
-      delivered: 0,
-      cancelled: 0
-    };
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found'
+      });
+    }
 
-    stats.forEach(stat => {
-      formattedStats[stat._id] = stat.count;
-      formattedStats.total += stat.count;
+    const previousStatus = applyStatusTransition(order, targetStatus, { actor: req.user, source: 'admin', note });
+    if (!previousStatus) {
+      return res.status(400).json({
+        message: `Order is already ${targetStatus}`
+      });
+    }
+    if (targetStatus === 'ready') {
+      // A ready order has nothing left on the kitchen board
+      markLinesPrepared(order, order.cartItems.map(item => item._id));
+    }
+    await order.save();
+
+    const stage = KITCHEN_STAGE_UPDATES[targetStatus];
+    console.log(`👩‍🍳 Order #${order.orderNumber}: ${previousStatus} → ${targetStatus} by ${req.user?.email || 'admin'}`);
+    broadcastStatusChange(order, previousStatus, {
+      type: stage.type,
+      title: stage.title,
+      message: stage.message(order)
     });
 
-    res.status(200).json(formattedStats);
+    res.status(200).json({
+      message: `Order #${order.orderNumber} marked as ${targetStatus}`,
+      orderNumber: order.orderNumber,
+      previousStatus,
+      orderStatus: order.orderStatus,
+      statusHistory: order.statusHistory
+    });
   } catch (error) {
-    console.error('Error in getOrderStats:', error);
-    res.status(500).json({
-      message: 'Failed to fetch order statistics',
+    console.error(`Error moving order to ${targetStatus}:`, error);
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Failed to update order status',
       error: error.message
     });
   }
 });
 
-// @desc    Cancel order by user
-// @route   PUT /api/payments/orders/:orderNumber/cancel
-// @access  Private
-export const cancelUserOrder = asyncHandler(async (req, res) => {
+// @desc    Confirm a placed order
+// @route   PATCH /api/admin/orders/:orderId/confirm
+// @access  Private/Admin
+export const confirmOrder = updateKitchenStatus('confirmed');
+
+// @desc    Mark an order as being prepared by the kitchen
+// @route   PATCH /api/admin/orders/:orderId/preparing
+// @access  Private/Admin
+export const startPreparingOrder = updateKitchenStatus('preparing');
+
+// @desc    Mark an order as ready for dispatch
+// @route   PATCH /api/admin/orders/:orderId/ready
+// @access  Private/Admin
+export const markOrderReady = updateKitchenStatus('ready');
+
+// @desc    Production board: quantities to bake per product and variant
+// @route   GET /api/admin/kitchen?hours=12 or ?slot=asap|<slot start ISO>
+// @access  Private/Admin
+export const getKitchenBoard = asyncHandler(async (req, res) => {
   try {
-    const { orderNumber } = req.params;
-    const { cancelReason } = req.body;
-    const userId = req.user?._id;
+    const hours = clampWindowHours(req.query.hours);
+    const query = {
+      orderStatus: { $in: [...KITCHEN_STATUSES, 'out_for_delivery'] },
+      cartItems: { $elemMatch: { dispatchStatus: 'pending', preparedAt: null } },
+      ...(req.query.slot ? deliverySlotFilter(req.query.slot) : buildWindowFilter(hours))
+    };
 
-    console.log('🚫 User cancelling order:', orderNumber);
+    const orders = await Order.find(query)
+      .populate('cartItems.productId', 'name images')
+      .sort({ createdAt: 1 })
+      .lean();
 
-    // Find the order
-    const order = await Order.findOne({ orderNumber });
+    const customOrderIds = orders.flatMap(order => order.cartItems.map(item => item.customOrderId).filter(Boolean));
+    const customOrders = customOrderIds.length > 0
+      ? await CustomOrder.find({ _id: { $in: customOrderIds } })
+        .select('requestNumber flavour weightKg isEggless messageOnCake designNotes referenceImages')
+        .lean()
+      : [];
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
-    }
+    const board = buildProductionBoard(
+      orders,
+      new Map(customOrders.map(customOrder => [String(customOrder._id), customOrder]))
+    );
+
+    res.status(200).json({
+      ...board,
+      window: req.query.slot ? { slot: req.query.slot } : { hours },
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Error building kitchen board:', error);
+    res.status(500).json({
+      message: 'Failed to load kitchen board',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Mark a baked batch; linked orders move to preparing, or ready once every line is baked
+// @route   POST /api/admin/kitchen/prepared
+// @access  Private/Admin
+export const markKitchenBatchPrepared = asyncHandler(async (req, res) => {
+  const { items } = req.body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      message: 'items must be a non-empty array of { orderId, itemId }'
+    });
+  }
+
+  try {
+    const itemIdsByOrder = new Map();
+    items.forEach(({ orderId, itemId }) => {
+      if (!mongoose.isValidObjectId(orderId) || !mongoose.isValidObjectId(itemId)) return;
+      if (!itemIdsByOrder.has(String(orderId))) itemIdsByOrder.set(String(orderId), []);
+      itemIdsByOrder.get(String(orderId)).push(itemId);
+    });
+
+    const orders = await Order.find({
+      _id: { $in: [...itemIdsByOrder.keys()] },
+      orderStatus: { $in: [...KITCHEN_STATUSES, 'out_for_delivery'] }
+    }).populate('userId', '_id name email phone');
+
+    const preparedAt = new Date();
+    const updatedOrders = [];
+    let preparedItems = 0;
+
+    for (const order of orders) {
+      const { prepared, allPrepared } = markLinesPrepared(order, itemIdsByOrder.get(String(order._id)), preparedAt);
+      if (prepared === 0) continue;
+      preparedItems += prepared;
+
+      const nextStatus = allPrepared ? 'ready' : 'preparing';
+      const previousStatus = canTransition(order.orderStatus, nextStatus)
+        ? applyStatusTransition(order, nextStatus, { actor: req.user, source: 'kitchen' })
+        : null;
+      await order.save();
+
+      if (previousStatus) {
+        const stage = KITCHEN_STAGE_UPDATES[nextStatus];
+        broadcastStatusChange(order, previousStatus, {
+          type: stage.type,
+          title: stage.title,
+          message: stage.message(order)
+        });
+      }
+
+      updatedOrders.push({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        allPrepared
+      });
+    }
+
+    console.log(`👩‍🍳 Kitchen batch prepared: ${preparedItems} line(s) across ${updatedOrders.length} order(s) by ${req.user?.email || 'admin'}`);
+
+    if (global.io && updatedOrders.length > 0) {
+      global.io.emit('kitchenBoardUpdated', {
+        orderNumbers: updatedOrders.map(order => order.orderNumber),
+        preparedItems,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      message: preparedItems > 0
+        ? `Marked ${preparedItems} line(s) as prepared`
+        : 'Nothing left to prepare for this batch',
+      preparedItems,
+      updatedOrders
+    });
+  } catch (error) {
+    console.error('Error marking kitchen batch prepared:', error);
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Failed to mark batch as prepared',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Users with the delivery role, for assignment dropdowns
+// @route   GET /api/admin/delivery-agents
+// @access  Private/Admin
+export const getDeliveryAgents = asyncHandler(async (req, res) => {
+  try {
+    const agents = await User.find({ role: 'delivery', isActive: true })
+      .select('_id name email phone')
+      .sort({ name: 1 })
+      .lean();
+
+    const activeCounts = await Order.aggregate([
+      {
+        $match: {
+          'deliveryAssignment.agent': { $in: agents.map(agent => agent._id) },
+          orderStatus: { $in: [...KITCHEN_STATUSES, 'out_for_delivery'] }
+        }
+      },
+      { $group: { _id: '$deliveryAssignment.agent', count: { $sum: 1 } } }
+    ]);
+    const countByAgent = new Map(activeCounts.map(entry => [String(entry._id), entry.count]));
+
+    res.status(200).json(agents.map(agent => ({
+      ...agent,
+      activeOrders: countByAgent.get(String(agent._id)) || 0
+    })));
+  } catch (error) {
+    console.error('Error fetching delivery agents:', error);
+    res.status(500).json({
+      message: 'Failed to fetch delivery agents',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Assign orders to a rider, or unassign with agentId null
+// @route   POST /api/admin/delivery/assign
+// @access  Private/Admin
+export const assignDeliveryOrders = asyncHandler(async (req, res) => {
+  const { orderIds, agentId = null } = req.body || {};
+
+  if (!Array.isArray(orderIds) || orderIds.length === 0 || !orderIds.every(id => mongoose.isValidObjectId(id))) {
+    return res.status(400).json({
+      message: 'orderIds must be a non-empty array of order IDs'
+    });
+  }
+
+  try {
+    let agent = null;
+    if (agentId) {
+      agent = await User.findOne({ _id: agentId, role: 'delivery', isActive: true }).select('_id name email phone');
+      if (!agent) {
+        return res.status(404).json({
+          message: 'Delivery agent not found'
+        });
+      }
+    }
+
+    const orders = await Order.find({
+      _id: { $in: orderIds },
+      orderStatus: { $in: [...KITCHEN_STATUSES, 'out_for_delivery'] }
+    });
+
+    const assigned = [];
+    const skipped = [];
+    for (const order of orders) {
+      try {
+        assignDeliveryAgent(order, agent, req.user);
+        await order.save();
+        assigned.push(order.orderNumber);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        skipped.push({ orderNumber: order.orderNumber, reason: error.message });
+      }
+    }
+
+    console.log(`🛵 ${agent ? `Assigned to ${agent.name || agent._id}` : 'Unassigned'}: ${assigned.join(', ') || 'none'} by ${req.user?.email || 'admin'}`);
+
+    if (global.io) {
+      if (agent && assigned.length > 0) {
+        const agentSocketId = getConnectedUserSocketId(agent._id);
+        if (agentSocketId) {
+          global.io.to(agentSocketId).emit('deliveryAssigned', {
+            orderNumbers: assigned,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+      global.io.emit('deliveryAssignmentUpdated', {
+        agentId: agent?._id || null,
+        orderNumbers: assigned,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      message: agent
+        ? `Assigned ${assigned.length} order(s) to ${agent.name || 'rider'}`
+        : `Unassigned ${assigned.length} order(s)`,
+      assigned,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error assigning delivery orders:', error);
+    res.status(500).json({
+      message: 'Failed to assign orders',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Rider collected the order from the shop; its pending items go out for delivery
+// @route   POST /api/delivery/orders/:orderId/pickup
+// @access  Private/Delivery
+export const markOrderPickedUp = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  if (!mongoose.isValidObjectId(orderId)) {
+    return res.status(400).json({
+      message: 'Invalid order ID'
+    });
+  }
+
+  try {
+    const order = await Order.findById(orderId)
+      .select('+deliveryPin.code')
+      .populate('userId', '_id name email phone');
+
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found'
+      });
+    }
+
+    assertCanHandleOrder(order, req.user);
+
+    if (![...KITCHEN_STATUSES, 'out_for_delivery'].includes(order.orderStatus)) {
+      return res.status(400).json({
+        message: 'Order is not in a dispatchable state'
+      });
+    }
+
+    const dispatchedAt = new Date();
+    let dispatched = 0;
+    order.cartItems.forEach(item => {
+      if (!item.dispatchStatus || item.dispatchStatus === 'pending') {
+        item.dispatchStatus = 'dispatched';
+        item.dispatchedAt = dispatchedAt;
+        dispatched += 1;
+      }
+    });
+
+    if (dispatched === 0 && order.deliveryAssignment?.pickedUpAt) {
+      return res.status(409).json({
+        message: `Order #${order.orderNumber} is already picked up`
+      });
+    }
+
+    if (order.deliveryAssignment) {
+      order.deliveryAssignment.pickedUpAt = order.deliveryAssignment.pickedUpAt || dispatchedAt;
+    }
+    ensureDeliveryPin(order);
+
+    const previousStatus = applyStatusTransition(order, 'out_for_delivery', { actor: req.user, source: 'delivery' });
+    await order.save();
+
+    if (previousStatus) {
+      broadcastStatusChange(order, previousStatus, {
+        type: 'order_dispatched',
+        title: '**Complete Order Dispatched!** 🚚',
+        message: `Your order **#${order.orderNumber}** is out for delivery with ${order.deliveryAssignment?.agentName || 'our rider'}!`,
+        data: { dispatchProgress: order.getDispatchProgress() }
+      });
+    }
+
+    console.log(`🛵 Order #${order.orderNumber} picked up by ${req.user?.name || req.user?.email} (${dispatched} item(s) dispatched)`);
+
+    res.status(200).json({
+      message: `Order #${order.orderNumber} picked up`,
+      orderNumber: order.orderNumber,
+      orderStatus: order.orderStatus,
+      dispatchedItems: dispatched,
+      pickedUpAt: order.deliveryAssignment?.pickedUpAt || dispatchedAt
+    });
+  } catch (error) {
+    console.error('Error marking order picked up:', error);
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Failed to mark order as picked up',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record cash taken for a COD order (also accepted as cashCollected when delivering)
+// @route   POST /api/delivery/orders/:orderId/cash
+// @access  Private/Delivery
+export const recordCashCollected = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { amount } = req.body || {};
+
+  if (!mongoose.isValidObjectId(orderId)) {
+    return res.status(400).json({
+      message: 'Invalid order ID'
+    });
+  }
+
+  try {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found'
+      });
+    }
+
+    assertCanHandleOrder(order, req.user);
+    const collected = recordCodCollection(order, req.user, amount === undefined ? order.amount : Number(amount));
+    await order.save();
+
+    console.log(`💵 ₹${collected} collected for order #${order.orderNumber} by ${req.user?.name || req.user?.email}`);
+
+    res.status(200).json({
+      message: `Recorded ₹${collected} collected for order #${order.orderNumber}`,
+      orderNumber: order.orderNumber,
+      codCollection: order.codCollection
+    });
+  } catch (error) {
+    console.error('Error recording cash collected:', error);
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Failed to record cash collected',
+      error: error.message
+    });
+  }
+});
+
+// Date range and status filters shared by the admin and rider cash reports
+const buildCashReportQuery = ({ from, to, status }) => {
+  const query = { 'codCollection.amount': { $exists: true } };
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if (fromDate && !Number.isNaN(fromDate.getTime())) {
+    query['codCollection.collectedAt'] = { $gte: fromDate };
+  }
+  if (toDate && !Number.isNaN(toDate.getTime())) {
+    query['codCollection.collectedAt'] = { ...query['codCollection.collectedAt'], $lte: toDate };
+  }
+  if (status === 'outstanding') query['codCollection.settledAt'] = null;
+  if (status === 'settled') query['codCollection.settledAt'] = { $ne: null };
+  return query;
+};
+
+// @desc    Per-rider COD cash reconciliation
+// @route   GET /api/admin/delivery/cash-report?from=&to=&agentId=&status=outstanding|settled
+// @access  Private/Admin
+export const getCashReconciliation = asyncHandler(async (req, res) => {
+  try {
+    const query = buildCashReportQuery(req.query);
+    if (req.query.agentId && mongoose.isValidObjectId(req.query.agentId)) {
+      query['codCollection.collectedBy'] = req.query.agentId;
+    }
+
+    const orders = await Order.find(query)
+      .select('orderNumber amount hostelName codCollection')
+      .populate('codCollection.collectedBy', 'name email phone')
+      .sort({ 'codCollection.collectedAt': -1 })
+      .lean();
+
+    const riders = buildCashReconciliation(orders);
+
+    res.status(200).json({
+      riders,
+      totals: riders.reduce((acc, rider) => ({
+        collected: Math.round((acc.collected + rider.collected) * 100) / 100,
+        settled: Math.round((acc.settled + rider.settled) * 100) / 100,
+        outstanding: Math.round((acc.outstanding + rider.outstanding) * 100) / 100
+      }), { collected: 0, settled: 0, outstanding: 0 })
+    });
+  } catch (error) {
+    console.error('Error building cash reconciliation:', error);
+    res.status(500).json({
+      message: 'Failed to build cash reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Mark a rider's collected cash as handed in (all outstanding, or the given orders)
+// @route   POST /api/admin/delivery/settle
+// @access  Private/Admin
+export const settleRiderCash = asyncHandler(async (req, res) => {
+  const { agentId, orderIds } = req.body || {};
+
+  if (!mongoose.isValidObjectId(agentId)) {
+    return res.status(400).json({
+      message: 'A valid agentId is required'
+    });
+  }
+  if (orderIds !== undefined && (!Array.isArray(orderIds) || !orderIds.every(id => mongoose.isValidObjectId(id)))) {
+    return res.status(400).json({
+      message: 'orderIds must be an array of order IDs'
+    });
+  }
+
+  try {
+    const filter = {
+      'codCollection.collectedBy': agentId,
+      'codCollection.settledAt': null,
+      ...(orderIds ? { _id: { $in: orderIds } } : {})
+    };
+    const outstanding = await Order.find(filter).select('orderNumber codCollection.amount').lean();
+
+    const settledAt = new Date();
+    await Order.updateMany(
+      { _id: { $in: outstanding.map(order => order._id) }, 'codCollection.settledAt': null },
+      { $set: { 'codCollection.settledAt': settledAt, 'codCollection.settledBy': req.user._id } }
+    );
+
+    const amount = Math.round(outstanding.reduce((sum, order) => sum + (order.codCollection?.amount || 0), 0) * 100) / 100;
+    console.log(`💰 Settled ₹${amount} across ${outstanding.length} order(s) for rider ${agentId} by ${req.user?.email || 'admin'}`);
+
+    res.status(200).json({
+      message: outstanding.length > 0
+        ? `Settled ₹${amount} across ${outstanding.length} order(s)`
+        : 'No outstanding cash for this rider',
+      amount,
+      orderNumbers: outstanding.map(order => order.orderNumber),
+      settledAt
+    });
+  } catch (error) {
+    console.error('Error settling rider cash:', error);
+    res.status(500).json({
+      message: 'Failed to settle rider cash',
+      error: error.message
+    });
+  }
+});
+
+// @desc    The signed-in rider's own cash summary
+// @route   GET /api/delivery/cash?from=&to=&status=outstanding|settled
+// @access  Private/Delivery
+export const getRiderCashSummary = asyncHandler(async (req, res) => {
+  try {
+    const orders = await Order.find({
+      ...buildCashReportQuery(req.query),
+      'codCollection.collectedBy': req.user._id
+    })
+      .select('orderNumber amount hostelName codCollection')
+      .sort({ 'codCollection.collectedAt': -1 })
+      .lean();
+
+    const [summary] = buildCashReconciliation(orders);
+
+    res.status(200).json(summary || {
+      agentId: String(req.user._id),
+      agentName: req.user.name || '',
+      collected: 0,
+      settled: 0,
+      outstanding: 0,
+      orderCount: 0,
+      orders: []
+    });
+  } catch (error) {
+    console.error('Error building rider cash summary:', error);
+    res.status(500).json({
+      message: 'Failed to load cash summary',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get order statistics for dashboard
+// @route   GET /api/admin/orders/stats
+// @access  Private/Admin
+export const getOrderStats = asyncHandler(async (req, res) => {
+  try {
+    const stats = await Order.aggregate([
+      {
+        $group: {
+          _id: '$orderStatus',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const formattedStats = {
+      total: 0,
+      placed: 0,
+      confirmed: 0,
+      preparing: 0,
+      ready: 0,
+      out_for_delivery: 0,
+      delivered: 0,
+      cancelled: 0
+    };
+
+    stats.forEach(stat => {
+      formattedStats[stat._id] = stat.count;
+      formattedStats.total += stat.count;
+    });
+
+    res.status(200).json(formattedStats);
+  } catch (error) {
+    console.error('Error in getOrderStats:', error);
+    res.status(500).json({
+      message: 'Failed to fetch order statistics',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Cancel order by user
+// @route   PUT /api/payments/orders/:orderNumber/cancel
+// @access  Private
+export const cancelUserOrder = asyncHandler(async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { cancelReason } = req.body;
+    const userId = req.user?._id;
+
+    console.log('🚫 User cancelling order:', orderNumber);
+
+    // Find the order
+    const order = await Order.findOne({ orderNumber });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
 
     // Verify the order belongs to the requesting user
     if (order.userId.toString() !== userId.toString()) {
@@ -1160,7 +2093,7 @@ export const cancelUserOrder = asyncHandler(async (req, res) => {
     }
 
     // Check if order can be cancelled (not out for delivery or delivered)
-    const canCancel = !['out_for_delivery', 'delivered', 'cancelled'].includes(order.orderStatus);
+    const canCancel = canTransition(order.orderStatus, 'cancelled');
     
     if (!canCancel) {
       return res.status(400).json({
@@ -1186,19 +2119,27 @@ export const cancelUserOrder = asyncHandler(async (req, res) => {
         if (product.variants && product.variants.length > 0) {
           const variantIndex = item.variantIndex || 0;
           if (product.variants[variantIndex]) {
-            // Restore stock for specific variant
-            const currentStock = product.variants[variantIndex].stock || 0;
-            product.variants[variantIndex].stock = currentStock + item.quantity;
-            console.log(`✅ Restored ${item.quantity} units to variant ${variantIndex} of ${product.name}. New stock: ${product.variants[variantIndex].stock}`);
+            // Restore stock for specific variant (logged to the stock ledger)
+            const result = await adjustVariantStock({
+              productId: item.productId,
+              variantIndex,
+              delta: item.quantity,
+              reason: 'order_cancelled',
+              order,
+              variantLabel: item.variantLabel,
+              actor: req.user,
+              actorRole: 'customer',
+              note: cancelReason
+            });
+            console.log(`✅ Restored ${item.quantity} units to variant ${variantIndex} of ${product.name}. New stock: ${result.stockAfter}`);
           }
         } else {
           // Restore stock for product without variants
           const currentStock = product.stock || 0;
           product.stock = currentStock + item.quantity;
           console.log(`✅ Restored ${item.quantity} units to ${product.name}. New stock: ${product.stock}`);
+          await product.save();
         }
-
-        await product.save();
       } catch (stockError) {
         console.error(`Error restoring stock for product ${item.productId}:`, stockError);
         // Continue with other items even if one fails
@@ -1206,22 +2147,54 @@ export const cancelUserOrder = asyncHandler(async (req, res) => {
     }
 
   // Update order status to cancelled
-    order.orderStatus = 'cancelled';
+    applyStatusTransition(order, 'cancelled', { actor: req.user, source: 'cancellation', note: cancelReason });
     order.cancelReason = cancelReason || 'Cancelled by user';
     order.cancelledAt = new Date();
     await order.save();
 
+    // Give the coupon use back so the customer can apply it again
+    try {
+      await reverseCouponRedemption(order);
+    } catch (couponError) {
+      console.error('Error reversing coupon redemption:', couponError);
+    }
+
+    // Free the delivery slot place for other customers
+    try {
+      await releaseDeliverySlot({ orderNumber: order.orderNumber });
+    } catch (slotError) {
+      console.error('Error releasing delivery slot booking:', slotError);
+    }
+
+    // Paid online orders are refunded in full; a failed refund is logged for admins to retry
+    let refund = null;
+    if (order.paymentMethod === 'razorpay' && order.paymentStatus === 'paid') {
+      try {
+        refund = await issueRefund(order, {
+          reason: order.cancelReason,
+          initiatedBy: userId,
+          source: 'user_cancellation'
+        });
+      } catch (refundError) {
+        console.error('Error issuing refund for cancelled order:', order.orderNumber, refundError.message);
+      }
+    }
+
     console.log('✅ Order cancelled successfully:', order.orderNumber);
 
     // Send response immediately to improve user experience
     const responseData = {
       success: true,
-      message: 'Order cancelled successfully. Stock has been restored.',
+      message: refund
+        ? `Order cancelled successfully. A refund of ₹${refund.amount} has been ${refund.status === 'processed' ? 'processed' : 'initiated'}.`
+        : 'Order cancelled successfully. Stock has been restored.',
       order: {
         orderNumber: order.orderNumber,
         orderStatus: order.orderStatus,
-        cancelReason: order.cancelReason
-      }
+        cancelReason: order.cancelReason,
+        paymentStatus: order.paymentStatus
+      },
+      refund
     };
 
     // Emit WebSocket events to notify all admin clients immediately
@@ -1288,3 +2261,159 @@ export const cancelUserOrder = asyncHandler(async (req, res) => {
     });
   }
 });
+
+// Notify dashboards and the customer after lines were removed or reduced
+const broadcastOrderAmendment = (order, amendment, refund) => {
+  try {
+    if (global.io) {
+      global.io.emit('orderAmended', {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        orderSummary: order.orderSummary,
+        amount: order.amount,
+        paymentStatus: order.paymentStatus,
+        amendment,
+        timestamp: new Date().toISOString()
+      });
+      global.io.emit('orderStatusUpdated', {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        status: order.orderStatus,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (wsErr) {
+    console.error('❌ Failed to emit order amendment events:', wsErr);
+  }
+
+  setImmediate(async () => {
+    try {
+      const removedSummary = amendment.lines
+        .map(line => (line.newQuantity === 0
+          ? `${line.productName} removed`
+          : `${line.productName} reduced to ${line.newQuantity}`))
+        .join(', ');
+      const moneyNote = refund
+        ? ` A refund of ₹${refund.amount} has been ${refund.status === 'processed' ? 'processed' : 'initiated'}.`
+        : amendment.adjustmentType === 'amount_adjustment'
+          ? ` Amount to pay is now ₹${order.amount}.`
+          : '';
+
+      await createNotification(
+        order.userId,
+        order.orderNumber,
+        'order_amended',
+        'Order Updated',
+        `Your order **#${order.orderNumber}** was updated: ${removedSummary}.${moneyNote}`,
+        {
+          lines: amendment.lines,
+          previousGrandTotal: amendment.previousGrandTotal,
+          newGrandTotal: amendment.newGrandTotal,
+          reason: amendment.reason
+        }
+      );
+    } catch (notificationError) {
+      console.error('⚠️ Failed to create order amendment notification (non-critical):', notificationError);
+    }
+  });
+};
+
+const sendAmendmentResponse = (res, order, amendment, refund) => {
+  res.status(200).json({
+    success: true,
+    message: refund
+      ? `Order updated. A refund of ₹${refund.amount} has been ${refund.status === 'processed' ? 'processed' : 'initiated'}.`
+      : 'Order updated. Stock has been restored.',
+    order: {
+      orderNumber: order.orderNumber,
+      orderStatus: order.orderStatus,
+      paymentStatus: order.paymentStatus,
+      amount: order.amount,
+      cartItems: order.cartItems,
+      orderSummary: order.orderSummary,
+      amendments: order.amendments
+    },
+    amendment,
+    refund
+  });
+};
+
+// @desc    Remove or reduce undispatched items on the user's own order
+// @route   PATCH /api/payments/orders/:orderNumber/items
+// @access  Private
+export const amendUserOrderItems = asyncHandler(async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { items, reason } = req.body;
+    const userId = req.user?._id;
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.userId.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized to change this order'
+      });
+    }
+
+    console.log('✂️ User amending order:', orderNumber);
+
+    const { amendment, refund } = await amendOrderItems(order, items, {
+      actor: req.user,
+      actorRole: 'customer',
+      reason
+    });
+
+    broadcastOrderAmendment(order, amendment, refund);
+    sendAmendmentResponse(res, order, amendment, refund);
+  } catch (error) {
+    console.error('Error in amendUserOrderItems:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update order items',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Remove or reduce undispatched items on any order
+// @route   PATCH /api/admin/orders/:orderNumber/items
+// @access  Private/Admin
+export const amendOrderItemsAdmin = asyncHandler(async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { items, reason } = req.body;
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    console.log('✂️ Admin amending order:', orderNumber);
+
+    const { amendment, refund } = await amendOrderItems(order, items, {
+      actor: req.user,
+      actorRole: 'admin',
+      reason
+    });
+
+    broadcastOrderAmendment(order, amendment, refund);
+    sendAmendmentResponse(res, order, amendment, refund);
+  } catch (error) {
+    console.error('Error in amendOrderItemsAdmin:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update order items',
+      error: error.message
+    });
+  }
+});
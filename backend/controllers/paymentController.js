@@ -18,7 +18,29 @@ import { getEmailDelegateApiBase, isDelegationEnabled, delegateEmailPost } from
 import { createNotification } from './notificationController.js';
 import { emitPaymentUpdate } from '../utils/socketEvents.js';
 import { resolveVariantInfoForItem } from '../utils/variantUtils.js';
+import { quoteOrder, diffQuote, toOrderLineItems } from '../services/orderPricingService.js';
+import { reserveCouponUse, releaseCouponHolds, commitCouponRedemption } from '../services/couponService.js';
+import { issueRefund, reconcileRefundWebhook } from '../services/refundService.js';
+import { adjustVariantStock } from '../services/stockService.js';
+import {
+  reserveVariantStock,
+  returnReservedStock,
+  placeCheckoutHolds,
+  releaseCheckoutHolds,
+  commitOrderStock
+} from '../services/stockReservationService.js';
 import NewCart from '../models/newCartModel.js';
+import TimeSettings from '../models/timeSettingsModel.js';
+import {
+  resolveDeliverySlot,
+  reserveDeliverySlot,
+  confirmDeliverySlot,
+  releaseDeliverySlot
+} from '../services/deliverySlotService.js';
+import { resolveDeliveryAddress, formatDeliveryAddress } from '../services/addressService.js';
+import { normalizeGiftDetails } from '../services/giftOrderService.js';
+import CustomOrder from '../models/customOrderModel.js';
+import { buildCustomOrderSnapshot, isCustomOrder, markCustomOrderPaid } from '../services/customOrderService.js';
 import { trackOrderDay, markFreeProductUsed } from '../middleware/freeProductMiddleware.js';
 
 // Initialize Razorpay with validation
@@ -168,7 +190,7 @@ const buildOrderDetailsForEmail = (orderDoc, userLike) => {
 };
 
 // Helper function to restore product stock when orders are cancelled
-const restoreProductStock = async (cartItems) => {
+const restoreProductStock = async (cartItems, order = null, reason = 'order_cancelled') => {
   try {
     console.log('🔄 Restoring product stock for', cartItems.length, 'items');
     
@@ -181,12 +203,16 @@ const restoreProductStock = async (cartItems) => {
           const variantTracks = Boolean(variant?.isStockActive);
           
           if (variantTracks) {
-            const result = await Product.updateOne(
-              { _id: item.productId },
-              { $inc: { [`variants.${vi}.stock`]: item.quantity } }
-            );
+            const result = await adjustVariantStock({
+              productId: item.productId,
+              variantIndex: vi,
+              delta: item.quantity,
+              reason,
+              order,
+              variantLabel: item.variantLabel
+            });
             
-            if (result.modifiedCount > 0) {
+            if (result.applied) {
               console.log(`✅ Stock restored: "${product.name}" variant ${vi} +${item.quantity}`);
             } else {
               console.warn(`⚠️ Could not restore stock for "${product.name}" variant ${vi}`);
@@ -207,61 +233,6 @@ const restoreProductStock = async (cartItems) => {
   }
 };
 
-// Helper function to decrement product stock after successful payment/order
-const decrementProductStock = async (cartItems) => {
-  try {
-    console.log('🔻 Decrementing product stock for', cartItems.length, 'items');
-    
-    const updatePromises = cartItems.map(async (item) => {
-      try {
-        const product = await Product.findById(item.productId);
-        if (product) {
-          // Get variant index from item (from order schema) 
-          const vi = Number.isInteger(item?.variantIndex) ? item.variantIndex : 0;
-          const variant = Array.isArray(product.variants) && product.variants.length > vi ? product.variants[vi] : undefined;
-          const variantTracks = Boolean(variant?.isStockActive);
-          
-          if (variantTracks) {
-            const path = `variants.${vi}.stock`;
-            const currentStock = variant.stock || 0;
-            
-            console.log(`📊 Stock check: Product "${product.name}" variant ${vi} - Current: ${currentStock}, Ordered: ${item.quantity}`);
-            
-            const result = await Product.updateOne(
-              { 
-                _id: item.productId, 
-                [`variants.${vi}.stock`]: { $gte: item.quantity } 
-              },
-              { 
-                $inc: { [`variants.${vi}.stock`]: -item.quantity } 
-              }
-            );
-            
-            if (result.modifiedCount > 0) {
-              const newStock = currentStock - item.quantity;
-              console.log(`✅ Stock decremented: "${product.name}" variant ${vi} | ${currentStock} → ${newStock} (sold: ${item.quantity})`);
-            } else {
-              console.warn(`⚠️ Stock decrement failed for "${product.name}" variant ${vi} - insufficient stock (need: ${item.quantity}, have: ${currentStock})`);
-            }
-          } else {
-            console.log(`ℹ️ Product "${product.name}" variant ${vi} does not track stock - no decrement needed`);
-          }
-        } else {
-          console.error(`❌ Product not found: ${item.productId}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error decrementing stock for product ${item.productId}:`, error.message);
-      }
-    });
-
-    await Promise.all(updatePromises);
-    console.log('✅ Product stock decrements completed');
-  } catch (error) {
-    console.error('❌ Error decrementing product stock:', error);
-    // Don't throw error as this shouldn't break the order process
-  }
-};
-
 // Helper function to update product order counts
 const updateProductOrderCounts = async (cartItems) => {
   try {
@@ -372,26 +343,168 @@ export const createOrder = asyncHandler(async (req, res) => {
       receipt, 
       paymentMethod,
       cartItems,
-      userDetails,
-      deliveryLocation,
-      hostelName,
+      userDetails: clientUserDetails,
+      deliveryLocation: clientDeliveryLocation,
+      hostelName: clientHostelName,
       orderSummary,
-      donationDetails
+      donationDetails,
+      couponCode,
+      deliverySlotId,
+      addressId,
+      gift: giftDetails
     } = req.body;
 
     console.log('Creating order with amount:', amount, 'Payment method:', paymentMethod);
-    console.log('Hostel name received:', hostelName);
+    console.log('Hostel name received:', clientHostelName);
     console.log('Donation details received:', donationDetails);
     console.log('User from request:', { uid: req.user?.uid, _id: req.user?._id });
     console.log('Cart items received:', JSON.stringify(cartItems, null, 2));
 
+    // Get user MongoDB _id from request (set by authMiddleware)
+    const userId = req.user?._id;
+
+    if (!userId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'User not found in request' 
+      });
+    }
+
+    // 🏠 DELIVERY ADDRESS
+    // Snapshot the address picked at checkout (or the default one) so the order keeps it as it was
+    let deliveryAddress;
+    try {
+      deliveryAddress = await resolveDeliveryAddress(req.user, addressId || null);
+    } catch (addressError) {
+      if (!addressError.statusCode) throw addressError;
+      return res.status(addressError.statusCode).json({ success: false, code: addressError.code, message: addressError.message });
+    }
+
+    // 🎁 GIFT
+    // The buyer pays up front and picks a time; the recipient shouldn't be asked for cash or kept waiting in
+    let gift;
+    try {
+      gift = normalizeGiftDetails(giftDetails);
+    } catch (giftError) {
+      return res.status(giftError.statusCode).json({ success: false, code: giftError.code, message: giftError.message });
+    }
+    if (gift && paymentMethod === 'cod') {
+      return res.status(400).json({
+        success: false,
+        code: 'GIFT_PREPAID_ONLY',
+        message: 'Gift orders need to be paid online so the recipient is not asked for cash'
+      });
+    }
+    if (gift && !deliverySlotId) {
+      return res.status(400).json({
+        success: false,
+        code: 'GIFT_SLOT_REQUIRED',
+        message: 'Choose a delivery slot so we can time the surprise'
+      });
+    }
+
+    // Display strings for emails, notifications and older screens; clients that send no address keep theirs
+    const deliveryLocation = formatDeliveryAddress(deliveryAddress) || clientDeliveryLocation;
+    const hostelName = deliveryAddress?.hostelName || clientHostelName;
+    const userDetails = deliveryAddress
+      ? { ...(clientUserDetails || {}), city: deliveryAddress.city || clientUserDetails?.city, pincode: deliveryAddress.pincode || clientUserDetails?.pincode }
+      : clientUserDetails;
+
+    // 📍 SERVICEABILITY
+    // The customer's saved location may have been switched off since they picked it
+    const userLocationId = deliveryAddress?.locationId || req.user?.location?._id || req.user?.location;
+    if (userLocationId && !(await Location.exists({ _id: userLocationId, isActive: true }))) {
+      return res.status(400).json({
+        success: false,
+        code: 'NOT_SERVICEABLE',
+        message: "We don't deliver to your saved location anymore. Please choose another delivery location."
+      });
+    }
+
+    // 🕒 DELIVERY SLOT
+    // "As soon as possible" needs the shop open; otherwise the customer books a slot (pre-order).
+    // Resolved before pricing because time-based delivery rules depend on when the order arrives.
+    const timeSettings = await TimeSettings.getCurrentSettings();
+    let deliverySlot = null;
+    if (deliverySlotId) {
+      try {
+        deliverySlot = await resolveDeliverySlot(deliverySlotId, { settings: timeSettings });
+      } catch (slotError) {
+        return res.status(slotError.statusCode || 400).json({
+          success: false,
+          code: slotError.code || 'INVALID_SLOT',
+          message: slotError.message
+        });
+      }
+    } else if (!timeSettings.isShopOpen()) {
+      const canPreOrder = timeSettings.acceptsPreOrders();
+      return res.status(400).json({
+        success: false,
+        code: canPreOrder ? 'SLOT_REQUIRED' : 'SHOP_CLOSED',
+        message: canPreOrder
+          ? "We're closed right now. Choose a delivery slot to pre-order."
+          : "We're closed right now. Please order again once we open."
+      });
+    }
+
+    // 💰 SERVER-AUTHORITATIVE PRICING
+    // Re-price every line from the catalogue and never trust client totals
+    const quote = await quoteOrder({
+      cartItems,
+      user: req.user,
+      orderSummary,
+      donationDetails,
+      couponCode,
+      deliveryAt: deliverySlot?.startsAt || new Date(),
+      timeSettings,
+      deliveryAddress
+    });
+
+    if (quote.unavailableItems.length > 0 || quote.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'ITEMS_UNAVAILABLE',
+        // Add-on problems carry a specific message the customer can act on
+        message: quote.unavailableItems.find(item => item.message)?.message || 'Some items in your cart are no longer available',
+        unavailableItems: quote.unavailableItems
+      });
+    }
+
+    const priceDiff = diffQuote({ amount, orderSummary }, quote);
+    if (priceDiff.hasDrift) {
+      console.warn('💸 Checkout totals drifted from server quote for user:', userId, JSON.stringify(priceDiff));
+      return res.status(409).json({
+        success: false,
+        code: 'PRICE_MISMATCH',
+        message: quote.couponError?.message || 'Prices in your cart have changed. Please review the updated total.',
+        quote: {
+          amount: quote.amount,
+          currency,
+          orderSummary: quote.orderSummary,
+          items: toOrderLineItems(quote.items),
+          couponCode: quote.coupon?.code || null
+        },
+        diff: {
+          fields: priceDiff.fields,
+          items: priceDiff.items,
+          coupon: quote.couponError
+        }
+      });
+    }
+
+    const pricedOrderSummary = quote.orderSummary;
+    const pricedCartItems = toOrderLineItems(quote.items);
+    const pricedAmount = quote.amount; // paise
+
+    const estimatedDeliveryTime = deliverySlot?.endsAt || new Date(Date.now() + 45 * 60 * 1000);
+
     let razorpayOrder = null;
     let orderNumber = `ORD${Date.now()}${Math.floor(Math.random() * 1000)}`;
 
     // Create Razorpay order only for online payments
     if (paymentMethod === 'razorpay') {
       const options = {
-        amount: amount, // amount in paise
+        amount: pricedAmount, // amount in paise
         currency: currency,
         receipt: receipt || orderNumber,
         payment_capture: 1, // Auto capture payment
@@ -401,16 +514,6 @@ export const createOrder = asyncHandler(async (req, res) => {
       console.log('Razorpay order created:', razorpayOrder.id);
     }
 
-    // Get user MongoDB _id from request (set by authMiddleware)
-    const userId = req.user?._id;
-
-    if (!userId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User not found in request' 
-      });
-    }
-
     // 🛡️ ENHANCED DUPLICATE ORDER PREVENTION
     // Check for recent orders from the same user to prevent rapid duplicate orders
     const duplicateCheckTime = new Date(Date.now() - 60 * 1000); // 60 seconds ago (increased for safety)
@@ -421,12 +524,12 @@ export const createOrder = asyncHandler(async (req, res) => {
       createdAt: { $gte: duplicateCheckTime },
       paymentMethod,
       $or: [
-        { 'orderSummary.grandTotal': orderSummary.grandTotal },
+        { 'orderSummary.grandTotal': pricedOrderSummary.grandTotal },
         { 
           // Also check for similar cart size and total items
           $and: [
-            { 'cartItems': { $size: cartItems.length } },
-            { 'orderSummary.cartTotal': { $gte: orderSummary.cartTotal * 0.95, $lte: orderSummary.cartTotal * 1.05 } }
+            { 'cartItems': { $size: pricedCartItems.length } },
+            { 'orderSummary.cartTotal': { $gte: pricedOrderSummary.cartTotal * 0.95, $lte: pricedOrderSummary.cartTotal * 1.05 } }
           ]
         }
       ]
@@ -437,7 +540,7 @@ export const createOrder = asyncHandler(async (req, res) => {
     if (recentOrder) {
       console.log('🚫 Duplicate order attempt blocked for user:', userId);
       console.log('Recent order found:', recentOrder.orderNumber, 'created at:', recentOrder.createdAt);
-      console.log('Duplicate detection criteria matched - Amount:', orderSummary.grandTotal, 'vs', recentOrder.orderSummary?.grandTotal);
+      console.log('Duplicate detection criteria matched - Amount:', pricedOrderSummary.grandTotal, 'vs', recentOrder.orderSummary?.grandTotal);
       
       // Return the existing order instead of creating a duplicate
       return res.status(200).json({
@@ -452,9 +555,63 @@ export const createOrder = asyncHandler(async (req, res) => {
       });
     }
 
-    // Try to find hostel ID based on hostelName or deliveryLocation
-    let hostelId = null;
-    if (hostelName) {
+    // 🎟️ ATOMIC COUPON RESERVATION
+    // Another checkout may have taken the last use since the quote; the hold is given back if this one doesn't complete
+    const couponReservation = await reserveCouponUse({
+      couponRedemption: quote.couponRedemption,
+      orderNumber,
+      gatewayOrderId: razorpayOrder?.id,
+      userId
+    });
+    if (!couponReservation.ok) {
+      return res.status(409).json({
+        success: false,
+        code: couponReservation.code,
+        message: couponReservation.message
+      });
+    }
+
+    // 🕒 ATOMIC SLOT BOOKING
+    // The slot was checked above, but only this conditional booking stops concurrent checkouts overfilling it
+    const slotReservation = await reserveDeliverySlot(deliverySlot, {
+      orderNumber,
+      gatewayOrderId: razorpayOrder?.id,
+      hold: paymentMethod !== 'cod',
+      settings: timeSettings
+    });
+    if (!slotReservation.ok) {
+      await releaseCouponHolds({ orderNumber }, { reason: 'Delivery slot fully booked' });
+      return res.status(409).json({
+        success: false,
+        code: slotReservation.code,
+        message: slotReservation.message
+      });
+    }
+
+    // 🔒 ATOMIC STOCK RESERVATION
+    // COD takes stock now; online checkouts hold it until the payment is captured or the hold expires
+    const stockReservation = paymentMethod === 'cod'
+      ? await reserveVariantStock(pricedCartItems, { reason: 'order_placed', order: { orderNumber }, actor: req.user })
+      : await placeCheckoutHolds({ lines: pricedCartItems, orderNumber, gatewayOrderId: razorpayOrder?.id, userId });
+
+    if (!stockReservation.ok) {
+      await releaseCouponHolds({ orderNumber }, { reason: 'Checkout blocked by stock' });
+      await releaseDeliverySlot({ orderNumber });
+      const { failed } = stockReservation;
+      console.warn('📦 Checkout blocked by stock for user:', userId, JSON.stringify(failed));
+      return res.status(409).json({
+        success: false,
+        code: 'OUT_OF_STOCK',
+        message: failed.available > 0
+          ? `Only ${failed.available} left of ${failed.productName}. Please update your cart.`
+          : `${failed.productName} is out of stock. Please remove it from your cart.`,
+        item: failed
+      });
+    }
+
+    // The address snapshot already carries the hostel; name matching is only for clients that don't send one
+    let hostelId = deliveryAddress?.hostelId || null;
+    if (!hostelId && hostelName) {
       try {
         // First try to find hostel by exact name match
         const hostel = await Hostel.findOne({ 
@@ -486,44 +643,6 @@ export const createOrder = asyncHandler(async (req, res) => {
       }
     }
 
-    // Normalize cart items with latest variant snapshots
-    const normalizedCartItems = await Promise.all((cartItems || []).map(async (item) => {
-      try {
-        const product = await Product.findById(item.productId).select('variants name');
-        const { variant, variantLabel, variantIndex } = resolveVariantInfoForItem(item, product);
-
-        // Free products should have 0 price
-        const itemPrice = item.isFreeProduct ? 0 : (Number(item.price) || 0);
-        const itemOriginalPrice = item.isFreeProduct ? 0 : (Number(item.originalPrice) || Number(item.price) || 0);
-
-        return {
-          ...item,
-          variantIndex,
-          variant: item.variant || variant || null,
-          variantLabel: item.variantLabel || variantLabel || '',
-          price: itemPrice,
-          originalPrice: itemOriginalPrice,
-          isFreeProduct: item.isFreeProduct || false
-        };
-      } catch (variantError) {
-        console.error(`Error resolving variant for product ${item.productId}:`, variantError.message);
-        
-        // Free products should have 0 price
-        const itemPrice = item.isFreeProduct ? 0 : (Number(item.price) || 0);
-        const itemOriginalPrice = item.isFreeProduct ? 0 : (Number(item.originalPrice) || Number(item.price) || 0);
-        
-        return {
-          ...item,
-          variantIndex: Number.isInteger(item?.variantIndex) ? item.variantIndex : 0,
-          variant: item.variant || null,
-          variantLabel: item.variantLabel || '',
-          price: itemPrice,
-          originalPrice: itemOriginalPrice,
-          isFreeProduct: item.isFreeProduct || false
-        };
-      }
-    }));
-
     // For online payments: do NOT create the Order now. Persist a Payment intent with checkout snapshot.
     // For COD: create the Order immediately.
     let order = null;
@@ -532,27 +651,33 @@ export const createOrder = asyncHandler(async (req, res) => {
         orderNumber,
         userId,
         razorpayOrderId: razorpayOrder?.id || null,
-        amount: amount / 100, // Convert back to rupees for storage
+        amount: pricedAmount / 100, // Convert back to rupees for storage
         currency,
         paymentMethod,
         paymentStatus: 'pending',
         orderStatus: 'placed',
-        cartItems: normalizedCartItems,
+        cartItems: pricedCartItems,
         userDetails,
         deliveryLocation,
         hostelName,
         hostelId,
-        orderSummary: {
-          cartTotal: orderSummary.cartTotal,
-          discountedTotal: orderSummary.discountedTotal,
-          deliveryCharge: orderSummary.deliveryCharge,
-          taxAmount: orderSummary.taxAmount,
-          couponDiscount: orderSummary.couponDiscount || 0,
-          grandTotal: orderSummary.grandTotal
-        },
-        estimatedDeliveryTime: new Date(Date.now() + 45 * 60 * 1000)
+        deliveryAddress,
+        gift,
+        orderSummary: pricedOrderSummary,
+        couponRedemption: quote.couponRedemption,
+        stockCommittedAt: new Date(),
+        deliverySlot,
+        estimatedDeliveryTime
       });
-      await order.save();
+      try {
+        await order.save();
+      } catch (saveError) {
+        await returnReservedStock(stockReservation.reserved, { order: { orderNumber }, note: 'Order could not be saved' });
+        await releaseCouponHolds({ orderNumber }, { reason: 'Order could not be saved' });
+        await releaseDeliverySlot({ orderNumber });
+        throw saveError;
+      }
+      await commitCouponRedemption(order);
       console.log('Order saved to database:', order._id);
       console.log('Order hostelName stored:', order.hostelName);
     } else {
@@ -562,23 +687,27 @@ export const createOrder = asyncHandler(async (req, res) => {
           userId,
           email: userDetails?.email,
           orderId: orderNumber, // our app order number for traceability
-          amount: amount / 100,
+          amount: pricedAmount / 100,
           paymentMethod: 'razorpay',
           paymentStatus: 'pending',
           date: new Date(),
-          seatCount: Array.isArray(cartItems) ? cartItems.reduce((a, c) => a + (c.quantity || 0), 0) : undefined,
+          seatCount: pricedCartItems.reduce((a, c) => a + (c.quantity || 0), 0),
           gatewayOrderId: razorpayOrder?.id,
           meta: {
             checkoutSnapshot: {
               orderNumber,
               userId,
               currency,
-              cartItems: normalizedCartItems,
+              cartItems: pricedCartItems,
               userDetails,
               deliveryLocation,
               hostelName,
               hostelId,
-              orderSummary,
+              deliveryAddress,
+              gift,
+              orderSummary: pricedOrderSummary,
+              couponRedemption: quote.couponRedemption,
+              deliverySlot,
               donationDetails
             },
             source: 'createOrder'
@@ -591,7 +720,7 @@ export const createOrder = asyncHandler(async (req, res) => {
     }
 
     // 💝 Track donation: For online payments, defer until payment is verified. For COD, persist now.
-    if (donationDetails && donationDetails.donationAmount > 0) {
+    if (donationDetails && quote.donationAmount > 0) {
       if (paymentMethod === 'cod' && order) {
         try {
           const donation = new Donation({
@@ -599,7 +728,7 @@ export const createOrder = asyncHandler(async (req, res) => {
             userEmail: userDetails.email,
             userName: userDetails.name,
             userPhone: userDetails.phone,
-            donationAmount: donationDetails.donationAmount,
+            donationAmount: quote.donationAmount,
             orderId: order._id,
             orderNumber,
             paymentMethod,
@@ -610,7 +739,7 @@ export const createOrder = asyncHandler(async (req, res) => {
             hostelName
           });
           await donation.save();
-          console.log('✅ Donation tracked (COD):', { donationAmount: donationDetails.donationAmount, orderNumber, paymentMethod, userId });
+          console.log('✅ Donation tracked (COD):', { donationAmount: quote.donationAmount, orderNumber, paymentMethod, userId });
         } catch (donationError) {
           console.error('❌ Failed to track donation (COD):', donationError);
         }
@@ -668,12 +797,10 @@ export const createOrder = asyncHandler(async (req, res) => {
       console.log('⏳ Online payment - notification will be sent after payment verification');
     }
 
-    // For COD orders, decrement stock immediately since payment is guaranteed
-    if (paymentMethod === 'cod' && cartItems && cartItems.length > 0) {
-      console.log('📦 COD Order - decrementing product stock immediately');
-      await decrementProductStock(cartItems);
+    // COD stock was reserved above; count the order against the products now
+    if (paymentMethod === 'cod' && pricedCartItems.length > 0) {
       // Update product order counts for COD orders as they're confirmed at placement
-      await updateProductOrderCounts(cartItems);
+      await updateProductOrderCounts(pricedCartItems);
       
       // Track order day for monthly reward system
       try {
@@ -681,7 +808,7 @@ export const createOrder = asyncHandler(async (req, res) => {
         console.log('📅 Order day tracked:', trackingResult);
         
         // Check if order has free product and mark it as used
-        const freeProductItem = cartItems.find(item => item.isFreeProduct);
+        const freeProductItem = pricedCartItems.find(item => item.isFreeProduct);
         if (freeProductItem) {
           await markFreeProductUsed(
             userId,
@@ -709,11 +836,11 @@ export const createOrder = asyncHandler(async (req, res) => {
           userId,
           email: userDetails?.email,
           orderId: orderNumber,
-          amount: amount / 100,
+          amount: pricedAmount / 100,
           paymentMethod: 'cod',
           paymentStatus: 'pending',
           date: new Date(),
-          seatCount: Array.isArray(cartItems) ? cartItems.reduce((a, c) => a + (c.quantity || 0), 0) : undefined,
+          seatCount: pricedCartItems.reduce((a, c) => a + (c.quantity || 0), 0),
           meta: { source: 'createOrder' }
         });
         console.log('Created pending payment record for COD order:', orderNumber);
@@ -738,7 +865,7 @@ export const createOrder = asyncHandler(async (req, res) => {
             orderData: {
               orderNumber,
               userId,
-              amount: amount / 100,
+              amount: pricedAmount / 100,
               paymentMethod: 'cod',
               orderStatus: 'placed',
               paymentStatus: 'pending',
@@ -761,13 +888,17 @@ export const createOrder = asyncHandler(async (req, res) => {
     const response = {
       success: true,
       orderNumber,
-      amount: razorpayOrder?.amount || amount,
+      deliverySlot,
+      amount: razorpayOrder?.amount || pricedAmount,
       currency: razorpayOrder?.currency || currency,
+      orderSummary: pricedOrderSummary,
     };
 
     if (razorpayOrder) {
       response.orderId = razorpayOrder.id;
       response.key = process.env.RAZORPAY_KEY_ID;
+      // Held items go back on sale after this time if the payment isn't completed
+      response.stockHoldExpiresAt = stockReservation.expiresAt;
     }
 
   res.status(201).json(response);
@@ -781,6 +912,78 @@ export const createOrder = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Start the Razorpay payment for an accepted custom cake quote
+// @route   POST /api/payments/custom-order/:id
+// @access  Private
+export const createCustomOrderPayment = asyncHandler(async (req, res) => {
+  try {
+    const customOrder = await CustomOrder.findById(req.params.id);
+
+    if (!customOrder || customOrder.userId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ success: false, message: 'Custom order request not found' });
+    }
+
+    if (!customOrder.canBePaid()) {
+      return res.status(400).json({
+        success: false,
+        code: 'QUOTE_NOT_PAYABLE',
+        message: customOrder.status === 'paid'
+          ? 'This custom cake has already been paid for'
+          : 'This quote is no longer valid. Please contact us for a new quote.'
+      });
+    }
+
+    const orderNumber = `ORD${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const amount = Math.round(customOrder.quote.amount * 100); // paise
+    const timeSettings = await TimeSettings.getCurrentSettings();
+
+    const razorpayOrder = await razorpay.orders.create({
+      amount,
+      currency: 'INR',
+      receipt: orderNumber,
+      payment_capture: 1
+    });
+    console.log('Razorpay order created for custom cake:', customOrder.requestNumber, razorpayOrder.id);
+
+    // Same intent + snapshot as a cart checkout, so verifyPayment and the webhook create the Order
+    await Payment.create({
+      userId: customOrder.userId,
+      email: customOrder.userDetails?.email,
+      orderId: orderNumber,
+      amount: amount / 100,
+      paymentMethod: 'razorpay',
+      paymentStatus: 'pending',
+      date: new Date(),
+      seatCount: 1,
+      gatewayOrderId: razorpayOrder.id,
+      meta: {
+        checkoutSnapshot: buildCustomOrderSnapshot(customOrder, { orderNumber, timezone: timeSettings.timezone }),
+        source: 'createCustomOrderPayment'
+      }
+    });
+
+    customOrder.status = 'accepted';
+    customOrder.gatewayOrderId = razorpayOrder.id;
+    await customOrder.save();
+
+    res.status(201).json({
+      success: true,
+      orderNumber,
+      orderId: razorpayOrder.id,
+      amount: razorpayOrder.amount,
+      currency: razorpayOrder.currency,
+      key: process.env.RAZORPAY_KEY_ID
+    });
+  } catch (error) {
+    console.error('Error creating custom order payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payment',
+      error: error.message
+    });
+  }
+});
+
 // Verify Razorpay Payment
 export const verifyPayment = asyncHandler(async (req, res) => {
   try {
@@ -851,11 +1054,18 @@ export const verifyPayment = asyncHandler(async (req, res) => {
             deliveryLocation: snap.deliveryLocation,
             hostelName: snap.hostelName,
             hostelId: snap.hostelId || null,
+            deliveryAddress: snap.deliveryAddress || null,
+            gift: snap.gift || null,
             orderSummary: snap.orderSummary,
-            estimatedDeliveryTime: new Date(Date.now() + 45 * 60 * 1000),
+            couponRedemption: snap.couponRedemption || null,
+            deliverySlot: snap.deliverySlot || null,
+            estimatedDeliveryTime: snap.deliverySlot?.endsAt ? new Date(snap.deliverySlot.endsAt) : new Date(Date.now() + 45 * 60 * 1000),
             razorpayPaymentId: razorpay_payment_id
           });
           await order.save();
+          await commitCouponRedemption(order);
+          await confirmDeliverySlot(order);
+          await markCustomOrderPaid(order);
         } catch (createErr) {
           console.error('Failed to create order from snapshot:', createErr?.message || createErr);
           return res.status(500).json({ success: false, message: 'Failed to create order' });
@@ -959,10 +1169,10 @@ export const verifyPayment = asyncHandler(async (req, res) => {
         console.error('Failed to persist/update payment record:', persistErr.message);
       }
       
-      // IMPORTANT: Decrement actual stock now that payment is confirmed
+      // IMPORTANT: Convert the checkout holds into sold stock now that payment is confirmed
       if (order.cartItems && order.cartItems.length > 0) {
-        console.log('💳 Payment confirmed - decrementing product stock');
-        await decrementProductStock(order.cartItems);
+        console.log('💳 Payment confirmed - committing held stock');
+        await commitOrderStock(order);
       }
       
       // Update product order counts after successful payment
@@ -1018,8 +1228,9 @@ export const verifyPayment = asyncHandler(async (req, res) => {
       }
       
   // After successful online payment verification, remove the user's cart document
+      // (custom cake quotes are paid outside the cart, so leave it alone)
       try {
-        const userDoc = await User.findById(order.userId).select('uid').lean();
+        const userDoc = isCustomOrder(order) ? null : await User.findById(order.userId).select('uid').lean();
         if (userDoc?.uid) {
           await removeUserCart({ uid: userDoc.uid, _id: order.userId });
         }
@@ -1108,6 +1319,15 @@ export const cancelOrder = asyncHandler(async (req, res) => {
       } catch {}
     }
 
+    // Give held stock and coupon uses back straight away instead of waiting for the holds to expire
+    try {
+      await releaseCheckoutHolds({ gatewayOrderId: razorpay_order_id }, { reason: 'Payment cancelled by customer' });
+      await releaseCouponHolds({ gatewayOrderId: razorpay_order_id }, { reason: 'Payment cancelled by customer' });
+      await releaseDeliverySlot({ gatewayOrderId: razorpay_order_id, status: 'held' });
+    } catch (releaseErr) {
+      console.warn('Failed to release stock holds on cancel:', releaseErr?.message || releaseErr);
+    }
+
     // Mark payment intent as failed/cancelled for admin insight (if exists)
     if (paymentIntent) {
       try {
@@ -1196,11 +1416,18 @@ export const handleWebhook = asyncHandler(async (req, res) => {
                 deliveryLocation: snap.deliveryLocation,
                 hostelName: snap.hostelName,
                 hostelId: snap.hostelId || null,
+                deliveryAddress: snap.deliveryAddress || null,
+                gift: snap.gift || null,
                 orderSummary: snap.orderSummary,
-                estimatedDeliveryTime: new Date(Date.now() + 45 * 60 * 1000),
+                couponRedemption: snap.couponRedemption || null,
+                deliverySlot: snap.deliverySlot || null,
+                estimatedDeliveryTime: snap.deliverySlot?.endsAt ? new Date(snap.deliverySlot.endsAt) : new Date(Date.now() + 45 * 60 * 1000),
                 razorpayPaymentId: capturedPayment.id
               });
               await updatedOrder.save();
+              await commitCouponRedemption(updatedOrder);
+              await confirmDeliverySlot(updatedOrder);
+              await markCustomOrderPaid(updatedOrder);
             }
           } catch (e) {
             console.error('Webhook failed to create order from snapshot:', e?.message || e);
@@ -1214,10 +1441,18 @@ export const handleWebhook = asyncHandler(async (req, res) => {
             await updatedOrder.save();
           }
         }
+        // Convert checkout holds (no-op when verifyPayment already did it)
+        if (updatedOrder) {
+          try {
+            await commitOrderStock(updatedOrder);
+          } catch (stockErr) {
+            console.error('Webhook failed to commit order stock:', stockErr?.message || stockErr);
+          }
+        }
         // Attempt to clear user's cart as well
         try {
-          const orderDoc = await Order.findOne({ razorpayOrderId: capturedPayment.order_id }).select('userId');
-          if (orderDoc?.userId) {
+          const orderDoc = await Order.findOne({ razorpayOrderId: capturedPayment.order_id }).select('userId cartItems.customOrderId');
+          if (orderDoc?.userId && !isCustomOrder(orderDoc)) {
             const userDoc = await User.findById(orderDoc.userId).select('uid').lean();
             if (userDoc?.uid) {
               await NewCart.deleteOne({ userId: userDoc.uid });
@@ -1270,6 +1505,14 @@ export const handleWebhook = asyncHandler(async (req, res) => {
           await Order.deleteOne({ _id: failedOrder._id });
         }
 
+        try {
+          await releaseCheckoutHolds({ gatewayOrderId: failedPayment.order_id }, { reason: failedPayment.error_description || 'Payment failed' });
+          await releaseCouponHolds({ gatewayOrderId: failedPayment.order_id }, { reason: failedPayment.error_description || 'Payment failed' });
+          await releaseDeliverySlot({ gatewayOrderId: failedPayment.order_id, status: 'held' });
+        } catch (releaseErr) {
+          console.warn('Failed to release stock holds for failed payment:', releaseErr?.message || releaseErr);
+        }
+
         // Delete any "Order Placed" notifications for failed payments
         if (failedOrder) {
           try {
@@ -1317,6 +1560,18 @@ export const handleWebhook = asyncHandler(async (req, res) => {
         }
         break;
 
+      case 'refund.processed':
+      case 'refund.failed': {
+        const refundEntity = event.payload?.refund?.entity;
+        console.log(`💸 ${event.event}:`, refundEntity?.id, 'for payment', refundEntity?.payment_id);
+        try {
+          await reconcileRefundWebhook(event.event, refundEntity);
+        } catch (err) {
+          console.error('Failed to reconcile refund webhook:', err.message);
+        }
+        break;
+      }
+
       default:
         console.log('Unhandled webhook event:', event.event);
     }
@@ -1429,6 +1684,7 @@ export const getOrderDetails = asyncHandler(async (req, res) => {
     const { orderNumber } = req.params;
 
     const order = await Order.findOne({ orderNumber })
+      .select('+deliveryPin.code')
       .populate('userId', 'name email phone city pincode country')
       .populate({
         path: 'hostelId',
@@ -1480,6 +1736,13 @@ export const getOrderDetails = asyncHandler(async (req, res) => {
       cartItems: enrichedCartItems
     };
 
+    // The delivery PIN is the customer's proof of receipt; only they see it, and only until it is used
+    const ownerId = order.userId?._id || order.userId;
+    const isOwner = ownerId && String(ownerId) === String(req.user?._id);
+    if (enrichedOrder.deliveryPin && (!isOwner || enrichedOrder.deliveryPin.verifiedAt)) {
+      delete enrichedOrder.deliveryPin.code;
+    }
+
     res.json({
       success: true,
       order: enrichedOrder
@@ -2560,4 +2823,36 @@ export const getUserPayments = asyncHandler(async (req, res) => {
       pages: Math.ceil(total / Number(limit)) 
     } 
   });
-});
\ No newline at end of file
+});
+// @desc    Refund a paid online order (full or partial)
+// @route   POST /api/payments/orders/:orderNumber/refund
+// @access  Private/Admin
+export const refundOrder = asyncHandler(async (req, res) => {
+  const { orderNumber } = req.params;
+  const { amount, reason } = req.body || {};
+
+  const order = await Order.findOne({ orderNumber });
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  try {
+    const refund = await issueRefund(order, {
+      amount: amount === undefined || amount === '' ? undefined : Number(amount),
+      reason: reason || 'Refund issued by admin',
+      initiatedBy: req.user?._id,
+      source: 'admin'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+      refund,
+      paymentStatus: order.paymentStatus,
+      refundableAmount: order.getRefundableAmount()
+    });
+  } catch (error) {
+    console.error('Error refunding order:', orderNumber, error.message);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
@@ -0,0 +1,32 @@
+import asyncHandler from 'express-async-handler';
+import { listAlerts, createAlert, removeAlert } from '../services/productAlertService.js';
+
+// @desc    Get the current user's back-in-stock and price-drop alerts
+// @route   GET /api/users/me/product-alerts?productId=
+// @access  Private
+export const getProductAlerts = asyncHandler(async (req, res) => {
+  const alerts = await listAlerts(req.user._id, { productId: req.query.productId });
+  res.status(200).json({ success: true, alerts });
+});
+
+// @desc    Watch a product variant for a restock or price drop
+// @route   POST /api/users/me/product-alerts
+// @access  Private
+export const addProductAlert = asyncHandler(async (req, res) => {
+  const alert = await createAlert(req.user._id, req.body);
+  res.status(201).json({
+    success: true,
+    message: alert.type === 'price_drop'
+      ? "We'll let you know when the price drops"
+      : "We'll let you know when it's back in stock",
+    alert
+  });
+});
+
+// @desc    Stop watching a product variant
+// @route   DELETE /api/users/me/product-alerts/:alertId
+// @access  Private
+export const deleteProductAlert = asyncHandler(async (req, res) => {
+  await removeAlert(req.user._id, req.params.alertId);
+  res.status(200).json({ success: true, message: 'Alert removed' });
+});
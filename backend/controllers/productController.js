@@ -7,6 +7,9 @@ import { deleteFromCloudinary, getPublicIdFromUrl } from '../utils/cloudinary.js
 import { cache } from '../utils/cache.js';
 import { sendNewProductNewsletter, sendNewProductToAllUsers, sendDiscountNewsletter } from '../utils/newsletterEmailService.js';
 import { formatVariantLabel } from '../utils/variantUtils.js';
+import { recordStockMovement } from '../services/stockService.js';
+import { normalizeAddOnGroups } from '../services/addOnService.js';
+import { isRestock, queuePriceDropAlerts, queueRestockAlerts } from '../services/productAlertService.js';
 
 // @desc    Get all products with optional filtering
 // @route   GET /api/products
@@ -22,6 +25,7 @@ export const getProducts = asyncHandler(async (req, res) => {
     tags,
     search,
     bestSeller,
+    sort,
     limit = 20,
     page = 1
   } = req.query;
@@ -95,15 +99,44 @@ export const getProducts = asyncHandler(async (req, res) => {
     filter.$or = orConditions;
   }
 
+  // Sorting: named orders or "field:direction" (e.g. createdAt:-1) on a whitelisted field
+  const sortPresets = {
+    newest: { createdAt: -1 },
+    rating: { 'rating.average': -1, 'rating.count': -1, createdAt: -1 },
+    popular: { totalOrderCount: -1, createdAt: -1 },
+    name: { name: 1 }
+  };
+  const sortableFields = {
+    createdAt: 'createdAt',
+    name: 'name',
+    totalOrderCount: 'totalOrderCount',
+    rating: 'rating.average'
+  };
+  let sortOrder = sortPresets.newest;
+  if (sort && sortPresets[sort]) {
+    sortOrder = sortPresets[sort];
+  } else if (sort) {
+    const [field, direction] = String(sort).split(':');
+    if (sortableFields[field]) {
+      sortOrder = { [sortableFields[field]]: direction === '1' || direction === 'asc' ? 1 : -1 };
+      if (field === 'rating') sortOrder['rating.count'] = sortOrder['rating.average'];
+      if (field !== 'createdAt') sortOrder.createdAt = -1;
+    }
+  }
+
   // Calculate pagination
   const skip = (page - 1) * limit;
   
+  // Admins and catalog staff see inactive categories and always get fresh data
+  const canManageCatalog = Boolean(req.user?.hasPermission('catalog'));
+
   // Create a cache key based on the query parameters
   const queryHash = JSON.stringify({
     filter,
+    sortOrder,
     skip,
     limit,
-    isAdmin: req.user?.role === 'admin'
+    isAdmin: canManageCatalog
   });
   
   // Generate a cache key from the hash
@@ -126,11 +159,11 @@ export const getProducts = asyncHandler(async (req, res) => {
         path: 'category',
         select: 'name images description isActive',
         // Don't filter out inactive categories for admin views
-        match: req.user?.role === 'admin' ? {} : { isActive: true }
+        match: canManageCatalog ? {} : { isActive: true }
       })
     // Return only fields needed for list views
-  .select('name id price variants featuredImage images category isActive hasEgg isVeg badge totalOrderCount createdAt updatedAt')
-      .sort('-createdAt')
+  .select('name id price variants featuredImage images category isActive hasEgg isVeg badge totalOrderCount rating addOnGroups createdAt updatedAt')
+      .sort(sortOrder)
       .skip(skip)
       .limit(Number(limit))
       .lean({ virtuals: true });
@@ -140,8 +173,7 @@ export const getProducts = asyncHandler(async (req, res) => {
     
     // Store in cache - shorter timeout (2 minutes) for product listing
     // Admin requests aren't cached (they need fresh data)
-    const isAdmin = req.user?.role === 'admin';
-    if (!isAdmin) {
+    if (!canManageCatalog) {
       cache.set(cacheKey, { products, totalProducts }, 120);
     }
   }
@@ -199,8 +231,8 @@ export const getProduct = asyncHandler(async (req, res) => {
       throw new Error('Product not found');
     }
 
-    // For non-admin users, don't return inactive products
-    if (!product.isActive && (!req.user || req.user.role !== 'admin')) {
+    // Only admins and catalog staff see inactive products
+    if (!product.isActive && !req.user?.hasPermission('catalog')) {
       res.status(404);
       throw new Error('Product not found');
     }
@@ -273,7 +305,8 @@ export const createProduct = asyncHandler(async (req, res) => {
     extraFields,
     id,
     badge,
-    variants // [{ name?, price, stock, quantity, measuring }]
+    variants, // [{ name?, price, stock, quantity, measuring }]
+    addOnGroups
   } = req.body;
 
   // Validate required fields
@@ -336,7 +369,8 @@ export const createProduct = asyncHandler(async (req, res) => {
     extraFields: extraFields || {},
     id,
     badge,
-    variants: normalizedVariants // Store normalized variants only
+    variants: normalizedVariants, // Store normalized variants only
+    addOnGroups: normalizeAddOnGroups(addOnGroups)
   });
 
   const createdProduct = await Product.findById(product._id).populate('category', 'name');
@@ -372,7 +406,8 @@ export const updateProduct = asyncHandler(async (req, res) => {
     id,
     badge,
     cancelOffer,
-    variants // Array of variant objects [{ name?, price, stock, quantity, measuring }]
+    variants, // Array of variant objects [{ name?, price, stock, quantity, measuring }]
+    addOnGroups
   } = req.body;
 
   const product = await Product.findById(req.params.id);
@@ -419,11 +454,17 @@ export const updateProduct = asyncHandler(async (req, res) => {
     product.tags = Array.isArray(tags) ? tags : [];
   }
 
+  if (addOnGroups !== undefined) {
+    product.addOnGroups = normalizeAddOnGroups(addOnGroups);
+  }
+
+  let previousVariantStock = null;
   if (variants) {
     if (!Array.isArray(variants)) {
       res.status(400);
       throw new Error('Variants must be an array');
     }
+    previousVariantStock = product.variants.map(v => ({ stock: v.stock, isStockActive: v.isStockActive }));
     // Normalize incoming variants to ensure all fields are preserved
     product.variants = variants.map(v => ({
       ...v,
@@ -477,6 +518,44 @@ export const updateProduct = asyncHandler(async (req, res) => {
   // Save updated product
   const updatedProduct = await product.save();
 
+  // Stock edited through the product form goes to the stock ledger too
+  if (previousVariantStock) {
+    for (const [index, variant] of updatedProduct.variants.entries()) {
+      const before = previousVariantStock[index];
+      if (!before) continue;
+      const stockBefore = Number(before.stock) || 0;
+      if (stockBefore === variant.stock && Boolean(before.isStockActive) === variant.isStockActive) continue;
+
+      await recordStockMovement({
+        productId: updatedProduct._id,
+        productName: updatedProduct.name,
+        variantIndex: index,
+        variantLabel: formatVariantLabel(variant),
+        reason: 'product_update',
+        quantityChange: variant.stock - stockBefore,
+        stockBefore,
+        stockAfter: variant.stock,
+        isStockActiveBefore: Boolean(before.isStockActive),
+        isStockActiveAfter: variant.isStockActive,
+        actor: req.user?._id || null,
+        actorRole: 'admin',
+        source: 'product_form'
+      });
+
+      if (isRestock({
+        stockBefore,
+        stockAfter: variant.stock,
+        isStockActiveBefore: Boolean(before.isStockActive),
+        isStockActiveAfter: variant.isStockActive
+      })) {
+        queueRestockAlerts(updatedProduct._id, index);
+      }
+    }
+  }
+
+  // Variant prices and discounts are edited here too
+  queuePriceDropAlerts(updatedProduct._id);
+
   // Return populated product
   const populatedProduct = await Product.findById(updatedProduct._id)
     .populate('category', 'name');
@@ -605,6 +684,9 @@ export const updateProductDiscount = asyncHandler(async (req, res) => {
   }
   
   const updatedProduct = await product.save();
+
+  // Let customers watching this product know if it got cheaper
+  queuePriceDropAlerts(updatedProduct._id);
   
   // Populate category for newsletter
   const populatedProduct = await Product.findById(updatedProduct._id).populate('category', 'name');
@@ -745,7 +827,7 @@ export const getBestSellingProducts = asyncHandler(async (req, res) => {
 
     const products = await Product.find(filter)
       .populate('category', 'name')
-      .sort({ totalOrderCount: -1, createdAt: -1 })
+      .sort({ totalOrderCount: -1, 'rating.average': -1, createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
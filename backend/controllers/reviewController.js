@@ -0,0 +1,367 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Review from '../models/reviewModel.js';
+import Product from '../models/productModel.js';
+import { deleteFromCloudinary } from '../utils/cloudinary.js';
+import { formatVariantLabel } from '../utils/variantUtils.js';
+import {
+  findEligibleOrder,
+  getReviewableVariants,
+  recalculateProductRating
+} from '../services/reviewService.js';
+
+const MAX_REVIEW_PHOTOS = 4;
+const REVIEW_PHOTO_FOLDER = 'la_patisserie/reviews/';
+
+const findReview = async (id, res) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+  const review = await Review.findById(id);
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+  return review;
+};
+
+const parseRating = (value, res) => {
+  const rating = Number(value);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    res.status(400);
+    throw new Error('Rating must be a whole number from 1 to 5');
+  }
+  return rating;
+};
+
+// Only photos uploaded through /api/upload/review are accepted
+const parsePhotos = (photos = [], res) => {
+  if (!Array.isArray(photos) || photos.length > MAX_REVIEW_PHOTOS) {
+    res.status(400);
+    throw new Error(`You can attach up to ${MAX_REVIEW_PHOTOS} photos`);
+  }
+  const invalid = photos.some(photo =>
+    !photo
+    || typeof photo.url !== 'string'
+    || !photo.url.startsWith('https://res.cloudinary.com/')
+    || typeof photo.public_id !== 'string'
+    || !photo.public_id.startsWith(REVIEW_PHOTO_FOLDER)
+  );
+  if (invalid) {
+    res.status(400);
+    throw new Error('Invalid review photo. Please upload photos again.');
+  }
+  return photos.map(photo => ({ url: photo.url, public_id: photo.public_id }));
+};
+
+const removePhotos = (photos = []) => {
+  setImmediate(async () => {
+    for (const photo of photos) {
+      if (!photo.public_id) continue;
+      try {
+        await deleteFromCloudinary(photo.public_id);
+      } catch (error) {
+        console.error('⚠️ Failed to delete review photo (non-critical):', error.message);
+      }
+    }
+  });
+};
+
+// @desc    Get approved reviews for a product with its rating summary
+// @route   GET /api/products/:id/reviews
+// @access  Public
+export const getProductReviews = asyncHandler(async (req, res) => {
+  const { variantIndex, sort = 'recent', page = 1, limit = 10 } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const product = await Product.findById(req.params.id).select('rating variantRatings').lean();
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const filter = { productId: product._id, status: 'approved' };
+  if (variantIndex !== undefined && variantIndex !== '') {
+    filter.variantIndex = Number(variantIndex) || 0;
+  }
+  if (sort === 'photos') {
+    filter['photos.0'] = { $exists: true };
+  }
+
+  const sortOptions = {
+    recent: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+    photos: { createdAt: -1 }
+  };
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+
+  const [reviews, total, distribution] = await Promise.all([
+    Review.find(filter)
+      .sort(sortOptions[sort] || sortOptions.recent)
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select('userName variantIndex variantLabel rating title comment photos createdAt')
+      .lean(),
+    Review.countDocuments(filter),
+    Review.aggregate([
+      { $match: { productId: product._id, status: 'approved' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  res.status(200).json({
+    success: true,
+    reviews,
+    summary: {
+      average: product.rating?.average || 0,
+      count: product.rating?.count || 0,
+      distribution: [5, 4, 3, 2, 1].reduce((acc, stars) => ({
+        ...acc,
+        [stars]: distribution.find(row => row._id === stars)?.count || 0
+      }), {}),
+      variantRatings: product.variantRatings || []
+    },
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  });
+});
+
+// @desc    Variants of a product the user can review (delivered purchases)
+// @route   GET /api/reviews/eligibility/:productId
+// @access  Private
+export const getReviewEligibility = asyncHandler(async (req, res) => {
+  const variants = await getReviewableVariants(req.user._id, req.params.productId);
+
+  res.status(200).json({
+    success: true,
+    canReview: variants.some(variant => !variant.review),
+    variants
+  });
+});
+
+// @desc    Review a delivered product
+// @route   POST /api/reviews
+// @access  Private
+export const createReview = asyncHandler(async (req, res) => {
+  const { productId, variantIndex = 0, rating, title, comment, photos } = req.body;
+
+  if (!productId) {
+    res.status(400);
+    throw new Error('Product is required');
+  }
+
+  const stars = parseRating(rating, res);
+  const reviewPhotos = parsePhotos(photos, res);
+  const index = Number(variantIndex) || 0;
+
+  const order = await findEligibleOrder(req.user._id, productId, index);
+  if (!order) {
+    res.status(403);
+    throw new Error('You can review a product once an order containing it has been delivered');
+  }
+
+  const existing = await Review.findOne({ userId: req.user._id, productId, variantIndex: index });
+  if (existing) {
+    res.status(400);
+    throw new Error('You have already reviewed this item. Edit your existing review instead.');
+  }
+
+  let variantLabel = order.line?.variantLabel;
+  if (!variantLabel) {
+    const product = await Product.findById(productId).select('variants').lean();
+    variantLabel = formatVariantLabel(product?.variants?.[index]);
+  }
+
+  const review = await Review.create({
+    productId,
+    userId: req.user._id,
+    userName: req.user.name || 'Customer',
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    variantIndex: index,
+    variantLabel,
+    rating: stars,
+    title,
+    comment,
+    photos: reviewPhotos
+  });
+
+  console.log(`⭐ New ${stars}-star review for product ${productId} from ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks! Your review will appear once it has been checked.',
+    review
+  });
+});
+
+// @desc    Edit own review (goes back to moderation)
+// @route   PUT /api/reviews/:id
+// @access  Private
+export const updateReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id, res);
+
+  if (review.userId.toString() !== req.user._id.toString()) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+
+  const { rating, title, comment, photos } = req.body;
+  const wasApproved = review.status === 'approved';
+
+  if (rating !== undefined) review.rating = parseRating(rating, res);
+  if (title !== undefined) review.title = title;
+  if (comment !== undefined) review.comment = comment;
+  if (photos !== undefined) {
+    const reviewPhotos = parsePhotos(photos, res);
+    const keptIds = new Set(reviewPhotos.map(photo => photo.public_id));
+    removePhotos(review.photos.filter(photo => !keptIds.has(photo.public_id)));
+    review.photos = reviewPhotos;
+  }
+
+  review.status = 'pending';
+  review.moderatedBy = undefined;
+  review.moderatedAt = undefined;
+  review.moderationNote = undefined;
+  await review.save();
+
+  if (wasApproved) {
+    await recalculateProductRating(review.productId);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Review updated. It will appear again once it has been checked.',
+    review
+  });
+});
+
+// @desc    Get the logged-in user's reviews
+// @route   GET /api/reviews/my
+// @access  Private
+export const getMyReviews = asyncHandler(async (req, res) => {
+  const reviews = await Review.find({ userId: req.user._id })
+    .sort({ createdAt: -1 })
+    .populate('productId', 'name images');
+
+  res.status(200).json({ success: true, reviews });
+});
+
+// @desc    Delete a review
+// @route   DELETE /api/reviews/:id
+// @access  Private (owner or admin)
+export const deleteReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id, res);
+
+  if (!req.user.hasPermission('catalog') && review.userId.toString() !== req.user._id.toString()) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+
+  await review.deleteOne();
+  removePhotos(review.photos);
+
+  if (review.status === 'approved') {
+    await recalculateProductRating(review.productId);
+  }
+
+  res.status(200).json({ success: true, message: 'Review deleted' });
+});
+
+// @desc    Get reviews for moderation
+// @route   GET /api/reviews
+// @access  Admin
+export const getReviews = asyncHandler(async (req, res) => {
+  const { status, productId, rating, search, page = 1, limit = 20 } = req.query;
+  const filter = {};
+
+  if (status && status !== 'all') {
+    filter.status = status;
+  }
+  if (productId && mongoose.Types.ObjectId.isValid(productId)) {
+    filter.productId = productId;
+  }
+  if (rating) {
+    filter.rating = Number(rating);
+  }
+  if (search) {
+    const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const searchRegex = new RegExp(escaped, 'i');
+    filter.$or = [
+      { userName: searchRegex },
+      { orderNumber: searchRegex },
+      { title: searchRegex },
+      { comment: searchRegex }
+    ];
+  }
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [reviews, total, counts] = await Promise.all([
+    Review.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('productId', 'name images')
+      .populate('userId', 'name email'),
+    Review.countDocuments(filter),
+    Review.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  res.status(200).json({
+    success: true,
+    reviews,
+    stats: counts.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {}),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  });
+});
+
+// @desc    Approve or reject a review
+// @route   PUT /api/reviews/:id/moderate
+// @access  Admin
+export const moderateReview = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    res.status(400);
+    throw new Error('Status must be approved or rejected');
+  }
+
+  const review = await findReview(req.params.id, res);
+  const statusChanged = review.status !== status;
+
+  review.status = status;
+  review.moderatedBy = req.user._id;
+  review.moderatedAt = new Date();
+  review.moderationNote = note;
+  await review.save();
+
+  // Approving adds the review to the rating; rejecting a live review takes it out
+  if (statusChanged) {
+    await recalculateProductRating(review.productId);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: status === 'approved' ? 'Review published' : 'Review rejected',
+    review
+  });
+});
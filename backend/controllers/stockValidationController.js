@@ -1,6 +1,11 @@
 import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 import Product from '../models/productModel.js';
 import Category from '../models/categoryModel.js';
+import StockMovement from '../models/stockMovementModel.js';
+import StockHold from '../models/stockHoldModel.js';
+import { setVariantStock } from '../services/stockService.js';
+import { getActiveHoldSummary } from '../services/stockReservationService.js';
 
 // @desc    Get inventory overview for admin
 // @route   GET /api/stock/inventory/overview
@@ -11,6 +16,11 @@ export const getInventoryOverview = asyncHandler(async (req, res) => {
       .populate('category', 'name')
       .select('name variants category');
 
+    // Units currently held by unpaid online checkouts, keyed by product/variant
+    const holdsByVariant = new Map(
+      (await getActiveHoldSummary()).map(hold => [`${hold.productId}:${hold.variantIndex}`, hold])
+    );
+
     let totalProducts = 0;
     let lowStockProducts = 0;
     let outOfStockProducts = 0;
@@ -21,6 +31,7 @@ export const getInventoryOverview = asyncHandler(async (req, res) => {
         totalVariants++;
         const stock = variant.stock || 0;
         const isStockActive = variant.isStockActive || false;
+        const hold = holdsByVariant.get(`${product._id}:${index}`);
         
         if (isStockActive) {
           if (stock === 0) {
@@ -38,6 +49,9 @@ export const getInventoryOverview = asyncHandler(async (req, res) => {
           stock: stock,
           isStockActive: isStockActive,
           price: variant.price,
+          heldStock: hold?.quantity || 0,
+          holdCount: hold?.holds || 0,
+          nextHoldExpiry: hold?.nextExpiry || null,
           status: !isStockActive ? 'disabled' : stock === 0 ? 'out_of_stock' : stock <= 5 ? 'low_stock' : 'in_stock'
         };
       });
@@ -140,27 +154,24 @@ export const bulkUpdateStock = asyncHandler(async (req, res) => {
       const { productId, variantIndex, stock, isStockActive } = update;
       
       try {
-        const updateData = {};
-        if (typeof stock === 'number') {
-          updateData[`variants.${variantIndex}.stock`] = Math.max(0, stock);
-        }
-        if (typeof isStockActive === 'boolean') {
-          updateData[`variants.${variantIndex}.isStockActive`] = isStockActive;
-        }
-
-        const product = await Product.findByIdAndUpdate(
+        const result = await setVariantStock({
           productId,
-          { $set: updateData },
-          { new: true }
-        );
+          variantIndex,
+          stock,
+          isStockActive,
+          reason: 'bulk_update',
+          actor: req.user,
+          source: req.body.source || 'inventory_bulk_update',
+          note: req.body.note
+        });
 
-        if (product) {
+        if (result) {
           results.push({
             productId,
             variantIndex,
             success: true,
-            newStock: product.variants[variantIndex].stock,
-            isStockActive: product.variants[variantIndex].isStockActive
+            newStock: result.stockAfter,
+            isStockActive: result.isStockActiveAfter
           });
         } else {
           errors.push({
@@ -198,57 +209,59 @@ export const bulkUpdateStock = asyncHandler(async (req, res) => {
 // @route   GET /api/stock/inventory/activity
 // @access  Admin only
 export const getStockActivity = asyncHandler(async (req, res) => {
-  const { productId, limit = 50 } = req.query;
-  
+  const { productId, variantIndex, reason, orderNumber, from, to } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+  const filter = {};
+  if (productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      res.status(400);
+      throw new Error('Invalid product id');
+    }
+    filter.productId = productId;
+  }
+  if (variantIndex !== undefined && variantIndex !== '') {
+    filter.variantIndex = parseInt(variantIndex);
+  }
+  if (reason) {
+    filter.reason = { $in: String(reason).split(',') };
+  }
+  if (orderNumber) {
+    filter.orderNumber = orderNumber;
+  }
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      res.status(400);
+      throw new Error('Invalid date range');
+    }
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
   try {
-    // This is a placeholder - in a real implementation, you'd have a stock activity log
-    // For now, we'll return recent order activities that affected stock
-    const pipeline = [
-      {
-        $match: productId ? { 'items.productId': productId } : {}
-      },
-      {
-        $unwind: '$items'
-      },
-      {
-        $lookup: {
-          from: 'products',
-          localField: 'items.productId',
-          foreignField: '_id',
-          as: 'product'
-        }
-      },
-      {
-        $unwind: '$product'
-      },
-      {
-        $project: {
-          orderId: '$_id',
-          productId: '$items.productId',
-          productName: '$product.name',
-          variantIndex: '$items.variantIndex',
-          quantity: '$items.quantity',
-          action: 'order_placed',
-          createdAt: '$createdAt',
-          orderStatus: '$status'
-        }
-      },
-      {
-        $sort: { createdAt: -1 }
-      },
-      {
-        $limit: parseInt(limit)
-      }
-    ];
+    const [activities, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      StockMovement.countDocuments(filter)
+    ]);
 
-    // Note: You'll need to adjust this based on your Order model structure
-    // const activities = await Order.aggregate(pipeline);
-    
-    // For now, returning a placeholder response
     res.json({
       success: true,
-      activities: [],
-      message: 'Stock activity tracking will be implemented with order history'
+      activities,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
     console.error('Error fetching stock activity:', error);
@@ -260,6 +273,45 @@ export const getStockActivity = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Get active checkout holds
+// @route   GET /api/stock/inventory/holds
+// @access  Admin only
+export const getStockHolds = asyncHandler(async (req, res) => {
+  const { productId, variantIndex } = req.query;
+
+  const filter = { status: 'active' };
+  if (productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      res.status(400);
+      throw new Error('Invalid product id');
+    }
+    filter.productId = productId;
+  }
+  if (variantIndex !== undefined && variantIndex !== '') {
+    filter.variantIndex = parseInt(variantIndex);
+  }
+
+  try {
+    const holds = await StockHold.find(filter)
+      .populate('userId', 'name email')
+      .sort({ expiresAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      holds,
+      totalHeld: holds.reduce((sum, hold) => sum + hold.quantity, 0)
+    });
+  } catch (error) {
+    console.error('Error fetching stock holds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock holds',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Set stock alerts and thresholds
 // @route   PUT /api/stock/inventory/alerts
 // @access  Admin only
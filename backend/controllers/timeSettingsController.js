@@ -1,5 +1,6 @@
 import asyncHandler from 'express-async-handler';
 import TimeSettings from '../models/timeSettingsModel.js';
+import { getDeliverySlotAvailability } from '../services/deliverySlotService.js';
 
 // @desc    Get time settings
 // @route   GET /api/time-settings
@@ -57,6 +58,9 @@ export const updateTimeSettings = asyncHandler(async (req, res) => {
     if (req.body.dailyPauseWindows) {
       settings.dailyPauseWindows = req.body.dailyPauseWindows;
     }
+    if (req.body.deliverySlots) {
+      settings.deliverySlots = { ...settings.toObject().deliverySlots, ...req.body.deliverySlots };
+    }
     
     await settings.save();
     
@@ -340,6 +344,7 @@ export const checkShopStatus = asyncHandler(async (req, res) => {
         currentTime: now.toISOString(),
         timezone: settings.timezone,
         operatingHours,
+        acceptsPreOrders: settings.acceptsPreOrders(),
         message
       }
     });
@@ -365,4 +370,24 @@ export const checkShopStatus = asyncHandler(async (req, res) => {
       warning: 'Using default shop status due to database connectivity issues'
     });
   }
-});
\ No newline at end of file
+});
+
+// @desc    Get bookable delivery slots (today and pre-order days)
+// @route   GET /api/time-settings/delivery-slots
+// @access  Public
+export const getDeliverySlots = asyncHandler(async (req, res) => {
+  try {
+    const availability = await getDeliverySlotAvailability();
+
+    res.status(200).json({
+      success: true,
+      ...availability
+    });
+  } catch (error) {
+    console.error('Error fetching delivery slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching delivery slots'
+    });
+  }
+});
@@ -302,3 +302,43 @@ export const uploadProfilePhotoComplete = asyncHandler(async (req, res) => {
     }
   }
 });
+
+// @desc    Upload a photo for a product review
+// @route   POST /api/upload/review
+// @access  Private (any authenticated user)
+export const uploadReviewPhoto = asyncHandler(async (req, res) => {
+  const fileData = req.body.file;
+  if (!fileData || typeof fileData !== 'string' || !fileData.startsWith('data:image/')) {
+    res.status(400);
+    throw new Error('Invalid file format. Expected base64 image data.');
+  }
+
+  const validation = await validateFile(fileData, 'PROFILE_IMAGE');
+  if (!validation.isValid) {
+    res.status(400);
+    throw new Error(validation.error);
+  }
+
+  try {
+    const result = await uploadToCloudinary(fileData, {
+      folder: 'la_patisserie/reviews',
+      resource_type: 'image',
+      allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp']
+    });
+
+    console.log(`📸 Review photo uploaded by ${req.user.email}: ${result.public_id}`);
+
+    res.status(200).json({
+      url: result.url,
+      public_id: result.public_id
+    });
+  } catch (error) {
+    console.error('❌ Review photo upload failed:', error.message);
+    if (error.message.includes('File size too large')) {
+      res.status(413);
+      throw new Error('File size too large. Please upload an image smaller than 5MB.');
+    }
+    res.status(500);
+    throw new Error(`Review photo upload failed: ${error.message}`);
+  }
+});
@@ -1,11 +1,12 @@
 import asyncHandler from 'express-async-handler';
-import User from '../models/userModel.js';
+import User, { ADMIN_PERMISSIONS } from '../models/userModel.js';
 import Product from '../models/productModel.js';
 import Order from '../models/orderModel.js';
 import firebaseAdmin from '../config/firebase.js';
 import { deleteFromCloudinary } from '../utils/cloudinary.js';
 import { userDeletionQueue } from '../utils/queue.js';
 import { deleteUserCascadeSequential } from '../services/userDeletionService.js';
+import { applyLocationToDefaultAddress } from '../services/addressService.js';
 
 // @desc    Get current user profile
 // @route   GET /api/users/me
@@ -58,6 +59,7 @@ export const getCurrentUser = asyncHandler(async (req, res) => {
       uid: user.uid,
       name: user.name,
       role: user.role,
+      permissions: user.getPermissions(),
       dob: formattedDob,
       anniversary: formattedAnniversary,
       gender: user.gender || '',
@@ -89,8 +91,8 @@ export const getCurrentUser = asyncHandler(async (req, res) => {
 export const updateUser = asyncHandler(async (req, res) => {
   const userId = req.params.id;
   
-  // Check if user is updating their own profile or is an admin
-  if (userId !== req.user.uid && req.user.role !== 'admin') {
+  // Check if user is updating their own profile or manages users
+  if (userId !== req.user.uid && !req.user.hasPermission('users')) {
     res.status(403);
     throw new Error('Not authorized to update this profile');
   }
@@ -102,6 +104,12 @@ export const updateUser = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('User not found');
   }
+
+  // Only owners edit other owners
+  if (userId !== req.user.uid && user.role === 'admin' && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only admins can change admin accounts');
+  }
   
   // Update fields - including all the new profile fields
   const { 
@@ -114,7 +122,6 @@ export const updateUser = asyncHandler(async (req, res) => {
     country, 
     location, 
     hostel, 
-    role,
     email,
     phone,
     phoneVerified,
@@ -144,11 +151,7 @@ export const updateUser = asyncHandler(async (req, res) => {
   if (country !== undefined) user.country = country || 'India';
   if (location) user.location = location;
   if (hostel !== undefined) user.hostel = hostel || null;
-  
-  // Only admins can update roles
-  if (role && req.user.role === 'admin') {
-    user.role = role;
-  }
+  if (location || hostel !== undefined) applyLocationToDefaultAddress(user);
   
   // Handle email updates
   if (email !== undefined) {
@@ -196,7 +199,7 @@ export const updateUser = asyncHandler(async (req, res) => {
   
   // Check if this update was performed by an admin on another user's account
   // If so, add a flag to indicate it's an admin update
-  const isAdminUpdate = req.user.role === 'admin' && userId !== req.user.uid;
+  const isAdminUpdate = req.user.hasPermission('users') && userId !== req.user.uid;
   
   res.status(200).json({
     success: true,
@@ -205,6 +208,7 @@ export const updateUser = asyncHandler(async (req, res) => {
       uid: updatedUser.uid,
       name: updatedUser.name,
       role: updatedUser.role,
+      permissions: updatedUser.getPermissions(),
       dob: formattedDob,
       anniversary: formattedAnniversary,
       gender: updatedUser.gender || '',
@@ -282,6 +286,69 @@ export const getUsers = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Change a user's role and admin panel permissions
+// @route   PUT /api/admin/users/:userId/access
+// @access  Admin (users permission)
+export const updateUserAccess = asyncHandler(async (req, res) => {
+  const { role, permissions } = req.body;
+  const actor = req.user;
+
+  const user = await User.findOne({ uid: req.params.userId });
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  if (String(user._id) === String(actor._id)) {
+    res.status(403);
+    throw new Error('You cannot change your own access');
+  }
+
+  const nextRole = role || user.role;
+  if (!['user', 'staff', 'delivery', 'admin'].includes(nextRole)) {
+    res.status(400);
+    throw new Error('Invalid role');
+  }
+
+  // Only owners create or demote other owners
+  if ((nextRole === 'admin' || user.role === 'admin') && actor.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only admins can change admin access');
+  }
+
+  let nextPermissions = [];
+  if (nextRole === 'staff') {
+    const requested = [...new Set(Array.isArray(permissions) ? permissions : user.permissions)];
+    const unknown = requested.filter(permission => !ADMIN_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      res.status(400);
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    // Staff can only hand out the areas they can open themselves
+    const notHeld = requested.filter(permission => !actor.hasPermission(permission));
+    if (notHeld.length > 0) {
+      res.status(403);
+      throw new Error(`You cannot grant permissions you do not have: ${notHeld.join(', ')}`);
+    }
+    nextPermissions = requested;
+  }
+
+  user.role = nextRole;
+  user.permissions = nextPermissions;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    user: {
+      uid: user.uid,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: user.getPermissions()
+    }
+  });
+});
+
 // @desc    Get comprehensive user details for admin
 // @route   GET /api/admin/users/:userId/details
 // @access  Admin
@@ -465,8 +532,8 @@ export const getRecentlyViewed = asyncHandler(async (req, res) => {
 export const deleteUser = asyncHandler(async (req, res) => {
   const userId = req.params.id;
   
-  // Check if user is deleting their own account or is an admin
-  if (userId !== req.user.uid && req.user.role !== 'admin') {
+  // Check if user is deleting their own account or manages users
+  if (userId !== req.user.uid && !req.user.hasPermission('users')) {
     res.status(403);
     throw new Error('Not authorized to delete this user');
   }
@@ -478,6 +545,12 @@ export const deleteUser = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('User not found');
   }
+
+  // Only owners delete other owners
+  if (userId !== req.user.uid && user.role === 'admin' && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only admins can delete admin accounts');
+  }
   
   // Serialize heavy deletions via a dedicated in-process queue to reduce DB stress
   try {
@@ -1,6 +1,8 @@
 import firebaseAdmin from '../config/firebase.js';
 import User from '../models/userModel.js';
 import asyncHandler from 'express-async-handler';
+import { getInitialRole } from '../utils/adminUtils.js';
+import { startAuditTrail } from '../services/auditService.js';
 
 // Simple token verification cache with TTL
 const tokenCache = new Map();
@@ -53,8 +55,7 @@ export const protect = asyncHandler(async (req, res, next) => {
         
         // Try to create user from Firebase token
         try {
-          // Determine role based on email
-          const role = decodedToken.email === 'admin@lapatisserie.com' ? 'admin' : 'user';
+          const role = getInitialRole(decodedToken.email, decodedToken.email_verified);
           
           const userData = {
             uid: decodedToken.uid,
@@ -188,16 +189,50 @@ export const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
-// Admin middleware - ensures user is an admin
+// Admin middleware - owner-only routes (staff are never let through); mutations are audited
 export const admin = asyncHandler(async (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
-    next();
+    startAuditTrail(req, res, next);
   } else {
     res.status(403);
     throw new Error('Not authorized as admin');
   }
 });
 
+// Permission middleware - admins, or staff granted this admin panel area; mutations are audited
+export const requirePermission = (permission) => asyncHandler(async (req, res, next) => {
+  if (req.user && req.user.hasPermission(permission)) {
+    startAuditTrail(req, res, next, permission);
+  } else {
+    res.status(403);
+    throw new Error(`Not authorized: requires ${permission} permission`);
+  }
+});
+
+// Own-account routes that user managers may also use on other accounts; only the cross-account use is audited
+export const selfOrPermission = (permission, param = 'id') => asyncHandler(async (req, res, next) => {
+  if (req.user && req.params[param] === req.user.uid) {
+    next();
+  } else if (req.user && req.user.hasPermission(permission)) {
+    startAuditTrail(req, res, next, permission);
+  } else {
+    res.status(403);
+    throw new Error(`Not authorized: requires ${permission} permission`);
+  }
+});
+
+// Delivery middleware - riders, plus admins and order staff covering a run themselves
+export const deliveryAgent = asyncHandler(async (req, res, next) => {
+  if (req.user?.role === 'delivery') {
+    next();
+  } else if (req.user && req.user.hasPermission('orders')) {
+    startAuditTrail(req, res, next, 'orders');
+  } else {
+    res.status(403);
+    throw new Error('Not authorized as delivery agent');
+  }
+});
+
 // Implement cache cleanup function to avoid memory leaks
 function cleanupTokenCache() {
   const now = Date.now();
@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+import { getEmailDelegateSecret, DELEGATE_SECRET_HEADER } from '../utils/emailDelegator.js';
+
+// Only the delegating backend knows EMAIL_DELEGATE_SECRET; without it configured the route stays closed
+export const requireDelegateSecret = (req, res, next) => {
+  const expected = getEmailDelegateSecret();
+  const provided = req.get(DELEGATE_SECRET_HEADER) || '';
+
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected || ''));
+  if (!expected || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ success: false, message: 'Not authorized' });
+  }
+  next();
+};
@@ -0,0 +1,62 @@
+import cron from 'node-cron';
+import { releaseCheckoutHolds } from '../services/stockReservationService.js';
+import { releaseCouponHolds } from '../services/couponService.js';
+import { releaseExpiredSlotHolds } from '../services/deliverySlotService.js';
+
+/**
+ * Return stock held by checkouts whose payment window has passed
+ * @returns {Promise<number>} Number of holds released
+ */
+export const releaseExpiredStockHolds = () => releaseCheckoutHolds(
+  { expiresAt: { $lte: new Date() } },
+  { status: 'expired', reason: 'Payment not completed in time' }
+);
+
+/**
+ * Give back coupon uses held by checkouts whose payment window has passed
+ * @returns {Promise<number>} Number of holds released
+ */
+export const releaseExpiredCouponHolds = () => releaseCouponHolds(
+  { expiresAt: { $lte: new Date() } },
+  { status: 'expired', reason: 'Payment not completed in time' }
+);
+
+/**
+ * Middleware that sweeps expired holds before a stock read, throttled so it runs at most
+ * once a minute; keeps availability accurate even if the scheduled job is late
+ */
+let lastSweepAt = 0;
+export const releaseExpiredHolds = (req, res, next) => {
+  const now = Date.now();
+  if (now - lastSweepAt < 60 * 1000) return next();
+  lastSweepAt = now;
+
+  releaseExpiredStockHolds()
+    .catch(error => console.error('❌ Stock hold sweep failed:', error?.message || error))
+    .finally(() => next());
+};
+
+/**
+ * Release expired checkout holds (stock, coupon uses and delivery slot places) every minute
+ */
+export const startStockReleaseJob = () => {
+  cron.schedule('* * * * *', async () => {
+    try {
+      await releaseExpiredStockHolds();
+    } catch (error) {
+      console.error('❌ Stock hold release job failed:', error?.message || error);
+    }
+    try {
+      await releaseExpiredCouponHolds();
+    } catch (error) {
+      console.error('❌ Coupon hold release job failed:', error?.message || error);
+    }
+    try {
+      await releaseExpiredSlotHolds();
+    } catch (error) {
+      console.error('❌ Delivery slot hold release job failed:', error?.message || error);
+    }
+  });
+
+  console.log('✅ Stock hold release job scheduled (every minute)');
+};
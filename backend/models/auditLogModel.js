@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// One document per changed record, with only the fields that changed
+const auditChangeSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  operation: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  fields: [{
+    _id: false,
+    path: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  }]
+}, { _id: false });
+
+// Append-only record of every admin panel mutation: who called which endpoint and what it changed
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  // Permission the route was gated by (null for owner-only routes)
+  permission: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  // Route pattern (e.g. /api/products/:id) so entries group by endpoint
+  route: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  changes: {
+    type: [auditChangeSchema],
+    default: []
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'changes.model': 1, 'changes.documentId': 1, createdAt: -1 });
+auditLogSchema.index({ permission: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+const recoveryItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  variantIndex: {
+    type: Number,
+    default: 0
+  },
+  variantLabel: {
+    type: String,
+    default: ''
+  },
+  image: {
+    type: String,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  // Catalogue price when the reminder went out, not the price saved in the cart
+  price: {
+    type: Number,
+    default: 0
+  },
+  inStock: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// One abandoned-cart reminder: what the cart held, how we reached the customer,
+// and the order that brought them back (if any).
+const cartRecoverySchema = new mongoose.Schema({
+  // Firebase UID, as on NewCart
+  userId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // NewCart.lastUpdated when the reminder was sent; a cart is only reminded about once per change
+  cartUpdatedAt: {
+    type: Date,
+    required: true
+  },
+  items: {
+    type: [recoveryItemSchema],
+    default: []
+  },
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  // Personal one-time coupon offered in the reminder
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  emailOutboxId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailOutbox',
+    default: null
+  },
+  // 'skipped' when the customer switched cart reminders off
+  emailStatus: {
+    type: String,
+    enum: ['queued', 'sent', 'failed', 'skipped', 'none'],
+    default: 'none'
+  },
+  notified: {
+    type: Boolean,
+    default: false
+  },
+  // Orders placed until then count as recovered by this reminder
+  attributionEndsAt: {
+    type: Date,
+    required: true
+  },
+  recoveredAt: {
+    type: Date,
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderNumber: {
+    type: String,
+    default: null
+  },
+  recoveredValue: {
+    type: Number,
+    default: 0
+  },
+  couponUsed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+cartRecoverySchema.index({ userId: 1, cartUpdatedAt: 1 }, { unique: true });
+cartRecoverySchema.index({ recoveredAt: 1, attributionEndsAt: 1 });
+cartRecoverySchema.index({ createdAt: -1 });
+
+const CartRecovery = mongoose.model('CartRecovery', cartRecoverySchema);
+
+export default CartRecovery;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon taken at checkout, before the order exists.
+// Active holds already count in the coupon's usedCount; they become "converted" when the order is
+// saved (COD) or the payment is captured, and give the use back when released/expired.
+const couponHoldSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  gatewayOrderId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  releaseReason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+couponHoldSchema.index({ status: 1, expiresAt: 1 });
+couponHoldSchema.index({ orderNumber: 1, status: 1 });
+couponHoldSchema.index({ gatewayOrderId: 1 }, { sparse: true });
+couponHoldSchema.index({ couponId: 1, userId: 1, status: 1 });
+
+export default mongoose.model('CouponHold', couponHoldSchema);
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxLength: 30
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 200
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_delivery'],
+    required: true
+  },
+  // Percentage (0-100) or flat amount in rupees; ignored for free_delivery
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Upper bound for percentage coupons (null = no cap)
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Global redemption cap (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Uses per user id, kept next to usedCount so one conditional update can check both limits
+  userUsage: {
+    type: Map,
+    of: Number,
+    default: {},
+    select: false
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Scoping: empty lists mean the coupon applies to the whole cart
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Personal coupons (e.g. abandoned cart incentives) only work for this user
+  assignedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage coupons cannot exceed 100%'));
+  }
+  if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+    return next(new Error('validFrom must be before validUntil'));
+  }
+  next();
+});
+
+// Whether the coupon can be used at the given moment (ignores per-user rules)
+couponSchema.methods.isRedeemableAt = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && date < this.validFrom) return false;
+  if (this.validUntil && date > this.validUntil) return false;
+  if (this.usageLimit != null && this.usedCount >= this.usageLimit) return false;
+  return true;
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
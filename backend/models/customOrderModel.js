@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+
+// Reference photo uploaded to Cloudinary with the request
+const referenceImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  public_id: {
+    type: String
+  }
+}, { _id: false });
+
+// Price offered by the bakery; the customer accepts it by paying
+const customOrderQuoteSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  quotedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  quotedAt: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const customOrderSchema = new mongoose.Schema(
+  {
+    requestNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    occasion: {
+      type: String,
+      enum: ['birthday', 'anniversary', 'wedding', 'other'],
+      default: 'birthday'
+    },
+    flavour: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    weightKg: {
+      type: Number,
+      required: true,
+      min: 0.5,
+      max: 10
+    },
+    isEggless: {
+      type: Boolean,
+      default: false
+    },
+    messageOnCake: {
+      type: String,
+      trim: true,
+      maxlength: 60
+    },
+    designNotes: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    referenceImages: {
+      type: [referenceImageSchema],
+      default: []
+    },
+    requiredDate: {
+      type: Date,
+      required: true
+    },
+    userDetails: {
+      name: String,
+      email: String,
+      phone: String
+    },
+    deliveryLocation: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    hostelName: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['submitted', 'quoted', 'accepted', 'paid', 'rejected', 'cancelled'],
+      default: 'submitted'
+    },
+    quote: {
+      type: customOrderQuoteSchema,
+      default: null
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    // Razorpay order created when the customer accepted the quote
+    gatewayOrderId: {
+      type: String,
+      default: null
+    },
+    // Regular order created once the quote is paid
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null
+    },
+    orderNumber: {
+      type: String,
+      default: null
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+customOrderSchema.index({ userId: 1, createdAt: -1 });
+customOrderSchema.index({ status: 1, requiredDate: 1 });
+customOrderSchema.index({ gatewayOrderId: 1 }, { sparse: true });
+
+// Quote can be paid while it is still valid and the cake date hasn't passed
+customOrderSchema.methods.canBePaid = function(now = new Date()) {
+  return ['quoted', 'accepted'].includes(this.status) &&
+    Boolean(this.quote) &&
+    this.quote.validUntil > now &&
+    this.requiredDate > now;
+};
+
+const CustomOrder = mongoose.model('CustomOrder', customOrderSchema);
+
+export default CustomOrder;
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_RULE_TYPES = ['free_above', 'time_surcharge', 'hostel_override', 'weight_tier', 'promo'];
+
+const HHMM_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Adjusts the flat Location.deliveryCharge at checkout (see services/deliveryChargeService.js for the order rules apply in)
+const deliveryRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 80
+  },
+  type: {
+    type: String,
+    enum: DELIVERY_RULE_TYPES,
+    required: true
+  },
+  // null = every location
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // hostel_override only
+  hostelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hostel',
+    default: null
+  },
+  // Delivery charge (hostel_override, promo) or extra charge (time_surcharge, weight_tier) in rupees
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // free_above threshold; for promos the minimum cart value
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // weight_tier: applies when the cart weighs at least this much
+  minWeightKg: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // time_surcharge: local shop time window (may wrap past midnight)...
+  startTime: {
+    type: String,
+    default: null,
+    match: [HHMM_PATTERN, 'startTime must be HH:MM']
+  },
+  endTime: {
+    type: String,
+    default: null,
+    match: [HHMM_PATTERN, 'endTime must be HH:MM']
+  },
+  // ...and/or this many minutes either side of a daily pause window
+  pauseEdgeMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 180
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+deliveryRuleSchema.index({ isActive: 1, type: 1 });
+deliveryRuleSchema.index({ locationId: 1 });
+
+// Each rule type needs its own fields; invalidate() keeps these as ValidationErrors like the schema checks
+deliveryRuleSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+    this.invalidate('validUntil', 'validFrom must be before validUntil');
+  }
+  if (this.type === 'hostel_override' && !this.hostelId) {
+    this.invalidate('hostelId', 'Hostel overrides need a hostel');
+  }
+  if (this.type === 'free_above' && !(this.minSubtotal > 0)) {
+    this.invalidate('minSubtotal', 'Free delivery rules need a minimum cart value');
+  }
+  if (this.type === 'time_surcharge' && !(this.startTime && this.endTime) && !(this.pauseEdgeMinutes > 0)) {
+    this.invalidate('startTime', 'Time surcharges need a time window or pause edge minutes');
+  }
+  if (this.type === 'weight_tier' && !(this.minWeightKg > 0)) {
+    this.invalidate('minWeightKg', 'Weight tiers need a minimum weight');
+  }
+  if (this.type === 'promo' && !this.validUntil) {
+    this.invalidate('validUntil', 'Promos need an end date');
+  }
+  next();
+});
+
+// Whether the rule is switched on and inside its validity period
+deliveryRuleSchema.methods.isLiveAt = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && date < this.validFrom) return false;
+  if (this.validUntil && date > this.validUntil) return false;
+  return true;
+};
+
+const DeliveryRule = mongoose.model('DeliveryRule', deliveryRuleSchema);
+
+export default DeliveryRule;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const slotBookingEntrySchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  gatewayOrderId: {
+    type: String,
+    default: null
+  },
+  // held: online checkout waiting on payment; booked: the order exists
+  status: {
+    type: String,
+    enum: ['held', 'booked'],
+    default: 'held'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false, timestamps: { createdAt: true, updatedAt: false } });
+
+// Orders and unpaid checkouts booked into one delivery slot (see services/deliverySlotService.js).
+// `booked` moves together with the entries, so checking capacity and booking is one conditional update.
+// Counters created for a slot that already had orders start from those orders.
+const deliverySlotBookingSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true,
+    unique: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  bookings: {
+    type: [slotBookingEntrySchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+deliverySlotBookingSchema.index({ 'bookings.orderNumber': 1 });
+deliverySlotBookingSchema.index({ 'bookings.gatewayOrderId': 1 }, { sparse: true });
+deliverySlotBookingSchema.index({ 'bookings.status': 1, 'bookings.expiresAt': 1 });
+
+export default mongoose.model('DeliverySlotBooking', deliverySlotBookingSchema);
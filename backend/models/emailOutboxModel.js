@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+
+export const EMAIL_OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Only the last few attempts are kept on the entry
+export const EMAIL_OUTBOX_ATTEMPT_LOG_SIZE = 10;
+
+const attachmentSchema = new mongoose.Schema({
+  filename: { type: String, default: null },
+  content: { type: Buffer, default: null },
+  // Files read from disk at send time (e.g. the logo in public/images)
+  path: { type: String, default: null },
+  contentType: { type: String, default: null },
+  cid: { type: String, default: null }
+}, { _id: false });
+
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  success: { type: Boolean, required: true },
+  transport: { type: String, enum: ['smtp', 'delegate'], required: true },
+  messageId: { type: String, default: null },
+  response: { type: String, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, default: null }
+}, { _id: false });
+
+// Every transactional or marketing email goes through here first; a worker delivers it and
+// retries with backoff, so a mail server hiccup no longer loses the email
+const emailOutboxSchema = new mongoose.Schema({
+  // What the email is about (order-status, refund, welcome, ...); used for filtering in the admin screen
+  kind: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Same key = same email. e.g. order-status:LP123:confirmed is sent once however often the status is saved
+  idempotencyKey: {
+    type: String,
+    trim: true,
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: EMAIL_OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  // Rendered email, sent over SMTP
+  message: {
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null },
+    subject: { type: String, default: null },
+    html: { type: String, default: null },
+    text: { type: String, default: null },
+    headers: { type: mongoose.Schema.Types.Mixed, default: null },
+    attachments: { type: [attachmentSchema], default: undefined }
+  },
+  // Or a request to the remote email API when EMAIL_VIA_VERCEL is on (see utils/emailDelegator.js)
+  delegate: {
+    endpoint: { type: String, default: null },
+    payload: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  // One-time codes: the content is hidden from the admin screen and cannot be resent
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Who it is for, for searching (the actual recipients are in message.to or the delegate payload)
+  recipient: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  orderNumber: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending; an entry stuck in "sending" past this is picked up again
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Not worth sending after this (e.g. an OTP that has expired)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  providerResponse: {
+    messageId: { type: String, default: null },
+    response: { type: mongoose.Schema.Types.Mixed, default: null },
+    accepted: { type: [String], default: undefined },
+    rejected: { type: [String], default: undefined }
+  },
+  attemptLog: {
+    type: [attemptSchema],
+    default: []
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the entry is sent, fails for good or is cancelled; MongoDB deletes it once this passes
+  purgeAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+emailOutboxSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ kind: 1, createdAt: -1 });
+emailOutboxSchema.index({ recipient: 1, createdAt: -1 });
+emailOutboxSchema.index({ orderNumber: 1 });
+emailOutboxSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+export default EmailOutbox;
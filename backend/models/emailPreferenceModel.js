@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Kinds of email a person can switch off from the preference page.
+// The newsletter itself is controlled by the Newsletter subscription status.
+export const EMAIL_PREFERENCE_CATEGORIES = ['newProducts', 'discounts', 'orderUpdates', 'rewards', 'cartReminders', 'productAlerts'];
+
+// Per-address email choices, keyed by email so they also cover guests and people who never subscribed.
+// No document means everything is on.
+const emailPreferenceSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  categories: {
+    newProducts: { type: Boolean, default: true },
+    discounts: { type: Boolean, default: true },
+    orderUpdates: { type: Boolean, default: true },
+    rewards: { type: Boolean, default: true },
+    cartReminders: { type: Boolean, default: true },
+    productAlerts: { type: Boolean, default: true }
+  }
+}, {
+  timestamps: true
+});
+
+const EmailPreference = mongoose.model('EmailPreference', emailPreferenceSchema);
+
+export default EmailPreference;
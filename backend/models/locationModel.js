@@ -1,5 +1,16 @@
 import mongoose from 'mongoose';
 
+// GeoJSON coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], required: true },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
+const polygonSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Polygon'], required: true },
+  coordinates: { type: [[[Number]]], required: true }
+}, { _id: false });
+
 const locationSchema = new mongoose.Schema(
   {
     city: {
@@ -23,6 +34,28 @@ const locationSchema = new mongoose.Schema(
       required: true,
       default: 49,
       min: 0
+    },
+    // Delivery zone drawn by the admin: a polygon, or a radius around a centre point (see serviceabilityService)
+    serviceArea: {
+      type: polygonSchema,
+      default: undefined
+    },
+    center: {
+      type: pointSchema,
+      default: undefined
+    },
+    radiusKm: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 50
+    },
+    // Typical minutes from order to doorstep, shown by the serviceability check
+    etaMinutes: {
+      type: Number,
+      default: 45,
+      min: 5,
+      max: 24 * 60
     }
   },
   {
@@ -30,6 +63,10 @@ const locationSchema = new mongoose.Schema(
   }
 );
 
+locationSchema.index({ serviceArea: '2dsphere' });
+locationSchema.index({ center: '2dsphere' });
+locationSchema.index({ pincode: 1, isActive: 1 });
+
 // Virtual for full address
 locationSchema.virtual('fullAddress').get(function() {
   return `${this.area}, ${this.city} - ${this.pincode}`;
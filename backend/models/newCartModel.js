@@ -1,5 +1,29 @@
 import mongoose from 'mongoose';
 
+// Add-on picked on the product page; re-validated against the product at checkout
+const cartAddOnSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  groupName: {
+    type: String
+  },
+  optionId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  optionName: {
+    type: String
+  },
+  price: {
+    type: Number,
+    default: 0
+  },
+  text: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
 const newCartItemSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -60,6 +84,10 @@ const newCartItemSchema = new mongoose.Schema({
   isFreeProduct: {
     type: Boolean,
     default: false
+  },
+  addOns: {
+    type: [cartAddOnSchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -93,8 +121,9 @@ newCartSchema.virtual('cartTotal').get(function() {
       return total;
     }
     const price = parseFloat(item.productDetails?.price) || 0;
+    const addOnTotal = (item.addOns || []).reduce((sum, addOn) => sum + (Number(addOn.price) || 0), 0);
     const quantity = parseInt(item.quantity) || 0;
-    return total + (price * quantity);
+    return total + ((price + addOnTotal) * quantity);
   }, 0);
 });
 
@@ -109,7 +138,7 @@ newCartSchema.index({ 'items.productId': 1 });
 newCartSchema.index({ lastUpdated: -1 });
 
 // Instance method to add or update item
-newCartSchema.methods.addOrUpdateItem = async function(productId, quantity, productDetails, { absolute = false, isFreeProduct = false } = {}) {
+newCartSchema.methods.addOrUpdateItem = async function(productId, quantity, productDetails, { absolute = false, isFreeProduct = false, addOns } = {}) {
   const existingItemIndex = this.items.findIndex(
     item => item.productId.toString() === productId.toString()
   );
@@ -123,6 +152,10 @@ newCartSchema.methods.addOrUpdateItem = async function(productId, quantity, prod
     }
     this.items[existingItemIndex].productDetails = productDetails; // Update product details
     this.items[existingItemIndex].isFreeProduct = isFreeProduct;
+    // One line per product: the latest customization replaces the previous one
+    if (addOns !== undefined) {
+      this.items[existingItemIndex].addOns = addOns;
+    }
   } else {
     // Add new item
     this.items.push({
@@ -130,7 +163,8 @@ newCartSchema.methods.addOrUpdateItem = async function(productId, quantity, prod
       quantity,
       productDetails,
       addedAt: new Date(),
-      isFreeProduct
+      isFreeProduct,
+      addOns: addOns || []
     });
   }
 
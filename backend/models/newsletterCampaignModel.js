@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+import { NEWSLETTER_SOURCES } from './newsletterModel.js';
+import { EMAIL_PREFERENCE_CATEGORIES } from './emailPreferenceModel.js';
+
+export const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+// Who a campaign goes to. Every segment is narrowed to active newsletter subscribers.
+export const CAMPAIGN_SEGMENTS = ['all', 'customers', 'location', 'lapsed', 'loyalty_eligible', 'source'];
+
+export const DEFAULT_LAPSED_DAYS = 45;
+
+const variantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: ['A', 'B'],
+    required: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: 200
+  }
+}, { _id: false });
+
+const segmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CAMPAIGN_SEGMENTS,
+    default: 'all'
+  },
+  // 'location': customers whose default address is in this location (and hostel, when set)
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  hostelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hostel',
+    default: null
+  },
+  // 'lapsed': customers whose last order is older than this
+  lapsedDays: {
+    type: Number,
+    min: 1,
+    default: DEFAULT_LAPSED_DAYS
+  },
+  // 'source': where the subscriber signed up
+  source: {
+    type: String,
+    enum: [...NEWSLETTER_SOURCES, null],
+    default: null
+  }
+}, { _id: false });
+
+// A newsletter written once and sent to a segment, now or at a scheduled time.
+// Per-recipient delivery, opens and clicks live in NewsletterCampaignRecipient.
+const newsletterCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: 120
+  },
+  status: {
+    type: String,
+    enum: CAMPAIGN_STATUSES,
+    default: 'draft'
+  },
+  // One subject, or two for an A/B test (recipients are split evenly between them)
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: (variants) => variants.length >= 1 && variants.length <= 2,
+      message: 'A campaign needs one subject, or two for an A/B test'
+    }
+  },
+  content: {
+    title: { type: String, trim: true, default: '' },
+    body: { type: String, required: [true, 'Body is required'] },
+    ctaText: { type: String, trim: true, default: '' },
+    ctaLink: { type: String, trim: true, default: '' }
+  },
+  segment: {
+    type: segmentSchema,
+    default: () => ({})
+  },
+  // Topic for email preferences: recipients who switched it off are skipped. null = general newsletter
+  category: {
+    type: String,
+    enum: [...EMAIL_PREFERENCE_CATEGORIES, null],
+    default: null
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the job is sending; a campaign stuck in "sending" past this is resumed
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Links found in the email when sending started; click tracking redirects by index
+  links: {
+    type: [String],
+    default: []
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+newsletterCampaignSchema.index({ status: 1, scheduledAt: 1 });
+newsletterCampaignSchema.index({ createdAt: -1 });
+
+const NewsletterCampaign = mongoose.model('NewsletterCampaign', newsletterCampaignSchema);
+
+export default NewsletterCampaign;
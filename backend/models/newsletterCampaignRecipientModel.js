@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// One row per campaign email: which subject it got, its outbox entry, and opens/clicks.
+// The token goes into the tracking pixel and links so they don't expose the email address.
+const newsletterCampaignRecipientSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NewsletterCampaign',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  variant: {
+    type: String,
+    enum: ['A', 'B'],
+    default: 'A'
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  outboxId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailOutbox',
+    default: null
+  },
+  openedAt: {
+    type: Date,
+    default: null
+  },
+  openCount: {
+    type: Number,
+    default: 0
+  },
+  clickedAt: {
+    type: Date,
+    default: null
+  },
+  clickCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+newsletterCampaignRecipientSchema.index({ campaign: 1, email: 1 }, { unique: true });
+newsletterCampaignRecipientSchema.index({ token: 1 }, { unique: true });
+
+const NewsletterCampaignRecipient = mongoose.model('NewsletterCampaignRecipient', newsletterCampaignRecipientSchema);
+
+export default NewsletterCampaignRecipient;
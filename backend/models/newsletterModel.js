@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const NEWSLETTER_SOURCES = ['footer', 'homepage', 'admin', 'checkout', 'other'];
+
 const newsletterSchema = new mongoose.Schema(
   {
     email: {
@@ -23,7 +25,7 @@ const newsletterSchema = new mongoose.Schema(
     },
     source: {
       type: String,
-      enum: ['footer', 'homepage', 'admin', 'checkout', 'other'],
+      enum: NEWSLETTER_SOURCES,
       default: 'footer'
     },
     subscribedAt: {
@@ -6,13 +6,31 @@ const notificationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Cart reminders and product alerts are not about an order
   orderNumber: {
     type: String,
-    required: true
+    required: function() {
+      return !['cart_reminder', 'back_in_stock', 'price_drop'].includes(this.type);
+    },
+    default: null
   },
   type: {
     type: String,
-    enum: ['order_placed', 'order_dispatched', 'order_delivered', 'order_cancelled'],
+    enum: [
+      'order_placed',
+      'order_confirmed',
+      'order_preparing',
+      'order_ready',
+      'order_dispatched',
+      'order_delivered',
+      'order_cancelled',
+      'order_amended',
+      'custom_order_quoted',
+      'custom_order_rejected',
+      'cart_reminder',
+      'back_in_stock',
+      'price_drop'
+    ],
     required: true
   },
   title: {
@@ -1,10 +1,47 @@
 import mongoose from 'mongoose';
 
+// Add-on picked for a line, snapshotted with its price when the order was priced
+const orderAddOnSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  groupName: {
+    type: String,
+    trim: true
+  },
+  optionId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  optionName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Per unit; already included in the line price
+  price: {
+    type: Number,
+    default: 0
+  },
+  text: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
 const orderItemSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
-    required: true
+    // Custom cake lines are priced by quote and have no catalogue product
+    required: function() {
+      return !this.customOrderId;
+    }
+  },
+  customOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomOrder',
+    default: null
   },
   productName: {
     type: String,
@@ -19,6 +56,11 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // MRP per unit at the time the order was priced (price is the discounted unit price)
+  originalPrice: {
+    type: Number,
+    default: null
+  },
   variantIndex: {
     type: Number,
     default: 0
@@ -41,9 +83,22 @@ const orderItemSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Set when the kitchen marks the line's batch as baked (see services/kitchenService.js)
+  preparedAt: {
+    type: Date,
+    default: null
+  },
   isFreeProduct: {
     type: Boolean,
     default: false
+  },
+  addOns: {
+    type: [orderAddOnSchema],
+    default: []
+  },
+  addOnTotal: {
+    type: Number,
+    default: 0
   }
 });
 
@@ -60,16 +115,400 @@ const orderSummarySchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // How deliveryCharge was reached: the base charge and each delivery rule applied in order
+  deliveryBreakdown: {
+    baseCharge: { type: Number, default: null },
+    baseSource: { type: String, enum: ['location', 'hostel', 'default'], default: 'location' },
+    subtotal: { type: Number, default: 0 },
+    weightKg: { type: Number, default: 0 },
+    rules: [{
+      _id: false,
+      ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryRule' },
+      name: String,
+      type: { type: String },
+      amount: Number,
+      description: String,
+      chargeAfter: Number
+    }],
+    appliedRule: { type: String, default: null },
+    summary: { type: String, default: null }
+  },
   freeCashDiscount: {
     type: Number,
     default: 0
   },
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
   grandTotal: {
     type: Number,
     required: true
   }
 });
 
+// Coupon applied to the order; reversedAt is set when the redemption is given back (e.g. on cancellation)
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_delivery']
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reversedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// One entry per Razorpay refund; status is reconciled from refund.processed / refund.failed webhooks
+const refundEntrySchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['user_cancellation', 'admin', 'gateway', 'amendment'],
+    default: 'admin'
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Line removed or reduced by an amendment
+const amendedLineSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: String,
+  variantIndex: {
+    type: Number,
+    default: 0
+  },
+  variantLabel: {
+    type: String,
+    default: ''
+  },
+  previousQuantity: {
+    type: Number,
+    required: true
+  },
+  newQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// One entry per partial cancellation; the money side is a Razorpay refund or a reduced amount to collect
+const amendmentSchema = new mongoose.Schema({
+  lines: {
+    type: [amendedLineSchema],
+    default: []
+  },
+  previousGrandTotal: {
+    type: Number,
+    required: true
+  },
+  newGrandTotal: {
+    type: Number,
+    required: true
+  },
+  adjustmentAmount: {
+    type: Number,
+    default: 0
+  },
+  adjustmentType: {
+    type: String,
+    enum: ['refund', 'amount_adjustment', 'none'],
+    default: 'none'
+  },
+  refundId: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'admin'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One entry per orderStatus change; actor is empty for payment webhooks and other system updates
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  previousStatus: {
+    type: String,
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: {
+    type: String,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'admin', 'delivery', 'system'],
+    default: 'system'
+  },
+  source: {
+    type: String,
+    default: 'system'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Delivery window picked at checkout (see services/deliverySlotService.js)
+const deliverySlotSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  // Placed for a later day, or while the shop was closed
+  isPreOrder: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Address as it was when the order was placed (see services/addressService.js);
+// later edits to the address book, Location or Hostel don't change it
+const deliveryAddressSchema = new mongoose.Schema({
+  addressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  label: String,
+  type: String,
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  city: String,
+  area: String,
+  pincode: String,
+  hostelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hostel',
+    default: null
+  },
+  hostelName: String,
+  roomNumber: String,
+  addressLine: String,
+  landmark: String,
+  recipientName: String,
+  recipientPhone: String
+}, { _id: false });
+
+// Set when the buyer orders for someone else; userDetails stays the buyer (see services/giftOrderService.js)
+const giftSchema = new mongoose.Schema({
+  recipientName: {
+    type: String,
+    trim: true,
+    required: true,
+    maxlength: 80
+  },
+  recipientPhone: {
+    type: String,
+    trim: true,
+    required: true,
+    maxlength: 20
+  },
+  // Optional; the recipient is emailed when the order goes out for delivery
+  recipientEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 120
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  // Packing slip leaves prices out so the recipient doesn't see them
+  hidePrices: {
+    type: Boolean,
+    default: true
+  },
+  recipientNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Rider the order is handed to (see services/deliveryService.js)
+const deliveryAssignmentSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  agentName: {
+    type: String,
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  pickedUpAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// How the handover was confirmed, plus the optional doorstep photo
+const deliveryProofSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['pin', 'override'],
+    required: true
+  },
+  photoUrl: {
+    type: String,
+    default: null
+  },
+  photoPublicId: {
+    type: String,
+    default: null
+  },
+  capturedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Cash a rider took for a COD order; settledAt is set once it is handed in at the shop
+const codCollectionSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  collectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  collectedByName: {
+    type: String,
+    default: null
+  },
+  collectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
 const userDetailsSchema = new mongoose.Schema({
   name: String,
   email: String,
@@ -107,7 +546,7 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'created', 'paid', 'failed', 'refunded', 'cancelled'],
+    enum: ['pending', 'created', 'paid', 'failed', 'partially_refunded', 'refunded', 'cancelled'],
     default: 'pending'
   },
   orderStatus: {
@@ -138,11 +577,84 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Hostel'
   },
+  // Structured copy of the address; deliveryLocation/hostelName above are kept as display strings
+  deliveryAddress: {
+    type: deliveryAddressSchema,
+    default: null
+  },
+  gift: {
+    type: giftSchema,
+    default: null
+  },
   orderSummary: orderSummarySchema,
+  couponRedemption: {
+    type: couponRedemptionSchema,
+    default: null
+  },
   notes: {
     type: String,
     trim: true
   },
+  // null means "as soon as possible"
+  deliverySlot: {
+    type: deliverySlotSchema,
+    default: null
+  },
+  deliveryAssignment: {
+    type: deliveryAssignmentSchema,
+    default: null
+  },
+  // Generated at dispatch and shown only to the customer; the code is never selected unless asked for
+  deliveryPin: {
+    code: {
+      type: String,
+      select: false
+    },
+    generatedAt: {
+      type: Date,
+      default: null
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    // Never reset by a lock expiring; see DELIVERY_PIN_MAX_TOTAL_ATTEMPTS
+    totalFailedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    verifiedAt: {
+      type: Date,
+      default: null
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Admin completed the handover without the PIN
+    override: {
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      byName: String,
+      reason: String,
+      at: Date
+    }
+  },
+  deliveryProof: {
+    type: deliveryProofSchema,
+    default: null
+  },
+  codCollection: {
+    type: codCollectionSchema,
+    default: null
+  },
   estimatedDeliveryTime: {
     type: Date
   },
@@ -157,6 +669,24 @@ const orderSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  refunds: {
+    type: [refundEntrySchema],
+    default: []
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  amendments: {
+    type: [amendmentSchema],
+    default: []
+  },
+  // Set once the order's stock has been taken (COD at placement, online when payment is captured)
+  stockCommittedAt: {
+    type: Date,
+    default: null
+  },
+  // Latest refund, kept for existing consumers; see `refunds` for the full history
   refundDetails: {
     refundId: String,
     refundAmount: Number,
@@ -175,6 +705,11 @@ orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ cancelledAt: 1 }, { partialFilterExpression: { cancelledAt: { $type: 'date' } } });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'couponRedemption.couponId': 1, userId: 1 }, { sparse: true });
+orderSchema.index({ 'refunds.refundId': 1 }, { sparse: true });
+orderSchema.index({ 'deliverySlot.startsAt': 1, orderStatus: 1 }, { sparse: true });
+orderSchema.index({ 'deliveryAssignment.agent': 1, orderStatus: 1 }, { sparse: true });
+orderSchema.index({ 'codCollection.collectedBy': 1, 'codCollection.collectedAt': -1 }, { sparse: true });
 
 // Virtual for formatted order number display
 orderSchema.virtual('displayOrderNumber').get(function() {
@@ -188,10 +723,18 @@ orderSchema.methods.canBeCancelled = function() {
 };
 
 orderSchema.methods.canBeRefunded = function() {
-  return this.paymentStatus === 'paid' && 
+  return ['paid', 'partially_refunded'].includes(this.paymentStatus) && 
          ['cancelled', 'delivered'].includes(this.orderStatus);
 };
 
+// Amount (₹) still available for refund; pending refunds count as already claimed
+orderSchema.methods.getRefundableAmount = function() {
+  const claimed = (this.refunds || [])
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+  return Math.max(0, Math.round(((this.amount || 0) - claimed) * 100) / 100);
+};
+
 // Calculate order status based on item dispatch statuses
 orderSchema.methods.calculateOrderStatus = function() {
   if (!this.cartItems || this.cartItems.length === 0) {
@@ -264,6 +807,18 @@ orderSchema.statics.generateOrderNumber = function() {
 };
 
 orderSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('orderStatus')) {
+    // Changes made outside applyStatusTransition (checkout, webhooks) are still recorded
+    const lastEntry = this.statusHistory?.[this.statusHistory.length - 1];
+    if (!lastEntry || lastEntry.status !== this.orderStatus) {
+      this.statusHistory.push({
+        status: this.orderStatus,
+        previousStatus: lastEntry?.status || null,
+        source: 'system',
+        changedAt: new Date()
+      });
+    }
+  }
   if (this.isModified('orderStatus')) {
     if (this.orderStatus === 'cancelled') {
       this.cancelledAt = this.cancelledAt || new Date();
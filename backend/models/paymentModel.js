@@ -8,7 +8,7 @@ const PaymentSchema = new mongoose.Schema(
     movieName: { type: String, required: false },
     amount: { type: Number, required: true }, // store in rupees
     paymentMethod: { type: String, enum: ['razorpay','cod', 'upi', 'card', 'wallet', 'netbanking'], required: true },
-    paymentStatus: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending', index: true },
+    paymentStatus: { type: String, enum: ['pending', 'success', 'failed', 'refunded'], default: 'pending', index: true },
     date: { type: Date, default: Date.now, index: true },
     parkingType: { type: String, required: false },
     seatCount: { type: Number, required: false },
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const PRODUCT_ALERT_TYPES = ['back_in_stock', 'price_drop'];
+
+// "Notify me" subscription for one product variant.
+// Back-in-stock alerts fire once; price-drop alerts stay active and fire again on each further drop.
+const productAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantIndex: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  type: {
+    type: String,
+    enum: PRODUCT_ALERT_TYPES,
+    required: true
+  },
+  // Price drops are measured from here: the price when subscribing, then the price last announced
+  referencePrice: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'notified'],
+    default: 'active'
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+productAlertSchema.index({ user: 1, product: 1, variantIndex: 1, type: 1 }, { unique: true });
+productAlertSchema.index({ product: 1, type: 1, status: 1 });
+
+const ProductAlert = mongoose.model('ProductAlert', productAlertSchema);
+
+export default ProductAlert;
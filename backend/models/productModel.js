@@ -49,6 +49,43 @@ const variantSchema = new mongoose.Schema({
   isStockActive: { type: Boolean, default: false },
 }, { _id: false });
 
+// Option inside an add-on group, e.g. "Number candle" for +₹30
+const addOnOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Added to the unit price of the line
+  price: { type: Number, default: 0, min: 0 },
+  // Customer types text with this option (message on the cake, name on the box)
+  requiresText: { type: Boolean, default: false },
+  maxTextLength: { type: Number, default: 40, min: 1, max: 200 },
+  isActive: { type: Boolean, default: true }
+});
+
+// Customization group shown on the product page (candles, message, eggless, toppings, gift packing)
+const addOnGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  isRequired: { type: Boolean, default: false },
+  minSelect: { type: Number, default: 0, min: 0 },
+  maxSelect: {
+    type: Number,
+    default: 1,
+    min: 1,
+    validate: {
+      validator: function(value) { return value >= (this.minSelect || 0); },
+      message: 'maxSelect must be at least minSelect'
+    }
+  },
+  isActive: { type: Boolean, default: true },
+  options: { type: [addOnOptionSchema], default: [] }
+});
+
+// Per-variant rating summary
+const variantRatingSchema = new mongoose.Schema({
+  variantIndex: { type: Number, required: true, min: 0 },
+  average: { type: Number, default: 0, min: 0, max: 5 },
+  count: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
 // Product schema
 const productSchema = new mongoose.Schema(
   {
@@ -62,6 +99,7 @@ const productSchema = new mongoose.Schema(
     isVeg: { type: Boolean, default: true },
     hasEgg: { type: Boolean, default: false }, // New field for egg/non-egg indicator
     variants: { type: [variantSchema], default: [] },
+    addOnGroups: { type: [addOnGroupSchema], default: [] },
     cancelOffer: { type: Boolean, default: false },
     importantField: {
       name: { type: String, trim: true },
@@ -73,7 +111,13 @@ const productSchema = new mongoose.Schema(
     // Track total number of times this product has been ordered
     totalOrderCount: { type: Number, default: 0, min: 0 },
     // Track when the count was last updated
-    lastOrderCountUpdate: { type: Date, default: Date.now }
+    lastOrderCountUpdate: { type: Date, default: Date.now },
+    // Aggregated from approved reviews (see services/reviewService.js)
+    rating: {
+      average: { type: Number, default: 0, min: 0, max: 5 },
+      count: { type: Number, default: 0, min: 0 }
+    },
+    variantRatings: { type: [variantRatingSchema], default: [] }
   },
   { timestamps: true }
 );
@@ -258,6 +302,7 @@ productSchema.index({ 'variants.price': 1 }); // For price range queries
 productSchema.index({ tags: 1 }); // For tag-based queries
 productSchema.index({ totalOrderCount: -1 }); // For best seller queries and sorting
 productSchema.index({ totalOrderCount: -1, isActive: 1 }); // For best seller + active products
+productSchema.index({ 'rating.average': -1, 'rating.count': -1 }); // For sorting by rating
 
 // Include virtuals in JSON
 productSchema.set('toJSON', { virtuals: true });
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+// Photo uploaded through /api/upload/review
+const reviewPhotoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  public_id: {
+    type: String
+  }
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Shown on the storefront; kept so reviews survive profile name changes
+    userName: {
+      type: String,
+      trim: true
+    },
+    // The delivered order that makes this a verified purchase
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderNumber: {
+      type: String
+    },
+    variantIndex: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    variantLabel: {
+      type: String
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    photos: {
+      type: [reviewPhotoSchema],
+      default: [],
+      validate: {
+        validator: photos => photos.length <= 4,
+        message: 'A review can have at most 4 photos'
+      }
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: {
+      type: Date
+    },
+    moderationNote: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One review per customer per variant
+reviewSchema.index({ userId: 1, productId: 1, variantIndex: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
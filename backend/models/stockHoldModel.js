@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Units taken out of a variant's stock while a customer completes an online payment.
+// Active holds become "converted" when the payment is captured, or go back to stock when released/expired.
+const stockHoldSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  variantIndex: {
+    type: Number,
+    default: 0
+  },
+  variantLabel: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  gatewayOrderId: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  releaseReason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+stockHoldSchema.index({ status: 1, expiresAt: 1 });
+stockHoldSchema.index({ orderNumber: 1, status: 1 });
+stockHoldSchema.index({ gatewayOrderId: 1 }, { sparse: true });
+stockHoldSchema.index({ productId: 1, variantIndex: 1, status: 1 });
+
+export default mongoose.model('StockHold', stockHoldSchema);
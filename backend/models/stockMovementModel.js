@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// Append-only ledger of every change to a variant's stock (or its tracking toggle)
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  variantIndex: {
+    type: Number,
+    default: 0
+  },
+  variantLabel: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reason: {
+    type: String,
+    enum: [
+      'order_placed',
+      'order_cancelled',
+      'order_amended',
+      'manual_update',
+      'bulk_update',
+      'product_update',
+      'checkout_hold',
+      'hold_released'
+    ],
+    required: true
+  },
+  // Signed change in units (0 when only isStockActive was toggled)
+  quantityChange: {
+    type: Number,
+    default: 0
+  },
+  stockBefore: {
+    type: Number,
+    default: null
+  },
+  stockAfter: {
+    type: Number,
+    default: null
+  },
+  isStockActiveBefore: {
+    type: Boolean,
+    default: null
+  },
+  isStockActiveAfter: {
+    type: Boolean,
+    default: null
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderNumber: {
+    type: String,
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: ['system', 'customer', 'admin'],
+    default: 'system'
+  },
+  // Screen or endpoint the change came from (e.g. quick_stock_update, inventory_bulk_update)
+  source: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxLength: 300
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ productId: 1, variantIndex: 1, createdAt: -1 });
+stockMovementSchema.index({ orderNumber: 1 }, { sparse: true });
+stockMovementSchema.index({ createdAt: -1 });
+
+export default mongoose.model('StockMovement', stockMovementSchema);
@@ -51,7 +51,21 @@ const timeSettingsSchema = new mongoose.Schema({
     startTime: { type: String }, // 'HH:MM'
     endTime: { type: String },   // 'HH:MM'
     description: { type: String }
-  }]
+  }],
+  // Delivery slots offered at checkout, cut from the opening hours above
+  deliverySlots: {
+    isEnabled: { type: Boolean, default: true },
+    slotMinutes: { type: Number, default: 60, min: 15, max: 240 },
+    defaultCapacity: { type: Number, default: 25, min: 0 }, // orders per slot
+    leadTimeMinutes: { type: Number, default: 45, min: 0 }, // prep + delivery before a slot ends
+    preOrderDays: { type: Number, default: 3, min: 0, max: 14 }, // days ahead (0 = today only)
+    acceptPreOrdersWhenClosed: { type: Boolean, default: true },
+    capacityOverrides: [{
+      startTime: { type: String, required: true }, // 'HH:MM' slot start
+      date: { type: Date, default: null },          // only on this date; every day when empty
+      capacity: { type: Number, required: true, min: 0 }
+    }]
+  }
 }, {
   timestamps: true
 });
@@ -169,6 +183,12 @@ timeSettingsSchema.methods.getNextOpeningTime = function() {
   return `Monday at ${this.weekday.startTime}`;
 };
 
+// Method to check if checkout stays available (as pre-orders) while the shop is closed
+timeSettingsSchema.methods.acceptsPreOrders = function() {
+  const slots = this.deliverySlots || {};
+  return slots.isEnabled !== false && slots.acceptPreOrdersWhenClosed !== false;
+};
+
 // Static method to get current settings (create default if none exist)
 timeSettingsSchema.statics.getCurrentSettings = async function() {
   try {
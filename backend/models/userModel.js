@@ -1,5 +1,69 @@
 import mongoose from 'mongoose';
 
+// Admin panel areas a 'staff' user can be granted; the 'admin' role always has all of them
+export const ADMIN_PERMISSIONS = ['catalog', 'inventory', 'orders', 'payments', 'users', 'newsletter', 'settings'];
+
+export const ADDRESS_TYPES = ['hostel', 'home', 'office', 'other'];
+export const MAX_SAVED_ADDRESSES = 10;
+
+// One entry in the address book; orders copy it into Order.deliveryAddress when placed
+const addressSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true,
+      required: true,
+      maxlength: 40,
+    },
+    type: {
+      type: String,
+      enum: ADDRESS_TYPES,
+      default: 'hostel',
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    hostel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hostel',
+      default: null,
+    },
+    roomNumber: {
+      type: String,
+      trim: true,
+      maxlength: 40,
+    },
+    addressLine: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    landmark: {
+      type: String,
+      trim: true,
+      maxlength: 120,
+    },
+    // Someone other than the account holder receiving at this address
+    recipientName: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+    },
+    recipientPhone: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
 const userSchema = new mongoose.Schema(
   {
     uid: {
@@ -55,9 +119,14 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      // 'delivery' riders only reach the /api/delivery endpoints; 'staff' reach the admin areas in permissions
+      enum: ['user', 'admin', 'staff', 'delivery'],
       default: 'user',
     },
+    permissions: [{
+      type: String,
+      enum: ADMIN_PERMISSIONS,
+    }],
     location: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Location',
@@ -66,6 +135,11 @@ const userSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Hostel',
     },
+    // Address book; location/hostel above mirror the default entry for code that reads them directly
+    addresses: {
+      type: [addressSchema],
+      default: [],
+    },
     gender: {
       type: String,
       enum: ['male', 'female', 'other', ''],
@@ -198,17 +272,17 @@ userSchema.methods.isAdmin = function() {
   return this.role === 'admin';
 };
 
-// Add pre-save middleware to assign admin role for specific emails
-userSchema.pre('save', function(next) {
-  // If this is a new user or email is being modified
-  if (this.isNew || this.isModified('email')) {
-    // Check for admin email (update this to your actual admin email)
-    if (this.email === 'admin@lapatisserie.com') {
-      this.role = 'admin';
-    }
-  }
-  next();
-});
+// Method to check access to an admin panel area
+userSchema.methods.hasPermission = function(permission) {
+  if (this.role === 'admin') return true;
+  return this.role === 'staff' && (this.permissions || []).includes(permission);
+};
+
+// Admin panel areas this user can open
+userSchema.methods.getPermissions = function() {
+  if (this.role === 'admin') return [...ADMIN_PERMISSIONS];
+  return this.role === 'staff' ? [...(this.permissions || [])] : [];
+};
 
 const User = mongoose.model('User', userSchema);
 
@@ -1,5 +1,6 @@
 import express from 'express';
-import { getUsers, getUserDetailsForAdmin } from '../controllers/userController.js';
+import { getUsers, getUserDetailsForAdmin, updateUserAccess } from '../controllers/userController.js';
+import { getAuditLogs } from '../controllers/auditLogController.js';
 import { getUserFavoritesForAdmin } from '../controllers/favoriteController.js';
 import { getUserLoyaltyForAdmin } from '../controllers/loyaltyController.js';
 import { getContactsByUser } from '../controllers/contactController.js';
@@ -10,15 +11,35 @@ import {
   createLocation, 
   updateLocation, 
   toggleLocationStatus,
-  deleteLocation
+  deleteLocation,
+  updateLocationZone
 } from '../controllers/locationController.js';
+import {
+  getDeliveryRules,
+  createDeliveryRule,
+  updateDeliveryRule,
+  toggleDeliveryRuleStatus,
+  deleteDeliveryRule
+} from '../controllers/deliveryRuleController.js';
 import {
   getGroupedPendingOrders,
   getIndividualPendingOrders,
+  downloadDispatchManifest,
+  downloadPackingSlip,
   dispatchOrders,
   dispatchIndividualItem,
   markAsDelivered,
-  getOrderStats
+  getOrderStats,
+  amendOrderItemsAdmin,
+  confirmOrder,
+  startPreparingOrder,
+  markOrderReady,
+  getKitchenBoard,
+  markKitchenBatchPrepared,
+  getDeliveryAgents,
+  assignDeliveryOrders,
+  getCashReconciliation,
+  settleRiderCash
 } from '../controllers/orderController.js';
 import {
   getFreeProductClaims,
@@ -27,39 +48,97 @@ import {
   resetMonthlyRewards,
   getAllUsersRewardStatus
 } from '../controllers/freeProductAdminController.js';
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  toggleCouponStatus,
+  deleteCoupon
+} from '../controllers/couponController.js';
+import {
+  getOutboxEmails,
+  getOutboxEmail,
+  resendOutboxEmail,
+  cancelOutboxEmail
+} from '../controllers/emailOutboxController.js';
+import { getCartRecoveryStats } from '../controllers/cartRecoveryController.js';
 import { migrateOrderHostelIds } from '../utils/migrateOrderHostelIds.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, admin, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Admin user routes
-router.get('/users', protect, admin, getUsers);
-router.get('/users/:userId/details', protect, admin, getUserDetailsForAdmin);
+router.get('/users', protect, requirePermission('users'), getUsers);
+router.get('/users/:userId/details', protect, requirePermission('users'), getUserDetailsForAdmin);
+router.put('/users/:userId/access', protect, requirePermission('users'), updateUserAccess);
+
+// Admin audit log (owners only)
+router.get('/audit-logs', protect, admin, getAuditLogs);
 
 // Admin location routes
-router.get('/locations', protect, admin, getAllLocations);
-router.post('/locations', protect, admin, createLocation);
-router.put('/locations/:id', protect, admin, updateLocation);
-router.patch('/locations/:id/toggle', protect, admin, toggleLocationStatus);
-router.delete('/locations/:id', protect, admin, deleteLocation);
+router.get('/locations', protect, requirePermission('settings'), getAllLocations);
+router.post('/locations', protect, requirePermission('settings'), createLocation);
+router.put('/locations/:id', protect, requirePermission('settings'), updateLocation);
+router.put('/locations/:id/zone', protect, requirePermission('settings'), updateLocationZone);
+router.patch('/locations/:id/toggle', protect, requirePermission('settings'), toggleLocationStatus);
+router.delete('/locations/:id', protect, requirePermission('settings'), deleteLocation);
+
+// Admin delivery charge rules (applied on top of each location's delivery charge)
+router.get('/delivery-rules', protect, requirePermission('settings'), getDeliveryRules);
+router.post('/delivery-rules', protect, requirePermission('settings'), createDeliveryRule);
+router.put('/delivery-rules/:id', protect, requirePermission('settings'), updateDeliveryRule);
+router.patch('/delivery-rules/:id/toggle', protect, requirePermission('settings'), toggleDeliveryRuleStatus);
+router.delete('/delivery-rules/:id', protect, requirePermission('settings'), deleteDeliveryRule);
+
+// Admin email outbox (every email the shop sends, with retries)
+router.get('/email-outbox', protect, requirePermission('settings'), getOutboxEmails);
+router.get('/email-outbox/:id', protect, requirePermission('settings'), getOutboxEmail);
+router.post('/email-outbox/:id/resend', protect, requirePermission('settings'), resendOutboxEmail);
+router.post('/email-outbox/:id/cancel', protect, requirePermission('settings'), cancelOutboxEmail);
+
+// Admin coupon routes
+router.get('/coupons', protect, requirePermission('catalog'), getCoupons);
+router.get('/coupons/:id', protect, requirePermission('catalog'), getCouponById);
+router.post('/coupons', protect, requirePermission('catalog'), createCoupon);
+router.put('/coupons/:id', protect, requirePermission('catalog'), updateCoupon);
+router.patch('/coupons/:id/toggle', protect, requirePermission('catalog'), toggleCouponStatus);
+router.delete('/coupons/:id', protect, requirePermission('catalog'), deleteCoupon);
 
 // Admin order tracking routes
-router.get('/orders/grouped', protect, admin, getGroupedPendingOrders);
-router.get('/orders/individual', protect, admin, getIndividualPendingOrders);
-router.get('/orders/stats', protect, admin, getOrderStats);
-router.post('/dispatch', protect, admin, dispatchOrders);
-router.post('/dispatch-item', protect, admin, dispatchIndividualItem);
-router.post('/deliver-item', protect, admin, markAsDelivered);
+router.get('/orders/grouped', protect, requirePermission('orders'), getGroupedPendingOrders);
+router.get('/orders/individual', protect, requirePermission('orders'), getIndividualPendingOrders);
+router.get('/orders/manifest', protect, requirePermission('orders'), downloadDispatchManifest);
+router.get('/orders/:orderId/packing-slip', protect, requirePermission('orders'), downloadPackingSlip);
+router.get('/orders/stats', protect, requirePermission('orders'), getOrderStats);
+router.get('/cart-recovery/stats', protect, requirePermission('orders'), getCartRecoveryStats);
+router.post('/dispatch', protect, requirePermission('orders'), dispatchOrders);
+router.post('/dispatch-item', protect, requirePermission('orders'), dispatchIndividualItem);
+router.post('/deliver-item', protect, requirePermission('orders'), markAsDelivered);
+router.patch('/orders/:orderNumber/items', protect, requirePermission('orders'), amendOrderItemsAdmin);
+router.patch('/orders/:orderId/confirm', protect, requirePermission('orders'), confirmOrder);
+router.patch('/orders/:orderId/preparing', protect, requirePermission('orders'), startPreparingOrder);
+router.patch('/orders/:orderId/ready', protect, requirePermission('orders'), markOrderReady);
+
+// Admin kitchen / production board routes
+router.get('/kitchen', protect, requirePermission('orders'), getKitchenBoard);
+router.post('/kitchen/prepared', protect, requirePermission('orders'), markKitchenBatchPrepared);
+
+// Admin delivery rider routes
+router.get('/delivery-agents', protect, requirePermission('orders'), getDeliveryAgents);
+router.post('/delivery/assign', protect, requirePermission('orders'), assignDeliveryOrders);
+router.get('/delivery/cash-report', protect, requirePermission('payments'), getCashReconciliation);
+router.post('/delivery/settle', protect, requirePermission('payments'), settleRiderCash);
 
 // Admin free product claims routes
-router.get('/free-product-claims', protect, admin, getFreeProductClaims);
-router.get('/free-product-claims/all-users', protect, admin, getAllUsersRewardStatus);
-router.get('/free-product-claims/stats', protect, admin, getFreeProductClaimsStats);
-router.get('/free-product-claims/user/:userId', protect, admin, getUserClaimHistory);
+router.get('/free-product-claims', protect, requirePermission('users'), getFreeProductClaims);
+router.get('/free-product-claims/all-users', protect, requirePermission('users'), getAllUsersRewardStatus);
+router.get('/free-product-claims/stats', protect, requirePermission('users'), getFreeProductClaimsStats);
+router.get('/free-product-claims/user/:userId', protect, requirePermission('users'), getUserClaimHistory);
 
 // Admin monthly cleanup routes
-router.post('/free-product-claims/reset-monthly', protect, admin, resetMonthlyRewards);
-router.post('/cleanup/run-manual', protect, admin, async (req, res) => {
+router.post('/free-product-claims/reset-monthly', protect, requirePermission('users'), resetMonthlyRewards);
+router.post('/cleanup/run-manual', protect, requirePermission('settings'), async (req, res) => {
   try {
     const { runManualCleanup } = await import('../utils/monthlyCleanupJob.js');
     const result = await runManualCleanup();
@@ -78,7 +157,7 @@ router.post('/cleanup/run-manual', protect, admin, async (req, res) => {
   }
 });
 
-router.get('/cleanup/status', protect, admin, async (req, res) => {
+router.get('/cleanup/status', protect, requirePermission('settings'), async (req, res) => {
   try {
     const { getCleanupStatus } = await import('../utils/monthlyCleanupJob.js');
     const status = getCleanupStatus();
@@ -97,7 +176,7 @@ router.get('/cleanup/status', protect, admin, async (req, res) => {
 });
 
 // Migration route for hostel IDs
-router.post('/orders/migrate-hostel-ids', protect, admin, async (req, res) => {
+router.post('/orders/migrate-hostel-ids', protect, requirePermission('settings'), async (req, res) => {
   try {
     const result = await migrateOrderHostelIds();
     res.json({
@@ -115,7 +194,7 @@ router.post('/orders/migrate-hostel-ids', protect, admin, async (req, res) => {
 });
 
 // Analysis route for hostel data
-router.get('/orders/analyze-hostel-data', protect, admin, async (req, res) => {
+router.get('/orders/analyze-hostel-data', protect, requirePermission('settings'), async (req, res) => {
   try {
     const totalOrders = await Order.countDocuments();
     const ordersWithHostelName = await Order.countDocuments({
@@ -151,15 +230,15 @@ router.get('/orders/analyze-hostel-data', protect, admin, async (req, res) => {
 });
 
 // User favorites
-router.get('/users/:userId/favorites', protect, admin, getUserFavoritesForAdmin);
+router.get('/users/:userId/favorites', protect, requirePermission('users'), getUserFavoritesForAdmin);
 
 // User loyalty status
-router.get('/users/:userId/loyalty', protect, admin, getUserLoyaltyForAdmin);
+router.get('/users/:userId/loyalty', protect, requirePermission('users'), getUserLoyaltyForAdmin);
 
 // User contacts
-router.get('/contacts/user/:email', protect, admin, getContactsByUser);
+router.get('/contacts/user/:email', protect, requirePermission('users'), getContactsByUser);
 
 // User newsletter status  
-router.get('/newsletter/status/:email', protect, admin, getNewsletterStatusByEmail);
+router.get('/newsletter/status/:email', protect, requirePermission('newsletter'), getNewsletterStatusByEmail);
 
 export default router;
@@ -10,7 +10,7 @@ import {
   toggleBannerStatus,
   reorderBanners
 } from '../controllers/bannerController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -58,11 +58,11 @@ router.get('/', getBanners);
 router.get('/:id', getBanner);
 
 // Admin routes (require authentication and admin role)
-router.get('/admin/all', protect, admin, getAllBannersAdmin);
-router.post('/admin', protect, admin, bannerValidation, createBanner);
-router.put('/admin/:id', protect, admin, bannerValidation, updateBanner);
-router.delete('/admin/:id', protect, admin, deleteBanner);
-router.put('/admin/:id/toggle', protect, admin, toggleBannerStatus);
-router.put('/admin/reorder', protect, admin, reorderBanners);
+router.get('/admin/all', protect, requirePermission('catalog'), getAllBannersAdmin);
+router.post('/admin', protect, requirePermission('catalog'), bannerValidation, createBanner);
+router.put('/admin/:id', protect, requirePermission('catalog'), bannerValidation, updateBanner);
+router.delete('/admin/:id', protect, requirePermission('catalog'), deleteBanner);
+router.put('/admin/:id/toggle', protect, requirePermission('catalog'), toggleBannerStatus);
+router.put('/admin/reorder', protect, requirePermission('catalog'), reorderBanners);
 
 export default router;
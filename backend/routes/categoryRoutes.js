@@ -11,7 +11,7 @@ import {
   deleteSpecialImage
 } from '../controllers/categoryController.js';
 import { reprocessCategoryImages } from '../controllers/imageReprocessController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -22,11 +22,11 @@ router.get('/:id', getCategoryById);
 router.get('/:id/products', getCategoryProducts);
 
 // Admin only routes
-router.post('/', protect, admin, createCategory);
-router.put('/:id', protect, admin, updateCategory);
-router.delete('/:id', protect, admin, deleteCategory);
-router.post('/:id/reprocess-images', protect, admin, reprocessCategoryImages);
-router.put('/special-image/:type', protect, admin, updateSpecialImage);
-router.delete('/special-image/:type', protect, admin, deleteSpecialImage);
+router.post('/', protect, requirePermission('catalog'), createCategory);
+router.put('/:id', protect, requirePermission('catalog'), updateCategory);
+router.delete('/:id', protect, requirePermission('catalog'), deleteCategory);
+router.post('/:id/reprocess-images', protect, requirePermission('catalog'), reprocessCategoryImages);
+router.put('/special-image/:type', protect, requirePermission('catalog'), updateSpecialImage);
+router.delete('/special-image/:type', protect, requirePermission('catalog'), deleteSpecialImage);
 
 export default router;
@@ -10,7 +10,7 @@ import {
   getContactStats,
   getContactsByUser
 } from '../controllers/contactController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import rateLimit from 'express-rate-limit';
 
 const router = express.Router();
@@ -32,7 +32,7 @@ const contactSubmissionLimit = rateLimit({
 router.post('/', contactSubmissionLimit, submitContact);
 
 // Admin routes - require authentication and admin role
-router.use(protect, admin);
+router.use(protect, requirePermission('users'));
 
 router.get('/', getContacts);
 router.get('/stats', getContactStats);
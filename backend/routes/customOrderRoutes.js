@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  submitCustomOrder,
+  getMyCustomOrders,
+  getCustomOrder,
+  cancelCustomOrder,
+  getCustomOrders,
+  quoteCustomOrder,
+  rejectCustomOrder
+} from '../controllers/customOrderController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Customer routes
+router.post('/', protect, submitCustomOrder);
+router.get('/my', protect, getMyCustomOrders);
+router.put('/:id/cancel', protect, cancelCustomOrder);
+
+// Admin routes
+router.get('/', protect, requirePermission('orders'), getCustomOrders);
+router.put('/:id/quote', protect, requirePermission('orders'), quoteCustomOrder);
+router.put('/:id/reject', protect, requirePermission('orders'), rejectCustomOrder);
+
+router.get('/:id', protect, getCustomOrder);
+
+export default router;
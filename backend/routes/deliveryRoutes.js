@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getRiderOrders,
+  markOrderPickedUp,
+  markAsDelivered,
+  recordCashCollected,
+  getRiderCashSummary
+} from '../controllers/orderController.js';
+import { protect, deliveryAgent } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Rider routes - delivery role (admins may use them too)
+router.get('/orders', protect, deliveryAgent, getRiderOrders);
+router.post('/orders/:orderId/pickup', protect, deliveryAgent, markOrderPickedUp);
+router.post('/orders/:orderId/deliver', protect, deliveryAgent, markAsDelivered);
+router.post('/orders/:orderId/cash', protect, deliveryAgent, recordCashCollected);
+router.get('/cash', protect, deliveryAgent, getRiderCashSummary);
+
+export default router;
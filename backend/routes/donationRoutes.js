@@ -7,7 +7,7 @@ import {
   updateDonationStatus,
   exportDonations
 } from '../controllers/donationController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -16,9 +16,9 @@ router.get('/user', protect, getUserDonations);
 router.get('/user/summary', protect, getUserDonationSummary);
 
 // Admin routes (Protected + Admin)
-router.get('/admin/all', protect, admin, getAllDonations);
-router.get('/admin/stats', protect, admin, getDonationStats);
-router.get('/admin/export', protect, admin, exportDonations);
-router.patch('/admin/:id', protect, admin, updateDonationStatus);
+router.get('/admin/all', protect, requirePermission('payments'), getAllDonations);
+router.get('/admin/stats', protect, requirePermission('payments'), getDonationStats);
+router.get('/admin/export', protect, requirePermission('payments'), exportDonations);
+router.patch('/admin/:id', protect, requirePermission('payments'), updateDonationStatus);
 
 export default router;
\ No newline at end of file
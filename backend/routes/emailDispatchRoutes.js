@@ -1,17 +1,25 @@
 import express from 'express';
 import {
   sendStatusUpdate,
+  sendRefundUpdate,
+  sendGiftUpdate,
   sendPasswordReset,
   sendSignupOtp,
   sendNewsletter
 } from '../controllers/emailDispatchController.js';
+import { requireDelegateSecret } from '../middleware/emailDelegateMiddleware.js';
 
 const router = express.Router();
 
 // Intentionally public for delegation from trusted backend (ensure network-level restrictions if needed)
 router.post('/status-update', sendStatusUpdate);
+// Refund and gift emails carry caller-chosen amounts or free text, so they only accept requests
+// carrying the delegation secret
+router.post('/refund', requireDelegateSecret, sendRefundUpdate);
+router.post('/gift', requireDelegateSecret, sendGiftUpdate);
 router.post('/password-reset', sendPasswordReset);
 router.post('/signup-otp', sendSignupOtp);
-router.post('/newsletter/send', sendNewsletter);
+// Sends to every subscriber, so it is closed to callers without the delegation secret
+router.post('/newsletter/send', requireDelegateSecret, sendNewsletter);
 
 export default router;
@@ -9,7 +9,7 @@ import {
   toggleHostelStatus,
   getHostelDetails
 } from '../controllers/hostelController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -21,10 +21,10 @@ router.use(protect); // Apply auth middleware to all routes below
 
 router.get('/', getAllHostels);
 router.get('/:id/details', getHostelDetails);
-router.get('/location/:locationId/admin', getHostelsByLocationAdmin);
-router.post('/', createHostel);
-router.put('/:id', updateHostel);
-router.delete('/:id', deleteHostel);
-router.patch('/:id/toggle', toggleHostelStatus);
+router.get('/location/:locationId/admin', requirePermission('settings'), getHostelsByLocationAdmin);
+router.post('/', requirePermission('settings'), createHostel);
+router.put('/:id', requirePermission('settings'), updateHostel);
+router.delete('/:id', requirePermission('settings'), deleteHostel);
+router.patch('/:id/toggle', requirePermission('settings'), toggleHostelStatus);
 
 export default router;
@@ -1,10 +1,10 @@
 import express from 'express';
 import { reprocessCategoryImages } from '../controllers/imageReprocessController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Admin only routes
-router.post('/:id/reprocess-images', protect, admin, reprocessCategoryImages);
+router.post('/:id/reprocess-images', protect, requirePermission('catalog'), reprocessCategoryImages);
 
 export default router;
\ No newline at end of file
@@ -1,11 +1,13 @@
 import express from 'express';
 import { 
-  getLocations
+  getLocations,
+  getServiceability
 } from '../controllers/locationController.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/', getLocations);
+router.get('/serviceability', getServiceability);
 
 export default router;
@@ -5,7 +5,9 @@ import {
   updateNewCartItem,
   removeFromNewCart,
   clearNewCart,
-  getNewCartCount
+  getNewCartCount,
+  applyCouponToCart,
+  getCartDeliveryQuote
 } from '../controllers/newCartController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
@@ -24,11 +26,21 @@ router.get('/', getNewCart);
 // @access  Private
 router.get('/count', getNewCartCount);
 
+// @route   GET /api/newcart/delivery-quote
+// @desc    Delivery charge for the cart with delivery rules applied (optional ?deliverySlotId, ?addressId)
+// @access  Private
+router.get('/delivery-quote', getCartDeliveryQuote);
+
 // @route   POST /api/newcart
 // @desc    Add item to cart with complete product information
 // @access  Private
 router.post('/', addToNewCart);
 
+// @route   POST /api/newcart/apply-coupon
+// @desc    Validate a coupon code against the cart
+// @access  Private
+router.post('/apply-coupon', applyCouponToCart);
+
 // @route   PUT /api/newcart/:productId
 // @desc    Update cart item quantity
 // @access  Private
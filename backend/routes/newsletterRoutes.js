@@ -3,6 +3,9 @@ const router = express.Router();
 import {
   subscribe,
   unsubscribe,
+  oneClickUnsubscribe,
+  getEmailPreferences,
+  updateEmailPreferences,
   getAllSubscribers,
   addSubscriberManually,
   updateSubscriber,
@@ -10,24 +13,55 @@ import {
   getNewsletterStats,
   getNewsletterStatusByEmail
 } from '../controllers/newsletterController.js';
-import { sendCustomNewsletter } from '../utils/newsletterEmailService.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  getCampaigns,
+  getCampaign,
+  previewAudience,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  trackOpen,
+  trackClick
+} from '../controllers/newsletterCampaignController.js';
+import NewsletterCampaign from '../models/newsletterCampaignModel.js';
+import {
+  normalizeCampaignInput,
+  resolveAudience,
+  scheduleCampaign as scheduleCampaignNow
+} from '../services/newsletterCampaignService.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 
 // Public routes
 router.post('/subscribe', subscribe);
 router.post('/unsubscribe', unsubscribe);
+router.post('/unsubscribe/one-click', oneClickUnsubscribe);
+router.get('/preferences', getEmailPreferences);
+router.put('/preferences', updateEmailPreferences);
 
 // Admin routes - Protected
-router.get('/admin/subscribers', protect, admin, getAllSubscribers);
-router.get('/admin/stats', protect, admin, getNewsletterStats);
-router.get('/admin/user/:email', protect, admin, getNewsletterStatusByEmail);
-router.post('/admin/add', protect, admin, addSubscriberManually);
-router.put('/admin/:id', protect, admin, updateSubscriber);
-router.delete('/admin/:id', protect, admin, deleteSubscriber);
+router.get('/admin/subscribers', protect, requirePermission('newsletter'), getAllSubscribers);
+router.get('/admin/stats', protect, requirePermission('newsletter'), getNewsletterStats);
+router.get('/admin/user/:email', protect, requirePermission('newsletter'), getNewsletterStatusByEmail);
+router.post('/admin/add', protect, requirePermission('newsletter'), addSubscriberManually);
+router.put('/admin/:id', protect, requirePermission('newsletter'), updateSubscriber);
+router.delete('/admin/:id', protect, requirePermission('newsletter'), deleteSubscriber);
+
+// Newsletter campaigns (Admin only)
+router.get('/admin/campaigns', protect, requirePermission('newsletter'), getCampaigns);
+router.post('/admin/campaigns', protect, requirePermission('newsletter'), createCampaign);
+router.post('/admin/campaigns/audience', protect, requirePermission('newsletter'), previewAudience);
+router.get('/admin/campaigns/:id', protect, requirePermission('newsletter'), getCampaign);
+router.put('/admin/campaigns/:id', protect, requirePermission('newsletter'), updateCampaign);
+router.delete('/admin/campaigns/:id', protect, requirePermission('newsletter'), deleteCampaign);
+router.post('/admin/campaigns/:id/schedule', protect, requirePermission('newsletter'), scheduleCampaign);
+router.post('/admin/campaigns/:id/cancel', protect, requirePermission('newsletter'), cancelCampaign);
 
-// Send custom newsletter (Admin only)
-router.post('/admin/send', protect, admin, asyncHandler(async (req, res) => {
+// Send custom newsletter to every subscriber now (Admin only).
+// Kept for older clients; it runs as an "all subscribers" campaign so it is tracked like the others.
+router.post('/admin/send', protect, requirePermission('newsletter'), asyncHandler(async (req, res) => {
   const { subject, title, body, ctaText, ctaLink } = req.body;
 
   if (!subject || !body) {
@@ -37,33 +71,25 @@ router.post('/admin/send', protect, admin, asyncHandler(async (req, res) => {
     });
   }
 
-  const newsletterContent = {
-    subject,
-    title,
-    body,
-    ctaText,
-    ctaLink
-  };
+  const campaign = await NewsletterCampaign.create({
+    ...normalizeCampaignInput({ subject, title, body, ctaText, ctaLink, segment: { type: 'all' } }),
+    createdBy: req.user?._id || null
+  });
+  const totalSubscribers = (await resolveAudience(campaign.segment)).length;
+  await scheduleCampaignNow(campaign);
 
-  const result = await sendCustomNewsletter(newsletterContent);
-
-  if (result.success) {
-    res.status(200).json({
-      success: true,
-      message: result.message,
-      data: {
-        sent: result.sent,
-        failed: result.failed,
-        totalSubscribers: result.totalSubscribers
-      }
-    });
-  } else {
-    res.status(500).json({
-      success: false,
-      message: result.message,
-      error: result.error
-    });
-  }
+  res.status(200).json({
+    success: true,
+    message: `Newsletter is being sent to ${totalSubscribers} subscribers`,
+    data: {
+      campaignId: campaign._id,
+      totalSubscribers
+    }
+  });
 }));
 
+// Open and click tracking for campaign emails
+router.get('/track/open/:token', trackOpen);
+router.get('/track/click/:token/:index', trackClick);
+
 export default router;
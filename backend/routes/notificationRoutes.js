@@ -6,12 +6,12 @@ import {
   deleteNotification,
   getAdminNotifications
 } from '../controllers/notificationController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Admin routes - must be before /:id routes
-router.get('/admin', protect, getAdminNotifications);
+router.get('/admin', protect, requirePermission('orders'), getAdminNotifications);
 
 // Get user notifications
 router.get('/', protect, getUserNotifications);
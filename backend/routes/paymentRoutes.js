@@ -12,10 +12,12 @@ import {
   listPayments,
   getPaymentById,
   createPaymentRecord,
-  checkOrderStatus
+  checkOrderStatus,
+  refundOrder,
+  createCustomOrderPayment
 } from '../controllers/paymentController.js';
-import { cancelUserOrder } from '../controllers/orderController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { cancelUserOrder, amendUserOrderItems } from '../controllers/orderController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import { backfillPaymentsFromOrders, updatePaymentStatus } from '../controllers/paymentController.js';
 
 const router = express.Router();
@@ -23,6 +25,9 @@ const router = express.Router();
 // Create order (both Razorpay and COD)
 router.post('/create-order', protect, createOrder);
 
+// Pay an accepted custom cake quote through Razorpay
+router.post('/custom-order/:id', protect, createCustomOrderPayment);
+
 // Verify Razorpay payment
 router.post('/verify', verifyPayment);
 
@@ -39,21 +44,23 @@ router.post('/webhook', handleWebhook);
 router.get('/payment/:paymentId', protect, getPaymentDetails);
 
 // Order management routes
-router.get('/orders', protect, getAllOrders); // Admin: Get all orders
+router.get('/orders', protect, requirePermission('orders'), getAllOrders); // Admin: Get all orders
 router.get('/orders/user', protect, getUserOrders); // User: Get user's orders
 router.get('/orders/:orderNumber', protect, getOrderDetails); // Get specific order details
 router.put('/orders/:orderNumber/cancel', protect, cancelUserOrder); // User: Cancel order
+router.patch('/orders/:orderNumber/items', protect, amendUserOrderItems); // User: Remove or reduce undispatched items
+router.post('/orders/:orderNumber/refund', protect, requirePermission('orders'), refundOrder); // Admin: Full or partial refund
 
 // User payments route  
 router.get('/user/payments', protect, getUserPayments); // User: Get user's payments/transactions
 
 // Admin Payment Management endpoints
-router.get('/', protect, admin, listPayments); // GET /api/payments
-router.get('/:id', protect, admin, getPaymentById); // GET /api/payments/:id
+router.get('/', protect, requirePermission('payments'), listPayments); // GET /api/payments
+router.get('/:id', protect, requirePermission('payments'), getPaymentById); // GET /api/payments/:id
 router.post('/', protect, createPaymentRecord); // POST /api/payments (allow authenticated create)
 
 // Admin utility: backfill payments from orders
-router.post('/backfill', protect, admin, backfillPaymentsFromOrders);
-router.patch('/:id/status', protect, admin, updatePaymentStatus); // Admin: Update payment status
+router.post('/backfill', protect, requirePermission('payments'), backfillPaymentsFromOrders);
+router.patch('/:id/status', protect, requirePermission('payments'), updatePaymentStatus); // Admin: Update payment status
 
 export default router;
\ No newline at end of file
@@ -12,7 +12,8 @@ import {
   updateProductOrderCount,
   bulkUpdateOrderCounts
 } from '../controllers/productController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { getProductReviews } from '../controllers/reviewController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -21,16 +22,17 @@ router.get('/', getProducts);
 router.get('/bestsellers', getBestSellingProducts);
 router.get('/bestsellers/check', checkBestSellers);
 router.get('/:id', getProduct);
+router.get('/:id/reviews', getProductReviews);
 
 // Admin only routes
-router.post('/', protect, admin, createProduct);
-router.put('/:id', protect, admin, updateProduct);
-router.delete('/:id', protect, admin, deleteProduct);
-router.put('/:id/discount', protect, admin, updateProductDiscount);
+router.post('/', protect, requirePermission('catalog'), createProduct);
+router.put('/:id', protect, requirePermission('catalog'), updateProduct);
+router.delete('/:id', protect, requirePermission('catalog'), deleteProduct);
+router.put('/:id/discount', protect, requirePermission('catalog'), updateProductDiscount);
 
 // Order tracking routes
-router.get('/stats/orders', protect, admin, getProductOrderStats);
-router.put('/:id/order-count', protect, admin, updateProductOrderCount);
-router.post('/bulk-update-order-counts', protect, admin, bulkUpdateOrderCounts);
+router.get('/stats/orders', protect, requirePermission('catalog'), getProductOrderStats);
+router.put('/:id/order-count', protect, requirePermission('catalog'), updateProductOrderCount);
+router.post('/bulk-update-order-counts', protect, requirePermission('catalog'), bulkUpdateOrderCounts);
 
 export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getReviewEligibility,
+  createReview,
+  updateReview,
+  getMyReviews,
+  deleteReview,
+  getReviews,
+  moderateReview
+} from '../controllers/reviewController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Customer routes
+router.get('/my', protect, getMyReviews);
+router.get('/eligibility/:productId', protect, getReviewEligibility);
+router.post('/', protect, createReview);
+router.put('/:id', protect, updateReview);
+router.delete('/:id', protect, deleteReview);
+
+// Admin routes
+router.get('/', protect, requirePermission('catalog'), getReviews);
+router.put('/:id/moderate', protect, requirePermission('catalog'), moderateReview);
+
+export default router;
@@ -1,13 +1,15 @@
 import express from 'express';
 import Product from '../models/productModel.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { setVariantStock } from '../services/stockService.js';
+import { releaseExpiredHolds } from '../middleware/stockReleaseMiddleware.js';
 
 const router = express.Router();
 
 // @desc    Get stock status for a product
 // @route   GET /api/stock/:productId
 // @access  Public
-router.get('/:productId', async (req, res) => {
+router.get('/:productId', releaseExpiredHolds, async (req, res) => {
   try {
     const { productId } = req.params;
     
@@ -47,43 +49,38 @@ router.get('/:productId', async (req, res) => {
 // @desc    Update product stock manually (Admin only)
 // @route   PUT /api/stock/:productId/variant/:variantIndex
 // @access  Private (Admin only)
-router.put('/:productId/variant/:variantIndex', protect, admin, async (req, res) => {
+router.put('/:productId/variant/:variantIndex', protect, requirePermission('inventory'), async (req, res) => {
   try {
     const { productId, variantIndex } = req.params;
-    const { stock, isStockActive } = req.body;
+    const { stock, isStockActive, source, note } = req.body;
     
     const vi = parseInt(variantIndex);
     
-    const updateData = {};
-    if (typeof stock === 'number') {
-      updateData[`variants.${vi}.stock`] = Math.max(0, stock);
-    }
-    if (typeof isStockActive === 'boolean') {
-      updateData[`variants.${vi}.isStockActive`] = isStockActive;
-    }
-    
-    const product = await Product.findByIdAndUpdate(
+    const result = await setVariantStock({
       productId,
-      { $set: updateData },
-      { new: true }
-    );
+      variantIndex: vi,
+      stock,
+      isStockActive,
+      reason: 'manual_update',
+      actor: req.user,
+      source: source || 'stock_api',
+      note
+    });
     
-    if (!product) {
+    if (!result) {
       return res.status(404).json({ 
         success: false, 
         message: 'Product not found' 
       });
     }
-
-    const variant = product.variants[vi];
     
     res.json({
       success: true,
       message: 'Stock updated successfully',
-      productId: product._id,
+      productId: result.product._id,
       variantIndex: vi,
-      updatedStock: variant.stock,
-      isStockActive: variant.isStockActive
+      updatedStock: result.stockAfter,
+      isStockActive: result.isStockActiveAfter
     });
   } catch (error) {
     console.error('Error updating stock:', error);
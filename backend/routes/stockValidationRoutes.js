@@ -5,19 +5,22 @@ import {
   bulkUpdateStock,
   getStockActivity,
   updateStockAlerts,
-  generateInventoryReport
+  generateInventoryReport,
+  getStockHolds
 } from '../controllers/stockValidationController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { releaseExpiredHolds } from '../middleware/stockReleaseMiddleware.js';
 
 const router = express.Router();
 
 // All routes are admin only
-router.use(protect, admin);
+router.use(protect, requirePermission('inventory'));
 
 // Inventory management routes
-router.get('/inventory/overview', getInventoryOverview);
+router.get('/inventory/overview', releaseExpiredHolds, getInventoryOverview);
 router.get('/inventory/low-stock', getLowStockProducts);
 router.get('/inventory/activity', getStockActivity);
+router.get('/inventory/holds', releaseExpiredHolds, getStockHolds);
 router.get('/inventory/report', generateInventoryReport);
 
 // Stock update routes
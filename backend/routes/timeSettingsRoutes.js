@@ -4,19 +4,21 @@ import {
   updateTimeSettings,
   addSpecialDay,
   removeSpecialDay,
-  checkShopStatus
+  checkShopStatus,
+  getDeliverySlots
 } from '../controllers/timeSettingsController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/status', checkShopStatus);
+router.get('/delivery-slots', getDeliverySlots);
 
 // Admin routes (protected)
-router.get('/', protect, admin, getTimeSettings);
-router.put('/', protect, admin, updateTimeSettings);
-router.post('/special-day', protect, admin, addSpecialDay);
-router.delete('/special-day/:date', protect, admin, removeSpecialDay);
+router.get('/', protect, requirePermission('settings'), getTimeSettings);
+router.put('/', protect, requirePermission('settings'), updateTimeSettings);
+router.post('/special-day', protect, requirePermission('settings'), addSpecialDay);
+router.delete('/special-day/:date', protect, requirePermission('settings'), removeSpecialDay);
 
 export default router;
\ No newline at end of file
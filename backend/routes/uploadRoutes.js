@@ -1,6 +1,6 @@
 import express from 'express';
-import { uploadMedia, getUploadSignature, uploadProfilePhoto, uploadProfilePhotoComplete, testCloudinaryConfig } from '../controllers/uploadController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { uploadMedia, getUploadSignature, uploadProfilePhoto, uploadProfilePhotoComplete, uploadReviewPhoto, testCloudinaryConfig } from '../controllers/uploadController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -8,11 +8,12 @@ const router = express.Router();
 router.get('/test', protect, testCloudinaryConfig);
 
 // Admin only routes
-router.post('/', protect, admin, uploadMedia);
-router.get('/signature', protect, admin, getUploadSignature);
+router.post('/', protect, requirePermission('catalog'), uploadMedia);
+router.get('/signature', protect, requirePermission('catalog'), getUploadSignature);
 
 // User routes - any authenticated user can use
 router.post('/profile', protect, uploadProfilePhoto);
 router.post('/profile-complete', protect, uploadProfilePhotoComplete);
+router.post('/review', protect, uploadReviewPhoto);
 
 export default router;
@@ -16,7 +16,19 @@ import {
   removeFromFavorites,
   checkFavoriteStatus
 } from '../controllers/favoriteController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  getAddresses,
+  createAddress,
+  editAddress,
+  deleteAddress,
+  makeDefaultAddress
+} from '../controllers/addressController.js';
+import {
+  getProductAlerts,
+  addProductAlert,
+  deleteProductAlert
+} from '../controllers/productAlertController.js';
+import { protect, requirePermission, selfOrPermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -26,11 +38,23 @@ router.use(protect);
 // Current user route
 router.get('/me', getCurrentUser);
 
-// Update user route
-router.put('/:id', updateUser);
+// Address book routes
+router.get('/me/addresses', getAddresses);
+router.post('/me/addresses', createAddress);
+router.put('/me/addresses/:addressId', editAddress);
+router.delete('/me/addresses/:addressId', deleteAddress);
+router.patch('/me/addresses/:addressId/default', makeDefaultAddress);
+
+// Back-in-stock and price-drop alert routes
+router.get('/me/product-alerts', getProductAlerts);
+router.post('/me/product-alerts', addProductAlert);
+router.delete('/me/product-alerts/:alertId', deleteProductAlert);
+
+// Update user route (own profile, or another user's with the users permission)
+router.put('/:id', selfOrPermission('users'), updateUser);
 
-// Delete user route (works for admins or users deleting their own accounts)
-router.delete('/:id', deleteUser);
+// Delete user route (own account, or another user's with the users permission)
+router.delete('/:id', selfOrPermission('users'), deleteUser);
 
 // Recently viewed routes
 router.get('/recently-viewed', getRecentlyViewed);
@@ -46,8 +70,8 @@ router.get('/favorites/:productId', checkFavoriteStatus);
 router.put('/me/photo', updateProfilePhoto);
 router.delete('/me/photo', deleteProfilePhoto);
 
-// Admin routes - require admin role
-router.get('/', admin, getAllUsers);
-router.get('/:id', admin, getUserById);
+// Admin routes - require the users permission
+router.get('/', requirePermission('users'), getAllUsers);
+router.get('/:id', requirePermission('users'), getUserById);
 
 export default router;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import 'dotenv/config';
+import { enqueueEmail, processOutbox } from '../services/emailOutboxService.js';
+
+/**
+ * Script to push a test email through the email outbox
+ * Point it at a local SMTP sink to see exactly what the shop would send, e.g. with MailHog or Mailpit:
+ *   SMTP_HOST=localhost SMTP_PORT=1025 node scripts/sendOutboxTestEmail.js someone@example.com
+ * Stop the sink first to watch the email fail, stay pending and get picked up on the next run.
+ */
+
+const sendOutboxTestEmail = async () => {
+  const to = process.argv[2];
+  if (!to) {
+    console.error('Usage: node scripts/sendOutboxTestEmail.js <recipient>');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    console.log(`📤 SMTP: ${process.env.SMTP_HOST ? `${process.env.SMTP_HOST}:${process.env.SMTP_PORT || 587}` : 'gmail'}`);
+
+    const result = await enqueueEmail({
+      kind: 'test',
+      message: {
+        from: { name: 'La Patisserie', address: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'outbox-test@localhost' },
+        to,
+        subject: 'La Patisserie outbox test',
+        html: `<p>Outbox test email sent at ${new Date().toISOString()}</p>`
+      }
+    });
+    console.log('First attempt:', result);
+
+    // Anything else that is due (including earlier failures of this script)
+    const summary = await processOutbox();
+    console.log('Outbox run:', summary);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.connection.close();
+    // The pooled SMTP transport keeps sockets open
+    process.exit(0);
+  }
+};
+
+sendOutboxTestEmail();
@@ -41,8 +41,16 @@ import publicRoutes from './routes/publicRoutes.js';
 import sitemapRoutes from './routes/sitemapRoutes.js';
 import freeProductRoutes from './routes/freeProductRoutes.js';
 import donationRoutes from './routes/donationRoutes.js';
+import customOrderRoutes from './routes/customOrderRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import deliveryRoutes from './routes/deliveryRoutes.js';
 import { calculateShopStatus } from './utils/shopStatus.js';
 import { startMonthlyCleanupJob } from './utils/monthlyCleanupJob.js';
+import { startStockReleaseJob } from './middleware/stockReleaseMiddleware.js';
+import { startEmailOutboxJob } from './utils/emailOutboxJob.js';
+import { startNewsletterCampaignJob } from './utils/newsletterCampaignJob.js';
+import { startCartRecoveryJob } from './utils/cartRecoveryJob.js';
+import { isEmailLinkSigningConfigured } from './services/emailPreferenceService.js';
 import { scheduleMonthlyRewardCleanup } from './utils/cronJobs.js';
 
 // Initialize Express app
@@ -234,6 +242,23 @@ const startServer = async () => {
     // Start monthly claim history cleanup job
     startMonthlyCleanupJob();
 
+    // Return stock from checkout holds whose payment window has passed
+    startStockReleaseJob();
+
+    // Retry emails that could not be sent straight away
+    startEmailOutboxJob();
+
+    // Marketing emails must carry a signed unsubscribe link, so their jobs need EMAIL_LINK_SECRET
+    if (isEmailLinkSigningConfigured()) {
+      // Send newsletter campaigns when their scheduled time comes
+      startNewsletterCampaignJob();
+
+      // Remind customers about abandoned carts and track the orders they bring back
+      startCartRecoveryJob();
+    } else {
+      console.warn('⚠️  EMAIL_LINK_SECRET is not set: newsletter campaigns and abandoned cart reminders are turned off, and product alerts are sent in-app only');
+    }
+
     const scheduleCancelledOrderCleanup = () => {
       const MINUTE_MS = 60 * 1000;
       const retentionHoursRaw = parseFloat(process.env.CANCELLED_ORDER_RETENTION_HOURS || '24');
@@ -360,6 +385,9 @@ const startServer = async () => {
     app.use('/api/newsletter', newsletterRoutes);
     app.use('/api/free-product', freeProductRoutes);
     app.use('/api/donations', donationRoutes);
+    app.use('/api/custom-orders', customOrderRoutes);
+    app.use('/api/reviews', reviewRoutes);
+    app.use('/api/delivery', deliveryRoutes);
 
     // WebSocket setup
     const io = new Server(server, {
@@ -0,0 +1,140 @@
+const addOnError = (message, code = 'INVALID_ADD_ONS', statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toAmount = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && String(a) === String(b);
+
+/**
+ * Clean add-on groups coming from the admin product form.
+ * Required groups need at least one pick and maxSelect never drops below minSelect.
+ */
+export const normalizeAddOnGroups = (groups) => {
+  if (!Array.isArray(groups)) return [];
+
+  return groups
+    .filter(group => group && String(group.name || '').trim())
+    .map(group => {
+      const options = (Array.isArray(group.options) ? group.options : [])
+        .filter(option => option && String(option.name || '').trim())
+        .map(option => ({
+          ...(option._id ? { _id: option._id } : {}),
+          name: String(option.name).trim(),
+          price: Math.max(0, Math.round(toAmount(option.price))),
+          requiresText: option.requiresText === true,
+          maxTextLength: Math.min(200, Math.max(1, parseInt(option.maxTextLength, 10) || 40)),
+          isActive: option.isActive !== false
+        }));
+
+      const isRequired = group.isRequired === true;
+      const minSelect = Math.max(isRequired ? 1 : 0, parseInt(group.minSelect, 10) || 0);
+      const maxSelect = Math.max(minSelect, parseInt(group.maxSelect, 10) || 1);
+
+      return {
+        ...(group._id ? { _id: group._id } : {}),
+        name: String(group.name).trim(),
+        description: group.description ? String(group.description).trim() : '',
+        isRequired,
+        minSelect,
+        maxSelect,
+        isActive: group.isActive !== false,
+        options
+      };
+    });
+};
+
+/**
+ * Validate a customer's add-on picks against the product's groups and snapshot them with prices.
+ * @param {Object} product - Product document or lean object
+ * @param {Array<{groupId, optionId, text}>} selections - Picks from the client (cart line snapshots are accepted too)
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true] - Throw on invalid picks; when false they are dropped (used to refresh old carts)
+ * @returns {{ addOns: Array, addOnTotal: number }}
+ * @throws {Error} statusCode 400, code INVALID_ADD_ONS (strict mode only)
+ */
+export const resolveAddOns = (product, selections = [], { strict = true } = {}) => {
+  const groups = (product?.addOnGroups || []).filter(group => group.isActive !== false);
+  const picks = Array.isArray(selections) ? selections : [];
+  const addOns = [];
+
+  const reject = (message) => {
+    if (strict) throw addOnError(message);
+  };
+
+  for (const pick of picks) {
+    const group = groups.find(entry => sameId(entry._id, pick?.groupId));
+    const option = group?.options?.find(entry => sameId(entry._id, pick?.optionId) && entry.isActive !== false);
+    if (!group || !option) {
+      reject(`${pick?.optionName || 'An option'} is no longer available for ${product?.name || 'this product'}`);
+      continue;
+    }
+    if (addOns.some(addOn => sameId(addOn.optionId, option._id))) {
+      continue;
+    }
+
+    let text = '';
+    if (option.requiresText) {
+      text = String(pick?.text || '').trim();
+      if (!text) {
+        reject(`Please enter the text for ${option.name}`);
+        continue;
+      }
+      if (text.length > option.maxTextLength) {
+        reject(`${option.name} can be at most ${option.maxTextLength} characters`);
+        continue;
+      }
+    }
+
+    addOns.push({
+      groupId: group._id,
+      groupName: group.name,
+      optionId: option._id,
+      optionName: option.name,
+      price: Math.max(0, Math.round(toAmount(option.price))),
+      text
+    });
+  }
+
+  for (const group of groups) {
+    const count = addOns.filter(addOn => sameId(addOn.groupId, group._id)).length;
+    if (count < (group.minSelect || 0)) {
+      reject(group.minSelect > 1
+        ? `Choose at least ${group.minSelect} options for ${group.name}`
+        : `Please choose an option for ${group.name}`);
+    }
+    if (count > (group.maxSelect || 1)) {
+      reject(`Choose at most ${group.maxSelect || 1} options for ${group.name}`);
+      if (!strict) {
+        // Keep the first picks when an admin tightened the rule after the item was carted
+        let kept = 0;
+        for (let i = 0; i < addOns.length; i++) {
+          if (!sameId(addOns[i].groupId, group._id)) continue;
+          kept += 1;
+          if (kept > (group.maxSelect || 1)) {
+            addOns.splice(i, 1);
+            i -= 1;
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    addOns,
+    addOnTotal: addOns.reduce((sum, addOn) => sum + addOn.price, 0)
+  };
+};
+
+/**
+ * One-line description for invoices, emails and the kitchen, e.g. "Candles, Message: Happy Birthday Anu".
+ */
+export const formatAddOnSummary = (addOns = []) => (Array.isArray(addOns) ? addOns : [])
+  .map(addOn => (addOn.text ? `${addOn.optionName}: ${addOn.text}` : addOn.optionName))
+  .join(', ');
@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+import User, { ADDRESS_TYPES, MAX_SAVED_ADDRESSES } from '../models/userModel.js';
+import Location from '../models/locationModel.js';
+import Hostel from '../models/hostelModel.js';
+
+const TEXT_FIELDS = ['label', 'roomNumber', 'addressLine', 'landmark', 'recipientName', 'recipientPhone'];
+
+const addressError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isObjectId = (value) => Boolean(value) && mongoose.Types.ObjectId.isValid(String(value));
+const refId = (value) => value?._id || value || null;
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw addressError('User not found', 'USER_NOT_FOUND', 404);
+  }
+  return user;
+};
+
+const findAddress = (user, addressId) => {
+  const address = isObjectId(addressId) ? user.addresses.id(addressId) : null;
+  if (!address) {
+    throw addressError('Address not found', 'ADDRESS_NOT_FOUND', 404);
+  }
+  return address;
+};
+
+// Trim the editable fields; empty strings from the form clear a value
+const pickAddressFields = (body = {}) => {
+  const data = {};
+  for (const field of TEXT_FIELDS) {
+    if (body[field] === undefined) continue;
+    data[field] = String(body[field] ?? '').trim();
+  }
+  if (body.type !== undefined) data.type = body.type;
+  if (body.location !== undefined) data.location = body.location || null;
+  if (body.hostel !== undefined) data.hostel = body.hostel || null;
+  return data;
+};
+
+// The location must be one we deliver to, and the hostel must sit in that location
+const validateAddress = async ({ label, type, location, hostel }) => {
+  if (!label) {
+    throw addressError('Give this address a name, like "Hostel" or "Home"', 'ADDRESS_LABEL_REQUIRED');
+  }
+  if (!ADDRESS_TYPES.includes(type)) {
+    throw addressError(`Address type must be one of ${ADDRESS_TYPES.join(', ')}`, 'INVALID_ADDRESS_TYPE');
+  }
+  if (!isObjectId(location) || !(await Location.exists({ _id: location, isActive: true }))) {
+    throw addressError('Please choose a delivery location we serve', 'LOCATION_UNAVAILABLE');
+  }
+  if (type === 'hostel' && !hostel) {
+    throw addressError('Please choose your hostel', 'HOSTEL_REQUIRED');
+  }
+  if (hostel && (!isObjectId(hostel) || !(await Hostel.exists({ _id: hostel, locationId: location, isActive: true })))) {
+    throw addressError('The selected hostel is not available in this location', 'HOSTEL_MISMATCH');
+  }
+};
+
+// Exactly one default, mirrored into user.location/user.hostel for code that still reads those
+const syncDefaultAddress = (user, preferredId = null) => {
+  if (user.addresses.length === 0) return;
+  const preferred = preferredId ? user.addresses.id(preferredId) : null;
+  const defaultAddress = preferred || user.addresses.find(address => address.isDefault) || user.addresses[0];
+  for (const address of user.addresses) {
+    address.isDefault = address._id.equals(defaultAddress._id);
+  }
+  user.location = defaultAddress.location;
+  user.hostel = defaultAddress.hostel || undefined;
+};
+
+// Accounts from before the address book get their single location/hostel as the first entry
+const seedFromLegacyLocation = async (user) => {
+  if (user.addresses.length > 0 || !user.location) return;
+  user.addresses.push({
+    label: user.hostel ? 'Hostel' : 'Home',
+    type: user.hostel ? 'hostel' : 'other',
+    location: refId(user.location),
+    hostel: refId(user.hostel),
+    isDefault: true
+  });
+  await user.save({ validateModifiedOnly: true });
+};
+
+const toAddressBook = async (user) => {
+  await user.populate([
+    { path: 'addresses.location', select: 'city area pincode isActive' },
+    { path: 'addresses.hostel', select: 'name isActive' }
+  ]);
+  return user.addresses.map(address => address.toObject());
+};
+
+/**
+ * The user's saved addresses; `isDefault` marks the one checkout starts with.
+ * @param {string} userId
+ * @returns {Promise<Array>} Addresses with location and hostel populated
+ */
+export const listAddresses = async (userId) => {
+  const user = await loadUser(userId);
+  await seedFromLegacyLocation(user);
+  return toAddressBook(user);
+};
+
+export const addAddress = async (userId, body) => {
+  const user = await loadUser(userId);
+  await seedFromLegacyLocation(user);
+
+  if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+    throw addressError(`You can save up to ${MAX_SAVED_ADDRESSES} addresses`, 'ADDRESS_LIMIT');
+  }
+
+  const data = { type: 'hostel', ...pickAddressFields(body) };
+  await validateAddress(data);
+
+  user.addresses.push({ ...data, isDefault: false });
+  const added = user.addresses[user.addresses.length - 1];
+  syncDefaultAddress(user, body.isDefault ? added._id : null);
+  await user.save({ validateModifiedOnly: true });
+
+  return toAddressBook(user);
+};
+
+export const updateAddress = async (userId, addressId, body) => {
+  const user = await loadUser(userId);
+  const address = findAddress(user, addressId);
+
+  const data = pickAddressFields(body);
+  // A new location invalidates the old hostel unless one is sent with it
+  if (data.location && String(data.location) !== String(address.location) && data.hostel === undefined) {
+    data.hostel = null;
+  }
+  const merged = { ...address.toObject(), ...data };
+  await validateAddress(merged);
+
+  address.set(data);
+  syncDefaultAddress(user, body.isDefault ? address._id : null);
+  await user.save({ validateModifiedOnly: true });
+
+  return toAddressBook(user);
+};
+
+export const removeAddress = async (userId, addressId) => {
+  const user = await loadUser(userId);
+  const address = findAddress(user, addressId);
+
+  address.deleteOne();
+  syncDefaultAddress(user);
+  await user.save({ validateModifiedOnly: true });
+
+  return toAddressBook(user);
+};
+
+export const setDefaultAddress = async (userId, addressId) => {
+  const user = await loadUser(userId);
+  const address = findAddress(user, addressId);
+
+  syncDefaultAddress(user, address._id);
+  await user.save({ validateModifiedOnly: true });
+
+  return toAddressBook(user);
+};
+
+/**
+ * Copy a location/hostel picked the old way (profile form, location picker) onto the default address,
+ * so the address book and user.location/user.hostel don't drift apart. Call before saving the user.
+ * @param {Object} user - User document with location/hostel already set
+ */
+export const applyLocationToDefaultAddress = (user) => {
+  const defaultAddress = user.addresses?.find(address => address.isDefault);
+  if (!defaultAddress || !user.location) return;
+  defaultAddress.location = refId(user.location);
+  defaultAddress.hostel = refId(user.hostel);
+  if (defaultAddress.type === 'hostel' && !defaultAddress.hostel) {
+    defaultAddress.type = 'other';
+  }
+};
+
+/**
+ * Snapshot of the address an order is delivered to.
+ * Uses the address picked at checkout, else the default address, else the legacy location/hostel pair.
+ * @param {Object} user - Authenticated user
+ * @param {string} [addressId] - Address picked at checkout
+ * @returns {Promise<Object|null>} Order.deliveryAddress shape, or null when the user has no location at all
+ */
+export const resolveDeliveryAddress = async (user, addressId = null) => {
+  const stored = await User.findById(user._id).select('addresses location hostel').lean();
+  const addresses = stored?.addresses || [];
+
+  let address = null;
+  if (addressId) {
+    address = addresses.find(entry => String(entry._id) === String(addressId));
+    if (!address) {
+      throw addressError('The selected delivery address no longer exists', 'ADDRESS_NOT_FOUND', 404);
+    }
+  } else {
+    address = addresses.find(entry => entry.isDefault) || addresses[0] || null;
+  }
+
+  const source = address || { location: stored?.location || refId(user.location), hostel: stored?.hostel || refId(user.hostel) };
+  if (!source.location) return null;
+
+  const [location, hostel] = await Promise.all([
+    Location.findById(source.location).select('city area pincode').lean(),
+    source.hostel ? Hostel.findById(source.hostel).select('name').lean() : null
+  ]);
+
+  return {
+    addressId: address?._id || null,
+    label: address?.label || null,
+    type: address?.type || (source.hostel ? 'hostel' : 'other'),
+    locationId: source.location,
+    city: location?.city || null,
+    area: location?.area || null,
+    pincode: location?.pincode || null,
+    hostelId: hostel?._id || null,
+    hostelName: hostel?.name || null,
+    roomNumber: address?.roomNumber || null,
+    addressLine: address?.addressLine || null,
+    landmark: address?.landmark || null,
+    recipientName: address?.recipientName || null,
+    recipientPhone: address?.recipientPhone || null
+  };
+};
+
+/**
+ * One-line address for emails, notifications and Order.deliveryLocation.
+ * @param {Object} snapshot - Order.deliveryAddress
+ * @returns {string} e.g. "Room 214, Sri Ram Hostel, Near Gate 2, Peelamedu, Coimbatore - 641004"
+ */
+export const formatDeliveryAddress = (snapshot) => {
+  if (!snapshot) return '';
+  const cityLine = [snapshot.city, snapshot.pincode].filter(Boolean).join(' - ');
+  return [
+    snapshot.roomNumber ? `Room ${snapshot.roomNumber}` : null,
+    snapshot.hostelName,
+    snapshot.addressLine,
+    snapshot.landmark ? `Near ${snapshot.landmark}` : null,
+    snapshot.area,
+    cityLine
+  ].filter(Boolean).join(', ');
+};
@@ -0,0 +1,196 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import AuditLog from '../models/auditLogModel.js';
+
+// Admin mutations run inside an audit context (see startAuditTrail). The mongoose plugin below reports every
+// document created, changed or deleted while it is active, and the request's AuditLog entry is written once the
+// response has been sent.
+const auditStorage = new AsyncLocalStorage();
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const SINGLE_QUERY_MUTATIONS = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete'];
+const QUERY_MUTATIONS = [...SINGLE_QUERY_MUTATIONS, 'updateMany', 'deleteMany'];
+const DELETE_QUERIES = new Set(['deleteOne', 'deleteMany', 'findOneAndDelete']);
+// Bulk updates only diff the first documents they match
+const QUERY_SNAPSHOT_LIMIT = 200;
+const MAX_VALUE_LENGTH = 2000;
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+const REDACTED_PATHS = new Set(['deliveryPin.code']);
+const SECRET_FIELD_PATTERN = /(password|otp|token|secret)/i;
+
+const querySnapshots = new WeakMap();
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Nested objects become dotted paths; arrays, ids and dates are compared as whole values
+const flattenSnapshot = (value, prefix = '', fields = {}) => {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, nested] of Object.entries(value)) {
+      if (!prefix && IGNORED_FIELDS.has(key)) continue;
+      flattenSnapshot(nested, prefix ? `${prefix}.${key}` : key, fields);
+    }
+  } else if (prefix) {
+    fields[prefix] = value;
+  }
+  return fields;
+};
+
+const toJson = (value) => JSON.stringify(value === undefined ? null : value);
+
+const sanitizeValue = (path, value) => {
+  if (value === undefined || value === null) return null;
+  if (REDACTED_PATHS.has(path) || SECRET_FIELD_PATTERN.test(path.split('.').pop())) return '[redacted]';
+  const json = toJson(value);
+  return json.length > MAX_VALUE_LENGTH ? `${json.slice(0, MAX_VALUE_LENGTH)}…` : JSON.parse(json);
+};
+
+/**
+ * Fields that differ between two snapshots of a document.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ path: string, before: *, after: * }>}
+ */
+export const diffSnapshots = (before, after) => {
+  const beforeFields = flattenSnapshot(before || {});
+  const afterFields = flattenSnapshot(after || {});
+  const paths = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+  const fields = [];
+  for (const path of paths) {
+    if (toJson(beforeFields[path]) === toJson(afterFields[path])) continue;
+    fields.push({
+      path,
+      before: sanitizeValue(path, beforeFields[path]),
+      after: sanitizeValue(path, afterFields[path])
+    });
+  }
+  return fields;
+};
+
+const snapshotDocument = (doc) => doc.toObject({ depopulate: true, flattenMaps: true, virtuals: false, transform: false });
+
+const trackChange = (model, documentId, operation, before, after) => {
+  const store = auditStorage.getStore();
+  if (!store || model === 'AuditLog') return;
+
+  const fields = diffSnapshots(before, after);
+  if (operation === 'update' && fields.length === 0) return;
+  const change = { model, documentId: documentId || null, operation, fields };
+
+  if (store.entry) {
+    // Fire-and-forget saves can land after the response (and its log entry) went out
+    store.entry
+      .then(entry => entry && AuditLog.updateOne({ _id: entry._id }, { $push: { changes: change } }))
+      .catch(error => console.error('❌ Failed to append audit change:', error?.message || error));
+    return;
+  }
+  store.changes.push(change);
+};
+
+/**
+ * Mongoose plugin that reports document changes to the active audit context. Registered globally in
+ * utils/database.js; outside an admin mutation every hook returns immediately.
+ */
+export const auditPlugin = (schema) => {
+  schema.post('init', function () {
+    if (!auditStorage.getStore() || this.$isSubdocument) return;
+    this.$locals.auditSnapshot = snapshotDocument(this);
+  });
+
+  schema.pre('save', function () {
+    if (!auditStorage.getStore() || this.$isSubdocument) return;
+    this.$locals.auditWasNew = this.isNew;
+  });
+
+  schema.post('save', function (doc) {
+    if (!auditStorage.getStore() || doc.$isSubdocument) return;
+    const after = snapshotDocument(doc);
+    const wasNew = doc.$locals.auditWasNew;
+    trackChange(doc.constructor.modelName, doc._id, wasNew ? 'create' : 'update', wasNew ? null : doc.$locals.auditSnapshot, after);
+    // Later saves in the same request diff against this one
+    doc.$locals.auditSnapshot = after;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function (doc) {
+    if (!auditStorage.getStore() || doc.$isSubdocument) return;
+    trackChange(doc.constructor.modelName, doc._id, 'delete', doc.$locals.auditSnapshot || snapshotDocument(doc), null);
+  });
+
+  schema.post('insertMany', function (docs) {
+    if (!auditStorage.getStore()) return;
+    for (const doc of docs || []) {
+      const after = typeof doc.toObject === 'function' ? snapshotDocument(doc) : doc;
+      trackChange(this.modelName, doc._id, 'create', null, after);
+    }
+  });
+
+  schema.pre(QUERY_MUTATIONS, { document: false, query: true }, async function () {
+    if (!auditStorage.getStore()) return;
+    const limit = SINGLE_QUERY_MUTATIONS.includes(this.op) ? 1 : QUERY_SNAPSHOT_LIMIT;
+    const before = await this.model.find(this.getFilter())
+      .sort(this.getOptions().sort || {})
+      .limit(limit)
+      .lean();
+    querySnapshots.set(this, before);
+  });
+
+  schema.post(QUERY_MUTATIONS, { document: false, query: true }, async function () {
+    const before = querySnapshots.get(this);
+    if (!auditStorage.getStore() || !before) return;
+    querySnapshots.delete(this);
+    const modelName = this.model.modelName;
+
+    if (DELETE_QUERIES.has(this.op)) {
+      before.forEach(doc => trackChange(modelName, doc._id, 'delete', doc, null));
+      return;
+    }
+
+    if (before.length === 0) {
+      if (!this.getOptions().upsert) return;
+      const created = await this.model.findOne(this.getFilter()).lean();
+      if (created) trackChange(modelName, created._id, 'create', null, created);
+      return;
+    }
+
+    const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }).lean();
+    const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+    before.forEach(doc => trackChange(modelName, doc._id, 'update', doc, afterById.get(String(doc._id)) || null));
+  });
+};
+
+/**
+ * Run the rest of an admin request inside an audit context and write its AuditLog entry once the response
+ * is sent. Reads pass straight through.
+ * @param {string|null} [permission] - Permission the route is gated by
+ */
+export const startAuditTrail = (req, res, next, permission = null) => {
+  if (!MUTATING_METHODS.has(req.method)) return next();
+
+  const store = { changes: [], entry: null };
+  const baseUrl = req.baseUrl;
+
+  const writeEntry = () => {
+    if (store.entry) return;
+    store.entry = auditStorage.exit(() => AuditLog.create({
+      actor: req.user?._id || null,
+      actorName: req.user?.name || req.user?.email || null,
+      actorRole: req.user?.role || null,
+      permission,
+      method: req.method,
+      route: `${baseUrl}${req.route?.path || req.path}`,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      changes: store.changes,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    })).catch(error => {
+      console.error('❌ Failed to write audit log:', error?.message || error);
+      return null;
+    });
+  };
+
+  // 'close' covers requests the client abandoned before the response finished
+  res.once('finish', writeEntry);
+  res.once('close', writeEntry);
+  auditStorage.run(store, next);
+};
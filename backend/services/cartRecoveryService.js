@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import CartRecovery from '../models/cartRecoveryModel.js';
+import Coupon from '../models/couponModel.js';
+import NewCart from '../models/newCartModel.js';
+import Order from '../models/orderModel.js';
+import Product from '../models/productModel.js';
+import User from '../models/userModel.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { getCartRecoveryEmailTemplate } from '../utils/cartRecoveryEmailTemplate.js';
+import { formatVariantLabel } from '../utils/variantUtils.js';
+import { enqueueEmail } from './emailOutboxService.js';
+import { buildUnsubscribeLink, getListUnsubscribeHeaders, isEmailAllowed } from './emailPreferenceService.js';
+
+// Abandoned carts: remind customers about carts they stopped touching, optionally with a
+// one-time coupon, and credit the reminder when they come back and order those products.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Orders in these states never went through, so they neither block a reminder nor count as a recovery
+const UNPLACED_ORDER_STATUSES = ['pending', 'cancelled'];
+
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name] ?? '');
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Settings from the environment:
+ * ABANDONED_CART_DELAY_HOURS (4, 0 turns reminders off), ABANDONED_CART_MAX_AGE_DAYS (7),
+ * ABANDONED_CART_COOLDOWN_DAYS (7), ABANDONED_CART_ATTRIBUTION_DAYS (7),
+ * ABANDONED_CART_INCENTIVE_PERCENT (0 = no coupon), ABANDONED_CART_INCENTIVE_MAX_DISCOUNT,
+ * ABANDONED_CART_INCENTIVE_DAYS (3), ABANDONED_CART_NOTIFICATIONS (false)
+ */
+export const getCartRecoveryConfig = () => ({
+  delayHours: readNumber('ABANDONED_CART_DELAY_HOURS', 4),
+  maxAgeDays: readNumber('ABANDONED_CART_MAX_AGE_DAYS', 7),
+  cooldownDays: readNumber('ABANDONED_CART_COOLDOWN_DAYS', 7),
+  attributionDays: readNumber('ABANDONED_CART_ATTRIBUTION_DAYS', 7),
+  incentivePercent: Math.min(Math.max(readNumber('ABANDONED_CART_INCENTIVE_PERCENT', 0), 0), 100),
+  incentiveMaxDiscount: readNumber('ABANDONED_CART_INCENTIVE_MAX_DISCOUNT', null),
+  incentiveDays: readNumber('ABANDONED_CART_INCENTIVE_DAYS', 3),
+  notifications: String(process.env.ABANDONED_CART_NOTIFICATIONS || '').toLowerCase() === 'true'
+});
+
+/**
+ * Cart lines at today's catalogue prices. Free products and lines whose product is gone
+ * or hidden are left out.
+ * @param {Object} cart - NewCart (lean)
+ * @returns {Promise<Array>} Recovery items
+ */
+const priceCartItems = async (cart) => {
+  const lines = (cart.items || []).filter(item => !item.isFreeProduct);
+  const products = await Product.find({ _id: { $in: lines.map(item => item.productId) }, isActive: true })
+    .select('name images variants cancelOffer')
+    .exec();
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  const items = [];
+  for (const line of lines) {
+    const product = byId.get(String(line.productId));
+    const variantIndex = line.productDetails?.variantIndex || 0;
+    const variant = product?.variants?.[variantIndex];
+    if (!variant) continue;
+
+    const addOnTotal = (line.addOns || []).reduce((sum, addOn) => sum + (Number(addOn.price) || 0), 0);
+    items.push({
+      productId: product._id,
+      name: product.name,
+      variantIndex,
+      variantLabel: formatVariantLabel(variant),
+      image: product.images?.[0] || line.productDetails?.image || null,
+      quantity: line.quantity,
+      price: Math.round(product.getVariantPrice(variantIndex)) + addOnTotal,
+      inStock: !variant.isStockActive || (variant.stock || 0) >= line.quantity
+    });
+  }
+  return items;
+};
+
+const generateCouponCode = () => `COMEBACK${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+const createIncentiveCoupon = async (user, config) => {
+  const validUntil = new Date(Date.now() + config.incentiveDays * DAY_MS);
+  // Random codes can collide; try a couple before giving up on the incentive
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      return await Coupon.create({
+        code: generateCouponCode(),
+        description: 'Abandoned cart reminder',
+        type: 'percentage',
+        value: config.incentivePercent,
+        maxDiscount: config.incentiveMaxDiscount,
+        usageLimit: 1,
+        perUserLimit: 1,
+        validUntil,
+        assignedUser: user._id
+      });
+    } catch (error) {
+      if (error?.code !== 11000) throw error;
+    }
+  }
+  return null;
+};
+
+const remindCart = async (cart, user, config) => {
+  // Anything ordered since the cart last changed means the customer already checked out
+  const ordered = await Order.exists({
+    userId: user._id,
+    createdAt: { $gte: cart.lastUpdated },
+    orderStatus: { $nin: UNPLACED_ORDER_STATUSES }
+  });
+  if (ordered) return false;
+
+  const items = await priceCartItems(cart);
+  if (!items.some(item => item.inStock)) return false;
+
+  const emailAllowed = Boolean(user.email) && await isEmailAllowed(user.email, 'cartReminders');
+  if (!emailAllowed && !config.notifications) return false;
+
+  let recovery;
+  try {
+    recovery = await CartRecovery.create({
+      userId: cart.userId,
+      user: user._id,
+      email: user.email || null,
+      cartUpdatedAt: cart.lastUpdated,
+      items,
+      cartValue: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+      attributionEndsAt: new Date(Date.now() + config.attributionDays * DAY_MS)
+    });
+  } catch (error) {
+    // Another run already reminded this customer about this version of the cart
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+
+  const coupon = config.incentivePercent > 0 ? await createIncentiveCoupon(user, config) : null;
+  if (coupon) {
+    recovery.coupon = coupon._id;
+    recovery.couponCode = coupon.code;
+  }
+
+  if (emailAllowed) {
+    const { subject, html } = getCartRecoveryEmailTemplate({
+      name: user.name,
+      items: recovery.items,
+      cartValue: recovery.cartValue,
+      coupon,
+      cartUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/cart`,
+      unsubscribeUrl: buildUnsubscribeLink(user.email, 'cartReminders')
+    });
+    const result = await enqueueEmail({
+      kind: 'cart-recovery',
+      category: 'cartReminders',
+      idempotencyKey: `cart-recovery:${recovery._id}`,
+      recipient: user.email,
+      expiresAt: coupon?.validUntil || recovery.attributionEndsAt,
+      message: {
+        from: {
+          name: 'La Pâtisserie',
+          address: process.env.EMAIL_USER || 'lapatisserielapatisserie@gmail.com'
+        },
+        to: user.email,
+        subject,
+        html,
+        headers: getListUnsubscribeHeaders(user.email, 'cartReminders')
+      }
+    });
+    recovery.emailOutboxId = result.outboxId || null;
+    recovery.emailStatus = result.skipped
+      ? 'skipped'
+      : result.outboxStatus === 'sent' ? 'sent' : result.outboxStatus === 'failed' ? 'failed' : 'queued';
+  } else {
+    recovery.emailStatus = 'skipped';
+  }
+
+  if (config.notifications) {
+    try {
+      await createNotification(
+        user._id,
+        null,
+        'cart_reminder',
+        'Your cart is waiting',
+        coupon
+          ? `Complete your order with ${config.incentivePercent}% off using code ${coupon.code}.`
+          : 'The desserts in your cart are still available.',
+        { recoveryId: recovery._id, couponCode: coupon?.code || null }
+      );
+      recovery.notified = true;
+    } catch (notificationError) {
+      console.error('⚠️ Failed to create cart reminder notification (non-critical):', notificationError?.message || notificationError);
+    }
+  }
+
+  await recovery.save();
+  return true;
+};
+
+/**
+ * Send reminders for carts that have sat untouched for the configured delay.
+ * Each version of a cart (NewCart.lastUpdated) is reminded about at most once,
+ * and a customer gets at most one reminder per cooldown period.
+ * @returns {Promise<number>} Reminders sent
+ */
+export const processAbandonedCarts = async () => {
+  const config = getCartRecoveryConfig();
+  if (config.delayHours <= 0) return 0;
+
+  const now = Date.now();
+  const carts = await NewCart.find({
+    'items.0': { $exists: true },
+    lastUpdated: {
+      $lte: new Date(now - config.delayHours * HOUR_MS),
+      $gte: new Date(now - config.maxAgeDays * DAY_MS)
+    }
+  }).lean();
+  if (carts.length === 0) return 0;
+
+  const recentlyReminded = new Set(await CartRecovery.distinct('userId', {
+    userId: { $in: carts.map(cart => cart.userId) },
+    createdAt: { $gte: new Date(now - config.cooldownDays * DAY_MS) }
+  }));
+
+  let sent = 0;
+  for (const cart of carts) {
+    if (recentlyReminded.has(cart.userId)) continue;
+
+    try {
+      const user = await User.findOne({ uid: cart.userId }).select('_id email name').lean();
+      if (!user) continue;
+      if (await remindCart(cart, user, config)) sent += 1;
+    } catch (error) {
+      console.error(`❌ Cart reminder for ${cart.userId} failed:`, error?.message || error);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Credit reminders whose customer has since placed an order containing any of the reminded products.
+ * Orders are checked until a day after the attribution window closes, so late payment confirmations still count.
+ * @returns {Promise<number>} Recoveries attributed
+ */
+export const attributeRecoveries = async () => {
+  const open = await CartRecovery.find({
+    recoveredAt: null,
+    attributionEndsAt: { $gte: new Date(Date.now() - DAY_MS) }
+  }).select('user items coupon createdAt attributionEndsAt').lean();
+
+  let attributed = 0;
+  for (const recovery of open) {
+    const order = await Order.findOne({
+      userId: recovery.user,
+      createdAt: { $gte: recovery.createdAt, $lte: recovery.attributionEndsAt },
+      orderStatus: { $nin: UNPLACED_ORDER_STATUSES },
+      'cartItems.productId': { $in: recovery.items.map(item => item.productId) }
+    })
+      .sort({ createdAt: 1 })
+      .select('orderNumber amount couponRedemption createdAt')
+      .lean();
+    if (!order) continue;
+
+    const result = await CartRecovery.updateOne(
+      { _id: recovery._id, recoveredAt: null },
+      {
+        $set: {
+          recoveredAt: order.createdAt,
+          order: order._id,
+          orderNumber: order.orderNumber,
+          recoveredValue: order.amount || 0,
+          couponUsed: Boolean(recovery.coupon) && String(order.couponRedemption?.couponId) === String(recovery.coupon)
+        }
+      }
+    );
+    attributed += result.modifiedCount;
+  }
+  return attributed;
+};
+
+/**
+ * Conversion figures for reminders sent in the last `days` days
+ * @param {Object} [options]
+ * @param {number} [options.days=30]
+ * @returns {Promise<Object>} { days, reminded, emailed, notified, recovered, conversionRate, cartValue, recoveredValue, couponsIssued, couponsUsed, recent }
+ */
+export const getCartRecoveryStats = async ({ days = 30 } = {}) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [totals] = await CartRecovery.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: null,
+        reminded: { $sum: 1 },
+        emailed: { $sum: { $cond: [{ $in: ['$emailStatus', ['queued', 'sent']] }, 1, 0] } },
+        notified: { $sum: { $cond: ['$notified', 1, 0] } },
+        recovered: { $sum: { $cond: [{ $ne: ['$recoveredAt', null] }, 1, 0] } },
+        cartValue: { $sum: '$cartValue' },
+        recoveredValue: { $sum: '$recoveredValue' },
+        couponsIssued: { $sum: { $cond: [{ $ne: ['$coupon', null] }, 1, 0] } },
+        couponsUsed: { $sum: { $cond: ['$couponUsed', 1, 0] } }
+      }
+    }
+  ]);
+
+  const recent = await CartRecovery.find({ createdAt: { $gte: since }, recoveredAt: { $ne: null } })
+    .sort({ recoveredAt: -1 })
+    .limit(5)
+    .select('email orderNumber recoveredValue recoveredAt couponUsed')
+    .lean();
+
+  const stats = {
+    reminded: totals?.reminded || 0,
+    emailed: totals?.emailed || 0,
+    notified: totals?.notified || 0,
+    recovered: totals?.recovered || 0,
+    cartValue: Math.round(totals?.cartValue || 0),
+    recoveredValue: Math.round(totals?.recoveredValue || 0),
+    couponsIssued: totals?.couponsIssued || 0,
+    couponsUsed: totals?.couponsUsed || 0
+  };
+
+  return {
+    days,
+    ...stats,
+    conversionRate: stats.reminded ? Math.round((stats.recovered / stats.reminded) * 1000) / 10 : 0,
+    recent
+  };
+};
@@ -0,0 +1,272 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/couponModel.js';
+import Order from '../models/orderModel.js';
+import CouponHold from '../models/couponHoldModel.js';
+import { getHoldDurationMinutes } from './stockReservationService.js';
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const normalizeCouponCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const reject = (code, message) => ({ valid: false, code, message });
+
+// Orders that still count against a coupon (cancelled orders have their redemption reversed),
+// plus checkouts still waiting on payment
+const countActiveRedemptions = async (couponId, userId) => {
+  const [orders, pending] = await Promise.all([
+    Order.countDocuments({
+      userId,
+      'couponRedemption.couponId': couponId,
+      'couponRedemption.reversedAt': null
+    }),
+    CouponHold.countDocuments({ couponId, userId, status: 'active' })
+  ]);
+  return orders + pending;
+};
+
+// usedCount and the user's entry in userUsage move together on every reserve, release and reversal
+const usageChange = (userId, delta) => ({
+  usedCount: delta,
+  ...(userId ? { [`userUsage.${userId}`]: delta } : {})
+});
+
+const giveBackUse = async (couponId, userId) => {
+  if (userId) {
+    const result = await Coupon.updateOne(
+      { _id: couponId, usedCount: { $gt: 0 }, [`userUsage.${userId}`]: { $gt: 0 } },
+      { $inc: usageChange(userId, -1) }
+    );
+    if (result.modifiedCount) return;
+  }
+  // Uses taken before per-user tallies were kept only count towards usedCount
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+const isFirstOrder = async (userId) => {
+  const previous = await Order.countDocuments({ userId, orderStatus: { $ne: 'cancelled' } });
+  return previous === 0;
+};
+
+const isLineInScope = (coupon, line) => {
+  const products = (coupon.applicableProducts || []).map(String);
+  const categories = (coupon.applicableCategories || []).map(String);
+  if (products.length === 0 && categories.length === 0) return true;
+  if (products.includes(String(line.productId))) return true;
+  return Boolean(line.categoryId) && categories.includes(String(line.categoryId));
+};
+
+/**
+ * Validate a coupon code against a priced cart.
+ * @param {Object} params
+ * @param {string} params.code - Code entered by the customer
+ * @param {Object} params.user - Authenticated user document
+ * @param {Array} params.items - Server-priced lines (price, quantity, productId, categoryId, isFreeProduct)
+ * @param {number} params.discountedTotal - Cart subtotal after product discounts
+ * @param {number} params.deliveryCharge - Delivery charge for the order
+ * @param {number} [params.freeCashDiscount] - Free cash already applied to the order
+ * @returns {Promise<Object>} { valid, coupon, discount } or { valid: false, code, message }
+ */
+export const evaluateCoupon = async ({ code, user, items = [], discountedTotal = 0, deliveryCharge = 0, freeCashDiscount = 0 }) => {
+  const normalizedCode = normalizeCouponCode(code);
+  if (!normalizedCode) {
+    return reject('COUPON_REQUIRED', 'Please enter a coupon code');
+  }
+
+  const coupon = await Coupon.findOne({ code: normalizedCode });
+  if (!coupon || !coupon.isActive) {
+    return reject('COUPON_NOT_FOUND', 'This coupon code is not valid');
+  }
+
+  const now = new Date();
+  if (!coupon.isRedeemableAt(now)) {
+    if (coupon.validFrom && now < coupon.validFrom) {
+      return reject('COUPON_NOT_STARTED', 'This coupon is not active yet');
+    }
+    if (coupon.validUntil && now > coupon.validUntil) {
+      return reject('COUPON_EXPIRED', 'This coupon has expired');
+    }
+    return reject('COUPON_EXHAUSTED', 'This coupon has reached its usage limit');
+  }
+  if (discountedTotal < (coupon.minCartValue || 0)) {
+    return reject('COUPON_MIN_CART', `Add items worth ₹${roundCurrency(coupon.minCartValue - discountedTotal)} more to use this coupon`);
+  }
+
+  const userId = user?._id;
+  if (!userId) {
+    return reject('COUPON_LOGIN_REQUIRED', 'Please login to use coupons');
+  }
+  if (coupon.assignedUser && String(coupon.assignedUser) !== String(userId)) {
+    return reject('COUPON_NOT_FOUND', 'This coupon code is not valid');
+  }
+  if (coupon.firstOrderOnly && !(await isFirstOrder(userId))) {
+    return reject('COUPON_FIRST_ORDER_ONLY', 'This coupon is only valid on your first order');
+  }
+  const usedByUser = await countActiveRedemptions(coupon._id, userId);
+  if (usedByUser >= (coupon.perUserLimit || 1)) {
+    return reject('COUPON_USER_LIMIT', 'You have already used this coupon');
+  }
+
+  const eligibleSubtotal = items
+    .filter(line => !line.isFreeProduct && isLineInScope(coupon, line))
+    .reduce((sum, line) => sum + (Number(line.price) || 0) * (Number(line.quantity) || 0), 0);
+
+  let discount = 0;
+  if (coupon.type === 'free_delivery') {
+    discount = deliveryCharge;
+  } else {
+    if (eligibleSubtotal <= 0) {
+      return reject('COUPON_NOT_APPLICABLE', 'This coupon does not apply to the items in your cart');
+    }
+    if (coupon.type === 'percentage') {
+      discount = eligibleSubtotal * (coupon.value / 100);
+      if (coupon.maxDiscount != null) discount = Math.min(discount, coupon.maxDiscount);
+    } else {
+      discount = Math.min(coupon.value, eligibleSubtotal);
+    }
+  }
+
+  // Never discount more than the customer would otherwise pay
+  const payable = Math.max(0, discountedTotal - freeCashDiscount + deliveryCharge);
+  discount = Math.min(Math.round(discount), payable);
+
+  if (discount <= 0) {
+    return reject('COUPON_NOT_APPLICABLE', 'This coupon does not reduce your order total');
+  }
+
+  return { valid: true, coupon, discount };
+};
+
+// Shape stored on the order (and in the online payment snapshot)
+export const buildCouponRedemption = (coupon, discount) => ({
+  couponId: coupon._id,
+  code: coupon.code,
+  type: coupon.type,
+  discount,
+  redeemedAt: new Date(),
+  reversedAt: null
+});
+
+/**
+ * Take one use of the coupon for a checkout. The $inc only matches while uses are left overall and
+ * for this user, so concurrent checkouts can never push past usageLimit or perUserLimit.
+ * @param {Object} params
+ * @param {Object} params.couponRedemption - From the order quote (buildCouponRedemption)
+ * @param {string} params.orderNumber
+ * @param {string} [params.gatewayOrderId]
+ * @param {string} [params.userId]
+ * @returns {Promise<Object>} { ok, hold } or { ok: false, code, message }
+ */
+export const reserveCouponUse = async ({ couponRedemption, orderNumber, gatewayOrderId = null, userId = null }) => {
+  const couponId = couponRedemption?.couponId;
+  if (!couponId) return { ok: true, hold: null };
+
+  const withinLimits = [{ $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] }];
+  if (userId) {
+    withinLimits.push({
+      $expr: { $lt: [{ $ifNull: [`$userUsage.${userId}`, 0] }, { $ifNull: ['$perUserLimit', 1] }] }
+    });
+  }
+
+  const coupon = await Coupon.findOneAndUpdate(
+    { _id: couponId, $and: withinLimits },
+    { $inc: usageChange(userId, 1) },
+    { new: true }
+  );
+  if (!coupon) {
+    const exists = await Coupon.findOne({ _id: couponId, $and: withinLimits.slice(0, 1) }).select('_id').lean();
+    return exists
+      ? { ok: false, code: 'COUPON_USER_LIMIT', message: 'You have already used this coupon' }
+      : { ok: false, code: 'COUPON_EXHAUSTED', message: 'This coupon has reached its usage limit' };
+  }
+
+  const hold = await CouponHold.create({
+    couponId,
+    code: couponRedemption.code,
+    userId,
+    orderNumber,
+    gatewayOrderId,
+    expiresAt: new Date(Date.now() + getHoldDurationMinutes() * 60 * 1000)
+  });
+  console.log(`🎟️ Coupon ${coupon.code} reserved for ${orderNumber} (${coupon.usedCount}/${coupon.usageLimit ?? '∞'})`);
+  return { ok: true, hold };
+};
+
+// Flip a hold out of "active" exactly once; concurrent callers get null
+const claimActiveHold = (filter, update) => CouponHold.findOneAndUpdate(
+  { ...filter, status: 'active' },
+  { $set: update },
+  { new: true }
+);
+
+/**
+ * Give back coupon uses held by checkouts that will not complete (payment cancelled, failed or timed out).
+ * @param {Object} filter - { orderNumber } or { gatewayOrderId }, or any CouponHold filter
+ * @param {Object} [options]
+ * @param {string} [options.status] - released | expired
+ * @param {string} [options.reason]
+ * @returns {Promise<number>} Number of holds released
+ */
+export const releaseCouponHolds = async (filter, { status = 'released', reason = null } = {}) => {
+  const holds = await CouponHold.find({ ...filter, status: 'active' }).select('_id couponId userId').lean();
+  let released = 0;
+
+  for (const hold of holds) {
+    const claimed = await claimActiveHold({ _id: hold._id }, {
+      status,
+      releasedAt: new Date(),
+      releaseReason: reason
+    });
+    if (!claimed) continue;
+
+    await giveBackUse(hold.couponId, hold.userId);
+    released++;
+  }
+
+  if (released > 0) {
+    console.log(`🔓 Released ${released} coupon hold(s) (${status}${reason ? `: ${reason}` : ''})`);
+  }
+  return released;
+};
+
+/**
+ * Turn the checkout's coupon hold into a redemption once its order has been persisted.
+ * If the hold already lapsed the payment is captured regardless, so the use is counted now.
+ */
+export const commitCouponRedemption = async (order) => {
+  const couponId = order?.couponRedemption?.couponId;
+  if (!couponId || !mongoose.Types.ObjectId.isValid(String(couponId))) return;
+
+  try {
+    const converted = await claimActiveHold(
+      { orderNumber: order.orderNumber, couponId },
+      { status: 'converted', convertedAt: new Date() }
+    );
+    if (!converted) {
+      await Coupon.updateOne({ _id: couponId }, { $inc: usageChange(order.userId?._id || order.userId, 1) });
+      console.warn(`⚠️ Coupon ${order.couponRedemption.code} hold had lapsed for ${order.orderNumber}; counted at payment`);
+    }
+    console.log(`🎟️ Coupon ${order.couponRedemption.code} redeemed on order ${order.orderNumber}`);
+  } catch (error) {
+    console.error('❌ Failed to record coupon redemption:', error?.message || error);
+  }
+};
+
+/**
+ * Give a coupon use back when its order is cancelled. Safe to call more than once.
+ * @returns {Promise<boolean>} true when a redemption was reversed
+ */
+export const reverseCouponRedemption = async (order) => {
+  const redemption = order?.couponRedemption;
+  if (!redemption?.couponId || redemption.reversedAt) return false;
+
+  // Flip reversedAt atomically so concurrent cancellations only decrement once
+  const marked = await Order.updateOne(
+    { _id: order._id, 'couponRedemption.reversedAt': null },
+    { $set: { 'couponRedemption.reversedAt': new Date() } }
+  );
+  if (!marked.modifiedCount) return false;
+
+  await giveBackUse(redemption.couponId, order.userId?._id || order.userId);
+  console.log(`↩️ Coupon ${redemption.code} redemption reversed for order ${order.orderNumber}`);
+  return true;
+};
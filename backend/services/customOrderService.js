@@ -0,0 +1,116 @@
+import CustomOrder from '../models/customOrderModel.js';
+import { buildTzDate } from '../utils/shopStatus.js';
+
+const DEFAULT_LEAD_DAYS = 2;
+const DEFAULT_QUOTE_VALID_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OCCASION_LABELS = {
+  birthday: 'Birthday',
+  anniversary: 'Anniversary',
+  wedding: 'Wedding',
+  other: 'Celebration'
+};
+
+// Days the kitchen needs between the request and the cake date
+export const getCustomOrderLeadDays = () => {
+  const days = parseInt(process.env.CUSTOM_ORDER_LEAD_DAYS || String(DEFAULT_LEAD_DAYS), 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_LEAD_DAYS;
+};
+
+export const getDefaultQuoteValidDays = () => DEFAULT_QUOTE_VALID_DAYS;
+
+/**
+ * Turn the YYYY-MM-DD picked by the customer into the start of that day in the shop timezone.
+ * @returns {Date|null} null when the value is not a calendar date
+ */
+export const parseRequiredDate = (value, tz) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return null;
+  const noonUtc = new Date(`${value}T12:00:00Z`);
+  if (Number.isNaN(noonUtc.getTime()) || noonUtc.toISOString().slice(0, 10) !== value) return null;
+  return buildTzDate(noonUtc, tz, '00:00');
+};
+
+// Earliest cake date a new request may ask for, as YYYY-MM-DD in the shop timezone
+export const getEarliestRequiredDate = (tz, now = new Date()) => {
+  const date = new Date(now.getTime() + getCustomOrderLeadDays() * DAY_MS);
+  return date.toLocaleDateString('en-CA', { timeZone: tz });
+};
+
+export const describeCustomCake = (customOrder) => {
+  const parts = [`${customOrder.weightKg} kg`, customOrder.flavour];
+  if (customOrder.isEggless) parts.push('Eggless');
+  return parts.join(' · ');
+};
+
+/**
+ * The single order line a paid quote becomes. It carries customOrderId instead of a catalogue product.
+ */
+export const toCustomOrderLine = (customOrder) => ({
+  customOrderId: customOrder._id,
+  productName: `Custom ${OCCASION_LABELS[customOrder.occasion] || OCCASION_LABELS.other} Cake`,
+  quantity: 1,
+  price: customOrder.quote.amount,
+  originalPrice: customOrder.quote.amount,
+  variantIndex: 0,
+  variantLabel: describeCustomCake(customOrder),
+  variant: null
+});
+
+/**
+ * Checkout snapshot stored on the Razorpay payment intent; verifyPayment and the webhook
+ * build the regular Order from it exactly as they do for cart checkouts.
+ */
+export const buildCustomOrderSnapshot = (customOrder, { orderNumber, currency = 'INR', timezone = 'Asia/Kolkata' }) => {
+  const amount = customOrder.quote.amount;
+  const dayStart = new Date(customOrder.requiredDate);
+
+  return {
+    orderNumber,
+    userId: customOrder.userId,
+    currency,
+    cartItems: [toCustomOrderLine(customOrder)],
+    userDetails: customOrder.userDetails,
+    deliveryLocation: customOrder.deliveryLocation,
+    hostelName: customOrder.hostelName,
+    hostelId: null,
+    orderSummary: {
+      cartTotal: amount,
+      discountedTotal: amount,
+      deliveryCharge: 0,
+      freeCashDiscount: 0,
+      couponDiscount: 0,
+      grandTotal: amount
+    },
+    couponRedemption: null,
+    // Cakes go out with the day's pre-orders, so the whole required day is the delivery window
+    deliverySlot: {
+      startsAt: dayStart,
+      endsAt: new Date(dayStart.getTime() + DAY_MS),
+      label: `Custom cake · ${dayStart.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: timezone })}`,
+      isPreOrder: true
+    },
+    customOrderId: customOrder._id
+  };
+};
+
+export const isCustomOrder = (order) => (order?.cartItems || []).some(item => item.customOrderId);
+
+/**
+ * Mark the custom requests behind a paid order as paid. Safe to call from both verifyPayment and the webhook.
+ * @param {Object} order - Order document
+ * @returns {Promise<number>} Number of requests updated
+ */
+export const markCustomOrderPaid = async (order) => {
+  const ids = (order?.cartItems || []).map(item => item.customOrderId).filter(Boolean);
+  if (ids.length === 0) return 0;
+
+  const result = await CustomOrder.updateMany(
+    { _id: { $in: ids }, status: { $in: ['quoted', 'accepted'] } },
+    { $set: { status: 'paid', orderId: order._id, orderNumber: order.orderNumber, paidAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🎂 Custom cake request paid with order ${order.orderNumber}`);
+  }
+  return result.modifiedCount;
+};
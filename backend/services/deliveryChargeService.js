@@ -0,0 +1,220 @@
+import mongoose from 'mongoose';
+import Location from '../models/locationModel.js';
+import DeliveryRule from '../models/deliveryRuleModel.js';
+import TimeSettings from '../models/timeSettingsModel.js';
+
+// Default delivery charge used by the storefront when the user's location has none
+export const DEFAULT_DELIVERY_CHARGE = 49;
+
+const DAY_MINUTES = 24 * 60;
+const KG_PER_UNIT = { g: 0.001, kg: 1, lb: 0.453592, oz: 0.0283495 };
+
+const toMinutes = (hhmm) => {
+  const [hh, mm] = String(hhmm || '00:00').split(':').map(v => parseInt(v, 10) || 0);
+  return hh * 60 + mm;
+};
+
+// Wall-clock minutes after midnight in the shop timezone
+const localMinutes = (date, tz) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' }).formatToParts(date);
+  const hour = parseInt(parts.find(p => p.type === 'hour')?.value, 10) || 0;
+  const minute = parseInt(parts.find(p => p.type === 'minute')?.value, 10) || 0;
+  return hour * 60 + minute;
+};
+
+// Same semantics as the shop hours: identical start/end is all day, start > end wraps past midnight
+const isInWindow = (minutes, startTime, endTime) => {
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  if (start === end) return true;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+const isNearPauseEdge = (minutes, pauses, edgeMinutes) => pauses.some(pause => {
+  if (!pause?.startTime || !pause?.endTime) return false;
+  return [toMinutes(pause.startTime), toMinutes(pause.endTime)].some(edge => {
+    const distance = Math.abs(minutes - edge);
+    return Math.min(distance, DAY_MINUTES - distance) <= edgeMinutes;
+  });
+});
+
+const formatWeight = (kg) => `${Math.round(kg * 100) / 100} kg`;
+
+/**
+ * Weight of one unit of a product variant in kilograms (variant quantity is in its measuringUnit).
+ * @param {Object} variant - Product variant with quantity and measuringUnit
+ * @returns {number}
+ */
+export const variantWeightKg = (variant) => {
+  const quantity = Number(variant?.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) return 0;
+  return quantity * (KG_PER_UNIT[variant?.measuringUnit] ?? KG_PER_UNIT.g);
+};
+
+const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'hostel_override':
+      return `₹${rule.amount} delivery for this hostel`;
+    case 'weight_tier':
+      return `+₹${rule.amount} for carts of ${formatWeight(rule.minWeightKg)} or more`;
+    case 'time_surcharge':
+      return rule.startTime && rule.endTime
+        ? `+₹${rule.amount} for deliveries between ${rule.startTime} and ${rule.endTime}`
+        : `+₹${rule.amount} for deliveries around the kitchen break`;
+    case 'promo':
+      return `₹${rule.amount} delivery offer`;
+    case 'free_above':
+      return `Free delivery on orders of ₹${rule.minSubtotal} or more`;
+    default:
+      return rule.name;
+  }
+};
+
+/**
+ * Apply delivery rules to a base charge. Pure: callers load the rules and shop settings.
+ *
+ * Order: a hostel override replaces the location charge, then the heaviest matching weight tier and the
+ * largest matching time surcharge are added, the cheapest live promo caps the result and a free delivery
+ * threshold waives it. Inactive, expired or out-of-scope rules are ignored.
+ * @param {Object} params
+ * @param {Array} params.rules - DeliveryRule documents
+ * @param {number} params.baseCharge - Location charge
+ * @param {string} params.baseSource - 'location' or 'default'
+ * @param {string|null} [params.locationId]
+ * @param {string|null} [params.hostelId]
+ * @param {number} [params.subtotal] - Cart total after product discounts, before coupons
+ * @param {number} [params.weightKg]
+ * @param {Date} [params.at] - When the order will be delivered
+ * @param {string} [params.timezone]
+ * @param {Array} [params.pauseWindows] - TimeSettings.dailyPauseWindows
+ * @returns {{ deliveryCharge: number, breakdown: Object }}
+ */
+export const evaluateDeliveryRules = ({
+  rules = [],
+  baseCharge,
+  baseSource,
+  locationId = null,
+  hostelId = null,
+  subtotal = 0,
+  weightKg = 0,
+  at = new Date(),
+  timezone = 'Asia/Kolkata',
+  pauseWindows = []
+}) => {
+  const minutes = localMinutes(at, timezone);
+  const live = rules.filter(rule =>
+    rule.isLiveAt(at) && (!rule.locationId || String(rule.locationId) === String(locationId))
+  );
+  const ofType = (type) => live.filter(rule => rule.type === type);
+
+  let charge = Math.max(0, Number(baseCharge) || 0);
+  let source = baseSource;
+  const applied = [];
+  const apply = (rule, nextCharge) => {
+    charge = Math.max(0, nextCharge);
+    applied.push({
+      ruleId: rule._id,
+      name: rule.name,
+      type: rule.type,
+      amount: rule.amount,
+      description: describeRule(rule),
+      chargeAfter: charge
+    });
+  };
+
+  const hostelOverride = hostelId
+    ? ofType('hostel_override')
+      .filter(rule => String(rule.hostelId) === String(hostelId))
+      .sort((a, b) => a.amount - b.amount)[0]
+    : null;
+  if (hostelOverride) {
+    source = 'hostel';
+    apply(hostelOverride, hostelOverride.amount);
+  }
+  const base = charge;
+
+  const weightTier = ofType('weight_tier')
+    .filter(rule => weightKg >= rule.minWeightKg)
+    .sort((a, b) => b.minWeightKg - a.minWeightKg)[0];
+  if (weightTier) apply(weightTier, charge + weightTier.amount);
+
+  const surcharge = ofType('time_surcharge')
+    .filter(rule =>
+      (rule.startTime && rule.endTime && isInWindow(minutes, rule.startTime, rule.endTime)) ||
+      (rule.pauseEdgeMinutes > 0 && isNearPauseEdge(minutes, pauseWindows, rule.pauseEdgeMinutes))
+    )
+    .sort((a, b) => b.amount - a.amount)[0];
+  if (surcharge) apply(surcharge, charge + surcharge.amount);
+
+  const promo = ofType('promo')
+    .filter(rule => subtotal >= rule.minSubtotal && rule.amount < charge)
+    .sort((a, b) => a.amount - b.amount)[0];
+  if (promo) apply(promo, promo.amount);
+
+  const freeAbove = ofType('free_above')
+    .filter(rule => subtotal >= rule.minSubtotal)
+    .sort((a, b) => a.minSubtotal - b.minSubtotal)[0];
+  if (freeAbove && charge > 0) apply(freeAbove, 0);
+
+  // Closest threshold the customer has not reached yet, so the cart can nudge towards it
+  const nextFreeAbove = charge > 0
+    ? ofType('free_above')
+      .filter(rule => subtotal < rule.minSubtotal)
+      .sort((a, b) => a.minSubtotal - b.minSubtotal)[0]
+    : null;
+
+  return {
+    deliveryCharge: charge,
+    breakdown: {
+      baseCharge: base,
+      baseSource: source,
+      subtotal,
+      weightKg: Math.round(weightKg * 1000) / 1000,
+      rules: applied,
+      appliedRule: applied.length > 0 ? applied[applied.length - 1].name : null,
+      summary: applied.length > 0 ? applied.map(rule => rule.description).join('; ') : 'Standard delivery charge',
+      freeDeliveryThreshold: nextFreeAbove ? nextFreeAbove.minSubtotal : null
+    }
+  };
+};
+
+/**
+ * Delivery charge for a user's saved Location and hostel with the delivery rules applied.
+ * @param {Object} userLike - User (or plain object) with location and hostel
+ * @param {Object} [cart]
+ * @param {number} [cart.subtotal]
+ * @param {number} [cart.weightKg]
+ * @param {Date} [cart.at] - Delivery time; defaults to now
+ * @param {Object} [cart.settings] - TimeSettings document, when the caller already has it
+ * @returns {Promise<{ deliveryCharge: number, breakdown: Object, location: Object|null }>}
+ */
+export const resolveDeliveryCharge = async (userLike, { subtotal = 0, weightKg = 0, at = new Date(), settings = null } = {}) => {
+  const locationRef = userLike?.location?._id || userLike?.location;
+  let location = null;
+  if (locationRef && mongoose.Types.ObjectId.isValid(String(locationRef))) {
+    location = await Location.findById(locationRef).select('city area pincode deliveryCharge isActive').lean();
+  }
+
+  const hasCharge = Number.isFinite(location?.deliveryCharge);
+  const hostelRef = userLike?.hostel?._id || userLike?.hostel || null;
+
+  const [rules, timeSettings] = await Promise.all([
+    DeliveryRule.find({ isActive: true, locationId: { $in: location ? [null, location._id] : [null] } }),
+    settings || TimeSettings.getCurrentSettings()
+  ]);
+
+  const { deliveryCharge, breakdown } = evaluateDeliveryRules({
+    rules,
+    baseCharge: hasCharge ? location.deliveryCharge : DEFAULT_DELIVERY_CHARGE,
+    baseSource: hasCharge ? 'location' : 'default',
+    locationId: location?._id || null,
+    hostelId: hostelRef,
+    subtotal,
+    weightKg,
+    at,
+    timezone: timeSettings?.timezone || 'Asia/Kolkata',
+    pauseWindows: timeSettings?.dailyPauseWindows || []
+  });
+
+  return { deliveryCharge, breakdown, location };
+};
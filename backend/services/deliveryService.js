@@ -0,0 +1,318 @@
+import crypto from 'crypto';
+import { uploadToCloudinary } from '../utils/cloudinary.js';
+
+// Rider workflow: admin assigns → rider picks up (items go out for delivery) → rider delivers with the
+// customer's delivery PIN, collecting cash on COD orders → admin settles the cash the rider hands in.
+
+export const DELIVERY_PIN_MAX_ATTEMPTS = 5;
+export const DELIVERY_PIN_LOCK_MINUTES = 15;
+// Wrong PINs across every lock; past this only an admin override completes the delivery
+export const DELIVERY_PIN_MAX_TOTAL_ATTEMPTS = 10;
+
+const deliveryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const getAssignedAgentId = (order) => {
+  const agent = order.deliveryAssignment?.agent;
+  if (!agent) return null;
+  return String(agent._id || agent);
+};
+
+/**
+ * Riders may only act on orders assigned to them; admins and order staff can act on any order.
+ * @throws {Error} statusCode 403
+ */
+export const assertCanHandleOrder = (order, user) => {
+  if (user?.hasPermission?.('orders')) return;
+  if (getAssignedAgentId(order) !== String(user?._id)) {
+    throw deliveryError(`Order #${order.orderNumber} is not assigned to you`, 403);
+  }
+};
+
+/**
+ * Hand an order to a rider, or clear the assignment when agent is null. The caller saves the order.
+ * @param {Object} order - Order document
+ * @param {Object|null} agent - User document with role 'delivery'
+ * @param {Object} assignedBy - Admin user making the assignment
+ * @throws {Error} statusCode 409 once the current rider has picked the order up
+ */
+export const assignDeliveryAgent = (order, agent, assignedBy) => {
+  const currentAgentId = getAssignedAgentId(order);
+  if (currentAgentId && order.deliveryAssignment.pickedUpAt && currentAgentId !== String(agent?._id)) {
+    throw deliveryError(`Order #${order.orderNumber} was already picked up by ${order.deliveryAssignment.agentName || 'another rider'}`, 409);
+  }
+
+  if (!agent) {
+    order.deliveryAssignment = null;
+    return;
+  }
+
+  if (currentAgentId === String(agent._id)) return;
+
+  order.deliveryAssignment = {
+    agent: agent._id,
+    agentName: agent.name || agent.email || agent.phone || null,
+    assignedBy: assignedBy?._id || null,
+    assignedAt: new Date(),
+    pickedUpAt: null
+  };
+};
+
+/**
+ * Give the order a delivery PIN the first time it is dispatched or its packing slip is printed.
+ * The caller saves the order.
+ * Load the order with `+deliveryPin.code` so the PIN is available for the dispatch email.
+ * @param {Object} order - Order document
+ * @returns {boolean} true when a new PIN was generated
+ */
+export const ensureDeliveryPin = (order) => {
+  // generatedAt is always selected, so an existing PIN is never replaced even when its code was not loaded
+  if (order.deliveryPin?.generatedAt) return false;
+  order.deliveryPin = {
+    code: String(crypto.randomInt(0, 10000)).padStart(4, '0'),
+    generatedAt: new Date(),
+    failedAttempts: 0,
+    totalFailedAttempts: 0,
+    lockedUntil: null,
+    verifiedAt: null,
+    verifiedBy: null,
+    override: null
+  };
+  return true;
+};
+
+const OVERRIDE_REQUIRED_MESSAGE = 'Too many wrong PINs for this order. An admin override is required to complete the delivery.';
+
+const pinMatches = (expected, submitted) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(submitted));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Check the PIN the customer shared at the door. Failed attempts are counted on the order and lock
+ * the PIN after DELIVERY_PIN_MAX_ATTEMPTS; after DELIVERY_PIN_MAX_TOTAL_ATTEMPTS in all it stays locked
+ * until an admin overrides it. The caller saves the order either way.
+ * @param {Object} order - Order document loaded with `+deliveryPin.code`
+ * @param {string} pin
+ * @param {Object} user - Rider or admin submitting the PIN
+ * @returns {{ verified: true } | { verified: false, statusCode: number, message: string, attemptsLeft?: number, lockedUntil?: Date }}
+ */
+export const verifyDeliveryPin = (order, pin, user) => {
+  const deliveryPin = order.deliveryPin;
+  if (deliveryPin?.verifiedAt) return { verified: true };
+
+  if (!deliveryPin?.code) {
+    return {
+      verified: false,
+      statusCode: 409,
+      message: `Order #${order.orderNumber} has no delivery PIN; an admin override is required`
+    };
+  }
+
+  if ((deliveryPin.totalFailedAttempts || 0) >= DELIVERY_PIN_MAX_TOTAL_ATTEMPTS) {
+    return {
+      verified: false,
+      statusCode: 423,
+      message: OVERRIDE_REQUIRED_MESSAGE
+    };
+  }
+
+  const now = new Date();
+  if (deliveryPin.lockedUntil && deliveryPin.lockedUntil > now) {
+    return {
+      verified: false,
+      statusCode: 423,
+      message: 'Too many wrong PINs. Try again later or ask an admin to override.',
+      lockedUntil: deliveryPin.lockedUntil
+    };
+  }
+
+  const submitted = String(pin ?? '').trim();
+  if (!submitted) {
+    return { verified: false, statusCode: 400, message: 'Enter the delivery PIN the customer shared' };
+  }
+
+  if (!pinMatches(deliveryPin.code, submitted)) {
+    deliveryPin.failedAttempts = (deliveryPin.failedAttempts || 0) + 1;
+    deliveryPin.totalFailedAttempts = (deliveryPin.totalFailedAttempts || 0) + 1;
+    if (deliveryPin.totalFailedAttempts >= DELIVERY_PIN_MAX_TOTAL_ATTEMPTS) {
+      deliveryPin.failedAttempts = 0;
+      deliveryPin.lockedUntil = null;
+      console.warn(`🔒 Delivery PIN for order #${order.orderNumber} needs an admin override after ${DELIVERY_PIN_MAX_TOTAL_ATTEMPTS} wrong attempts (last by ${user?.email || user?._id})`);
+      return {
+        verified: false,
+        statusCode: 423,
+        message: OVERRIDE_REQUIRED_MESSAGE
+      };
+    }
+    if (deliveryPin.failedAttempts >= DELIVERY_PIN_MAX_ATTEMPTS) {
+      deliveryPin.failedAttempts = 0;
+      deliveryPin.lockedUntil = new Date(now.getTime() + DELIVERY_PIN_LOCK_MINUTES * 60 * 1000);
+      console.warn(`🔒 Delivery PIN locked for order #${order.orderNumber} after ${DELIVERY_PIN_MAX_ATTEMPTS} wrong attempts by ${user?.email || user?._id}`);
+      return {
+        verified: false,
+        statusCode: 423,
+        message: `Too many wrong PINs. Locked for ${DELIVERY_PIN_LOCK_MINUTES} minutes.`,
+        lockedUntil: deliveryPin.lockedUntil
+      };
+    }
+    return {
+      verified: false,
+      statusCode: 400,
+      message: 'Incorrect delivery PIN',
+      attemptsLeft: Math.min(
+        DELIVERY_PIN_MAX_ATTEMPTS - deliveryPin.failedAttempts,
+        DELIVERY_PIN_MAX_TOTAL_ATTEMPTS - deliveryPin.totalFailedAttempts
+      )
+    };
+  }
+
+  deliveryPin.failedAttempts = 0;
+  deliveryPin.lockedUntil = null;
+  deliveryPin.verifiedAt = now;
+  deliveryPin.verifiedBy = user?._id || null;
+  return { verified: true };
+};
+
+/**
+ * Admin completes a handover without the PIN (customer unreachable, lost PIN). The caller saves the order
+ * and records the reason in the delivered status entry.
+ * @throws {Error} statusCode 403 for non-admins, 400 without a reason
+ */
+export const overrideDeliveryPin = (order, admin, reason) => {
+  if (!admin?.hasPermission?.('orders')) {
+    throw deliveryError('Only admins can complete a delivery without the PIN', 403);
+  }
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) {
+    throw deliveryError('A reason is required to override the delivery PIN');
+  }
+
+  // Field by field so the stored PIN code is kept
+  const now = new Date();
+  order.set('deliveryPin.lockedUntil', null);
+  order.set('deliveryPin.verifiedAt', now);
+  order.set('deliveryPin.verifiedBy', admin._id);
+  order.set('deliveryPin.override', {
+    by: admin._id,
+    byName: admin.name || admin.email || null,
+    reason: trimmedReason,
+    at: now
+  });
+  console.warn(`⚠️ Delivery PIN overridden for order #${order.orderNumber} by ${admin.email || admin._id}: ${trimmedReason}`);
+  return trimmedReason;
+};
+
+/**
+ * Build the order.deliveryProof entry, uploading the optional doorstep photo.
+ * @param {Object} options
+ * @param {'pin'|'override'} options.method
+ * @param {string} [options.photo] - base64 data URL
+ * @param {Object} options.user - Rider or admin completing the delivery
+ * @throws {Error} statusCode 400 for a malformed photo, 502 when the upload fails
+ */
+export const buildDeliveryProof = async ({ method, photo, user }) => {
+  const proof = { method, capturedBy: user?._id || null, capturedAt: new Date() };
+  if (!photo) return proof;
+
+  if (typeof photo !== 'string' || !photo.startsWith('data:image/')) {
+    throw deliveryError('Invalid photo format. Expected base64 image data.');
+  }
+  try {
+    const uploaded = await uploadToCloudinary(photo, {
+      folder: 'la_patisserie/delivery_proofs',
+      resource_type: 'image',
+      allowed_formats: ['jpg', 'jpeg', 'png', 'webp']
+    });
+    return { ...proof, photoUrl: uploaded.url, photoPublicId: uploaded.public_id };
+  } catch (error) {
+    throw deliveryError(`Proof photo upload failed: ${error.message}`, 502);
+  }
+};
+
+/**
+ * Record the cash a rider took for a COD order. The caller saves the order.
+ * @param {Object} order - Order document
+ * @param {Object} rider - User collecting the cash
+ * @param {number} [amount] - Defaults to the order amount
+ * @returns {number} Amount recorded
+ * @throws {Error} statusCode 400 for non-COD orders or invalid amounts, 409 once the cash is settled
+ */
+export const recordCodCollection = (order, rider, amount = order.amount) => {
+  if (order.paymentMethod !== 'cod') {
+    throw deliveryError(`Order #${order.orderNumber} was paid online; there is no cash to collect`);
+  }
+  if (order.codCollection?.settledAt) {
+    throw deliveryError(`Cash for order #${order.orderNumber} has already been settled`, 409);
+  }
+
+  if (!Number.isFinite(Number(amount)) || Number(amount) < 0) {
+    throw deliveryError('Collected amount must be zero or more');
+  }
+  const collected = roundCurrency(amount);
+
+  order.codCollection = {
+    amount: collected,
+    collectedBy: rider._id,
+    collectedByName: rider.name || rider.email || rider.phone || null,
+    collectedAt: new Date(),
+    settledAt: null,
+    settledBy: null
+  };
+  return collected;
+};
+
+/**
+ * Per-rider cash summary for COD orders with a recorded collection.
+ * @param {Array} orders - Lean orders with codCollection set
+ * @returns {Array<{ agentId, agentName, collected, settled, outstanding, orderCount, orders }>}
+ */
+export const buildCashReconciliation = (orders = []) => {
+  const riders = new Map();
+
+  for (const order of orders) {
+    const collection = order.codCollection;
+    if (!collection) continue;
+
+    const agentId = String(collection.collectedBy?._id || collection.collectedBy);
+    if (!riders.has(agentId)) {
+      riders.set(agentId, {
+        agentId,
+        agentName: collection.collectedBy?.name || collection.collectedByName || 'Unknown rider',
+        collected: 0,
+        settled: 0,
+        outstanding: 0,
+        orderCount: 0,
+        orders: []
+      });
+    }
+
+    const rider = riders.get(agentId);
+    rider.collected = roundCurrency(rider.collected + collection.amount);
+    if (collection.settledAt) {
+      rider.settled = roundCurrency(rider.settled + collection.amount);
+    } else {
+      rider.outstanding = roundCurrency(rider.outstanding + collection.amount);
+    }
+    rider.orderCount += 1;
+    rider.orders.push({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      orderAmount: order.amount,
+      amount: collection.amount,
+      // Short or over collections stand out during reconciliation
+      difference: roundCurrency(collection.amount - (order.amount || 0)),
+      collectedAt: collection.collectedAt,
+      settledAt: collection.settledAt || null,
+      hostelName: order.hostelName || ''
+    });
+  }
+
+  return [...riders.values()].sort((a, b) => b.outstanding - a.outstanding || a.agentName.localeCompare(b.agentName));
+};
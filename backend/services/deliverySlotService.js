@@ -0,0 +1,387 @@
+import Order from '../models/orderModel.js';
+import TimeSettings from '../models/timeSettingsModel.js';
+import DeliverySlotBooking from '../models/deliverySlotBookingModel.js';
+import { buildTzDate } from '../utils/shopStatus.js';
+import { getHoldDurationMinutes } from './stockReservationService.js';
+import { isCustomOrder } from './customOrderService.js';
+
+const DAY_MINUTES = 24 * 60;
+
+const slotError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toMinutes = (hhmm) => {
+  const [hh, mm] = String(hhmm || '00:00').split(':').map(v => parseInt(v, 10) || 0);
+  return hh * 60 + mm;
+};
+
+const toHHMM = (minutes) => {
+  const wrapped = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+// YYYY-MM-DD strings; noon UTC keeps the calendar day stable for any shop timezone
+const addDays = (ymd, days) => {
+  const date = new Date(`${ymd}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const localDate = (date, tz) => new Date(date).toLocaleDateString('en-CA', { timeZone: tz });
+
+// Wall-clock minutes after midnight of `ymd` (may run past midnight) as a UTC instant
+const zonedInstant = (ymd, minutes, tz) => {
+  const dayOffset = Math.floor(minutes / DAY_MINUTES);
+  return buildTzDate(new Date(`${addDays(ymd, dayOffset)}T12:00:00Z`), tz, toHHMM(minutes));
+};
+
+export const getSlotConfig = (settings) => {
+  const config = settings?.deliverySlots || {};
+  return {
+    isEnabled: config.isEnabled !== false,
+    slotMinutes: Math.max(15, Number(config.slotMinutes) || 60),
+    defaultCapacity: Number.isFinite(Number(config.defaultCapacity)) ? Number(config.defaultCapacity) : 25,
+    leadTimeMinutes: Math.max(0, Number(config.leadTimeMinutes) || 0),
+    preOrderDays: Math.max(0, Number(config.preOrderDays) || 0),
+    acceptPreOrdersWhenClosed: config.acceptPreOrdersWhenClosed !== false,
+    capacityOverrides: config.capacityOverrides || []
+  };
+};
+
+// Opening hours for a calendar day: special day first, then weekday/weekend schedule
+const getOpeningHours = (settings, ymd) => {
+  const tz = settings.timezone;
+  const dayOfWeek = new Date(`${ymd}T12:00:00Z`).getUTCDay();
+  const schedule = (dayOfWeek === 0 || dayOfWeek === 6) ? settings.weekend : settings.weekday;
+  const specialDay = (settings.specialDays || []).find(day => localDate(day.date, tz) === ymd);
+
+  if (specialDay) {
+    if (specialDay.isClosed) return null;
+    return {
+      startTime: specialDay.startTime || schedule.startTime,
+      endTime: specialDay.endTime || schedule.endTime
+    };
+  }
+  return schedule?.isActive ? { startTime: schedule.startTime, endTime: schedule.endTime } : null;
+};
+
+// Pause windows repeat daily; test the slot against today's and the neighbouring day's copy
+const overlapsPause = (start, end, pauses) => pauses.some(pause => {
+  if (!pause?.startTime || !pause?.endTime) return false;
+  const pauseStart = toMinutes(pause.startTime);
+  const pauseEnd = toMinutes(pause.endTime);
+  if (pauseStart === pauseEnd) return true; // 24h pause
+  const ranges = pauseStart < pauseEnd
+    ? [[pauseStart, pauseEnd], [pauseStart + DAY_MINUTES, pauseEnd + DAY_MINUTES]]
+    : [[pauseStart - DAY_MINUTES, pauseEnd], [pauseStart, pauseEnd + DAY_MINUTES]];
+  return ranges.some(([from, to]) => start < to && from < end);
+});
+
+const getSlotCapacity = (config, ymd, startTime, tz) => {
+  const overrides = config.capacityOverrides.filter(override => override.startTime === startTime);
+  const forDate = overrides.find(override => override.date && localDate(override.date, tz) === ymd);
+  const everyDay = overrides.find(override => !override.date);
+  return (forDate || everyDay)?.capacity ?? config.defaultCapacity;
+};
+
+const buildDaySlots = (settings, config, ymd) => {
+  const hours = getOpeningHours(settings, ymd);
+  if (!hours) return [];
+
+  const tz = settings.timezone;
+  const open = toMinutes(hours.startTime);
+  let close = toMinutes(hours.endTime);
+  if (close <= open) close += DAY_MINUTES; // Open past midnight
+
+  const slots = [];
+  for (let start = open; start + config.slotMinutes <= close; start += config.slotMinutes) {
+    const end = start + config.slotMinutes;
+    if (overlapsPause(start, end, settings.dailyPauseWindows || [])) continue;
+
+    const startsAt = zonedInstant(ymd, start, tz);
+    const startTime = toHHMM(start);
+    slots.push({
+      id: startsAt.toISOString(),
+      date: ymd,
+      startTime,
+      endTime: toHHMM(end),
+      startsAt,
+      endsAt: zonedInstant(ymd, end, tz),
+      capacity: getSlotCapacity(config, ymd, startTime, tz)
+    });
+  }
+  return slots;
+};
+
+const formatSlotLabel = (slot, tz) => {
+  const day = slot.startsAt.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: tz });
+  return `${day}, ${slot.startTime}–${slot.endTime}`;
+};
+
+const countPlacedOrders = (startsAt, { excludeOrderNumber = null } = {}) => Order.countDocuments({
+  'deliverySlot.startsAt': startsAt,
+  orderStatus: { $ne: 'cancelled' },
+  ...(excludeOrderNumber ? { orderNumber: { $ne: excludeOrderNumber } } : {})
+});
+
+// Bookings per slot, keyed by slot start ISO string. Slots with a booking counter use it
+// (it includes checkouts still waiting on payment); older slots fall back to counting orders.
+const countBookedOrders = async (from, to) => {
+  const [rows, counters] = await Promise.all([
+    Order.aggregate([
+      {
+        $match: {
+          'deliverySlot.startsAt': { $gte: from, $lte: to },
+          orderStatus: { $ne: 'cancelled' }
+        }
+      },
+      { $group: { _id: '$deliverySlot.startsAt', count: { $sum: 1 } } }
+    ]),
+    DeliverySlotBooking.find({ startsAt: { $gte: from, $lte: to } }).select('startsAt booked').lean()
+  ]);
+  const booked = new Map(rows.map(row => [new Date(row._id).toISOString(), row.count]));
+  for (const counter of counters) {
+    booked.set(new Date(counter.startsAt).toISOString(), counter.booked);
+  }
+  return booked;
+};
+
+/**
+ * Bookable delivery slots from today through the pre-order window.
+ * A slot is offered while an order placed now can still arrive before it ends.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.settings] - TimeSettings document (loaded when omitted)
+ * @returns {Promise<Object>} { isEnabled, isShopOpen, acceptsPreOrders, timezone, days: [{ date, label, slots }] }
+ */
+export const getDeliverySlotAvailability = async ({ now = new Date(), settings = null } = {}) => {
+  const timeSettings = settings || await TimeSettings.getCurrentSettings();
+  const config = getSlotConfig(timeSettings);
+  const tz = timeSettings.timezone;
+  const isShopOpen = timeSettings.isShopOpen();
+
+  const result = {
+    isEnabled: config.isEnabled,
+    isShopOpen,
+    acceptsPreOrders: timeSettings.acceptsPreOrders(),
+    timezone: tz,
+    slotMinutes: config.slotMinutes,
+    days: []
+  };
+  if (!config.isEnabled) return result;
+
+  const earliestArrival = new Date(now.getTime() + config.leadTimeMinutes * 60 * 1000);
+  const today = localDate(now, tz);
+  const days = [];
+  for (let offset = 0; offset <= config.preOrderDays; offset++) {
+    const ymd = addDays(today, offset);
+    const slots = buildDaySlots(timeSettings, config, ymd).filter(slot => slot.endsAt >= earliestArrival);
+    if (slots.length > 0) days.push({ date: ymd, slots });
+  }
+  if (days.length === 0) return result;
+
+  const allSlots = days.flatMap(day => day.slots);
+  const booked = await countBookedOrders(allSlots[0].startsAt, allSlots[allSlots.length - 1].startsAt);
+
+  result.days = days.map(day => ({
+    date: day.date,
+    label: day.date === today
+      ? 'Today'
+      : day.slots[0].startsAt.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'short', timeZone: tz }),
+    slots: day.slots.map(slot => {
+      const bookedCount = booked.get(slot.id) || 0;
+      return {
+        id: slot.id,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        label: formatSlotLabel(slot, tz),
+        capacity: slot.capacity,
+        booked: bookedCount,
+        remaining: Math.max(0, slot.capacity - bookedCount),
+        isAvailable: bookedCount < slot.capacity
+      };
+    })
+  }));
+  return result;
+};
+
+/**
+ * Validate a slot chosen at checkout and build the snapshot stored on the order.
+ * @param {string} slotId - Slot start as an ISO string (the id returned by getDeliverySlotAvailability)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.settings]
+ * @returns {Promise<Object>} { startsAt, endsAt, label, isPreOrder }
+ * @throws {Error} statusCode 400 (INVALID_SLOT) or 409 (SLOT_FULL)
+ */
+export const resolveDeliverySlot = async (slotId, { now = new Date(), settings = null } = {}) => {
+  const availability = await getDeliverySlotAvailability({ now, settings });
+  if (!availability.isEnabled) {
+    throw slotError('Delivery slots are not available right now', 'INVALID_SLOT');
+  }
+
+  const requested = new Date(slotId);
+  const slot = Number.isNaN(requested.getTime())
+    ? null
+    : availability.days.flatMap(day => day.slots).find(candidate => candidate.id === requested.toISOString());
+  if (!slot) {
+    throw slotError('That delivery slot is no longer available. Please pick another one.', 'INVALID_SLOT');
+  }
+  if (!slot.isAvailable) {
+    throw slotError(`The ${slot.startTime}–${slot.endTime} slot is fully booked. Please pick another one.`, 'SLOT_FULL', 409);
+  }
+
+  const today = localDate(now, availability.timezone);
+  return {
+    startsAt: slot.startsAt,
+    endsAt: slot.endsAt,
+    label: slot.label,
+    isPreOrder: !availability.isShopOpen || localDate(slot.startsAt, availability.timezone) !== today
+  };
+};
+
+// The slot's configured capacity; past-midnight slots belong to the previous day's opening hours
+const findSlotCapacity = (settings, startsAt) => {
+  const config = getSlotConfig(settings);
+  const ymd = localDate(startsAt, settings.timezone);
+  const id = new Date(startsAt).toISOString();
+  const slot = [addDays(ymd, -1), ymd]
+    .flatMap(day => buildDaySlots(settings, config, day))
+    .find(candidate => candidate.id === id);
+  return slot ? slot.capacity : config.defaultCapacity;
+};
+
+// Create the slot's counter on first booking, starting from orders placed before it existed
+// (minus the order being booked, which is added as an entry)
+const ensureSlotCounter = async (startsAt, { excludeOrderNumber = null } = {}) => {
+  if (await DeliverySlotBooking.exists({ startsAt })) return;
+  const placed = await countPlacedOrders(startsAt, { excludeOrderNumber });
+  try {
+    await DeliverySlotBooking.updateOne({ startsAt }, { $setOnInsert: { booked: placed } }, { upsert: true });
+  } catch (error) {
+    if (error?.code !== 11000) throw error; // Another checkout created it first
+  }
+};
+
+/**
+ * Take a place in the slot for a checkout. The $inc only matches while the slot has room,
+ * so concurrent checkouts can never overbook it.
+ * @param {Object} deliverySlot - Snapshot from resolveDeliverySlot
+ * @param {Object} params
+ * @param {string} params.orderNumber
+ * @param {string} [params.gatewayOrderId]
+ * @param {boolean} [params.hold] - Online checkout: the place expires with the stock holds unless payment confirms it
+ * @param {Object} [params.settings]
+ * @returns {Promise<Object>} { ok } or { ok: false, code, message }
+ */
+export const reserveDeliverySlot = async (deliverySlot, { orderNumber, gatewayOrderId = null, hold = false, settings = null }) => {
+  if (!deliverySlot?.startsAt) return { ok: true };
+
+  const timeSettings = settings || await TimeSettings.getCurrentSettings();
+  const startsAt = new Date(deliverySlot.startsAt);
+  const capacity = findSlotCapacity(timeSettings, startsAt);
+  await ensureSlotCounter(startsAt);
+
+  const entry = {
+    orderNumber,
+    gatewayOrderId,
+    status: hold ? 'held' : 'booked',
+    expiresAt: hold ? new Date(Date.now() + getHoldDurationMinutes() * 60 * 1000) : null
+  };
+  const result = await DeliverySlotBooking.updateOne(
+    { startsAt, booked: { $lt: capacity }, 'bookings.orderNumber': { $ne: orderNumber } },
+    { $inc: { booked: 1 }, $push: { bookings: entry } }
+  );
+  if (!result.modifiedCount) {
+    const label = deliverySlot.label ? `The ${deliverySlot.label} slot` : 'That slot';
+    return { ok: false, code: 'SLOT_FULL', message: `${label} is fully booked. Please pick another one.` };
+  }
+  return { ok: true };
+};
+
+/**
+ * Turn a paid checkout's held place into a booking. If the hold already lapsed the payment
+ * is captured regardless, so the place is taken now even when that goes over capacity.
+ * Custom cakes use a whole-day window rather than a slot and are not counted.
+ * @param {Object} order - Order with orderNumber and deliverySlot
+ */
+export const confirmDeliverySlot = async (order) => {
+  if (!order?.deliverySlot?.startsAt || isCustomOrder(order)) return;
+
+  try {
+    const confirmed = await DeliverySlotBooking.updateOne(
+      { bookings: { $elemMatch: { orderNumber: order.orderNumber, status: 'held' } } },
+      { $set: { 'bookings.$.status': 'booked', 'bookings.$.expiresAt': null } }
+    );
+    if (confirmed.modifiedCount) return;
+
+    const startsAt = new Date(order.deliverySlot.startsAt);
+    await ensureSlotCounter(startsAt, { excludeOrderNumber: order.orderNumber });
+    const taken = await DeliverySlotBooking.updateOne(
+      { startsAt, 'bookings.orderNumber': { $ne: order.orderNumber } },
+      {
+        $inc: { booked: 1 },
+        $push: { bookings: { orderNumber: order.orderNumber, gatewayOrderId: order.razorpayOrderId || null, status: 'booked' } }
+      }
+    );
+    if (taken.modifiedCount) {
+      console.warn(`⚠️ Slot hold had lapsed for ${order.orderNumber}; booked at payment`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to confirm delivery slot booking:', error?.message || error);
+  }
+};
+
+/**
+ * Free places in delivery slots: unpaid checkouts (held) or cancelled orders (any status).
+ * @param {Object} criteria
+ * @param {string} [criteria.orderNumber]
+ * @param {string} [criteria.gatewayOrderId]
+ * @param {string} [criteria.status] - Only entries in this status
+ * @param {Date} [criteria.expiredBefore] - Only holds that expired before this time
+ * @returns {Promise<number>} Places freed
+ */
+export const releaseDeliverySlot = async ({ orderNumber, gatewayOrderId, status, expiredBefore } = {}) => {
+  const match = {};
+  if (orderNumber) match.orderNumber = orderNumber;
+  if (gatewayOrderId) match.gatewayOrderId = gatewayOrderId;
+  if (status) match.status = status;
+  if (expiredBefore) match.expiresAt = { $lte: expiredBefore };
+  if (Object.keys(match).length === 0) return 0;
+
+  const isMatch = (entry) => (!orderNumber || entry.orderNumber === orderNumber)
+    && (!gatewayOrderId || entry.gatewayOrderId === gatewayOrderId)
+    && (!status || entry.status === status)
+    && (!expiredBefore || (entry.expiresAt && entry.expiresAt <= expiredBefore));
+
+  const counters = await DeliverySlotBooking.find({ bookings: { $elemMatch: match } }).select('_id bookings').lean();
+  let released = 0;
+
+  for (const counter of counters) {
+    for (const entry of counter.bookings.filter(isMatch)) {
+      // Matching the entry's current status means a concurrent confirm or release wins
+      const result = await DeliverySlotBooking.updateOne(
+        { _id: counter._id, bookings: { $elemMatch: { orderNumber: entry.orderNumber, status: entry.status } } },
+        { $pull: { bookings: { orderNumber: entry.orderNumber } }, $inc: { booked: -1 } }
+      );
+      released += result.modifiedCount;
+    }
+  }
+
+  if (released > 0) {
+    console.log(`🔓 Released ${released} delivery slot place(s)`);
+  }
+  return released;
+};
+
+/**
+ * Free places held by checkouts whose payment window has passed
+ * @returns {Promise<number>} Places freed
+ */
+export const releaseExpiredSlotHolds = () => releaseDeliverySlot({ status: 'held', expiredBefore: new Date() });
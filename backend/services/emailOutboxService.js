@@ -0,0 +1,347 @@
+import EmailOutbox, { EMAIL_OUTBOX_ATTEMPT_LOG_SIZE } from '../models/emailOutboxModel.js';
+import { getMailTransport } from '../utils/mailTransport.js';
+import { delegateEmailPost } from '../utils/emailDelegator.js';
+import { isEmailAllowed } from './emailPreferenceService.js';
+
+// Email outbox: callers enqueue a rendered email (or a delegated request) and get the result of an
+// immediate first attempt; anything that fails stays pending and the outbox job retries it with backoff.
+
+const RETRY_BASE_MS = 2 * 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// How long a worker may hold an entry in "sending" before another one picks it up
+const SEND_LOCK_MS = 2 * 60 * 1000;
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+// How long sent, failed and cancelled entries are kept for the admin screen
+const getRetentionDays = () => {
+  const days = parseFloat(process.env.EMAIL_OUTBOX_RETENTION_DAYS || String(DEFAULT_RETENTION_DAYS));
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Fields to $set when an entry reaches a final status: schedules its deletion and, for one-time
+ * codes, drops the content so the code is not kept once it can no longer be sent
+ * @param {Object} entry
+ * @returns {Object}
+ */
+const finalizeFields = (entry) => ({
+  purgeAt: new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000),
+  ...(entry.sensitive ? { 'message.html': null, 'message.text': null, 'delegate.payload': null } : {})
+});
+
+const outboxError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Delay before the next attempt: 2, 4, 8, 16... minutes (capped at 6 hours), with ±20% jitter
+ * so emails that failed together don't all retry in the same minute
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelayMs = (attempts) => {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const describeRecipient = (to) => {
+  if (!to) return null;
+  if (Array.isArray(to)) return to.map(describeRecipient).filter(Boolean).join(', ');
+  return typeof to === 'object' ? to.address || null : String(to);
+};
+
+const toMailOptions = (message) => ({
+  from: message.from,
+  to: message.to,
+  subject: message.subject,
+  html: message.html || undefined,
+  text: message.text || undefined,
+  headers: message.headers || undefined,
+  attachments: (message.attachments || []).map(attachment => {
+    const options = {};
+    for (const field of ['filename', 'content', 'path', 'contentType', 'cid']) {
+      if (attachment[field] != null) options[field] = attachment[field];
+    }
+    return options;
+  })
+});
+
+const sendEntry = async (entry) => {
+  if (entry.delegate?.endpoint) {
+    const data = await delegateEmailPost(entry.delegate.endpoint, entry.delegate.payload);
+    return { transport: 'delegate', messageId: data?.messageId || null, response: data };
+  }
+
+  const info = await getMailTransport().sendMail(toMailOptions(entry.message));
+  return {
+    transport: 'smtp',
+    messageId: info.messageId || null,
+    response: info.response || null,
+    accepted: (info.accepted || []).map(String),
+    rejected: (info.rejected || []).map(String)
+  };
+};
+
+const toResult = (entry, extra = {}) => ({
+  success: entry.status === 'sent',
+  queued: entry.status === 'pending' || entry.status === 'sending',
+  outboxId: entry._id,
+  outboxStatus: entry.status,
+  messageId: entry.providerResponse?.messageId || null,
+  response: entry.providerResponse?.response || null,
+  error: entry.status === 'sent' ? undefined : entry.lastError || undefined,
+  ...extra
+});
+
+/**
+ * Claim one due entry for sending. Pending entries whose retry time has come and "sending" entries
+ * whose worker died are both eligible; the atomic update makes sure only one worker gets it.
+ * @param {Object} [filter] - Extra conditions, e.g. { _id }
+ * @returns {Promise<Object|null>} Claimed entry document
+ */
+const claimEntry = (filter = {}) => {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS), lastAttemptAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const logAttempt = (attempt) => ({
+  attemptLog: { $each: [attempt], $slice: -EMAIL_OUTBOX_ATTEMPT_LOG_SIZE }
+});
+
+const attemptDelivery = async (entry) => {
+  if (entry.expiresAt && entry.expiresAt <= new Date()) {
+    const updated = await EmailOutbox.findOneAndUpdate(
+      { _id: entry._id, status: 'sending' },
+      { $set: { status: 'failed', lockedUntil: null, lastError: 'Expired before it could be sent', ...finalizeFields(entry) } },
+      { new: true }
+    );
+    return toResult(updated || entry);
+  }
+
+  const startedAt = Date.now();
+  try {
+    const sent = await sendEntry(entry);
+    const updated = await EmailOutbox.findOneAndUpdate(
+      { _id: entry._id, status: 'sending' },
+      {
+        $set: {
+          status: 'sent',
+          sentAt: new Date(),
+          ...finalizeFields(entry),
+          lockedUntil: null,
+          lastError: null,
+          providerResponse: {
+            messageId: sent.messageId,
+            response: sent.response,
+            accepted: sent.accepted,
+            rejected: sent.rejected
+          }
+        },
+        $push: logAttempt({
+          success: true,
+          transport: sent.transport,
+          messageId: sent.messageId,
+          response: typeof sent.response === 'string' ? sent.response : JSON.stringify(sent.response ?? null),
+          durationMs: Date.now() - startedAt
+        })
+      },
+      { new: true }
+    );
+    return toResult(updated || entry, { success: true, queued: false, messageId: sent.messageId, response: sent.response });
+  } catch (error) {
+    const exhausted = entry.attempts >= entry.maxAttempts;
+    const updated = await EmailOutbox.findOneAndUpdate(
+      { _id: entry._id, status: 'sending' },
+      {
+        $set: {
+          status: exhausted ? 'failed' : 'pending',
+          nextAttemptAt: exhausted ? entry.nextAttemptAt : new Date(Date.now() + getRetryDelayMs(entry.attempts)),
+          lockedUntil: null,
+          lastError: error.message,
+          ...(exhausted ? finalizeFields(entry) : {})
+        },
+        $push: logAttempt({
+          success: false,
+          transport: entry.delegate?.endpoint ? 'delegate' : 'smtp',
+          error: error.message,
+          response: error.response || null,
+          durationMs: Date.now() - startedAt
+        })
+      },
+      { new: true }
+    );
+
+    console.error(`❌ Email ${entry.kind} (${entry._id}) attempt ${entry.attempts}/${entry.maxAttempts} failed:`, error.message);
+    return toResult(updated || entry, { success: false, error: error.message });
+  }
+};
+
+/**
+ * Record an email in the outbox and, unless sendNow is false, try to send it straight away.
+ * Provide either `message` (sent over SMTP) or `delegate` (POSTed to the remote email API).
+ * @param {Object} email
+ * @param {string} email.kind - e.g. 'order-status', 'refund', 'welcome'
+ * @param {string} [email.idempotencyKey] - Emails with the same key are only recorded once
+ * @param {Object} [email.message] - { from, to, subject, html, text, headers, attachments }
+ * @param {Object} [email.delegate] - { endpoint, payload }
+ * @param {string} [email.recipient] - Shown and searched in the admin screen; defaults to message.to
+ * @param {string} [email.orderNumber]
+ * @param {boolean} [email.sensitive] - One-time codes: content hidden from admins, no resend
+ * @param {number} [email.maxAttempts]
+ * @param {Date} [email.expiresAt] - Give up on the email after this
+ * @param {string} [email.category] - Preference category (e.g. 'orderUpdates'); skipped when the recipient switched it off
+ * @param {boolean} [email.sendNow=true]
+ * @returns {Promise<Object>} { success, queued, duplicate?, skipped?, outboxId, outboxStatus, messageId, response, error }
+ */
+export const enqueueEmail = async ({
+  kind,
+  idempotencyKey,
+  message,
+  delegate,
+  recipient,
+  orderNumber,
+  sensitive = false,
+  maxAttempts,
+  expiresAt,
+  category,
+  sendNow = true
+}) => {
+  if (category) {
+    const to = recipient ?? describeRecipient(message?.to);
+    if (to && !(await isEmailAllowed(to, category))) {
+      // Nothing to deliver: the recipient asked not to get this kind of email
+      return { success: true, queued: false, skipped: true, outboxId: null, outboxStatus: null, messageId: null, response: null };
+    }
+  }
+
+  let entry;
+  try {
+    entry = await EmailOutbox.create({
+      kind,
+      idempotencyKey: idempotencyKey || undefined,
+      message: delegate ? undefined : message,
+      delegate: delegate || undefined,
+      sensitive,
+      recipient: recipient ?? describeRecipient(message?.to),
+      orderNumber: orderNumber || null,
+      maxAttempts,
+      expiresAt: expiresAt || null
+    });
+  } catch (error) {
+    if (error?.code === 11000 && idempotencyKey) {
+      const existing = await EmailOutbox.findOne({ idempotencyKey }).lean();
+      if (existing) {
+        return toResult(existing, { duplicate: true });
+      }
+    }
+    throw error;
+  }
+
+  if (!sendNow) {
+    return toResult(entry);
+  }
+
+  const claimed = await claimEntry({ _id: entry._id });
+  return claimed ? attemptDelivery(claimed) : toResult(entry);
+};
+
+/**
+ * Send due outbox entries one by one
+ * @param {Object} [options]
+ * @param {number} [options.limit=25] - Entries per run
+ * @returns {Promise<{ processed: number, sent: number, failed: number }>}
+ */
+export const processOutbox = async ({ limit = 25 } = {}) => {
+  const summary = { processed: 0, sent: 0, failed: 0 };
+  while (summary.processed < limit) {
+    const entry = await claimEntry();
+    if (!entry) break;
+    const result = await attemptDelivery(entry);
+    summary.processed += 1;
+    if (result.success) summary.sent += 1;
+    else summary.failed += 1;
+  }
+  return summary;
+};
+
+const findEntry = async (id) => {
+  const entry = await EmailOutbox.findById(id);
+  if (!entry) {
+    throw outboxError('Email not found', 'EMAIL_NOT_FOUND', 404);
+  }
+  return entry;
+};
+
+/**
+ * Put an email back in the queue with a fresh set of attempts and try it now.
+ * Works for sent emails too (the customer says it never arrived).
+ * @param {string} id - Outbox entry id
+ * @returns {Promise<Object>} Result of the new attempt
+ */
+export const resendEmail = async (id) => {
+  const entry = await findEntry(id);
+  if (entry.sensitive) {
+    throw outboxError('One-time codes cannot be resent. Ask the customer to request a new code.', 'EMAIL_NOT_RESENDABLE');
+  }
+  if (entry.status === 'sending') {
+    throw outboxError('This email is being sent right now', 'EMAIL_SENDING', 409);
+  }
+
+  const reset = await EmailOutbox.updateOne(
+    { _id: entry._id, status: entry.status },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        expiresAt: null,
+        lockedUntil: null,
+        cancelledAt: null,
+        cancelledBy: null,
+        purgeAt: null
+      }
+    }
+  );
+  if (!reset.modifiedCount) {
+    throw outboxError('This email changed while you were looking at it. Refresh and try again.', 'EMAIL_CHANGED', 409);
+  }
+
+  const claimed = await claimEntry({ _id: entry._id });
+  return claimed ? attemptDelivery(claimed) : toResult(await findEntry(id));
+};
+
+/**
+ * Stop a pending or failed email from being sent
+ * @param {string} id - Outbox entry id
+ * @param {string} [cancelledBy] - Admin user id
+ * @returns {Promise<Object>} Updated entry
+ */
+export const cancelEmail = async (id, cancelledBy = null) => {
+  const entry = await findEntry(id);
+  const updated = await EmailOutbox.findOneAndUpdate(
+    { _id: id, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy, lockedUntil: null, ...finalizeFields(entry) } },
+    { new: true }
+  );
+  if (updated) return updated;
+
+  const current = await findEntry(id);
+  throw outboxError(`A ${current.status} email cannot be cancelled`, 'EMAIL_NOT_CANCELLABLE', 409);
+};
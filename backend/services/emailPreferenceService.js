@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import EmailPreference, { EMAIL_PREFERENCE_CATEGORIES } from '../models/emailPreferenceModel.js';
+import Newsletter from '../models/newsletterModel.js';
+
+// Email preferences: signed per-recipient links to the preference page and one-click unsubscribe,
+// and the checks every sender makes before emailing someone.
+// A "list" is what an unsubscribe link turns off: 'newsletter' or one of EMAIL_PREFERENCE_CATEGORIES.
+
+export const EMAIL_LISTS = ['newsletter', ...EMAIL_PREFERENCE_CATEGORIES];
+
+const preferenceError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// EMAIL_LINK_SECRET signs the links. There is no fallback: without it no link can be signed or
+// checked, so emails that need an unsubscribe link are not sent
+const getLinkSecret = () => {
+  const secret = process.env.EMAIL_LINK_SECRET;
+  if (!secret) {
+    throw preferenceError('Email links are not configured (EMAIL_LINK_SECRET is not set)', 'EMAIL_LINKS_DISABLED', 503);
+  }
+  return secret;
+};
+
+/**
+ * Whether email links can be signed. Senders that need an unsubscribe link stay off without it
+ * (checked at startup in server.js).
+ * @returns {boolean}
+ */
+export const isEmailLinkSigningConfigured = () => Boolean(process.env.EMAIL_LINK_SECRET);
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const signEmail = (email) => crypto.createHmac('sha256', getLinkSecret()).update(email).digest('base64url');
+
+/**
+ * Token that proves the holder received email at this address. It does not expire,
+ * so unsubscribe links in old emails keep working.
+ * @param {string} email
+ * @returns {string}
+ */
+export const signEmailToken = (email) => {
+  const normalized = normalizeEmail(email);
+  return `${Buffer.from(normalized).toString('base64url')}.${signEmail(normalized)}`;
+};
+
+/**
+ * @param {string} token - From signEmailToken
+ * @returns {string|null} The email address, or null when the token is malformed or forged
+ */
+export const verifyEmailToken = (token) => {
+  const [encodedEmail, signature] = String(token || '').split('.');
+  if (!encodedEmail || !signature) return null;
+
+  const email = Buffer.from(encodedEmail, 'base64url').toString('utf8');
+  const expected = Buffer.from(signEmail(email));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? email : null;
+};
+
+const requireEmailFromToken = (token) => {
+  const email = verifyEmailToken(token);
+  if (!email) {
+    throw preferenceError('This link is invalid or has been tampered with', 'EMAIL_TOKEN_INVALID', 403);
+  }
+  return email;
+};
+
+const assertList = (list) => {
+  if (!EMAIL_LISTS.includes(list)) {
+    throw preferenceError('Unknown email list', 'EMAIL_LIST_INVALID');
+  }
+};
+
+/**
+ * Preference page link (the {{unsubscribeLink}} in email footers). With a list, the page
+ * unsubscribes from it as soon as it opens.
+ * @param {string} email
+ * @param {string} [list]
+ * @returns {string}
+ */
+export const buildUnsubscribeLink = (email, list = 'newsletter') => {
+  const params = new URLSearchParams({ token: signEmailToken(email) });
+  if (list) params.set('unsubscribe', list);
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/email-preferences?${params.toString()}`;
+};
+
+/**
+ * List-Unsubscribe headers (RFC 8058) so mail clients can show their own unsubscribe button
+ * @param {string} email
+ * @param {string} [list='newsletter']
+ * @returns {Object} Headers for the message
+ */
+export const getListUnsubscribeHeaders = (email, list = 'newsletter') => {
+  const base = process.env.BACKEND_URL || process.env.API_URL || 'http://localhost:3000';
+  const params = new URLSearchParams({ token: signEmailToken(email), list });
+  return {
+    'List-Unsubscribe': `<${base}/api/newsletter/unsubscribe/one-click?${params.toString()}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+};
+
+/**
+ * @param {string} email
+ * @returns {Promise<Object>} { email, newsletter: boolean, categories: { [category]: boolean } }
+ */
+export const getPreferences = async (email) => {
+  const normalized = normalizeEmail(email);
+  const [preference, subscriber] = await Promise.all([
+    EmailPreference.findOne({ email: normalized }).lean(),
+    Newsletter.findOne({ email: normalized }).select('status').lean()
+  ]);
+
+  const categories = {};
+  for (const category of EMAIL_PREFERENCE_CATEGORIES) {
+    categories[category] = preference?.categories?.[category] !== false;
+  }
+  return { email: normalized, newsletter: subscriber?.status === 'active', categories };
+};
+
+const setNewsletterSubscription = async (email, subscribed) => {
+  const subscriber = await Newsletter.findOne({ email });
+  if (subscribed) {
+    if (!subscriber) {
+      await Newsletter.create({ email, source: 'other' });
+    } else if (subscriber.status !== 'active') {
+      await subscriber.resubscribe();
+    }
+  } else if (subscriber && subscriber.status === 'active') {
+    await subscriber.unsubscribe();
+  }
+};
+
+/**
+ * Save what someone chose on the preference page
+ * @param {string} email
+ * @param {Object} changes - { newsletter?: boolean, categories?: { [category]: boolean } }
+ * @returns {Promise<Object>} Updated preferences, as getPreferences
+ */
+export const updatePreferences = async (email, { newsletter, categories = {} } = {}) => {
+  const normalized = normalizeEmail(email);
+
+  const set = {};
+  for (const category of EMAIL_PREFERENCE_CATEGORIES) {
+    if (typeof categories[category] === 'boolean') {
+      set[`categories.${category}`] = categories[category];
+    }
+  }
+  if (Object.keys(set).length > 0) {
+    await EmailPreference.updateOne({ email: normalized }, { $set: set }, { upsert: true });
+  }
+  if (typeof newsletter === 'boolean') {
+    await setNewsletterSubscription(normalized, newsletter);
+  }
+  return getPreferences(normalized);
+};
+
+/**
+ * Turn off one list for an address
+ * @param {string} email
+ * @param {string} list - 'newsletter' or a category
+ * @returns {Promise<Object>} Updated preferences
+ */
+export const unsubscribeFromList = async (email, list = 'newsletter') => {
+  assertList(list);
+  return list === 'newsletter'
+    ? updatePreferences(email, { newsletter: false })
+    : updatePreferences(email, { categories: { [list]: false } });
+};
+
+/**
+ * Preferences for the holder of a signed link
+ * @param {string} token
+ * @returns {Promise<Object>}
+ * @throws {Error} 403 EMAIL_TOKEN_INVALID
+ */
+export const getPreferencesByToken = (token) => getPreferences(requireEmailFromToken(token));
+
+/**
+ * @param {string} token
+ * @param {Object} changes - As updatePreferences
+ * @returns {Promise<Object>}
+ * @throws {Error} 403 EMAIL_TOKEN_INVALID
+ */
+export const updatePreferencesByToken = (token, changes) => updatePreferences(requireEmailFromToken(token), changes);
+
+/**
+ * @param {string} token
+ * @param {string} [list='newsletter']
+ * @returns {Promise<Object>}
+ * @throws {Error} 403 EMAIL_TOKEN_INVALID, 400 EMAIL_LIST_INVALID
+ */
+export const unsubscribeByToken = (token, list = 'newsletter') => {
+  assertList(list);
+  return unsubscribeFromList(requireEmailFromToken(token), list);
+};
+
+/**
+ * Drop the addresses that switched a category off
+ * @param {string[]} emails
+ * @param {string} category - One of EMAIL_PREFERENCE_CATEGORIES
+ * @returns {Promise<string[]>}
+ */
+export const filterEmailsByPreference = async (emails, category) => {
+  if (!category || emails.length === 0) return emails;
+  const optedOut = new Set(await EmailPreference.distinct('email', {
+    email: { $in: emails.map(normalizeEmail) },
+    [`categories.${category}`]: false
+  }));
+  return emails.filter(email => !optedOut.has(normalizeEmail(email)));
+};
+
+/**
+ * @param {string} email
+ * @param {string} category - One of EMAIL_PREFERENCE_CATEGORIES
+ * @returns {Promise<boolean>} false when the address switched the category off
+ */
+export const isEmailAllowed = async (email, category) => {
+  if (!category || !email) return true;
+  const optedOut = await EmailPreference.exists({ email: normalizeEmail(email), [`categories.${category}`]: false });
+  return !optedOut;
+};
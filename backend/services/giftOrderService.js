@@ -0,0 +1,87 @@
+import Order from '../models/orderModel.js';
+import { sendGiftRecipientNotification } from '../utils/orderEmailService.js';
+
+// Gift orders: the buyer stays in userDetails and pays; the recipient gets the cake, the gift message
+// and an email with the delivery PIN when it goes out. They never need an account.
+
+export const GIFT_MESSAGE_MAX_LENGTH = 300;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const giftError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Validate the gift details sent from checkout.
+ * @param {Object} [gift] - recipientName, recipientPhone, recipientEmail, message, hidePrices
+ * @returns {Object|null} Order.gift shape, or null when the order is not a gift
+ * @throws {Error} statusCode 400 with a GIFT_* code
+ */
+export const normalizeGiftDetails = (gift) => {
+  if (!gift || gift.enabled === false) return null;
+
+  const recipientName = String(gift.recipientName ?? '').trim();
+  const recipientPhone = String(gift.recipientPhone ?? '').trim();
+  const recipientEmail = String(gift.recipientEmail ?? '').trim().toLowerCase();
+  const message = String(gift.message ?? '').trim();
+
+  if (!recipientName) {
+    throw giftError("Please add the recipient's name", 'GIFT_RECIPIENT_REQUIRED');
+  }
+  const phoneDigits = recipientPhone.replace(/\D/g, '');
+  if (phoneDigits.length < 10 || phoneDigits.length > 13) {
+    throw giftError("Please add a valid phone number for the recipient so our rider can reach them", 'GIFT_PHONE_INVALID');
+  }
+  if (recipientEmail && !EMAIL_PATTERN.test(recipientEmail)) {
+    throw giftError("The recipient's email address doesn't look right", 'GIFT_EMAIL_INVALID');
+  }
+  if (message.length > GIFT_MESSAGE_MAX_LENGTH) {
+    throw giftError(`Gift messages can be up to ${GIFT_MESSAGE_MAX_LENGTH} characters`, 'GIFT_MESSAGE_TOO_LONG');
+  }
+
+  return {
+    recipientName: recipientName.slice(0, 80),
+    recipientPhone,
+    recipientEmail: recipientEmail || null,
+    message: message || null,
+    hidePrices: gift.hidePrices !== false,
+    recipientNotifiedAt: null
+  };
+};
+
+/**
+ * Email the gift recipient once, when the order goes out for delivery.
+ * The order is claimed with recipientNotifiedAt first so concurrent dispatches send a single email.
+ * Once the email is in the outbox it is retried from there; the claim is only released when it
+ * could not be recorded at all, so the next status change can try again.
+ * @param {Object} order - Order (plain or document) with gift, deliveryPin.code and deliverySlot
+ * @returns {Promise<Object>} Email result, or { skipped: true }
+ */
+export const notifyGiftRecipient = async (order) => {
+  const gift = order?.gift;
+  if (!gift?.recipientEmail || gift.recipientNotifiedAt) {
+    return { success: false, skipped: true };
+  }
+
+  const notifiedAt = new Date();
+  const claim = await Order.updateOne(
+    { _id: order._id, 'gift.recipientNotifiedAt': null },
+    { $set: { 'gift.recipientNotifiedAt': notifiedAt } }
+  );
+  if (!claim.modifiedCount) {
+    return { success: false, skipped: true };
+  }
+
+  const result = await sendGiftRecipientNotification(order, gift);
+  if (!result.success && !result.queued) {
+    await Order.updateOne(
+      { _id: order._id, 'gift.recipientNotifiedAt': notifiedAt },
+      { $set: { 'gift.recipientNotifiedAt': null } }
+    );
+  }
+  return result;
+};
@@ -0,0 +1,161 @@
+import { formatAddOnSummary } from './addOnService.js';
+import { describeCustomCake } from './customOrderService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_KITCHEN_WINDOW_HOURS = 12;
+export const MAX_KITCHEN_WINDOW_HOURS = 7 * 24;
+
+export const clampWindowHours = (hours) => {
+  const parsed = parseInt(hours, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return DEFAULT_KITCHEN_WINDOW_HOURS;
+  return Math.min(parsed, MAX_KITCHEN_WINDOW_HOURS);
+};
+
+/**
+ * Orders due within the next `hours`: ASAP orders plus every slot starting before the cut-off
+ * (overdue slots included so nothing drops off the board).
+ */
+export const buildWindowFilter = (hours, now = new Date()) => ({
+  $or: [
+    { deliverySlot: null },
+    { 'deliverySlot.startsAt': { $lte: new Date(now.getTime() + hours * HOUR_MS) } }
+  ]
+});
+
+// Lines the kitchen still has to make
+export const isLineToBake = (item) => item.dispatchStatus === 'pending' && !item.preparedAt;
+
+// ASAP orders are due as soon as they were placed
+const getDueAt = (order) => new Date(order.deliverySlot?.startsAt || order.createdAt);
+
+const addCustomization = (row, summary, quantity) => {
+  if (!summary) return;
+  const existing = row.customizations.find(entry => entry.summary === summary);
+  if (existing) {
+    existing.quantity += quantity;
+  } else {
+    row.customizations.push({ summary, quantity });
+  }
+};
+
+/**
+ * Total what the kitchen has to make per product and variant.
+ * @param {Array} orders - Lean orders with cartItems.productId populated (name, images)
+ * @param {Map<string, Object>} [customOrders] - Custom cake requests by id, for their design notes
+ * @returns {{ rows: Array, slots: Array, totals: { orders: number, items: number } }}
+ */
+export const buildProductionBoard = (orders = [], customOrders = new Map()) => {
+  const rows = new Map();
+  const slots = new Map();
+  const orderNumbers = new Set();
+  let itemCount = 0;
+
+  for (const order of orders) {
+    const lines = (order.cartItems || []).filter(isLineToBake);
+    if (lines.length === 0) continue;
+
+    const dueAt = getDueAt(order);
+    const slotKey = order.deliverySlot?.startsAt ? new Date(order.deliverySlot.startsAt).toISOString() : 'asap';
+    if (!slots.has(slotKey)) {
+      slots.set(slotKey, {
+        key: slotKey,
+        label: order.deliverySlot?.label || 'As soon as possible',
+        startsAt: order.deliverySlot?.startsAt || null,
+        orderCount: 0
+      });
+    }
+    slots.get(slotKey).orderCount += 1;
+    orderNumbers.add(order.orderNumber);
+
+    for (const item of lines) {
+      const productId = item.productId?._id || item.productId || null;
+      const baseKey = item.customOrderId ? `custom:${item.customOrderId}` : String(productId);
+      const rowKey = `${baseKey}|${item.variantLabel || ''}`;
+
+      if (!rows.has(rowKey)) {
+        const customOrder = item.customOrderId ? customOrders.get(String(item.customOrderId)) : null;
+        rows.set(rowKey, {
+          key: rowKey,
+          productId,
+          customOrderId: item.customOrderId || null,
+          productName: item.productId?.name || item.productName,
+          variantLabel: item.variantLabel || (customOrder ? describeCustomCake(customOrder) : ''),
+          image: item.productId?.images?.[0] || customOrder?.referenceImages?.[0]?.url || null,
+          quantity: 0,
+          customizations: [],
+          customCake: customOrder
+            ? {
+                requestNumber: customOrder.requestNumber,
+                messageOnCake: customOrder.messageOnCake || '',
+                designNotes: customOrder.designNotes || '',
+                referenceImages: (customOrder.referenceImages || []).map(image => image.url)
+              }
+            : null,
+          dueAt,
+          orders: []
+        });
+      }
+
+      const row = rows.get(rowKey);
+      row.quantity += item.quantity;
+      if (dueAt < row.dueAt) row.dueAt = dueAt;
+      addCustomization(row, formatAddOnSummary(item.addOns), item.quantity);
+
+      const orderEntry = row.orders.find(entry => String(entry.orderId) === String(order._id));
+      if (orderEntry) {
+        orderEntry.quantity += item.quantity;
+        orderEntry.itemIds.push(item._id);
+      } else {
+        row.orders.push({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          orderStatus: order.orderStatus,
+          quantity: item.quantity,
+          itemIds: [item._id],
+          deliverySlot: order.deliverySlot || null,
+          hostelName: order.hostelName || '',
+          notes: order.notes || ''
+        });
+      }
+      itemCount += item.quantity;
+    }
+  }
+
+  return {
+    rows: [...rows.values()].sort((a, b) => a.dueAt - b.dueAt || a.productName.localeCompare(b.productName)),
+    slots: [...slots.values()].sort((a, b) => {
+      if (!a.startsAt) return -1;
+      if (!b.startsAt) return 1;
+      return new Date(a.startsAt) - new Date(b.startsAt);
+    }),
+    totals: {
+      orders: orderNumbers.size,
+      items: itemCount
+    }
+  };
+};
+
+/**
+ * Mark the given lines of an order as baked. The caller saves the order and advances its status.
+ * @param {Object} order - Order document
+ * @param {Array<string>} itemIds
+ * @param {Date} [preparedAt]
+ * @returns {{ prepared: number, allPrepared: boolean }}
+ */
+export const markLinesPrepared = (order, itemIds = [], preparedAt = new Date()) => {
+  const ids = new Set(itemIds.map(String));
+  let prepared = 0;
+
+  order.cartItems.forEach(item => {
+    if (ids.has(String(item._id)) && isLineToBake(item)) {
+      item.preparedAt = preparedAt;
+      prepared += 1;
+    }
+  });
+
+  return {
+    prepared,
+    allPrepared: !order.cartItems.some(isLineToBake)
+  };
+};
@@ -0,0 +1,493 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import NewsletterCampaign, { CAMPAIGN_SEGMENTS, DEFAULT_LAPSED_DAYS } from '../models/newsletterCampaignModel.js';
+import NewsletterCampaignRecipient from '../models/newsletterCampaignRecipientModel.js';
+import Newsletter, { NEWSLETTER_SOURCES } from '../models/newsletterModel.js';
+import EmailOutbox from '../models/emailOutboxModel.js';
+import Order from '../models/orderModel.js';
+import User from '../models/userModel.js';
+import LoyaltyProgram from '../models/loyaltyProgramModel.js';
+import { customNewsletterTemplate } from '../utils/newsletterEmailTemplates.js';
+import { EMAIL_PREFERENCE_CATEGORIES } from '../models/emailPreferenceModel.js';
+import {
+  buildUnsubscribeLink,
+  filterEmailsByPreference,
+  getListUnsubscribeHeaders,
+  isEmailLinkSigningConfigured
+} from './emailPreferenceService.js';
+import { enqueueEmail } from './emailOutboxService.js';
+
+// Newsletter campaigns: pick a segment of subscribers, optionally split them between two subjects,
+// and send through the email outbox with an open pixel and tracked links.
+
+// How long the job may hold a campaign in "sending" before another run resumes it
+const SEND_LOCK_MS = 30 * 60 * 1000;
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+// 1x1 transparent GIF served by the open pixel
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const campaignError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getTrackingBaseUrl = () =>
+  `${process.env.BACKEND_URL || process.env.API_URL || 'http://localhost:3000'}/api/newsletter/track`;
+
+const NON_CANCELLED_ORDER = { orderStatus: { $ne: 'cancelled' }, 'userDetails.email': { $nin: [null, ''] } };
+
+const lowercaseAll = (emails) => emails.filter(Boolean).map(email => String(email).toLowerCase());
+
+// Customer emails for the segments that look at orders and accounts (null = no narrowing)
+const resolveCustomerEmails = async (segment) => {
+  switch (segment.type) {
+    case 'customers':
+      return lowercaseAll(await Order.distinct('userDetails.email', NON_CANCELLED_ORDER));
+
+    case 'location': {
+      const filter = { location: segment.locationId };
+      if (segment.hostelId) filter.hostel = segment.hostelId;
+      return lowercaseAll(await User.distinct('email', filter));
+    }
+
+    case 'lapsed': {
+      const cutoff = new Date(Date.now() - (segment.lapsedDays || DEFAULT_LAPSED_DAYS) * 24 * 60 * 60 * 1000);
+      const lapsed = await Order.aggregate([
+        { $match: NON_CANCELLED_ORDER },
+        { $group: { _id: { $toLower: '$userDetails.email' }, lastOrderAt: { $max: '$createdAt' } } },
+        { $match: { lastOrderAt: { $lt: cutoff } } }
+      ]);
+      return lapsed.map(entry => entry._id);
+    }
+
+    case 'loyalty_eligible': {
+      // Eligibility is tracked per Firebase uid in the loyalty program and mirrored on the user
+      const eligibleUids = await LoyaltyProgram.distinct('userId', { freeProductEligible: true, freeProductClaimed: false });
+      return lowercaseAll(await User.distinct('email', {
+        $or: [{ uid: { $in: eligibleUids } }, { freeProductEligible: true }]
+      }));
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check a segment from the admin form and return it in the shape stored on the campaign
+ * @param {Object} [segment]
+ * @returns {Object}
+ * @throws {Error} statusCode 400 with a CAMPAIGN_SEGMENT_* code
+ */
+export const normalizeSegment = (segment = {}) => {
+  const type = segment.type || 'all';
+  if (!CAMPAIGN_SEGMENTS.includes(type)) {
+    throw campaignError('Unknown audience segment', 'CAMPAIGN_SEGMENT_INVALID');
+  }
+
+  const normalized = { type, locationId: null, hostelId: null, lapsedDays: DEFAULT_LAPSED_DAYS, source: null };
+  if (type === 'location') {
+    if (!mongoose.Types.ObjectId.isValid(segment.locationId)) {
+      throw campaignError('Choose a location for this audience', 'CAMPAIGN_SEGMENT_LOCATION_REQUIRED');
+    }
+    normalized.locationId = segment.locationId;
+    normalized.hostelId = mongoose.Types.ObjectId.isValid(segment.hostelId) ? segment.hostelId : null;
+  }
+  if (type === 'lapsed') {
+    const days = parseInt(segment.lapsedDays, 10);
+    normalized.lapsedDays = Number.isFinite(days) && days > 0 ? days : DEFAULT_LAPSED_DAYS;
+  }
+  if (type === 'source') {
+    if (!NEWSLETTER_SOURCES.includes(segment.source)) {
+      throw campaignError('Choose a signup source for this audience', 'CAMPAIGN_SEGMENT_SOURCE_REQUIRED');
+    }
+    normalized.source = segment.source;
+  }
+  return normalized;
+};
+
+/**
+ * Active subscribers in a segment
+ * @param {Object} segment - Campaign segment
+ * @param {string} [category] - Preference category of the campaign; people who switched it off are left out
+ * @returns {Promise<string[]>} Lowercased email addresses
+ */
+export const resolveAudience = async (segment, category = null) => {
+  const subscriberFilter = { status: 'active' };
+  if (segment.type === 'source') subscriberFilter.source = segment.source;
+
+  const [subscribers, customers] = await Promise.all([
+    Newsletter.distinct('email', subscriberFilter),
+    resolveCustomerEmails(segment)
+  ]);
+
+  // Only people who subscribed get campaigns, whatever else the segment says
+  let audience = lowercaseAll(subscribers);
+  if (customers) {
+    const customerSet = new Set(customers);
+    audience = audience.filter(email => customerSet.has(email));
+  }
+  return filterEmailsByPreference(audience, category);
+};
+
+// Campaigns to people with a free product waiting are reward emails, so the rewards opt-out applies
+const defaultCategoryFor = (segment) => (segment?.type === 'loyalty_eligible' ? 'rewards' : null);
+
+/**
+ * Check a campaign topic from the admin form
+ * @param {string} [category]
+ * @param {Object} [segment] - Campaign segment, used when no topic was chosen
+ * @returns {string|null} A preference category, or null for a general newsletter
+ */
+export const normalizeCategory = (category, segment = null) => {
+  if (!category) return defaultCategoryFor(segment);
+  if (!EMAIL_PREFERENCE_CATEGORIES.includes(category)) {
+    throw campaignError('Unknown email topic', 'CAMPAIGN_CATEGORY_INVALID');
+  }
+  return category;
+};
+
+/**
+ * Check and tidy the fields an admin can set on a campaign
+ * @param {Object} body - name, subjects (1-2), title, body, ctaText, ctaLink, segment, category
+ * @returns {Object} Fields for NewsletterCampaign
+ */
+export const normalizeCampaignInput = (body = {}) => {
+  const subjects = (Array.isArray(body.subjects) ? body.subjects : [body.subject])
+    .map(subject => String(subject ?? '').trim())
+    .filter(Boolean);
+  if (subjects.length === 0) {
+    throw campaignError('Add a subject line', 'CAMPAIGN_SUBJECT_REQUIRED');
+  }
+  if (subjects.length > 2) {
+    throw campaignError('A/B tests compare two subject lines', 'CAMPAIGN_TOO_MANY_SUBJECTS');
+  }
+  if (!String(body.body ?? '').trim()) {
+    throw campaignError('Add the newsletter body', 'CAMPAIGN_BODY_REQUIRED');
+  }
+
+  return {
+    name: String(body.name ?? '').trim() || subjects[0],
+    variants: subjects.map((subject, index) => ({ key: index === 0 ? 'A' : 'B', subject })),
+    content: {
+      title: String(body.title ?? '').trim(),
+      body: body.body,
+      ctaText: String(body.ctaText ?? '').trim(),
+      ctaLink: String(body.ctaLink ?? '').trim()
+    },
+    segment: normalizeSegment(body.segment),
+    category: normalizeCategory(body.category, body.segment)
+  };
+};
+
+/**
+ * Make sure a campaign can still be changed, scheduled or sent
+ * @param {Object} campaign
+ * @throws {Error} statusCode 409 CAMPAIGN_LOCKED
+ */
+export const assertEditable = (campaign) => {
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    throw campaignError(`This campaign is ${campaign.status} and can no longer be changed`, 'CAMPAIGN_LOCKED', 409);
+  }
+};
+
+const extractLinks = (html) => {
+  const links = new Set();
+  for (const match of html.matchAll(/href="(https?:\/\/[^"]+)"/g)) {
+    links.add(match[1]);
+  }
+  return [...links];
+};
+
+// Tracked links point at our click redirect; the pixel goes just before </body>
+const renderForRecipient = (campaign, baseHtml, recipient) => {
+  const trackingBase = getTrackingBaseUrl();
+  const html = baseHtml
+    .replace(/href="(https?:\/\/[^"]+)"/g, (match, url) => {
+      const index = campaign.links.indexOf(url);
+      return index === -1 ? match : `href="${trackingBase}/click/${recipient.token}/${index}"`;
+    })
+    .replace(/{{unsubscribeLink}}/g, buildUnsubscribeLink(recipient.email));
+
+  const pixel = `<img src="${trackingBase}/open/${recipient.token}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+  return html.includes('</body>') ? html.replace('</body>', `${pixel}</body>`) : `${html}${pixel}`;
+};
+
+// Random order, then alternate subjects, so each half of an A/B test is a fair sample
+const assignVariants = (emails, variants) => {
+  const shuffled = [...emails];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.map((email, index) => ({ email, variant: variants[index % variants.length].key }));
+};
+
+const createRecipients = async (campaign, emails) => {
+  const existing = new Set(await NewsletterCampaignRecipient.distinct('email', { campaign: campaign._id }));
+  const fresh = emails.filter(email => !existing.has(email));
+  if (fresh.length === 0) return;
+
+  const rows = assignVariants(fresh, campaign.variants).map(({ email, variant }) => ({
+    campaign: campaign._id,
+    email,
+    variant,
+    token: crypto.randomBytes(16).toString('hex')
+  }));
+  try {
+    await NewsletterCampaignRecipient.insertMany(rows, { ordered: false });
+  } catch (error) {
+    // Another run got there first for some of them
+    if (error?.code !== 11000 && !error?.writeErrors?.every(writeError => writeError.code === 11000)) throw error;
+  }
+};
+
+/**
+ * Send a campaign that has been claimed for sending. Safe to run again on a half-sent campaign:
+ * recipients who already have an outbox entry are skipped and the outbox dedupes by campaign and email.
+ * @param {Object} campaign - NewsletterCampaign document in "sending"
+ * @returns {Promise<Object>} Updated campaign
+ */
+const deliverCampaign = async (campaign) => {
+  const category = campaign.category || defaultCategoryFor(campaign.segment);
+  const audience = await resolveAudience(campaign.segment, category);
+  await createRecipients(campaign, audience);
+
+  const baseHtml = customNewsletterTemplate({ ...campaign.content, subject: campaign.variants[0].subject });
+  if (campaign.links.length === 0) {
+    campaign.links = extractLinks(baseHtml);
+    await NewsletterCampaign.updateOne({ _id: campaign._id }, { $set: { links: campaign.links } });
+  }
+
+  const subjects = Object.fromEntries(campaign.variants.map(variant => [variant.key, variant.subject]));
+  const pending = NewsletterCampaignRecipient.find({ campaign: campaign._id, outboxId: null }).cursor();
+
+  let processed = 0;
+  for await (const recipient of pending) {
+    const result = await enqueueEmail({
+      kind: 'newsletter-campaign',
+      category: category || undefined,
+      idempotencyKey: `campaign:${campaign._id}:${recipient.email}`,
+      recipient: recipient.email,
+      message: {
+        from: {
+          name: 'La Pâtisserie',
+          address: process.env.EMAIL_USER || 'lapatisserielapatisserie@gmail.com'
+        },
+        to: recipient.email,
+        subject: subjects[recipient.variant] || campaign.variants[0].subject,
+        html: renderForRecipient(campaign, baseHtml, recipient),
+        headers: { ...getListUnsubscribeHeaders(recipient.email), 'X-Campaign-Id': String(campaign._id) }
+      }
+    });
+    await NewsletterCampaignRecipient.updateOne({ _id: recipient._id }, { $set: { outboxId: result.outboxId } });
+
+    processed += 1;
+    if (result.success) {
+      await Newsletter.updateOne({ email: recipient.email }, { $set: { lastEmailSent: new Date() } });
+    }
+    // Keep the claim while a long list is going out
+    if (processed % 50 === 0) {
+      await NewsletterCampaign.updateOne({ _id: campaign._id }, { $set: { lockedUntil: new Date(Date.now() + SEND_LOCK_MS) } });
+    }
+  }
+
+  const recipientCount = await NewsletterCampaignRecipient.countDocuments({ campaign: campaign._id });
+  return NewsletterCampaign.findOneAndUpdate(
+    { _id: campaign._id, status: 'sending' },
+    { $set: { status: 'sent', completedAt: new Date(), lockedUntil: null, lastError: null, recipientCount } },
+    { new: true }
+  );
+};
+
+/**
+ * Claim a campaign that is due: scheduled for now or earlier, or stuck in "sending" after a crash
+ * @param {Object} [filter] - Extra conditions, e.g. { _id }
+ * @returns {Promise<Object|null>}
+ */
+const claimDueCampaign = (filter = {}) => {
+  const now = new Date();
+  return NewsletterCampaign.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS), startedAt: now } },
+    { new: true, sort: { scheduledAt: 1 } }
+  );
+};
+
+/**
+ * Send every campaign that is due. Called by the newsletter campaign job each minute.
+ * @returns {Promise<number>} Campaigns sent
+ */
+export const processDueCampaigns = async () => {
+  // Leave campaigns scheduled rather than claim them and fail on every recipient
+  if (!isEmailLinkSigningConfigured()) return 0;
+
+  let sent = 0;
+  let campaign = await claimDueCampaign();
+  while (campaign) {
+    try {
+      await deliverCampaign(campaign);
+      sent += 1;
+    } catch (error) {
+      // Stays in "sending"; the next run after the lock expires resumes it
+      console.error(`❌ Newsletter campaign ${campaign._id} failed:`, error?.message || error);
+      await NewsletterCampaign.updateOne({ _id: campaign._id }, { $set: { lastError: error?.message || String(error) } });
+    }
+    campaign = await claimDueCampaign();
+  }
+  return sent;
+};
+
+/**
+ * Schedule a campaign, or queue it to go out right away when no time is given
+ * @param {Object} campaign - NewsletterCampaign document
+ * @param {Date|string} [scheduledAt]
+ * @returns {Promise<Object>} Saved campaign
+ */
+export const scheduleCampaign = async (campaign, scheduledAt = null) => {
+  assertEditable(campaign);
+  if (!isEmailLinkSigningConfigured()) {
+    throw campaignError('Campaigns cannot be sent until EMAIL_LINK_SECRET is set', 'EMAIL_LINKS_DISABLED', 503);
+  }
+
+  const when = scheduledAt ? new Date(scheduledAt) : new Date();
+  if (Number.isNaN(when.getTime())) {
+    throw campaignError('Invalid schedule time', 'CAMPAIGN_SCHEDULE_INVALID');
+  }
+  if (scheduledAt && when.getTime() < Date.now() - 60 * 1000) {
+    throw campaignError('Pick a time in the future', 'CAMPAIGN_SCHEDULE_PAST');
+  }
+
+  campaign.status = 'scheduled';
+  campaign.scheduledAt = when;
+  campaign.lastError = null;
+  await campaign.save();
+
+  if (!scheduledAt) {
+    // Don't make the admin wait for the next job run
+    setImmediate(() => {
+      processDueCampaigns().catch(error => console.error('❌ Newsletter campaign send failed:', error?.message || error));
+    });
+  }
+  return campaign;
+};
+
+/**
+ * Delivery, open and click numbers for a campaign, overall and per subject line
+ * @param {Object} campaign - NewsletterCampaign (document or lean)
+ * @returns {Promise<Object>} { totals, variants: [{ key, subject, recipients, sent, pending, failed, opened, clicked, clicks }] }
+ */
+export const getCampaignStats = async (campaign) => {
+  const rows = await NewsletterCampaignRecipient.aggregate([
+    { $match: { campaign: new mongoose.Types.ObjectId(String(campaign._id)) } },
+    {
+      $lookup: {
+        from: EmailOutbox.collection.name,
+        localField: 'outboxId',
+        foreignField: '_id',
+        pipeline: [{ $project: { status: 1 } }],
+        as: 'outbox'
+      }
+    },
+    { $addFields: { outboxStatus: { $arrayElemAt: ['$outbox.status', 0] } } },
+    {
+      $group: {
+        _id: '$variant',
+        recipients: { $sum: 1 },
+        sent: { $sum: { $cond: [{ $eq: ['$outboxStatus', 'sent'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $in: ['$outboxStatus', ['failed', 'cancelled']] }, 1, 0] } },
+        opened: { $sum: { $cond: [{ $ne: ['$openedAt', null] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $ne: ['$clickedAt', null] }, 1, 0] } },
+        clicks: { $sum: '$clickCount' }
+      }
+    }
+  ]);
+
+  const empty = { recipients: 0, sent: 0, failed: 0, opened: 0, clicked: 0, clicks: 0 };
+  const byVariant = Object.fromEntries(rows.map(({ _id, ...counts }) => [_id, counts]));
+  const variants = campaign.variants.map(variant => {
+    const counts = { ...empty, ...byVariant[variant.key] };
+    return { key: variant.key, subject: variant.subject, ...counts, pending: counts.recipients - counts.sent - counts.failed };
+  });
+
+  const totals = variants.reduce((sum, variant) => {
+    for (const field of Object.keys(empty)) sum[field] += variant[field];
+    sum.pending += variant.pending;
+    return sum;
+  }, { ...empty, pending: 0 });
+
+  return { totals, variants };
+};
+
+/**
+ * Record an open from the tracking pixel
+ * @param {string} token - Recipient token
+ */
+export const recordOpen = async (token) => {
+  await NewsletterCampaignRecipient.updateOne({ token }, [
+    {
+      $set: {
+        openCount: { $add: [{ $ifNull: ['$openCount', 0] }, 1] },
+        openedAt: { $ifNull: ['$openedAt', '$$NOW'] }
+      }
+    }
+  ]);
+};
+
+/**
+ * Record a click and find where it should go
+ * @param {string} token - Recipient token
+ * @param {number|string} linkIndex - Index into the campaign's links
+ * @returns {Promise<string|null>} Destination URL, or null when the link is unknown
+ */
+export const recordClick = async (token, linkIndex) => {
+  const recipient = await NewsletterCampaignRecipient.findOne({ token }).select('campaign clickedAt openedAt');
+  if (!recipient) return null;
+
+  const campaign = await NewsletterCampaign.findById(recipient.campaign).select('links').lean();
+  const url = campaign?.links?.[parseInt(linkIndex, 10)];
+  if (!url) return null;
+
+  const now = new Date();
+  await NewsletterCampaignRecipient.updateOne(
+    { _id: recipient._id },
+    {
+      $inc: { clickCount: 1 },
+      // A click means the email was opened, even when images were blocked
+      $set: {
+        clickedAt: recipient.clickedAt || now,
+        openedAt: recipient.openedAt || now
+      }
+    }
+  );
+  // Links are stored as they appear in the HTML
+  return url.replace(/&amp;/g, '&');
+};
+
+/**
+ * Cancel a draft or scheduled campaign
+ * @param {string} campaignId
+ * @returns {Promise<Object>} Cancelled campaign
+ * @throws {Error} 404 CAMPAIGN_NOT_FOUND, 409 CAMPAIGN_LOCKED once sending has started
+ */
+export const cancelCampaign = async (campaignId) => {
+  const campaign = await NewsletterCampaign.findOneAndUpdate(
+    { _id: campaignId, status: { $in: EDITABLE_STATUSES } },
+    { $set: { status: 'cancelled', lockedUntil: null } },
+    { new: true }
+  );
+  if (campaign) return campaign;
+
+  const existing = await NewsletterCampaign.findById(campaignId).select('status');
+  if (!existing) throw campaignError('Campaign not found', 'CAMPAIGN_NOT_FOUND', 404);
+  throw campaignError(`This campaign is ${existing.status} and can no longer be cancelled`, 'CAMPAIGN_LOCKED', 409);
+};
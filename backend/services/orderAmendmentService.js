@@ -0,0 +1,250 @@
+import Product from '../models/productModel.js';
+import Payment from '../models/paymentModel.js';
+import { issueRefund } from './refundService.js';
+import { adjustVariantStock } from './stockService.js';
+import { applyStatusTransition, canTransition } from './orderStatusService.js';
+
+// Same window as cancelUserOrder for customers; admins can still drop undispatched lines while out for delivery
+const CLOSED_STATUSES = ['cancelled', 'delivered'];
+
+const amendmentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const lineTotal = (items, pick) => items.reduce(
+  (sum, item) => sum + (Number(pick(item)) || 0) * (Number(item.quantity) || 0),
+  0
+);
+
+// Put stock back for the removed quantity of each line (only variants that track stock)
+const restoreLineStock = async (order, lines, { actor, actorRole, reason }) => {
+  for (const line of lines) {
+    const quantity = line.previousQuantity - line.newQuantity;
+    if (quantity <= 0) continue;
+
+    try {
+      const product = await Product.findById(line.productId);
+      if (!product) {
+        console.warn(`⚠️ Product ${line.productId} not found, skipping stock restoration`);
+        continue;
+      }
+
+      const vi = Number.isInteger(line.variantIndex) ? line.variantIndex : 0;
+      const variant = Array.isArray(product.variants) ? product.variants[vi] : undefined;
+      if (!variant?.isStockActive) {
+        console.log(`ℹ️ Product "${product.name}" variant ${vi} does not track stock - no restoration needed`);
+        continue;
+      }
+
+      await adjustVariantStock({
+        productId: line.productId,
+        variantIndex: vi,
+        delta: quantity,
+        reason: 'order_amended',
+        order,
+        variantLabel: line.variantLabel,
+        actor,
+        actorRole,
+        note: reason
+      });
+      console.log(`✅ Stock restored: "${product.name}" variant ${vi} +${quantity}`);
+    } catch (error) {
+      console.error(`❌ Error restoring stock for product ${line.productId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Recompute the order summary after lines were removed or reduced.
+ * Delivery and any donation stay as they were; free cash and coupon discounts shrink with the subtotal.
+ */
+const recomputeOrderSummary = (order) => {
+  const summary = order.orderSummary || {};
+  const previousDiscounted = Number(summary.discountedTotal) || 0;
+  const deliveryCharge = Number(summary.deliveryCharge) || 0;
+  const previousFreeCash = Number(summary.freeCashDiscount) || 0;
+  const previousCoupon = Number(summary.couponDiscount) || 0;
+  const previousGrand = Number(summary.grandTotal) || 0;
+
+  // The donation is not stored separately, so recover it from the old totals
+  const donationAmount = Math.max(0, roundCurrency(previousGrand - (previousDiscounted + deliveryCharge - previousFreeCash - previousCoupon)));
+
+  const items = order.cartItems || [];
+  const discountedTotal = roundCurrency(lineTotal(items, item => item.price));
+  const cartTotal = roundCurrency(lineTotal(items, item => item.originalPrice ?? item.price));
+  const ratio = previousDiscounted > 0 ? discountedTotal / previousDiscounted : 0;
+
+  const freeCashDiscount = Math.min(roundCurrency(previousFreeCash * ratio), discountedTotal);
+
+  let couponDiscount = previousCoupon;
+  const couponType = order.couponRedemption?.reversedAt ? null : order.couponRedemption?.type;
+  if (couponType === 'percentage') {
+    couponDiscount = Math.round(previousCoupon * ratio);
+  } else if (couponType === 'flat') {
+    couponDiscount = Math.min(previousCoupon, discountedTotal);
+  }
+  couponDiscount = Math.min(couponDiscount, Math.max(0, discountedTotal - freeCashDiscount + deliveryCharge));
+
+  const grandTotal = Math.max(0, roundCurrency(discountedTotal + deliveryCharge - freeCashDiscount - couponDiscount + donationAmount));
+
+  order.orderSummary = {
+    cartTotal,
+    discountedTotal,
+    deliveryCharge,
+    deliveryBreakdown: summary.deliveryBreakdown,
+    freeCashDiscount,
+    couponDiscount,
+    grandTotal
+  };
+  if (order.couponRedemption && !order.couponRedemption.reversedAt) {
+    order.couponRedemption.discount = couponDiscount;
+  }
+
+  return { previousGrandTotal: previousGrand, newGrandTotal: grandTotal };
+};
+
+// Keep the pending COD payment record in step with the amount to collect
+const syncCodPaymentAmount = async (order) => {
+  try {
+    await Payment.updateOne(
+      { orderId: order.orderNumber, paymentMethod: 'cod', paymentStatus: { $ne: 'success' } },
+      { $set: { amount: order.amount } }
+    );
+  } catch (error) {
+    console.error('❌ Failed to update COD payment amount:', error?.message || error);
+  }
+};
+
+/**
+ * Remove or reduce individual lines of an order before they are dispatched.
+ * Stock is restored for the removed quantity, the summary is recomputed and the difference is
+ * refunded (paid Razorpay orders) or taken off the amount to collect (COD / unpaid orders).
+ * @param {Object} order - Order document (saved by this function)
+ * @param {Array} changes - [{ itemId, quantity }] where quantity is the new quantity (0 removes the line)
+ * @param {Object} options
+ * @param {Object} [options.actor] - User document making the change
+ * @param {string} options.actorRole - customer | admin
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} { order, amendment, refund }
+ */
+export const amendOrderItems = async (order, changes, { actor = null, actorRole, reason } = {}) => {
+  if (!order) {
+    throw amendmentError('Order not found', 404);
+  }
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw amendmentError('Please specify the items to change');
+  }
+  if (CLOSED_STATUSES.includes(order.orderStatus)) {
+    throw amendmentError(`Items cannot be changed on a ${order.orderStatus} order`);
+  }
+  if (actorRole === 'customer' && order.orderStatus === 'out_for_delivery') {
+    throw amendmentError('Items can no longer be changed at this stage');
+  }
+
+  const lines = [];
+  const seen = new Set();
+  for (const change of changes) {
+    const itemId = String(change?.itemId || '');
+    const quantity = Number(change?.quantity);
+    if (seen.has(itemId)) {
+      throw amendmentError('Each item can only be changed once per request');
+    }
+    seen.add(itemId);
+
+    const item = order.cartItems.id(itemId);
+    if (!item) {
+      throw amendmentError('Item not found in this order', 404);
+    }
+    if (item.dispatchStatus !== 'pending') {
+      throw amendmentError(`"${item.productName}" has already been ${item.dispatchStatus} and cannot be changed`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity >= item.quantity) {
+      throw amendmentError(`New quantity for "${item.productName}" must be between 0 and ${item.quantity - 1}`);
+    }
+
+    lines.push({
+      itemId: item._id,
+      productId: item.productId,
+      productName: item.productName,
+      variantIndex: item.variantIndex,
+      variantLabel: item.variantLabel,
+      previousQuantity: item.quantity,
+      newQuantity: quantity,
+      unitPrice: item.price
+    });
+  }
+
+  const remainingPaidLines = order.cartItems.filter(item => {
+    const line = lines.find(entry => String(entry.itemId) === String(item._id));
+    const quantity = line ? line.newQuantity : item.quantity;
+    return quantity > 0 && !item.isFreeProduct;
+  });
+  if (remainingPaidLines.length === 0) {
+    throw amendmentError('This would remove every item. Please cancel the order instead.');
+  }
+
+  // Apply the changes
+  for (const line of lines) {
+    const item = order.cartItems.id(line.itemId);
+    if (line.newQuantity === 0) {
+      item.deleteOne();
+    } else {
+      item.quantity = line.newQuantity;
+    }
+  }
+
+  const { previousGrandTotal, newGrandTotal } = recomputeOrderSummary(order);
+  const difference = roundCurrency(previousGrandTotal - newGrandTotal);
+  const isPaidOnline = order.paymentMethod === 'razorpay' && ['paid', 'partially_refunded'].includes(order.paymentStatus);
+  const refundAmount = isPaidOnline ? Math.min(difference, order.getRefundableAmount()) : 0;
+
+  const amendment = {
+    lines,
+    previousGrandTotal,
+    newGrandTotal,
+    adjustmentAmount: isPaidOnline ? refundAmount : difference,
+    adjustmentType: difference > 0 ? (isPaidOnline ? 'refund' : 'amount_adjustment') : 'none',
+    refundId: null,
+    reason: reason || (actorRole === 'admin' ? 'Item unavailable' : 'Removed by customer'),
+    actor: actor?._id || null,
+    actorRole,
+    createdAt: new Date()
+  };
+  order.amendments = [...(order.amendments || []), amendment];
+
+  if (!isPaidOnline && difference > 0) {
+    order.amount = Math.max(0, roundCurrency(order.amount - difference));
+  }
+
+  // Remaining lines may all be out already, in which case the order moves on with them
+  const nextStatus = order.calculateOrderStatus();
+  if (canTransition(order.orderStatus, nextStatus)) {
+    applyStatusTransition(order, nextStatus, { actor, source: 'amendment' });
+  }
+
+  let refund = null;
+  if (refundAmount > 0) {
+    // issueRefund saves the order, so a gateway failure leaves it untouched
+    refund = await issueRefund(order, {
+      amount: refundAmount,
+      reason: amendment.reason,
+      initiatedBy: actor?._id || null,
+      source: 'amendment'
+    });
+    order.amendments[order.amendments.length - 1].refundId = refund.refundId;
+  }
+  await order.save();
+
+  await restoreLineStock(order, lines, { actor, actorRole, reason: amendment.reason });
+  if (order.paymentMethod === 'cod' && difference > 0) {
+    await syncCodPaymentAmount(order);
+  }
+
+  console.log(`✂️ Order ${order.orderNumber} amended by ${actorRole}: ${lines.length} line(s), ₹${previousGrandTotal} → ₹${newGrandTotal}`);
+
+  return { order, amendment: order.amendments[order.amendments.length - 1], refund };
+};
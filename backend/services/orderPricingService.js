@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import Product from '../models/productModel.js';
+import { resolveVariantInfoForItem } from '../utils/variantUtils.js';
+import { evaluateCoupon, buildCouponRedemption, normalizeCouponCode } from './couponService.js';
+import { resolveAddOns } from './addOnService.js';
+import { resolveDeliveryCharge, variantWeightKg } from './deliveryChargeService.js';
+
+// Client totals may differ from the server quote by rounding only (₹)
+export const PRICE_TOLERANCE = 1;
+
+const toAmount = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const roundCurrency = (value) => Math.round(toAmount(value) * 100) / 100;
+
+// A free product line is only honoured for the reward the user actually selected
+const isFreeLineAllowed = (item, userLike, alreadyGranted) => {
+  if (!item?.isFreeProduct || alreadyGranted) return false;
+  if (!userLike?.freeProductEligible || userLike?.freeProductUsed) return false;
+  const selected = userLike?.selectedFreeProductId;
+  return Boolean(selected) && String(selected) === String(item.productId);
+};
+
+/**
+ * Re-price a checkout from the catalogue.
+ * Every line is priced with Product#getVariantPrice (honours discount and cancelOffer) plus its add-ons,
+ * delivery comes from the delivery address (or the user's Location) and the delivery rules, and free cash from the variants' freeCashExpected.
+ * @param {Object} params
+ * @param {Array} params.cartItems - Items as sent by the client
+ * @param {Object} params.user - Authenticated user document
+ * @param {Object} [params.orderSummary] - Client summary (only used to read the free cash toggle)
+ * @param {Object} [params.donationDetails] - Optional donation added on top of the order
+ * @param {string} [params.couponCode] - Coupon entered at checkout; an invalid code is reported, not applied
+ * @param {boolean} [params.useFreeCash] - Defaults to whether the client summary applied free cash
+ * @param {Date} [params.deliveryAt] - Booked slot start; time-based delivery rules use it (defaults to now)
+ * @param {Object} [params.timeSettings] - TimeSettings document, when the caller already loaded it
+ * @param {Object} [params.deliveryAddress] - Address snapshot from addressService; its location and hostel drive delivery rules
+ * @returns {Promise<Object>} { items, orderSummary, amount, unavailableItems, coupon, couponRedemption, couponError }
+ */
+export const quoteOrder = async ({
+  cartItems,
+  user,
+  orderSummary = {},
+  donationDetails = null,
+  couponCode = null,
+  useFreeCash = toAmount(orderSummary?.freeCashDiscount) > 0,
+  deliveryAt = new Date(),
+  timeSettings = null,
+  deliveryAddress = null
+}) => {
+  const items = [];
+  const unavailableItems = [];
+  let freeLineGranted = false;
+  let cartTotal = 0;
+  let discountedTotal = 0;
+  let freeCashAvailable = 0;
+  let weightKg = 0;
+
+  for (const rawItem of Array.isArray(cartItems) ? cartItems : []) {
+    const quantity = Math.floor(toAmount(rawItem?.quantity));
+    const productId = rawItem?.productId;
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(String(productId)) || quantity < 1) {
+      unavailableItems.push({ productId: productId || null, productName: rawItem?.productName || null, reason: 'invalid_item' });
+      continue;
+    }
+
+    const product = await Product.findById(productId).select('name variants addOnGroups cancelOffer isActive category');
+    const variantIndex = Number.isInteger(rawItem?.variantIndex) ? rawItem.variantIndex : 0;
+
+    if (!product || product.isActive === false) {
+      unavailableItems.push({ productId, productName: rawItem?.productName || product?.name || null, reason: 'product_unavailable' });
+      continue;
+    }
+
+    const variantDoc = Array.isArray(product.variants) ? product.variants[variantIndex] : null;
+    if (!variantDoc) {
+      unavailableItems.push({ productId, productName: product.name, variantIndex, reason: 'variant_unavailable' });
+      continue;
+    }
+
+    const { variant, variantLabel } = resolveVariantInfoForItem({ variantIndex }, product);
+    const isFreeProduct = isFreeLineAllowed(rawItem, user, freeLineGranted);
+    if (isFreeProduct) freeLineGranted = true;
+
+    // Free reward lines go out as-is, without paid customizations
+    let addOns = [];
+    let addOnTotal = 0;
+    if (!isFreeProduct) {
+      try {
+        ({ addOns, addOnTotal } = resolveAddOns(product, rawItem?.addOns));
+      } catch (addOnError) {
+        unavailableItems.push({ productId, productName: product.name, variantIndex, reason: 'addons_invalid', message: addOnError.message });
+        continue;
+      }
+    }
+
+    const lineQuantity = isFreeProduct ? 1 : quantity;
+    const unitPrice = isFreeProduct ? 0 : Math.round(product.getVariantPrice(variantIndex)) + addOnTotal;
+    const unitOriginalPrice = isFreeProduct ? 0 : Math.round(toAmount(variantDoc.price)) + addOnTotal;
+
+    cartTotal += unitOriginalPrice * lineQuantity;
+    discountedTotal += unitPrice * lineQuantity;
+    weightKg += variantWeightKg(variantDoc) * lineQuantity;
+    if (!isFreeProduct) {
+      freeCashAvailable += toAmount(variantDoc.freeCashExpected) * lineQuantity;
+    }
+
+    items.push({
+      productId: product._id,
+      productName: product.name,
+      quantity: lineQuantity,
+      price: unitPrice,
+      originalPrice: unitOriginalPrice,
+      variantIndex,
+      variant,
+      // Always the catalogue's label, never the client's, so invoices and the kitchen show the real size
+      variantLabel: variantLabel || '',
+      isFreeProduct,
+      addOns,
+      addOnTotal,
+      categoryId: product.category || null,
+      // Kept so the diff can report what the client believed the line cost
+      clientPrice: rawItem?.isFreeProduct ? 0 : roundCurrency(rawItem?.price),
+      clientQuantity: quantity
+    });
+  }
+
+  const deliveryTarget = deliveryAddress
+    ? { location: deliveryAddress.locationId, hostel: deliveryAddress.hostelId }
+    : user;
+  const { deliveryCharge, breakdown: deliveryBreakdown } = await resolveDeliveryCharge(deliveryTarget, {
+    subtotal: roundCurrency(discountedTotal),
+    weightKg,
+    at: deliveryAt,
+    settings: timeSettings
+  });
+  const freeCashDiscount = useFreeCash ? Math.min(roundCurrency(freeCashAvailable), discountedTotal) : 0;
+  const donationAmount = Math.max(0, roundCurrency(donationDetails?.donationAmount));
+
+  let coupon = null;
+  let couponRedemption = null;
+  let couponError = null;
+  let couponDiscount = 0;
+  if (normalizeCouponCode(couponCode)) {
+    const result = await evaluateCoupon({
+      code: couponCode,
+      user,
+      items,
+      discountedTotal,
+      deliveryCharge,
+      freeCashDiscount
+    });
+    if (result.valid) {
+      couponDiscount = result.discount;
+      couponRedemption = buildCouponRedemption(result.coupon, couponDiscount);
+      coupon = {
+        code: result.coupon.code,
+        type: result.coupon.type,
+        description: result.coupon.description || '',
+        discount: couponDiscount
+      };
+    } else {
+      couponError = { code: result.code, message: result.message };
+    }
+  }
+
+  const grandTotal = Math.max(0, roundCurrency(discountedTotal + deliveryCharge - freeCashDiscount - couponDiscount + donationAmount));
+
+  return {
+    items,
+    unavailableItems,
+    orderSummary: {
+      cartTotal: roundCurrency(cartTotal),
+      discountedTotal: roundCurrency(discountedTotal),
+      deliveryCharge,
+      deliveryBreakdown,
+      freeCashDiscount,
+      couponDiscount,
+      grandTotal
+    },
+    coupon,
+    couponRedemption,
+    couponError,
+    donationAmount,
+    amount: Math.round(grandTotal * 100) // paise, as Razorpay expects
+  };
+};
+
+/**
+ * Compare what the client submitted with the server quote.
+ * @returns {{ hasDrift: boolean, fields: Array, items: Array }}
+ */
+export const diffQuote = ({ amount, orderSummary = {} }, quote) => {
+  const fields = [];
+  const compare = (field, clientValue, serverValue) => {
+    const client = roundCurrency(clientValue);
+    if (Math.abs(client - serverValue) > PRICE_TOLERANCE) {
+      fields.push({ field, client, server: serverValue });
+    }
+  };
+
+  compare('discountedTotal', orderSummary.discountedTotal, quote.orderSummary.discountedTotal);
+  compare('deliveryCharge', orderSummary.deliveryCharge, quote.orderSummary.deliveryCharge);
+  compare('freeCashDiscount', orderSummary.freeCashDiscount, quote.orderSummary.freeCashDiscount);
+  compare('couponDiscount', orderSummary.couponDiscount, quote.orderSummary.couponDiscount);
+  compare('grandTotal', orderSummary.grandTotal, quote.orderSummary.grandTotal);
+  compare('amount', toAmount(amount) / 100, quote.amount / 100);
+
+  const items = quote.items
+    .filter(item => Math.abs(item.clientPrice - item.price) > PRICE_TOLERANCE || item.clientQuantity !== item.quantity)
+    .map(item => ({
+      productId: item.productId,
+      productName: item.productName,
+      variantIndex: item.variantIndex,
+      variantLabel: item.variantLabel,
+      clientPrice: item.clientPrice,
+      serverPrice: item.price,
+      clientQuantity: item.clientQuantity,
+      serverQuantity: item.quantity
+    }));
+
+  return { hasDrift: fields.length > 0 || items.length > 0 || Boolean(quote.couponError), fields, items };
+};
+
+// Strip the diff-only bookkeeping before persisting lines on an Order/Payment snapshot
+export const toOrderLineItems = (quoteItems = []) => quoteItems.map(({ clientPrice, clientQuantity, categoryId, ...line }) => line);
@@ -0,0 +1,73 @@
+// Order lifecycle: placed → confirmed → preparing → ready → out_for_delivery → delivered.
+// Kitchen stages can be skipped (dispatch straight from placed still works) but never run backwards.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['placed', 'cancelled'],
+  placed: ['confirmed', 'preparing', 'ready', 'out_for_delivery', 'cancelled'],
+  confirmed: ['preparing', 'ready', 'out_for_delivery', 'cancelled'],
+  preparing: ['ready', 'out_for_delivery', 'cancelled'],
+  ready: ['out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Statuses where items are still waiting for the kitchen or dispatch
+export const KITCHEN_STATUSES = ['placed', 'confirmed', 'preparing', 'ready'];
+
+const orderStatusError = (message, code = 'INVALID_STATUS_TRANSITION', statusCode = 409) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatStatus = (status) => String(status || '').replace(/_/g, ' ');
+
+export const canTransition = (fromStatus, toStatus) =>
+  (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Staff act through the admin panel, so their entries read as admin changes
+const STATUS_ACTOR_ROLES = { admin: 'admin', staff: 'admin', delivery: 'delivery' };
+
+/**
+ * Build a statusHistory entry. Use directly with $push when an order is updated without save().
+ * @param {string} previousStatus
+ * @param {string} status
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - User document (or { _id, name, role }) that made the change; omitted for system changes
+ * @param {string} [options.source] - Flow that made the change, e.g. 'admin', 'dispatch', 'delivery', 'cancellation'
+ * @param {string} [options.note]
+ */
+export const buildStatusEntry = (previousStatus, status, { actor = null, source = 'system', note } = {}) => ({
+  status,
+  previousStatus: previousStatus || null,
+  actor: actor?._id || null,
+  actorName: actor?.name || null,
+  actorRole: actor ? (STATUS_ACTOR_ROLES[actor.role] || 'customer') : 'system',
+  source,
+  note: note || undefined,
+  changedAt: new Date()
+});
+
+/**
+ * Move an order to a new status and record who did it. The caller saves the order.
+ * @param {Object} order - Order document
+ * @param {string} toStatus
+ * @param {Object} [options] - See buildStatusEntry
+ * @returns {string|null} Previous status, or null when the order was already in toStatus
+ * @throws {Error} statusCode 409, code INVALID_STATUS_TRANSITION
+ */
+export const applyStatusTransition = (order, toStatus, options = {}) => {
+  const previousStatus = order.orderStatus;
+  if (previousStatus === toStatus) {
+    return null;
+  }
+
+  if (!canTransition(previousStatus, toStatus)) {
+    throw orderStatusError(`Order #${order.orderNumber} cannot move from ${formatStatus(previousStatus)} to ${formatStatus(toStatus)}`);
+  }
+
+  order.orderStatus = toStatus;
+  order.statusHistory = [...(order.statusHistory || []), buildStatusEntry(previousStatus, toStatus, options)];
+  return previousStatus;
+};
@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import Product from '../models/productModel.js';
+import ProductAlert, { PRODUCT_ALERT_TYPES } from '../models/productAlertModel.js';
+import User from '../models/userModel.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { getProductAlertEmailTemplate } from '../utils/productAlertEmailTemplate.js';
+import { formatVariantLabel } from '../utils/variantUtils.js';
+import { enqueueEmail } from './emailOutboxService.js';
+import { buildUnsubscribeLink, getListUnsubscribeHeaders, isEmailLinkSigningConfigured } from './emailPreferenceService.js';
+
+// "Notify me" alerts: customers watch a product variant for a restock or a price drop.
+// Stock changes (services/stockService.js) and product/discount edits call in here;
+// alerts go out as an in-app notification, a socket event and an email.
+
+const PRODUCT_FIELDS = 'name images variants isActive cancelOffer';
+
+const alertError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isObjectId = (value) => Boolean(value) && mongoose.Types.ObjectId.isValid(String(value));
+
+const currentPrice = (product, variantIndex) => Math.round(product.getVariantPrice(variantIndex));
+
+const isVariantAvailable = (product, variantIndex) => {
+  const variant = product?.variants?.[variantIndex];
+  if (!variant || product.isActive === false) return false;
+  return !variant.isStockActive || (Number(variant.stock) || 0) > 0;
+};
+
+/**
+ * Whether a stock change took a variant from sold out to orderable
+ * @param {Object} change - { stockBefore, stockAfter, isStockActiveBefore, isStockActiveAfter }
+ * @returns {boolean}
+ */
+export const isRestock = ({ stockBefore, stockAfter, isStockActiveBefore, isStockActiveAfter }) => {
+  const availableBefore = !isStockActiveBefore || (Number(stockBefore) || 0) > 0;
+  const availableAfter = !isStockActiveAfter || (Number(stockAfter) || 0) > 0;
+  return !availableBefore && availableAfter;
+};
+
+const loadProductVariant = async (productId, variantIndex) => {
+  const product = isObjectId(productId) ? await Product.findById(productId).select(PRODUCT_FIELDS) : null;
+  if (!product || product.isActive === false) {
+    throw alertError('Product not found', 'PRODUCT_NOT_FOUND', 404);
+  }
+  if (!product.variants[variantIndex]) {
+    throw alertError('Variant not found', 'VARIANT_NOT_FOUND', 404);
+  }
+  return product;
+};
+
+/**
+ * The current user's alerts, optionally for one product
+ * @param {string} userId
+ * @param {Object} [filter]
+ * @param {string} [filter.productId]
+ * @returns {Promise<Array>}
+ */
+export const listAlerts = async (userId, { productId } = {}) => {
+  const filter = { user: userId };
+  if (productId) {
+    if (!isObjectId(productId)) return [];
+    filter.product = productId;
+  }
+  return ProductAlert.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('product', 'name images')
+    .lean();
+};
+
+/**
+ * Start (or restart) watching a variant
+ * @param {string} userId
+ * @param {Object} params - { productId, variantIndex, type }
+ * @returns {Promise<Object>} The alert
+ * @throws {Error} 400 PRODUCT_ALERT_TYPE_INVALID, 404 PRODUCT_NOT_FOUND / VARIANT_NOT_FOUND, 409 PRODUCT_IN_STOCK
+ */
+export const createAlert = async (userId, { productId, variantIndex = 0, type } = {}) => {
+  if (!PRODUCT_ALERT_TYPES.includes(type)) {
+    throw alertError('Unknown alert type', 'PRODUCT_ALERT_TYPE_INVALID');
+  }
+  const index = Math.max(parseInt(variantIndex, 10) || 0, 0);
+  const product = await loadProductVariant(productId, index);
+
+  if (type === 'back_in_stock' && isVariantAvailable(product, index)) {
+    throw alertError('This item is in stock and can be ordered now', 'PRODUCT_IN_STOCK', 409);
+  }
+
+  return ProductAlert.findOneAndUpdate(
+    { user: userId, product: product._id, variantIndex: index, type },
+    { $set: { status: 'active', referencePrice: currentPrice(product, index) } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * @param {string} userId
+ * @param {string} alertId
+ * @throws {Error} 404 PRODUCT_ALERT_NOT_FOUND
+ */
+export const removeAlert = async (userId, alertId) => {
+  const result = isObjectId(alertId)
+    ? await ProductAlert.deleteOne({ _id: alertId, user: userId })
+    : { deletedCount: 0 };
+  if (!result.deletedCount) {
+    throw alertError('Alert not found', 'PRODUCT_ALERT_NOT_FOUND', 404);
+  }
+};
+
+const deliverAlert = async (alert, product, { price, previousPrice = null }) => {
+  const user = await User.findById(alert.user).select('_id email name').lean();
+  if (!user) return;
+
+  const variant = product.variants[alert.variantIndex];
+  const variantLabel = formatVariantLabel(variant);
+  const label = variantLabel ? `${product.name} (${variantLabel})` : product.name;
+  const isPriceDrop = alert.type === 'price_drop';
+  const title = isPriceDrop ? 'Price Drop' : 'Back in Stock';
+  const message = isPriceDrop
+    ? `${label} is now ₹${price} (was ₹${previousPrice}).`
+    : `${label} is available again. Order before it sells out!`;
+  const data = { productId: product._id, variantIndex: alert.variantIndex, price, previousPrice };
+
+  try {
+    await createNotification(user._id, null, alert.type, title, message, data);
+  } catch (notificationError) {
+    console.error('⚠️ Failed to create product alert notification (non-critical):', notificationError?.message || notificationError);
+  }
+
+  const socketId = global.connectedUsers?.get(String(user._id));
+  if (global.io && socketId) {
+    global.io.to(socketId).emit('newNotification', { type: alert.type, title, message, ...data });
+  }
+
+  // The in-app alert still goes out when emails can't carry a signed unsubscribe link
+  if (!user.email || !isEmailLinkSigningConfigured()) return;
+
+  const { subject, html } = getProductAlertEmailTemplate({
+    type: alert.type,
+    name: user.name,
+    productName: product.name,
+    variantLabel,
+    image: product.images?.[0] || null,
+    price,
+    previousPrice,
+    productUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/product/${product._id}`,
+    unsubscribeUrl: buildUnsubscribeLink(user.email, 'productAlerts')
+  });
+  await enqueueEmail({
+    kind: 'product-alert',
+    category: 'productAlerts',
+    idempotencyKey: `product-alert:${alert._id}:${new Date(alert.lastNotifiedAt).getTime()}`,
+    recipient: user.email,
+    message: {
+      from: {
+        name: 'La Pâtisserie',
+        address: process.env.EMAIL_USER || 'lapatisserielapatisserie@gmail.com'
+      },
+      to: user.email,
+      subject,
+      html,
+      headers: getListUnsubscribeHeaders(user.email, 'productAlerts')
+    }
+  });
+};
+
+/**
+ * Tell everyone waiting on a variant that it can be ordered again. Each alert fires once.
+ * @param {string} productId
+ * @param {number} variantIndex
+ * @returns {Promise<number>} Alerts sent
+ */
+export const sendRestockAlerts = async (productId, variantIndex) => {
+  const product = await Product.findById(productId).select(PRODUCT_FIELDS);
+  if (!isVariantAvailable(product, variantIndex)) return 0;
+
+  const waiting = await ProductAlert.find({ product: product._id, variantIndex, type: 'back_in_stock', status: 'active' })
+    .select('_id')
+    .lean();
+
+  let sent = 0;
+  for (const { _id } of waiting) {
+    // Claim first so overlapping restocks can't alert the same person twice
+    const alert = await ProductAlert.findOneAndUpdate(
+      { _id, status: 'active' },
+      { $set: { status: 'notified', lastNotifiedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!alert) continue;
+
+    try {
+      await deliverAlert(alert, product, { price: currentPrice(product, variantIndex) });
+      sent += 1;
+    } catch (error) {
+      console.error(`❌ Back-in-stock alert ${alert._id} failed:`, error?.message || error);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Alert watchers of any variant now cheaper than the price they last saw from us.
+ * Sold-out variants wait until they are back.
+ * @param {string} productId
+ * @returns {Promise<number>} Alerts sent
+ */
+export const sendPriceDropAlerts = async (productId) => {
+  const product = await Product.findById(productId).select(PRODUCT_FIELDS);
+  if (!product || product.isActive === false) return 0;
+
+  let sent = 0;
+  for (const variantIndex of product.variants.keys()) {
+    if (!isVariantAvailable(product, variantIndex)) continue;
+    const price = currentPrice(product, variantIndex);
+
+    const watching = await ProductAlert.find({
+      product: product._id,
+      variantIndex,
+      type: 'price_drop',
+      status: 'active',
+      referencePrice: { $gt: price }
+    }).select('_id referencePrice').lean();
+
+    for (const { _id, referencePrice } of watching) {
+      // The next drop is measured from this price
+      const alert = await ProductAlert.findOneAndUpdate(
+        { _id, referencePrice },
+        { $set: { referencePrice: price, lastNotifiedAt: new Date() } },
+        { new: true }
+      ).lean();
+      if (!alert) continue;
+
+      try {
+        await deliverAlert(alert, product, { price, previousPrice: referencePrice });
+        sent += 1;
+      } catch (error) {
+        console.error(`❌ Price-drop alert ${alert._id} failed:`, error?.message || error);
+      }
+    }
+  }
+  return sent;
+};
+
+/**
+ * Fire-and-forget versions for request handlers and stock updates: alerts must never fail
+ * or slow down the change that triggered them.
+ */
+export const queueRestockAlerts = (productId, variantIndex) => {
+  setImmediate(() => {
+    sendRestockAlerts(productId, variantIndex).catch(error => {
+      console.error('❌ Back-in-stock alerts failed:', error?.message || error);
+    });
+  });
+};
+
+export const queuePriceDropAlerts = (productId) => {
+  setImmediate(() => {
+    sendPriceDropAlerts(productId).catch(error => {
+      console.error('❌ Price-drop alerts failed:', error?.message || error);
+    });
+  });
+};
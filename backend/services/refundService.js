@@ -0,0 +1,248 @@
+import Razorpay from 'razorpay';
+import Order from '../models/orderModel.js';
+import Payment from '../models/paymentModel.js';
+import { emitPaymentUpdate } from '../utils/socketEvents.js';
+import { sendRefundNotification } from '../utils/orderEmailService.js';
+import { createRazorpayStub, isRazorpayStubEnabled } from '../utils/razorpayStub.js';
+
+let razorpayClient = null;
+
+// Lazily build the gateway client so a stub can be swapped in before first use
+const getRazorpayClient = () => {
+  if (!razorpayClient) {
+    razorpayClient = isRazorpayStubEnabled()
+      ? createRazorpayStub()
+      : new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET,
+      });
+  }
+  return razorpayClient;
+};
+
+/**
+ * Replace the Razorpay client used for refunds (e.g. with createRazorpayStub()).
+ * Pass null to fall back to the environment-configured client.
+ */
+export const setRefundGatewayClient = (client) => {
+  razorpayClient = client;
+};
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Razorpay refund statuses are pending / processed / failed; anything else is still in flight
+const mapGatewayStatus = (status) => (['processed', 'failed'].includes(status) ? status : 'pending');
+
+// Derive paymentStatus and the legacy refundDetails summary from the refund history
+const syncRefundState = (order) => {
+  const refunds = order.refunds || [];
+  const processedTotal = refunds
+    .filter(refund => refund.status === 'processed')
+    .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+  if (processedTotal > 0) {
+    order.paymentStatus = processedTotal >= (order.amount || 0) - 0.01 ? 'refunded' : 'partially_refunded';
+  }
+
+  const latest = refunds[refunds.length - 1];
+  if (latest) {
+    order.refundDetails = {
+      refundId: latest.refundId,
+      refundAmount: latest.amount,
+      refundDate: latest.processedAt || latest.createdAt,
+      refundStatus: latest.status
+    };
+  }
+};
+
+// Mirror refunds onto the Payment record and notify admin dashboards
+const syncPaymentRecord = async (order, refund, source) => {
+  try {
+    const payment = await Payment.findOne(
+      order.razorpayPaymentId
+        ? { gatewayPaymentId: order.razorpayPaymentId }
+        : { orderId: order.orderNumber, paymentMethod: 'razorpay' }
+    );
+    if (!payment) {
+      emitPaymentUpdate(null, {
+        orderId: order.orderNumber,
+        status: order.paymentStatus,
+        amount: order.amount,
+        paymentMethod: order.paymentMethod,
+        userId: order.userId,
+        source,
+        metadata: { refundId: refund.refundId, refundAmount: refund.amount, refundStatus: refund.status }
+      });
+      return;
+    }
+
+    const previousStatus = payment.paymentStatus;
+    payment.meta = {
+      ...(payment.meta || {}),
+      refunds: (order.refunds || []).map(entry => ({
+        refundId: entry.refundId,
+        amount: entry.amount,
+        status: entry.status,
+        processedAt: entry.processedAt
+      }))
+    };
+    if (order.paymentStatus === 'refunded') {
+      payment.paymentStatus = 'refunded';
+    }
+    await payment.save();
+
+    emitPaymentUpdate(payment, {
+      previousStatus,
+      source,
+      metadata: { refundId: refund.refundId, refundAmount: refund.amount, refundStatus: refund.status }
+    });
+  } catch (error) {
+    console.error('❌ Failed to sync payment record for refund:', error?.message || error);
+  }
+};
+
+const notifyCustomer = (order, refund) => {
+  const email = order.userDetails?.email;
+  if (!email) return;
+  setImmediate(async () => {
+    await sendRefundNotification({ orderNumber: order.orderNumber }, refund, email);
+  });
+};
+
+/**
+ * Issue a full or partial Razorpay refund for a paid order.
+ * @param {Object} order - Order document (saved by this function)
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Rupees to refund; defaults to everything still refundable
+ * @param {string} [options.reason]
+ * @param {string} [options.initiatedBy] - User id of the actor
+ * @param {string} [options.source] - user_cancellation | admin | amendment
+ * @returns {Promise<Object>} The refund entry stored on the order
+ */
+export const issueRefund = async (order, { amount, reason, initiatedBy = null, source = 'admin' } = {}) => {
+  if (!order) {
+    throw refundError('Order not found', 404);
+  }
+  if (order.paymentMethod !== 'razorpay') {
+    throw refundError('Only online payments can be refunded');
+  }
+  if (!order.razorpayPaymentId) {
+    throw refundError('This order has no captured payment to refund');
+  }
+  if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+    throw refundError(`Cannot refund an order with payment status "${order.paymentStatus}"`);
+  }
+
+  const refundable = order.getRefundableAmount();
+  const refundAmount = amount === undefined || amount === null ? refundable : roundCurrency(amount);
+  if (!(refundAmount > 0)) {
+    throw refundError('Refund amount must be greater than zero');
+  }
+  if (refundAmount > refundable) {
+    throw refundError(`Refund amount exceeds the refundable balance of ₹${refundable}`);
+  }
+
+  const sequence = (order.refunds || []).length + 1;
+  let gatewayRefund;
+  try {
+    gatewayRefund = await getRazorpayClient().payments.refund(order.razorpayPaymentId, {
+      amount: Math.round(refundAmount * 100),
+      speed: 'normal',
+      receipt: `${order.orderNumber}-R${sequence}`,
+      notes: {
+        orderNumber: order.orderNumber,
+        reason: reason || ''
+      }
+    });
+  } catch (gatewayError) {
+    const message = gatewayError?.error?.description || gatewayError?.message || 'Refund request failed';
+    console.error('❌ Razorpay refund failed:', order.orderNumber, message);
+    throw refundError(message, 502);
+  }
+
+  const status = mapGatewayStatus(gatewayRefund?.status);
+  const entry = {
+    refundId: gatewayRefund.id,
+    amount: refundAmount,
+    status,
+    reason,
+    initiatedBy,
+    source,
+    processedAt: status === 'processed' ? new Date() : null,
+    createdAt: new Date()
+  };
+
+  order.refunds = [...(order.refunds || []), entry];
+  syncRefundState(order);
+  await order.save();
+
+  console.log(`💸 Refund ${entry.refundId} (${status}) of ₹${refundAmount} issued for order ${order.orderNumber}`);
+
+  await syncPaymentRecord(order, entry, 'refund');
+  if (status === 'processed') {
+    notifyCustomer(order, entry);
+  }
+
+  return entry;
+};
+
+/**
+ * Reconcile a refund.processed / refund.failed webhook with the order.
+ * Refunds created directly on the Razorpay dashboard are added to the history.
+ * @returns {Promise<Object|null>} Updated order, or null when no order matches
+ */
+export const reconcileRefundWebhook = async (eventName, refundEntity) => {
+  if (!refundEntity?.id) return null;
+
+  const order = await Order.findOne({ 'refunds.refundId': refundEntity.id })
+    || await Order.findOne({ razorpayPaymentId: refundEntity.payment_id });
+  if (!order) {
+    console.warn('⚠️ Refund webhook for unknown payment:', refundEntity.payment_id);
+    return null;
+  }
+
+  const nextStatus = eventName === 'refund.failed' ? 'failed' : mapGatewayStatus(refundEntity.status);
+  let entry = (order.refunds || []).find(refund => refund.refundId === refundEntity.id);
+
+  if (!entry) {
+    order.refunds.push({
+      refundId: refundEntity.id,
+      amount: roundCurrency((refundEntity.amount || 0) / 100),
+      status: 'pending',
+      reason: refundEntity.notes?.reason || 'Refund issued from payment gateway',
+      source: 'gateway',
+      createdAt: refundEntity.created_at ? new Date(refundEntity.created_at * 1000) : new Date()
+    });
+    entry = order.refunds[order.refunds.length - 1];
+  }
+
+  if (entry.status === nextStatus) {
+    return order; // Already reconciled (webhooks can be delivered more than once)
+  }
+
+  entry.status = nextStatus;
+  if (nextStatus === 'processed') {
+    entry.processedAt = new Date();
+  }
+  if (nextStatus === 'failed') {
+    entry.failureReason = refundEntity.error_description || refundEntity.notes?.failure_reason || 'Refund failed at gateway';
+  }
+
+  syncRefundState(order);
+  await order.save();
+
+  console.log(`💸 Refund ${entry.refundId} for order ${order.orderNumber} is now ${nextStatus}`);
+
+  await syncPaymentRecord(order, entry, 'webhook');
+  if (['processed', 'failed'].includes(nextStatus)) {
+    notifyCustomer(order, entry);
+  }
+
+  return order;
+};
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import Product from '../models/productModel.js';
+import Review from '../models/reviewModel.js';
+import { cache } from '../utils/cache.js';
+
+const roundRating = (value) => Math.round((value || 0) * 10) / 10;
+
+/**
+ * Find the delivered order that lets a customer review a product variant.
+ * A whole order marked delivered counts, as does a single line delivered on its own.
+ * @returns {Promise<Object|null>} Lean order with the matching line, or null when not a verified buyer
+ */
+export const findEligibleOrder = async (userId, productId, variantIndex = 0) => {
+  if (!mongoose.Types.ObjectId.isValid(String(productId))) return null;
+
+  const productObjectId = new mongoose.Types.ObjectId(String(productId));
+  const index = Number(variantIndex) || 0;
+
+  const order = await Order.findOne({
+    userId,
+    $or: [
+      { orderStatus: 'delivered', cartItems: { $elemMatch: { productId: productObjectId, variantIndex: index } } },
+      { cartItems: { $elemMatch: { productId: productObjectId, variantIndex: index, dispatchStatus: 'delivered' } } }
+    ]
+  })
+    .sort({ createdAt: -1 })
+    .select('orderNumber orderStatus cartItems createdAt')
+    .lean();
+
+  if (!order) return null;
+
+  const line = order.cartItems.find(item =>
+    item.productId?.toString() === productObjectId.toString() && (item.variantIndex || 0) === index
+  );
+  return { ...order, line };
+};
+
+/**
+ * Variants of a product the customer has received, with the review already written for each.
+ * @returns {Promise<Array<{variantIndex, variantLabel, orderId, orderNumber, review}>>}
+ */
+export const getReviewableVariants = async (userId, productId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(productId))) return [];
+
+  const productObjectId = new mongoose.Types.ObjectId(String(productId));
+  const [orders, reviews] = await Promise.all([
+    Order.find({
+      userId,
+      'cartItems.productId': productObjectId,
+      $or: [{ orderStatus: 'delivered' }, { 'cartItems.dispatchStatus': 'delivered' }]
+    })
+      .sort({ createdAt: -1 })
+      .select('orderNumber orderStatus cartItems')
+      .lean(),
+    Review.find({ userId, productId: productObjectId }).lean()
+  ]);
+
+  const variants = new Map();
+  for (const order of orders) {
+    for (const item of order.cartItems) {
+      if (item.productId?.toString() !== productObjectId.toString()) continue;
+      if (order.orderStatus !== 'delivered' && item.dispatchStatus !== 'delivered') continue;
+      const variantIndex = item.variantIndex || 0;
+      if (variants.has(variantIndex)) continue;
+      variants.set(variantIndex, {
+        variantIndex,
+        variantLabel: item.variantLabel || '',
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        review: reviews.find(review => review.variantIndex === variantIndex) || null
+      });
+    }
+  }
+
+  return [...variants.values()].sort((a, b) => a.variantIndex - b.variantIndex);
+};
+
+/**
+ * Rebuild a product's rating summary from its approved reviews.
+ * Call after any review is approved, rejected or deleted.
+ * @returns {Promise<{average: number, count: number}>}
+ */
+export const recalculateProductRating = async (productId) => {
+  const productObjectId = new mongoose.Types.ObjectId(String(productId));
+
+  const rows = await Review.aggregate([
+    { $match: { productId: productObjectId, status: 'approved' } },
+    { $group: { _id: '$variantIndex', total: { $sum: '$rating' }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const total = rows.reduce((sum, row) => sum + row.total, 0);
+  const count = rows.reduce((sum, row) => sum + row.count, 0);
+  const rating = { average: count > 0 ? roundRating(total / count) : 0, count };
+
+  await Product.updateOne(
+    { _id: productObjectId },
+    {
+      $set: {
+        rating,
+        variantRatings: rows.map(row => ({
+          variantIndex: row._id,
+          average: roundRating(row.total / row.count),
+          count: row.count
+        }))
+      }
+    }
+  );
+
+  // Product listings are cached and now carry stale ratings
+  cache.clear();
+
+  return rating;
+};
@@ -0,0 +1,191 @@
+import mongoose from 'mongoose';
+import Location from '../models/locationModel.js';
+import Hostel from '../models/hostelModel.js';
+import TimeSettings from '../models/timeSettingsModel.js';
+import { resolveDeliveryCharge } from './deliveryChargeService.js';
+
+// Admin zones are limited so a typo can't swallow a whole city
+const MAX_RADIUS_KM = 50;
+const MAX_POLYGON_POINTS = 200;
+const LOCATION_FIELDS = 'city area pincode deliveryCharge isActive etaMinutes radiusKm';
+
+const serviceabilityError = (message, code = 'INVALID_SERVICEABILITY_QUERY', statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toCoordinate = (value, min, max, label) => {
+  const parsed = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw serviceabilityError(`Invalid ${label}`);
+  }
+  return parsed;
+};
+
+export const normalizePincode = (value) => {
+  const pincode = String(value ?? '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(pincode)) {
+    throw serviceabilityError('Pincode must be 6 digits');
+  }
+  return pincode;
+};
+
+/**
+ * Validate an admin zone and turn it into Location fields.
+ * Points come in as { lat, lng } (or [lat, lng]) the way admins read them off a map; GeoJSON stores [lng, lat].
+ * @param {Object} zone
+ * @param {'none'|'radius'|'polygon'} zone.mode
+ * @param {{ lat: number, lng: number }} [zone.center] - radius mode
+ * @param {number} [zone.radiusKm] - radius mode
+ * @param {Array} [zone.polygon] - polygon mode, at least 3 points
+ * @returns {{ serviceArea: Object|undefined, center: Object|undefined, radiusKm: number|null }}
+ */
+export const buildServiceZone = ({ mode, center, radiusKm, polygon } = {}) => {
+  const toLngLat = (point) => {
+    const lat = Array.isArray(point) ? point[0] : point?.lat;
+    const lng = Array.isArray(point) ? point[1] : point?.lng;
+    return [toCoordinate(lng, -180, 180, 'longitude'), toCoordinate(lat, -90, 90, 'latitude')];
+  };
+
+  if (mode === 'none') {
+    return { serviceArea: undefined, center: undefined, radiusKm: null };
+  }
+
+  if (mode === 'radius') {
+    const radius = Number(radiusKm);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      throw serviceabilityError(`Radius must be between 0 and ${MAX_RADIUS_KM} km`);
+    }
+    return { serviceArea: undefined, center: { type: 'Point', coordinates: toLngLat(center) }, radiusKm: radius };
+  }
+
+  if (mode === 'polygon') {
+    if (!Array.isArray(polygon) || polygon.length < 3 || polygon.length > MAX_POLYGON_POINTS) {
+      throw serviceabilityError(`A zone needs between 3 and ${MAX_POLYGON_POINTS} points`);
+    }
+    const ring = polygon.map(toLngLat);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push([...first]);
+    if (new Set(ring.map(point => point.join(','))).size < 3) {
+      throw serviceabilityError('A zone needs at least 3 different points');
+    }
+    return { serviceArea: { type: 'Polygon', coordinates: [ring] }, center: undefined, radiusKm: null };
+  }
+
+  throw serviceabilityError('Zone mode must be none, radius or polygon');
+};
+
+// Locations whose drawn polygon contains the point
+const findByPolygon = (point) => Location.find({
+  isActive: true,
+  serviceArea: { $geoIntersects: { $geometry: point } }
+}).select(LOCATION_FIELDS).lean();
+
+// Locations whose radius zone reaches the point, nearest first
+const findByRadius = async (point) => {
+  const candidates = await Location.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'center',
+        distanceField: 'distanceMeters',
+        maxDistance: MAX_RADIUS_KM * 1000,
+        spherical: true,
+        query: { isActive: true, radiusKm: { $gt: 0 } }
+      }
+    },
+    { $project: { city: 1, area: 1, pincode: 1, deliveryCharge: 1, isActive: 1, etaMinutes: 1, radiusKm: 1, distanceMeters: 1 } }
+  ]);
+  return candidates.filter(location => location.distanceMeters <= location.radiusKm * 1000);
+};
+
+const findLocations = async ({ pincode, lat, lng, locationId }) => {
+  if (locationId) {
+    if (!mongoose.Types.ObjectId.isValid(String(locationId))) {
+      throw serviceabilityError('Invalid location id');
+    }
+    const location = await Location.findOne({ _id: locationId, isActive: true }).select(LOCATION_FIELDS).lean();
+    return { matchedBy: 'location', locations: location ? [location] : [] };
+  }
+
+  if (lat !== undefined || lng !== undefined) {
+    const point = {
+      type: 'Point',
+      coordinates: [toCoordinate(lng, -180, 180, 'longitude'), toCoordinate(lat, -90, 90, 'latitude')]
+    };
+    // A drawn polygon is more precise than a radius, so it wins when both match
+    const byPolygon = await findByPolygon(point);
+    if (byPolygon.length > 0) return { matchedBy: 'polygon', locations: byPolygon };
+    return { matchedBy: 'radius', locations: await findByRadius(point) };
+  }
+
+  if (pincode !== undefined) {
+    const locations = await Location.find({ pincode: normalizePincode(pincode), isActive: true })
+      .select(LOCATION_FIELDS)
+      .sort('area')
+      .lean();
+    return { matchedBy: 'pincode', locations };
+  }
+
+  throw serviceabilityError('Provide a pincode or a latitude and longitude');
+};
+
+const toPublicLocation = (location) => ({
+  _id: location._id,
+  city: location.city,
+  area: location.area,
+  pincode: location.pincode,
+  ...(Number.isFinite(location.distanceMeters) ? { distanceKm: Math.round(location.distanceMeters / 100) / 10 } : {})
+});
+
+/**
+ * Whether we deliver to a pincode, a map point or a saved Location, and on what terms.
+ * Everything is answered from Mongo (2dsphere zones and Location pincodes), with no external geocoding.
+ * @param {Object} query
+ * @param {string} [query.pincode]
+ * @param {number|string} [query.lat]
+ * @param {number|string} [query.lng]
+ * @param {string} [query.locationId] - Re-check a location the customer already picked
+ * @param {number} [query.subtotal] - Cart value, for free delivery thresholds
+ * @returns {Promise<Object>} { serviceable, matchedBy, location, alternatives, hostels, deliveryCharge, deliveryBreakdown, eta }
+ */
+export const checkServiceability = async ({ pincode, lat, lng, locationId, subtotal = 0 } = {}) => {
+  const { matchedBy, locations } = await findLocations({ pincode, lat, lng, locationId });
+
+  if (locations.length === 0) {
+    return {
+      serviceable: false,
+      matchedBy,
+      message: matchedBy === 'pincode'
+        ? "We don't deliver to this pincode yet"
+        : "We don't deliver to this address yet"
+    };
+  }
+
+  const [location, ...others] = locations;
+  const settings = await TimeSettings.getCurrentSettings();
+  // Anonymous check, so hostel-specific rules only show up in the signed-in cart quote
+  const [hostels, delivery] = await Promise.all([
+    Hostel.find({ locationId: location._id, isActive: true }).select('name address').sort('name').lean(),
+    resolveDeliveryCharge({ location: location._id }, { subtotal: Math.max(0, Number(subtotal) || 0), settings })
+  ]);
+
+  const shopOpen = settings.isShopOpen();
+  return {
+    serviceable: true,
+    matchedBy,
+    location: toPublicLocation(location),
+    alternatives: others.map(toPublicLocation),
+    hostels,
+    deliveryCharge: delivery.deliveryCharge,
+    deliveryBreakdown: delivery.breakdown,
+    eta: {
+      minutes: location.etaMinutes || 45,
+      shopOpen,
+      nextOpening: shopOpen ? null : settings.getNextOpeningTime()
+    }
+  };
+};
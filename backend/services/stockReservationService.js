@@ -0,0 +1,271 @@
+import Product from '../models/productModel.js';
+import Order from '../models/orderModel.js';
+import StockHold from '../models/stockHoldModel.js';
+import { adjustVariantStock } from './stockService.js';
+
+const DEFAULT_HOLD_MINUTES = 15;
+
+export const getHoldDurationMinutes = () => {
+  const minutes = parseFloat(process.env.STOCK_HOLD_MINUTES || String(DEFAULT_HOLD_MINUTES));
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES;
+};
+
+const variantKey = (productId, variantIndex) => `${productId}:${variantIndex}`;
+
+const resolveVariantIndex = (line) => (Number.isInteger(line?.variantIndex) ? line.variantIndex : 0);
+
+// Combine lines for the same variant so a cart can't pass the check twice with split quantities
+const groupLinesByVariant = (lines = []) => {
+  const groups = new Map();
+  for (const line of lines) {
+    const quantity = Number(line?.quantity) || 0;
+    if (!line?.productId || quantity <= 0) continue;
+    const variantIndex = resolveVariantIndex(line);
+    const key = variantKey(line.productId, variantIndex);
+    const group = groups.get(key) || {
+      productId: line.productId,
+      productName: line.productName || line.name,
+      variantIndex,
+      variantLabel: line.variantLabel || '',
+      quantity: 0
+    };
+    group.quantity += quantity;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Put back stock taken by reserveVariantStock (e.g. when the order could not be saved).
+ */
+export const returnReservedStock = async (reserved = [], { order = null, note } = {}) => {
+  for (const taken of reserved) {
+    await adjustVariantStock({
+      productId: taken.productId,
+      variantIndex: taken.variantIndex,
+      delta: taken.quantity,
+      reason: 'hold_released',
+      order,
+      variantLabel: taken.variantLabel,
+      note
+    });
+  }
+};
+
+/**
+ * Take stock for every tracked variant in the lines, or nothing at all.
+ * Each decrement is a conditional $inc, so two checkouts can never both take the last unit.
+ * @param {Array} lines - Order lines (productId, variantIndex, quantity)
+ * @param {Object} options
+ * @param {string} options.reason - StockMovement reason for the decrement
+ * @param {Object} [options.order] - { _id, orderNumber } reference for the ledger
+ * @param {Object} [options.actor]
+ * @returns {Promise<Object>} { ok, reserved, failed }
+ */
+export const reserveVariantStock = async (lines, { reason, order = null, actor = null } = {}) => {
+  const reserved = [];
+
+  for (const group of groupLinesByVariant(lines)) {
+    const product = await Product.findById(group.productId).select('name variants');
+    const variant = product?.variants?.[group.variantIndex];
+    if (!variant?.isStockActive) continue; // Untracked variants are never short
+
+    const result = await adjustVariantStock({
+      productId: group.productId,
+      variantIndex: group.variantIndex,
+      delta: -group.quantity,
+      reason,
+      order,
+      variantLabel: group.variantLabel,
+      actor,
+      requireAvailable: true
+    });
+
+    if (!result.applied) {
+      // Give back what this cart already took before reporting the shortfall
+      await returnReservedStock(reserved, { order, note: 'Reservation rolled back: another item was out of stock' });
+      return {
+        ok: false,
+        reserved: [],
+        failed: {
+          productId: group.productId,
+          productName: product?.name || group.productName,
+          variantIndex: group.variantIndex,
+          variantLabel: group.variantLabel,
+          requested: group.quantity,
+          available: Math.max(0, Number(variant.stock) || 0)
+        }
+      };
+    }
+
+    reserved.push({ ...group, productName: product.name });
+  }
+
+  return { ok: true, reserved, failed: null };
+};
+
+/**
+ * Hold stock while the customer pays online. Holds expire after STOCK_HOLD_MINUTES.
+ * @returns {Promise<Object>} { ok, holds, failed, expiresAt }
+ */
+export const placeCheckoutHolds = async ({ lines, orderNumber, gatewayOrderId = null, userId = null }) => {
+  const reservation = await reserveVariantStock(lines, {
+    reason: 'checkout_hold',
+    order: { orderNumber }
+  });
+  if (!reservation.ok) {
+    return { ok: false, holds: [], failed: reservation.failed, expiresAt: null };
+  }
+
+  const expiresAt = new Date(Date.now() + getHoldDurationMinutes() * 60 * 1000);
+  const holds = reservation.reserved.length > 0
+    ? await StockHold.insertMany(reservation.reserved.map(entry => ({
+      productId: entry.productId,
+      productName: entry.productName,
+      variantIndex: entry.variantIndex,
+      variantLabel: entry.variantLabel,
+      quantity: entry.quantity,
+      orderNumber,
+      gatewayOrderId,
+      userId,
+      expiresAt
+    })))
+    : [];
+
+  if (holds.length > 0) {
+    console.log(`🔒 Placed ${holds.length} stock hold(s) for ${orderNumber} until ${expiresAt.toISOString()}`);
+  }
+  return { ok: true, holds, failed: null, expiresAt };
+};
+
+// Flip a hold out of "active" exactly once; concurrent callers get null
+const claimActiveHold = (holdId, update) => StockHold.findOneAndUpdate(
+  { _id: holdId, status: 'active' },
+  { $set: update },
+  { new: true }
+);
+
+/**
+ * Put held units back in stock (payment cancelled, failed or timed out).
+ * @param {Object} filter - { orderNumber } or { gatewayOrderId }, or any StockHold filter
+ * @param {Object} [options]
+ * @param {string} [options.status] - released | expired
+ * @param {string} [options.reason]
+ * @returns {Promise<number>} Number of holds released
+ */
+export const releaseCheckoutHolds = async (filter, { status = 'released', reason = null } = {}) => {
+  const holds = await StockHold.find({ ...filter, status: 'active' });
+  let released = 0;
+
+  for (const hold of holds) {
+    const claimed = await claimActiveHold(hold._id, {
+      status,
+      releasedAt: new Date(),
+      releaseReason: reason
+    });
+    if (!claimed) continue;
+
+    await adjustVariantStock({
+      productId: hold.productId,
+      variantIndex: hold.variantIndex,
+      delta: hold.quantity,
+      reason: 'hold_released',
+      order: { orderNumber: hold.orderNumber },
+      variantLabel: hold.variantLabel,
+      note: reason
+    });
+    released++;
+  }
+
+  if (released > 0) {
+    console.log(`🔓 Released ${released} stock hold(s) (${status}${reason ? `: ${reason}` : ''})`);
+  }
+  return released;
+};
+
+/**
+ * Turn the checkout holds of a paid order into sold stock. Lines whose hold already lapsed
+ * (or that never had one) are decremented now. Safe to call from both verifyPayment and the webhook.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { committed, converted, shortfalls }
+ */
+export const commitOrderStock = async (order) => {
+  if (!order?._id) return { committed: false, converted: 0, shortfalls: [] };
+
+  const committedAt = new Date();
+  const claimed = await Order.updateOne(
+    { _id: order._id, stockCommittedAt: null },
+    { $set: { stockCommittedAt: committedAt } }
+  );
+  if (!claimed.modifiedCount) {
+    return { committed: false, converted: 0, shortfalls: [] };
+  }
+  order.stockCommittedAt = committedAt;
+
+  const covered = new Map();
+  const holds = await StockHold.find({ orderNumber: order.orderNumber, status: 'active' });
+  for (const hold of holds) {
+    const converted = await claimActiveHold(hold._id, { status: 'converted', convertedAt: new Date() });
+    if (!converted) continue;
+    const key = variantKey(hold.productId, hold.variantIndex);
+    covered.set(key, (covered.get(key) || 0) + hold.quantity);
+  }
+
+  const uncovered = [];
+  for (const group of groupLinesByVariant(order.cartItems)) {
+    const key = variantKey(group.productId, group.variantIndex);
+    const remaining = group.quantity - (covered.get(key) || 0);
+    if (remaining > 0) uncovered.push({ ...group, quantity: remaining });
+  }
+
+  const shortfalls = [];
+  for (const group of uncovered) {
+    const product = await Product.findById(group.productId).select('name variants');
+    const variant = product?.variants?.[group.variantIndex];
+    if (!variant?.isStockActive) continue;
+
+    const result = await adjustVariantStock({
+      productId: group.productId,
+      variantIndex: group.variantIndex,
+      delta: -group.quantity,
+      reason: 'order_placed',
+      order,
+      variantLabel: group.variantLabel,
+      requireAvailable: true
+    });
+    if (!result.applied) {
+      // Payment is already captured, so flag it for the kitchen instead of failing
+      console.warn(`⚠️ Oversold "${product.name}" variant ${group.variantIndex} on ${order.orderNumber}: needed ${group.quantity}, had ${variant.stock}`);
+      shortfalls.push({ productId: group.productId, variantIndex: group.variantIndex, quantity: group.quantity });
+    }
+  }
+
+  console.log(`✅ Stock committed for ${order.orderNumber}: ${covered.size} held variant(s), ${uncovered.length} taken at payment`);
+  return { committed: true, converted: covered.size, shortfalls };
+};
+
+/**
+ * Active holds grouped per variant, for the admin inventory screen.
+ * @returns {Promise<Array>} [{ productId, variantIndex, quantity, holds, nextExpiry }]
+ */
+export const getActiveHoldSummary = async () => StockHold.aggregate([
+  { $match: { status: 'active' } },
+  {
+    $group: {
+      _id: { productId: '$productId', variantIndex: '$variantIndex' },
+      quantity: { $sum: '$quantity' },
+      holds: { $sum: 1 },
+      nextExpiry: { $min: '$expiresAt' }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      productId: '$_id.productId',
+      variantIndex: '$_id.variantIndex',
+      quantity: 1,
+      holds: 1,
+      nextExpiry: 1
+    }
+  }
+]);
@@ -0,0 +1,176 @@
+import mongoose from 'mongoose';
+import Product from '../models/productModel.js';
+import StockMovement from '../models/stockMovementModel.js';
+import { isRestock, queueRestockAlerts } from './productAlertService.js';
+
+const toObjectId = (value) => (value && mongoose.Types.ObjectId.isValid(String(value)) ? value : null);
+
+// Admin routes pass the full user document; jobs and webhooks pass nothing
+const resolveActor = (actor, actorRole) => ({
+  actor: toObjectId(actor?._id || actor),
+  actorRole: actorRole || (actor ? (['admin', 'staff'].includes(actor.role) ? 'admin' : 'customer') : 'system')
+});
+
+const orderReference = (order) => ({
+  orderId: toObjectId(order?._id),
+  orderNumber: order?.orderNumber || null
+});
+
+/**
+ * Write a ledger entry. Logging must never break the stock change it describes.
+ * @returns {Promise<Object|null>} The saved movement, or null when it could not be written
+ */
+export const recordStockMovement = async (entry) => {
+  try {
+    return await StockMovement.create(entry);
+  } catch (error) {
+    console.error('❌ Failed to record stock movement:', error?.message || error);
+    return null;
+  }
+};
+
+/**
+ * Atomically add units to (positive delta) or take units from (negative delta) a variant and log it.
+ * With requireAvailable a decrement only applies when enough stock is left.
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {number} [params.variantIndex]
+ * @param {number} params.delta - Signed change in units
+ * @param {string} params.reason - StockMovement reason (order_placed, order_cancelled, ...)
+ * @param {Object} [params.order] - Order the change belongs to
+ * @param {string} [params.variantLabel]
+ * @param {Object} [params.actor] - User document making the change
+ * @param {string} [params.actorRole] - system | customer | admin
+ * @param {string} [params.source]
+ * @param {string} [params.note]
+ * @param {boolean} [params.requireAvailable]
+ * @returns {Promise<Object>} { applied, product, stockBefore, stockAfter }
+ */
+export const adjustVariantStock = async ({
+  productId,
+  variantIndex = 0,
+  delta,
+  reason,
+  order = null,
+  variantLabel = '',
+  actor = null,
+  actorRole,
+  source = null,
+  note,
+  requireAvailable = false
+}) => {
+  const path = `variants.${variantIndex}.stock`;
+  const filter = { _id: productId, [`variants.${variantIndex}`]: { $exists: true } };
+  if (requireAvailable && delta < 0) {
+    filter[path] = { $gte: -delta };
+  }
+
+  const product = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { [path]: delta } },
+    { new: true, projection: { name: 1, variants: 1 } }
+  );
+  if (!product) {
+    return { applied: false, product: null, stockBefore: null, stockAfter: null };
+  }
+
+  const variant = product.variants[variantIndex];
+  const stockAfter = Number(variant?.stock) || 0;
+  const stockBefore = stockAfter - delta;
+
+  await recordStockMovement({
+    productId: product._id,
+    productName: product.name,
+    variantIndex,
+    variantLabel,
+    reason,
+    quantityChange: delta,
+    stockBefore,
+    stockAfter,
+    isStockActiveBefore: Boolean(variant?.isStockActive),
+    isStockActiveAfter: Boolean(variant?.isStockActive),
+    ...orderReference(order),
+    ...resolveActor(actor, actorRole),
+    source,
+    note
+  });
+
+  // Returned units (e.g. a cancelled order) can bring a sold-out variant back
+  const isStockActive = Boolean(variant?.isStockActive);
+  if (isRestock({ stockBefore, stockAfter, isStockActiveBefore: isStockActive, isStockActiveAfter: isStockActive })) {
+    queueRestockAlerts(product._id, variantIndex);
+  }
+
+  return { applied: true, product, stockBefore, stockAfter };
+};
+
+/**
+ * Overwrite a variant's stock level and/or tracking flag (admin screens) and log the difference.
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {number} params.variantIndex
+ * @param {number} [params.stock] - New absolute stock level
+ * @param {boolean} [params.isStockActive]
+ * @param {string} params.reason - manual_update | bulk_update
+ * @param {Object} [params.actor]
+ * @param {string} [params.source]
+ * @param {string} [params.note]
+ * @returns {Promise<Object|null>} { product, stockBefore, stockAfter, isStockActiveBefore, isStockActiveAfter } or null when not found
+ */
+export const setVariantStock = async ({
+  productId,
+  variantIndex,
+  stock,
+  isStockActive,
+  reason,
+  actor = null,
+  source = null,
+  note
+}) => {
+  const updateData = {};
+  if (typeof stock === 'number') {
+    updateData[`variants.${variantIndex}.stock`] = Math.max(0, stock);
+  }
+  if (typeof isStockActive === 'boolean') {
+    updateData[`variants.${variantIndex}.isStockActive`] = isStockActive;
+  }
+
+  // Read the previous values in the same operation so concurrent edits can't skew before/after
+  const previous = await Product.findOneAndUpdate(
+    { _id: productId, [`variants.${variantIndex}`]: { $exists: true } },
+    { $set: updateData },
+    { new: false, projection: { name: 1, variants: 1 } }
+  );
+  if (!previous) {
+    return null;
+  }
+
+  const before = previous.variants[variantIndex];
+  const stockBefore = Number(before?.stock) || 0;
+  const isStockActiveBefore = Boolean(before?.isStockActive);
+  const stockAfter = typeof stock === 'number' ? Math.max(0, stock) : stockBefore;
+  const isStockActiveAfter = typeof isStockActive === 'boolean' ? isStockActive : isStockActiveBefore;
+
+  if (stockAfter !== stockBefore || isStockActiveAfter !== isStockActiveBefore) {
+    await recordStockMovement({
+      productId: previous._id,
+      productName: previous.name,
+      variantIndex,
+      reason,
+      quantityChange: stockAfter - stockBefore,
+      stockBefore,
+      stockAfter,
+      isStockActiveBefore,
+      isStockActiveAfter,
+      ...resolveActor(actor, 'admin'),
+      source,
+      note
+    });
+  }
+
+  if (isRestock({ stockBefore, stockAfter, isStockActiveBefore, isStockActiveAfter })) {
+    queueRestockAlerts(previous._id, variantIndex);
+  }
+
+  return { product: previous, stockBefore, stockAfter, isStockActiveBefore, isStockActiveAfter };
+};
@@ -50,6 +50,7 @@ export async function deleteUserCascadeSequential(uid) {
   try { models.LoyaltyProgram = (await import('../models/loyaltyProgramModel.js')).default; } catch {}
   try { models.Newsletter = (await import('../models/newsletterModel.js')).default; } catch {}
   try { models.Donation = (await import('../models/donationModel.js')).default; } catch {}
+  try { models.ProductAlert = (await import('../models/productAlertModel.js')).default; } catch {}
 
   const order = [
     'NewCart',
@@ -60,6 +61,7 @@ export async function deleteUserCascadeSequential(uid) {
     'LoyaltyProgram',
     'Newsletter',
     'Donation',
+    'ProductAlert',
   ];
 
   const summary = { User: 1 };
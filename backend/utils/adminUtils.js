@@ -4,3 +4,21 @@ export const getActiveAdminEmails = async () => {
   const admins = await User.find({ role: 'admin', isActive: true }).select('email name');
   return admins.filter(admin => Boolean(admin?.email)).map(admin => admin.email.toLowerCase());
 };
+
+// Owner accounts come from ADMIN_BOOTSTRAP_EMAILS (comma separated); everyone else is promoted from the admin panel
+const getBootstrapAdminEmails = () =>
+  (process.env.ADMIN_BOOTSTRAP_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Role for a newly created account. Only a verified email on the bootstrap list starts as admin.
+ * @param {string} [email]
+ * @param {boolean} [emailVerified]
+ * @returns {'admin'|'user'}
+ */
+export const getInitialRole = (email, emailVerified) => {
+  if (!email || !emailVerified) return 'user';
+  return getBootstrapAdminEmails().includes(email.toLowerCase()) ? 'admin' : 'user';
+};
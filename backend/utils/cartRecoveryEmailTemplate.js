@@ -0,0 +1,89 @@
+import { escapeHtml } from './orderEmailTemplates.js';
+
+// Abandoned cart reminder: what is still in the cart at today's prices, and the optional coupon
+
+const formatPrice = (value) => `₹${Math.round(Number(value) || 0)}`;
+
+const buildItemRow = (item) => `
+  <tr>
+    <td style="padding: 10px 0; border-bottom: 1px solid #eeeeee; width: 64px;">
+      ${item.image ? `<img src="${escapeHtml(item.image)}" alt="" width="56" height="56" style="display: block; width: 56px; height: 56px; object-fit: cover; border-radius: 4px;" />` : ''}
+    </td>
+    <td style="padding: 10px; border-bottom: 1px solid #eeeeee;">
+      <div style="font-weight: bold; color: #281c20;">${escapeHtml(item.name)}</div>
+      ${item.variantLabel ? `<div style="font-size: 12px; color: #777777;">${escapeHtml(item.variantLabel)}</div>` : ''}
+      <div style="font-size: 12px; color: #777777;">Qty ${item.quantity}</div>
+      ${item.inStock ? '' : '<div style="font-size: 12px; color: #b91c1c;">Currently sold out</div>'}
+    </td>
+    <td style="padding: 10px 0; border-bottom: 1px solid #eeeeee; text-align: right; white-space: nowrap; color: #281c20;">
+      ${formatPrice(item.price * item.quantity)}
+    </td>
+  </tr>
+`;
+
+/**
+ * @param {Object} params
+ * @param {string} [params.name] - Customer's name
+ * @param {Array} params.items - Recovery items (name, variantLabel, image, quantity, price, inStock)
+ * @param {number} params.cartValue
+ * @param {Object} [params.coupon] - { code, type, value, maxDiscount, validUntil }
+ * @param {string} params.cartUrl
+ * @param {string} params.unsubscribeUrl - Switches cart reminders off
+ * @returns {{ subject: string, html: string }}
+ */
+export const getCartRecoveryEmailTemplate = ({ name, items, cartValue, coupon = null, cartUrl, unsubscribeUrl }) => {
+  const offer = coupon
+    ? coupon.type === 'percentage'
+      ? `${coupon.value}% off${coupon.maxDiscount ? ` (up to ${formatPrice(coupon.maxDiscount)})` : ''}`
+      : coupon.type === 'flat'
+        ? `${formatPrice(coupon.value)} off`
+        : 'free delivery'
+    : null;
+
+  return {
+    subject: offer ? `Your cart is waiting – here's ${offer}` : 'You left something sweet in your cart',
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your cart at La Pâtisserie</title>
+      </head>
+      <body style="margin: 0; padding: 20px; font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; background: #fff; padding: 20px;">
+          <h1 style="color: #281c20; margin-bottom: 20px; font-weight: normal;">Still thinking it over?</h1>
+
+          <p style="margin-bottom: 15px;">Hi ${escapeHtml(name || 'there')},</p>
+          <p style="margin-bottom: 15px;">You left these in your cart. Here they are at today's prices:</p>
+
+          <table role="presentation" cellpadding="0" cellspacing="0" style="width: 100%; border-collapse: collapse; margin-bottom: 15px;">
+            ${items.map(buildItemRow).join('')}
+            <tr>
+              <td></td>
+              <td style="padding: 10px; font-weight: bold;">Total</td>
+              <td style="padding: 10px 0; text-align: right; font-weight: bold;">${formatPrice(cartValue)}</td>
+            </tr>
+          </table>
+
+          ${coupon ? `
+          <div style="margin: 25px 0; padding: 15px; border: 2px dashed #733857; text-align: center;">
+            <p style="margin: 0 0 6px 0; font-size: 13px; color: #733857;">Just for you: ${escapeHtml(offer)}</p>
+            <p style="margin: 0; font-size: 24px; font-weight: bold; letter-spacing: 3px; font-family: 'Courier New', monospace; color: #281c20;">${escapeHtml(coupon.code)}</p>
+            ${coupon.validUntil ? `<p style="margin: 6px 0 0 0; font-size: 12px; color: #777777;">Use it by ${new Date(coupon.validUntil).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}. One use only.</p>` : ''}
+          </div>
+          ` : ''}
+
+          <p style="margin: 25px 0; text-align: center;">
+            <a href="${escapeHtml(cartUrl)}" style="display: inline-block; padding: 12px 28px; background: #281c20; color: #ffffff; text-decoration: none; letter-spacing: 1px;">COMPLETE YOUR ORDER</a>
+          </p>
+
+          <p style="margin-top: 30px; font-size: 11px; color: #999999; text-align: center;">
+            Don't want cart reminders? <a href="${escapeHtml(unsubscribeUrl)}" style="color: #999999;">Unsubscribe or manage email preferences</a>
+          </p>
+        </div>
+      </body>
+      </html>
+    `
+  };
+};
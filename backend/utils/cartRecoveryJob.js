@@ -0,0 +1,27 @@
+import cron from 'node-cron';
+import { attributeRecoveries, processAbandonedCarts } from '../services/cartRecoveryService.js';
+
+/**
+ * Remind customers about abandoned carts and credit the orders that follow, every 15 minutes.
+ * Timings and the optional coupon are configured through the ABANDONED_CART_* variables.
+ */
+export const startCartRecoveryJob = () => {
+  let running = false;
+  cron.schedule('*/15 * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const recovered = await attributeRecoveries();
+      const reminded = await processAbandonedCarts();
+      if (reminded || recovered) {
+        console.log(`🛒 Cart recovery: ${reminded} reminder(s) sent, ${recovered} order(s) recovered`);
+      }
+    } catch (error) {
+      console.error('❌ Cart recovery job failed:', error?.message || error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Cart recovery job scheduled (every 15 minutes)');
+};
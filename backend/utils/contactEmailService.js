@@ -1,53 +1,8 @@
-import nodemailer from 'nodemailer';
-
-// Create transporter with enhanced configuration
-const createTransporter = () => {
-  // Use environment variables for email configuration
-  if (process.env.EMAIL_SERVICE === 'gmail') {
-    return nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS, // Use app password for Gmail
-      },
-      pool: true, // Use connection pooling
-      maxConnections: 5,
-      maxMessages: 100,
-      rateDelta: 20000, // 20 seconds
-      rateLimit: 5 // max 5 messages per rateDelta
-    });
-  } else if (process.env.EMAIL_SERVICE === 'smtp') {
-    return nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: process.env.SMTP_PORT || 587,
-      secure: process.env.SMTP_SECURE === 'true',
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-      pool: true, // Use connection pooling
-      maxConnections: 5,
-      maxMessages: 100,
-      rateDelta: 20000, // 20 seconds
-      rateLimit: 5 // max 5 messages per rateDelta
-    });
-  } else {
-    // Fallback to console logging in development
-    console.warn('⚠️ No email service configured. Emails will be logged to console.');
-    return {
-      sendMail: async (mailOptions) => {
-        console.log('📧 Email would be sent:', mailOptions);
-        return { messageId: 'console-log-' + Date.now() };
-      }
-    };
-  }
-};
+import { enqueueEmail } from '../services/emailOutboxService.js';
 
 // Send contact notification email to admin(s)
 export const sendContactNotificationEmail = async (contact, adminEmails) => {
   try {
-    const transporter = createTransporter();
-
     const mailOptions = {
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
       to: adminEmails,
@@ -130,12 +85,13 @@ export const sendContactNotificationEmail = async (contact, adminEmails) => {
       `
     };
 
-    const result = await transporter.sendMail(mailOptions);
+    const result = await enqueueEmail({
+      kind: 'contact-notification',
+      idempotencyKey: `contact-notification:${contact._id}`,
+      message: mailOptions
+    });
     
-    return {
-      success: true,
-      messageId: result.messageId
-    };
+    return result;
   } catch (error) {
     console.error('❌ Error sending contact notification email:', error);
     return {
@@ -148,8 +104,6 @@ export const sendContactNotificationEmail = async (contact, adminEmails) => {
 // Send reply email to user
 export const sendContactReplyEmail = async (contact, replyMessage, admin) => {
   try {
-    const transporter = createTransporter();
-
     const mailOptions = {
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
       to: contact.email,
@@ -210,12 +164,13 @@ export const sendContactReplyEmail = async (contact, replyMessage, admin) => {
       `
     };
 
-    const result = await transporter.sendMail(mailOptions);
+    const result = await enqueueEmail({
+      kind: 'contact-reply',
+      recipient: contact.email,
+      message: mailOptions
+    });
     
-    return {
-      success: true,
-      messageId: result.messageId
-    };
+    return result;
   } catch (error) {
     console.error('❌ Error sending contact reply email:', error);
     return {
@@ -228,8 +183,6 @@ export const sendContactReplyEmail = async (contact, replyMessage, admin) => {
 // Send weekly contact summary to admin
 export const sendWeeklyContactSummary = async (adminEmails, stats, recentContacts) => {
   try {
-    const transporter = createTransporter();
-
     const mailOptions = {
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
       to: adminEmails,
@@ -293,12 +246,12 @@ export const sendWeeklyContactSummary = async (adminEmails, stats, recentContact
       `
     };
 
-    const result = await transporter.sendMail(mailOptions);
+    const result = await enqueueEmail({
+      kind: 'contact-summary',
+      message: mailOptions
+    });
     
-    return {
-      success: true,
-      messageId: result.messageId
-    };
+    return result;
   } catch (error) {
     console.error('❌ Error sending weekly contact summary:', error);
     return {
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+
+// Global plugins only reach models compiled after registration; server.js imports this module before any route or model
+mongoose.plugin(auditPlugin);
 
 // Database connection utility with retry logic
 class DatabaseConnection {
@@ -0,0 +1,327 @@
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import path from 'path';
+import { formatAddOnSummary } from '../services/addOnService.js';
+import { formatDeliveryAddress } from '../services/addressService.js';
+
+// Dispatch paperwork: a packing slip that goes in the box and a per-hostel manifest the rider signs off.
+// Both follow the invoice layout in invoicePdf.js.
+
+const brand = 'La Pâtisserie';
+const logoPath = path.join(process.cwd(), 'public', 'images', 'logo.png');
+
+// Collect the PDF into a Buffer; `draw` lays out the pages
+const renderPdf = (filename, options, draw) => new Promise((resolve, reject) => {
+  try {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, ...options });
+    const chunks = [];
+    doc.on('data', (d) => chunks.push(d));
+    doc.on('error', reject);
+    doc.on('end', () => resolve({ filename, buffer: Buffer.concat(chunks) }));
+    draw(doc);
+    doc.end();
+  } catch (e) {
+    reject(e);
+  }
+});
+
+// Logo, brand and the document title on the right; returns the y below the header
+const drawHeader = (doc, title, subtitle) => {
+  const pageLeft = doc.page.margins.left;
+  const pageRight = doc.page.width - doc.page.margins.right;
+  const top = doc.page.margins.top;
+  const logoSize = 40;
+
+  if (fs.existsSync(logoPath)) {
+    try {
+      doc.image(logoPath, pageLeft, top, { width: logoSize, height: logoSize });
+    } catch (e) {
+      console.error('Logo load error:', e);
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827')
+    .text(brand, pageLeft + logoSize + 10, top + (logoSize / 2) - 10);
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#111827')
+    .text(title, pageLeft, top + 4, { width: pageRight - pageLeft, align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor('#6b7280')
+    .text(subtitle, pageLeft, top + 22, { width: pageRight - pageLeft, align: 'right' });
+
+  const y = top + logoSize + 12;
+  drawDivider(doc, y);
+  return y + 12;
+};
+
+const drawDivider = (doc, y, color = '#e5e7eb') => {
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .strokeColor(color)
+    .lineWidth(1)
+    .stroke();
+};
+
+const drawKeyValuePairs = (doc, x, y, pairs, maxWidth) => {
+  let localY = y;
+  pairs.forEach(([key, value]) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#374151');
+    doc.text(`${key}:`, x, localY);
+
+    doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    const valueText = `${value || '—'}`;
+    const valueHeight = doc.heightOfString(valueText, { width: maxWidth - 90 });
+    doc.text(valueText, x + 90, localY, { width: maxWidth - 90 });
+
+    localY += Math.max(valueHeight + 6, 16);
+  });
+  return localY;
+};
+
+const formatCurrency = (value) => {
+  const n = Number(value);
+  return `INR ${(Number.isFinite(n) ? n : 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatSlot = (deliverySlot) => deliverySlot?.label || 'As soon as possible';
+
+// Gift orders are handed to the recipient, everyone else to the buyer.
+// Accepts a full order or a grouped-orders summary (customerName/customerPhone).
+const resolveContact = (order) => ({
+  name: order.gift?.recipientName || order.deliveryAddress?.recipientName || order.userDetails?.name || order.customerName || 'Customer',
+  phone: order.gift?.recipientPhone || order.deliveryAddress?.recipientPhone || order.userDetails?.phone || order.customerPhone || ''
+});
+
+const describeItem = (item) => {
+  const baseName = item.productName || item.name || 'Item';
+  const withVariant = item.variantLabel ? `${baseName} (${item.variantLabel})` : baseName;
+  return item.addOns?.length ? `${withVariant}\n+ ${formatAddOnSummary(item.addOns)}` : withVariant;
+};
+
+/**
+ * Packing slip for one order: who it goes to, an item checklist, notes, the gift message and the delivery PIN.
+ * Gift orders with `gift.hidePrices` leave every amount off the slip.
+ * @param {Object} order - Order loaded with `+deliveryPin.code`
+ * @returns {Promise<{ filename: string, buffer: Buffer }>}
+ */
+export const generatePackingSlipPdf = (order) => renderPdf(`PackingSlip-${order.orderNumber}.pdf`, {}, (doc) => {
+  const pageLeft = doc.page.margins.left;
+  const pageRight = doc.page.width - doc.page.margins.right;
+  const pageWidth = pageRight - pageLeft;
+  const showPrices = !order.gift?.hidePrices;
+  const items = Array.isArray(order.cartItems) ? order.cartItems : [];
+  const createdAt = order.createdAt ? new Date(order.createdAt) : new Date();
+
+  let currentY = drawHeader(doc, 'Packing Slip', `Order #${order.orderNumber} • ${createdAt.toLocaleDateString('en-IN')}`);
+
+  // ========== DELIVER TO ==========
+  const contact = resolveContact(order);
+  const address = formatDeliveryAddress(order.deliveryAddress) || order.deliveryLocation;
+  let payment = 'Prepaid';
+  if (order.paymentMethod === 'cod') {
+    payment = showPrices ? `Cash on delivery - collect ${formatCurrency(order.amount)}` : 'Cash on delivery';
+  }
+
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827').text(order.gift ? 'Gift For' : 'Deliver To', pageLeft, currentY);
+  currentY = drawKeyValuePairs(doc, pageLeft, currentY + 16, [
+    ['Name', contact.name],
+    ['Phone', contact.phone],
+    ['Address', address],
+    ['Delivery', formatSlot(order.deliverySlot)],
+    ['Payment', payment]
+  ], pageWidth);
+
+  currentY += 4;
+  drawDivider(doc, currentY);
+  currentY += 12;
+
+  // ========== ITEM CHECKLIST ==========
+  const widths = showPrices
+    ? { check: 22, item: pageWidth - 22 - 50 - 90 - 90, qty: 50, price: 90, total: 90 }
+    : { check: 22, item: pageWidth - 22 - 50, qty: 50 };
+
+  const drawChecklistHeader = (y) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827');
+    doc.text('Item', pageLeft + widths.check, y, { width: widths.item });
+    doc.text('Qty', pageLeft + widths.check + widths.item, y, { width: widths.qty, align: 'right' });
+    if (showPrices) {
+      doc.text('Price', pageLeft + widths.check + widths.item + widths.qty, y, { width: widths.price, align: 'right' });
+      doc.text('Total', pageLeft + widths.check + widths.item + widths.qty + widths.price, y, { width: widths.total, align: 'right' });
+    }
+    drawDivider(doc, y + 12, '#9ca3af');
+    return y + 18;
+  };
+
+  currentY = drawChecklistHeader(currentY);
+
+  items.forEach((item) => {
+    const itemName = describeItem(item);
+    const qty = Number(item.quantity || 0);
+    const rowHeight = Math.max(doc.font('Helvetica').fontSize(10).heightOfString(itemName, { width: widths.item - 8 }), 14);
+
+    if (currentY + rowHeight > doc.page.height - 200) {
+      doc.addPage();
+      currentY = drawChecklistHeader(doc.page.margins.top);
+    }
+
+    // Packers tick each line as it goes in the box
+    doc.rect(pageLeft + 2, currentY, 10, 10).strokeColor('#374151').lineWidth(1).stroke();
+
+    doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    doc.text(itemName, pageLeft + widths.check, currentY, { width: widths.item - 8 });
+    doc.text(String(qty), pageLeft + widths.check + widths.item, currentY, { width: widths.qty, align: 'right' });
+    if (showPrices) {
+      doc.text(formatCurrency(item.price), pageLeft + widths.check + widths.item + widths.qty, currentY, { width: widths.price, align: 'right' });
+      doc.text(formatCurrency(qty * Number(item.price || 0)), pageLeft + widths.check + widths.item + widths.qty + widths.price, currentY, { width: widths.total, align: 'right' });
+    }
+
+    currentY += rowHeight + 8;
+  });
+
+  drawDivider(doc, currentY);
+  currentY += 10;
+
+  if (showPrices) {
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#111827');
+    doc.text('Grand Total', pageLeft, currentY);
+    doc.text(formatCurrency(order.orderSummary?.grandTotal ?? order.amount), pageRight - 120, currentY, { width: 120, align: 'right' });
+    currentY += 24;
+  }
+
+  // ========== NOTES ==========
+  if (order.notes) {
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827').text('Notes', pageLeft, currentY);
+    doc.font('Helvetica').fontSize(10).fillColor('#111827').text(order.notes, pageLeft, currentY + 16, { width: pageWidth });
+    currentY = doc.y + 14;
+  }
+
+  // ========== GIFT MESSAGE ==========
+  if (order.gift?.message) {
+    const messageHeight = doc.font('Helvetica-Oblique').fontSize(12).heightOfString(`"${order.gift.message}"`, { width: pageWidth - 24 });
+    doc.rect(pageLeft, currentY, pageWidth, messageHeight + 36).strokeColor('#733857').lineWidth(1).stroke();
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#733857').text('Gift Message', pageLeft + 12, currentY + 10);
+    doc.font('Helvetica-Oblique').fontSize(12).fillColor('#111827')
+      .text(`"${order.gift.message}"`, pageLeft + 12, currentY + 24, { width: pageWidth - 24 });
+    currentY += messageHeight + 50;
+  }
+
+  // ========== DELIVERY PIN ==========
+  if (order.deliveryPin?.code) {
+    doc.rect(pageLeft, currentY, 180, 56).dash(4, { space: 3 }).strokeColor('#f59e0b').stroke().undash();
+    doc.font('Helvetica').fontSize(9).fillColor('#92400e').text('Delivery PIN', pageLeft + 12, currentY + 8);
+    doc.font('Courier-Bold').fontSize(22).fillColor('#111827').text(order.deliveryPin.code.split('').join(' '), pageLeft + 12, currentY + 22);
+    doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+      .text('The customer shares this PIN with the rider to confirm delivery.', pageLeft + 196, currentY + 22, { width: pageWidth - 196 });
+  }
+});
+
+/**
+ * Dispatch manifest for one hostel batch from the grouped pending orders, one row per order
+ * with a column for the recipient's signature.
+ * @param {Object} group - One entry of getGroupedPendingOrders (hostel, deliverySlot, deliveryLocation, orders)
+ * @returns {Promise<{ filename: string, buffer: Buffer }>}
+ */
+export const generateDispatchManifestPdf = (group) => {
+  const slug = String(group.hostel || 'hostel').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+  const generatedAt = new Date();
+  return renderPdf(`Manifest-${slug}-${generatedAt.toISOString().slice(0, 10)}.pdf`, { layout: 'landscape' }, (doc) => {
+    const pageLeft = doc.page.margins.left;
+    const pageRight = doc.page.width - doc.page.margins.right;
+    const pageWidth = pageRight - pageLeft;
+    const orders = group.orders || [];
+    const riders = [...new Set(orders.map(order => order.deliveryAgent?.name).filter(Boolean))];
+
+    let currentY = drawHeader(doc, 'Dispatch Manifest', `Generated ${generatedAt.toLocaleString('en-IN')}`);
+
+    currentY = drawKeyValuePairs(doc, pageLeft, currentY, [
+      ['Hostel', group.hostel],
+      ['Location', group.deliveryLocation],
+      ['Delivery', formatSlot(group.deliverySlot)],
+      ['Rider', riders.join(', ') || 'Not assigned']
+    ], pageWidth / 2);
+
+    currentY += 6;
+
+    // ========== ORDERS TABLE ==========
+    const columns = [
+      ['#', 24, 'left'],
+      ['Order', 110, 'left'],
+      ['Name', 130, 'left'],
+      ['Phone', 95, 'left'],
+      ['Room', 55, 'left'],
+      ['Items', 40, 'right'],
+      ['COD', 80, 'right'],
+      ['Signature', 0, 'left']
+    ];
+    const fixedWidth = columns.reduce((sum, [, width]) => sum + width, 0);
+    columns[columns.length - 1][1] = pageWidth - fixedWidth;
+
+    const drawRow = (y, cells, { bold = false } = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#111827');
+      let x = pageLeft;
+      let rowHeight = 14;
+      cells.forEach((cell, index) => {
+        const [, width, align] = columns[index];
+        const text = cell == null ? '' : String(cell);
+        rowHeight = Math.max(rowHeight, doc.heightOfString(text, { width: width - 6 }));
+        doc.text(text, x + (align === 'right' ? 0 : 2), y, { width: width - 6, align });
+        x += width;
+      });
+      return rowHeight;
+    };
+
+    const drawTableHeader = (y) => {
+      drawRow(y, columns.map(([label]) => label), { bold: true });
+      drawDivider(doc, y + 14, '#9ca3af');
+      return y + 20;
+    };
+
+    currentY = drawTableHeader(currentY);
+
+    let codTotal = 0;
+    orders.forEach((order, index) => {
+      if (currentY > doc.page.height - 110) {
+        doc.addPage();
+        currentY = drawTableHeader(doc.page.margins.top);
+      }
+
+      const contact = resolveContact(order);
+      const codDue = Number(order.codDue || 0);
+      codTotal += codDue;
+
+      const rowHeight = drawRow(currentY, [
+        index + 1,
+        `#${order.orderNumber}`,
+        order.gift ? `${contact.name} (gift)` : contact.name,
+        contact.phone,
+        order.roomNumber || '—',
+        order.itemCount,
+        codDue > 0 ? formatCurrency(codDue) : 'Prepaid',
+        ''
+      ]);
+
+      // Rows are tall enough to sign in
+      const bottom = currentY + Math.max(rowHeight, 14) + 12;
+      drawDivider(doc, bottom);
+      currentY = bottom + 8;
+    });
+
+    // ========== TOTALS + HANDOVER ==========
+    if (currentY > doc.page.height - 110) {
+      doc.addPage();
+      currentY = doc.page.margins.top;
+    }
+
+    currentY += 4;
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#111827');
+    doc.text(`Orders: ${orders.length}`, pageLeft, currentY);
+    doc.text(`Cash to collect: ${formatCurrency(codTotal)}`, pageLeft, currentY, { width: pageWidth, align: 'right' });
+
+    currentY += 40;
+    const signatureWidth = 200;
+    [['Packed by', pageLeft], ['Rider', pageLeft + (pageWidth - signatureWidth) / 2], ['Cash received by', pageRight - signatureWidth]]
+      .forEach(([label, x]) => {
+        doc.moveTo(x, currentY).lineTo(x + signatureWidth, currentY).strokeColor('#374151').lineWidth(1).stroke();
+        doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(label, x, currentY + 4, { width: signatureWidth, align: 'center' });
+      });
+  });
+};
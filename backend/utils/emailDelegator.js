@@ -9,6 +9,11 @@ const getEmailDelegateApiBase = () => {
   return process.env.VITE_VERCEL_API_URL || process.env.EMAIL_API_URL || null;
 };
 
+// Shared secret sent with every delegated request; the receiving server rejects refund and gift emails without it
+const DELEGATE_SECRET_HEADER = 'x-email-delegate-secret';
+
+const getEmailDelegateSecret = () => process.env.EMAIL_DELEGATE_SECRET || null;
+
 const isDelegationEnabled = () => {
   // Explicit toggle to enable delegation from this server
   // Set EMAIL_VIA_VERCEL=true on Render to route email tasks to Vercel
@@ -32,7 +37,10 @@ const delegateEmailPost = async (endpoint, payload) => {
   try {
     const res = await fetch(url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(getEmailDelegateSecret() ? { [DELEGATE_SECRET_HEADER]: getEmailDelegateSecret() } : {})
+      },
       body: JSON.stringify(payload || {}),
       signal: controller.signal,
     });
@@ -49,4 +57,4 @@ const delegateEmailPost = async (endpoint, payload) => {
   }
 };
 
-export { getEmailDelegateApiBase, isDelegationEnabled, delegateEmailPost };
+export { getEmailDelegateApiBase, isDelegationEnabled, delegateEmailPost, getEmailDelegateSecret, DELEGATE_SECRET_HEADER };
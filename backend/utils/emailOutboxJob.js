@@ -0,0 +1,32 @@
+import cron from 'node-cron';
+import { processOutbox } from '../services/emailOutboxService.js';
+
+/**
+ * Retry pending emails in the outbox every minute.
+ * Set EMAIL_OUTBOX_WORKER=false on instances that should only enqueue (e.g. when several run side by side).
+ */
+export const startEmailOutboxJob = () => {
+  if (String(process.env.EMAIL_OUTBOX_WORKER || '').toLowerCase() === 'false') {
+    console.log('⏸️  Email outbox job disabled (EMAIL_OUTBOX_WORKER=false)');
+    return;
+  }
+
+  // A slow SMTP server can make a run outlast the minute; don't stack runs on top of each other
+  let running = false;
+  cron.schedule('* * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { processed, sent, failed } = await processOutbox();
+      if (processed) {
+        console.log(`📬 Email outbox: ${sent} sent, ${failed} failed of ${processed}`);
+      }
+    } catch (error) {
+      console.error('❌ Email outbox job failed:', error?.message || error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Email outbox job scheduled (every minute)');
+};
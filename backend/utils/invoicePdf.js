@@ -1,6 +1,7 @@
 import PDFDocument from 'pdfkit';
 import fs from 'fs';
 import path from 'path';
+import { formatAddOnSummary } from '../services/addOnService.js';
 
 // Generate an invoice PDF Buffer for an order
 export async function generateInvoicePdf(order) {
@@ -135,6 +136,31 @@ export async function generateInvoicePdf(order) {
 
       currentY += 8;
 
+      // ========== GIFT SECTION ==========
+      // The buyer stays the customer above; the recipient and their message are shown here
+      if (order?.gift) {
+        doc.moveTo(pageLeft, currentY)
+          .lineTo(pageRight, currentY)
+          .strokeColor('#e5e7eb')
+          .lineWidth(1)
+          .stroke();
+
+        currentY += 12;
+
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827');
+        doc.text('Gift', pageLeft, currentY);
+        currentY += 14;
+
+        currentY = drawKeyValuePairs(pageLeft, currentY, [
+          ['Recipient', order.gift.recipientName],
+          ['Phone', order.gift.recipientPhone],
+          ['Deliver At', order.deliverySlot?.label || '—'],
+          ...(order.gift.message ? [['Message', `"${order.gift.message}"`]] : [])
+        ], pageWidth);
+
+        currentY += 8;
+      }
+
       // Horizontal divider
       doc.moveTo(pageLeft, currentY)
         .lineTo(pageRight, currentY)
@@ -187,7 +213,10 @@ export async function generateInvoicePdf(order) {
 
       // Draw all items
       items.forEach((item) => {
-        const itemName = item.productName || item.name || 'Item';
+        const baseName = item.productName || item.name || 'Item';
+        const withVariant = item.variantLabel ? `${baseName} (${item.variantLabel})` : baseName;
+        // Customizations go on their own line so the kitchen and the customer see exactly what was made
+        const itemName = item.addOns?.length ? `${withVariant}\n+ ${formatAddOnSummary(item.addOns)}` : withVariant;
         const qty = Number(item.quantity || 0);
         const price = Number(item.price || 0);
         const total = qty * price;
@@ -0,0 +1,50 @@
+import nodemailer from 'nodemailer';
+
+// Shared SMTP transport used by the email outbox worker.
+// SMTP_HOST points it at any SMTP server, e.g. a local sink for development:
+//   SMTP_HOST=localhost SMTP_PORT=1025 (MailHog / Mailpit, no auth)
+// Without SMTP_HOST it falls back to Gmail with EMAIL_USER / EMAIL_PASS.
+
+let transport = null;
+
+const createMailTransport = () => {
+  // No rateLimit: the transport is shared now, so a limit would queue every email behind a newsletter run
+  const pooling = {
+    pool: true, // Use connection pooling
+    maxConnections: 5,
+    maxMessages: 100
+  };
+
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      // Local sinks accept mail without credentials
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      ...pooling
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    },
+    ...pooling
+  });
+};
+
+/**
+ * Lazily created, pooled transport (env is read on first use, after dotenv has loaded)
+ * @returns {import('nodemailer').Transporter}
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createMailTransport();
+  }
+  return transport;
+};
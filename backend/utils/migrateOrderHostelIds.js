@@ -5,6 +5,7 @@ import DeliveryLocationMapping from '../models/deliveryLocationMappingModel.js';
 /**
  * Utility function to migrate existing orders by populating hostelId based on hostelName
  * This should be run once after the hostelId field is added to the order model
+ * Orders placed with a deliveryAddress snapshot already carry hostelId, so only older orders need it
  */
 export const migrateOrderHostelIds = async () => {
   try {
@@ -13,6 +14,7 @@ export const migrateOrderHostelIds = async () => {
     // Find all orders that don't have hostelId but have hostelName
     const ordersToMigrate = await Order.find({
       hostelId: null,
+      deliveryAddress: null,
       hostelName: { $exists: true, $ne: null, $ne: '' }
     });
 
@@ -0,0 +1,27 @@
+import cron from 'node-cron';
+import { processDueCampaigns } from '../services/newsletterCampaignService.js';
+
+/**
+ * Send scheduled newsletter campaigns once their time comes, checking every minute.
+ * Also resumes a campaign whose send was interrupted (e.g. by a restart).
+ */
+export const startNewsletterCampaignJob = () => {
+  // A big list can take longer than a minute to queue; don't start a second run alongside it
+  let running = false;
+  cron.schedule('* * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const sent = await processDueCampaigns();
+      if (sent) {
+        console.log(`📰 Newsletter campaigns sent: ${sent}`);
+      }
+    } catch (error) {
+      console.error('❌ Newsletter campaign job failed:', error?.message || error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Newsletter campaign job scheduled (every minute)');
+};
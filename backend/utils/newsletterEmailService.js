@@ -1,7 +1,11 @@
-import nodemailer from 'nodemailer';
-import { getEmailDelegateApiBase, isDelegationEnabled, delegateEmailPost } from './emailDelegator.js';
+import { enqueueEmail } from '../services/emailOutboxService.js';
 import Newsletter from '../models/newsletterModel.js';
 import User from '../models/userModel.js';
+import {
+  buildUnsubscribeLink,
+  filterEmailsByPreference,
+  getListUnsubscribeHeaders
+} from '../services/emailPreferenceService.js';
 import {
   newProductTemplate,
   newCategoryTemplate,
@@ -9,31 +13,24 @@ import {
   customNewsletterTemplate
 } from './newsletterEmailTemplates.js';
 
-// Create reusable transporter with enhanced configuration
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER || 'lapatisserielapatisserie@gmail.com',
-      pass: process.env.EMAIL_PASS
-    },
-    pool: true, // Use connection pooling
-    maxConnections: 5,
-    maxMessages: 100,
-    rateDelta: 20000, // 20 seconds
-    rateLimit: 5 // max 5 messages per rateDelta
-  });
+// Preference category each newsletter type falls under; custom newsletters only need the subscription
+const NEWSLETTER_TYPE_CATEGORIES = {
+  new_product: 'newProducts',
+  new_category: 'newProducts',
+  discount: 'discounts'
 };
 
 /**
  * Send email to a single subscriber
+ * @param {Object} [options]
+ * @param {string} [options.category] - Preference category; the email is skipped if the recipient switched it off
+ * @param {string} [options.list='newsletter'] - What the unsubscribe link and List-Unsubscribe header turn off
  */
-const sendEmailToSubscriber = async (email, subject, htmlContent) => {
+const sendEmailToSubscriber = async (email, subject, htmlContent, kind = 'newsletter', { category = null, list = 'newsletter' } = {}) => {
   try {
-    const transporter = createTransporter();
     
-    // Replace unsubscribe link placeholder with actual link
-    const unsubscribeLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/unsubscribe?email=${encodeURIComponent(email)}`;
+    // Replace unsubscribe link placeholder with this recipient's signed link
+    const unsubscribeLink = buildUnsubscribeLink(email, list);
     const finalHtml = htmlContent.replace(/{{unsubscribeLink}}/g, unsubscribeLink);
 
     const mailOptions = {
@@ -43,12 +40,17 @@ const sendEmailToSubscriber = async (email, subject, htmlContent) => {
       },
       to: email,
       subject: subject,
-      html: finalHtml
+      html: finalHtml,
+      headers: getListUnsubscribeHeaders(email, list)
     };
 
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`Email sent to ${email}: ${info.messageId}`);
-    return { success: true, messageId: info.messageId };
+    const result = await enqueueEmail({ kind, category, message: mailOptions });
+    if (result.skipped) {
+      console.log(`Email to ${email} skipped: ${category} switched off`);
+    } else if (result.success) {
+      console.log(`Email sent to ${email}: ${result.messageId}`);
+    }
+    return result;
   } catch (error) {
     console.error(`Error sending email to ${email}:`, error.message);
     return { success: false, error: error.message };
@@ -60,14 +62,13 @@ const sendEmailToSubscriber = async (email, subject, htmlContent) => {
  */
 const sendNewsletterToAll = async (subject, htmlContent, type = 'custom') => {
   try {
-    // If delegation is enabled, forward the request to remote server and return its result
-    const base = getEmailDelegateApiBase();
-    if (isDelegationEnabled() && base) {
-      const result = await delegateEmailPost('/email-dispatch/newsletter/send', { subject, title: undefined, body: htmlContent, ctaText: undefined, ctaLink: undefined });
-      return result;
-    }
-    // Get all active subscribers
-    const subscribers = await Newsletter.getActiveSubscribers();
+    // Sent from here even with delegation on, like campaigns, so every email gets the recipient's own
+    // signed unsubscribe link and preference check.
+    // Get all active subscribers, minus those who switched this kind of newsletter off
+    const category = NEWSLETTER_TYPE_CATEGORIES[type] || null;
+    const activeSubscribers = await Newsletter.getActiveSubscribers();
+    const allowed = new Set(await filterEmailsByPreference(activeSubscribers.map(subscriber => subscriber.email), category));
+    const subscribers = activeSubscribers.filter(subscriber => allowed.has(subscriber.email));
     
     if (subscribers.length === 0) {
       return {
@@ -82,6 +83,7 @@ const sendNewsletterToAll = async (subject, htmlContent, type = 'custom') => {
 
     const results = {
       sent: 0,
+      queued: 0,
       failed: 0,
       errors: []
     };
@@ -92,14 +94,21 @@ const sendNewsletterToAll = async (subject, htmlContent, type = 'custom') => {
       const batch = subscribers.slice(i, i + batchSize);
       
       const promises = batch.map(async (subscriber) => {
-        const result = await sendEmailToSubscriber(subscriber.email, subject, htmlContent);
+        const result = await sendEmailToSubscriber(subscriber.email, subject, htmlContent, 'newsletter', { category });
         
+        if (result.skipped) {
+          // Switched off after the list was built
+          return;
+        }
         if (result.success) {
           results.sent++;
           // Update last email sent timestamp
           await Newsletter.findByIdAndUpdate(subscriber._id, {
             lastEmailSent: new Date()
           });
+        } else if (result.queued) {
+          // Left in the email outbox for another try
+          results.queued++;
         } else {
           results.failed++;
           results.errors.push({ email: subscriber.email, error: result.error });
@@ -114,12 +123,13 @@ const sendNewsletterToAll = async (subject, htmlContent, type = 'custom') => {
       }
     }
 
-    console.log(`Newsletter sent: ${results.sent} successful, ${results.failed} failed`);
+    console.log(`Newsletter sent: ${results.sent} successful, ${results.queued} queued for retry, ${results.failed} failed`);
 
     return {
       success: true,
       message: `Newsletter sent to ${results.sent} subscribers`,
       sent: results.sent,
+      queued: results.queued,
       failed: results.failed,
       totalSubscribers: subscribers.length,
       errors: results.errors
@@ -247,8 +257,10 @@ const sendNewProductToAllUsers = async (product) => {
 
     const htmlContent = newProductTemplate(productData);
 
-    // Get all registered users (not just newsletter subscribers)
-    const users = await User.find({ isActive: true, isTemp: { $ne: true } }).select('email name');
+    // Get all registered users (not just newsletter subscribers) who still want new product emails
+    const activeUsers = await User.find({ isActive: true, isTemp: { $ne: true } }).select('email name');
+    const allowed = new Set(await filterEmailsByPreference(activeUsers.map(user => user.email), 'newProducts'));
+    const users = activeUsers.filter(user => allowed.has(user.email));
 
     if (users.length === 0) {
       return {
@@ -263,6 +275,7 @@ const sendNewProductToAllUsers = async (product) => {
 
     const results = {
       sent: 0,
+      queued: 0,
       failed: 0,
       errors: []
     };
@@ -273,10 +286,19 @@ const sendNewProductToAllUsers = async (product) => {
       const batch = users.slice(i, i + batchSize);
 
       const promises = batch.map(async (user) => {
-        const result = await sendEmailToSubscriber(user.email, subject, htmlContent);
-
+        // Not every user subscribed, so their unsubscribe link switches off new product emails only
+        const result = await sendEmailToSubscriber(user.email, subject, htmlContent, 'newsletter', {
+          category: 'newProducts',
+          list: 'newProducts'
+        });
+
+        if (result.skipped) {
+          return;
+        }
         if (result.success) {
           results.sent++;
+        } else if (result.queued) {
+          results.queued++;
         } else {
           results.failed++;
           results.errors.push({ email: user.email, error: result.error });
@@ -291,12 +313,13 @@ const sendNewProductToAllUsers = async (product) => {
       }
     }
 
-    console.log(`New product email sent: ${results.sent} successful, ${results.failed} failed`);
+    console.log(`New product email sent: ${results.sent} successful, ${results.queued} queued for retry, ${results.failed} failed`);
 
     return {
       success: true,
       message: `New product email sent to ${results.sent} users`,
       sent: results.sent,
+      queued: results.queued,
       failed: results.failed,
       totalUsers: users.length,
       errors: results.errors
@@ -407,7 +430,7 @@ const sendWelcomeEmail = async (email) => {
 
     const htmlContent = customNewsletterTemplate(welcomeContent);
     
-    return await sendEmailToSubscriber(email, subject, htmlContent);
+    return await sendEmailToSubscriber(email, subject, htmlContent, 'newsletter-welcome');
   } catch (error) {
     console.error('Error sending welcome email:', error);
     throw error;
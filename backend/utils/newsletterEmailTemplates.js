@@ -44,7 +44,7 @@ const getEmailFooter = () => `
           You're receiving this email because you subscribed to our newsletter.
         </p>
         <a href="{{unsubscribeLink}}" style="color: #A855F7; text-decoration: none; font-size: 11px; font-family: system-ui, -apple-system, sans-serif;">
-          Unsubscribe from newsletter
+          Unsubscribe or manage email preferences
         </a>
       </div>
     </div>
@@ -290,17 +290,9 @@ const customNewsletterTemplate = (content) => `
         </div>
 
         ${content.ctaText && content.ctaLink ? `
-<<<<<<< HEAD
-        <div style="text-align: center; margin: 35px 0 20px 0;">
-          <p style="color: rgba(255, 255, 255, 0.8); font-size: 15px;">
-            ${content.ctaText}: <a href="${content.ctaLink}" style="color: #A855F7; text-decoration: underline;">${content.ctaLink}</a>
-          </p>
-        </div>
-=======
         <p style="text-align: center; margin: 35px 0 20px 0;">
           <a href="${content.ctaLink}" style="color: #A855F7; text-decoration: underline; font-weight: 500; letter-spacing: 0.05em;">${content.ctaText}</a>
         </p>
->>>>>>> 98602f4c1246afa2b779bcec4a4da072cb2c946f
         ` : ''}
       </div>
     </div>
@@ -1,9 +1,9 @@
-import nodemailer from 'nodemailer';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { getOrderStatusEmailTemplate } from './orderEmailTemplates.js';
-import { getEmailDelegateApiBase, isDelegationEnabled, delegateEmailPost } from './emailDelegator.js';
+import { getOrderStatusEmailTemplate, escapeHtml } from './orderEmailTemplates.js';
+import { getEmailDelegateApiBase, isDelegationEnabled } from './emailDelegator.js';
+import { enqueueEmail } from '../services/emailOutboxService.js';
 import { generateInvoicePdf } from './invoicePdf.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -46,24 +46,8 @@ const createLogoAttachment = (logoData) => {
   }
 };
 
-// Create transporter with enhanced configuration (matching welcomeEmailService)
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    },
-    pool: true, // Use connection pooling
-    maxConnections: 5,
-    maxMessages: 100,
-    rateDelta: 20000, // 20 seconds
-    rateLimit: 5 // max 5 messages per rateDelta
-  });
-};
-
 // Simple dispatch email template (no logo, no attachments, default styling)
-const buildSimpleDispatchEmail = (orderNumber, deliveryAddress, trackUrl) => {
+const buildSimpleDispatchEmail = (orderNumber, deliveryAddress, trackUrl, deliveryPin = null) => {
   return `
     <!DOCTYPE html>
     <html lang="en">
@@ -88,6 +72,13 @@ const buildSimpleDispatchEmail = (orderNumber, deliveryAddress, trackUrl) => {
           </p>
         </div>
         
+        ${deliveryPin ? `
+        <div style="background-color: #fff8e1; padding: 15px; border: 1px dashed #f59e0b; margin: 20px 0; text-align: center;">
+          <p style="margin: 0 0 6px 0; color: #92400e; font-size: 13px;">Your delivery PIN</p>
+          <p style="margin: 0; color: #333333; font-size: 28px; font-weight: bold; letter-spacing: 6px; font-family: 'Courier New', monospace;">${deliveryPin}</p>
+          <p style="margin: 6px 0 0 0; color: #92400e; font-size: 12px;">Share it with the delivery person only when you receive your order.</p>
+        </div>
+        ` : ''}
         <p style="color: #555555; line-height: 1.6;">
           Our delivery team will reach you shortly. You can track your order status using the link below:
         </p>
@@ -114,18 +105,29 @@ const buildSimpleDispatchEmail = (orderNumber, deliveryAddress, trackUrl) => {
 
 // Send order status update notification
 export const sendOrderStatusNotification = async (orderDetails, newStatus, userEmail, logoData = null, productImagesData = []) => {
+  const orderNumber = orderDetails?.orderNumber || '';
+  const outboxEmail = {
+    kind: 'order-status',
+    // One email per order and status, however many times the status is saved
+    idempotencyKey: orderNumber ? `order-status:${orderNumber}:${newStatus}` : undefined,
+    orderNumber,
+    recipient: userEmail,
+    // The customer can switch order updates off, but not the email carrying their delivery PIN
+    category: newStatus === 'out_for_delivery' && orderDetails?.deliveryPin?.code ? undefined : 'orderUpdates'
+  };
+
   try {
     // Use standard delegation logic like password reset and OTP emails
     const base = getEmailDelegateApiBase();
     if (isDelegationEnabled() && base) {
       // Delegate to remote server (e.g., Vercel)
-      const result = await delegateEmailPost('/email-dispatch/status-update', { orderDetails, newStatus, userEmail });
-      return Promise.resolve({ success: true, ...result });
+      const result = await enqueueEmail({
+        ...outboxEmail,
+        delegate: { endpoint: '/email-dispatch/status-update', payload: { orderDetails, newStatus, userEmail } }
+      });
+      return { ...result, orderNumber, status: newStatus, recipient: userEmail };
     }
     
-    const transporter = createTransporter();
-    const orderNumber = orderDetails?.orderNumber || '';
-    
     // Special handling for dispatch emails - simple template, no attachments
     if (newStatus === 'out_for_delivery') {
       const trackUrl = `https://www.lapatisserie.shop/orders/${orderNumber}`;
@@ -138,7 +140,7 @@ export const sendOrderStatusNotification = async (orderDetails, newStatus, userE
         },
         to: userEmail,
         subject: `Order #${orderNumber} - Dispatched`,
-        html: buildSimpleDispatchEmail(orderNumber, deliveryAddress, trackUrl),
+        html: buildSimpleDispatchEmail(orderNumber, deliveryAddress, trackUrl, orderDetails?.deliveryPin?.code),
         headers: {
           'X-Order-Number': orderNumber,
           'X-Status-Update': newStatus,
@@ -148,17 +150,16 @@ export const sendOrderStatusNotification = async (orderDetails, newStatus, userE
 
       console.log(`Sending simple dispatch email to ${userEmail} for order ${orderNumber}`);
       
-      const result = await transporter.sendMail(mailOptions);
+      const result = await enqueueEmail({ ...outboxEmail, message: mailOptions });
       
-      console.log('Dispatch email sent successfully:', {
+      console.log(`Dispatch email ${result.success ? 'sent' : 'queued for retry'}:`, {
         messageId: result.messageId,
         orderNumber,
         recipient: userEmail
       });
 
       return {
-        success: true,
-        messageId: result.messageId,
+        ...result,
         orderNumber,
         status: newStatus,
         recipient: userEmail
@@ -222,9 +223,9 @@ export const sendOrderStatusNotification = async (orderDetails, newStatus, userE
     console.log(`Sending order status email to ${userEmail} for order ${orderDetails.orderNumber} - Status: ${newStatus}`);
     console.log(`📧 Attachments: ${attachments.length} (Logo: ${!!logoAttachment}, Products: ${productAttachments.length})`);
 
-    const result = await transporter.sendMail(mailOptions);
+    const result = await enqueueEmail({ ...outboxEmail, message: mailOptions });
 
-    console.log('Order status email sent successfully:', {
+    console.log(`Order status email ${result.success ? 'sent' : 'queued for retry'}:`, {
       messageId: result.messageId,
       orderNumber: orderDetails.orderNumber,
       newStatus,
@@ -233,8 +234,7 @@ export const sendOrderStatusNotification = async (orderDetails, newStatus, userE
     });
 
     return {
-      success: true,
-      messageId: result.messageId,
+      ...result,
       orderNumber: orderDetails.orderNumber,
       status: newStatus,
       recipient: userEmail,
@@ -275,7 +275,6 @@ export const sendAdminOrderStatusNotification = async (orderDetails, newStatus,
   }
 
   try {
-    const transporter = createTransporter();
     const { orderNumber, orderSummary, cartItems } = orderDetails;
     const statusLabel = formatStatusLabel(newStatus);
 
@@ -340,11 +339,15 @@ export const sendAdminOrderStatusNotification = async (orderDetails, newStatus,
       attachments
     };
 
-    const result = await transporter.sendMail(mailOptions);
+    const result = await enqueueEmail({
+      kind: 'order-status-admin',
+      idempotencyKey: orderNumber ? `order-status-admin:${orderNumber}:${newStatus}` : undefined,
+      orderNumber,
+      message: mailOptions
+    });
 
     return {
-      success: true,
-      messageId: result.messageId,
+      ...result,
       orderNumber,
       status: newStatus,
       recipients: adminEmails
@@ -364,3 +367,242 @@ export const sendAdminOrderStatusNotification = async (orderDetails, newStatus,
     };
   }
 };
+
+// Simple refund email template (same plain styling as the dispatch email)
+const buildRefundEmail = (orderNumber, refund, trackUrl) => {
+  const isFailed = refund?.status === 'failed';
+  const amount = Number(refund?.amount || 0).toFixed(2);
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Refund ${isFailed ? 'Update' : 'Processed'}</title>
+    </head>
+    <body style="margin: 0; padding: 20px; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 30px; border-radius: 5px;">
+
+        <h2 style="color: #333333; margin-top: 0;">${isFailed ? 'Refund Update' : 'Refund Processed'}</h2>
+
+        <p style="color: #555555; line-height: 1.6;">
+          ${isFailed
+            ? `We could not complete the refund of <strong>₹${amount}</strong> for your order <strong>#${orderNumber}</strong>. Our team has been notified and will retry it shortly.`
+            : `A refund of <strong>₹${amount}</strong> for your order <strong>#${orderNumber}</strong> has been processed to your original payment method.`}
+        </p>
+
+        <div style="background-color: #f9f9f9; padding: 15px; border-left: 3px solid ${isFailed ? '#e53935' : '#4CAF50'}; margin: 20px 0;">
+          <p style="margin: 0; color: #333333; font-size: 14px;">
+            <strong>Refund ID:</strong> ${refund?.refundId || '-'}<br>
+            ${refund?.reason ? `<strong>Reason:</strong> ${refund.reason}<br>` : ''}
+            ${isFailed ? '' : 'Banks usually take 5-7 working days to credit the amount.'}
+          </p>
+        </div>
+
+        <p style="margin: 20px 0;">
+          <a href="${trackUrl}" style="color: #1a73e8; text-decoration: none;">${trackUrl}</a>
+        </p>
+
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+
+        <p style="color: #999999; font-size: 12px; text-align: center; margin: 0;">
+          If you have any questions, feel free to contact us.
+        </p>
+
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// Send refund processed / failed notification to the customer
+export const sendRefundNotification = async (orderDetails, refund, userEmail) => {
+  const orderNumber = orderDetails?.orderNumber || '';
+  try {
+    if (!userEmail) {
+      return { success: false, skipped: true, reason: 'No recipient' };
+    }
+
+    const outboxEmail = {
+      kind: 'refund',
+      // A refund is announced once when processed and once more if it fails
+      idempotencyKey: refund?.refundId ? `refund:${refund.refundId}:${refund.status || 'processed'}` : undefined,
+      orderNumber,
+      recipient: userEmail,
+      category: 'orderUpdates'
+    };
+
+    const base = getEmailDelegateApiBase();
+    if (isDelegationEnabled() && base) {
+      const result = await enqueueEmail({
+        ...outboxEmail,
+        delegate: { endpoint: '/email-dispatch/refund', payload: { orderDetails: { orderNumber }, refund, userEmail } }
+      });
+      return { ...result, orderNumber };
+    }
+
+    const trackUrl = `https://www.lapatisserie.shop/orders/${orderNumber}`;
+    const subjectLabel = refund?.status === 'failed' ? 'Refund Update' : 'Refund Processed';
+
+    const result = await enqueueEmail({
+      ...outboxEmail,
+      message: {
+        from: {
+          name: 'La Patisserie',
+          address: process.env.EMAIL_USER
+        },
+        to: userEmail,
+        subject: `Order #${orderNumber} - ${subjectLabel}`,
+        html: buildRefundEmail(orderNumber, refund, trackUrl),
+        headers: {
+          'X-Order-Number': orderNumber,
+          'X-Refund-Id': refund?.refundId || ''
+        }
+      }
+    });
+
+    console.log(`Refund email ${result.success ? 'sent' : 'queued for retry'}:`, {
+      messageId: result.messageId,
+      orderNumber,
+      recipient: userEmail
+    });
+
+    return { ...result, orderNumber };
+  } catch (error) {
+    console.error('Error sending refund email:', {
+      error: error.message,
+      orderNumber
+    });
+    return { success: false, error: error.message, orderNumber };
+  }
+};
+
+// Gift recipient email (same plain styling as the dispatch email). No prices, items or tracking link:
+// the recipient has no account and the order belongs to the buyer.
+const buildGiftRecipientEmail = ({ recipientName, senderName, message, deliveryWindow, deliveryAddress, deliveryPin }) => {
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>A Gift Is On Its Way</title>
+    </head>
+    <body style="margin: 0; padding: 20px; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 30px; border-radius: 5px;">
+
+        <h2 style="color: #333333; margin-top: 0;">A gift is on its way</h2>
+
+        <p style="color: #555555; line-height: 1.6;">
+          Hi ${escapeHtml(recipientName)}, <strong>${escapeHtml(senderName)}</strong> has sent you something sweet from La Patisserie. It is out for delivery now.
+        </p>
+
+        ${message ? `
+        <div style="background-color: #fdf2f8; padding: 15px; border-left: 3px solid #733857; margin: 20px 0;">
+          <p style="margin: 0; color: #333333; font-size: 15px; font-style: italic; white-space: pre-line;">${escapeHtml(message)}</p>
+        </div>
+        ` : ''}
+
+        <div style="background-color: #f9f9f9; padding: 15px; border-left: 3px solid #4CAF50; margin: 20px 0;">
+          <p style="margin: 0; color: #333333; font-size: 14px;">
+            <strong>Delivering to:</strong><br>
+            ${escapeHtml(deliveryAddress)}
+            ${deliveryWindow ? `<br><br><strong>Expected:</strong> ${escapeHtml(deliveryWindow)}` : ''}
+          </p>
+        </div>
+
+        ${deliveryPin ? `
+        <div style="background-color: #fff8e1; padding: 15px; border: 1px dashed #f59e0b; margin: 20px 0; text-align: center;">
+          <p style="margin: 0 0 6px 0; color: #92400e; font-size: 13px;">Your delivery PIN</p>
+          <p style="margin: 0; color: #333333; font-size: 28px; font-weight: bold; letter-spacing: 6px; font-family: 'Courier New', monospace;">${deliveryPin}</p>
+          <p style="margin: 6px 0 0 0; color: #92400e; font-size: 12px;">Share it with the delivery person only when you receive your gift.</p>
+        </div>
+        ` : ''}
+
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+
+        <p style="color: #999999; font-size: 12px; text-align: center; margin: 0;">
+          You are receiving this one-time email because someone sent you a gift. No account is needed.
+        </p>
+
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+const describeGiftDeliveryWindow = (orderDetails) => {
+  if (orderDetails?.deliverySlot?.label) return orderDetails.deliverySlot.label;
+  if (!orderDetails?.estimatedDeliveryTime) return null;
+  const time = new Date(orderDetails.estimatedDeliveryTime).toLocaleTimeString('en-IN', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'Asia/Kolkata'
+  });
+  return `By ${time}`;
+};
+
+// Tell a gift recipient their order is out for delivery (see services/giftOrderService.js)
+export const sendGiftRecipientNotification = async (orderDetails, gift) => {
+  const orderNumber = orderDetails?.orderNumber || '';
+  try {
+    if (!gift?.recipientEmail) {
+      return { success: false, skipped: true, reason: 'No recipient' };
+    }
+
+    const content = {
+      recipientName: gift.recipientName,
+      // First name only; the buyer's full details stay on their own order
+      senderName: String(orderDetails?.userDetails?.name || '').trim().split(/\s+/)[0] || 'Someone special',
+      message: gift.message || null,
+      deliveryWindow: describeGiftDeliveryWindow(orderDetails),
+      deliveryAddress: orderDetails?.deliveryLocation || '',
+      deliveryPin: orderDetails?.deliveryPin?.code || null
+    };
+
+    const outboxEmail = {
+      kind: 'gift-recipient',
+      idempotencyKey: orderNumber ? `gift-recipient:${orderNumber}` : undefined,
+      orderNumber,
+      recipient: gift.recipientEmail
+    };
+
+    const base = getEmailDelegateApiBase();
+    if (isDelegationEnabled() && base) {
+      const result = await enqueueEmail({
+        ...outboxEmail,
+        delegate: { endpoint: '/email-dispatch/gift', payload: { orderDetails: { orderNumber }, gift: content, recipientEmail: gift.recipientEmail } }
+      });
+      return { ...result, orderNumber };
+    }
+
+    const result = await enqueueEmail({
+      ...outboxEmail,
+      message: {
+        from: {
+          name: 'La Patisserie',
+          address: process.env.EMAIL_USER
+        },
+        to: gift.recipientEmail,
+        subject: `${content.senderName} sent you a gift from La Patisserie`,
+        html: buildGiftRecipientEmail(content),
+        headers: {
+          'X-Order-Number': orderNumber
+        }
+      }
+    });
+
+    console.log(`Gift recipient email ${result.success ? 'sent' : 'queued for retry'}:`, {
+      messageId: result.messageId,
+      orderNumber
+    });
+
+    return { ...result, orderNumber };
+  } catch (error) {
+    console.error('Error sending gift recipient email:', {
+      error: error.message,
+      orderNumber
+    });
+    return { success: false, error: error.message, orderNumber };
+  }
+};
@@ -1,5 +1,13 @@
 // Email templates for order status updates
 import Product from '../models/productModel.js';
+import { formatAddOnSummary } from '../services/addOnService.js';
+
+// Add-on text is typed by customers, so it is escaped before going into the email
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
 // Helper function to fetch product details and images
 const fetchProductDetails = async (productId) => {
@@ -24,6 +32,13 @@ export const getOrderStatusEmailTemplate = async (orderDetails, newStatus, logoA
   const { orderNumber, userDetails, cartItems, orderSummary } = orderDetails;
   
   const statusMessages = {
+    confirmed: {
+      subject: `Order Confirmed - ${orderNumber}`,
+      title: 'Your Order is Confirmed!',
+      message: 'Our kitchen has confirmed your order and will start baking shortly.',
+      icon: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>`,
+      color: '#10B981'
+    },
     preparing: {
       subject: `Order Being Prepared - ${orderNumber}`,
       title: 'Your Order is Being Prepared!',
@@ -98,6 +113,7 @@ export const getOrderStatusEmailTemplate = async (orderDetails, newStatus, logoA
               </div>
               ${item.variantLabel ? `<div style="display: flex; align-items: center; gap: 6px; background: linear-gradient(135deg, #fff5f0 0%, #fdfbf9 100%); padding: 4px 10px; border-radius: 6px; border: 1px solid #f7e6cc;"><span style="font-weight: 500; color: #f59e0b;">${item.variantLabel}</span></div>` : ''}
             </div>
+            ${item.addOns?.length ? `<div style="margin-top: 8px; font-size: 13px; color: #6B7280;">+ ${escapeHtml(formatAddOnSummary(item.addOns))}</div>` : ''}
           </div>
         </div>
       </td>
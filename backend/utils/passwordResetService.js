@@ -1,23 +1,7 @@
-import nodemailer from 'nodemailer';
-import { getEmailDelegateApiBase, isDelegationEnabled, delegateEmailPost } from './emailDelegator.js';
+import { getEmailDelegateApiBase, isDelegationEnabled } from './emailDelegator.js';
+import { enqueueEmail } from '../services/emailOutboxService.js';
 import crypto from 'crypto';
 
-// Create transporter for sending emails
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    },
-    pool: true,
-    maxConnections: 5,
-    maxMessages: 100,
-    rateDelta: 20000, // 20 seconds
-    rateLimit: 5 // max 5 messages per rateDelta
-  });
-};
-
 // Generate a 6-digit OTP
 export const generateOTP = () => {
   return crypto.randomInt(100000, 999999).toString();
@@ -129,16 +113,25 @@ const getSignupVerificationEmailTemplate = (otp, userEmail) => {
   };
 };
 
+// OTP emails are recorded in the outbox but not retried: the customer is told straight away when one
+// could not be sent and asks for a new code, and the code itself is hidden from the admin screen
+const OTP_EMAIL_OPTIONS = { sensitive: true, maxAttempts: 1 };
+
 // Send password reset OTP email
 export const sendPasswordResetOTP = async (userEmail, otp) => {
   try {
     const base = getEmailDelegateApiBase();
     if (isDelegationEnabled() && base) {
       // Delegate to remote server (e.g., Vercel)
-      const result = await delegateEmailPost('/email-dispatch/password-reset', { userEmail, otp });
-      return { success: true, ...result };
+      const result = await enqueueEmail({
+        ...OTP_EMAIL_OPTIONS,
+        kind: 'password-reset-otp',
+        recipient: userEmail,
+        delegate: { endpoint: '/email-dispatch/password-reset', payload: { userEmail, otp } }
+      });
+      if (!result.success) throw new Error(result.error);
+      return result;
     }
-    const transporter = createTransporter();
     const emailTemplate = getPasswordResetEmailTemplate(otp, userEmail);
     
     const mailOptions = {
@@ -157,7 +150,8 @@ export const sendPasswordResetOTP = async (userEmail, otp) => {
     };
 
     console.log(`Sending password reset OTP to ${userEmail}`);
-    const result = await transporter.sendMail(mailOptions);
+    const result = await enqueueEmail({ ...OTP_EMAIL_OPTIONS, kind: 'password-reset-otp', message: mailOptions });
+    if (!result.success) throw new Error(result.error);
     
     console.log(`Password reset OTP sent successfully to ${userEmail}:`, result.messageId);
     return {
@@ -176,10 +170,15 @@ export const sendSignupVerificationOTP = async (userEmail, otp) => {
   try {
     const base = getEmailDelegateApiBase();
     if (isDelegationEnabled() && base) {
-      const result = await delegateEmailPost('/email-dispatch/signup-otp', { userEmail, otp });
-      return { success: true, ...result };
+      const result = await enqueueEmail({
+        ...OTP_EMAIL_OPTIONS,
+        kind: 'signup-otp',
+        recipient: userEmail,
+        delegate: { endpoint: '/email-dispatch/signup-otp', payload: { userEmail, otp } }
+      });
+      if (!result.success) throw new Error(result.error);
+      return result;
     }
-    const transporter = createTransporter();
     const emailTemplate = getSignupVerificationEmailTemplate(otp, userEmail);
     
     const mailOptions = {
@@ -198,7 +197,8 @@ export const sendSignupVerificationOTP = async (userEmail, otp) => {
     };
 
     console.log(`Sending signup verification OTP to ${userEmail}`);
-    const result = await transporter.sendMail(mailOptions);
+    const result = await enqueueEmail({ ...OTP_EMAIL_OPTIONS, kind: 'signup-otp', message: mailOptions });
+    if (!result.success) throw new Error(result.error);
     
     console.log(`Signup verification OTP sent successfully to ${userEmail}:`, result.messageId);
     return {
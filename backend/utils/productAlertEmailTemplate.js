@@ -0,0 +1,79 @@
+import { escapeHtml } from './orderEmailTemplates.js';
+
+// "Notify me" emails: a variant the customer watched is back in stock or cheaper than before
+
+const formatPrice = (value) => `₹${Math.round(Number(value) || 0)}`;
+
+/**
+ * @param {Object} params
+ * @param {string} params.type - 'back_in_stock' | 'price_drop'
+ * @param {string} [params.name] - Customer's name
+ * @param {string} params.productName
+ * @param {string} [params.variantLabel]
+ * @param {string} [params.image]
+ * @param {number} params.price - Current price
+ * @param {number} [params.previousPrice] - Price the drop is measured from
+ * @param {string} params.productUrl
+ * @param {string} params.unsubscribeUrl - Switches these alerts off
+ * @returns {{ subject: string, html: string }}
+ */
+export const getProductAlertEmailTemplate = ({
+  type,
+  name,
+  productName,
+  variantLabel,
+  image,
+  price,
+  previousPrice,
+  productUrl,
+  unsubscribeUrl
+}) => {
+  const isPriceDrop = type === 'price_drop';
+  const title = isPriceDrop ? 'Price drop on something you wanted' : "It's back in stock";
+  const intro = isPriceDrop
+    ? 'The price has just dropped on an item you asked us to watch:'
+    : 'Good news – an item you asked us to watch is available again:';
+
+  return {
+    subject: isPriceDrop
+      ? `Price drop: ${productName} is now ${formatPrice(price)}`
+      : `Back in stock: ${productName}`,
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(title)}</title>
+      </head>
+      <body style="margin: 0; padding: 20px; font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; background: #fff; padding: 20px;">
+          <h1 style="color: #281c20; margin-bottom: 20px; font-weight: normal;">${escapeHtml(title)}</h1>
+
+          <p style="margin-bottom: 15px;">Hi ${escapeHtml(name || 'there')},</p>
+          <p style="margin-bottom: 15px;">${intro}</p>
+
+          <div style="margin: 20px 0; text-align: center;">
+            ${image ? `<img src="${escapeHtml(image)}" alt="" width="200" style="display: block; margin: 0 auto 12px auto; width: 200px; max-width: 100%; border-radius: 4px;" />` : ''}
+            <div style="font-size: 18px; font-weight: bold; color: #281c20;">${escapeHtml(productName)}</div>
+            ${variantLabel ? `<div style="font-size: 13px; color: #777777;">${escapeHtml(variantLabel)}</div>` : ''}
+            <div style="margin-top: 8px; font-size: 18px; color: #733857;">
+              ${isPriceDrop && previousPrice ? `<span style="text-decoration: line-through; color: #999999; font-size: 14px; margin-right: 8px;">${formatPrice(previousPrice)}</span>` : ''}
+              ${formatPrice(price)}
+            </div>
+          </div>
+
+          <p style="margin: 25px 0; text-align: center;">
+            <a href="${escapeHtml(productUrl)}" style="display: inline-block; padding: 12px 28px; background: #281c20; color: #ffffff; text-decoration: none; letter-spacing: 1px;">${isPriceDrop ? 'SHOP NOW' : 'ORDER BEFORE IT SELLS OUT'}</a>
+          </p>
+
+          <p style="margin-top: 30px; font-size: 11px; color: #999999; text-align: center;">
+            You're receiving this because you asked to be notified about this item.
+            <a href="${escapeHtml(unsubscribeUrl)}" style="color: #999999;">Unsubscribe or manage email preferences</a>
+          </p>
+        </div>
+      </body>
+      </html>
+    `
+  };
+};
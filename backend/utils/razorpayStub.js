@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+
+// Minimal in-memory stand-in for the Razorpay SDK used in local development.
+// Enable with RAZORPAY_STUB_MODE=true; refunds resolve with RAZORPAY_STUB_REFUND_STATUS (default "processed").
+export const createRazorpayStub = ({ refundStatus = process.env.RAZORPAY_STUB_REFUND_STATUS || 'processed' } = {}) => {
+  const refunds = new Map();
+
+  return {
+    isStub: true,
+    refunds: {
+      fetch: async (refundId) => {
+        const refund = refunds.get(refundId);
+        if (!refund) {
+          const error = new Error(`Refund ${refundId} not found`);
+          error.statusCode = 404;
+          throw error;
+        }
+        return refund;
+      }
+    },
+    payments: {
+      refund: async (paymentId, options = {}) => {
+        if (!paymentId) {
+          const error = new Error('payment id is required');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        const refund = {
+          id: `rfnd_stub_${crypto.randomBytes(7).toString('hex')}`,
+          entity: 'refund',
+          payment_id: paymentId,
+          amount: options.amount,
+          currency: 'INR',
+          notes: options.notes || {},
+          receipt: options.receipt || null,
+          speed_requested: options.speed || 'normal',
+          status: refundStatus,
+          created_at: Math.floor(Date.now() / 1000)
+        };
+        refunds.set(refund.id, refund);
+        console.log(`🧪 [RazorpayStub] Refund ${refund.id} for ${paymentId}: ₹${(options.amount || 0) / 100} (${refundStatus})`);
+        return refund;
+      }
+    }
+  };
+};
+
+export const isRazorpayStubEnabled = () => String(process.env.RAZORPAY_STUB_MODE || '').toLowerCase() === 'true';
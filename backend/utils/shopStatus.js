@@ -1,7 +1,7 @@
 import TimeSettings from '../models/timeSettingsModel.js';
 
 // Build a Date (UTC instant) for a given local time in a specific timezone
-const buildTzDate = (refDate, tz, hhmm) => {
+export const buildTzDate = (refDate, tz, hhmm) => {
   const [hh, mm] = (hhmm || '00:00').split(':').map(v => parseInt(v, 10));
   const ymd = new Intl.DateTimeFormat('en-US', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(refDate);
   const year = parseInt(ymd.find(p => p.type === 'year').value, 10);
@@ -137,6 +137,7 @@ export const calculateShopStatus = async (now = new Date()) => {
     currentTime: now.toISOString(),
     timezone: settings.timezone,
     operatingHours,
+    acceptsPreOrders: settings.acceptsPreOrders(),
     message
   };
 };
@@ -1,5 +1,6 @@
 import firebaseAdmin from '../config/firebase.js';
 import User from '../models/userModel.js';
+import { getInitialRole } from './adminUtils.js';
 import database from './database.js';
 
 /**
@@ -54,7 +55,7 @@ const syncFirebaseUsers = async () => {
                 email,
                 name: displayName || null,
                 profilePhoto: photoURL ? { url: photoURL, public_id: '' } : { url: '', public_id: '' },
-                role: email === 'admin@lapatisserie.com' ? 'admin' : 'user',
+                role: getInitialRole(email, emailVerified),
                 emailVerified: emailVerified || false,
                 lastLogin: new Date(),
                 lastActive: new Date(),
@@ -1,21 +1,5 @@
-import nodemailer from 'nodemailer';
 import { getWelcomeEmailTemplate } from './welcomeEmailTemplate.js';
-
-// Create reusable transporter with enhanced configuration
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER || 'lapatisserielapatisserie@gmail.com',
-      pass: process.env.EMAIL_PASS
-    },
-    pool: true, // Use connection pooling
-    maxConnections: 5,
-    maxMessages: 100,
-    rateDelta: 20000, // 20 seconds
-    rateLimit: 5 // max 5 messages per rateDelta
-  });
-};
+import { enqueueEmail } from '../services/emailOutboxService.js';
 
 /**
  * Send welcome email to new user
@@ -40,9 +24,6 @@ export const sendWelcomeEmail = async (userDetails) => {
       email 
     });
 
-    // Create transporter
-    const transporter = createTransporter();
-
     // Email options
     const mailOptions = {
       from: {
@@ -54,13 +35,18 @@ export const sendWelcomeEmail = async (userDetails) => {
       html: html
     };
 
-    // Send email
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`✅ Welcome email sent successfully to ${email}: ${info.messageId}`);
+    // Send email (once per address, whichever sign-in path asks for it)
+    const result = await enqueueEmail({
+      kind: 'welcome',
+      idempotencyKey: `welcome:${String(email).toLowerCase()}`,
+      message: mailOptions
+    });
+    if (result.success) {
+      console.log(`✅ Welcome email sent successfully to ${email}: ${result.messageId}`);
+    }
     
     return { 
-      success: true, 
-      messageId: info.messageId,
+      ...result,
       email: email
     };
   } catch (error) {